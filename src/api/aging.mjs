@@ -0,0 +1,156 @@
+/**
+ * The REST API of the aging of the characters.
+ *
+ * The aging router is mounted under a character, and records every winter aging and
+ * Warping gain to the aging history of the character. An aging rolled with the seed
+ * chosen by the client is recorded as such.
+ * @module api/aging
+ */
+
+import express from "express";
+import { addWarping, ageCharacter, AgingError } from "../model/aging.mjs";
+import { isSeed } from "../model/dice.mjs";
+import { characterResource, getCharacter } from "./characters.mjs";
+import { asyncHandler, ValidationError } from "./errors.mjs";
+import { createValidator } from "./resource.mjs";
+import { isPlainObject } from "./utils.mjs";
+
+/**
+ * The options of the aging router.
+ * @typedef {Object} AgingRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/character.mjs").Character>} repository
+ * The repository of the characters.
+ */
+
+/**
+ * Perform an aging operation reporting its failures as validation errors.
+ * @template RESULT The result type of the operation.
+ * @param {() => RESULT} operation The operation.
+ * @returns {RESULT} The result of the operation.
+ * @throws {ValidationError} The operation was invalid.
+ */
+function agingOperation(operation) {
+  try {
+    return operation();
+  } catch (err) {
+    if (err instanceof AgingError) {
+      throw new ValidationError(err.message, err.issues, { cause: err });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Create the router of the aging of a character. The router expects the character
+ * identifier as the route parameter `id`.
+ * @param {AgingRouterOptions} options The router options.
+ * @returns {import("express").Router} The router handling the aging.
+ */
+export function createAgingRouter({ repository }) {
+  const router = express.Router({ mergeParams: true });
+  const validated = createValidator(characterResource(repository));
+
+  /**
+   * Store a character with a new aging history entry.
+   * @param {string} id The identifier of the character.
+   * @param {import("../model/character.mjs").Character} character The changed
+   * character.
+   * @param {Object} entry The recorded history entry.
+   * @returns {Promise<import("../model/character.mjs").Character>} The stored
+   * character.
+   */
+  function record(id, character, entry) {
+    const agingHistory = [
+      ...(character.agingHistory ?? []),
+      { ...entry, recorded: new Date().toISOString() },
+    ];
+    return repository.update(id, validated({ ...character, agingHistory }));
+  }
+
+  router.get(
+    "/",
+    asyncHandler(async (req, res) => {
+      const character = await getCharacter(repository, req.params.id);
+      res.json({
+        aging: character.aging ?? null,
+        history: character.agingHistory ?? [],
+      });
+    })
+  );
+
+  router.post(
+    "/",
+    asyncHandler(async (req, res) => {
+      const body = req.body ?? {};
+      if (!isPlainObject(body)) {
+        throw new ValidationError("Invalid aging roll", [
+          { path: "$", message: "Aging roll must be an object" },
+        ]);
+      }
+      if ("seed" in body && !isSeed(body.seed)) {
+        throw new ValidationError("Invalid aging roll", [
+          {
+            path: "$.seed",
+            message: "Seed must be an unsigned 32 bit integer",
+          },
+        ]);
+      }
+      if ("year" in body && !Number.isInteger(body.year)) {
+        throw new ValidationError("Invalid aging roll", [
+          { path: "$.year", message: "Year must be an integer" },
+        ]);
+      }
+      const { id, ...current } = await getCharacter(repository, req.params.id);
+      if (
+        body.year !== undefined &&
+        (current.agingHistory ?? []).some(
+          (entry) => entry.kind === "aging" && entry.year === body.year
+        )
+      ) {
+        throw new ValidationError("Invalid aging roll", [
+          {
+            path: "$.year",
+            message: `The aging of winter ${body.year} is already recorded`,
+          },
+        ]);
+      }
+      const { character, ...result } = agingOperation(() =>
+        ageCharacter(current, {
+          seed: body.seed,
+          characteristic: body.characteristic,
+        })
+      );
+      const updated = await record(id, character, {
+        kind: "aging",
+        ...(body.year === undefined ? {} : { year: body.year }),
+        ...result,
+        ...(body.seed === undefined ? {} : { clientSeed: true }),
+      });
+      res.json({ character: updated, ...result });
+    })
+  );
+
+  router.post(
+    "/warping",
+    asyncHandler(async (req, res) => {
+      const { points, source } = req.body ?? {};
+      if (source !== undefined && typeof source !== "string") {
+        throw new ValidationError("Invalid Warping", [
+          { path: "$.source", message: "Source must be a string" },
+        ]);
+      }
+      const { id, ...current } = await getCharacter(repository, req.params.id);
+      const { character, ...result } = agingOperation(() =>
+        addWarping(current, points)
+      );
+      const updated = await record(id, character, {
+        kind: "warping",
+        ...(source === undefined ? {} : { source }),
+        ...result,
+      });
+      res.json({ character: updated, ...result });
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,327 @@
+/**
+ * The authentication of the REST API.
+ *
+ * The users register and log in with a username and a password. A successful login
+ * starts a session identified by a random token sent to the client in an HTTP-only
+ * session cookie. Only the hash of the token is stored, so the stored sessions can
+ * not be used to impersonate the users.
+ * @module api/auth
+ */
+
+import { createHash, randomBytes } from "node:crypto";
+import express from "express";
+import {
+  DUMMY_HASH,
+  hashPassword,
+  verifyPassword,
+} from "../auth/passwords.mjs";
+import { asyncHandler, UnauthorizedError, ValidationError } from "./errors.mjs";
+import { isPlainObject } from "./utils.mjs";
+
+/**
+ * The name of the session cookie.
+ * @type {string}
+ */
+export const SESSION_COOKIE = "arm5_session";
+
+/**
+ * The default lifetime of the sessions in milliseconds.
+ * @type {number}
+ */
+export const DEFAULT_SESSION_TTL = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * The pattern of the valid usernames.
+ * @type {RegExp}
+ */
+const USERNAME = /^[A-Za-z0-9_.-]{3,32}$/;
+
+/**
+ * The shortest allowed password.
+ * @type {number}
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * A user account.
+ * @typedef {Object} User
+ * @property {string} id The identifier of the user.
+ * @property {string} username The username of the user.
+ * @property {string} passwordHash The stored hash of the password.
+ * @property {string} created The creation time of the account.
+ */
+
+/**
+ * A login session.
+ * @typedef {Object} AuthSession
+ * @property {string} id The identifier of the session.
+ * @property {string} token The hash of the session token.
+ * @property {string} user The identifier of the logged in user.
+ * @property {string} expires The expiration time of the session.
+ */
+
+/**
+ * The options of the authentication.
+ * @typedef {Object} AuthOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<User>} users
+ * The repository of the user accounts.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<AuthSession>} authSessions
+ * The repository of the login sessions.
+ * @property {number} [sessionTtl] The lifetime of the sessions in milliseconds.
+ * @property {boolean} [secureCookies=false] Are the session cookies only sent over
+ * HTTPS.
+ */
+
+/**
+ * Parse the cookies of a request.
+ * @param {string} [header] The value of the Cookie header.
+ * @returns {Record<string, string>} The cookie values by the cookie names.
+ */
+export function parseCookies(header = "") {
+  return Object.fromEntries(
+    header
+      .split(";")
+      .map((cookie) => cookie.trim())
+      .filter((cookie) => cookie.includes("="))
+      .map((cookie) => {
+        const index = cookie.indexOf("=");
+        const value = cookie.slice(index + 1).replace(/^"(.*)"$/, "$1");
+        try {
+          return [cookie.slice(0, index), decodeURIComponent(value)];
+        } catch (err) {
+          return [cookie.slice(0, index), value];
+        }
+      })
+  );
+}
+
+/**
+ * Hash a session token for storing.
+ * @param {string} token The session token.
+ * @returns {string} The hash of the token.
+ */
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Get the public view of a user account.
+ * @param {User} user The user account.
+ * @returns {{id: string, username: string}} The user without the password hash.
+ */
+export function publicUser({ id, username }) {
+  return { id, username };
+}
+
+/**
+ * Find a user account by the username. The usernames are case insensitive.
+ * @param {AuthOptions["users"]} users The user repository.
+ * @param {string} username The username.
+ * @returns {Promise<User|undefined>} The user, or an undefined value, if no user has
+ * the username.
+ */
+export async function findUser(users, username) {
+  const wanted = username.toLowerCase();
+  const [user] = await users.list(
+    (candidate) => candidate.username.toLowerCase() === wanted
+  );
+  return user;
+}
+
+/**
+ * Create the function authenticating the requests with the session cookie.
+ * @param {AuthOptions} options The authentication options.
+ * @returns {(req: import("node:http").IncomingMessage) => Promise<User|undefined>}
+ * The function returning the logged in user of a request, or an undefined value, if
+ * the request has no valid session.
+ */
+export function createAuthenticator({ users, authSessions }) {
+  return async function (req) {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token === undefined) {
+      return undefined;
+    }
+    const hash = hashToken(token);
+    const [session] = await authSessions.list(
+      (candidate) => candidate.token === hash
+    );
+    if (session === undefined) {
+      return undefined;
+    } else if (Date.parse(session.expires) <= Date.now()) {
+      await authSessions.delete(session.id);
+      return undefined;
+    }
+    return users.get(session.user);
+  };
+}
+
+/**
+ * Create the middleware rejecting the requests without a logged in user. The
+ * middleware stores the user into the `user` property of the request.
+ * @param {AuthOptions} options The authentication options.
+ * @returns {import("express").RequestHandler} The middleware.
+ */
+export function requireUser(options) {
+  const authenticate = createAuthenticator(options);
+  return asyncHandler(async (req, res, next) => {
+    const user = await authenticate(req);
+    if (user === undefined) {
+      throw new UnauthorizedError();
+    }
+    req.user = user;
+    next();
+  });
+}
+
+/**
+ * Read the credentials of a request.
+ * @param {any} body The request content.
+ * @returns {{username: string, password: string}} The credentials.
+ * @throws {ValidationError} The credentials were missing.
+ */
+function credentials(body) {
+  if (!isPlainObject(body)) {
+    throw new ValidationError("Invalid credentials", [
+      { path: "$", message: "Credentials must be an object" },
+    ]);
+  }
+  const issues = [];
+  if (typeof body.username !== "string") {
+    issues.push({ path: "$.username", message: "Username is required" });
+  }
+  if (typeof body.password !== "string") {
+    issues.push({ path: "$.password", message: "Password is required" });
+  }
+  if (issues.length > 0) {
+    throw new ValidationError("Invalid credentials", issues);
+  }
+  return { username: body.username, password: body.password };
+}
+
+/**
+ * Create the router of the authentication.
+ * @param {AuthOptions} options The authentication options.
+ * @returns {import("express").Router} The router handling the registration, the
+ * login and the logout.
+ */
+export function createAuthRouter({
+  users,
+  authSessions,
+  sessionTtl = DEFAULT_SESSION_TTL,
+  secureCookies = false,
+}) {
+  const router = express.Router();
+  const authenticate = createAuthenticator({ users, authSessions });
+
+  /**
+   * Start a session of a user.
+   * @param {import("express").Response} res The response carrying the session
+   * cookie.
+   * @param {User} user The logged in user.
+   * @returns {Promise<void>}
+   */
+  async function startSession(res, user) {
+    const token = randomBytes(32).toString("base64url");
+    await authSessions.create({
+      token: hashToken(token),
+      user: user.id,
+      expires: new Date(Date.now() + sessionTtl).toISOString(),
+    });
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: secureCookies,
+      path: "/",
+      maxAge: sessionTtl,
+    });
+  }
+
+  router.post(
+    "/register",
+    asyncHandler(async (req, res) => {
+      const { username, password } = credentials(req.body);
+      const issues = [];
+      if (!USERNAME.test(username)) {
+        issues.push({
+          path: "$.username",
+          message:
+            "Username must have 3 to 32 letters, digits, dots, dashes or underscores",
+        });
+      }
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        issues.push({
+          path: "$.password",
+          message: `Password must have at least ${MIN_PASSWORD_LENGTH} characters`,
+        });
+      }
+      if (issues.length > 0) {
+        throw new ValidationError("Invalid registration", issues);
+      }
+      const passwordHash = await hashPassword(password);
+      // The check and the creation share a transaction, so the concurrent
+      // registrations cannot both take the same username.
+      const user = await users.transaction(async () => {
+        if ((await findUser(users, username)) !== undefined) {
+          throw new ValidationError("Invalid registration", [
+            { path: "$.username", message: `Username ${username} is taken` },
+          ]);
+        }
+        return users.create({
+          username,
+          passwordHash,
+          created: new Date().toISOString(),
+        });
+      });
+      await startSession(res, user);
+      res.status(201).json(publicUser(user));
+    })
+  );
+
+  router.post(
+    "/login",
+    asyncHandler(async (req, res) => {
+      const { username, password } = credentials(req.body);
+      const user = await findUser(users, username);
+      const verified = await verifyPassword(
+        password,
+        user?.passwordHash ?? DUMMY_HASH
+      );
+      if (user === undefined || !verified) {
+        throw new UnauthorizedError("Invalid username or password");
+      }
+      await startSession(res, user);
+      res.json(publicUser(user));
+    })
+  );
+
+  router.post(
+    "/logout",
+    asyncHandler(async (req, res) => {
+      const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      if (token !== undefined) {
+        const hash = hashToken(token);
+        const sessions = await authSessions.list(
+          (session) => session.token === hash
+        );
+        for (const session of sessions) {
+          await authSessions.delete(session.id);
+        }
+      }
+      res.clearCookie(SESSION_COOKIE, { path: "/" });
+      res.status(204).end();
+    })
+  );
+
+  router.get(
+    "/me",
+    asyncHandler(async (req, res) => {
+      const user = await authenticate(req);
+      if (user === undefined) {
+        throw new UnauthorizedError();
+      }
+      res.json(publicUser(user));
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,201 @@
+/**
+ * The REST API of the characters.
+ * @module api/characters
+ */
+
+import {
+  CHARACTER_TYPES,
+  normalizeCharacter,
+  stripDerived,
+  validateCharacter,
+} from "../model/character.mjs";
+import { advance, AdvancementError } from "../model/advancement.mjs";
+import {
+  normalizeAging,
+  stripDerivedAging,
+  validateAging,
+} from "../model/aging.mjs";
+import { validateEquipment } from "../model/combat.mjs";
+import {
+  normalizeBond,
+  stripDerivedBond,
+  validateFamiliarProperties,
+} from "../model/familiar.mjs";
+import { validateStoryguideProperties } from "../model/saga.mjs";
+import { validateTalismanProperty } from "../model/talisman.mjs";
+import {
+  advancementOptions,
+  validateVirtuePackage,
+  validateVirtues,
+} from "../model/virtue.mjs";
+import { COLLECTION_FIELDS } from "./collection.mjs";
+import { asyncHandler, ValidationError } from "./errors.mjs";
+import {
+  createResourceRouter,
+  createValidator,
+  getEntity,
+} from "./resource.mjs";
+
+/**
+ * The options of the character router.
+ * @typedef {Object} CharacterRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/character.mjs").Character>} repository
+ * The repository of the characters.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/spell.mjs").Spell>} [spells]
+ * The repository of the spell catalogue. If given, the spells known by the
+ * characters must exist in the catalogue.
+ */
+
+/**
+ * Get the character with the identifier of the request.
+ * @param {CharacterRouterOptions["repository"]} repository The character repository.
+ * @param {string} id The identifier of the character.
+ * @returns {Promise<import("../model/character.mjs").Character>} The character.
+ * @throws {import("./errors.mjs").NotFoundError} The character does not exist.
+ */
+export function getCharacter(repository, id) {
+  return getEntity(repository, id, "character");
+}
+
+/**
+ * Validate a character document including its aging state, its Virtues and Flaws,
+ * its equipment, its familiar and talisman, and its storyguide properties.
+ * @param {any} character The validated character.
+ * @returns {import("../model/character.mjs").ValidationIssue[]} The validation
+ * issues.
+ */
+function validateCharacterWithAging(character) {
+  const issues = validateCharacter(character);
+  if (character instanceof Object && "aging" in character) {
+    issues.push(...validateAging(character.aging));
+  }
+  if (character instanceof Object && "virtues" in character) {
+    issues.push(...validateVirtues(character.virtues, character.type));
+  }
+  if (character instanceof Object && "equipment" in character) {
+    issues.push(...validateEquipment(character.equipment, "$.equipment"));
+  }
+  issues.push(...validateFamiliarProperties(character));
+  issues.push(...validateTalismanProperty(character));
+  issues.push(...validateStoryguideProperties(character));
+  return issues;
+}
+
+/**
+ * Create the definition of the character resource.
+ * @param {CharacterRouterOptions["repository"]} repository The character repository.
+ * @param {CharacterRouterOptions["spells"]} [spells] The spell repository.
+ * @returns {import("./resource.mjs").ResourceDefinition<import("../model/character.mjs").Character>}
+ * The resource definition of the characters.
+ */
+export function characterResource(repository, spells = undefined) {
+  return {
+    label: "character",
+    repository,
+    validate: validateCharacterWithAging,
+    validateCreation(character) {
+      return "virtues" in character ? validateVirtuePackage(character) : [];
+    },
+    normalize(character) {
+      const result = normalizeCharacter(character);
+      if (character.aging !== undefined) {
+        result.aging = normalizeAging(character.aging);
+      }
+      if (character.familiar !== undefined) {
+        result.familiar = normalizeBond(character.familiar);
+      }
+      return result;
+    },
+    prepare(character) {
+      const result = stripDerived(character);
+      if (character.aging instanceof Object) {
+        result.aging = stripDerivedAging(character.aging);
+      }
+      if (character.familiar instanceof Object) {
+        result.familiar = stripDerivedBond(character.familiar);
+      }
+      return result;
+    },
+    serverManaged: ["id", "saga", "advancements", "agingHistory"],
+    fields: COLLECTION_FIELDS.characters,
+    filter({ type }) {
+      if (type === undefined) {
+        return undefined;
+      } else if (!CHARACTER_TYPES.includes(type)) {
+        throw new ValidationError(`Invalid character type ${type}`);
+      }
+      return (character) => character.type === type;
+    },
+    async verify(character) {
+      const issues = [];
+      const known = spells === undefined ? [] : character.spells ?? [];
+      for (const [index, { spell }] of known.entries()) {
+        if ((await spells.get(spell)) === undefined) {
+          issues.push({
+            path: `$.spells[${index}].spell`,
+            message: `No spell with identifier ${spell}`,
+          });
+        }
+      }
+      const familiar = character.familiar?.character;
+      if (
+        familiar !== undefined &&
+        (await repository.get(familiar))?.type !== "familiar"
+      ) {
+        issues.push({
+          path: "$.familiar.character",
+          message: `No familiar with identifier ${familiar}`,
+        });
+      }
+      if (issues.length > 0) {
+        throw new ValidationError("Invalid character", issues);
+      }
+    },
+  };
+}
+
+/**
+ * Create the router of the characters.
+ * @param {CharacterRouterOptions} options The router options.
+ * @returns {import("express").Router} The router handling the character resources.
+ */
+export function createCharacterRouter({ repository, spells }) {
+  const resource = characterResource(repository, spells);
+  const validated = createValidator(resource);
+  const router = createResourceRouter(resource);
+
+  router.post(
+    "/:id/advance",
+    asyncHandler(async (req, res) => {
+      const { id, ...current } = await getCharacter(repository, req.params.id);
+      let result;
+      try {
+        result = advance(current, req.body, advancementOptions(current));
+      } catch (err) {
+        if (err instanceof AdvancementError) {
+          throw new ValidationError(err.message, err.issues, { cause: err });
+        }
+        throw err;
+      }
+      const { character, spent, leftover, changes } = result;
+      const advancements = [
+        ...(character.advancements ?? []),
+        {
+          ...(req.body.season === undefined ? {} : { season: req.body.season }),
+          xp: req.body.xp,
+          spent,
+          leftover,
+          changes,
+          recorded: new Date().toISOString(),
+        },
+      ];
+      const updated = await repository.update(
+        id,
+        validated({ ...character, advancements })
+      );
+      res.json({ character: updated, spent, leftover, changes });
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,227 @@
+/**
+ * The REST API of the character generation.
+ *
+ * A user generates a character by creating a draft, completing the steps of the
+ * draft in order, and committing the draft. The committed draft creates a normal
+ * character of the saga. Like the other saga content, the drafts are reached
+ * through their saga at `/sagas/:saga/chargen`, and are visible to their owners and
+ * the storyguides.
+ * @module api/chargen
+ */
+
+import express from "express";
+import {
+  ChargenError,
+  chargenSteps,
+  completeStep,
+  finishDraft,
+  replayDraft,
+} from "../model/chargen.mjs";
+import { characterResource } from "./characters.mjs";
+import {
+  COLLECTION_FIELDS,
+  collectionQuery,
+  sendCollection,
+} from "./collection.mjs";
+import {
+  asyncHandler,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "./errors.mjs";
+import { createValidator, getEntity } from "./resource.mjs";
+import { isPlainObject } from "./utils.mjs";
+
+/**
+ * The options of the character generation router.
+ * @typedef {Object} ChargenRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/chargen.mjs").ChargenDraft>} repository
+ * The repository of the drafts.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/character.mjs").Character>} characters
+ * The repository of the characters.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/spell.mjs").Spell>} [spells]
+ * The repository of the spell catalogue the apprentices learn their spells from.
+ */
+
+/**
+ * Perform a character generation operation reporting its failures as validation
+ * errors.
+ * @template RESULT The result type of the operation.
+ * @param {() => RESULT} operation The operation.
+ * @returns {RESULT} The result of the operation.
+ * @throws {ValidationError} The operation was invalid.
+ */
+function chargenOperation(operation) {
+  try {
+    return operation();
+  } catch (err) {
+    if (err instanceof ChargenError) {
+      throw new ValidationError(err.message, err.issues, { cause: err });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Create the router of the character generation.
+ * @param {ChargenRouterOptions} options The router options.
+ * @returns {import("express").Router} The router handling the drafts.
+ */
+export function createChargenRouter({ repository, characters, spells }) {
+  const router = express.Router();
+  const resource = characterResource(characters, spells);
+  const validated = createValidator(resource);
+
+  /**
+   * Get the options of the generation.
+   * @returns {Promise<import("../model/chargen.mjs").ChargenOptions>} The options
+   * with the spell catalogue.
+   */
+  async function chargenOptions() {
+    return { spells: spells === undefined ? [] : await spells.list() };
+  }
+
+  /**
+   * Get a draft the user of the request may see.
+   * @param {import("express").Request} req The request.
+   * @returns {Promise<import("../model/chargen.mjs").ChargenDraft>} The draft.
+   * @throws {NotFoundError} The draft does not exist, or belongs to another user.
+   */
+  async function getDraft(req) {
+    const draft = await getEntity(repository, req.params.id, "draft");
+    if (draft.owner !== req.user.id && req.role !== "storyguide") {
+      throw new NotFoundError(`No draft with identifier ${req.params.id}`);
+    }
+    return draft;
+  }
+
+  /**
+   * Get a draft the user of the request may change.
+   * @param {import("express").Request} req The request.
+   * @returns {Promise<import("../model/chargen.mjs").ChargenDraft>} The draft.
+   * @throws {NotFoundError} The draft does not exist, or belongs to another user.
+   * @throws {ConflictError} The draft is already committed.
+   */
+  async function getOpenDraft(req) {
+    const draft = await getDraft(req);
+    if (draft.committed !== undefined) {
+      throw new ConflictError(
+        `The draft is already committed as the character ${draft.committed}`
+      );
+    }
+    return draft;
+  }
+
+  /**
+   * Create the view of a draft.
+   * @param {import("../model/chargen.mjs").ChargenDraft} draft The draft.
+   * @param {import("../model/chargen.mjs").ChargenState} state The state of the
+   * draft.
+   * @returns {Object} The draft with the character built by its steps, the budgets
+   * of the steps, the steps of the character, and the next step.
+   */
+  function draftView(draft, { character, budgets, next }) {
+    return {
+      ...draft,
+      plan: chargenSteps(character?.type),
+      next,
+      budgets,
+      ...(character === undefined ? {} : { preview: character }),
+    };
+  }
+
+  router.get(
+    "/",
+    collectionQuery(COLLECTION_FIELDS.drafts),
+    asyncHandler(async (req, res) => {
+      await sendCollection(
+        req,
+        res,
+        repository.query(
+          req.role === "storyguide"
+            ? undefined
+            : (draft) => draft.owner === req.user.id
+        )
+      );
+    })
+  );
+
+  router.post(
+    "/",
+    asyncHandler(async (req, res) => {
+      if (req.body !== undefined && !isPlainObject(req.body)) {
+        throw new ValidationError("The draft must be an object");
+      }
+      const options = await chargenOptions();
+      let draft = { owner: req.user.id, steps: {} };
+      let state = replayDraft(draft, options);
+      if (req.body?.concept !== undefined) {
+        ({ draft, state } = chargenOperation(() =>
+          completeStep(draft, "concept", req.body.concept, options)
+        ));
+      }
+      const created = await repository.create(draft);
+      res
+        .status(201)
+        .location(`${req.baseUrl}/${created.id}`)
+        .json(draftView(created, state));
+    })
+  );
+
+  router.get(
+    "/:id",
+    asyncHandler(async (req, res) => {
+      const draft = await getDraft(req);
+      const options = await chargenOptions();
+      res.json(
+        draftView(
+          draft,
+          chargenOperation(() => replayDraft(draft, options))
+        )
+      );
+    })
+  );
+
+  router.put(
+    "/:id/steps/:step",
+    asyncHandler(async (req, res) => {
+      const { id, ...current } = await getOpenDraft(req);
+      const options = await chargenOptions();
+      const { draft, state } = chargenOperation(() =>
+        completeStep(current, req.params.step, req.body, options)
+      );
+      res.json(draftView(await repository.update(id, draft), state));
+    })
+  );
+
+  router.post(
+    "/:id/commit",
+    asyncHandler(async (req, res) => {
+      const { id, ...draft } = await getOpenDraft(req);
+      const options = await chargenOptions();
+      const generated = chargenOperation(() => finishDraft(draft, options));
+      const content = validated(generated);
+      await resource.verify(content);
+      const result = await repository.transaction(async () => {
+        const character = await characters.create(content);
+        const committed = await repository.update(id, {
+          ...draft,
+          committed: character.id,
+        });
+        return { character, draft: committed };
+      });
+      res.status(201).json(result);
+    })
+  );
+
+  router.delete(
+    "/:id",
+    asyncHandler(async (req, res) => {
+      const draft = await getDraft(req);
+      await repository.delete(draft.id);
+      res.status(204).end();
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,506 @@
+/**
+ * The query layer of the collection listings.
+ *
+ * The listings of the collections share the query parameters:
+ * - The field filters compare a field of the listed values with a value. The
+ *   parameter `form=Ignem` selects the values with an equal field, and the
+ *   parameters with the suffixes `Ne`, `Gt`, `Gte`, `Lt` and `Lte`, such as
+ *   `levelGte=20`, select the values with an unequal, greater or smaller field. The
+ *   boolean fields have no ordering.
+ * - The parameter `sort` lists the sort fields separated with commas. A field with a
+ *   leading `-` is sorted in the descending order.
+ * - The parameter `fields` lists the fields of the sparse fieldset of the values.
+ *   The identifier is always included.
+ * - The parameter `limit` is the size of the page, and the parameter `cursor` is the
+ *   opaque cursor of the page. The link to the next page is sent in the `Link`
+ *   header. The parameter `offset` skips the first values of the listing up to
+ *   {@link MAX_OFFSET}, as a sorted listing buffers the skipped values.
+ *
+ * The collection middleware parses the query of a request, and the collection is
+ * sent with its ETag. A request with a matching `If-None-Match` header gets the
+ * status 304 without the content. The values are read from a lazy query, and the
+ * sorting buffers only the values of the page.
+ * @module api/collection
+ */
+
+import { createHash } from "node:crypto";
+import { compareKeys } from "../persistence/query.mjs";
+import { ValidationError } from "./errors.mjs";
+
+/**
+ * The type of a field of the collection query.
+ * @typedef {"string"|"number"|"boolean"} FieldType
+ */
+
+/**
+ * The collection fields by their paths. The path of a nested field separates the
+ * property names with dots.
+ * @typedef {Readonly<Record<string, FieldType>>} CollectionFields
+ */
+
+/**
+ * A field filter of the collection query.
+ * @typedef {Object} FieldFilter
+ * @property {string} field The path of the field.
+ * @property {FilterOperator} operator The comparison operator.
+ * @property {string|number|boolean} value The compared value.
+ */
+
+/**
+ * A sort key of the collection query.
+ * @typedef {Object} SortKey
+ * @property {string} field The path of the field.
+ * @property {boolean} descending Are the largest values first.
+ */
+
+/**
+ * The parsed collection query of a request.
+ * @typedef {Object} CollectionQuery
+ * @property {FieldFilter[]} filters The field filters.
+ * @property {SortKey[]} sort The sort keys. Empty for the stored order.
+ * @property {string[]} [fields] The fields of the sparse fieldset. Defaults to all
+ * fields.
+ * @property {number} limit The size of the page.
+ * @property {number} offset The number of the values before the page in the stored
+ * order.
+ * @property {any[]} [after] The sort keys of the last value of the previous page of
+ * a sorted listing.
+ */
+
+/**
+ * The operator suffixes of the field filters.
+ * @typedef {""|"Ne"|"Gt"|"Gte"|"Lt"|"Lte"} FilterOperator
+ */
+
+/**
+ * The default size of the pages.
+ * @type {number}
+ */
+export const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * The largest size of the pages.
+ * @type {number}
+ */
+export const MAX_PAGE_SIZE = 1000;
+
+/**
+ * The largest offset of the listings.
+ * @type {number}
+ */
+export const MAX_OFFSET = 10000;
+
+/**
+ * The comparisons of the filter operators.
+ * @type {Readonly<Record<FilterOperator, (comparison: number) => boolean>>}
+ */
+const OPERATORS = Object.freeze({
+  "": (comparison) => comparison === 0,
+  Ne: (comparison) => comparison !== 0,
+  Gt: (comparison) => comparison > 0,
+  Gte: (comparison) => comparison >= 0,
+  Lt: (comparison) => comparison < 0,
+  Lte: (comparison) => comparison <= 0,
+});
+
+/**
+ * The filter operators of the field types.
+ * @type {Readonly<Record<FieldType, FilterOperator[]>>}
+ */
+export const FIELD_OPERATORS = Object.freeze({
+  string: Object.keys(OPERATORS),
+  number: Object.keys(OPERATORS),
+  boolean: ["", "Ne"],
+});
+
+/**
+ * The fields of the collections.
+ * @type {Readonly<Record<string, CollectionFields>>}
+ */
+export const COLLECTION_FIELDS = Object.freeze({
+  characters: Object.freeze({ name: "string", type: "string" }),
+  covenants: Object.freeze({
+    name: "string",
+    tribunal: "string",
+    founded: "number",
+    aura: "number",
+  }),
+  spells: Object.freeze({
+    name: "string",
+    technique: "string",
+    form: "string",
+    range: "string",
+    duration: "string",
+    target: "string",
+    base: "number",
+    level: "number",
+    computedLevel: "number",
+    ritual: "boolean",
+  }),
+  encounters: Object.freeze({ name: "string", round: "number" }),
+  books: Object.freeze({
+    title: "string",
+    type: "string",
+    subject: "string",
+    author: "string",
+    level: "number",
+    quality: "number",
+  }),
+  rolls: Object.freeze({
+    character: "string",
+    session: "string",
+    label: "string",
+    die: "string",
+    rolled: "string",
+    total: "number",
+    difficulty: "number",
+    botches: "number",
+    success: "boolean",
+    botched: "boolean",
+  }),
+  visTransactions: Object.freeze({
+    type: "string",
+    art: "string",
+    pawns: "number",
+    year: "number",
+    season: "string",
+    source: "string",
+    reverses: "string",
+    "from.kind": "string",
+    "from.id": "string",
+    "to.kind": "string",
+    "to.id": "string",
+  }),
+  drafts: Object.freeze({ owner: "string", committed: "string" }),
+  sagas: Object.freeze({ name: "string", role: "string" }),
+  history: Object.freeze({
+    version: "number",
+    action: "string",
+    author: "string",
+    time: "string",
+  }),
+});
+
+/**
+ * Get a field of a value.
+ * @param {any} value The value.
+ * @param {string} field The path of the field.
+ * @returns {any} The value of the field, or an undefined value, if the value has no
+ * such field.
+ */
+function fieldValue(value, field) {
+  return field.split(".").reduce((current, name) => current?.[name], value);
+}
+
+/**
+ * Parse the value of a field filter.
+ * @param {string} value The query value.
+ * @param {FieldType} type The type of the field.
+ * @returns {string|number|boolean|undefined} The parsed value, or an undefined
+ * value, if the value was invalid.
+ */
+function parseFieldValue(value, type) {
+  switch (type) {
+    case "number":
+      return value.trim() === "" || !Number.isFinite(Number(value))
+        ? undefined
+        : Number(value);
+    case "boolean":
+      return { true: true, false: false }[value];
+    default:
+      return value;
+  }
+}
+
+/**
+ * Parse a natural number of the query.
+ * @param {any} value The query value.
+ * @param {string} name The name of the query parameter.
+ * @param {number} minimum The smallest allowed value.
+ * @param {number} maximum The largest allowed value.
+ * @param {import("../model/character.mjs").ValidationIssue[]} issues The list the
+ * found issues are added to.
+ * @returns {number|undefined} The parsed number, or an undefined value, if the query
+ * did not contain the parameter.
+ */
+function parseCount(value, name, minimum, maximum, issues) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const parsed = Number(value);
+  if (!/^\d+$/.test(value) || parsed < minimum || parsed > maximum) {
+    issues.push({
+      path: `$.${name}`,
+      message: `Expected an integer from ${minimum} to ${maximum}`,
+    });
+  }
+  return parsed;
+}
+
+/**
+ * Create the canonical form of the sort keys.
+ * @param {SortKey[]} sort The sort keys.
+ * @returns {string} The sort keys as the value of the sort parameter.
+ */
+function sortParameter(sort) {
+  return sort
+    .map(({ field, descending }) => `${descending ? "-" : ""}${field}`)
+    .join(",");
+}
+
+/**
+ * Encode a cursor.
+ * @param {Object} position The position of the cursor.
+ * @returns {string} The opaque cursor.
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * Decode a cursor.
+ * @param {string} cursor The opaque cursor.
+ * @param {SortKey[]} sort The sort keys of the request.
+ * @returns {{offset: number}|{after: any[]}|undefined} The position of the cursor,
+ * or an undefined value, if the cursor was invalid for the sort keys.
+ */
+function decodeCursor(cursor, sort) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    return undefined;
+  }
+  if (sort.length === 0) {
+    return Number.isInteger(position?.o) && position.o >= 0
+      ? { offset: position.o }
+      : undefined;
+  }
+  return position?.s === sortParameter(sort) &&
+    Array.isArray(position.k) &&
+    position.k.length === sort.length + 1
+    ? { after: position.k }
+    : undefined;
+}
+
+/**
+ * Parse the collection query of a request query.
+ * @param {Record<string, any>} query The request query.
+ * @param {CollectionFields} fields The fields of the collection.
+ * @returns {CollectionQuery} The collection query.
+ * @throws {ValidationError} The query was invalid.
+ */
+export function parseCollectionQuery(query, fields) {
+  /** @type {import("../model/character.mjs").ValidationIssue[]} */
+  const issues = [];
+  /** @type {FieldFilter[]} */
+  const filters = [];
+  Object.entries(fields).forEach(([field, type]) => {
+    FIELD_OPERATORS[type].forEach((operator) => {
+      const name = `${field}${operator}`;
+      if (query[name] === undefined) {
+        return;
+      }
+      const value =
+        typeof query[name] === "string"
+          ? parseFieldValue(query[name], type)
+          : undefined;
+      if (value === undefined) {
+        issues.push({ path: `$.${name}`, message: `Expected a ${type}` });
+      } else {
+        filters.push({ field, operator, value });
+      }
+    });
+  });
+
+  /** @type {SortKey[]} */
+  const sort = [];
+  if (query.sort !== undefined) {
+    `${query.sort}`.split(",").forEach((key) => {
+      const field = key.replace(/^-/, "");
+      if (field in fields) {
+        sort.push({ field, descending: key.startsWith("-") });
+      } else {
+        issues.push({ path: "$.sort", message: `Unknown sort field ${field}` });
+      }
+    });
+  }
+
+  const selected =
+    query.fields === undefined
+      ? undefined
+      : `${query.fields}`.split(",").filter((field) => field !== "");
+  if (selected?.length === 0) {
+    issues.push({ path: "$.fields", message: "Expected the field names" });
+  }
+
+  const offset = parseCount(query.offset, "offset", 0, MAX_OFFSET, issues);
+  const limit = parseCount(query.limit, "limit", 1, MAX_PAGE_SIZE, issues);
+  let position = {};
+  if (query.cursor !== undefined) {
+    position =
+      typeof query.cursor === "string" && offset === undefined
+        ? decodeCursor(query.cursor, sort)
+        : undefined;
+    if (position === undefined) {
+      issues.push({
+        path: "$.cursor",
+        message:
+          offset === undefined
+            ? "Invalid cursor"
+            : "The cursor may not be combined with an offset",
+      });
+    }
+  }
+  if (issues.length > 0) {
+    throw new ValidationError("Invalid collection query", issues);
+  }
+  return {
+    filters,
+    sort,
+    ...(selected === undefined ? {} : { fields: selected }),
+    limit: limit ?? DEFAULT_PAGE_SIZE,
+    offset: position.offset ?? offset ?? 0,
+    ...(position.after === undefined ? {} : { after: position.after }),
+  };
+}
+
+/**
+ * Create the middleware parsing the collection query of the requests into the
+ * property `collection` of the request.
+ * @param {CollectionFields} [fields] The fields of the collection. Defaults to no
+ * filterable or sortable fields.
+ * @returns {import("express").RequestHandler} The middleware.
+ */
+export function collectionQuery(fields = {}) {
+  return function (req, res, next) {
+    req.collection = parseCollectionQuery(req.query, fields);
+    next();
+  };
+}
+
+/**
+ * Create the sort key tuple of a value.
+ * @param {any} value The value.
+ * @param {SortKey[]} sort The sort keys.
+ * @returns {any[]} The values of the sort fields followed by the identifier.
+ */
+function sortKeys(value, sort) {
+  return [...sort.map(({ field }) => fieldValue(value, field)), value?.id].map(
+    (key) => key ?? null
+  );
+}
+
+/**
+ * Create the comparison of the sort key tuples.
+ * @param {SortKey[]} sort The sort keys.
+ * @returns {(a: any[], b: any[]) => number} The comparison of the tuples. The
+ * identifiers are compared in the ascending order.
+ */
+function compareSortKeys(sort) {
+  return (a, b) => {
+    for (let index = 0; index < a.length; index++) {
+      const comparison = compareKeys(a[index], b[index]);
+      if (comparison !== 0) {
+        return sort[index]?.descending ? -comparison : comparison;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Select the sparse fieldset of a value.
+ * @param {any} value The value.
+ * @param {string[]} fields The selected fields.
+ * @returns {any} The value with the identifier and the selected fields.
+ */
+function selectFields(value, fields) {
+  return Object.fromEntries(
+    Object.entries(value).filter(
+      ([field]) => field === "id" || fields.includes(field)
+    )
+  );
+}
+
+/**
+ * Read the page of a collection query from the listed values.
+ * @template VALUE The type of the values.
+ * @param {import("../persistence/query.mjs").AsyncQuery<VALUE>} values The listed
+ * values.
+ * @param {CollectionQuery} collection The collection query.
+ * @returns {Promise<{page: VALUE[], next?: string}>} The values of the page, and the
+ * cursor of the next page, if the listing continues after the page.
+ */
+export async function readPage(values, collection) {
+  const { filters, sort, limit, offset, after } = collection;
+  const selected = values.filter((value) =>
+    filters.every(({ field, operator, value: compared }) =>
+      OPERATORS[operator](compareKeys(fieldValue(value, field), compared))
+    )
+  );
+  /** @type {VALUE[]} */
+  let read;
+  if (sort.length === 0) {
+    read = await selected
+      .drop(offset)
+      .take(limit + 1)
+      .toArray();
+  } else {
+    const compare = compareSortKeys(sort);
+    read = await selected
+      .filter(
+        (value) =>
+          after === undefined || compare(sortKeys(value, sort), after) > 0
+      )
+      .sortBy((value) => sortKeys(value, sort), {
+        limit: offset + limit + 1,
+        compare,
+      })
+      .drop(offset)
+      .toArray();
+  }
+  const page = read.slice(0, limit);
+  if (read.length <= limit) {
+    return { page };
+  }
+  return {
+    page,
+    next: encodeCursor(
+      sort.length === 0
+        ? { o: offset + limit }
+        : { s: sortParameter(sort), k: sortKeys(page.at(-1), sort) }
+    ),
+  };
+}
+
+/**
+ * Send the page of the collection query of a request. The listing must have been
+ * parsed by the collection middleware.
+ * @param {import("express").Request} req The request.
+ * @param {import("express").Response} res The response.
+ * @param {import("../persistence/query.mjs").AsyncQuery<any>} values The listed
+ * values.
+ * @returns {Promise<void>}
+ */
+export async function sendCollection(req, res, values) {
+  const { page, next } = await readPage(values, req.collection);
+  const { fields } = req.collection;
+  const body = JSON.stringify(
+    fields === undefined
+      ? page
+      : page.map((value) => selectFields(value, fields))
+  );
+  if (next !== undefined) {
+    const url = new URL(req.originalUrl, "http://localhost");
+    url.searchParams.delete("offset");
+    url.searchParams.set("cursor", next);
+    res.links({ next: `${url.pathname}${url.search}` });
+  }
+  res.set("ETag", `W/"${createHash("sha1").update(body).digest("base64url")}"`);
+  if (req.fresh) {
+    res.status(304).end();
+  } else {
+    res.type("json").send(body);
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * The REST API of the covenants.
+ * @module api/covenants
+ */
+
+import {
+  normalizeCovenant,
+  validateCovenant,
+  yearlyFinances,
+} from "../model/covenant.mjs";
+import { validateStoryguideProperties } from "../model/saga.mjs";
+import { COLLECTION_FIELDS } from "./collection.mjs";
+import { asyncHandler, ValidationError } from "./errors.mjs";
+import { createResourceRouter, getEntity } from "./resource.mjs";
+
+/**
+ * The options of the covenant router.
+ * @typedef {Object} CovenantRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/covenant.mjs").Covenant>} repository
+ * The repository of the covenants.
+ */
+
+/**
+ * Get the covenant with the identifier.
+ * @param {CovenantRouterOptions["repository"]} repository The covenant repository.
+ * @param {string} id The identifier of the covenant.
+ * @returns {Promise<import("../model/covenant.mjs").Covenant>} The covenant.
+ * @throws {import("./errors.mjs").NotFoundError} The covenant does not exist.
+ */
+export function getCovenant(repository, id) {
+  return getEntity(repository, id, "covenant");
+}
+
+/**
+ * Create the definition of the covenant resource.
+ * @param {CovenantRouterOptions["repository"]} repository The covenant repository.
+ * @returns {import("./resource.mjs").ResourceDefinition<import("../model/covenant.mjs").Covenant>}
+ * The resource definition of the covenants.
+ */
+export function covenantResource(repository) {
+  return {
+    label: "covenant",
+    repository,
+    validate(covenant) {
+      return [
+        ...validateCovenant(covenant),
+        ...validateStoryguideProperties(covenant),
+      ];
+    },
+    normalize: normalizeCovenant,
+    serverManaged: ["id", "saga"],
+    fields: COLLECTION_FIELDS.covenants,
+    filter({ tribunal }) {
+      return tribunal === undefined
+        ? undefined
+        : (covenant) => covenant.tribunal === tribunal;
+    },
+  };
+}
+
+/**
+ * Create the router of the covenants.
+ * @param {CovenantRouterOptions} options The router options.
+ * @returns {import("express").Router} The router handling the covenant resources.
+ */
+export function createCovenantRouter({ repository }) {
+  const router = createResourceRouter(covenantResource(repository));
+
+  router.get(
+    "/:id/finances",
+    asyncHandler(async (req, res) => {
+      const covenant = await getCovenant(repository, req.params.id);
+      const year =
+        req.query.year === undefined ? undefined : Number(req.query.year);
+      try {
+        res.json(yearlyFinances(covenant, year));
+      } catch (err) {
+        if (err instanceof RangeError) {
+          throw new ValidationError(err.message, [
+            { path: "$.year", message: err.message },
+          ]);
+        }
+        throw err;
+      }
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,240 @@
+/**
+ * The REST API of the document import and export.
+ * @module api/documents
+ */
+
+import express from "express";
+import { normalizeSpell, validateSpell } from "../model/spell.mjs";
+import {
+  createDocument,
+  DOCUMENT_KINDS,
+  documentSchema,
+  DocumentError,
+  readDocument,
+} from "../schema/documents.mjs";
+import { characterResource, getCharacter } from "./characters.mjs";
+import { covenantResource, getCovenant } from "./covenants.mjs";
+import { asyncHandler, NotFoundError, ValidationError } from "./errors.mjs";
+import { createValidator } from "./resource.mjs";
+
+/**
+ * The options of the document router.
+ * @typedef {Object} DocumentRouterOptions
+ * @property {import("./index.mjs").Repositories} repositories The repositories of
+ * the imported and exported entities.
+ */
+
+/**
+ * Move the issues of an entity under the path of the entity in a document.
+ * @param {import("../model/character.mjs").ValidationIssue[]} issues The issues
+ * with paths relative to the entity.
+ * @param {string} path The JSON path of the entity in the document.
+ * @returns {import("../model/character.mjs").ValidationIssue[]} The issues with paths
+ * relative to the document.
+ */
+function rebase(issues, path) {
+  return issues.map((issue) => ({
+    ...issue,
+    path: path + issue.path.slice(1),
+  }));
+}
+
+/**
+ * Validate and normalize an imported entity.
+ * @param {(content: any) => Object} validated The validator of the entity type.
+ * @param {Object} entity The imported entity with its exported identifier.
+ * @param {string} path The JSON path of the entity in the document.
+ * @param {import("../model/character.mjs").ValidationIssue[]} issues The list the
+ * found issues are added to.
+ * @returns {Object|undefined} The normalized entity without identifier, or an
+ * undefined value, if the entity was invalid.
+ */
+function importedEntity(validated, { id, ...entity }, path, issues) {
+  try {
+    return validated(entity);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      issues.push(...rebase(err.issues, path));
+      return undefined;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Create the router of the document import and export.
+ * @param {DocumentRouterOptions} options The router options.
+ * @returns {import("express").Router} The router of the documents.
+ */
+export function createDocumentRouter({ repositories }) {
+  const { characters, covenants, spells } = repositories;
+  const router = express.Router();
+  const validatedCharacter = createValidator(characterResource(characters));
+  const validatedCovenant = createValidator(covenantResource(covenants));
+  const validatedSpell = createValidator({
+    label: "spell",
+    validate: validateSpell,
+    normalize: normalizeSpell,
+  });
+
+  /**
+   * Import the entities of a valid document. All entities are validated before any
+   * of them is stored, and the references between the imported entities are mapped
+   * to the new identifiers.
+   * @param {import("../schema/documents.mjs").Document} document The document.
+   * @returns {Promise<Record<string, string[]>>} The identifiers of the created
+   * entities by the entity type.
+   * @throws {ValidationError} An entity of the document was invalid.
+   */
+  async function importDocument({ kind, data }) {
+    const saga =
+      kind === "saga"
+        ? data
+        : {
+            characters: kind === "character" ? [data] : [],
+            covenants: kind === "covenant" ? [data] : [],
+            spells: [],
+          };
+    const pathOf = (property, index) =>
+      kind === "saga" ? `$.data.${property}[${index}]` : "$.data";
+    /** @type {import("../model/character.mjs").ValidationIssue[]} */
+    const issues = [];
+    const imported = {
+      spells: saga.spells.map((spell, index) =>
+        importedEntity(validatedSpell, spell, pathOf("spells", index), issues)
+      ),
+      characters: saga.characters.map((character, index) =>
+        importedEntity(
+          validatedCharacter,
+          character,
+          pathOf("characters", index),
+          issues
+        )
+      ),
+      covenants: saga.covenants.map((covenant, index) =>
+        importedEntity(
+          validatedCovenant,
+          covenant,
+          pathOf("covenants", index),
+          issues
+        )
+      ),
+    };
+    const importedSpells = new Set(saga.spells.map((spell) => spell.id));
+    for (const [index, character] of saga.characters.entries()) {
+      for (const [spellIndex, { spell }] of (
+        character.spells ?? []
+      ).entries()) {
+        if (
+          !importedSpells.has(spell) &&
+          (spells === undefined || (await spells.get(spell)) === undefined)
+        ) {
+          issues.push({
+            path: `${pathOf("characters", index)}.spells[${spellIndex}].spell`,
+            message: `No spell with identifier ${spell}`,
+          });
+        }
+      }
+    }
+    if (issues.length > 0) {
+      throw new ValidationError(`Invalid ${kind} document`, issues);
+    }
+
+    /** @type {Map<string, string>} */
+    const identifiers = new Map();
+    const created = { characters: [], covenants: [], spells: [] };
+    for (const [index, spell] of imported.spells.entries()) {
+      const { id } = await spells.create(spell);
+      identifiers.set(saga.spells[index].id, id);
+      created.spells.push(id);
+    }
+    for (const [index, character] of imported.characters.entries()) {
+      const { id } = await characters.create({
+        ...character,
+        ...(character.spells === undefined
+          ? {}
+          : {
+              spells: character.spells.map((known) => ({
+                ...known,
+                spell: identifiers.get(known.spell) ?? known.spell,
+              })),
+            }),
+      });
+      identifiers.set(saga.characters[index].id, id);
+      created.characters.push(id);
+    }
+    for (const covenant of imported.covenants) {
+      const { id } = await covenants.create({
+        ...covenant,
+        laboratories: covenant.laboratories.map((laboratory) =>
+          laboratory.owner === undefined
+            ? laboratory
+            : {
+                ...laboratory,
+                owner: identifiers.get(laboratory.owner) ?? laboratory.owner,
+              }
+        ),
+      });
+      created.covenants.push(id);
+    }
+    return created;
+  }
+
+  router.get("/schemas/:kind", (req, res) => {
+    if (!DOCUMENT_KINDS.includes(req.params.kind)) {
+      throw new NotFoundError(`No schema for ${req.params.kind}`);
+    }
+    res.json(documentSchema(req.params.kind));
+  });
+
+  router.get(
+    "/export/characters/:id",
+    asyncHandler(async (req, res) => {
+      const character = await getCharacter(characters, req.params.id);
+      res.json(createDocument("character", character));
+    })
+  );
+
+  router.get(
+    "/export/covenants/:id",
+    asyncHandler(async (req, res) => {
+      const covenant = await getCovenant(covenants, req.params.id);
+      res.json(createDocument("covenant", covenant));
+    })
+  );
+
+  router.get(
+    "/export/saga",
+    asyncHandler(async (req, res) => {
+      res.json(
+        createDocument("saga", {
+          ...(typeof req.query.name === "string"
+            ? { name: req.query.name }
+            : {}),
+          characters: await characters.list(),
+          covenants: await covenants.list(),
+          spells: spells === undefined ? [] : await spells.list(),
+        })
+      );
+    })
+  );
+
+  router.post(
+    "/import",
+    asyncHandler(async (req, res) => {
+      let document;
+      try {
+        document = readDocument(req.body);
+      } catch (err) {
+        if (err instanceof DocumentError) {
+          throw new ValidationError(err.message, err.issues, { cause: err });
+        }
+        throw err;
+      }
+      const created = await importDocument(document);
+      res.status(201).json({ kind: document.kind, created });
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,225 @@
+/**
+ * The REST API of the combat encounters.
+ *
+ * Besides creating, changing and deleting the encounters, the router starts the
+ * rounds of an encounter, performs the actions of the combatants, and shows the
+ * combat totals of the combatants. The rounds and the actions are appended to the
+ * log of the encounter with the seeds of their dice, and those rolled with the seed
+ * chosen by the client are logged as such. Like the other saga content, the
+ * encounters are reached through their saga at `/sagas/:saga/encounters`.
+ * @module api/encounters
+ */
+
+import express from "express";
+import {
+  ARMOR,
+  CombatError,
+  combatCondition,
+  combatTotals,
+  normalizeEncounter,
+  performAction,
+  SHIELDS,
+  startRound,
+  validateEncounter,
+  WEAPONS,
+} from "../model/combat.mjs";
+import { isSeed } from "../model/dice.mjs";
+import { getCharacter } from "./characters.mjs";
+import { COLLECTION_FIELDS } from "./collection.mjs";
+import { asyncHandler, ValidationError } from "./errors.mjs";
+import {
+  createResourceRouter,
+  createValidator,
+  getEntity,
+} from "./resource.mjs";
+import { isPlainObject } from "./utils.mjs";
+
+/**
+ * The options of the encounter router.
+ * @typedef {Object} EncounterRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/combat.mjs").Encounter>} repository
+ * The repository of the encounters.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/character.mjs").Character>} characters
+ * The repository of the characters.
+ */
+
+/**
+ * Perform a combat operation reporting its failures as validation errors.
+ * @template RESULT The result type of the operation.
+ * @param {() => RESULT} operation The operation.
+ * @returns {RESULT} The result of the operation.
+ * @throws {ValidationError} The operation was invalid.
+ */
+function combatOperation(operation) {
+  try {
+    return operation();
+  } catch (err) {
+    if (err instanceof CombatError) {
+      throw new ValidationError(err.message, err.issues, { cause: err });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Read the seed of a request.
+ * @param {any} body The request content.
+ * @returns {number|undefined} The seed, or undefined, if the request has no seed.
+ * @throws {ValidationError} The request or the seed was invalid.
+ */
+function requestedSeed(body) {
+  if (body !== undefined && !isPlainObject(body)) {
+    throw new ValidationError("Invalid request", [
+      { path: "$", message: "The request must be an object" },
+    ]);
+  }
+  const seed = body?.seed;
+  if (seed !== undefined && !isSeed(seed)) {
+    throw new ValidationError("Invalid seed", [
+      { path: "$.seed", message: "Seed must be an unsigned 32 bit integer" },
+    ]);
+  }
+  return seed;
+}
+
+/**
+ * Create the definition of the encounter resource.
+ * @param {EncounterRouterOptions} options The router options.
+ * @returns {import("./resource.mjs").ResourceDefinition<import("../model/combat.mjs").Encounter>}
+ * The resource definition of the encounters.
+ */
+export function encounterResource({ repository, characters }) {
+  return {
+    label: "encounter",
+    repository,
+    validate: validateEncounter,
+    normalize: normalizeEncounter,
+    serverManaged: ["id", "saga", "round", "order", "acted", "log"],
+    fields: COLLECTION_FIELDS.encounters,
+    async verify({ combatants }) {
+      await Promise.all(
+        combatants.map(({ character }) => getCharacter(characters, character))
+      );
+    },
+  };
+}
+
+/**
+ * Create the router of the encounters.
+ * @param {EncounterRouterOptions} options The router options.
+ * @returns {import("express").Router} The router handling the encounters.
+ */
+export function createEncounterRouter({ repository, characters }) {
+  const router = express.Router();
+  const resource = encounterResource({ repository, characters });
+  const validated = createValidator(resource);
+
+  /**
+   * Get the characters of the combatants of an encounter.
+   * @param {import("../model/combat.mjs").Encounter} encounter The encounter.
+   * @returns {Promise<Map<string, import("../model/character.mjs").Character>>} The
+   * characters by their identifiers.
+   * @throws {import("./errors.mjs").NotFoundError} A character does not exist.
+   */
+  async function combatantCharacters({ combatants }) {
+    return new Map(
+      await Promise.all(
+        combatants.map(async ({ character }) => [
+          character,
+          await getCharacter(characters, character),
+        ])
+      )
+    );
+  }
+
+  /**
+   * Store an encounter changed by a round or an action.
+   * @param {string} id The identifier of the encounter.
+   * @param {{encounter: import("../model/combat.mjs").Encounter, action: Object}} changed
+   * The changed encounter, and the action appended to its log.
+   * @param {number} [seed] The seed supplied by the client.
+   * @returns {Promise<{encounter: import("../model/combat.mjs").Encounter, action: Object}>}
+   * The stored encounter and the logged action.
+   */
+  async function storeAction(id, { encounter, action }, seed = undefined) {
+    const logged = {
+      ...action,
+      ...(seed === undefined ? {} : { clientSeed: true }),
+      recorded: new Date().toISOString(),
+    };
+    const stored = await repository.update(
+      id,
+      validated({ ...encounter, log: [...encounter.log.slice(0, -1), logged] })
+    );
+    return { encounter: stored, action: logged };
+  }
+
+  router.get("/equipment", (req, res) => {
+    res.json({ weapons: WEAPONS, shields: SHIELDS, armor: ARMOR });
+  });
+
+  router.get(
+    "/:id/totals",
+    asyncHandler(async (req, res) => {
+      const encounter = await getEntity(repository, req.params.id, "encounter");
+      const found = await combatantCharacters(encounter);
+      res.json(
+        encounter.combatants.map((combatant) => ({
+          character: combatant.character,
+          condition: combatCondition(combatant),
+          ...combatOperation(() =>
+            combatTotals({
+              ...combatant,
+              character: found.get(combatant.character),
+            })
+          ),
+        }))
+      );
+    })
+  );
+
+  router.post(
+    "/:id/rounds",
+    asyncHandler(async (req, res) => {
+      const seed = requestedSeed(req.body);
+      const { id, ...encounter } = await getEntity(
+        repository,
+        req.params.id,
+        "encounter"
+      );
+      const found = await combatantCharacters(encounter);
+      res.status(201).json(
+        await storeAction(
+          id,
+          combatOperation(() => startRound(encounter, found, seed)),
+          seed
+        )
+      );
+    })
+  );
+
+  router.post(
+    "/:id/actions",
+    asyncHandler(async (req, res) => {
+      const seed = requestedSeed(req.body);
+      const { id, ...encounter } = await getEntity(
+        repository,
+        req.params.id,
+        "encounter"
+      );
+      const found = await combatantCharacters(encounter);
+      res.status(201).json(
+        await storeAction(
+          id,
+          combatOperation(() =>
+            performAction(encounter, found, req.body ?? {})
+          ),
+          seed
+        )
+      );
+    })
+  );
+
+  router.use(createResourceRouter(resource));
+  return router;
+}
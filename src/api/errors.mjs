@@ -0,0 +1,207 @@
+/**
+ * The errors of the REST API and the middleware reporting them.
+ *
+ * The errors are reported as RFC 9457 problem details with the media type
+ * `application/problem+json`. Besides the standard members, the problem repeats the
+ * detail in the member `error`, and lists the validation issues in the member
+ * `details`.
+ * @module api/errors
+ */
+
+import { STATUS_CODES } from "node:http";
+import {
+  NoSuchEntityError,
+  VersionConflictError,
+} from "../persistence/repository.mjs";
+
+/**
+ * An error with a HTTP status.
+ */
+export class HttpError extends Error {
+  /**
+   * Create a new HTTP error.
+   * @param {number} status The HTTP status code of the error.
+   * @param {string} message The message of the error.
+   * @param {ErrorOptions & {details?: any}} [options] The error options.
+   */
+  constructor(status, message, options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The HTTP status code.
+     * @type {number}
+     */
+    this.status = status;
+    /**
+     * The details of the error sent to the client.
+     * @type {any}
+     */
+    this.details = options?.details;
+  }
+}
+
+/**
+ * The error indicating the requested resource does not exist.
+ */
+export class NotFoundError extends HttpError {
+  /**
+   * Create a new not found error.
+   * @param {string} message The message of the error.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, options = undefined) {
+    super(404, message, options);
+  }
+}
+
+/**
+ * The error indicating the request was not authenticated.
+ */
+export class UnauthorizedError extends HttpError {
+  /**
+   * Create a new unauthorized error.
+   * @param {string} [message] The message of the error.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message = "Authentication required", options = undefined) {
+    super(401, message, options);
+  }
+}
+
+/**
+ * The error indicating the authenticated user may not perform the request.
+ */
+export class ForbiddenError extends HttpError {
+  /**
+   * Create a new forbidden error.
+   * @param {string} message The message of the error.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, options = undefined) {
+    super(403, message, options);
+  }
+}
+
+/**
+ * The error indicating the request conflicts with the state of the resource.
+ */
+export class ConflictError extends HttpError {
+  /**
+   * Create a new conflict error.
+   * @param {string} message The message of the error.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, options = undefined) {
+    super(409, message, options);
+  }
+}
+
+/**
+ * The error indicating the request content was invalid.
+ */
+export class ValidationError extends HttpError {
+  /**
+   * Create a new validation error.
+   * @param {string} message The message of the error.
+   * @param {import("../model/character.mjs").ValidationIssue[]} [issues] The
+   * validation issues.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(400, message, { ...options, details: issues });
+    /**
+     * The validation issues.
+     * @type {import("../model/character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Wrap an asynchronous request handler passing its failures to the error handler.
+ * @param {import("express").RequestHandler} handler The wrapped handler.
+ * @returns {import("express").RequestHandler} The handler forwarding the rejections
+ * to the next handler.
+ */
+export function asyncHandler(handler) {
+  return function (req, res, next) {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Send the problem details of a failed request.
+ * @param {import("express").Request} req The request.
+ * @param {import("express").Response} res The response.
+ * @param {number} status The HTTP status code.
+ * @param {string} detail The explanation of the problem.
+ * @param {any} [details] The validation issues of the problem.
+ */
+function sendProblem(req, res, status, detail, details = undefined) {
+  res
+    .status(status)
+    .type("application/problem+json")
+    .send(
+      JSON.stringify({
+        type: "about:blank",
+        title: STATUS_CODES[status] ?? "Error",
+        status,
+        detail,
+        instance: req.originalUrl,
+        error: detail,
+        ...(details === undefined ? {} : { details }),
+      })
+    );
+}
+
+/**
+ * The middleware reporting the requests no route handled.
+ * @type {import("express").RequestHandler}
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`No route ${req.method} ${req.originalUrl}`));
+}
+
+/**
+ * Test whether an error is a client error of the middleware, like a too large or an
+ * unsupported content, or a malformed path.
+ * @param {any} err The tested error.
+ * @returns {boolean} True, if and only if the error has a client error status.
+ */
+function isClientError(err) {
+  const status = err?.status ?? err?.statusCode;
+  return Number.isInteger(status) && status >= 400 && status < 500;
+}
+
+/**
+ * The error handling middleware of the API. The error is reported as problem
+ * details with the error message, and the optional details.
+ * @type {import("express").ErrorRequestHandler}
+ */
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (err instanceof NoSuchEntityError) {
+    err = new NotFoundError(err.message, { cause: err });
+  } else if (err instanceof VersionConflictError) {
+    err = new ConflictError(err.message, { cause: err });
+  } else if (err.type === "entity.parse.failed") {
+    err = new HttpError(400, "Malformed JSON content", { cause: err });
+  } else if (!(err instanceof HttpError) && isClientError(err)) {
+    const status = err.status ?? err.statusCode;
+    err = new HttpError(
+      status,
+      err.expose === true
+        ? err.message
+        : STATUS_CODES[status] ?? "Client error",
+      { cause: err }
+    );
+  }
+  if (err instanceof HttpError) {
+    sendProblem(req, res, err.status, err.message, err.details);
+  } else {
+    console.error(`Request ${req.method} ${req.originalUrl} failed: ${err}`);
+    sendProblem(req, res, 500, "Internal server error");
+  }
+}
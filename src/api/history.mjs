@@ -0,0 +1,249 @@
+/**
+ * The REST API of the entity histories.
+ *
+ * The history router is mounted under a recorded entity. It lists the versions of the
+ * entity with their changes, shows a version and the changes between two versions,
+ * and restores an earlier version. A restoration is a new change recorded into the
+ * history, so undoing a change never removes the history of the entity.
+ *
+ * The members who are not storyguides see the versions without the secret
+ * properties, and do not see the versions hidden from them.
+ * @module api/history
+ */
+
+import express from "express";
+import { memberView } from "../model/saga.mjs";
+import {
+  diffContent,
+  entityContent,
+  replayHistory,
+  sameContent,
+} from "../model/history.mjs";
+import { entityHistory, recordChanges } from "../persistence/history.mjs";
+import { Query } from "../persistence/query.mjs";
+import {
+  COLLECTION_FIELDS,
+  collectionQuery,
+  sendCollection,
+} from "./collection.mjs";
+import {
+  asyncHandler,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "./errors.mjs";
+import { getEntity } from "./resource.mjs";
+import { isPlainObject } from "./utils.mjs";
+
+/**
+ * The types of the recorded entities by the names of their repositories.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const HISTORY_ENTITIES = Object.freeze({
+  characters: "character",
+  covenants: "covenant",
+});
+
+/**
+ * The options of the history router.
+ * @typedef {Object} HistoryRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository} repository
+ * The repository of the recorded entities.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/history.mjs").HistoryEvent>} history
+ * The repository of the history events.
+ * @property {string} entity The type of the recorded entities.
+ */
+
+/**
+ * A version of an entity seen by a member.
+ * @typedef {Object} VersionView
+ * @property {string} id The identifier of the event creating the version.
+ * @property {number} version The version.
+ * @property {string} action The action of the event.
+ * @property {string} [author] The identifier of the user creating the version.
+ * @property {string} time The time of the version.
+ * @property {import("../model/timeline.mjs").Season} [season] The saga season of
+ * the version.
+ * @property {number} [reverts] The restored version.
+ * @property {import("../model/history.mjs").PatchOperation[]} changes The changes
+ * from the previous version seen by the member.
+ * @property {Object} [state] The content of the version seen by the member.
+ */
+
+/**
+ * Parse a version of a request.
+ * @param {any} value The version value.
+ * @param {string} path The path of the value in the validation issues.
+ * @returns {number} The version.
+ * @throws {ValidationError} The version was invalid.
+ */
+function parseVersion(value, path) {
+  const version = typeof value === "string" ? Number(value) : value;
+  if (!(Number.isInteger(version) && version >= 1)) {
+    throw new ValidationError("Invalid version", [
+      { path, message: "Version must be a positive integer" },
+    ]);
+  }
+  return version;
+}
+
+/**
+ * Create the router of the history of an entity. The router expects the entity
+ * identifier as the route parameter `id`.
+ * @param {HistoryRouterOptions} options The router options.
+ * @returns {import("express").Router} The router handling the history.
+ */
+export function createHistoryRouter({ repository, history, entity }) {
+  const router = express.Router({ mergeParams: true });
+
+  /**
+   * Load the versions of the entity of a request seen by the member.
+   * @param {import("express").Request} req The request.
+   * @returns {Promise<{current: Object, versions: (VersionView & {stored?: Object})[]}>}
+   * The current entity and its versions. The stored content of the versions is
+   * kept for their restoration.
+   * @throws {NotFoundError} The entity does not exist.
+   */
+  async function loadVersions(req) {
+    const current = await getEntity(repository, req.params.id, entity);
+    const storyguide = req.role === "storyguide";
+    const view = (state) =>
+      state === undefined ? undefined : memberView(state, storyguide);
+    const replayed = replayHistory(
+      await entityHistory(history, entity, current.id)
+    );
+    const versions = replayed.map(({ event, state }, index) => {
+      const { id, entityVersion, action, author, time, season, reverts } =
+        event;
+      return {
+        id,
+        version: entityVersion,
+        action,
+        ...(author === undefined ? {} : { author }),
+        time,
+        ...(season === undefined ? {} : { season }),
+        ...(reverts === undefined ? {} : { reverts }),
+        changes: diffContent(view(replayed[index - 1]?.state), view(state)),
+        ...(view(state) === undefined ? {} : { state: view(state) }),
+        stored: state,
+      };
+    });
+    return { current, versions };
+  }
+
+  /**
+   * Find a version of the entity.
+   * @param {(VersionView & {stored?: Object})[]} versions The versions.
+   * @param {number} version The version number.
+   * @returns {VersionView & {stored?: Object}} The version.
+   * @throws {NotFoundError} The version does not exist or is hidden.
+   */
+  function findVersion(versions, version) {
+    const found = versions.find((candidate) => candidate.version === version);
+    if (found?.state === undefined) {
+      throw new NotFoundError(`No version ${version} of the ${entity}`);
+    }
+    return found;
+  }
+
+  /**
+   * Restore a version of an entity with a reverting change.
+   * @param {Object} current The current entity.
+   * @param {VersionView & {stored?: Object}} restored The restored version.
+   * @returns {Promise<Object>} The updated entity.
+   * @throws {ConflictError} The entity already has the content of the version.
+   */
+  function restore(current, restored) {
+    if (sameContent(entityContent(current), restored.state)) {
+      throw new ConflictError(
+        `The ${entity} already has the content of version ${restored.version}`
+      );
+    }
+    return recordChanges({ reverts: restored.version }, () =>
+      repository.update(current.id, {
+        ...restored.stored,
+        version: current.version,
+      })
+    );
+  }
+
+  router.get(
+    "/",
+    collectionQuery(COLLECTION_FIELDS.history),
+    asyncHandler(async (req, res) => {
+      const { versions } = await loadVersions(req);
+      await sendCollection(
+        req,
+        res,
+        new Query(
+          versions.map(({ state, stored, ...version }) => version)
+        ).async()
+      );
+    })
+  );
+
+  router.get(
+    "/diff",
+    asyncHandler(async (req, res) => {
+      const { current, versions } = await loadVersions(req);
+      const from = parseVersion(req.query.from, "$.from");
+      const to =
+        req.query.to === undefined
+          ? current.version
+          : parseVersion(req.query.to, "$.to");
+      res.json({
+        from,
+        to,
+        changes: diffContent(
+          findVersion(versions, from).state,
+          findVersion(versions, to).state
+        ),
+      });
+    })
+  );
+
+  router.get(
+    "/:version",
+    asyncHandler(async (req, res) => {
+      const { versions } = await loadVersions(req);
+      const { stored, ...version } = findVersion(
+        versions,
+        parseVersion(req.params.version, "$.version")
+      );
+      res.json(version);
+    })
+  );
+
+  router.post(
+    "/revert",
+    asyncHandler(async (req, res) => {
+      if (!isPlainObject(req.body)) {
+        throw new ValidationError("The revert must be an object");
+      }
+      const version = parseVersion(req.body.version, "$.version");
+      const { current, versions } = await loadVersions(req);
+      res.json(await restore(current, findVersion(versions, version)));
+    })
+  );
+
+  router.post(
+    "/undo",
+    asyncHandler(async (req, res) => {
+      const { current, versions } = await loadVersions(req);
+      const latest = versions.findLastIndex(
+        (version) => version.version <= current.version
+      );
+      if (latest < 1) {
+        throw new ConflictError(`The ${entity} has no change to undo`);
+      }
+      res.json(
+        await restore(
+          current,
+          findVersion(versions, versions[latest - 1].version)
+        )
+      );
+    })
+  );
+
+  return router;
+}
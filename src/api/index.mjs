@@ -0,0 +1,150 @@
+/**
+ * The REST API of the ArM5 Tools server.
+ * @module api
+ */
+
+import express from "express";
+import { createAuthRouter, requireUser } from "./auth.mjs";
+import { errorHandler, notFoundHandler } from "./errors.mjs";
+import { HISTORY_ENTITIES } from "./history.mjs";
+import { createOpenApiRouter, validateRequests } from "./openapi.mjs";
+import { createSagaRouter } from "./sagas.mjs";
+import { createVirtueRouter } from "./virtues.mjs";
+import { HistoryRepository, recordChanges } from "../persistence/history.mjs";
+import { JsonFileStore } from "../persistence/store.mjs";
+import { ObservedRepository } from "../realtime/events.mjs";
+
+/**
+ * The repositories used by the API.
+ * @typedef {Object} Repositories
+ * @property {import("../persistence/repository.mjs").MemoryRepository} characters
+ * The character repository.
+ * @property {import("../persistence/repository.mjs").MemoryRepository} covenants
+ * The covenant repository.
+ * @property {import("../persistence/repository.mjs").MemoryRepository} rolls
+ * The roll log repository.
+ * @property {import("../persistence/repository.mjs").MemoryRepository} spells
+ * The spell repository.
+ * @property {import("../persistence/repository.mjs").MemoryRepository} timelines
+ * The timeline repository.
+ * @property {import("../persistence/repository.mjs").MemoryRepository} chargen
+ * The character generation draft repository.
+ * @property {import("../persistence/repository.mjs").MemoryRepository} encounters
+ * The combat encounter repository.
+ * @property {import("../persistence/repository.mjs").MemoryRepository} vis The
+ * vis transaction repository.
+ * @property {import("../persistence/repository.mjs").MemoryRepository} history
+ * The repository of the history events of the characters and the covenants.
+ * @property {import("../persistence/repository.mjs").MemoryRepository} users The
+ * user account repository.
+ * @property {import("../persistence/repository.mjs").MemoryRepository} authSessions
+ * The login session repository.
+ * @property {import("../persistence/repository.mjs").MemoryRepository} sagas The
+ * saga repository.
+ */
+
+/**
+ * The names of the repositories used by the API.
+ * @type {Readonly<(keyof Repositories)[]>}
+ */
+export const REPOSITORY_NAMES = Object.freeze([
+  "characters",
+  "covenants",
+  "timelines",
+  "spells",
+  "rolls",
+  "chargen",
+  "encounters",
+  "vis",
+  "history",
+  "users",
+  "authSessions",
+  "sagas",
+]);
+
+/**
+ * Create the repositories of the API in a store. The repositories share the
+ * transactions of the store.
+ * @param {import("../persistence/store.mjs").Store} [store] The store of the
+ * repositories. Defaults to the JSON files of the directory `data`.
+ * @returns {Repositories} The repositories.
+ */
+export function createDefaultRepositories(store = new JsonFileStore("data")) {
+  return Object.fromEntries(
+    REPOSITORY_NAMES.map((name) => [name, store.repository(name)])
+  );
+}
+
+/**
+ * Create the router of the API. Apart from the authentication and the OpenAPI
+ * description, all routes require a logged in user, and the saga content is reached
+ * through the sagas. The requests are validated against the OpenAPI description.
+ * If the repositories contain the history repository, the changes of the characters
+ * and the covenants are recorded into their histories with the logged in user as
+ * their author.
+ * @param {Object} [options] The API options.
+ * @param {Repositories} [options.repositories] The repositories of the API.
+ * Defaults to the JSON file repositories of the directory `data`.
+ * @param {import("../realtime/events.mjs").EventHub} [options.events] The hub the
+ * changes of the characters, the covenants and the rolls are published to. Defaults
+ * to no publishing.
+ * @param {boolean} [options.secureCookies=false] Are the session cookies only sent
+ * over HTTPS.
+ * @returns {import("express").Router} The router of the API.
+ */
+export function createApiRouter({
+  repositories: given = createDefaultRepositories(),
+  events = undefined,
+  secureCookies = false,
+} = {}) {
+  const repositories = { ...given };
+  if (repositories.history !== undefined) {
+    Object.entries(HISTORY_ENTITIES).forEach(([name, entity]) => {
+      if (repositories[name] !== undefined) {
+        repositories[name] = new HistoryRepository(
+          repositories[name],
+          entity,
+          repositories.history,
+          {
+            seasonOf: async ({ saga }) =>
+              saga === undefined
+                ? undefined
+                : (await repositories.sagas?.get(saga))?.season,
+          }
+        );
+      }
+    });
+  }
+  if (events !== undefined) {
+    [
+      ["characters", "character"],
+      ["covenants", "covenant"],
+      ["rolls", "roll"],
+    ].forEach(([name, entity]) => {
+      if (repositories[name] !== undefined) {
+        repositories[name] = new ObservedRepository(
+          repositories[name],
+          entity,
+          events
+        );
+      }
+    });
+  }
+  const router = express.Router();
+  router.use(createOpenApiRouter());
+  router.use(express.json());
+  router.use(
+    "/auth",
+    validateRequests("/auth"),
+    createAuthRouter({ ...repositories, secureCookies })
+  );
+  router.use(requireUser(repositories));
+  router.use((req, res, next) =>
+    recordChanges({ author: req.user.id }, () => next())
+  );
+  router.use("/sagas", createSagaRouter({ repositories }));
+  router.use("/virtues", validateRequests("/virtues"), createVirtueRouter());
+  router.use(notFoundHandler);
+  router.use(errorHandler);
+  return router;
+}
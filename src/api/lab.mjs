@@ -0,0 +1,138 @@
+/**
+ * The REST API of the laboratory calculations.
+ * @module api/lab
+ */
+
+import express from "express";
+import {
+  LabError,
+  labTotal,
+  PROJECT_ARTS,
+  resolveProject,
+} from "../model/lab.mjs";
+import { getCharacter } from "./characters.mjs";
+import { getCovenant } from "./covenants.mjs";
+import { asyncHandler, ValidationError } from "./errors.mjs";
+import { isPlainObject } from "./utils.mjs";
+
+/**
+ * The options of the laboratory router.
+ * @typedef {Object} LabRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/character.mjs").Character>} characters
+ * The repository of the characters.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/covenant.mjs").Covenant>} covenants
+ * The repository of the covenants.
+ */
+
+/**
+ * Perform a laboratory calculation reporting its failures as validation errors.
+ * @template RESULT The result type of the calculation.
+ * @param {() => RESULT} calculation The calculation.
+ * @returns {RESULT} The result of the calculation.
+ * @throws {ValidationError} The calculation was invalid.
+ */
+function labCalculation(calculation) {
+  try {
+    return calculation();
+  } catch (err) {
+    if (err instanceof LabError) {
+      throw new ValidationError(err.message, err.issues, { cause: err });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Create the router of the laboratory calculations.
+ * @param {LabRouterOptions} options The router options.
+ * @returns {import("express").Router} The router of the laboratory calculations.
+ */
+export function createLabRouter({ characters, covenants }) {
+  const router = express.Router();
+
+  /**
+   * Resolve the Lab Total parameters of a request. The magus and the assistants are
+   * given by their identifiers, and the aura either directly or by the covenant.
+   * @param {any} body The request content.
+   * @returns {Promise<import("../model/lab.mjs").LabTotalParameters>} The Lab Total
+   * parameters.
+   * @throws {ValidationError} The request content was invalid.
+   * @throws {import("./errors.mjs").NotFoundError} A referred entity did not exist.
+   */
+  async function totalParameters(body) {
+    if (!isPlainObject(body) || typeof body.character !== "string") {
+      throw new ValidationError("Invalid Lab Total", [
+        { path: "$.character", message: "The magus identifier is required" },
+      ]);
+    }
+    if ("assistants" in body && !Array.isArray(body.assistants)) {
+      throw new ValidationError("Invalid Lab Total", [
+        { path: "$.assistants", message: "Assistants must be an array" },
+      ]);
+    }
+    const magus = await getCharacter(characters, body.character);
+    let aura = body.aura;
+    if (aura === undefined && typeof body.covenant === "string") {
+      aura = (await getCovenant(covenants, body.covenant)).aura;
+    }
+    const assistants = await Promise.all(
+      (body.assistants ?? []).map(async (assistant, index) => {
+        if (
+          !isPlainObject(assistant) ||
+          typeof assistant.character !== "string"
+        ) {
+          throw new ValidationError("Invalid Lab Total", [
+            {
+              path: `$.assistants[${index}].character`,
+              message: "The assistant identifier is required",
+            },
+          ]);
+        }
+        return {
+          ...assistant,
+          character: await getCharacter(characters, assistant.character),
+        };
+      })
+    );
+    return {
+      magus,
+      technique: body.technique,
+      form: body.form,
+      aura: aura ?? 0,
+      modifiers: body.modifiers ?? [],
+      assistants,
+    };
+  }
+
+  router.post(
+    "/total",
+    asyncHandler(async (req, res) => {
+      const parameters = await totalParameters(req.body);
+      res.json(labCalculation(() => labTotal(parameters)));
+    })
+  );
+
+  router.post(
+    "/project",
+    asyncHandler(async (req, res) => {
+      const project = req.body?.project;
+      const parameters = {
+        ...(await totalParameters(req.body)),
+        ...(PROJECT_ARTS[project?.type] ?? {}),
+      };
+      res.json(
+        labCalculation(() => {
+          const total = labTotal(parameters);
+          return {
+            ...resolveProject(project, total.total, "$.project"),
+            technique: parameters.technique,
+            form: parameters.form,
+            breakdown: total.breakdown,
+          };
+        })
+      );
+    })
+  );
+
+  return router;
+}
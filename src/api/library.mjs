@@ -0,0 +1,287 @@
+/**
+ * The REST API of the covenant libraries.
+ *
+ * The library router is mounted under a covenant. Besides listing and changing the
+ * books, it ranks the books a character should read next, records a season of
+ * reading into the character, and plans the writing and the copying of books.
+ * @module api/library
+ */
+
+import express from "express";
+import { advance, AdvancementError } from "../model/advancement.mjs";
+import {
+  BookError,
+  planCopying,
+  planWriting,
+  rankBooks,
+  readingYield,
+  validateBook,
+} from "../model/book.mjs";
+import { findResourceIndex } from "../model/covenant.mjs";
+import { advancementOptions } from "../model/virtue.mjs";
+import { characterResource, getCharacter } from "./characters.mjs";
+import { covenantResource, getCovenant } from "./covenants.mjs";
+import { Query } from "../persistence/query.mjs";
+import {
+  COLLECTION_FIELDS,
+  collectionQuery,
+  sendCollection,
+} from "./collection.mjs";
+import { asyncHandler, NotFoundError, ValidationError } from "./errors.mjs";
+import { createValidator } from "./resource.mjs";
+import { isPlainObject } from "./utils.mjs";
+
+/**
+ * The options of the library router.
+ * @typedef {Object} LibraryRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/covenant.mjs").Covenant>} covenants
+ * The repository of the covenants.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/character.mjs").Character>} characters
+ * The repository of the characters.
+ */
+
+/**
+ * Perform a library operation reporting its failures as validation errors.
+ * @template RESULT The result type of the operation.
+ * @param {() => RESULT} operation The operation.
+ * @returns {RESULT} The result of the operation.
+ * @throws {ValidationError} The operation was invalid.
+ */
+function libraryOperation(operation) {
+  try {
+    return operation();
+  } catch (err) {
+    if (err instanceof BookError || err instanceof AdvancementError) {
+      throw new ValidationError(err.message, err.issues, { cause: err });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Read the string properties of a request.
+ * @param {any} body The request content.
+ * @param {string} label The human readable name of the request.
+ * @param {string[]} required The required string properties.
+ * @returns {Record<string, any>} The request content.
+ * @throws {ValidationError} A required property was missing.
+ */
+function requireStrings(body, label, required) {
+  if (!isPlainObject(body)) {
+    throw new ValidationError(`Invalid ${label}`, [
+      { path: "$", message: `The ${label} must be an object` },
+    ]);
+  }
+  const issues = required
+    .filter((property) => typeof body[property] !== "string")
+    .map((property) => ({
+      path: `$.${property}`,
+      message: `Property ${property} is required`,
+    }));
+  if (issues.length > 0) {
+    throw new ValidationError(`Invalid ${label}`, issues);
+  }
+  return body;
+}
+
+/**
+ * Create the router of the library of a covenant. The router expects the covenant
+ * identifier as the route parameter `id`.
+ * @param {LibraryRouterOptions} options The router options.
+ * @returns {import("express").Router} The router handling the library.
+ */
+export function createLibraryRouter({ covenants, characters }) {
+  const router = express.Router({ mergeParams: true });
+  const validatedCovenant = createValidator(covenantResource(covenants));
+  const validatedCharacter = createValidator(characterResource(characters));
+
+  /**
+   * Find a book of the library.
+   * @param {import("../model/covenant.mjs").Covenant} covenant The covenant.
+   * @param {{title: string, subject: string}} book The identity of the book.
+   * @returns {import("../model/covenant.mjs").Book} The book.
+   * @throws {NotFoundError} The library does not have the book.
+   */
+  function findBook(covenant, { title, subject }) {
+    const book = (covenant.library ?? []).find(
+      (candidate) => candidate.title === title && candidate.subject === subject
+    );
+    if (book === undefined) {
+      throw new NotFoundError(`No book ${title} on ${subject}`);
+    }
+    return book;
+  }
+
+  router.get(
+    "/",
+    collectionQuery(COLLECTION_FIELDS.books),
+    asyncHandler(async (req, res) => {
+      const { library = [] } = await getCovenant(covenants, req.params.id);
+      await sendCollection(req, res, new Query(library).async());
+    })
+  );
+
+  router.post(
+    "/",
+    asyncHandler(async (req, res) => {
+      const issues = validateBook(req.body);
+      if (issues.length > 0) {
+        throw new ValidationError("Invalid book", issues);
+      }
+      const { id, ...covenant } = await getCovenant(covenants, req.params.id);
+      if (findResourceIndex("library", covenant.library ?? [], req.body) >= 0) {
+        throw new ValidationError("Invalid book", [
+          {
+            path: "$.title",
+            message: `The library already has ${req.body.title} on ${req.body.subject}`,
+          },
+        ]);
+      }
+      await covenants.update(
+        id,
+        validatedCovenant({
+          ...covenant,
+          library: [...(covenant.library ?? []), req.body],
+        })
+      );
+      res.status(201).json(req.body);
+    })
+  );
+
+  router.delete(
+    "/",
+    asyncHandler(async (req, res) => {
+      const { title, subject } = requireStrings(req.query, "book", [
+        "title",
+        "subject",
+      ]);
+      const { id, ...covenant } = await getCovenant(covenants, req.params.id);
+      const book = findBook(covenant, { title, subject });
+      await covenants.update(
+        id,
+        validatedCovenant({
+          ...covenant,
+          library: (covenant.library ?? []).filter(
+            (candidate) => candidate !== book
+          ),
+        })
+      );
+      res.status(204).end();
+    })
+  );
+
+  router.get(
+    "/best",
+    asyncHandler(async (req, res) => {
+      const { character: characterId, subject } = requireStrings(
+        req.query,
+        "query",
+        ["character"]
+      );
+      const covenant = await getCovenant(covenants, req.params.id);
+      const character = await getCharacter(characters, characterId);
+      const options = rankBooks(character, covenant.library ?? [], {
+        subject,
+      });
+      res.json({ best: options[0] ?? null, options });
+    })
+  );
+
+  router.post(
+    "/read",
+    asyncHandler(async (req, res) => {
+      const body = requireStrings(req.body, "reading", [
+        "character",
+        "title",
+        "subject",
+      ]);
+      const covenant = await getCovenant(covenants, req.params.id);
+      const book = findBook(covenant, body);
+      const { id, ...current } = await getCharacter(characters, body.character);
+      const reading = libraryOperation(() => readingYield(current, book));
+      const { character, spent, leftover, changes } = libraryOperation(() =>
+        advance(
+          current,
+          {
+            xp: reading.xp,
+            ...(reading.xp === 0
+              ? {}
+              : {
+                  [reading.target.kind === "art" ? "arts" : "abilities"]: [
+                    { name: reading.target.name, xp: reading.xp },
+                  ],
+                }),
+          },
+          advancementOptions(current)
+        )
+      );
+      const advancements = [
+        ...(character.advancements ?? []),
+        {
+          ...(body.season === undefined ? {} : { season: body.season }),
+          xp: reading.xp,
+          spent,
+          leftover,
+          changes,
+          book: { title: book.title, type: book.type, subject: book.subject },
+          recorded: new Date().toISOString(),
+        },
+      ];
+      const updated = await characters.update(
+        id,
+        validatedCharacter({ ...character, advancements })
+      );
+      res.json({ character: updated, ...reading, changes });
+    })
+  );
+
+  router.post(
+    "/writing",
+    asyncHandler(async (req, res) => {
+      const body = requireStrings(req.body, "writing", [
+        "character",
+        "type",
+        "subject",
+      ]);
+      const covenant = await getCovenant(covenants, req.params.id);
+      const author = await getCharacter(characters, body.character);
+      const written = (covenant.library ?? []).filter(
+        (book) =>
+          book.type === "tractatus" &&
+          book.subject === body.subject &&
+          book.author === author.name
+      ).length;
+      res.json(
+        libraryOperation(() =>
+          planWriting(
+            author,
+            { type: body.type, subject: body.subject, level: body.level },
+            {
+              written,
+              ...(body.language === undefined
+                ? {}
+                : { language: body.language }),
+            }
+          )
+        )
+      );
+    })
+  );
+
+  router.post(
+    "/copying",
+    asyncHandler(async (req, res) => {
+      const body = requireStrings(req.body, "copying", [
+        "character",
+        "title",
+        "subject",
+      ]);
+      const covenant = await getCovenant(covenants, req.params.id);
+      const book = findBook(covenant, body);
+      const scribe = await getCharacter(characters, body.character);
+      res.json(planCopying(scribe, book, { quick: body.quick === true }));
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,1206 @@
+/**
+ * The OpenAPI description of the REST API.
+ *
+ * The description is maintained next to the routers, and served at `/openapi.json`
+ * with an interactive documentation page at `/docs/`. The same description drives
+ * the request validation: the path parameters, the query parameters and the request
+ * content of every described operation are validated after the authorization and
+ * before the request reaches the handlers of the operation. The handlers keep the
+ * checks depending on the stored entities and the rules of the game.
+ * @module api/openapi
+ */
+
+import express from "express";
+import swaggerUi from "swagger-ui-dist";
+import { SESSION_COOKIE } from "./auth.mjs";
+import {
+  COLLECTION_FIELDS,
+  FIELD_OPERATORS,
+  MAX_OFFSET,
+  MAX_PAGE_SIZE,
+} from "./collection.mjs";
+import { ValidationError } from "./errors.mjs";
+import {
+  ARTS,
+  CHARACTER_TYPES,
+  FORMS,
+  MAX_EXPERIENCE,
+  TECHNIQUES,
+} from "../model/character.mjs";
+import { CHARGEN_STEPS } from "../model/chargen.mjs";
+import { ACTION_TYPES } from "../model/combat.mjs";
+import { BOOK_TYPES, SEASONS } from "../model/covenant.mjs";
+import { MAX_EXPRESSION_LENGTH } from "../model/dice.mjs";
+import { SAGA_ROLES } from "../model/saga.mjs";
+import { ACTIVITY_TYPES } from "../model/timeline.mjs";
+import { MAGNITUDES, VIRTUE_TYPES } from "../model/virtue.mjs";
+import { HOLDER_KINDS, TRANSACTION_TYPES } from "../model/vis.mjs";
+import { DEFINITIONS, DOCUMENT_KINDS } from "../schema/documents.mjs";
+import { validateSchema } from "../schema/validator.mjs";
+
+/**
+ * A JSON Schema of the OpenAPI description.
+ * @typedef {import("../schema/validator.mjs").JsonSchema} JsonSchema
+ */
+
+/**
+ * The description of an operation. The parameters and the responses follow the
+ * OpenAPI 3.1 operation object.
+ * @typedef {Object} OperationDescription
+ * @property {string} summary The summary of the operation.
+ * @property {string} tag The group of the operation.
+ * @property {Record<string, JsonSchema>} [query] The schemas of the query
+ * parameters by their names.
+ * @property {string[]} [requiredQuery] The required query parameters.
+ * @property {JsonSchema} [body] The schema of the request content.
+ * @property {boolean} [optionalBody] May the request content be omitted.
+ * @property {number} [status=200] The status of the successful response.
+ * @property {JsonSchema} [response] The schema of the successful response.
+ * @property {boolean} [public] Does the operation work without a login.
+ */
+
+/**
+ * The version of the described API.
+ * @type {string}
+ */
+export const API_VERSION = "1.0.0";
+
+/**
+ * The media type of the error responses.
+ * @type {string}
+ */
+export const PROBLEM_MEDIA_TYPE = "application/problem+json";
+
+/**
+ * The schema of an identifier.
+ * @type {JsonSchema}
+ */
+const ID = Object.freeze({ type: "string", minLength: 1 });
+
+/**
+ * The schema of a dice seed.
+ * @type {JsonSchema}
+ */
+const SEED = Object.freeze({
+  type: "integer",
+  minimum: 0,
+  maximum: 0xffffffff,
+});
+
+/**
+ * The schema of an object with any properties.
+ * @type {JsonSchema}
+ */
+const OBJECT = Object.freeze({ type: "object" });
+
+/**
+ * The schema of a season.
+ * @type {JsonSchema}
+ */
+const SEASON = Object.freeze({ enum: [...SEASONS] });
+
+/**
+ * The schemas of the path parameters by their names.
+ * @type {Readonly<Record<string, JsonSchema>>}
+ */
+const PATH_PARAMETERS = Object.freeze({
+  saga: ID,
+  id: ID,
+  name: ID,
+  username: ID,
+  character: ID,
+  year: { type: "integer" },
+  season: SEASON,
+  step: { enum: [...CHARGEN_STEPS] },
+  kind: ID,
+  version: { type: "integer", minimum: 1 },
+});
+
+/**
+ * Create the query parameters of a collection listing.
+ * @param {import("./collection.mjs").CollectionFields} [fields] The fields of the
+ * collection. Defaults to no filterable or sortable fields.
+ * @returns {Record<string, JsonSchema>} The schemas of the field filters, the
+ * sorting, the sparse fieldset and the page.
+ */
+function collectionParameters(fields = {}) {
+  return {
+    ...Object.fromEntries(
+      Object.entries(fields).flatMap(([field, type]) =>
+        FIELD_OPERATORS[type].map((operator) => [
+          `${field}${operator}`,
+          { type },
+        ])
+      )
+    ),
+    sort: { type: "string" },
+    fields: { type: "string" },
+    cursor: { type: "string" },
+    offset: { type: "integer", minimum: 0, maximum: MAX_OFFSET },
+    limit: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE },
+  };
+}
+
+/**
+ * Create a reference to a schema of the components.
+ * @param {string} name The name of the schema.
+ * @returns {JsonSchema} The reference.
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Create the schema of an object with known properties.
+ * @param {Record<string, JsonSchema>} properties The schemas of the properties.
+ * @param {string[]} [required] The required properties.
+ * @returns {JsonSchema} The schema of the object.
+ */
+function objectOf(properties, required = []) {
+  return { type: "object", properties, required };
+}
+
+/**
+ * Create the schema of an array.
+ * @param {JsonSchema} items The schema of the items.
+ * @returns {JsonSchema} The schema of the array.
+ */
+function arrayOf(items) {
+  return { type: "array", items };
+}
+
+/**
+ * Copy a schema of the documents with the references to the definitions of the
+ * documents changed to the references to the components.
+ * @param {any} schema The schema of the documents.
+ * @returns {any} The schema of the components.
+ */
+function componentSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(componentSchema);
+  } else if (schema instanceof Object) {
+    return Object.fromEntries(
+      Object.entries(schema).map(([key, value]) => [
+        key,
+        key === "$ref" && typeof value === "string"
+          ? value.replace(/^#\/\$defs\//, "#/components/schemas/")
+          : componentSchema(value),
+      ])
+    );
+  }
+  return schema;
+}
+
+/**
+ * The schemas of the components.
+ * @type {Record<string, JsonSchema>}
+ */
+const SCHEMAS = {
+  ...componentSchema(DEFINITIONS),
+  ValidationIssue: objectOf(
+    { path: { type: "string" }, message: { type: "string" } },
+    ["path", "message"]
+  ),
+  Problem: {
+    ...objectOf(
+      {
+        type: { type: "string" },
+        title: { type: "string" },
+        status: { type: "integer" },
+        detail: { type: "string" },
+        instance: { type: "string" },
+        error: { type: "string" },
+        details: arrayOf(ref("ValidationIssue")),
+      },
+      ["type", "title", "status"]
+    ),
+    description:
+      "The RFC 9457 problem details. The error member repeats the detail, and the details member lists the validation issues.",
+  },
+  Credentials: objectOf(
+    { username: { type: "string" }, password: { type: "string" } },
+    ["username", "password"]
+  ),
+  User: objectOf({ id: ID, username: { type: "string" } }, ["id", "username"]),
+  SagaProperties: {
+    ...objectOf({
+      name: { type: "string" },
+      description: { type: "string" },
+      season: ref("Season"),
+    }),
+    additionalProperties: false,
+  },
+  Season: objectOf({ year: { type: "integer" }, season: SEASON }, [
+    "year",
+    "season",
+  ]),
+  Member: objectOf({ role: { enum: [...SAGA_ROLES] } }, ["role"]),
+  Account: objectOf({ kind: { enum: [...HOLDER_KINDS] }, id: ID }, [
+    "kind",
+    "id",
+  ]),
+  VisTransaction: objectOf(
+    {
+      type: { enum: [...TRANSACTION_TYPES] },
+      art: { enum: [...ARTS] },
+      pawns: { type: "integer", minimum: 1 },
+      year: { type: "integer" },
+      season: SEASON,
+      from: ref("Account"),
+      to: ref("Account"),
+      source: { type: "string" },
+      notes: { type: "string" },
+    },
+    ["type", "art", "pawns", "year", "season"]
+  ),
+  Allocation: objectOf(
+    {
+      xp: { type: "integer", minimum: 0, maximum: MAX_EXPERIENCE },
+      season: { type: "string" },
+      abilities: arrayOf(OBJECT),
+      arts: arrayOf(OBJECT),
+      spells: arrayOf(OBJECT),
+    },
+    ["xp"]
+  ),
+  LabRequest: objectOf(
+    {
+      character: ID,
+      covenant: ID,
+      aura: { type: "integer" },
+      technique: { type: "string" },
+      form: { type: "string" },
+      modifiers: arrayOf(OBJECT),
+      assistants: arrayOf(objectOf({ character: ID }, ["character"])),
+      project: OBJECT,
+    },
+    ["character"]
+  ),
+  Activity: objectOf(
+    {
+      type: { enum: [...ACTIVITY_TYPES] },
+      target: OBJECT,
+      xp: { type: "integer", minimum: 0, maximum: MAX_EXPERIENCE },
+      quality: { type: "integer" },
+      level: { type: "integer" },
+      roll: { type: "integer" },
+      students: arrayOf(ID),
+      distraction: { type: "integer" },
+    },
+    ["type"]
+  ),
+  Book: objectOf(
+    {
+      title: { type: "string" },
+      type: { enum: [...BOOK_TYPES] },
+      subject: { type: "string" },
+      level: { type: "integer" },
+      quality: { type: "integer" },
+      author: { type: "string" },
+    },
+    ["title", "type", "subject"]
+  ),
+  Roll: objectOf(
+    {
+      expression: { type: "string", maxLength: MAX_EXPRESSION_LENGTH },
+      seed: SEED,
+      character: { type: "string" },
+      session: { type: "string" },
+      label: { type: "string" },
+    },
+    ["expression"]
+  ),
+  EncounterAction: objectOf(
+    {
+      type: { enum: [...ACTION_TYPES] },
+      actor: ID,
+      target: ID,
+      levels: { type: "integer" },
+      seed: SEED,
+    },
+    ["type", "actor"]
+  ),
+  Document: objectOf(
+    {
+      format: { type: "string" },
+      kind: { enum: [...DOCUMENT_KINDS] },
+      version: { type: "integer" },
+      exported: { type: "string" },
+      data: OBJECT,
+    },
+    ["format", "kind", "version", "data"]
+  ),
+};
+
+/**
+ * The operations of the API by their paths and methods. The paths are relative to
+ * the API root.
+ * @type {Record<string, Record<string, OperationDescription>>}
+ */
+const OPERATIONS = {
+  "/auth/register": {
+    post: {
+      summary: "Register a user account and log in",
+      tag: "Authentication",
+      body: ref("Credentials"),
+      status: 201,
+      response: ref("User"),
+      public: true,
+    },
+  },
+  "/auth/login": {
+    post: {
+      summary: "Log in",
+      tag: "Authentication",
+      body: ref("Credentials"),
+      response: ref("User"),
+      public: true,
+    },
+  },
+  "/auth/logout": {
+    post: {
+      summary: "Log out",
+      tag: "Authentication",
+      status: 204,
+      public: true,
+    },
+  },
+  "/auth/me": {
+    get: {
+      summary: "Get the logged in user",
+      tag: "Authentication",
+      response: ref("User"),
+    },
+  },
+  "/virtues": {
+    get: {
+      summary: "List the Virtues and Flaws",
+      tag: "Virtues",
+      query: {
+        kind: { enum: ["virtue", "flaw"] },
+        magnitude: { enum: [...MAGNITUDES] },
+        type: { enum: [...VIRTUE_TYPES] },
+        characterType: { enum: [...CHARACTER_TYPES] },
+      },
+      response: arrayOf(OBJECT),
+    },
+  },
+  "/virtues/{name}": {
+    get: { summary: "Get a Virtue or a Flaw", tag: "Virtues" },
+  },
+  "/sagas": {
+    get: {
+      summary: "List the sagas of the user",
+      tag: "Sagas",
+      query: collectionParameters(COLLECTION_FIELDS.sagas),
+      response: arrayOf(OBJECT),
+    },
+    post: {
+      summary: "Create a saga led by the user",
+      tag: "Sagas",
+      body: ref("SagaProperties"),
+      status: 201,
+    },
+  },
+  "/sagas/{saga}": {
+    get: { summary: "Get a saga", tag: "Sagas" },
+    patch: {
+      summary: "Change a saga",
+      tag: "Sagas",
+      body: ref("SagaProperties"),
+    },
+    delete: {
+      summary: "Delete a saga with its content",
+      tag: "Sagas",
+      status: 204,
+    },
+  },
+  "/sagas/{saga}/members": {
+    get: {
+      summary: "List the members of a saga",
+      tag: "Sagas",
+      response: arrayOf(OBJECT),
+    },
+  },
+  "/sagas/{saga}/members/{username}": {
+    put: {
+      summary: "Add a member or change the role of a member",
+      tag: "Sagas",
+      body: ref("Member"),
+      response: arrayOf(OBJECT),
+    },
+    delete: { summary: "Remove a member", tag: "Sagas", status: 204 },
+  },
+  ...resourceOperations("characters", "Characters", ref("character"), {
+    type: { enum: [...CHARACTER_TYPES] },
+  }),
+  ...historyOperations("characters", "Characters", ref("character")),
+  "/sagas/{saga}/characters/{id}/advance": {
+    post: {
+      summary: "Spend the experience of a season",
+      tag: "Characters",
+      body: ref("Allocation"),
+    },
+  },
+  "/sagas/{saga}/characters/{id}/aging": {
+    get: { summary: "Get the aging of a character", tag: "Characters" },
+    post: {
+      summary: "Roll the aging of a winter",
+      tag: "Characters",
+      body: objectOf({
+        seed: SEED,
+        year: { type: "integer" },
+        characteristic: { type: "string" },
+      }),
+      optionalBody: true,
+    },
+  },
+  "/sagas/{saga}/characters/{id}/aging/warping": {
+    post: {
+      summary: "Add Warping points",
+      tag: "Characters",
+      body: objectOf(
+        {
+          points: { type: "integer", minimum: 1, maximum: MAX_EXPERIENCE },
+          source: { type: "string" },
+        },
+        ["points"]
+      ),
+    },
+  },
+  ...resourceOperations("covenants", "Covenants", ref("covenant")),
+  ...historyOperations("covenants", "Covenants", ref("covenant")),
+  "/sagas/{saga}/covenants/{id}/finances": {
+    get: {
+      summary: "Compute the finances of a year",
+      tag: "Covenants",
+      query: { year: { type: "integer" } },
+    },
+  },
+  "/sagas/{saga}/covenants/{id}/timeline": {
+    get: { summary: "Get the timeline of a covenant", tag: "Timeline" },
+  },
+  "/sagas/{saga}/covenants/{id}/timeline/{year}/{season}/{character}": {
+    put: {
+      summary: "Record the activity of a character in a season",
+      tag: "Timeline",
+      body: ref("Activity"),
+    },
+    delete: {
+      summary: "Remove the activity of a character in a season",
+      tag: "Timeline",
+      status: 204,
+    },
+  },
+  "/sagas/{saga}/covenants/{id}/timeline/advance": {
+    post: { summary: "Advance the timeline by a season", tag: "Timeline" },
+  },
+  "/sagas/{saga}/covenants/{id}/timeline/replay": {
+    post: {
+      summary: "Replay the timeline from a season",
+      tag: "Timeline",
+      body: objectOf({ year: { type: "integer" }, season: SEASON }, [
+        "year",
+        "season",
+      ]),
+    },
+  },
+  "/sagas/{saga}/covenants/{id}/library": {
+    get: {
+      summary: "List the books of the library",
+      tag: "Library",
+      query: {
+        ...collectionParameters(COLLECTION_FIELDS.books),
+        type: { enum: [...BOOK_TYPES] },
+      },
+      response: arrayOf(ref("Book")),
+    },
+    post: {
+      summary: "Add a book to the library",
+      tag: "Library",
+      body: ref("Book"),
+      status: 201,
+      response: ref("Book"),
+    },
+    delete: {
+      summary: "Remove a book from the library",
+      tag: "Library",
+      query: { title: { type: "string" }, subject: { type: "string" } },
+      requiredQuery: ["title", "subject"],
+      status: 204,
+    },
+  },
+  "/sagas/{saga}/covenants/{id}/library/best": {
+    get: {
+      summary: "Rank the books for a reader",
+      tag: "Library",
+      query: { character: ID, subject: { type: "string" } },
+      requiredQuery: ["character"],
+    },
+  },
+  "/sagas/{saga}/covenants/{id}/library/read": {
+    post: {
+      summary: "Study a book for a season",
+      tag: "Library",
+      body: objectOf(
+        {
+          character: ID,
+          title: { type: "string" },
+          subject: { type: "string" },
+          season: { type: "string" },
+        },
+        ["character", "title", "subject"]
+      ),
+    },
+  },
+  "/sagas/{saga}/covenants/{id}/library/writing": {
+    post: {
+      summary: "Plan the writing of a book",
+      tag: "Library",
+      body: objectOf(
+        {
+          character: ID,
+          type: { type: "string" },
+          subject: { type: "string" },
+          level: { type: "integer" },
+          language: { type: "string" },
+        },
+        ["character", "type", "subject"]
+      ),
+    },
+  },
+  "/sagas/{saga}/covenants/{id}/library/copying": {
+    post: {
+      summary: "Plan the copying of a book",
+      tag: "Library",
+      body: objectOf(
+        {
+          character: ID,
+          title: { type: "string" },
+          subject: { type: "string" },
+          quick: { type: "boolean" },
+        },
+        ["character", "title", "subject"]
+      ),
+    },
+  },
+  "/sagas/{saga}/lab/total": {
+    post: {
+      summary: "Compute a Lab Total",
+      tag: "Laboratory",
+      body: ref("LabRequest"),
+    },
+  },
+  "/sagas/{saga}/lab/project": {
+    post: {
+      summary: "Plan a laboratory project",
+      tag: "Laboratory",
+      body: ref("LabRequest"),
+    },
+  },
+  "/sagas/{saga}/rolls": {
+    get: {
+      summary: "List the logged rolls",
+      tag: "Rolls",
+      query: collectionParameters(COLLECTION_FIELDS.rolls),
+      response: arrayOf(OBJECT),
+    },
+    post: {
+      summary: "Roll and log the dice",
+      tag: "Rolls",
+      body: ref("Roll"),
+      status: 201,
+    },
+  },
+  "/sagas/{saga}/rolls/{id}": {
+    get: { summary: "Get a logged roll", tag: "Rolls" },
+  },
+  "/sagas/{saga}/rolls/{id}/replay": {
+    post: { summary: "Replay a logged roll", tag: "Rolls" },
+  },
+  "/sagas/{saga}/chargen": {
+    get: {
+      summary: "List the character generation drafts",
+      tag: "Character generation",
+      query: collectionParameters(COLLECTION_FIELDS.drafts),
+      response: arrayOf(OBJECT),
+    },
+    post: {
+      summary: "Start a character generation draft",
+      tag: "Character generation",
+      body: objectOf({ concept: OBJECT }),
+      optionalBody: true,
+      status: 201,
+    },
+  },
+  "/sagas/{saga}/chargen/{id}": {
+    get: { summary: "Get a draft", tag: "Character generation" },
+    delete: {
+      summary: "Delete a draft",
+      tag: "Character generation",
+      status: 204,
+    },
+  },
+  "/sagas/{saga}/chargen/{id}/steps/{step}": {
+    put: {
+      summary: "Complete a step of a draft",
+      tag: "Character generation",
+      body: OBJECT,
+    },
+  },
+  "/sagas/{saga}/chargen/{id}/commit": {
+    post: {
+      summary: "Create the character of a completed draft",
+      tag: "Character generation",
+      status: 201,
+    },
+  },
+  "/sagas/{saga}/encounters/equipment": {
+    get: { summary: "List the weapons and the armor", tag: "Encounters" },
+  },
+  ...resourceOperations("encounters", "Encounters", OBJECT),
+  "/sagas/{saga}/encounters/{id}/totals": {
+    get: {
+      summary: "Compute the combat totals of the combatants",
+      tag: "Encounters",
+    },
+  },
+  "/sagas/{saga}/encounters/{id}/rounds": {
+    post: {
+      summary: "Start a round and roll the initiative",
+      tag: "Encounters",
+      body: objectOf({ seed: SEED }),
+      optionalBody: true,
+      status: 201,
+    },
+  },
+  "/sagas/{saga}/encounters/{id}/actions": {
+    post: {
+      summary: "Perform an action",
+      tag: "Encounters",
+      body: ref("EncounterAction"),
+      status: 201,
+    },
+  },
+  "/sagas/{saga}/vis/transactions": {
+    get: {
+      summary: "List the vis transactions",
+      tag: "Vis",
+      query: {
+        ...collectionParameters(COLLECTION_FIELDS.visTransactions),
+        kind: { enum: [...HOLDER_KINDS] },
+        id: ID,
+        art: { enum: [...ARTS] },
+        type: { enum: [...TRANSACTION_TYPES] },
+      },
+      response: arrayOf(ref("VisTransaction")),
+    },
+    post: {
+      summary: "Record a vis transaction",
+      tag: "Vis",
+      body: ref("VisTransaction"),
+      status: 201,
+      response: ref("VisTransaction"),
+    },
+  },
+  "/sagas/{saga}/vis/transactions/{id}": {
+    get: {
+      summary: "Get a vis transaction",
+      tag: "Vis",
+      response: ref("VisTransaction"),
+    },
+  },
+  "/sagas/{saga}/vis/transactions/{id}/reversal": {
+    post: {
+      summary: "Reverse a vis transaction",
+      tag: "Vis",
+      body: objectOf({ year: { type: "integer" }, season: SEASON }),
+      optionalBody: true,
+      status: 201,
+      response: ref("VisTransaction"),
+    },
+  },
+  "/sagas/{saga}/vis/balances": {
+    get: {
+      summary: "Compute the vis balances",
+      tag: "Vis",
+      query: {
+        year: { type: "integer" },
+        season: SEASON,
+        kind: { enum: [...HOLDER_KINDS] },
+        id: ID,
+        external: { type: "boolean" },
+      },
+      response: arrayOf(OBJECT),
+    },
+  },
+  "/sagas/{saga}/schemas/{kind}": {
+    get: { summary: "Get the JSON Schema of a document", tag: "Documents" },
+  },
+  "/sagas/{saga}/export/characters/{id}": {
+    get: {
+      summary: "Export a character",
+      tag: "Documents",
+      response: ref("Document"),
+    },
+  },
+  "/sagas/{saga}/export/covenants/{id}": {
+    get: {
+      summary: "Export a covenant",
+      tag: "Documents",
+      response: ref("Document"),
+    },
+  },
+  "/sagas/{saga}/export/saga": {
+    get: {
+      summary: "Export the saga",
+      tag: "Documents",
+      query: { name: { type: "string" } },
+      response: ref("Document"),
+    },
+  },
+  "/sagas/{saga}/import": {
+    post: {
+      summary: "Import a document",
+      tag: "Documents",
+      body: ref("Document"),
+      status: 201,
+    },
+  },
+  ...resourceOperations("spells", "Spells", ref("spell"), {
+    technique: { enum: [...TECHNIQUES] },
+    form: { enum: [...FORMS] },
+    levelMin: { type: "integer" },
+    levelMax: { type: "integer" },
+    q: { type: "string" },
+    mismatch: { type: "boolean" },
+  }),
+  "/sagas/{saga}/spells/validate": {
+    post: {
+      summary: "Check the level of a spell",
+      tag: "Spells",
+      body: ref("spell"),
+    },
+  },
+};
+
+/**
+ * Create the operations of a resource of the saga content.
+ * @param {string} collection The path segment of the resource.
+ * @param {string} tag The group of the operations.
+ * @param {JsonSchema} schema The schema of the entities.
+ * @param {Record<string, JsonSchema>} [query] The schemas of the list query
+ * parameters besides the parameters of the collection query.
+ * @returns {Record<string, Record<string, OperationDescription>>} The operations by
+ * their paths and methods.
+ */
+function resourceOperations(collection, tag, schema, query = {}) {
+  const label = tag.toLowerCase().replace(/s$/, "");
+  return {
+    [`/sagas/{saga}/${collection}`]: {
+      get: {
+        summary: `List the ${tag.toLowerCase()}`,
+        tag,
+        query: {
+          ...collectionParameters(COLLECTION_FIELDS[collection]),
+          ...query,
+        },
+        response: arrayOf(schema),
+      },
+      post: {
+        summary: `Create a ${label}`,
+        tag,
+        body: schema,
+        status: 201,
+        response: schema,
+      },
+    },
+    [`/sagas/{saga}/${collection}/{id}`]: {
+      get: { summary: `Get a ${label}`, tag, response: schema },
+      patch: {
+        summary: `Change a ${label} with a JSON merge patch. The version of the patch must match the stored version.`,
+        tag,
+        body: objectOf({ version: { type: "integer", minimum: 0 } }),
+        response: schema,
+      },
+      delete: { summary: `Delete a ${label}`, tag, status: 204 },
+    },
+  };
+}
+
+/**
+ * Create the operations of the history of a resource of the saga content.
+ * @param {string} collection The path segment of the resource.
+ * @param {string} tag The group of the operations.
+ * @param {JsonSchema} schema The schema of the entities.
+ * @returns {Record<string, Record<string, OperationDescription>>} The operations by
+ * their paths and methods.
+ */
+function historyOperations(collection, tag, schema) {
+  const label = tag.toLowerCase().replace(/s$/, "");
+  const path = `/sagas/{saga}/${collection}/{id}/history`;
+  return {
+    [path]: {
+      get: {
+        summary: `List the versions of a ${label} with their changes`,
+        tag,
+        query: collectionParameters(COLLECTION_FIELDS.history),
+        response: arrayOf(OBJECT),
+      },
+    },
+    [`${path}/diff`]: {
+      get: {
+        summary: `Compare two versions of a ${label}`,
+        tag,
+        query: {
+          from: PATH_PARAMETERS.version,
+          to: PATH_PARAMETERS.version,
+        },
+        requiredQuery: ["from"],
+      },
+    },
+    [`${path}/{version}`]: {
+      get: { summary: `Get a version of a ${label}`, tag },
+    },
+    [`${path}/revert`]: {
+      post: {
+        summary: `Restore a version of a ${label} with a new change`,
+        tag,
+        body: objectOf({ version: PATH_PARAMETERS.version }, ["version"]),
+        response: schema,
+      },
+    },
+    [`${path}/undo`]: {
+      post: {
+        summary: `Undo the latest change of a ${label} with a new change`,
+        tag,
+        response: schema,
+      },
+    },
+  };
+}
+
+/**
+ * Create an operation object of the OpenAPI description.
+ * @param {string} path The path template of the operation.
+ * @param {OperationDescription} description The description of the operation.
+ * @returns {Object} The operation object.
+ */
+function operationObject(path, description) {
+  const {
+    summary,
+    tag,
+    query = {},
+    requiredQuery = [],
+    body,
+    optionalBody = false,
+    status = 200,
+    response = OBJECT,
+  } = description;
+  return {
+    summary,
+    tags: [tag],
+    ...(description.public ? { security: [] } : {}),
+    parameters: [
+      ...[...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+        name,
+        in: "path",
+        required: true,
+        schema: PATH_PARAMETERS[name] ?? ID,
+      })),
+      ...Object.entries(query).map(([name, schema]) => ({
+        name,
+        in: "query",
+        required: requiredQuery.includes(name),
+        schema,
+      })),
+    ],
+    ...(body === undefined
+      ? {}
+      : {
+          requestBody: {
+            required: !optionalBody,
+            content: { "application/json": { schema: body } },
+          },
+        }),
+    responses: {
+      [status]:
+        status === 204
+          ? { description: "No content" }
+          : {
+              description: "Success",
+              content: { "application/json": { schema: response } },
+            },
+      default: { $ref: "#/components/responses/Problem" },
+    },
+  };
+}
+
+/**
+ * Create the OpenAPI description of the API.
+ * @returns {Object} The OpenAPI 3.1 document.
+ */
+export function createOpenApiDocument() {
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "ArM5 Tools API",
+      version: API_VERSION,
+      description:
+        "The REST API of the Ars Magica 5th edition tools. Apart from the authentication, the operations require a login, and the saga content is reached through the sagas of the user.",
+    },
+    servers: [{ url: "/api" }],
+    security: [{ session: [] }],
+    paths: Object.fromEntries(
+      Object.entries(OPERATIONS).map(([path, operations]) => [
+        path,
+        Object.fromEntries(
+          Object.entries(operations).map(([method, description]) => [
+            method,
+            operationObject(path, description),
+          ])
+        ),
+      ])
+    ),
+    components: {
+      schemas: SCHEMAS,
+      responses: {
+        Problem: {
+          description: "The request failed",
+          content: { [PROBLEM_MEDIA_TYPE]: { schema: ref("Problem") } },
+        },
+      },
+      securitySchemes: {
+        session: { type: "apiKey", in: "cookie", name: SESSION_COOKIE },
+      },
+    },
+  };
+}
+
+/**
+ * A compiled operation of the request validation.
+ * @typedef {Object} CompiledOperation
+ * @property {string} method The upper case HTTP method.
+ * @property {RegExp} pattern The pattern of the request paths.
+ * @property {string[]} names The names of the path parameters in the order of the
+ * pattern groups.
+ * @property {number} literals The number of the literal path segments.
+ * @property {Object} operation The operation object.
+ */
+
+/**
+ * Compile the operations of an OpenAPI document below a path prefix.
+ * @param {Object} document The OpenAPI document.
+ * @param {string} prefix The path template of the router mount point. The patterns
+ * match the rest of the paths.
+ * @returns {CompiledOperation[]} The operations with the more literal segments
+ * first.
+ */
+function compileOperations(document, prefix) {
+  return Object.entries(document.paths)
+    .filter(([path]) => path === prefix || path.startsWith(`${prefix}/`))
+    .flatMap(([path, operations]) => {
+      const rest = path.slice(prefix.length);
+      const segments = rest.split("/").slice(1);
+      const pattern = new RegExp(
+        `^/${segments
+          .map((segment) =>
+            /^\{\w+\}$/.test(segment)
+              ? "([^/]+)"
+              : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+          )
+          .join("/")}/?$`
+      );
+      return Object.entries(operations).map(([method, operation]) => ({
+        method: method.toUpperCase(),
+        pattern,
+        names: [...rest.matchAll(/\{(\w+)\}/g)].map(([, name]) => name),
+        literals: segments.filter((segment) => !segment.startsWith("{")).length,
+        operation,
+      }));
+    })
+    .sort((a, b) => b.literals - a.literals);
+}
+
+/**
+ * Decode a path parameter.
+ * @param {string} value The percent-encoded value of the parameter.
+ * @returns {string|undefined} The decoded value, or an undefined value, if the
+ * percent-encoding is malformed.
+ */
+function decodeParameter(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    if (error instanceof URIError) {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Convert a parameter value to the type of its schema. The path and query
+ * parameters are strings, and the numeric and boolean strings are converted to
+ * numbers and booleans.
+ * @param {any} value The parameter value.
+ * @param {JsonSchema} schema The schema of the parameter.
+ * @returns {any} The converted value.
+ */
+function parameterValue(value, schema) {
+  const types = [schema.type ?? []].flat();
+  if (typeof value !== "string") {
+    return value;
+  } else if (
+    (types.includes("integer") || types.includes("number")) &&
+    value.trim() !== "" &&
+    !Number.isNaN(Number(value))
+  ) {
+    return Number(value);
+  } else if (types.includes("boolean") && /^(true|false)$/.test(value)) {
+    return value === "true";
+  }
+  return value;
+}
+
+/**
+ * Create the middleware validating the requests against an OpenAPI document. The
+ * middleware checks the operations below the path prefix of the router it is
+ * mounted on, so the routers validate the requests after their own authorization.
+ * The requests of the undescribed operations are passed on unchecked. The issues of
+ * the parameters point to the parameter names, and the issues of the content to the
+ * invalid values of the content.
+ * @param {string} [prefix=""] The path template of the mount point of the
+ * middleware, such as `/sagas/{saga}`. The parameters of the prefix are read from
+ * the route parameters.
+ * @param {Object} [document] The OpenAPI document. Defaults to the description of
+ * the API.
+ * @returns {import("express").RequestHandler} The middleware rejecting the invalid
+ * requests with a validation error.
+ */
+export function validateRequests(
+  prefix = "",
+  document = createOpenApiDocument()
+) {
+  const operations = compileOperations(document, prefix);
+  return function (req, res, next) {
+    const method = req.method === "HEAD" ? "GET" : req.method;
+    let params;
+    const found = operations.find((candidate) => {
+      const match =
+        candidate.method === method && candidate.pattern.exec(req.path);
+      if (match) {
+        params = Object.fromEntries(
+          candidate.names.map((name, index) => [
+            name,
+            decodeParameter(match[index + 1]),
+          ])
+        );
+      }
+      return Boolean(match);
+    });
+    if (found === undefined) {
+      return next();
+    }
+    const { parameters = [], requestBody } = found.operation;
+    /** @type {import("../model/character.mjs").ValidationIssue[]} */
+    const issues = [];
+    parameters.forEach(({ name, in: location, required, schema }) => {
+      if (location === "path" && name in params && params[name] === undefined) {
+        issues.push({
+          path: `$.${name}`,
+          message: `Parameter ${name} has a malformed percent-encoding`,
+        });
+        return;
+      }
+      const value =
+        location === "path"
+          ? params[name] ?? req.params[name]
+          : req.query[name];
+      if (value === undefined) {
+        if (required) {
+          issues.push({
+            path: `$.${name}`,
+            message: `Parameter ${name} is required`,
+          });
+        }
+      } else {
+        issues.push(
+          ...validateSchema(
+            schema,
+            parameterValue(value, schema),
+            `$.${name}`,
+            document
+          )
+        );
+      }
+    });
+    if (requestBody !== undefined) {
+      const empty =
+        req.body === undefined ||
+        (Object.keys(req.body).length === 0 && !req.is("json"));
+      if (!empty) {
+        issues.push(
+          ...validateSchema(
+            requestBody.content["application/json"].schema,
+            req.body,
+            "$",
+            document
+          )
+        );
+      } else if (requestBody.required) {
+        issues.push({ path: "$", message: "The request content is required" });
+      }
+    }
+    if (issues.length > 0) {
+      return next(new ValidationError("Invalid request", issues));
+    }
+    next();
+  };
+}
+
+/**
+ * The documentation page of the API.
+ * @type {string}
+ */
+const DOCUMENTATION_PAGE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>ArM5 Tools API</title>
+    <link rel="stylesheet" href="assets/swagger-ui.css">
+  </head>
+  <body>
+    <div id="api"></div>
+    <script src="assets/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({ url: "../openapi.json", dom_id: "#api", withCredentials: true });
+    </script>
+  </body>
+</html>
+`;
+
+/**
+ * Create the router serving the OpenAPI description and its documentation page.
+ * The router does not require a login.
+ * @param {Object} [document] The OpenAPI document. Defaults to the description of
+ * the API.
+ * @returns {import("express").Router} The router of the description.
+ */
+export function createOpenApiRouter(document = createOpenApiDocument()) {
+  const router = express.Router();
+  router.get("/openapi.json", (req, res) => {
+    res.json(document);
+  });
+  router.use(
+    "/docs/assets",
+    express.static(swaggerUi.getAbsoluteFSPath(), { index: false })
+  );
+  router.get("/docs", (req, res) => {
+    if (!req.originalUrl.split("?")[0].endsWith("/")) {
+      return res.redirect(301, `${req.baseUrl}/docs/`);
+    }
+    res.type("html").send(DOCUMENTATION_PAGE);
+  });
+  return router;
+}
@@ -0,0 +1,201 @@
+/**
+ * The generic REST resource router.
+ *
+ * The resource router implements the listing, retrieval, creation, merge patching
+ * and deletion of the entities of a repository. The listings are read from the lazy
+ * queries of the repository, and support the filters, the sorting, the sparse
+ * fieldsets and the cursor pagination of the collection query. The version of the
+ * entities is managed by the repository. A patch may give the version it is based
+ * on, and the patch of an entity changed since is rejected with a conflict.
+ * @module api/resource
+ */
+
+import express from "express";
+import { collectionQuery, sendCollection } from "./collection.mjs";
+import { asyncHandler, NotFoundError, ValidationError } from "./errors.mjs";
+import { isPlainObject, mergePatch } from "./utils.mjs";
+
+/**
+ * The definition of a resource.
+ * @template {import("../persistence/repository.mjs").Entity} ENTITY The type of the
+ * resource entities.
+ * @typedef {Object} ResourceDefinition
+ * @property {string} label The human readable name of the resource type.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<ENTITY>} repository
+ * The repository of the resource.
+ * @property {(entity: any) => import("../model/character.mjs").ValidationIssue[]} validate
+ * The validator of the resource content.
+ * @property {(entity: Omit<ENTITY, "id">) => import("../model/character.mjs").ValidationIssue[]} [validateCreation]
+ * The additional validator of the normalized content of the created resources.
+ * Defaults to no checks.
+ * @property {(entity: Omit<ENTITY, "id">) => Omit<ENTITY, "id">} [normalize] The
+ * normalization of the valid content before storing. Defaults to identity.
+ * @property {(entity: Omit<ENTITY, "id">) => Omit<ENTITY, "id">} [prepare] The
+ * preparation of the stored content before applying a patch. Defaults to identity.
+ * @property {string[]} [serverManaged] The properties the clients may not set.
+ * Defaults to the identifier.
+ * @property {(query: Record<string, any>) => ((entity: ENTITY) => boolean)|undefined} [filter]
+ * The function creating the list filter from the request query. Defaults to no
+ * filtering.
+ * @property {import("./collection.mjs").CollectionFields} [fields] The fields of the
+ * collection query. Defaults to no filterable or sortable fields.
+ * @property {(entity: Omit<ENTITY, "id">) => Promise<void>} [verify] The check of the
+ * normalized content against the other resources before storing. Defaults to no
+ * checks.
+ */
+
+/**
+ * Get an entity of a repository.
+ * @template {import("../persistence/repository.mjs").Entity} ENTITY The entity type.
+ * @param {import("../persistence/repository.mjs").MemoryRepository<ENTITY>} repository
+ * The repository.
+ * @param {string} id The identifier of the entity.
+ * @param {string} [label="entity"] The human readable name of the entity type.
+ * @returns {Promise<ENTITY>} The entity.
+ * @throws {NotFoundError} The entity does not exist.
+ */
+export async function getEntity(repository, id, label = "entity") {
+  const entity = await repository.get(id);
+  if (entity === undefined) {
+    throw new NotFoundError(`No ${label} with identifier ${id}`);
+  }
+  return entity;
+}
+
+/**
+ * Create the function validating and normalizing the content of a resource.
+ * @template {import("../persistence/repository.mjs").Entity} ENTITY The entity type.
+ * @param {ResourceDefinition<ENTITY>} definition The resource definition.
+ * @returns {(content: any) => Omit<ENTITY, "id">} The function returning the
+ * normalized valid content.
+ * @throws {ValidationError} The content was invalid.
+ */
+export function createValidator({
+  label,
+  validate,
+  normalize = (value) => value,
+}) {
+  return function (content) {
+    const issues = validate(content);
+    if (issues.length > 0) {
+      throw new ValidationError(`Invalid ${label}`, issues);
+    }
+    return normalize(content);
+  };
+}
+
+/**
+ * Create the router of a resource.
+ * @template {import("../persistence/repository.mjs").Entity} ENTITY The entity type.
+ * @param {ResourceDefinition<ENTITY>} definition The resource definition.
+ * @returns {import("express").Router} The router handling the resource.
+ */
+export function createResourceRouter(definition) {
+  const {
+    label,
+    repository,
+    prepare = (value) => value,
+    serverManaged = ["id"],
+    filter = () => undefined,
+    fields = {},
+    validateCreation = () => [],
+    verify = async () => {},
+  } = definition;
+  const validated = createValidator(definition);
+  const router = express.Router();
+
+  /**
+   * Reject the content containing properties managed by the server.
+   * @param {any} content The request content.
+   * @param {string[]} [managed] The properties managed by the server.
+   * @throws {ValidationError} The content contained a property managed by the
+   * server.
+   */
+  function rejectServerManaged(content, managed = serverManaged) {
+    if (isPlainObject(content)) {
+      const issues = managed
+        .filter((property) => property in content)
+        .map((property) => ({
+          path: `$.${property}`,
+          message: `Property ${property} is managed by the server`,
+        }));
+      if (issues.length > 0) {
+        throw new ValidationError(`Invalid ${label}`, issues);
+      }
+    }
+  }
+
+  router.get(
+    "/",
+    collectionQuery(fields),
+    asyncHandler(async (req, res) => {
+      await sendCollection(req, res, repository.query(filter(req.query)));
+    })
+  );
+
+  router.get(
+    "/:id",
+    asyncHandler(async (req, res) => {
+      res.json(await getEntity(repository, req.params.id, label));
+    })
+  );
+
+  router.post(
+    "/",
+    asyncHandler(async (req, res) => {
+      rejectServerManaged(req.body, [...serverManaged, "version"]);
+      const content = validated(req.body);
+      const issues = validateCreation(content);
+      if (issues.length > 0) {
+        throw new ValidationError(`Invalid ${label}`, issues);
+      }
+      await verify(content);
+      const created = await repository.create(content);
+      res.status(201).location(`${req.baseUrl}/${created.id}`).json(created);
+    })
+  );
+
+  router.patch(
+    "/:id",
+    asyncHandler(async (req, res) => {
+      if (!isPlainObject(req.body)) {
+        throw new ValidationError("The patch must be an object");
+      }
+      rejectServerManaged(req.body);
+      const { version: expected, ...patch } = req.body;
+      if (
+        expected !== undefined &&
+        !(Number.isInteger(expected) && expected >= 0)
+      ) {
+        throw new ValidationError(`Invalid ${label}`, [
+          { path: "$.version", message: "Version must be a natural number" },
+        ]);
+      }
+      const { id, version, ...current } = await getEntity(
+        repository,
+        req.params.id,
+        label
+      );
+      const patched = validated(mergePatch(prepare(current), patch));
+      await verify(patched);
+      res.json(
+        await repository.update(id, {
+          ...patched,
+          version: expected ?? version,
+        })
+      );
+    })
+  );
+
+  router.delete(
+    "/:id",
+    asyncHandler(async (req, res) => {
+      if (!(await repository.delete(req.params.id))) {
+        throw new NotFoundError(`No ${label} with identifier ${req.params.id}`);
+      }
+      res.status(204).end();
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,162 @@
+/**
+ * The REST API of the dice rolls.
+ *
+ * The rolls are logged with the character or the session they belong to. The log is
+ * append only, and every logged roll can be replayed from its seed. A roll with the
+ * seed chosen by the client is logged as such, as its result was not left to chance.
+ * @module api/rolls
+ */
+
+import express from "express";
+import { DiceError, isSeed, roll } from "../model/dice.mjs";
+import { getCharacter } from "./characters.mjs";
+import {
+  COLLECTION_FIELDS,
+  collectionQuery,
+  sendCollection,
+} from "./collection.mjs";
+import { asyncHandler, ValidationError } from "./errors.mjs";
+import { getEntity } from "./resource.mjs";
+import { isPlainObject } from "./utils.mjs";
+
+/**
+ * A logged roll.
+ * @typedef {import("../model/dice.mjs").RollResult & LoggedRollProperties} LoggedRoll
+ */
+
+/**
+ * The properties of the roll log.
+ * @typedef {Object} LoggedRollProperties
+ * @property {string} id The identifier of the roll.
+ * @property {string} [character] The identifier of the character rolling.
+ * @property {string} [session] The identifier of the session of the roll.
+ * @property {string} [label] The description of the roll.
+ * @property {true} [clientSeed] Whether the client supplied the seed of the roll.
+ * @property {string} rolled The time of the roll.
+ */
+
+/**
+ * The options of the roll router.
+ * @typedef {Object} RollRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<LoggedRoll>} repository
+ * The repository of the roll log.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/character.mjs").Character>} characters
+ * The repository of the characters.
+ */
+
+/**
+ * Roll an expression reporting the failures as validation errors.
+ * @param {string} expression The roll expression.
+ * @param {number} [seed] The seed of the roll.
+ * @returns {import("../model/dice.mjs").RollResult} The result of the roll.
+ * @throws {ValidationError} The expression or the seed was invalid.
+ */
+function validRoll(expression, seed = undefined) {
+  try {
+    return roll(expression, seed);
+  } catch (err) {
+    if (err instanceof DiceError) {
+      throw new ValidationError(err.message, err.issues, { cause: err });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Validate the request of a roll.
+ * @param {any} body The request content.
+ * @throws {ValidationError} The request was invalid.
+ */
+function validateRollRequest(body) {
+  if (!isPlainObject(body)) {
+    throw new ValidationError("Invalid roll", [
+      { path: "$", message: "Roll must be an object" },
+    ]);
+  }
+  /** @type {import("../model/character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if ("seed" in body && !isSeed(body.seed)) {
+    issues.push({
+      path: "$.seed",
+      message: "Seed must be an unsigned 32 bit integer",
+    });
+  }
+  ["character", "session", "label"].forEach((property) => {
+    if (property in body && typeof body[property] !== "string") {
+      issues.push({
+        path: `$.${property}`,
+        message: `Property ${property} must be a string`,
+      });
+    }
+  });
+  if (!("character" in body || "session" in body)) {
+    issues.push({
+      path: "$",
+      message: "The roll must belong to a character or a session",
+    });
+  }
+  if (issues.length > 0) {
+    throw new ValidationError("Invalid roll", issues);
+  }
+}
+
+/**
+ * Create the router of the dice rolls.
+ * @param {RollRouterOptions} options The router options.
+ * @returns {import("express").Router} The router handling the rolls.
+ */
+export function createRollRouter({ repository, characters }) {
+  const router = express.Router();
+
+  router.get(
+    "/",
+    collectionQuery(COLLECTION_FIELDS.rolls),
+    asyncHandler(async (req, res) => {
+      await sendCollection(req, res, repository.query());
+    })
+  );
+
+  router.get(
+    "/:id",
+    asyncHandler(async (req, res) => {
+      res.json(await getEntity(repository, req.params.id, "roll"));
+    })
+  );
+
+  router.post(
+    "/",
+    asyncHandler(async (req, res) => {
+      validateRollRequest(req.body);
+      const { expression, seed, character, session, label } = req.body;
+      const result = validRoll(expression, seed);
+      if (character !== undefined) {
+        await getCharacter(characters, character);
+      }
+      const created = await repository.create({
+        ...result,
+        ...(character === undefined ? {} : { character }),
+        ...(session === undefined ? {} : { session }),
+        ...(label === undefined ? {} : { label }),
+        ...(seed === undefined ? {} : { clientSeed: true }),
+        rolled: new Date().toISOString(),
+      });
+      res.status(201).location(`${req.baseUrl}/${created.id}`).json(created);
+    })
+  );
+
+  router.post(
+    "/:id/replay",
+    asyncHandler(async (req, res) => {
+      const logged = await getEntity(repository, req.params.id, "roll");
+      const replayed = validRoll(logged.expression, logged.seed);
+      res.json({
+        ...replayed,
+        matches:
+          replayed.total === logged.total &&
+          replayed.dice.join() === logged.dice.join(),
+      });
+    })
+  );
+
+  return router;
+}
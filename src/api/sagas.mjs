@@ -0,0 +1,497 @@
+/**
+ * The REST API of the sagas.
+ *
+ * Every saga is a workspace of its own: the characters, the covenants, the spells,
+ * the timelines and the rolls are reached through the saga they belong to, for
+ * example `/sagas/:saga/characters`. The members of a saga see only the entities of
+ * the saga, the viewers may not change anything, and only the storyguides may see
+ * and set the hidden entities and the storyguide properties.
+ * @module api/sagas
+ */
+
+import express from "express";
+import {
+  roleOf,
+  SAGA_ROLES,
+  STORYGUIDE_PROPERTIES,
+  validateSaga,
+} from "../model/saga.mjs";
+import { SagaScopedRepository } from "../persistence/scoped.mjs";
+import { createAgingRouter } from "./aging.mjs";
+import { createAuthenticator, findUser } from "./auth.mjs";
+import { createChargenRouter } from "./chargen.mjs";
+import { createCharacterRouter } from "./characters.mjs";
+import {
+  COLLECTION_FIELDS,
+  collectionQuery,
+  sendCollection,
+} from "./collection.mjs";
+import { createCovenantRouter } from "./covenants.mjs";
+import { createDocumentRouter } from "./documents.mjs";
+import { createEncounterRouter } from "./encounters.mjs";
+import { createHistoryRouter, HISTORY_ENTITIES } from "./history.mjs";
+import {
+  asyncHandler,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "./errors.mjs";
+import { createLabRouter } from "./lab.mjs";
+import { validateRequests } from "./openapi.mjs";
+import { createLibraryRouter } from "./library.mjs";
+import { createRollRouter } from "./rolls.mjs";
+import { createSpellRouter } from "./spells.mjs";
+import { createTimelineRouter } from "./timeline.mjs";
+import { createVisRouter } from "./vis.mjs";
+import { isPlainObject, mergePatch } from "./utils.mjs";
+
+/**
+ * The repositories of the entities owned by the sagas.
+ * @type {Readonly<string[]>}
+ */
+export const SAGA_CONTENT = Object.freeze([
+  "characters",
+  "covenants",
+  "timelines",
+  "spells",
+  "rolls",
+  "chargen",
+  "encounters",
+  "vis",
+  "history",
+]);
+
+/**
+ * The HTTP methods not changing the saga.
+ * @type {ReadonlySet<string>}
+ */
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/**
+ * The properties of a saga the clients may change.
+ * @type {Readonly<string[]>}
+ */
+const SAGA_PROPERTIES = Object.freeze(["name", "description", "season"]);
+
+/**
+ * Create the repositories of the content of a saga.
+ * @param {import("./index.mjs").Repositories} repositories The repositories shared
+ * by all sagas.
+ * @param {string} saga The identifier of the saga.
+ * @param {boolean} storyguide Do the repositories show the hidden entities and the
+ * secret properties.
+ * @returns {import("./index.mjs").Repositories} The repositories of the saga.
+ */
+export function sagaRepositories(repositories, saga, storyguide) {
+  return Object.fromEntries(
+    SAGA_CONTENT.filter((name) => repositories[name] !== undefined).map(
+      (name) => [
+        name,
+        new SagaScopedRepository(repositories[name], saga, { storyguide }),
+      ]
+    )
+  );
+}
+
+/**
+ * Create the router of the content of a saga.
+ * @param {import("./index.mjs").Repositories} repositories The repositories of the
+ * saga.
+ * @returns {import("express").Router} The router of the saga content.
+ */
+export function createSagaContentRouter(repositories) {
+  const router = express.Router();
+  if (repositories.history !== undefined) {
+    Object.entries(HISTORY_ENTITIES).forEach(([name, entity]) => {
+      router.use(
+        `/${name}/:id/history`,
+        createHistoryRouter({
+          repository: repositories[name],
+          history: repositories.history,
+          entity,
+        })
+      );
+    });
+  }
+  router.use(
+    "/characters/:id/aging",
+    createAgingRouter({ repository: repositories.characters })
+  );
+  router.use(
+    "/characters",
+    createCharacterRouter({
+      repository: repositories.characters,
+      spells: repositories.spells,
+    })
+  );
+  router.use(
+    "/covenants/:id/timeline",
+    createTimelineRouter({
+      repository: repositories.timelines,
+      covenants: repositories.covenants,
+      characters: repositories.characters,
+    })
+  );
+  router.use(
+    "/covenants/:id/library",
+    createLibraryRouter({
+      covenants: repositories.covenants,
+      characters: repositories.characters,
+    })
+  );
+  router.use(
+    "/covenants",
+    createCovenantRouter({ repository: repositories.covenants })
+  );
+  router.use(
+    "/lab",
+    createLabRouter({
+      characters: repositories.characters,
+      covenants: repositories.covenants,
+    })
+  );
+  router.use(
+    "/rolls",
+    createRollRouter({
+      repository: repositories.rolls,
+      characters: repositories.characters,
+    })
+  );
+  router.use(
+    "/chargen",
+    createChargenRouter({
+      repository: repositories.chargen,
+      characters: repositories.characters,
+      spells: repositories.spells,
+    })
+  );
+  router.use(
+    "/encounters",
+    createEncounterRouter({
+      repository: repositories.encounters,
+      characters: repositories.characters,
+    })
+  );
+  router.use(
+    "/vis",
+    createVisRouter({
+      repository: repositories.vis,
+      covenants: repositories.covenants,
+      characters: repositories.characters,
+    })
+  );
+  router.use(createDocumentRouter({ repositories }));
+  router.use("/spells", createSpellRouter({ repository: repositories.spells }));
+  return router;
+}
+
+/**
+ * Create the function authorizing the WebSocket connections to the events of a
+ * saga. The connection URL tells the saga with the `saga` query parameter.
+ * @param {import("./index.mjs").Repositories} repositories The repositories of the
+ * users, the login sessions and the sagas.
+ * @returns {import("../realtime/websocket.mjs").EventAuthorization} The
+ * authorization.
+ */
+export function createSagaAuthorizer(repositories) {
+  const authenticate = createAuthenticator(repositories);
+  return async function (req) {
+    const user = await authenticate(req);
+    const id = new URL(req.url, "http://localhost").searchParams.get("saga");
+    const saga =
+      user === undefined || id === null
+        ? undefined
+        : await repositories.sagas.get(id);
+    const role = saga === undefined ? undefined : roleOf(saga, user.id);
+    return role === undefined
+      ? undefined
+      : { saga: saga.id, storyguide: role === "storyguide" };
+  };
+}
+
+/**
+ * Create the router of the sagas. The router expects the authenticated user in the
+ * `user` property of the requests.
+ * @param {Object} options The router options.
+ * @param {import("./index.mjs").Repositories} options.repositories The repositories
+ * of the users, the sagas and the saga content.
+ * @returns {import("express").Router} The router of the sagas.
+ */
+export function createSagaRouter({ repositories }) {
+  const { users, sagas } = repositories;
+  const router = express.Router();
+  /**
+   * The content routers by the saga and the visibility of the storyguide content.
+   * @type {Map<string, import("express").Router>}
+   */
+  const contentRouters = new Map();
+
+  /**
+   * Get the router of the content of a saga.
+   * @param {string} saga The identifier of the saga.
+   * @param {boolean} storyguide Does the router show the storyguide content.
+   * @returns {import("express").Router} The content router.
+   */
+  function contentRouter(saga, storyguide) {
+    const key = `${saga}:${storyguide}`;
+    if (!contentRouters.has(key)) {
+      contentRouters.set(
+        key,
+        createSagaContentRouter(
+          sagaRepositories(repositories, saga, storyguide)
+        )
+      );
+    }
+    return contentRouters.get(key);
+  }
+
+  /**
+   * Load the saga of the request and the role of the user in it. The sagas the user
+   * is not a member of do not exist for the user.
+   * @type {import("express").RequestHandler}
+   */
+  const loadMembership = asyncHandler(async (req, res, next) => {
+    const saga = await sagas.get(req.params.saga);
+    const role = saga === undefined ? undefined : roleOf(saga, req.user.id);
+    if (role === undefined) {
+      throw new NotFoundError(`No saga with identifier ${req.params.saga}`);
+    }
+    req.saga = saga;
+    req.role = role;
+    next();
+  });
+
+  /**
+   * Reject the requests of the members who are not storyguides.
+   * @type {import("express").RequestHandler}
+   */
+  function requireStoryguide(req, res, next) {
+    if (req.role !== "storyguide") {
+      throw new ForbiddenError("Only the storyguides may manage the saga");
+    }
+    next();
+  }
+
+  /**
+   * Validate the saga management requests after the authorization of the member.
+   * @type {import("express").RequestHandler}
+   */
+  const validateSagas = validateRequests("/sagas");
+
+  /**
+   * Reject the content requests the role of the user does not allow. The viewers
+   * may only read, and only the storyguides may import documents or set the
+   * storyguide properties.
+   * @type {import("express").RequestHandler}
+   */
+  function authorizeContent(req, res, next) {
+    if (req.role === "storyguide") {
+      return next();
+    }
+    if (req.role === "viewer" && !SAFE_METHODS.has(req.method)) {
+      throw new ForbiddenError("Viewers may not change the saga");
+    }
+    if (req.path === "/import") {
+      throw new ForbiddenError("Only the storyguides may import documents");
+    }
+    const properties = isPlainObject(req.body)
+      ? STORYGUIDE_PROPERTIES.filter((property) => property in req.body)
+      : [];
+    if (properties.length > 0) {
+      throw new ForbiddenError(
+        `Only the storyguides may set ${properties.join(", ")}`
+      );
+    }
+    next();
+  }
+
+  /**
+   * Validate the changed saga properties.
+   * @param {any} body The request content.
+   * @throws {ValidationError} The content was invalid.
+   */
+  function rejectUnknownProperties(body) {
+    if (!isPlainObject(body)) {
+      throw new ValidationError("Invalid saga", [
+        { path: "$", message: "Saga must be an object" },
+      ]);
+    }
+    const issues = Object.keys(body)
+      .filter((property) => !SAGA_PROPERTIES.includes(property))
+      .map((property) => ({
+        path: `$.${property}`,
+        message: `Property ${property} may not be set`,
+      }));
+    if (issues.length > 0) {
+      throw new ValidationError("Invalid saga", issues);
+    }
+  }
+
+  /**
+   * Store a changed saga.
+   * @param {import("../model/saga.mjs").Saga} saga The changed saga.
+   * @returns {Promise<import("../model/saga.mjs").Saga>} The stored saga.
+   * @throws {ValidationError} The changed saga was invalid.
+   */
+  function saveSaga({ id, ...saga }) {
+    const issues = validateSaga(saga);
+    if (issues.length > 0) {
+      throw new ValidationError("Invalid saga", issues);
+    }
+    return sagas.update(id, saga);
+  }
+
+  /**
+   * Get the members of a saga with their usernames.
+   * @param {import("../model/saga.mjs").Saga} saga The saga.
+   * @returns {Promise<{user: string, username?: string, role: string}[]>} The
+   * members.
+   */
+  async function membersOf(saga) {
+    return Promise.all(
+      saga.members.map(async (member) => ({
+        ...member,
+        username: (await users.get(member.user))?.username,
+      }))
+    );
+  }
+
+  router.get(
+    "/",
+    collectionQuery(COLLECTION_FIELDS.sagas),
+    asyncHandler(async (req, res) => {
+      const member = sagas
+        .query((saga) => roleOf(saga, req.user.id) !== undefined)
+        .map((saga) => ({ ...saga, role: roleOf(saga, req.user.id) }));
+      await sendCollection(req, res, member);
+    })
+  );
+
+  router.post(
+    "/",
+    validateSagas,
+    asyncHandler(async (req, res) => {
+      rejectUnknownProperties(req.body);
+      const saga = {
+        ...req.body,
+        members: [{ user: req.user.id, role: "storyguide" }],
+      };
+      const issues = validateSaga(saga);
+      if (issues.length > 0) {
+        throw new ValidationError("Invalid saga", issues);
+      }
+      const created = await sagas.create(saga);
+      res
+        .status(201)
+        .location(`${req.baseUrl}/${created.id}`)
+        .json({ ...created, role: "storyguide" });
+    })
+  );
+
+  router.get("/:saga", loadMembership, (req, res) => {
+    res.json({ ...req.saga, role: req.role });
+  });
+
+  router.patch(
+    "/:saga",
+    loadMembership,
+    requireStoryguide,
+    validateSagas,
+    asyncHandler(async (req, res) => {
+      rejectUnknownProperties(req.body);
+      const saved = await saveSaga(mergePatch(req.saga, req.body));
+      res.json({ ...saved, role: req.role });
+    })
+  );
+
+  router.delete(
+    "/:saga",
+    loadMembership,
+    requireStoryguide,
+    asyncHandler(async (req, res) => {
+      const { id } = req.saga;
+      await sagas.transaction(async () => {
+        for (const name of SAGA_CONTENT) {
+          const repository = repositories[name];
+          for (const entity of (await repository?.list(
+            (candidate) => candidate.saga === id
+          )) ?? []) {
+            await repository.delete(entity.id);
+          }
+        }
+        await sagas.delete(id);
+      });
+      contentRouters.delete(`${id}:true`);
+      contentRouters.delete(`${id}:false`);
+      res.status(204).end();
+    })
+  );
+
+  router.get(
+    "/:saga/members",
+    loadMembership,
+    asyncHandler(async (req, res) => {
+      res.json(await membersOf(req.saga));
+    })
+  );
+
+  router.put(
+    "/:saga/members/:username",
+    loadMembership,
+    requireStoryguide,
+    validateSagas,
+    asyncHandler(async (req, res) => {
+      const role = req.body?.role;
+      if (!SAGA_ROLES.includes(role)) {
+        throw new ValidationError("Invalid member", [
+          {
+            path: "$.role",
+            message: `Role must be one of ${SAGA_ROLES.join(", ")}`,
+          },
+        ]);
+      }
+      const user = await findUser(users, req.params.username);
+      if (user === undefined) {
+        throw new NotFoundError(`No user ${req.params.username}`);
+      }
+      const members = req.saga.members.filter(
+        (member) => member.user !== user.id
+      );
+      const saved = await saveSaga({
+        ...req.saga,
+        members: [...members, { user: user.id, role }],
+      });
+      res.json(await membersOf(saved));
+    })
+  );
+
+  router.delete(
+    "/:saga/members/:username",
+    loadMembership,
+    asyncHandler(async (req, res) => {
+      const user = await findUser(users, req.params.username);
+      if (user === undefined || roleOf(req.saga, user.id) === undefined) {
+        throw new NotFoundError(`No member ${req.params.username}`);
+      }
+      if (user.id !== req.user.id && req.role !== "storyguide") {
+        throw new ForbiddenError("Only the storyguides may remove members");
+      }
+      await saveSaga({
+        ...req.saga,
+        members: req.saga.members.filter((member) => member.user !== user.id),
+      });
+      res.status(204).end();
+    })
+  );
+
+  router.use(
+    "/:saga",
+    loadMembership,
+    authorizeContent,
+    validateRequests("/sagas/{saga}"),
+    (req, res, next) =>
+      contentRouter(req.saga.id, req.role === "storyguide")(req, res, next)
+  );
+
+  return router;
+}
@@ -0,0 +1,113 @@
+/**
+ * The printable character sheets.
+ *
+ * The sheets are server rendered pages outside the REST API: `/characters/:id`
+ * renders the printable sheet of a character, and `/characters/:id.md` exports the
+ * same sheet as Markdown. The sheets require a logged in member of the saga of the
+ * character, and show the character as the member sees it.
+ * @module api/sheets
+ */
+
+import express from "express";
+import { fileURLToPath } from "node:url";
+import { memberView, roleOf } from "../model/saga.mjs";
+import { characterSheet } from "../model/sheet.mjs";
+import { SagaScopedRepository } from "../persistence/scoped.mjs";
+import {
+  renderCharacterMarkdown,
+  renderCharacterSheet,
+} from "../sheets/character.mjs";
+import { requireUser } from "./auth.mjs";
+import {
+  asyncHandler,
+  errorHandler,
+  NotFoundError,
+  notFoundHandler,
+} from "./errors.mjs";
+
+/**
+ * The directory of the stylesheets of the sheets.
+ * @type {string}
+ */
+const ASSETS = fileURLToPath(new URL("../sheets/assets", import.meta.url));
+
+/**
+ * Create the router of the character sheets.
+ * @param {Object} options The router options.
+ * @param {import("./index.mjs").Repositories} options.repositories The repositories
+ * of the users, the login sessions, the sagas, the characters and the spells.
+ * @returns {import("express").Router} The router of the sheets.
+ */
+export function createSheetRouter({ repositories }) {
+  const { characters, sagas, spells } = repositories;
+  const router = express.Router();
+
+  /**
+   * Load the sheet of the character of the request. The characters of the sagas the
+   * user is not a member of and the hidden characters do not exist for the user.
+   * @param {import("express").Request} req The request.
+   * @returns {Promise<{saga: import("../model/saga.mjs").Saga, sheet: import("../model/sheet.mjs").CharacterSheet}>}
+   * The saga and the sheet of the character.
+   * @throws {NotFoundError} The character does not exist for the user.
+   */
+  async function loadSheet(req) {
+    const { id } = req.params;
+    const stored = await characters.get(id);
+    const saga =
+      typeof stored?.saga === "string"
+        ? await sagas.get(stored.saga)
+        : undefined;
+    const role = saga === undefined ? undefined : roleOf(saga, req.user.id);
+    const character =
+      role === undefined
+        ? undefined
+        : memberView(stored, role === "storyguide");
+    if (character === undefined) {
+      throw new NotFoundError(`No character with identifier ${id}`);
+    }
+    const catalogue =
+      spells === undefined
+        ? undefined
+        : new SagaScopedRepository(spells, saga.id, {
+            storyguide: role === "storyguide",
+          });
+    const known = await Promise.all(
+      (character.spells ?? []).map(({ spell }) => catalogue?.get(spell))
+    );
+    return {
+      saga,
+      sheet: characterSheet(
+        character,
+        known.filter((spell) => spell !== undefined)
+      ),
+    };
+  }
+
+  router.use("/assets", express.static(ASSETS, { index: false }));
+  router.use(requireUser(repositories));
+  router.get(
+    "/characters/:id.md",
+    asyncHandler(async (req, res) => {
+      const { saga, sheet } = await loadSheet(req);
+      res
+        .type("text/markdown; charset=utf-8")
+        .send(renderCharacterMarkdown(sheet, { saga: saga.name }));
+    })
+  );
+  router.get(
+    "/characters/:id",
+    asyncHandler(async (req, res) => {
+      const { saga, sheet } = await loadSheet(req);
+      res.type("html").send(
+        renderCharacterSheet(sheet, {
+          saga: saga.name,
+          stylesheet: "../assets/sheet.css",
+          markdown: `${encodeURIComponent(sheet.id)}.md`,
+        })
+      );
+    })
+  );
+  router.use(notFoundHandler);
+  router.use(errorHandler);
+  return router;
+}
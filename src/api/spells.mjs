@@ -0,0 +1,129 @@
+/**
+ * The REST API of the spell catalogue.
+ * @module api/spells
+ */
+
+import { FORMS, TECHNIQUES } from "../model/character.mjs";
+import {
+  checkSpellLevel,
+  normalizeSpell,
+  spellFilter,
+  spellLevel,
+  validateSpell,
+} from "../model/spell.mjs";
+import { COLLECTION_FIELDS } from "./collection.mjs";
+import { asyncHandler, ValidationError } from "./errors.mjs";
+import { createResourceRouter } from "./resource.mjs";
+
+/**
+ * The options of the spell router.
+ * @typedef {Object} SpellRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/spell.mjs").Spell>} repository
+ * The repository of the spells.
+ */
+
+/**
+ * Parse an optional level of the search query.
+ * @param {any} value The query value.
+ * @param {string} name The name of the query parameter.
+ * @param {import("../model/character.mjs").ValidationIssue[]} issues The list the
+ * found issues are added to.
+ * @returns {number|undefined} The parsed level, or an undefined value, if the query
+ * did not contain the level.
+ */
+function parseLevel(value, name, issues) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const level = Number(value);
+  if (!Number.isInteger(level) || value === "") {
+    issues.push({ path: `$.${name}`, message: `Invalid level ${value}` });
+  }
+  return level;
+}
+
+/**
+ * Parse the spell search of a request query.
+ * @param {Record<string, any>} query The request query.
+ * @returns {import("../model/spell.mjs").SpellQuery} The search criteria.
+ * @throws {ValidationError} The query was invalid.
+ */
+export function parseSpellQuery({
+  technique,
+  form,
+  levelMin,
+  levelMax,
+  q,
+  keyword = q,
+  mismatch,
+}) {
+  /** @type {import("../model/character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if (technique !== undefined && !TECHNIQUES.includes(technique)) {
+    issues.push({
+      path: "$.technique",
+      message: `Unknown Technique ${technique}`,
+    });
+  }
+  if (form !== undefined && !FORMS.includes(form)) {
+    issues.push({ path: "$.form", message: `Unknown Form ${form}` });
+  }
+  if (mismatch !== undefined && !["true", "false"].includes(mismatch)) {
+    issues.push({
+      path: "$.mismatch",
+      message: "Mismatch must be true or false",
+    });
+  }
+  const result = {
+    technique,
+    form,
+    levelMin: parseLevel(levelMin, "levelMin", issues),
+    levelMax: parseLevel(levelMax, "levelMax", issues),
+    keyword,
+    mismatch: mismatch === undefined ? undefined : mismatch === "true",
+  };
+  if (issues.length > 0) {
+    throw new ValidationError("Invalid spell search", issues);
+  }
+  return result;
+}
+
+/**
+ * Create the router of the spell catalogue. The spells are stored with the declared
+ * level, and the level computed from the guideline is reported alongside it.
+ * @param {SpellRouterOptions} options The router options.
+ * @returns {import("express").Router} The router handling the spell resources.
+ */
+export function createSpellRouter({ repository }) {
+  const router = createResourceRouter({
+    label: "spell",
+    repository,
+    validate: validateSpell,
+    normalize: normalizeSpell,
+    prepare: ({ computedLevel, ...spell }) => spell,
+    serverManaged: ["id", "saga", "computedLevel"],
+    fields: COLLECTION_FIELDS.spells,
+    filter(query) {
+      return spellFilter(parseSpellQuery(query));
+    },
+  });
+
+  router.post(
+    "/validate",
+    asyncHandler(async (req, res) => {
+      const issues = validateSpell(req.body);
+      if (issues.length > 0) {
+        throw new ValidationError("Invalid spell", issues);
+      }
+      const mismatches = checkSpellLevel(req.body);
+      res.json({
+        level: req.body.level,
+        computedLevel: spellLevel(req.body),
+        valid: mismatches.length === 0,
+        issues: mismatches,
+      });
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,257 @@
+/**
+ * The REST API of the covenant timelines.
+ *
+ * The timeline router is mounted under a covenant resource.
+ * @module api/timeline
+ */
+
+import express from "express";
+import { AdvancementError } from "../model/advancement.mjs";
+import { normalizeCharacter } from "../model/character.mjs";
+import {
+  advanceTimeline,
+  compareSeasons,
+  createTimeline,
+  participants,
+  recordActivity,
+  replayTimeline,
+  seasonKey,
+  TimelineError,
+} from "../model/timeline.mjs";
+import { getCovenant } from "./covenants.mjs";
+import { asyncHandler, NotFoundError, ValidationError } from "./errors.mjs";
+
+/**
+ * The options of the timeline router.
+ * @typedef {Object} TimelineRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/timeline.mjs").Timeline>} repository
+ * The repository of the timelines.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/covenant.mjs").Covenant>} covenants
+ * The repository of the covenants.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/character.mjs").Character>} characters
+ * The repository of the characters.
+ */
+
+/**
+ * Perform a timeline operation reporting its failures as validation errors.
+ * @template RESULT The result type of the operation.
+ * @param {() => RESULT} operation The operation.
+ * @returns {RESULT} The result of the operation.
+ * @throws {ValidationError} The operation failed due invalid timeline or
+ * advancement.
+ */
+function timelineOperation(operation) {
+  try {
+    return operation();
+  } catch (err) {
+    if (err instanceof TimelineError || err instanceof AdvancementError) {
+      throw new ValidationError(err.message, err.issues, { cause: err });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Get the public view of a timeline without the character snapshots.
+ * @param {import("../model/timeline.mjs").Timeline} timeline The timeline.
+ * @returns {Omit<import("../model/timeline.mjs").Timeline, "snapshots">} The
+ * timeline without the snapshots.
+ */
+function timelineView({ snapshots, ...timeline }) {
+  return timeline;
+}
+
+/**
+ * Create the router of the covenant timelines.
+ * @param {TimelineRouterOptions} options The router options.
+ * @returns {import("express").Router} The router handling the timeline of the
+ * covenant given by the parameter `id` of the parent router.
+ */
+export function createTimelineRouter({ repository, covenants, characters }) {
+  const router = express.Router({ mergeParams: true });
+
+  /**
+   * Load the timeline of a covenant. A covenant without a stored timeline has an
+   * empty timeline starting from the spring of its founding year.
+   * @param {string} id The identifier of the covenant.
+   * @returns {Promise<import("../model/timeline.mjs").Timeline>} The timeline.
+   * @throws {NotFoundError} The covenant does not exist.
+   */
+  async function loadTimeline(id) {
+    const covenant = await getCovenant(covenants, id);
+    const [stored] = await repository.list(
+      (timeline) => timeline.covenant === id
+    );
+    return (
+      stored ?? createTimeline(id, { year: covenant.founded, season: "spring" })
+    );
+  }
+
+  /**
+   * Store a timeline.
+   * @param {import("../model/timeline.mjs").Timeline} timeline The stored timeline.
+   * @returns {Promise<import("../model/timeline.mjs").Timeline>} The stored
+   * timeline.
+   */
+  function saveTimeline({ id, ...timeline }) {
+    return id === undefined
+      ? repository.create(timeline)
+      : repository.update(id, timeline);
+  }
+
+  /**
+   * Load characters.
+   * @param {string[]} ids The identifiers of the loaded characters.
+   * @returns {Promise<Record<string, import("../model/character.mjs").Character>>}
+   * The existing characters by their identifiers.
+   */
+  async function loadCharacters(ids) {
+    const loaded = await Promise.all(ids.map((id) => characters.get(id)));
+    return Object.fromEntries(
+      loaded
+        .filter((character) => character !== undefined)
+        .map((character) => [character.id, character])
+    );
+  }
+
+  /**
+   * Store the changed characters.
+   * @param {Record<string, import("../model/character.mjs").Character>} changed
+   * The characters by their identifiers.
+   * @returns {Promise<void>}
+   */
+  async function saveCharacters(changed) {
+    for (const [id, character] of Object.entries(changed)) {
+      await characters.update(id, normalizeCharacter(character));
+    }
+  }
+
+  router.get(
+    "/",
+    asyncHandler(async (req, res) => {
+      res.json(timelineView(await loadTimeline(req.params.id)));
+    })
+  );
+
+  router.put(
+    "/:year/:season/:character",
+    asyncHandler(async (req, res) => {
+      const entry = {
+        year: Number(req.params.year),
+        season: req.params.season,
+        character: req.params.character,
+        activity: req.body,
+      };
+      const updated = await repository.transaction(async () => {
+        const timeline = await loadTimeline(req.params.id);
+        if ((await characters.get(req.params.character)) === undefined) {
+          throw new NotFoundError(
+            `No character with identifier ${req.params.character}`
+          );
+        }
+        return saveTimeline(
+          timelineOperation(() => recordActivity(timeline, entry))
+        );
+      });
+      res.json(
+        updated.entries.find(
+          (existing) =>
+            existing.character === entry.character &&
+            compareSeasons(existing, entry) === 0
+        )
+      );
+    })
+  );
+
+  router.delete(
+    "/:year/:season/:character",
+    asyncHandler(async (req, res) => {
+      const season = {
+        year: Number(req.params.year),
+        season: req.params.season,
+      };
+      await repository.transaction(async () => {
+        const timeline = await loadTimeline(req.params.id);
+        const entries = timeline.entries.filter(
+          (entry) =>
+            entry.character !== req.params.character ||
+            compareSeasons(entry, season) !== 0
+        );
+        if (entries.length === timeline.entries.length) {
+          throw new NotFoundError(
+            `No activity of ${req.params.character} in ${seasonKey(season)}`
+          );
+        }
+        await saveTimeline({ ...timeline, entries });
+      });
+      res.status(204).end();
+    })
+  );
+
+  router.post(
+    "/advance",
+    asyncHandler(async (req, res) => {
+      const { season, advanced } = await repository.transaction(async () => {
+        const covenant = await getCovenant(covenants, req.params.id);
+        const timeline = await loadTimeline(req.params.id);
+        const season = timeline.current;
+        const involved = await loadCharacters(
+          participants(
+            timeline.entries.filter(
+              (entry) => compareSeasons(entry, season) === 0
+            )
+          )
+        );
+        const advanced = timelineOperation(() =>
+          advanceTimeline(timeline, involved, { aura: covenant.aura ?? 0 })
+        );
+        await saveCharacters(advanced.characters);
+        await saveTimeline(advanced.timeline);
+        return { season, advanced };
+      });
+      res.json({
+        season,
+        current: advanced.timeline.current,
+        outcomes: advanced.outcomes,
+      });
+    })
+  );
+
+  router.post(
+    "/replay",
+    asyncHandler(async (req, res) => {
+      const from = { year: req.body?.year, season: req.body?.season };
+      const replayed = await repository.transaction(async () => {
+        const covenant = await getCovenant(covenants, req.params.id);
+        const timeline = await loadTimeline(req.params.id);
+        const involved = await loadCharacters([
+          ...new Set([
+            ...participants(
+              timeline.entries.filter(
+                (entry) => compareSeasons(entry, from) >= 0
+              )
+            ),
+            ...Object.values(timeline.snapshots).flatMap(Object.keys),
+          ]),
+        ]);
+        const replayed = timelineOperation(() =>
+          replayTimeline(timeline, from, involved, { aura: covenant.aura ?? 0 })
+        );
+        await saveCharacters(
+          Object.fromEntries(
+            Object.entries(replayed.characters).filter(([id]) => id in involved)
+          )
+        );
+        await saveTimeline(replayed.timeline);
+        return replayed;
+      });
+      res.json({
+        from,
+        current: replayed.timeline.current,
+        outcomes: replayed.outcomes,
+      });
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,36 @@
+/**
+ * The utilities of the REST API.
+ * @module api/utils
+ */
+
+/**
+ * Test whether a value is a plain JSON object.
+ * @param {any} value The tested value.
+ * @returns {boolean} True, if and only if the value is a non-null non-array object.
+ */
+export function isPlainObject(value) {
+  return value instanceof Object && !Array.isArray(value);
+}
+
+/**
+ * Apply a JSON merge patch (RFC 7396) to a value. Objects are merged recursively,
+ * null values remove the property, and all other values replace the target value.
+ * @param {any} target The patched value.
+ * @param {any} patch The merge patch.
+ * @returns {any} The patched copy of the target.
+ */
+export function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return structuredClone(patch);
+  }
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.getOwnPropertyNames(patch).forEach((property) => {
+    const value = patch[property];
+    if (value === null) {
+      delete result[property];
+    } else {
+      result[property] = mergePatch(result[property], value);
+    }
+  });
+  return result;
+}
@@ -0,0 +1,65 @@
+/**
+ * The REST API of the Virtue and Flaw catalogue.
+ * @module api/virtues
+ */
+
+import express from "express";
+import { CHARACTER_TYPES } from "../model/character.mjs";
+import {
+  findVirtue,
+  MAGNITUDES,
+  VIRTUE_CATALOGUE,
+  VIRTUE_TYPES,
+} from "../model/virtue.mjs";
+import { NotFoundError, ValidationError } from "./errors.mjs";
+
+/**
+ * Create the router of the Virtue and Flaw catalogue. The catalogue is listed with
+ * the optional query parameters `kind`, `magnitude`, `type` and `characterType`.
+ * @returns {import("express").Router} The router handling the catalogue.
+ */
+export function createVirtueRouter() {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    const { kind, magnitude, type, characterType } = req.query;
+    const issues = [
+      ["kind", kind, ["virtue", "flaw"]],
+      ["magnitude", magnitude, MAGNITUDES],
+      ["type", type, VIRTUE_TYPES],
+      ["characterType", characterType, CHARACTER_TYPES],
+    ]
+      .filter(
+        ([, value, allowed]) => value !== undefined && !allowed.includes(value)
+      )
+      .map(([name, , allowed]) => ({
+        path: `$.${name}`,
+        message: `Query ${name} must be one of ${allowed.join(", ")}`,
+      }));
+    if (issues.length > 0) {
+      throw new ValidationError("Invalid query", issues);
+    }
+    res.json(
+      VIRTUE_CATALOGUE.filter(
+        (definition) =>
+          (kind === undefined || definition.kind === kind) &&
+          (magnitude === undefined || definition.magnitude === magnitude) &&
+          (type === undefined || definition.type === type) &&
+          (characterType === undefined ||
+            (definition.characterTypes ?? CHARACTER_TYPES).includes(
+              characterType
+            ))
+      )
+    );
+  });
+
+  router.get("/:name", (req, res) => {
+    const definition = findVirtue(req.params.name);
+    if (definition === undefined) {
+      throw new NotFoundError(`No Virtue or Flaw ${req.params.name}`);
+    }
+    res.json(definition);
+  });
+
+  return router;
+}
@@ -0,0 +1,275 @@
+/**
+ * The REST API of the raw vis ledger.
+ *
+ * The transactions of the ledger are append only. A transaction is corrected by
+ * recording its reversal, and every transaction records the user recording it. The
+ * balances of the covenants and the characters are computed from the transactions
+ * as of any season. Like the other saga content, the ledger is reached through its
+ * saga at `/sagas/:saga/vis`.
+ * @module api/vis
+ */
+
+import express from "express";
+import { findResourceIndex } from "../model/covenant.mjs";
+import { isSeason } from "../model/timeline.mjs";
+import {
+  checkTransaction,
+  HOLDER_KINDS,
+  reverseTransaction,
+  validateTransaction,
+  visBalances,
+  VisError,
+} from "../model/vis.mjs";
+import { getCharacter } from "./characters.mjs";
+import { getCovenant } from "./covenants.mjs";
+import {
+  COLLECTION_FIELDS,
+  collectionQuery,
+  sendCollection,
+} from "./collection.mjs";
+import { asyncHandler, ConflictError, ValidationError } from "./errors.mjs";
+import { getEntity } from "./resource.mjs";
+import { isPlainObject } from "./utils.mjs";
+
+/**
+ * The options of the vis router.
+ * @typedef {Object} VisRouterOptions
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/vis.mjs").VisTransaction>} repository
+ * The repository of the transactions.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/covenant.mjs").Covenant>} covenants
+ * The repository of the covenants.
+ * @property {import("../persistence/repository.mjs").MemoryRepository<import("../model/character.mjs").Character>} characters
+ * The repository of the characters.
+ */
+
+/**
+ * The properties of a transaction the clients may not set.
+ * @type {Readonly<string[]>}
+ */
+const SERVER_MANAGED = Object.freeze([
+  "id",
+  "saga",
+  "reverses",
+  "recorded",
+  "recordedBy",
+]);
+
+/**
+ * Perform a vis operation reporting its failures as validation errors.
+ * @template RESULT The result type of the operation.
+ * @param {() => RESULT} operation The operation.
+ * @returns {RESULT} The result of the operation.
+ * @throws {ValidationError} The operation was invalid.
+ */
+function visOperation(operation) {
+  try {
+    return operation();
+  } catch (err) {
+    if (err instanceof VisError) {
+      throw new ValidationError(err.message, err.issues, { cause: err });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Read the season of a request.
+ * @param {Record<string, any>} values The request query or content.
+ * @returns {import("../model/timeline.mjs").Season|undefined} The season, or
+ * undefined, if the request has no season.
+ * @throws {ValidationError} The season was invalid.
+ */
+function requestedSeason({ year, season } = {}) {
+  if (year === undefined && season === undefined) {
+    return undefined;
+  }
+  const requested = { year: Number(year), season };
+  if (!isSeason(requested)) {
+    throw new ValidationError("Invalid season", [
+      { path: "$.season", message: "Season requires a year and a season" },
+    ]);
+  }
+  return requested;
+}
+
+/**
+ * Create the router of the vis ledger.
+ * @param {VisRouterOptions} options The router options.
+ * @returns {import("express").Router} The router handling the ledger.
+ */
+export function createVisRouter({ repository, covenants, characters }) {
+  const router = express.Router();
+
+  /**
+   * Check the references of a transaction to the covenants, the characters and the
+   * vis sources.
+   * @param {import("../model/vis.mjs").VisTransaction} transaction The valid
+   * transaction.
+   * @throws {import("./errors.mjs").NotFoundError} A holder does not exist.
+   * @throws {ValidationError} The vis source of a harvest is invalid.
+   */
+  async function verify({ from, to, type, source, art, pawns }) {
+    for (const account of [from, to].filter(Boolean)) {
+      await (account.kind === "covenant"
+        ? getCovenant(covenants, account.id)
+        : getCharacter(characters, account.id));
+    }
+    if (type === "harvest") {
+      const { visSources = [] } = await getCovenant(covenants, to.id);
+      const index = findResourceIndex("visSources", visSources, {
+        name: source,
+      });
+      const found = visSources[index];
+      if (found === undefined || found.art !== art || found.pawns < pawns) {
+        throw new ValidationError("Invalid harvest", [
+          {
+            path: "$.source",
+            message:
+              found === undefined
+                ? `The covenant ${to.id} has no vis source ${source}`
+                : `The vis source ${source} yields ${found.pawns} pawns of ${found.art} vis`,
+          },
+        ]);
+      }
+    }
+  }
+
+  /**
+   * Record a transaction to the ledger. The ledger is checked and changed in a
+   * repository transaction, so concurrent transactions cannot overdraw a holder.
+   * @param {import("../model/vis.mjs").VisTransaction} transaction The valid
+   * transaction.
+   * @param {import("express").Request} req The request.
+   * @returns {Promise<import("../model/vis.mjs").VisTransaction>} The recorded
+   * transaction.
+   * @throws {ValidationError} The transaction does not fit the ledger.
+   */
+  function record(transaction, req) {
+    return repository.transaction(async () => {
+      const issues = checkTransaction(await repository.list(), transaction);
+      if (issues.length > 0) {
+        throw new ValidationError("Invalid transaction", issues);
+      }
+      return repository.create({
+        ...transaction,
+        recorded: new Date().toISOString(),
+        recordedBy: req.user.id,
+      });
+    });
+  }
+
+  router.get(
+    "/transactions",
+    collectionQuery(COLLECTION_FIELDS.visTransactions),
+    asyncHandler(async (req, res) => {
+      const { kind, id } = req.query;
+      await sendCollection(
+        req,
+        res,
+        repository.query(
+          (transaction) =>
+            kind === undefined ||
+            [transaction.from, transaction.to].some(
+              (account) =>
+                account?.kind === kind &&
+                (id === undefined || account.id === id)
+            )
+        )
+      );
+    })
+  );
+
+  router.get(
+    "/transactions/:id",
+    asyncHandler(async (req, res) => {
+      res.json(await getEntity(repository, req.params.id, "transaction"));
+    })
+  );
+
+  router.post(
+    "/transactions",
+    asyncHandler(async (req, res) => {
+      const issues = validateTransaction(req.body);
+      if (isPlainObject(req.body)) {
+        issues.push(
+          ...SERVER_MANAGED.filter((property) => property in req.body).map(
+            (property) => ({
+              path: `$.${property}`,
+              message: `Property ${property} is managed by the server`,
+            })
+          )
+        );
+      }
+      if (issues.length > 0) {
+        throw new ValidationError("Invalid transaction", issues);
+      }
+      await verify(req.body);
+      const created = await record(req.body, req);
+      res
+        .status(201)
+        .location(`${req.baseUrl}/transactions/${created.id}`)
+        .json(created);
+    })
+  );
+
+  router.post(
+    "/transactions/:id/reversal",
+    asyncHandler(async (req, res) => {
+      const transaction = await getEntity(
+        repository,
+        req.params.id,
+        "transaction"
+      );
+      const season = requestedSeason(req.body ?? {});
+      const { saga, ...reversed } = visOperation(() =>
+        reverseTransaction(transaction, season)
+      );
+      // The reversal is looked up in the transaction recording the reversal, so the
+      // concurrent reversals cannot both pass the check.
+      const created = await repository.transaction(async () => {
+        const [reversal] = await repository.list(
+          (other) => other.reverses === transaction.id
+        );
+        if (reversal !== undefined) {
+          throw new ConflictError(
+            `The transaction ${transaction.id} is already reversed by ${reversal.id}`
+          );
+        }
+        return record(reversed, req);
+      });
+      res
+        .status(201)
+        .location(`${req.baseUrl}/transactions/${created.id}`)
+        .json(created);
+    })
+  );
+
+  router.get(
+    "/balances",
+    asyncHandler(async (req, res) => {
+      const { kind, id, external } = req.query;
+      if (kind !== undefined && !HOLDER_KINDS.includes(kind)) {
+        throw new ValidationError("Invalid account", [
+          {
+            path: "$.kind",
+            message: `Kind must be one of ${HOLDER_KINDS.join(", ")}`,
+          },
+        ]);
+      }
+      const until = requestedSeason(req.query);
+      const transactions = await repository.list();
+      res.json(
+        visBalances(transactions, {
+          until,
+          external: external === "true",
+        }).filter(
+          ({ account }) =>
+            (kind === undefined || account.kind === kind) &&
+            (id === undefined || account.id === id)
+        )
+      );
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,89 @@
+/**
+ * The password hashing of the user accounts.
+ *
+ * The passwords are hashed with scrypt and a random salt. The stored hash tells the
+ * algorithm, its cost and the salt, so that the cost can be raised without breaking
+ * the existing hashes.
+ * @module auth/passwords
+ */
+
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+
+/**
+ * The default CPU and memory cost of the scrypt hashing.
+ * @type {number}
+ */
+export const DEFAULT_COST = 16384;
+
+/**
+ * The length of the derived keys in bytes.
+ * @type {number}
+ */
+const KEY_LENGTH = 64;
+
+/**
+ * The stored form of a hash no password matches. The logins of the unknown users
+ * are verified against it, so that they take as long as the logins of the known
+ * users, and do not reveal which users exist.
+ * @type {string}
+ */
+export const DUMMY_HASH = [
+  "scrypt",
+  DEFAULT_COST,
+  Buffer.alloc(16).toString("base64"),
+  Buffer.alloc(KEY_LENGTH).toString("base64"),
+].join("$");
+
+/**
+ * Derive a key from a password.
+ * @param {string} password The password.
+ * @param {Buffer} salt The salt.
+ * @param {number} cost The CPU and memory cost.
+ * @returns {Promise<Buffer>} The derived key.
+ */
+function deriveKey(password, salt, cost) {
+  return new Promise((resolve, reject) =>
+    scrypt(
+      password.normalize("NFC"),
+      salt,
+      KEY_LENGTH,
+      { N: cost },
+      (err, key) => (err ? reject(err) : resolve(key))
+    )
+  );
+}
+
+/**
+ * Hash a password.
+ * @param {string} password The hashed password.
+ * @param {Object} [options] The hashing options.
+ * @param {number} [options.cost] The CPU and memory cost. A power of two.
+ * @returns {Promise<string>} The stored form of the hash.
+ */
+export async function hashPassword(password, { cost = DEFAULT_COST } = {}) {
+  const salt = randomBytes(16);
+  const key = await deriveKey(password, salt, cost);
+  return ["scrypt", cost, salt.toString("base64"), key.toString("base64")].join(
+    "$"
+  );
+}
+
+/**
+ * Verify a password against a stored hash.
+ * @param {string} password The verified password.
+ * @param {string} hash The stored form of the hash.
+ * @returns {Promise<boolean>} True, if and only if the password matches the hash.
+ */
+export async function verifyPassword(password, hash) {
+  const [algorithm, cost, salt, key] = String(hash).split("$");
+  if (algorithm !== "scrypt" || key === undefined) {
+    return false;
+  }
+  const expected = Buffer.from(key, "base64");
+  const actual = await deriveKey(
+    password,
+    Buffer.from(salt, "base64"),
+    Number(cost)
+  );
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,359 @@
+/**
+ * The configuration of the server.
+ *
+ * The configuration is read from the environment files, the environment variables
+ * and the command line flags. The later sources override the earlier ones:
+ * 1. The defaults of the server.
+ * 2. The example environment files `*.example.env` of the working directory in the
+ *    alphabetical order.
+ * 3. The local environment file `.env` of the working directory. If `.env` is a
+ *    directory, its `*.env` files in the alphabetical order.
+ * 4. The environment files given with the `--env-file` flags.
+ * 5. The environment variables of the process.
+ * 6. The command line flags.
+ * @module config
+ */
+
+import { readdirSync, readFileSync, statSync } from "node:fs";
+import path from "node:path";
+
+/**
+ * The configuration of the server.
+ * @typedef {Object} ServerConfig
+ * @property {number} port The listening port. Zero selects an ephemeral port.
+ * @property {string} [host] The listening host. Defaults to all interfaces.
+ * @property {string} staticRoot The directory of the static ArM5 Tools files.
+ * @property {string} staticPath The URL path of the static files.
+ * @property {string} dataDir The directory of the data files.
+ * @property {StorageBackend} storage The storage backend of the repositories.
+ * @property {boolean} secureCookies Are the session cookies only sent over HTTPS.
+ * @property {number} shutdownTimeout The time the graceful shutdown may take in
+ * milliseconds.
+ */
+
+/**
+ * A storage backend of the repositories.
+ * @typedef {"json"|"sqlite"|"memory"} StorageBackend
+ */
+
+/**
+ * The storage backends. The JSON backend stores every repository into a file of the
+ * data directory, the SQLite backend stores all repositories into a database of the
+ * data directory, and the memory backend loses the data on shutdown.
+ * @type {Readonly<StorageBackend[]>}
+ */
+export const STORAGE_BACKENDS = Object.freeze(["json", "sqlite", "memory"]);
+
+/**
+ * The default configuration.
+ * @type {Readonly<ServerConfig>}
+ */
+export const DEFAULT_CONFIG = Object.freeze({
+  port: 3000,
+  host: undefined,
+  staticRoot: "src/arm5tools",
+  staticPath: "/arm5",
+  dataDir: "data",
+  storage: "json",
+  secureCookies: false,
+  shutdownTimeout: 10000,
+});
+
+/**
+ * The configuration options by the environment variable names.
+ * @type {Readonly<Record<string, keyof ServerConfig>>}
+ */
+export const ENVIRONMENT_VARIABLES = Object.freeze({
+  PORT: "port",
+  HOST: "host",
+  ARM5_STATIC_ROOT: "staticRoot",
+  ARM5_STATIC_PATH: "staticPath",
+  ARM5_DATA_DIR: "dataDir",
+  ARM5_STORAGE: "storage",
+  ARM5_SECURE_COOKIES: "secureCookies",
+  ARM5_SHUTDOWN_TIMEOUT: "shutdownTimeout",
+});
+
+/**
+ * The configuration options by the command line flags.
+ * @type {Readonly<Record<string, keyof ServerConfig>>}
+ */
+export const COMMAND_LINE_FLAGS = Object.freeze({
+  "--port": "port",
+  "--host": "host",
+  "--static-root": "staticRoot",
+  "--static-path": "staticPath",
+  "--data-dir": "dataDir",
+  "--storage": "storage",
+  "--secure-cookies": "secureCookies",
+  "--shutdown-timeout": "shutdownTimeout",
+});
+
+/**
+ * The error indicating an invalid configuration.
+ */
+export class ConfigError extends RangeError {
+  /**
+   * Create a new configuration error.
+   * @param {string} message The message of the error.
+   * @param {import("./model/character.mjs").ValidationIssue[]} [issues] The
+   * configuration issues.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The configuration issues.
+     * @type {import("./model/character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Parse the content of an environment file. The lines contain `NAME=value`
+ * assignments optionally prefixed with `export`. The values may be quoted, and the
+ * lines starting with `#` are comments.
+ * @param {string} content The content of the file.
+ * @returns {Record<string, string>} The variables by their names.
+ */
+export function parseEnv(content) {
+  /** @type {Record<string, string>} */
+  const result = {};
+  content.split(/\r?\n/).forEach((line) => {
+    const match =
+      /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (match === null) {
+      return;
+    }
+    const [, name, raw] = match;
+    if (/^"(?:[^"\\]|\\.)*"$/.test(raw)) {
+      result[name] = raw
+        .slice(1, -1)
+        .replace(
+          /\\([nrt"\\])/g,
+          (_, escaped) => ({ n: "\n", r: "\r", t: "\t" }[escaped] ?? escaped)
+        );
+    } else if (/^'[^']*'$/.test(raw)) {
+      result[name] = raw.slice(1, -1);
+    } else {
+      result[name] = raw.replace(/\s+#.*$/, "");
+    }
+  });
+  return result;
+}
+
+/**
+ * Read an environment file.
+ * @param {string} file The path of the file.
+ * @param {boolean} [required=false] Is a missing file an error.
+ * @returns {Record<string, string>} The variables of the file. An empty object, if
+ * an optional file does not exist.
+ * @throws {ConfigError} A required file could not be read.
+ */
+function readEnvFile(file, required = false) {
+  try {
+    return parseEnv(readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT" && !required) {
+      return {};
+    }
+    throw new ConfigError(
+      `Cannot read environment file ${file}`,
+      [{ path: "$.envFile", message: err.message }],
+      { cause: err }
+    );
+  }
+}
+
+/**
+ * Read the local environment file, or the environment files of the local
+ * environment directory.
+ * @param {string} location The path of the file or the directory.
+ * @returns {Record<string, string>} The variables of the files.
+ */
+function readLocalEnv(location) {
+  let directory = false;
+  try {
+    directory = statSync(location).isDirectory();
+  } catch (err) {
+    return {};
+  }
+  return directory
+    ? Object.assign(
+        {},
+        ...readdirSync(location)
+          .filter((file) => file.endsWith(".env"))
+          .sort()
+          .map((file) => readEnvFile(path.join(location, file)))
+      )
+    : readEnvFile(location);
+}
+
+/**
+ * Parse the command line flags. The flags are given as `--flag value` or
+ * `--flag=value`, and `--secure-cookies` may be given without a value.
+ * @param {string[]} argv The command line arguments after the script.
+ * @returns {{values: Record<string, string>, envFiles: string[]}} The raw values by
+ * the configuration options, and the extra environment files.
+ * @throws {ConfigError} The flags were invalid.
+ */
+export function parseFlags(argv) {
+  /** @type {Record<string, string>} */
+  const values = {};
+  /** @type {string[]} */
+  const envFiles = [];
+  const issues = [];
+  for (let index = 0; index < argv.length; index++) {
+    const [flag, inline] = argv[index].split(/=(.*)/s);
+    const option = COMMAND_LINE_FLAGS[flag];
+    if (option === undefined && flag !== "--env-file") {
+      issues.push({ path: "$", message: `Unknown flag ${flag}` });
+      continue;
+    }
+    let value = inline;
+    if (value === undefined) {
+      if (
+        option === "secureCookies" &&
+        (argv[index + 1] === undefined || argv[index + 1].startsWith("--"))
+      ) {
+        value = "true";
+      } else if (argv[index + 1] === undefined) {
+        issues.push({ path: "$", message: `Missing value of ${flag}` });
+        continue;
+      } else {
+        value = argv[++index];
+      }
+    }
+    if (option === undefined) {
+      envFiles.push(value);
+    } else {
+      values[option] = value;
+    }
+  }
+  if (issues.length > 0) {
+    throw new ConfigError("Invalid command line", issues);
+  }
+  return { values, envFiles };
+}
+
+/**
+ * Convert the raw configuration values to a configuration.
+ * @param {Record<string, any>} values The configuration values. The values of the
+ * environment and the command line are strings.
+ * @returns {ServerConfig} The configuration with the defaults.
+ * @throws {ConfigError} A value was invalid.
+ */
+export function resolveConfig(values) {
+  const config = { ...DEFAULT_CONFIG };
+  const issues = [];
+  Object.entries(values).forEach(([option, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    const path = `$.${option}`;
+    switch (option) {
+      case "port":
+      case "shutdownTimeout": {
+        const number = typeof value === "string" ? Number(value) : value;
+        const max = option === "port" ? 65535 : Number.MAX_SAFE_INTEGER;
+        if (
+          (typeof value === "string" && value.trim() === "") ||
+          !Number.isInteger(number) ||
+          number < 0 ||
+          number > max
+        ) {
+          issues.push({
+            path,
+            message: `Expected an integer between 0 and ${max}`,
+          });
+        } else {
+          config[option] = number;
+        }
+        break;
+      }
+      case "secureCookies":
+        if (typeof value === "boolean") {
+          config[option] = value;
+        } else if (/^(true|1|yes)$/i.test(value)) {
+          config[option] = true;
+        } else if (/^(false|0|no)$/i.test(value)) {
+          config[option] = false;
+        } else {
+          issues.push({ path, message: "Expected true or false" });
+        }
+        break;
+      case "storage":
+        if (!STORAGE_BACKENDS.includes(value)) {
+          issues.push({
+            path,
+            message: `Expected one of ${STORAGE_BACKENDS.join(", ")}`,
+          });
+        } else {
+          config[option] = value;
+        }
+        break;
+      case "host":
+      case "staticRoot":
+      case "staticPath":
+      case "dataDir":
+        if (typeof value !== "string" || value === "") {
+          issues.push({ path, message: "Expected a non-empty string" });
+        } else if (option === "staticPath" && !value.startsWith("/")) {
+          issues.push({ path, message: "Expected an absolute URL path" });
+        } else {
+          config[option] = value;
+        }
+        break;
+      default:
+        issues.push({ path, message: `Unknown option ${option}` });
+    }
+  });
+  if (issues.length > 0) {
+    throw new ConfigError("Invalid configuration", issues);
+  }
+  return config;
+}
+
+/**
+ * Load the configuration of the server.
+ * @param {Object} [sources] The configuration sources.
+ * @param {string[]} [sources.argv] The command line arguments after the script.
+ * Defaults to the arguments of the process.
+ * @param {Record<string, string|undefined>} [sources.env] The environment
+ * variables. Defaults to the environment of the process.
+ * @param {string} [sources.cwd] The directory of the environment files. Defaults to
+ * the working directory of the process.
+ * @returns {ServerConfig} The configuration.
+ * @throws {ConfigError} The configuration was invalid.
+ */
+export function loadConfig({
+  argv = process.argv.slice(2),
+  env = process.env,
+  cwd = process.cwd(),
+} = {}) {
+  const { values: flags, envFiles } = parseFlags(argv);
+  const examples = readdirSync(cwd)
+    .filter((file) => file.endsWith(".example.env"))
+    .sort();
+  const variables = {
+    ...Object.assign(
+      {},
+      ...examples.map((file) => readEnvFile(path.join(cwd, file)))
+    ),
+    ...readLocalEnv(path.join(cwd, ".env")),
+    ...Object.assign(
+      {},
+      ...envFiles.map((file) => readEnvFile(path.resolve(cwd, file), true))
+    ),
+    ...env,
+  };
+  const values = {};
+  Object.entries(ENVIRONMENT_VARIABLES).forEach(([name, option]) => {
+    if (variables[name] !== undefined) {
+      values[option] = variables[name];
+    }
+  });
+  return resolveConfig({ ...values, ...flags });
+}
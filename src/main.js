@@ -1,20 +1,160 @@
-
 /**
  * The server main of the ArM5 Tools using react.
+ *
+ * The module exports the factory of the server. Run as the main module, it starts the
+ * server with the configuration of the environment files, the environment variables
+ * and the command line flags, and shuts the server down gracefully on SIGTERM and
+ * SIGINT.
  */
 
 const express = require("express");
 const path = require("path");
 
-const app = new express();
-app.use("/arm5", express.static("src/arm5tools/"));
-
+/**
+ * An ArM5 Tools server.
+ * @typedef {Object} ArM5Server
+ * @property {import("express").Express} app The express application.
+ * @property {import("./config.mjs").ServerConfig} config The configuration.
+ * @property {import("./api/index.mjs").Repositories} repositories The repositories.
+ * @property {import("./persistence/store.mjs").Store} store The store of the
+ * repositories.
+ * @property {import("./realtime/events.mjs").EventHub} events The event hub.
+ * @property {() => Promise<import("node:net").AddressInfo>} listen Start listening
+ * to the configured port. Resolves to the address the server listens to.
+ * @property {() => Promise<void>} close Stop the server gracefully. The open
+ * connections are closed, the pending writes of the repositories are flushed, and
+ * the store is closed.
+ */
 
-const port = 3000;
-const server = app.listen(port, function (err) {
-    if (err) {
-        console.err(`Failed to start server on part ${port}: ${err}`);
-    } else {
-    console.log(`ArM5Tools Server running on port ${port}`);
+/**
+ * Create a server.
+ * @param {Partial<import("./config.mjs").ServerConfig>} [config] The configuration.
+ * The missing options are set to the defaults.
+ * @returns {Promise<ArM5Server>} The server with the migrated store. The server does
+ * not listen until started.
+ */
+async function createServer(config = {}) {
+    const [
+        { resolveConfig },
+        { createApiRouter, createDefaultRepositories },
+        { createSagaAuthorizer },
+        { createSheetRouter },
+        { EventHub },
+        { attachWebSocketServer },
+        { createStore },
+    ] = await Promise.all([
+        import("./config.mjs"),
+        import("./api/index.mjs"),
+        import("./api/sagas.mjs"),
+        import("./api/sheets.mjs"),
+        import("./realtime/events.mjs"),
+        import("./realtime/websocket.mjs"),
+        import("./persistence/store.mjs"),
+    ]);
+    const resolved = resolveConfig(config);
+    const events = new EventHub();
+    const store = createStore(resolved);
+    try {
+        await store.migrate();
+    } catch (err) {
+        await store.close();
+        throw err;
     }
-});
\ No newline at end of file
+    const repositories = createDefaultRepositories(store);
+
+    const app = new express();
+    app.use(resolved.staticPath, express.static(path.resolve(resolved.staticRoot)));
+    app.use("/api", createApiRouter({
+        repositories,
+        events,
+        secureCookies: resolved.secureCookies,
+    }));
+    app.use("/sheets", createSheetRouter({ repositories }));
+
+    /** @type {import("node:http").Server|undefined} */
+    let server;
+    /** @type {import("ws").WebSocketServer|undefined} */
+    let wss;
+    /** @type {Promise<void>|undefined} */
+    let closing;
+
+    return {
+        app,
+        config: resolved,
+        repositories,
+        store,
+        events,
+        listen() {
+            if (server !== undefined) {
+                return Promise.reject(new Error("The server is already started"));
+            }
+            return new Promise((resolve, reject) => {
+                server = app.listen(resolved.port, resolved.host);
+                server.once("error", reject);
+                server.once("listening", () => {
+                    server.off("error", reject);
+                    wss = attachWebSocketServer(server, {
+                        events,
+                        authorize: createSagaAuthorizer(repositories),
+                    });
+                    resolve(server.address());
+                });
+            });
+        },
+        close() {
+            if (closing === undefined) {
+                closing = (async () => {
+                    if (server !== undefined && server.listening) {
+                        wss.clients.forEach((socket) => socket.close(1001, "Server shutting down"));
+                        await new Promise((resolve, reject) => {
+                            server.close((err) => (err ? reject(err) : resolve()));
+                            server.closeIdleConnections();
+                            const timer = setTimeout(() => {
+                                server.closeAllConnections();
+                                wss.clients.forEach((socket) => socket.terminate());
+                            }, resolved.shutdownTimeout);
+                            timer.unref();
+                            server.once("close", () => clearTimeout(timer));
+                        });
+                    }
+                    await Promise.all(Object.values(repositories).map((repository) => repository.flush()));
+                    await store.close();
+                })();
+            }
+            return closing;
+        },
+    };
+}
+
+module.exports = { createServer };
+
+if (require.main === module) {
+    import("./config.mjs")
+        .then(({ loadConfig }) => createServer(loadConfig()))
+        .then(async (arm5) => {
+            const { port } = await arm5.listen();
+            console.log(`ArM5Tools Server running on port ${port}`);
+
+            /**
+             * Shut the server down on a signal.
+             * @param {string} signal The name of the signal.
+             */
+            const shutdown = (signal) => {
+                console.log(`Received ${signal}, shutting down`);
+                arm5.close().then(
+                    () => process.exit(0),
+                    (err) => {
+                        console.error(`Failed to shut down the server: ${err}`);
+                        process.exit(1);
+                    }
+                );
+            };
+            process.once("SIGTERM", shutdown);
+            process.once("SIGINT", shutdown);
+        })
+        .catch((err) => {
+            console.error(`Failed to start the server: ${err.message}`);
+            (err.issues ?? []).forEach((issue) => console.error(`  ${issue.path}: ${issue.message}`));
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,412 @@
+/**
+ * The seasonal advancement of the characters.
+ *
+ * The advancement spends the experience gained during a season on the abilities, the
+ * Arts and the spell masteries of a character. The abilities and the spell masteries
+ * use the pyramid advancement scheme with cost multiplier 5, and the Arts the same
+ * scheme with cost multiplier 1. The experience spent on a trait may be multiplied
+ * before it is added to the trait, which lowers the cost of the levels of the trait.
+ * @module model/advancement
+ */
+
+import { PyramidAdvancementScheme } from "../arm5tools/ability.mjs";
+import {
+  ABILITY_COST_MULTIPLIER,
+  ART_COST_MULTIPLIER,
+  ARTS,
+  EXPERIENCE_MESSAGE,
+  isExperience,
+  levelForXp,
+  MAX_EXPERIENCE,
+  xpForLevel,
+} from "./character.mjs";
+
+/**
+ * An allocation of experience to a single ability or Art. The allocation either
+ * gives the experience spent, or the target level.
+ * @typedef {Object} AllocationEntry
+ * @property {string} name The name of the ability or Art.
+ * @property {number} [xp] The experience points spent.
+ * @property {number} [level] The target level of the ability or the score of the Art.
+ * @property {string} [speciality] The speciality of a new ability.
+ */
+
+/**
+ * An allocation of experience to the mastery of a known spell. The allocation either
+ * gives the experience spent, or the target mastery score.
+ * @typedef {Object} SpellAllocationEntry
+ * @property {string} spell The identifier of the spell.
+ * @property {number} [xp] The experience points spent.
+ * @property {number} [level] The target mastery score.
+ */
+
+/**
+ * The experience allocation of a season.
+ * @typedef {Object} Allocation
+ * @property {number} xp The experience points available.
+ * @property {string} [season] The season the experience was gained.
+ * @property {AllocationEntry[]} [abilities] The allocations to the abilities.
+ * @property {AllocationEntry[]} [arts] The allocations to the Arts.
+ * @property {SpellAllocationEntry[]} [spells] The allocations to the masteries of
+ * the known spells.
+ */
+
+/**
+ * A single change caused by an advancement.
+ * @typedef {Object} AdvancementChange
+ * @property {"ability"|"art"|"mastery"} kind The kind of the advanced trait.
+ * @property {string} name The name of the advanced trait. The mastery changes use
+ * the identifier of the spell.
+ * @property {number} xp The experience spent.
+ * @property {number} [gained] The experience added to the trait, if it differs from
+ * the experience spent.
+ * @property {number} from The level before the advancement.
+ * @property {number} to The level after the advancement.
+ */
+
+/**
+ * The result of an advancement.
+ * @typedef {Object} AdvancementResult
+ * @property {import("./character.mjs").Character} character The advanced character.
+ * @property {number} spent The experience spent.
+ * @property {number} leftover The experience left unspent.
+ * @property {AdvancementChange[]} changes The changes of the advancement.
+ */
+
+/**
+ * The error indicating the advancement was not possible.
+ */
+export class AdvancementError extends RangeError {
+  /**
+   * Create a new advancement error.
+   * @param {string} message The message of the error.
+   * @param {import("./character.mjs").ValidationIssue[]} [issues] The issues
+   * preventing the advancement.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The issues preventing the advancement.
+     * @type {import("./character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Get the experience required to advance a trait to a level.
+ * @param {number} currentXp The current experience of the trait.
+ * @param {number} target The target level.
+ * @param {number} costMultiplier The cost multiplier of the trait.
+ * @returns {number} The experience needed to reach the target level. Zero, if the
+ * trait is already at or above the target level.
+ */
+export function advancementCost(currentXp, target, costMultiplier) {
+  const current = levelForXp(currentXp, costMultiplier);
+  if (current >= target) {
+    return 0;
+  }
+  const spentOnCurrent = currentXp - xpForLevel(current, costMultiplier);
+  return (
+    PyramidAdvancementScheme.pyramidCost(current, target) * costMultiplier -
+    spentOnCurrent
+  );
+}
+
+/**
+ * Get the experience a trait gains.
+ * @param {number} spent The experience spent on the trait.
+ * @param {number} [experienceMultiplier=1] The multiplier of the experience gained
+ * by the trait.
+ * @returns {number} The experience gained, rounded up.
+ */
+export function gainedXp(spent, experienceMultiplier = 1) {
+  return Math.ceil(spent * experienceMultiplier);
+}
+
+/**
+ * Get the experience to spend for a trait to gain experience.
+ * @param {number} needed The experience the trait needs to gain.
+ * @param {number} [experienceMultiplier=1] The multiplier of the experience gained
+ * by the trait.
+ * @returns {number} The least experience whose gain is at least the needed
+ * experience.
+ */
+export function spentXp(needed, experienceMultiplier = 1) {
+  return needed <= 0 ? 0 : Math.floor((needed - 1) / experienceMultiplier) + 1;
+}
+
+/**
+ * Resolve the experience spent by an allocation entry.
+ * @param {AllocationEntry} entry The allocation entry.
+ * @param {number} currentXp The current experience of the trait.
+ * @param {number} costMultiplier The cost multiplier of the trait.
+ * @param {number} experienceMultiplier The multiplier of the experience gained by
+ * the trait.
+ * @param {string} path The JSON path of the entry.
+ * @param {import("./character.mjs").ValidationIssue[]} issues The list the found
+ * issues are added to.
+ * @returns {number} The experience spent by the entry.
+ */
+function entryCost(
+  entry,
+  currentXp,
+  costMultiplier,
+  experienceMultiplier,
+  path,
+  issues
+) {
+  if (!(entry instanceof Object) || typeof entry.name !== "string") {
+    issues.push({ path: `${path}.name`, message: "Name is required" });
+    return 0;
+  }
+  if ("xp" in entry === "level" in entry) {
+    issues.push({
+      path,
+      message: "Exactly one of experience or target level is required",
+    });
+    return 0;
+  }
+  if ("xp" in entry) {
+    if (!isExperience(entry.xp)) {
+      issues.push({ path: `${path}.xp`, message: EXPERIENCE_MESSAGE });
+      return 0;
+    }
+    return entry.xp;
+  }
+  if (!Number.isInteger(entry.level) || entry.level < 0) {
+    issues.push({
+      path: `${path}.level`,
+      message: "Target level must be a non-negative integer",
+    });
+    return 0;
+  }
+  if (entry.level <= levelForXp(currentXp, costMultiplier)) {
+    issues.push({
+      path: `${path}.level`,
+      message: `${entry.name} is already at level ${entry.level} or above`,
+    });
+    return 0;
+  }
+  return spentXp(
+    advancementCost(currentXp, entry.level, costMultiplier),
+    experienceMultiplier
+  );
+}
+
+/**
+ * Advance a character with the experience of a season.
+ * @param {import("./character.mjs").Character} character The normalized advanced
+ * character.
+ * @param {Allocation} allocation The experience allocation.
+ * @param {Object} [options] The advancement options.
+ * @param {(kind: "ability"|"art"|"mastery", name: string) => number} [options.costMultiplier]
+ * The function determining the cost multiplier of a trait. Defaults to the standard
+ * multipliers of the abilities, the Arts and the spell masteries.
+ * @param {(kind: "ability"|"art"|"mastery", name: string) => number} [options.experienceMultiplier]
+ * The function determining the multiplier of the experience gained by a trait.
+ * Defaults to one for all traits.
+ * @returns {AdvancementResult} The result of the advancement.
+ * @throws {AdvancementError} The allocation was invalid or overspent the experience.
+ */
+export function advance(
+  character,
+  allocation,
+  {
+    costMultiplier = (kind) =>
+      kind === "art" ? ART_COST_MULTIPLIER : ABILITY_COST_MULTIPLIER,
+    experienceMultiplier = () => 1,
+  } = {}
+) {
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if (!(allocation instanceof Object)) {
+    throw new AdvancementError("Invalid allocation", [
+      { path: "$", message: "Allocation must be an object" },
+    ]);
+  }
+  if (!isExperience(allocation.xp)) {
+    issues.push({
+      path: "$.xp",
+      message: `Available experience must be an integer from 0 to ${MAX_EXPERIENCE}`,
+    });
+  }
+  const abilityEntries = allocation.abilities ?? [];
+  const artEntries = allocation.arts ?? [];
+  const spellEntries = allocation.spells ?? [];
+  [
+    ["abilities", abilityEntries],
+    ["arts", artEntries],
+    ["spells", spellEntries],
+  ].forEach(([name, entries]) => {
+    if (!Array.isArray(entries)) {
+      issues.push({ path: `$.${name}`, message: `${name} must be an array` });
+    }
+  });
+  if (artEntries.length > 0 && character.type !== "magus") {
+    issues.push({ path: "$.arts", message: "Only magi may advance Arts" });
+  }
+  if (spellEntries.length > 0 && character.type !== "magus") {
+    issues.push({ path: "$.spells", message: "Only magi may master spells" });
+  }
+  if (issues.length > 0) {
+    throw new AdvancementError("Invalid allocation", issues);
+  }
+
+  const abilities = (character.abilities ?? []).map((ability) => ({
+    ...ability,
+  }));
+  const arts = { ...character.arts };
+  const spells = (character.spells ?? []).map((spell) => ({ ...spell }));
+  /** @type {AdvancementChange[]} */
+  const changes = [];
+  const seen = new Set();
+
+  abilityEntries.forEach((entry, index) => {
+    const path = `$.abilities[${index}]`;
+    const multiplier = costMultiplier("ability", entry?.name);
+    const factor = experienceMultiplier("ability", entry?.name);
+    let ability = abilities.find((ability) => ability.name === entry?.name);
+    const cost = entryCost(
+      entry,
+      ability?.xp ?? 0,
+      multiplier,
+      factor,
+      path,
+      issues
+    );
+    if (seen.has(`ability:${entry?.name}`)) {
+      issues.push({
+        path: `${path}.name`,
+        message: `Duplicate allocation to ${entry.name}`,
+      });
+    }
+    seen.add(`ability:${entry?.name}`);
+    if (cost > 0) {
+      if (ability === undefined) {
+        ability = {
+          name: entry.name,
+          ...(entry.speciality === undefined
+            ? {}
+            : { speciality: entry.speciality }),
+          xp: 0,
+        };
+        abilities.push(ability);
+      }
+      const from = levelForXp(ability.xp, multiplier);
+      const gained = gainedXp(cost, factor);
+      ability.xp += gained;
+      ability.level = levelForXp(ability.xp, multiplier);
+      changes.push({
+        kind: "ability",
+        name: ability.name,
+        xp: cost,
+        ...(gained === cost ? {} : { gained }),
+        from,
+        to: ability.level,
+      });
+    }
+  });
+
+  artEntries.forEach((entry, index) => {
+    const path = `$.arts[${index}]`;
+    if (!ARTS.includes(entry?.name)) {
+      issues.push({
+        path: `${path}.name`,
+        message: `Unknown Art ${entry?.name}`,
+      });
+      return;
+    }
+    if (seen.has(`art:${entry.name}`)) {
+      issues.push({
+        path: `${path}.name`,
+        message: `Duplicate allocation to ${entry.name}`,
+      });
+    }
+    seen.add(`art:${entry.name}`);
+    const multiplier = costMultiplier("art", entry.name);
+    const factor = experienceMultiplier("art", entry.name);
+    const currentXp = arts[entry.name]?.xp ?? 0;
+    const cost = entryCost(entry, currentXp, multiplier, factor, path, issues);
+    if (cost > 0) {
+      const gained = gainedXp(cost, factor);
+      const xp = currentXp + gained;
+      arts[entry.name] = { xp, score: levelForXp(xp, multiplier) };
+      changes.push({
+        kind: "art",
+        name: entry.name,
+        xp: cost,
+        ...(gained === cost ? {} : { gained }),
+        from: levelForXp(currentXp, multiplier),
+        to: arts[entry.name].score,
+      });
+    }
+  });
+
+  spellEntries.forEach((entry, index) => {
+    const path = `$.spells[${index}]`;
+    const known = spells.find((spell) => spell.spell === entry?.spell);
+    if (known === undefined) {
+      issues.push({
+        path: `${path}.spell`,
+        message: `Unknown spell ${entry?.spell}`,
+      });
+      return;
+    }
+    if (seen.has(`mastery:${known.spell}`)) {
+      issues.push({
+        path: `${path}.spell`,
+        message: `Duplicate allocation to ${known.spell}`,
+      });
+    }
+    seen.add(`mastery:${known.spell}`);
+    const multiplier = costMultiplier("mastery", known.spell);
+    const factor = experienceMultiplier("mastery", known.spell);
+    const cost = entryCost(
+      { ...entry, name: known.spell },
+      known.xp,
+      multiplier,
+      factor,
+      path,
+      issues
+    );
+    if (cost > 0) {
+      const from = levelForXp(known.xp, multiplier);
+      const gained = gainedXp(cost, factor);
+      known.xp += gained;
+      known.mastery = levelForXp(known.xp, multiplier);
+      changes.push({
+        kind: "mastery",
+        name: known.spell,
+        xp: cost,
+        ...(gained === cost ? {} : { gained }),
+        from,
+        to: known.mastery,
+      });
+    }
+  });
+
+  const spent = changes.reduce((total, change) => total + change.xp, 0);
+  if (issues.length === 0 && spent > allocation.xp) {
+    issues.push({
+      path: "$.xp",
+      message: `The allocation spends ${spent} experience points, but only ${allocation.xp} are available`,
+    });
+  }
+  if (issues.length > 0) {
+    throw new AdvancementError("Invalid allocation", issues);
+  }
+
+  return {
+    character: {
+      ...character,
+      abilities,
+      ...(character.type === "magus" ? { arts, spells } : {}),
+    },
+    spent,
+    leftover: allocation.xp - spent,
+    changes,
+  };
+}
@@ -0,0 +1,551 @@
+/**
+ * The aging, Decrepitude and Warping of the characters.
+ *
+ * From the age of 35 on, a character makes an aging roll every winter. The aging roll
+ * is a stress die without botches, modified by the age, the Longevity Ritual and the
+ * living conditions. The Aging Points gained lower the characteristics, and add to
+ * the Decrepitude. The Decrepitude and the Warping scores advance from their points
+ * like abilities, using the pyramid cost of 5 points per level.
+ * @module model/aging
+ */
+
+import {
+  ABILITY_COST_MULTIPLIER,
+  CHARACTERISTICS,
+  isExperience,
+  levelForXp,
+  MAX_EXPERIENCE,
+  xpForLevel,
+} from "./character.mjs";
+import { createRandom, createSeed, simpleDie, stressDie } from "./dice.mjs";
+
+/**
+ * The age of the first aging roll.
+ * @type {number}
+ */
+export const AGING_START_AGE = 35;
+
+/**
+ * The cost multiplier of the Decrepitude and the Warping scores.
+ * @type {number}
+ */
+export const AGING_COST_MULTIPLIER = ABILITY_COST_MULTIPLIER;
+
+/**
+ * The Decrepitude score of death.
+ * @type {number}
+ */
+export const FATAL_DECREPITUDE = 5;
+
+/**
+ * A row of the aging table.
+ * @typedef {Object} AgingTableRow
+ * @property {number} min The smallest total of the row.
+ * @property {number} [max] The largest total of the row. Undefined for the last row.
+ * @property {boolean} apparentAge Does the apparent age increase.
+ * @property {string[]} agingPoints The characteristics gaining an Aging Point. The
+ * value "any" denotes a characteristic of choice.
+ * @property {boolean} crisis Does the roll cause a crisis.
+ */
+
+/**
+ * The aging table.
+ * @type {ReadonlyArray<AgingTableRow>}
+ */
+export const AGING_TABLE = Object.freeze([
+  {
+    min: -Infinity,
+    max: 2,
+    apparentAge: false,
+    agingPoints: [],
+    crisis: false,
+  },
+  { min: 3, max: 9, apparentAge: true, agingPoints: [], crisis: false },
+  { min: 10, max: 12, apparentAge: true, agingPoints: ["any"], crisis: false },
+  { min: 13, max: 13, apparentAge: true, agingPoints: [], crisis: true },
+  { min: 14, max: 14, apparentAge: true, agingPoints: ["Qik"], crisis: false },
+  { min: 15, max: 15, apparentAge: true, agingPoints: ["Sta"], crisis: false },
+  { min: 16, max: 16, apparentAge: true, agingPoints: ["Per"], crisis: false },
+  { min: 17, max: 17, apparentAge: true, agingPoints: ["Pre"], crisis: false },
+  {
+    min: 18,
+    max: 18,
+    apparentAge: true,
+    agingPoints: ["Str", "Sta"],
+    crisis: false,
+  },
+  {
+    min: 19,
+    max: 19,
+    apparentAge: true,
+    agingPoints: ["Dex", "Qik"],
+    crisis: false,
+  },
+  {
+    min: 20,
+    max: 20,
+    apparentAge: true,
+    agingPoints: ["Com", "Int"],
+    crisis: false,
+  },
+  {
+    min: 21,
+    max: 21,
+    apparentAge: true,
+    agingPoints: ["Per", "Pre"],
+    crisis: false,
+  },
+  { min: 22, apparentAge: true, agingPoints: [], crisis: true },
+]);
+
+/**
+ * A row of the crisis table.
+ * @typedef {Object} CrisisTableRow
+ * @property {number} min The smallest total of the row.
+ * @property {number} [max] The largest total of the row. Undefined for the last row.
+ * @property {string} illness The illness of the crisis.
+ * @property {number} [ease] The Ease Factor of the Stamina roll surviving the
+ * illness. Undefined, if the illness is fatal without magical aid.
+ * @property {number} aid The level of the Creo Corpus ritual curing the illness.
+ */
+
+/**
+ * The crisis table.
+ * @type {ReadonlyArray<CrisisTableRow>}
+ */
+export const CRISIS_TABLE = Object.freeze([
+  { min: -Infinity, max: 5, illness: "Minor illness", ease: 3, aid: 20 },
+  { min: 6, max: 10, illness: "Minor illness", ease: 6, aid: 25 },
+  { min: 11, max: 12, illness: "Serious illness", ease: 9, aid: 30 },
+  { min: 13, max: 13, illness: "Major illness", ease: 12, aid: 35 },
+  { min: 14, illness: "Terminal illness", aid: 40 },
+]);
+
+/**
+ * A trait advancing from points with the pyramid cost.
+ * @typedef {Object} PointScore
+ * @property {number} points The points of the trait.
+ * @property {number} [score] The score derived from the points.
+ */
+
+/**
+ * The aging state of a character.
+ * @typedef {Object} Aging
+ * @property {number} age The age of the character in years.
+ * @property {number} [apparentAge] The apparent age. Defaults to the age.
+ * @property {number} [longevity=0] The modifier of the Longevity Ritual.
+ * @property {number} [livingConditions=0] The modifier of the living conditions.
+ * @property {Record<string, number>} [agingPoints] The Aging Points of the
+ * characteristics.
+ * @property {PointScore} [decrepitude] The Decrepitude of the character.
+ * @property {PointScore} [warping] The Warping of the character.
+ * @property {boolean} [deceased=false] Has the character died of old age.
+ */
+
+/**
+ * The error indicating an invalid aging operation.
+ */
+export class AgingError extends RangeError {
+  /**
+   * Create a new aging error.
+   * @param {string} message The message of the error.
+   * @param {import("./character.mjs").ValidationIssue[]} [issues] The issues of the
+   * operation.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The issues of the operation.
+     * @type {import("./character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Find the row of a table containing a total.
+ * @template {{min: number, max?: number}} ROW The type of the rows.
+ * @param {ReadonlyArray<ROW>} table The table.
+ * @param {number} total The total.
+ * @returns {ROW} The row containing the total.
+ */
+function tableRow(table, total) {
+  return table.find(({ min, max = Infinity }) => min <= total && total <= max);
+}
+
+/**
+ * Validate a point score.
+ * @param {any} value The validated point score.
+ * @param {string} path The JSON path of the point score.
+ * @param {import("./character.mjs").ValidationIssue[]} issues The list the found
+ * issues are added to.
+ */
+function validatePointScore(value, path, issues) {
+  if (!(value instanceof Object) || !isExperience(value.points)) {
+    issues.push({
+      path: `${path}.points`,
+      message: `Points must be an integer from 0 to ${MAX_EXPERIENCE}`,
+    });
+  } else if (
+    "score" in value &&
+    value.score !== levelForXp(value.points, AGING_COST_MULTIPLIER)
+  ) {
+    issues.push({
+      path: `${path}.score`,
+      message: `Score ${value.score} does not match points ${value.points}`,
+    });
+  }
+}
+
+/**
+ * Validate the aging state of a character.
+ * @param {any} aging The validated aging state.
+ * @param {string} [path="$.aging"] The JSON path of the aging state.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues.
+ */
+export function validateAging(aging, path = "$.aging") {
+  if (!(aging instanceof Object) || Array.isArray(aging)) {
+    return [{ path, message: "Aging must be an object" }];
+  }
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  [
+    ["age", true, 0],
+    ["apparentAge", false, 0],
+    ["longevity", false, 0],
+    ["livingConditions", false, -Infinity],
+  ].forEach(([property, required, min]) => {
+    if (
+      (required || property in aging) &&
+      (!Number.isInteger(aging[property]) || aging[property] < min)
+    ) {
+      issues.push({
+        path: `${path}.${property}`,
+        message:
+          min === 0
+            ? `Property ${property} must be a non-negative integer`
+            : `Property ${property} must be an integer`,
+      });
+    }
+  });
+  if ("agingPoints" in aging) {
+    if (!(aging.agingPoints instanceof Object)) {
+      issues.push({
+        path: `${path}.agingPoints`,
+        message: "Aging Points must be an object",
+      });
+    } else {
+      Object.entries(aging.agingPoints).forEach(([name, points]) => {
+        if (!CHARACTERISTICS.includes(name)) {
+          issues.push({
+            path: `${path}.agingPoints.${name}`,
+            message: `Unknown characteristic ${name}`,
+          });
+        } else if (!isExperience(points)) {
+          issues.push({
+            path: `${path}.agingPoints.${name}`,
+            message: `Aging Points must be an integer from 0 to ${MAX_EXPERIENCE}`,
+          });
+        }
+      });
+    }
+  }
+  ["decrepitude", "warping"].forEach((property) => {
+    if (property in aging) {
+      validatePointScore(aging[property], `${path}.${property}`, issues);
+    }
+  });
+  if ("deceased" in aging && typeof aging.deceased !== "boolean") {
+    issues.push({
+      path: `${path}.deceased`,
+      message: "Deceased must be a boolean",
+    });
+  }
+  return issues;
+}
+
+/**
+ * Create a normalized copy of a valid aging state with the defaults and the derived
+ * scores.
+ * @param {Aging} aging The normalized aging state.
+ * @returns {Aging} The normalized aging state.
+ */
+export function normalizeAging(aging) {
+  const pointScore = (value) => {
+    const points = value?.points ?? 0;
+    return { points, score: levelForXp(points, AGING_COST_MULTIPLIER) };
+  };
+  return {
+    ...aging,
+    apparentAge: aging.apparentAge ?? aging.age,
+    longevity: aging.longevity ?? 0,
+    livingConditions: aging.livingConditions ?? 0,
+    agingPoints: { ...aging.agingPoints },
+    decrepitude: pointScore(aging.decrepitude),
+    warping: pointScore(aging.warping),
+    deceased: aging.deceased ?? false,
+  };
+}
+
+/**
+ * Create a copy of an aging state without the scores derived from the points.
+ * @param {Aging} aging The aging state.
+ * @returns {Aging} The copy of the aging state without the Decrepitude and Warping
+ * scores.
+ */
+export function stripDerivedAging(aging) {
+  const result = { ...aging };
+  ["decrepitude", "warping"].forEach((property) => {
+    if (aging[property] instanceof Object) {
+      const { score, ...points } = aging[property];
+      result[property] = points;
+    }
+  });
+  return result;
+}
+
+/**
+ * Get the modifier of the aging roll.
+ * @param {Aging} aging The normalized aging state.
+ * @returns {number} The age divided by 10 rounded up, reduced by the Longevity Ritual
+ * and the living conditions.
+ */
+export function agingModifier(aging) {
+  return Math.ceil(aging.age / 10) - aging.longevity - aging.livingConditions;
+}
+
+/**
+ * The options of the winter aging.
+ * @typedef {Object} AgingOptions
+ * @property {number} [seed] The seed of the dice. Defaults to a new random seed.
+ * @property {string} [characteristic] The characteristic receiving the Aging Point
+ * of choice. Defaults to a characteristic chosen with the dice.
+ */
+
+/**
+ * A change of a characteristic caused by the Aging Points.
+ * @typedef {Object} CharacteristicChange
+ * @property {string} name The name of the characteristic.
+ * @property {number} from The score before the change.
+ * @property {number} to The score after the change.
+ */
+
+/**
+ * The crisis caused by an aging roll.
+ * @typedef {Object} CrisisResult
+ * @property {number[]} dice The faces of the crisis die.
+ * @property {number} total The total of the crisis roll.
+ * @property {string} illness The illness of the crisis.
+ * @property {number} aid The level of the Creo Corpus ritual curing the illness.
+ * @property {number} [ease] The Ease Factor of the Stamina roll.
+ * @property {number[]} [survivalDice] The faces of the Stamina roll.
+ * @property {number} [survivalTotal] The total of the Stamina roll.
+ * @property {boolean} survived Did the character survive without magical aid.
+ */
+
+/**
+ * The result of a winter aging.
+ * @typedef {Object} AgingResult
+ * @property {import("./character.mjs").Character & {aging: Aging}} character The aged
+ * character.
+ * @property {number} seed The seed of the dice.
+ * @property {number} age The age of the character after the winter.
+ * @property {boolean} rolled Was an aging roll made.
+ * @property {number[]} [dice] The faces of the aging roll.
+ * @property {number} [modifier] The modifier of the aging roll.
+ * @property {number} [total] The total of the aging roll.
+ * @property {Record<string, number>} agingPoints The gained Aging Points.
+ * @property {CharacteristicChange[]} characteristics The changed characteristics.
+ * @property {{from: number, to: number}} decrepitude The change of the Decrepitude
+ * score.
+ * @property {CrisisResult} [crisis] The crisis of the winter.
+ * @property {boolean} longevityLost Did the Longevity Ritual end.
+ * @property {boolean} deceased Did the character die.
+ */
+
+/**
+ * Resolve the aging of a winter. The character ages one year, and from the age of
+ * 35 on makes an aging roll.
+ * @param {import("./character.mjs").Character & {aging: Aging}} character The
+ * normalized character with a normalized aging state.
+ * @param {AgingOptions} [options] The aging options.
+ * @returns {AgingResult} The result of the aging.
+ * @throws {AgingError} The character could not age.
+ */
+export function ageCharacter(
+  character,
+  { seed = createSeed(), characteristic } = {}
+) {
+  if (character.aging === undefined) {
+    throw new AgingError("The character has no aging state", [
+      { path: "$.aging", message: "Aging state is required" },
+    ]);
+  }
+  if (character.aging.deceased) {
+    throw new AgingError("The character is deceased", [
+      { path: "$.aging.deceased", message: "Deceased characters do not age" },
+    ]);
+  }
+  if (
+    characteristic !== undefined &&
+    !CHARACTERISTICS.includes(characteristic)
+  ) {
+    throw new AgingError(`Unknown characteristic ${characteristic}`, [
+      {
+        path: "$.characteristic",
+        message: `Unknown characteristic ${characteristic}`,
+      },
+    ]);
+  }
+  const random = createRandom(seed);
+  const before = character.aging;
+  const aging = {
+    ...before,
+    age: before.age + 1,
+    agingPoints: { ...before.agingPoints },
+  };
+  const characteristics = { ...character.characteristics };
+  /** @type {AgingResult} */
+  const result = {
+    seed,
+    age: aging.age,
+    rolled: before.age >= AGING_START_AGE,
+    agingPoints: {},
+    characteristics: [],
+    decrepitude: {
+      from: before.decrepitude.score,
+      to: before.decrepitude.score,
+    },
+    longevityLost: false,
+    deceased: false,
+  };
+
+  if (!result.rolled) {
+    aging.apparentAge = before.apparentAge + 1;
+    return { ...result, character: { ...character, aging } };
+  }
+
+  const die = stressDie(random, 0);
+  const modifier = agingModifier(before);
+  const total = die.value + modifier;
+  const row = tableRow(AGING_TABLE, total);
+  Object.assign(result, { dice: die.dice, modifier, total });
+  if (row.apparentAge) {
+    aging.apparentAge = before.apparentAge + 1;
+  }
+  let decrepitudePoints = before.decrepitude.points;
+  row.agingPoints.forEach((target) => {
+    const name =
+      target === "any"
+        ? characteristic ??
+          CHARACTERISTICS[Math.floor(random() * CHARACTERISTICS.length)]
+        : target;
+    result.agingPoints[name] = (result.agingPoints[name] ?? 0) + 1;
+    aging.agingPoints[name] = (aging.agingPoints[name] ?? 0) + 1;
+    decrepitudePoints += 1;
+    const score = characteristics[name] ?? 0;
+    if (aging.agingPoints[name] > Math.abs(score)) {
+      characteristics[name] = score - 1;
+      aging.agingPoints[name] = 0;
+      result.characteristics.push({ name, from: score, to: score - 1 });
+    }
+  });
+  if (row.crisis) {
+    decrepitudePoints = xpForLevel(
+      levelForXp(decrepitudePoints, AGING_COST_MULTIPLIER) + 1,
+      AGING_COST_MULTIPLIER
+    );
+  }
+  aging.decrepitude = {
+    points: decrepitudePoints,
+    score: levelForXp(decrepitudePoints, AGING_COST_MULTIPLIER),
+  };
+  result.decrepitude.to = aging.decrepitude.score;
+
+  if (row.crisis) {
+    const crisisDie = simpleDie(random);
+    const crisisTotal =
+      crisisDie.value + Math.ceil(aging.age / 10) + aging.decrepitude.score;
+    const { illness, ease, aid } = tableRow(CRISIS_TABLE, crisisTotal);
+    result.crisis = {
+      dice: crisisDie.dice,
+      total: crisisTotal,
+      illness,
+      aid,
+      survived: false,
+    };
+    if (ease !== undefined) {
+      const survival = stressDie(random, 1);
+      const survivalTotal = survival.botched
+        ? 0
+        : survival.value + (characteristics.Sta ?? 0);
+      Object.assign(result.crisis, {
+        ease,
+        survivalDice: survival.dice,
+        survivalTotal,
+        survived: survivalTotal >= ease,
+      });
+    }
+    result.longevityLost = before.longevity > 0;
+    aging.longevity = 0;
+  }
+  result.deceased =
+    aging.decrepitude.score >= FATAL_DECREPITUDE ||
+    (result.crisis !== undefined && !result.crisis.survived);
+  aging.deceased = result.deceased;
+  return {
+    ...result,
+    character: { ...character, characteristics, aging },
+  };
+}
+
+/**
+ * The result of gaining Warping Points.
+ * @typedef {Object} WarpingResult
+ * @property {import("./character.mjs").Character & {aging: Aging}} character The
+ * warped character.
+ * @property {number} points The gained Warping Points.
+ * @property {number} from The Warping score before the gain.
+ * @property {number} to The Warping score after the gain.
+ */
+
+/**
+ * Add Warping Points to a character.
+ * @param {import("./character.mjs").Character & {aging: Aging}} character The
+ * normalized character with a normalized aging state.
+ * @param {number} points The gained Warping Points.
+ * @returns {WarpingResult} The result of the gain.
+ * @throws {AgingError} The points were invalid.
+ */
+export function addWarping(character, points) {
+  if (!Number.isInteger(points) || points < 1 || points > MAX_EXPERIENCE) {
+    throw new AgingError("Invalid Warping Points", [
+      {
+        path: "$.points",
+        message: `Warping Points must be an integer from 1 to ${MAX_EXPERIENCE}`,
+      },
+    ]);
+  }
+  if (character.aging === undefined) {
+    throw new AgingError("The character has no aging state", [
+      { path: "$.aging", message: "Aging state is required" },
+    ]);
+  }
+  const from = character.aging.warping.score;
+  const total = character.aging.warping.points + points;
+  const warping = {
+    points: total,
+    score: levelForXp(total, AGING_COST_MULTIPLIER),
+  };
+  return {
+    character: {
+      ...character,
+      aging: { ...character.aging, warping },
+    },
+    points,
+    from,
+    to: warping.score,
+  };
+}
@@ -0,0 +1,389 @@
+/**
+ * The books of the covenant libraries.
+ *
+ * The library holds summae, tractatus, lab texts and root texts. A character reading
+ * a summa or a tractatus for a season gains its quality as experience in its
+ * subject. A summa does not raise the subject above its level, and a character
+ * benefits from each tractatus only once. The authors write summae and tractatus of
+ * the subjects they know, and the scribes copy the books.
+ *
+ * The Good Teacher virtue adds to the quality of the books written, and the Book
+ * Learner virtue to the experience gained from reading.
+ * @module model/book
+ */
+
+import {
+  ABILITY_COST_MULTIPLIER,
+  ART_COST_MULTIPLIER,
+  ARTS,
+  levelForXp,
+} from "./character.mjs";
+import { BOOK_TYPES } from "./covenant.mjs";
+import { limitedXp, traitLevel, traitXp } from "./timeline.mjs";
+import { hasVirtue } from "./virtue.mjs";
+
+/**
+ * The book types a character can gain experience from by reading.
+ * @type {Readonly<string[]>}
+ */
+export const READABLE_BOOK_TYPES = Object.freeze(["summa", "tractatus"]);
+
+/**
+ * The quality added to the books written by a Good Teacher.
+ * @type {number}
+ */
+export const GOOD_TEACHER_BONUS = 3;
+
+/**
+ * The experience added to the reading of a Book Learner.
+ * @type {number}
+ */
+export const BOOK_LEARNER_BONUS = 3;
+
+/**
+ * The quality of a summa written at the highest level before the author's
+ * Communication and virtues.
+ * @type {number}
+ */
+export const SUMMA_BASE_QUALITY = 6;
+
+/**
+ * The quality of a tractatus before the author's Communication and virtues.
+ * @type {number}
+ */
+export const TRACTATUS_BASE_QUALITY = 3;
+
+/**
+ * The levels copied in a season for each point of Profession: Scribe plus six.
+ * @type {number}
+ */
+export const COPYING_RATE = 6;
+
+/**
+ * The levels a tractatus counts as when copied.
+ * @type {number}
+ */
+export const TRACTATUS_COPY_LEVELS = 6;
+
+/**
+ * The reading of a book by a character.
+ * @typedef {Object} ReadingYield
+ * @property {import("./covenant.mjs").Book} book The book.
+ * @property {import("./timeline.mjs").ActivityTarget} target The trait the book
+ * advances.
+ * @property {number} xp The experience gained in a season of reading.
+ * @property {number} from The level of the trait before the reading.
+ * @property {number} to The level of the trait after the reading.
+ */
+
+/**
+ * The plan of writing a book.
+ * @typedef {Object} WritingPlan
+ * @property {"summa"|"tractatus"} type The type of the book.
+ * @property {string} subject The subject of the book.
+ * @property {number} [level] The level of a summa.
+ * @property {number} quality The quality of the book.
+ * @property {number} seasons The seasons the writing takes.
+ * @property {number} [points] The writing points a summa requires.
+ * @property {number} [pointsPerSeason] The writing points of a season.
+ */
+
+/**
+ * The plan of copying a book.
+ * @typedef {Object} CopyingPlan
+ * @property {number} levels The levels to copy.
+ * @property {number} levelsPerSeason The levels the scribe copies in a season.
+ * @property {number} seasons The seasons the copying takes.
+ * @property {number} [quality] The quality of the copy.
+ */
+
+/**
+ * The error indicating a library operation was not possible.
+ */
+export class BookError extends RangeError {
+  /**
+   * Create a new book error.
+   * @param {string} message The message of the error.
+   * @param {import("./character.mjs").ValidationIssue[]} [issues] The issues of the
+   * operation.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The issues of the operation.
+     * @type {import("./character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Get the trait a book is about.
+ * @param {import("./covenant.mjs").Book} book The book.
+ * @returns {import("./timeline.mjs").ActivityTarget} The Art or the ability of the
+ * subject.
+ */
+export function bookTarget(book) {
+  return {
+    kind: ARTS.includes(book.subject) ? "art" : "ability",
+    name: book.subject,
+  };
+}
+
+/**
+ * Validate the statistics of a library book.
+ * @param {any} book The validated book.
+ * @param {string} [path="$"] The JSON path of the book.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues. An
+ * empty list, if the book is valid.
+ */
+export function validateBook(book, path = "$") {
+  if (!(book instanceof Object) || Array.isArray(book)) {
+    return [{ path, message: "Book must be an object" }];
+  }
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  ["title", "subject"].forEach((property) => {
+    if (typeof book[property] !== "string" || book[property].trim() === "") {
+      issues.push({
+        path: `${path}.${property}`,
+        message: `Property ${property} is required`,
+      });
+    }
+  });
+  if (!BOOK_TYPES.includes(book.type)) {
+    issues.push({
+      path: `${path}.type`,
+      message: `Book type must be one of ${BOOK_TYPES.join(", ")}`,
+    });
+  }
+  const required =
+    {
+      summa: ["level", "quality"],
+      tractatus: ["quality"],
+      labText: ["level"],
+      rootText: [],
+    }[book.type] ?? [];
+  ["level", "quality"].forEach((property) => {
+    if (property in book || required.includes(property)) {
+      const value = book[property];
+      if (!Number.isInteger(value) || value < (property === "level" ? 1 : 0)) {
+        issues.push({
+          path: `${path}.${property}`,
+          message: `The ${property} of a ${book.type} must be ${
+            property === "level" ? "a positive" : "a non-negative"
+          } integer`,
+        });
+      }
+    }
+  });
+  return issues;
+}
+
+/**
+ * Get the tractatus a character has read. The readings are recorded into the
+ * advancements of the character.
+ * @param {import("./character.mjs").Character} character The character.
+ * @returns {{title: string, subject: string}[]} The read tractatus.
+ */
+export function readTractatus(character) {
+  return (character.advancements ?? [])
+    .filter((advancement) => advancement.book?.type === "tractatus")
+    .map(({ book }) => ({ title: book.title, subject: book.subject }));
+}
+
+/**
+ * Get the experience a character gains from reading a book for a season.
+ * @param {import("./character.mjs").Character} character The reader.
+ * @param {import("./covenant.mjs").Book} book The book.
+ * @returns {ReadingYield} The yield of the reading. The experience is zero, if the
+ * book does not teach the character anything.
+ * @throws {BookError} The book can not be read for experience.
+ */
+export function readingYield(character, book) {
+  if (!READABLE_BOOK_TYPES.includes(book.type)) {
+    throw new BookError(`A ${book.type} can not be studied`, [
+      {
+        path: "$.type",
+        message: `Only ${READABLE_BOOK_TYPES.join(" and ")} can be studied`,
+      },
+    ]);
+  }
+  const issues = validateBook(book);
+  if (issues.length > 0) {
+    throw new BookError(`Invalid book ${book.title}`, issues);
+  }
+  const target = bookTarget(book);
+  const from = traitLevel(character, target);
+  const quality =
+    book.quality +
+    (hasVirtue(character, "Book Learner") ? BOOK_LEARNER_BONUS : 0);
+  let xp;
+  if (book.type === "summa") {
+    xp = limitedXp(character, target, quality, book.level);
+  } else {
+    const read = readTractatus(character).some(
+      ({ title, subject }) => title === book.title && subject === book.subject
+    );
+    xp = read ? 0 : quality;
+  }
+  const to = levelForXp(
+    traitXp(character, target) + xp,
+    target.kind === "art" ? ART_COST_MULTIPLIER : ABILITY_COST_MULTIPLIER
+  );
+  return { book, target, xp, from, to };
+}
+
+/**
+ * Rank the books of a library by the experience a character gains from reading
+ * them next.
+ * @param {import("./character.mjs").Character} character The reader.
+ * @param {import("./covenant.mjs").Book[]} library The books of the library.
+ * @param {Object} [options] The ranking options.
+ * @param {string} [options.subject] The subject the reader wants to study. Defaults
+ * to all subjects.
+ * @returns {ReadingYield[]} The readings giving experience with the most
+ * experience first. The ties are broken by the title.
+ */
+export function rankBooks(character, library, { subject = undefined } = {}) {
+  return library
+    .filter(
+      (book) =>
+        READABLE_BOOK_TYPES.includes(book.type) &&
+        validateBook(book).length === 0 &&
+        (subject === undefined || book.subject === subject)
+    )
+    .map((book) => readingYield(character, book))
+    .filter(({ xp }) => xp > 0)
+    .sort(
+      (a, b) =>
+        b.xp - a.xp || b.to - a.to || a.book.title.localeCompare(b.book.title)
+    );
+}
+
+/**
+ * Get the number of tractatus an author may write on a subject.
+ * @param {number} score The score of the author in the subject.
+ * @param {"ability"|"art"} kind The kind of the subject.
+ * @returns {number} One fifth of an Art score, or half of an ability score, rounded
+ * up.
+ */
+export function tractatusLimit(score, kind) {
+  return Math.ceil(score / (kind === "art" ? 5 : 2));
+}
+
+/**
+ * Plan the writing of a book.
+ * @param {import("./character.mjs").Character} author The author.
+ * @param {Object} book The written book.
+ * @param {"summa"|"tractatus"} book.type The type of the book.
+ * @param {string} book.subject The subject of the book.
+ * @param {number} [book.level] The level of a summa. Defaults to the highest level:
+ * half of the score of the author. Every level below the highest adds one to the
+ * quality.
+ * @param {Object} [options] The writing options.
+ * @param {string} [options.language="Latin"] The language ability of the author.
+ * @param {number} [options.written=0] The tractatus the author has already written
+ * on the subject.
+ * @returns {WritingPlan} The plan of the writing.
+ * @throws {BookError} The author can not write the book.
+ */
+export function planWriting(
+  author,
+  { type, subject, level = undefined },
+  { language = "Latin", written = 0 } = {}
+) {
+  if (!["summa", "tractatus"].includes(type)) {
+    throw new BookError(`A ${type} can not be written`, [
+      { path: "$.type", message: "Only summae and tractatus can be written" },
+    ]);
+  }
+  const target = bookTarget({ subject });
+  const score = traitLevel(author, target);
+  const communication = author.characteristics?.Com ?? 0;
+  const teacher = hasVirtue(author, "Good Teacher") ? GOOD_TEACHER_BONUS : 0;
+  if (type === "tractatus") {
+    const limit = tractatusLimit(score, target.kind);
+    if (written >= limit) {
+      throw new BookError(`No more tractatus on ${subject}`, [
+        {
+          path: "$.subject",
+          message: `The author may write ${limit} tractatus on ${subject}`,
+        },
+      ]);
+    }
+    return {
+      type,
+      subject,
+      quality: communication + TRACTATUS_BASE_QUALITY + teacher,
+      seasons: 1,
+    };
+  }
+  const maxLevel = Math.floor(score / 2);
+  const summaLevel = level ?? maxLevel;
+  if (
+    !Number.isInteger(summaLevel) ||
+    summaLevel < 1 ||
+    summaLevel > maxLevel
+  ) {
+    throw new BookError(`Invalid summa level ${summaLevel}`, [
+      {
+        path: "$.level",
+        message:
+          maxLevel < 1
+            ? `The author knows too little ${subject} to write a summa`
+            : `The level must be an integer between 1 and ${maxLevel}`,
+      },
+    ]);
+  }
+  const pointsPerSeason =
+    communication + traitLevel(author, { kind: "ability", name: language });
+  if (pointsPerSeason < 1) {
+    throw new BookError("The author can not write", [
+      {
+        path: "$.language",
+        message: `Communication + ${language} must be positive`,
+      },
+    ]);
+  }
+  const points = summaLevel * (target.kind === "art" ? 1 : 5);
+  return {
+    type,
+    subject,
+    level: summaLevel,
+    quality:
+      communication + SUMMA_BASE_QUALITY + teacher + (maxLevel - summaLevel),
+    seasons: Math.ceil(points / pointsPerSeason),
+    points,
+    pointsPerSeason,
+  };
+}
+
+/**
+ * Plan the copying of a book. A scribe copies six levels per point of Profession:
+ * Scribe plus six in a season. A quick copy takes a third of the time, but loses a
+ * point of quality.
+ * @param {import("./character.mjs").Character} scribe The scribe.
+ * @param {import("./covenant.mjs").Book} book The copied book.
+ * @param {Object} [options] The copying options.
+ * @param {boolean} [options.quick=false] Is the book copied quickly.
+ * @returns {CopyingPlan} The plan of the copying.
+ */
+export function planCopying(scribe, book, { quick = false } = {}) {
+  const levels =
+    book.type === "tractatus" ? TRACTATUS_COPY_LEVELS : book.level ?? 1;
+  const levelsPerSeason =
+    COPYING_RATE *
+    (traitLevel(scribe, { kind: "ability", name: "Profession: Scribe" }) + 6) *
+    (quick ? 3 : 1);
+  return {
+    levels,
+    levelsPerSeason,
+    seasons: Math.ceil(levels / levelsPerSeason),
+    ...(book.quality === undefined
+      ? {}
+      : { quality: Math.max(0, book.quality - (quick ? 1 : 0)) }),
+  };
+}
@@ -0,0 +1,507 @@
+/**
+ * The character model of the server.
+ *
+ * The model validates and normalizes the character documents stored by the server
+ * using the ability model of the ArM5 Tools.
+ * @module model/character
+ */
+
+import { PyramidAdvancementScheme } from "../arm5tools/ability.mjs";
+
+/**
+ * The character types of the ArM5.
+ * @type {Readonly<string[]>}
+ */
+export const CHARACTER_TYPES = Object.freeze([
+  "magus",
+  "companion",
+  "grog",
+  "familiar",
+]);
+
+/**
+ * The characteristics of the ArM5 characters.
+ * @type {Readonly<string[]>}
+ */
+export const CHARACTERISTICS = Object.freeze([
+  "Int",
+  "Per",
+  "Str",
+  "Sta",
+  "Pre",
+  "Com",
+  "Dex",
+  "Qik",
+]);
+
+/**
+ * The Hermetic Techniques.
+ * @type {Readonly<string[]>}
+ */
+export const TECHNIQUES = Object.freeze([
+  "Creo",
+  "Intellego",
+  "Muto",
+  "Perdo",
+  "Rego",
+]);
+
+/**
+ * The Hermetic Forms.
+ * @type {Readonly<string[]>}
+ */
+export const FORMS = Object.freeze([
+  "Animal",
+  "Aquam",
+  "Auram",
+  "Corpus",
+  "Herbam",
+  "Ignem",
+  "Imaginem",
+  "Mentem",
+  "Terram",
+  "Vim",
+]);
+
+/**
+ * The Hermetic Arts.
+ * @type {Readonly<string[]>}
+ */
+export const ARTS = Object.freeze([...TECHNIQUES, ...FORMS]);
+
+/**
+ * The smallest allowed characteristic value.
+ */
+export const MIN_CHARACTERISTIC = -5;
+
+/**
+ * The largest allowed characteristic value.
+ */
+export const MAX_CHARACTERISTIC = 5;
+
+/**
+ * The cost multiplier of the abilities.
+ */
+export const ABILITY_COST_MULTIPLIER = 5;
+
+/**
+ * The cost multiplier of the Arts.
+ */
+export const ART_COST_MULTIPLIER = 1;
+
+/**
+ * The largest allowed experience points of a trait.
+ */
+export const MAX_EXPERIENCE = 100000;
+
+/**
+ * The message of the invalid experience points.
+ */
+export const EXPERIENCE_MESSAGE = `Experience must be an integer from 0 to ${MAX_EXPERIENCE}`;
+
+/**
+ * A validation issue.
+ * @typedef {Object} ValidationIssue
+ * @property {string} path The JSON path of the invalid value.
+ * @property {string} message The description of the problem.
+ */
+
+/**
+ * An ability of a character.
+ * @typedef {Object} Ability
+ * @property {string} name The name of the ability.
+ * @property {string} [speciality] The speciality of the ability.
+ * @property {number} xp The experience points of the ability.
+ * @property {number} [level] The level of the ability derived from the experience.
+ */
+
+/**
+ * An Art of a magus.
+ * @typedef {Object} Art
+ * @property {number} xp The experience points of the Art.
+ * @property {number} [score] The score of the Art derived from the experience.
+ */
+
+/**
+ * A spell known by a magus.
+ * @typedef {Object} KnownSpell
+ * @property {string} spell The identifier of the spell in the spell catalogue.
+ * @property {number} xp The experience points of the mastery of the spell.
+ * @property {number} [mastery] The mastery score derived from the experience.
+ */
+
+/**
+ * A character document.
+ * @typedef {Object} Character
+ * @property {string} [id] The identifier of the character.
+ * @property {string} name The name of the character.
+ * @property {"magus"|"companion"|"grog"|"familiar"} type The type of the character.
+ * @property {Record<string, number>} characteristics The characteristics.
+ * @property {Ability[]} [abilities] The abilities.
+ * @property {Record<string, Art>} [arts] The Arts of a magus.
+ * @property {KnownSpell[]} [spells] The spells known by a magus.
+ * @property {import("./virtue.mjs").CharacterVirtue[]} [virtues] The Virtues and
+ * the Flaws.
+ * @property {string} [notes] The free form notes.
+ * @property {import("./combat.mjs").Equipment} [equipment] The equipment the
+ * character carries.
+ * @property {number} [might] The Magic Might of a familiar.
+ * @property {import("./familiar.mjs").FamiliarPower[]} [powers] The powers of a
+ * familiar.
+ * @property {import("./familiar.mjs").Bond} [familiar] The bond of a magus with
+ * the familiar.
+ * @property {import("./talisman.mjs").Talisman} [talisman] The talisman of a
+ * magus.
+ * @property {Object[]} [advancements] The log of the seasonal advancements
+ * recorded by the server.
+ * @property {string} [saga] The identifier of the saga owning the character.
+ * @property {boolean} [hidden] Is the character hidden from the members who are not
+ * storyguides.
+ * @property {string} [storyguideNotes] The notes only the storyguides see.
+ * @property {boolean} [npc] Is the character a non-player character.
+ */
+
+/**
+ * Get the experience required to reach a level from zero.
+ * @param {number} level The level.
+ * @param {number} [costMultiplier=1] The cost multiplier of the advancement.
+ * @returns {number|undefined} The experience required, or undefined, if the level
+ * is invalid.
+ */
+export function xpForLevel(level, costMultiplier = 1) {
+  const cost = PyramidAdvancementScheme.pyramidCost(0, level);
+  return cost === undefined ? undefined : cost * costMultiplier;
+}
+
+/**
+ * Get the level reached with the experience.
+ * @param {number} xp The experience points.
+ * @param {number} [costMultiplier=1] The cost multiplier of the advancement.
+ * @returns {number} The highest level whose cost does not exceed the experience.
+ */
+export function levelForXp(xp, costMultiplier = 1) {
+  if (!(xp >= costMultiplier)) {
+    return 0;
+  }
+  // The cost of the level n is n(n + 1)/2 times the multiplier. The rounding error
+  // of the square root is at most one level, and is corrected with the exact costs
+  // of the adjacent levels.
+  const level = Math.floor((Math.sqrt((8 * xp) / costMultiplier + 1) - 1) / 2);
+  if (xpForLevel(level, costMultiplier) > xp) {
+    return level - 1;
+  } else if (xpForLevel(level + 1, costMultiplier) <= xp) {
+    return level + 1;
+  }
+  return level;
+}
+
+/**
+ * Get the level of an ability of a character.
+ * @param {Character} character The character.
+ * @param {string} name The name of the ability.
+ * @returns {number} The level of the ability. Zero, if the character lacks the
+ * ability.
+ */
+export function abilityLevel(character, name) {
+  const ability = (character.abilities ?? []).find(
+    (ability) => ability.name === name
+  );
+  return ability === undefined
+    ? 0
+    : levelForXp(ability.xp, ABILITY_COST_MULTIPLIER);
+}
+
+/**
+ * Get the score of an Art of a character.
+ * @param {Character} character The character.
+ * @param {string} name The name of the Art.
+ * @returns {number} The score of the Art. Zero, if the character lacks the Art.
+ */
+export function artScore(character, name) {
+  return levelForXp(character.arts?.[name]?.xp ?? 0, ART_COST_MULTIPLIER);
+}
+
+/**
+ * Test whether a value is valid experience points.
+ * @param {any} value The tested value.
+ * @returns {boolean} True, if and only if the value is an integer from zero to the
+ * largest allowed experience.
+ */
+export function isExperience(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_EXPERIENCE;
+}
+
+/**
+ * Validate the characteristics of a character.
+ * @param {any} characteristics The validated characteristics.
+ * @param {ValidationIssue[]} issues The list the found issues are added to.
+ */
+function validateCharacteristics(characteristics, issues) {
+  if (!(characteristics instanceof Object) || Array.isArray(characteristics)) {
+    issues.push({
+      path: "$.characteristics",
+      message: "Characteristics must be an object",
+    });
+    return;
+  }
+  Object.getOwnPropertyNames(characteristics).forEach((name) => {
+    const value = characteristics[name];
+    if (!CHARACTERISTICS.includes(name)) {
+      issues.push({
+        path: `$.characteristics.${name}`,
+        message: `Unknown characteristic ${name}`,
+      });
+    } else if (
+      !Number.isInteger(value) ||
+      value < MIN_CHARACTERISTIC ||
+      value > MAX_CHARACTERISTIC
+    ) {
+      issues.push({
+        path: `$.characteristics.${name}`,
+        message: `Characteristic must be an integer between ${MIN_CHARACTERISTIC} and ${MAX_CHARACTERISTIC}`,
+      });
+    }
+  });
+}
+
+/**
+ * Validate the abilities of a character.
+ * @param {any} abilities The validated abilities.
+ * @param {ValidationIssue[]} issues The list the found issues are added to.
+ */
+function validateAbilities(abilities, issues) {
+  if (!Array.isArray(abilities)) {
+    issues.push({ path: "$.abilities", message: "Abilities must be an array" });
+    return;
+  }
+  const names = new Set();
+  abilities.forEach((ability, index) => {
+    const path = `$.abilities[${index}]`;
+    if (!(ability instanceof Object)) {
+      issues.push({ path, message: "Ability must be an object" });
+      return;
+    }
+    if (typeof ability.name !== "string" || ability.name.trim() === "") {
+      issues.push({
+        path: `${path}.name`,
+        message: "Ability name is required",
+      });
+    } else if (names.has(ability.name)) {
+      issues.push({
+        path: `${path}.name`,
+        message: `Duplicate ability ${ability.name}`,
+      });
+    } else {
+      names.add(ability.name);
+    }
+    if ("speciality" in ability && typeof ability.speciality !== "string") {
+      issues.push({
+        path: `${path}.speciality`,
+        message: "Speciality must be a string",
+      });
+    }
+    if (!isExperience(ability.xp)) {
+      issues.push({
+        path: `${path}.xp`,
+        message: EXPERIENCE_MESSAGE,
+      });
+    } else if (
+      "level" in ability &&
+      ability.level !== levelForXp(ability.xp, ABILITY_COST_MULTIPLIER)
+    ) {
+      issues.push({
+        path: `${path}.level`,
+        message: `Level ${ability.level} does not match experience ${ability.xp}`,
+      });
+    }
+  });
+}
+
+/**
+ * Validate the Arts of a character.
+ * @param {any} arts The validated Arts.
+ * @param {ValidationIssue[]} issues The list the found issues are added to.
+ */
+function validateArts(arts, issues) {
+  if (!(arts instanceof Object) || Array.isArray(arts)) {
+    issues.push({ path: "$.arts", message: "Arts must be an object" });
+    return;
+  }
+  Object.getOwnPropertyNames(arts).forEach((name) => {
+    const path = `$.arts.${name}`;
+    const art = arts[name];
+    if (!ARTS.includes(name)) {
+      issues.push({ path, message: `Unknown Art ${name}` });
+    } else if (!(art instanceof Object) || !isExperience(art.xp)) {
+      issues.push({
+        path: `${path}.xp`,
+        message: EXPERIENCE_MESSAGE,
+      });
+    } else if (
+      "score" in art &&
+      art.score !== levelForXp(art.xp, ART_COST_MULTIPLIER)
+    ) {
+      issues.push({
+        path: `${path}.score`,
+        message: `Score ${art.score} does not match experience ${art.xp}`,
+      });
+    }
+  });
+}
+
+/**
+ * Validate the spells known by a character. The mastery of the spells advances like
+ * an ability.
+ * @param {any} spells The validated spells.
+ * @param {ValidationIssue[]} issues The list the found issues are added to.
+ */
+function validateSpells(spells, issues) {
+  if (!Array.isArray(spells)) {
+    issues.push({ path: "$.spells", message: "Spells must be an array" });
+    return;
+  }
+  const known = new Set();
+  spells.forEach((spell, index) => {
+    const path = `$.spells[${index}]`;
+    if (!(spell instanceof Object)) {
+      issues.push({ path, message: "Known spell must be an object" });
+      return;
+    }
+    if (typeof spell.spell !== "string" || spell.spell === "") {
+      issues.push({
+        path: `${path}.spell`,
+        message: "The spell identifier is required",
+      });
+    } else if (known.has(spell.spell)) {
+      issues.push({
+        path: `${path}.spell`,
+        message: `Duplicate spell ${spell.spell}`,
+      });
+    } else {
+      known.add(spell.spell);
+    }
+    if (!isExperience(spell.xp)) {
+      issues.push({
+        path: `${path}.xp`,
+        message: EXPERIENCE_MESSAGE,
+      });
+    } else if (
+      "mastery" in spell &&
+      spell.mastery !== levelForXp(spell.xp, ABILITY_COST_MULTIPLIER)
+    ) {
+      issues.push({
+        path: `${path}.mastery`,
+        message: `Mastery ${spell.mastery} does not match experience ${spell.xp}`,
+      });
+    }
+  });
+}
+
+/**
+ * Validate a character document.
+ * @param {any} character The validated character.
+ * @returns {ValidationIssue[]} The list of validation issues. An empty list, if the
+ * character is valid.
+ */
+export function validateCharacter(character) {
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+  if (!(character instanceof Object) || Array.isArray(character)) {
+    return [{ path: "$", message: "Character must be an object" }];
+  }
+  if (typeof character.name !== "string" || character.name.trim() === "") {
+    issues.push({ path: "$.name", message: "Character name is required" });
+  }
+  if (!CHARACTER_TYPES.includes(character.type)) {
+    issues.push({
+      path: "$.type",
+      message: `Character type must be one of ${CHARACTER_TYPES.join(", ")}`,
+    });
+  }
+  validateCharacteristics(character.characteristics, issues);
+  if ("abilities" in character) {
+    validateAbilities(character.abilities, issues);
+  }
+  if ("arts" in character) {
+    if (character.type !== "magus") {
+      issues.push({ path: "$.arts", message: "Only magi may have Arts" });
+    } else {
+      validateArts(character.arts, issues);
+    }
+  }
+  if ("spells" in character) {
+    if (character.type !== "magus") {
+      issues.push({ path: "$.spells", message: "Only magi may know spells" });
+    } else {
+      validateSpells(character.spells, issues);
+    }
+  }
+  if ("notes" in character && typeof character.notes !== "string") {
+    issues.push({ path: "$.notes", message: "Notes must be a string" });
+  }
+  return issues;
+}
+
+/**
+ * Create a copy of a character without the values derived from the experience.
+ * @param {Character} character The character.
+ * @returns {Character} The copy of the character without ability levels, Art
+ * scores and spell masteries.
+ */
+export function stripDerived(character) {
+  const result = { ...character };
+  if (Array.isArray(character.abilities)) {
+    result.abilities = character.abilities.map(
+      ({ level, ...ability }) => ability
+    );
+  }
+  if (character.arts instanceof Object) {
+    result.arts = Object.fromEntries(
+      Object.entries(character.arts).map(([name, { score, ...art }]) => [
+        name,
+        art,
+      ])
+    );
+  }
+  if (Array.isArray(character.spells)) {
+    result.spells = character.spells.map(({ mastery, ...spell }) => spell);
+  }
+  return result;
+}
+
+/**
+ * Create a normalized copy of a valid character. The missing characteristics are
+ * set to zero, and the derived ability levels, Art scores and spell masteries are
+ * recalculated from the experience.
+ * @param {Character} character The normalized character.
+ * @returns {Character} The normalized copy of the character.
+ */
+export function normalizeCharacter(character) {
+  /** @type {Character} */
+  const result = {
+    ...character,
+    characteristics: Object.fromEntries(
+      CHARACTERISTICS.map((name) => [
+        name,
+        character.characteristics[name] ?? 0,
+      ])
+    ),
+    abilities: (character.abilities ?? []).map((ability) => ({
+      ...ability,
+      level: levelForXp(ability.xp, ABILITY_COST_MULTIPLIER),
+    })),
+  };
+  if (character.type === "magus") {
+    result.arts = Object.fromEntries(
+      ARTS.map((name) => {
+        const xp = character.arts?.[name]?.xp ?? 0;
+        return [name, { xp, score: levelForXp(xp, ART_COST_MULTIPLIER) }];
+      })
+    );
+    result.spells = (character.spells ?? []).map((spell) => ({
+      ...spell,
+      mastery: levelForXp(spell.xp, ABILITY_COST_MULTIPLIER),
+    }));
+  }
+  return result;
+}
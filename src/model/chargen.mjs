@@ -0,0 +1,662 @@
+/**
+ * The character generation of the ArM5.
+ *
+ * A character is generated in steps: the concept, the Virtues and Flaws, the
+ * characteristics bought with points, the Early Life experience of the childhood,
+ * the Later Life experience of the years after the childhood, and the apprenticeship
+ * of the magi. The experience of the steps is spent with the advancement of the
+ * characters, so the Affinities of the character lower the costs of its abilities
+ * and Arts.
+ *
+ * The draft of a character keeps the inputs of the completed steps. The character
+ * is rebuilt by replaying the steps in order, so each step is validated against the
+ * results of the previous steps, and changing a step discards the later steps.
+ * @module model/chargen
+ */
+
+import { advance, AdvancementError } from "./advancement.mjs";
+import {
+  CHARACTER_TYPES,
+  CHARACTERISTICS,
+  validateCharacter,
+} from "./character.mjs";
+import { labTotal } from "./lab.mjs";
+import {
+  advancementOptions,
+  validateVirtuePackage,
+  virtueModifiers,
+} from "./virtue.mjs";
+
+/**
+ * The character types of the generated characters. The familiars are bound in the
+ * laboratory instead.
+ * @type {Readonly<string[]>}
+ */
+export const GENERATED_TYPES = Object.freeze(
+  CHARACTER_TYPES.filter((type) => type !== "familiar")
+);
+
+/**
+ * The steps of the character generation in order.
+ * @type {Readonly<string[]>}
+ */
+export const CHARGEN_STEPS = Object.freeze([
+  "concept",
+  "virtues",
+  "characteristics",
+  "earlyLife",
+  "laterLife",
+  "apprenticeship",
+]);
+
+/**
+ * The point costs of the characteristic values.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const CHARACTERISTIC_COSTS = Object.freeze({
+  "-3": -6,
+  "-2": -3,
+  "-1": -1,
+  0: 0,
+  1: 1,
+  2: 3,
+  3: 6,
+});
+
+/**
+ * The points to buy the characteristics with before the Virtues.
+ * @type {number}
+ */
+export const CHARACTERISTIC_POINTS = 7;
+
+/**
+ * The experience of the native language.
+ * @type {number}
+ */
+export const NATIVE_LANGUAGE_XP = 75;
+
+/**
+ * The age the childhood ends at.
+ * @type {number}
+ */
+export const EARLY_LIFE_AGE = 5;
+
+/**
+ * The experience of the childhood.
+ * @type {number}
+ */
+export const EARLY_LIFE_XP = 45;
+
+/**
+ * The abilities learned in the childhood. The abilities with a subject, such as
+ * Area Lore, are written as `Area Lore: Subject`.
+ * @type {Readonly<string[]>}
+ */
+export const EARLY_LIFE_ABILITIES = Object.freeze([
+  "Area Lore",
+  "Athletics",
+  "Awareness",
+  "Brawl",
+  "Charm",
+  "Folk Ken",
+  "Guile",
+  "Stealth",
+  "Survival",
+  "Swim",
+]);
+
+/**
+ * The yearly experience of the Later Life before the Virtues.
+ * @type {number}
+ */
+export const LATER_LIFE_XP = 15;
+
+/**
+ * The years of the apprenticeship of a magus.
+ * @type {number}
+ */
+export const APPRENTICESHIP_YEARS = 15;
+
+/**
+ * The experience of the apprenticeship of a magus before the Virtues.
+ * @type {number}
+ */
+export const APPRENTICESHIP_XP = 120;
+
+/**
+ * The spell levels of the apprenticeship of a magus before the Virtues.
+ * @type {number}
+ */
+export const APPRENTICESHIP_SPELL_LEVELS = 150;
+
+/**
+ * The concept of a generated character.
+ * @typedef {Object} Concept
+ * @property {string} name The name of the character.
+ * @property {"magus"|"companion"|"grog"} type The type of the character.
+ * @property {number} age The age of the character.
+ * @property {string} nativeLanguage The native language of the character.
+ * @property {string} [notes] The free form notes.
+ */
+
+/**
+ * The draft of a generated character.
+ * @typedef {Object} ChargenDraft
+ * @property {string} [id] The identifier of the draft.
+ * @property {string} [saga] The identifier of the saga of the draft.
+ * @property {string} owner The identifier of the user generating the character.
+ * @property {Partial<Record<string, any>>} steps The inputs of the completed steps
+ * by the step name.
+ * @property {string} [committed] The identifier of the character created by the
+ * draft.
+ */
+
+/**
+ * The budget of a step and its use.
+ * @typedef {Object} StepBudget
+ * @property {number} available The points or the experience available.
+ * @property {number} spent The points or the experience spent.
+ * @property {number} [spellLevels] The spell levels available.
+ * @property {number} [spellLevelsSpent] The spell levels spent.
+ */
+
+/**
+ * The state of a character generation.
+ * @typedef {Object} ChargenState
+ * @property {Concept} [concept] The concept of the character.
+ * @property {import("./character.mjs").Character} [character] The character built
+ * by the completed steps.
+ * @property {Partial<Record<string, StepBudget>>} budgets The budgets of the
+ * completed steps spending points or experience.
+ * @property {string|null} next The next step, or null, if all steps are complete.
+ */
+
+/**
+ * The error indicating an invalid step of the character generation.
+ */
+export class ChargenError extends RangeError {
+  /**
+   * Create a new character generation error.
+   * @param {string} message The message of the error.
+   * @param {import("./character.mjs").ValidationIssue[]} [issues] The issues of the
+   * step.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The issues of the step.
+     * @type {import("./character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Get the steps of a character type.
+ * @param {string} [type] The character type.
+ * @returns {string[]} The steps generating the character. Only the magi have an
+ * apprenticeship.
+ */
+export function chargenSteps(type) {
+  return CHARGEN_STEPS.filter(
+    (step) => step !== "apprenticeship" || type === "magus"
+  );
+}
+
+/**
+ * Get the characteristic points of a character.
+ * @param {import("./character.mjs").Character} character The character with its
+ * Virtues.
+ * @returns {number} The points to buy the characteristics with.
+ */
+export function characteristicPoints(character) {
+  return virtueModifiers(character, "characteristicPoints").reduce(
+    (points, { modifier }) => points + modifier.value,
+    CHARACTERISTIC_POINTS
+  );
+}
+
+/**
+ * Get the years of the Later Life of a character. The Later Life starts after the
+ * childhood, and for magi ends at the start of the apprenticeship.
+ * @param {Concept} concept The concept of the character.
+ * @returns {number} The years of the Later Life.
+ */
+export function laterLifeYears({ type, age }) {
+  return Math.max(
+    0,
+    age - EARLY_LIFE_AGE - (type === "magus" ? APPRENTICESHIP_YEARS : 0)
+  );
+}
+
+/**
+ * Get the yearly experience of the Later Life of a character.
+ * @param {import("./character.mjs").Character} character The character with its
+ * Virtues.
+ * @returns {number} The yearly experience. Wealthy and Poor replace the default.
+ */
+export function laterLifeRate(character) {
+  const [rate] = virtueModifiers(character, "laterLifeXp");
+  return rate === undefined ? LATER_LIFE_XP : rate.modifier.value;
+}
+
+/**
+ * Get the budget of the apprenticeship of a magus.
+ * @param {import("./character.mjs").Character} character The magus with the
+ * Virtues.
+ * @returns {{xp: number, spellLevels: number}} The experience and the spell levels
+ * of the apprenticeship.
+ */
+export function apprenticeshipBudget(character) {
+  return virtueModifiers(character, "apprenticeship").reduce(
+    ({ xp, spellLevels }, { modifier }) => ({
+      xp: xp + (modifier.xp ?? 0),
+      spellLevels: spellLevels + (modifier.spellLevels ?? 0),
+    }),
+    { xp: APPRENTICESHIP_XP, spellLevels: APPRENTICESHIP_SPELL_LEVELS }
+  );
+}
+
+/**
+ * Get the point cost of a characteristic value.
+ * @param {number} value The characteristic value.
+ * @returns {number|undefined} The cost, or undefined, if the value cannot be bought.
+ */
+export function characteristicCost(value) {
+  return CHARACTERISTIC_COSTS[value];
+}
+
+/**
+ * Test whether an ability may be learned in the childhood.
+ * @param {string} name The name of the ability.
+ * @param {Concept} concept The concept of the character.
+ * @returns {boolean} True, if and only if the ability is an Early Life ability or
+ * the native language of the character.
+ */
+function isEarlyLifeAbility(name, concept) {
+  return (
+    name === concept.nativeLanguage ||
+    EARLY_LIFE_ABILITIES.some(
+      (ability) => name === ability || name?.startsWith(`${ability}:`)
+    )
+  );
+}
+
+/**
+ * Throw the issues of a step.
+ * @param {string} step The step.
+ * @param {import("./character.mjs").ValidationIssue[]} issues The issues.
+ * @throws {ChargenError} There were issues.
+ */
+function rejectIssues(step, issues) {
+  if (issues.length > 0) {
+    throw new ChargenError(`Invalid ${step} step`, issues);
+  }
+}
+
+/**
+ * Require the input of a step to be an object.
+ * @param {string} step The step.
+ * @param {any} input The input of the step.
+ * @throws {ChargenError} The input was not an object.
+ */
+function requireObject(step, input) {
+  if (!(input instanceof Object) || Array.isArray(input)) {
+    rejectIssues(step, [{ path: "$", message: "The step must be an object" }]);
+  }
+}
+
+/**
+ * Spend the experience of a step with the advancement of the character.
+ * @param {string} step The step.
+ * @param {import("./character.mjs").Character} character The character.
+ * @param {number} xp The experience of the step.
+ * @param {Object} input The allocations of the step.
+ * @returns {import("./advancement.mjs").AdvancementResult} The advancement.
+ * @throws {ChargenError} The allocations were invalid or overspent the experience.
+ */
+function spendStep(step, character, xp, { abilities, arts }) {
+  try {
+    return advance(
+      character,
+      {
+        xp,
+        ...(abilities === undefined ? {} : { abilities }),
+        ...(arts === undefined ? {} : { arts }),
+      },
+      advancementOptions(character)
+    );
+  } catch (err) {
+    if (err instanceof AdvancementError) {
+      throw new ChargenError(`Invalid ${step} step`, err.issues, {
+        cause: err,
+      });
+    }
+    throw err;
+  }
+}
+
+/**
+ * The implementations of the steps. A step returns the character after the step and
+ * the budget of the step.
+ * @type {Record<string, (state: ChargenState, input: any, options: ChargenOptions) => {character: import("./character.mjs").Character, budget?: StepBudget}>}
+ */
+const STEPS = {
+  concept(state, input) {
+    requireObject("concept", input);
+    const issues = [];
+    if (typeof input.name !== "string" || input.name.trim() === "") {
+      issues.push({ path: "$.name", message: "Character name is required" });
+    }
+    if (!GENERATED_TYPES.includes(input.type)) {
+      issues.push({
+        path: "$.type",
+        message: `Character type must be one of ${GENERATED_TYPES.join(", ")}`,
+      });
+    }
+    const minAge =
+      EARLY_LIFE_AGE + (input.type === "magus" ? APPRENTICESHIP_YEARS : 0);
+    if (!Number.isInteger(input.age) || input.age < minAge) {
+      issues.push({
+        path: "$.age",
+        message: `Age must be an integer of at least ${minAge}`,
+      });
+    }
+    if (
+      typeof input.nativeLanguage !== "string" ||
+      input.nativeLanguage.trim() === ""
+    ) {
+      issues.push({
+        path: "$.nativeLanguage",
+        message: "Native language is required",
+      });
+    }
+    if ("notes" in input && typeof input.notes !== "string") {
+      issues.push({ path: "$.notes", message: "Notes must be a string" });
+    }
+    rejectIssues("concept", issues);
+    return {
+      character: {
+        name: input.name,
+        type: input.type,
+        characteristics: {},
+        abilities: [{ name: input.nativeLanguage, xp: NATIVE_LANGUAGE_XP }],
+        ...(input.type === "magus" ? { arts: {}, spells: [] } : {}),
+        aging: { age: input.age },
+        ...(input.notes === undefined ? {} : { notes: input.notes }),
+      },
+    };
+  },
+
+  virtues({ character }, input) {
+    requireObject("virtues", input);
+    const virtues = input.virtues ?? [];
+    rejectIssues(
+      "virtues",
+      validateVirtuePackage({ type: character.type, virtues })
+    );
+    return { character: { ...character, virtues } };
+  },
+
+  characteristics({ character }, input) {
+    requireObject("characteristics", input);
+    const characteristics = input.characteristics;
+    if (
+      !(characteristics instanceof Object) ||
+      Array.isArray(characteristics)
+    ) {
+      rejectIssues("characteristics", [
+        {
+          path: "$.characteristics",
+          message: "Characteristics must be an object",
+        },
+      ]);
+    }
+    const issues = [];
+    let spent = 0;
+    Object.entries(characteristics).forEach(([name, value]) => {
+      const cost = characteristicCost(value);
+      if (!CHARACTERISTICS.includes(name)) {
+        issues.push({
+          path: `$.characteristics.${name}`,
+          message: `Unknown characteristic ${name}`,
+        });
+      } else if (!Number.isInteger(value) || cost === undefined) {
+        issues.push({
+          path: `$.characteristics.${name}`,
+          message: "Characteristic must be an integer between -3 and 3",
+        });
+      } else {
+        spent += cost;
+      }
+    });
+    const available = characteristicPoints(character);
+    if (issues.length === 0 && spent > available) {
+      issues.push({
+        path: "$.characteristics",
+        message: `The characteristics cost ${spent} points, but only ${available} are available`,
+      });
+    }
+    rejectIssues("characteristics", issues);
+    return {
+      character: {
+        ...character,
+        characteristics: Object.fromEntries(
+          CHARACTERISTICS.map((name) => [name, characteristics[name] ?? 0])
+        ),
+      },
+      budget: { available, spent },
+    };
+  },
+
+  earlyLife({ concept, character }, input) {
+    requireObject("earlyLife", input);
+    const abilities = input.abilities ?? [];
+    rejectIssues(
+      "earlyLife",
+      (Array.isArray(abilities) ? abilities : [])
+        .map((entry, index) => [entry, index])
+        .filter(([entry]) => !isEarlyLifeAbility(entry?.name, concept))
+        .map(([entry, index]) => ({
+          path: `$.abilities[${index}].name`,
+          message: `${entry?.name} is not learned in the childhood`,
+        }))
+    );
+    const result = spendStep("earlyLife", character, EARLY_LIFE_XP, {
+      abilities,
+    });
+    return {
+      character: result.character,
+      budget: { available: EARLY_LIFE_XP, spent: result.spent },
+    };
+  },
+
+  laterLife({ concept, character }, input) {
+    requireObject("laterLife", input);
+    if ("arts" in input) {
+      rejectIssues("laterLife", [
+        {
+          path: "$.arts",
+          message: "The Arts are learned in the apprenticeship",
+        },
+      ]);
+    }
+    const available = laterLifeYears(concept) * laterLifeRate(character);
+    const result = spendStep("laterLife", character, available, input);
+    return {
+      character: result.character,
+      budget: { available, spent: result.spent },
+    };
+  },
+
+  apprenticeship({ character }, input, { spells: catalogue = [] }) {
+    requireObject("apprenticeship", input);
+    const { xp: available, spellLevels } = apprenticeshipBudget(character);
+    const result = spendStep("apprenticeship", character, available, input);
+    const spells = input.spells ?? [];
+    const issues = [];
+    if (!Array.isArray(spells)) {
+      rejectIssues("apprenticeship", [
+        { path: "$.spells", message: "Spells must be an array" },
+      ]);
+    }
+    const known = new Set();
+    let spellLevelsSpent = 0;
+    spells.forEach((entry, index) => {
+      const path = `$.spells[${index}].spell`;
+      const spell = catalogue.find(({ id }) => id === entry?.spell);
+      if (spell === undefined) {
+        issues.push({
+          path,
+          message: `No spell with identifier ${entry?.spell}`,
+        });
+        return;
+      }
+      if (known.has(spell.id)) {
+        issues.push({ path, message: `Duplicate spell ${spell.id}` });
+      }
+      known.add(spell.id);
+      spellLevelsSpent += spell.level;
+      const { total } = labTotal({
+        magus: result.character,
+        technique: spell.technique,
+        form: spell.form,
+      });
+      if (spell.level > total) {
+        issues.push({
+          path,
+          message: `${spell.name} of level ${spell.level} exceeds the Lab Total ${total}`,
+        });
+      }
+    });
+    if (spellLevelsSpent > spellLevels) {
+      issues.push({
+        path: "$.spells",
+        message: `The spells have ${spellLevelsSpent} levels, but only ${spellLevels} are available`,
+      });
+    }
+    rejectIssues("apprenticeship", issues);
+    return {
+      character: {
+        ...result.character,
+        spells: [
+          ...result.character.spells,
+          ...spells.map(({ spell }) => ({ spell, xp: 0 })),
+        ],
+      },
+      budget: {
+        available,
+        spent: result.spent,
+        spellLevels,
+        spellLevelsSpent,
+      },
+    };
+  },
+};
+
+/**
+ * The options of the character generation.
+ * @typedef {Object} ChargenOptions
+ * @property {import("./spell.mjs").Spell[]} [spells] The spell catalogue the
+ * apprentices learn their spells from.
+ */
+
+/**
+ * Get the state of a draft by replaying its steps.
+ * @param {ChargenDraft} draft The draft.
+ * @param {ChargenOptions} [options] The options of the generation.
+ * @param {number} [until] The number of the replayed steps. Defaults to all
+ * completed steps.
+ * @returns {ChargenState} The state after the replayed steps.
+ * @throws {ChargenError} A step of the draft was invalid.
+ */
+export function replayDraft(draft, options = {}, until = CHARGEN_STEPS.length) {
+  /** @type {ChargenState} */
+  let state = { budgets: {}, next: "concept" };
+  for (const step of CHARGEN_STEPS.slice(0, until)) {
+    if (!(step in (draft.steps ?? {}))) {
+      break;
+    }
+    const { character, budget } = STEPS[step](
+      state,
+      draft.steps[step],
+      options
+    );
+    const steps = chargenSteps(character.type);
+    state = {
+      concept: step === "concept" ? draft.steps.concept : state.concept,
+      character,
+      budgets: { ...state.budgets, ...(budget ? { [step]: budget } : {}) },
+      next: steps[steps.indexOf(step) + 1] ?? null,
+    };
+  }
+  return state;
+}
+
+/**
+ * Complete a step of a draft. The previous steps must be complete, and the later
+ * steps are discarded.
+ * @param {ChargenDraft} draft The draft.
+ * @param {string} step The completed step.
+ * @param {any} input The input of the step.
+ * @param {ChargenOptions} [options] The options of the generation.
+ * @returns {{draft: ChargenDraft, state: ChargenState}} The changed draft and its
+ * state.
+ * @throws {ChargenError} The step was unknown, out of order or invalid.
+ */
+export function completeStep(draft, step, input, options = {}) {
+  const index = CHARGEN_STEPS.indexOf(step);
+  if (index < 0) {
+    throw new ChargenError(`Unknown step ${step}`, [
+      {
+        path: "$.step",
+        message: `Step must be one of ${CHARGEN_STEPS.join(", ")}`,
+      },
+    ]);
+  }
+  const previous = replayDraft(draft, options, index);
+  if (previous.next !== step) {
+    throw new ChargenError(`Step ${step} is out of order`, [
+      {
+        path: "$.step",
+        message:
+          previous.next === null
+            ? `A ${previous.character.type} has no step ${step}`
+            : `Complete the step ${previous.next} first`,
+      },
+    ]);
+  }
+  const changed = {
+    ...draft,
+    steps: {
+      ...Object.fromEntries(
+        CHARGEN_STEPS.slice(0, index).map((name) => [name, draft.steps[name]])
+      ),
+      [step]: input,
+    },
+  };
+  return { draft: changed, state: replayDraft(changed, options) };
+}
+
+/**
+ * Create the character of a complete draft.
+ * @param {ChargenDraft} draft The draft.
+ * @param {ChargenOptions} [options] The options of the generation.
+ * @returns {import("./character.mjs").Character} The generated character.
+ * @throws {ChargenError} The draft was incomplete or the character invalid.
+ */
+export function finishDraft(draft, options = {}) {
+  const { character, next } = replayDraft(draft, options);
+  if (next !== null) {
+    throw new ChargenError("The character generation is incomplete", [
+      { path: "$.steps", message: `Complete the step ${next} first` },
+    ]);
+  }
+  rejectIssues("final", [
+    ...validateCharacter(character),
+    ...validateVirtuePackage(character),
+  ]);
+  return character;
+}
@@ -0,0 +1,902 @@
+/**
+ * The combat of the characters.
+ *
+ * The combat totals add the characteristics, the combat ability and the equipment of
+ * a character. An attack rolls a stress die for the Attack Total and for the Defense
+ * Total. The attack hits when the Attack Total exceeds the Defense Total, and the
+ * difference adds to the Damage Total. The damage exceeding the Soak Total inflicts a
+ * wound, whose level grows by one for every 5 points of the excess. The wounds and
+ * the Fatigue levels lost penalize the totals until the character is incapacitated,
+ * unconscious or dead.
+ *
+ * An encounter runs in rounds. Every round starts with the initiative rolls ordering
+ * the combatants able to act, after which every combatant acts once. The actions are
+ * recorded in the log of the encounter with the seeds of their dice, so that every
+ * roll can be replayed.
+ * @module model/combat
+ */
+
+import { abilityLevel, levelForXp } from "./character.mjs";
+import { createRandom, createSeed, isSeed, stressDie } from "./dice.mjs";
+import { bondBonuses } from "./familiar.mjs";
+import { traitBonuses, virtueModifiers } from "./virtue.mjs";
+
+/**
+ * The abilities used in combat.
+ * @type {Readonly<string[]>}
+ */
+export const COMBAT_ABILITIES = Object.freeze([
+  "Brawl",
+  "Single Weapon",
+  "Great Weapon",
+  "Bows",
+  "Thrown Weapon",
+]);
+
+/**
+ * The statistics of a weapon.
+ * @typedef {Object} Weapon
+ * @property {string} ability The combat ability of the weapon.
+ * @property {number} initiative The Initiative modifier.
+ * @property {number} attack The Attack modifier.
+ * @property {number} defense The Defense modifier.
+ * @property {number} damage The Damage modifier.
+ * @property {number} load The Load of the weapon.
+ */
+
+/**
+ * Create the statistics of a weapon.
+ * @param {string} ability The combat ability of the weapon.
+ * @param {number[]} modifiers The Initiative, Attack, Defense and Damage modifiers,
+ * and the Load.
+ * @returns {Readonly<Weapon>} The weapon.
+ */
+function weapon(ability, [initiative, attack, defense, damage, load]) {
+  return Object.freeze({ ability, initiative, attack, defense, damage, load });
+}
+
+/**
+ * The weapons by their names.
+ * @type {Readonly<Record<string, Readonly<Weapon>>>}
+ */
+export const WEAPONS = Object.freeze({
+  Fist: weapon("Brawl", [0, 0, 0, 0, 0]),
+  Dagger: weapon("Brawl", [0, 2, 0, 3, 0]),
+  Knife: weapon("Brawl", [0, 1, 0, 2, 0]),
+  Axe: weapon("Single Weapon", [1, 4, 0, 6, 1]),
+  Club: weapon("Single Weapon", [1, 2, 1, 2, 1]),
+  Mace: weapon("Single Weapon", [0, 4, 1, 8, 1]),
+  "Short Spear": weapon("Single Weapon", [2, 2, 0, 5, 1]),
+  "Short Sword": weapon("Single Weapon", [1, 3, 1, 5, 1]),
+  "Long Sword": weapon("Single Weapon", [2, 4, 1, 6, 1]),
+  "Great Axe": weapon("Great Weapon", [1, 6, 0, 12, 2]),
+  "Great Sword": weapon("Great Weapon", [1, 5, 1, 10, 2]),
+  "Long Spear": weapon("Great Weapon", [3, 2, 2, 7, 2]),
+  Quarterstaff: weapon("Great Weapon", [2, 3, 3, 3, 2]),
+  "Short Bow": weapon("Bows", [-1, 4, 0, 6, 1]),
+  "Long Bow": weapon("Bows", [-2, 8, 0, 8, 1]),
+  Javelin: weapon("Thrown Weapon", [0, 3, 0, 5, 1]),
+  Sling: weapon("Thrown Weapon", [-3, 1, 0, 4, 0]),
+});
+
+/**
+ * The statistics of a shield.
+ * @typedef {Object} Shield
+ * @property {number} defense The Defense modifier.
+ * @property {number} load The Load of the shield.
+ */
+
+/**
+ * The shields by their names. A shield is used with a single weapon.
+ * @type {Readonly<Record<string, Readonly<Shield>>>}
+ */
+export const SHIELDS = Object.freeze({
+  Buckler: Object.freeze({ defense: 1, load: 0 }),
+  "Round Shield": Object.freeze({ defense: 2, load: 1 }),
+  "Heater Shield": Object.freeze({ defense: 3, load: 2 }),
+});
+
+/**
+ * The coverages of the armor.
+ * @type {Readonly<string[]>}
+ */
+export const ARMOR_COVERAGES = Object.freeze(["partial", "full"]);
+
+/**
+ * The Protection and the Load of an armor.
+ * @typedef {Object} ArmorStatistics
+ * @property {number} protection The Protection added to the Soak.
+ * @property {number} load The Load of the armor.
+ */
+
+/**
+ * Create the statistics of an armor.
+ * @param {number[]} partial The Protection and the Load of the partial armor.
+ * @param {number[]} full The Protection and the Load of the full armor.
+ * @returns {Readonly<Record<string, Readonly<ArmorStatistics>>>} The statistics of
+ * the coverages of the armor.
+ */
+function armor([partialProtection, partialLoad], [fullProtection, fullLoad]) {
+  return Object.freeze({
+    partial: Object.freeze({
+      protection: partialProtection,
+      load: partialLoad,
+    }),
+    full: Object.freeze({ protection: fullProtection, load: fullLoad }),
+  });
+}
+
+/**
+ * The armors by their names.
+ * @type {Readonly<Record<string, Readonly<Record<string, Readonly<ArmorStatistics>>>>>}
+ */
+export const ARMOR = Object.freeze({
+  "Quilted/Fur": armor([1, 1], [2, 2]),
+  "Heavy Leather": armor([2, 2], [3, 3]),
+  "Metal Reinforced Leather": armor([2, 2], [4, 3]),
+  "Leather Scale": armor([3, 3], [5, 4]),
+  "Metal Scale": armor([4, 4], [7, 6]),
+  "Chain Mail": armor([6, 4], [9, 6]),
+});
+
+/**
+ * The wound levels from the lightest to death.
+ * @type {Readonly<string[]>}
+ */
+export const WOUND_LEVELS = Object.freeze([
+  "Light",
+  "Medium",
+  "Heavy",
+  "Incapacitating",
+  "Dead",
+]);
+
+/**
+ * The penalties of a wound of the wound levels a character still acts with.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const WOUND_PENALTIES = Object.freeze({
+  Light: -1,
+  Medium: -3,
+  Heavy: -5,
+});
+
+/**
+ * The size of a wound level range of a character of size zero.
+ * @type {number}
+ */
+export const WOUND_RANGE = 5;
+
+/**
+ * The Fatigue levels from the rested to the unconscious.
+ * @type {Readonly<string[]>}
+ */
+export const FATIGUE_LEVELS = Object.freeze([
+  "Fresh",
+  "Winded",
+  "Weary",
+  "Tired",
+  "Dazed",
+  "Unconscious",
+]);
+
+/**
+ * The penalties of the Fatigue levels a character still acts with.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const FATIGUE_PENALTIES = Object.freeze({
+  Fresh: 0,
+  Winded: 0,
+  Weary: -1,
+  Tired: -3,
+  Dazed: -5,
+});
+
+/**
+ * The types of the actions of an encounter.
+ * @type {Readonly<string[]>}
+ */
+export const ACTION_TYPES = Object.freeze(["attack", "fatigue"]);
+
+/**
+ * The equipment of a combatant.
+ * @typedef {Object} Equipment
+ * @property {string} weapon The name of the weapon.
+ * @property {string} [shield] The name of the shield.
+ * @property {string} [armor] The name of the armor.
+ * @property {"partial"|"full"} [coverage="full"] The coverage of the armor.
+ */
+
+/**
+ * The state of a combatant in combat.
+ * @typedef {Object} CombatState
+ * @property {Record<string, number>} [wounds] The number of the wounds by the wound
+ * level.
+ * @property {string} [fatigue="Fresh"] The Fatigue level.
+ */
+
+/**
+ * A character in combat.
+ * @typedef {CombatState & FighterProperties} Fighter
+ */
+
+/**
+ * The properties of a character in combat.
+ * @typedef {Object} FighterProperties
+ * @property {import("./character.mjs").Character} character The character.
+ * @property {Equipment} equipment The equipment of the character.
+ */
+
+/**
+ * The combat totals of a character before the die rolls.
+ * @typedef {Object} CombatTotals
+ * @property {import("./lab.mjs").LabTotal} initiative The Initiative Total.
+ * @property {import("./lab.mjs").LabTotal} attack The Attack Total.
+ * @property {import("./lab.mjs").LabTotal} defense The Defense Total.
+ * @property {import("./lab.mjs").LabTotal} damage The Damage Total.
+ * @property {import("./lab.mjs").LabTotal} soak The Soak Total.
+ */
+
+/**
+ * A combatant of an encounter.
+ * @typedef {CombatState & CombatantProperties} Combatant
+ */
+
+/**
+ * The properties of a combatant of an encounter.
+ * @typedef {Object} CombatantProperties
+ * @property {string} character The identifier of the character.
+ * @property {string} [side] The side of the combatant.
+ * @property {Equipment} equipment The equipment of the combatant.
+ */
+
+/**
+ * An encounter.
+ * @typedef {Object} Encounter
+ * @property {string} [id] The identifier of the encounter.
+ * @property {string} name The name of the encounter.
+ * @property {Combatant[]} combatants The combatants.
+ * @property {number} [round=0] The current round. Zero before the first round.
+ * @property {string[]} [order] The characters acting in the current round in the
+ * order of their initiative.
+ * @property {string[]} [acted] The characters who have acted in the current round.
+ * @property {Object[]} [log] The log of the actions.
+ * @property {string} [saga] The identifier of the saga owning the encounter.
+ */
+
+/**
+ * An action of an encounter.
+ * @typedef {Object} EncounterAction
+ * @property {"attack"|"fatigue"} type The type of the action.
+ * @property {string} actor The character acting.
+ * @property {string} [target] The character attacked.
+ * @property {number} [levels=1] The Fatigue levels lost, or recovered when negative.
+ * @property {number} [seed] The seed of the dice of an attack.
+ */
+
+/**
+ * The error indicating an invalid combat.
+ */
+export class CombatError extends RangeError {
+  /**
+   * Create a new combat error.
+   * @param {string} message The message of the error.
+   * @param {import("./character.mjs").ValidationIssue[]} [issues] The issues of the
+   * combat.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The issues of the combat.
+     * @type {import("./character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Validate the equipment of a combatant.
+ * @param {any} equipment The equipment.
+ * @param {string} [path="$"] The JSON path of the equipment.
+ * @returns {import("./character.mjs").ValidationIssue[]} The issues of the
+ * equipment.
+ */
+export function validateEquipment(equipment, path = "$") {
+  if (typeof equipment !== "object" || equipment === null) {
+    return [{ path, message: "Equipment must be an object" }];
+  }
+  const issues = [];
+  const { weapon, shield, armor, coverage } = equipment;
+  if (!Object.hasOwn(WEAPONS, weapon)) {
+    issues.push({
+      path: `${path}.weapon`,
+      message: `Weapon must be one of ${Object.keys(WEAPONS).join(", ")}`,
+    });
+  }
+  if (shield !== undefined) {
+    if (!Object.hasOwn(SHIELDS, shield)) {
+      issues.push({
+        path: `${path}.shield`,
+        message: `Shield must be one of ${Object.keys(SHIELDS).join(", ")}`,
+      });
+    } else if (WEAPONS[weapon]?.ability !== "Single Weapon") {
+      issues.push({
+        path: `${path}.shield`,
+        message: "A shield is used with a single weapon",
+      });
+    }
+  }
+  if (armor !== undefined && !Object.hasOwn(ARMOR, armor)) {
+    issues.push({
+      path: `${path}.armor`,
+      message: `Armor must be one of ${Object.keys(ARMOR).join(", ")}`,
+    });
+  }
+  if (coverage !== undefined && !ARMOR_COVERAGES.includes(coverage)) {
+    issues.push({
+      path: `${path}.coverage`,
+      message: `Coverage must be one of ${ARMOR_COVERAGES.join(", ")}`,
+    });
+  } else if (coverage !== undefined && armor === undefined) {
+    issues.push({
+      path: `${path}.coverage`,
+      message: "Coverage requires an armor",
+    });
+  }
+  return issues;
+}
+
+/**
+ * Validate the state of a combatant.
+ * @param {any} state The state.
+ * @param {string} path The JSON path of the state.
+ * @returns {import("./character.mjs").ValidationIssue[]} The issues of the state.
+ */
+function validateCombatState({ wounds, fatigue }, path) {
+  const issues = [];
+  if (wounds !== undefined) {
+    if (
+      typeof wounds !== "object" ||
+      wounds === null ||
+      !Object.entries(wounds).every(
+        ([level, count]) =>
+          WOUND_LEVELS.includes(level) && Number.isInteger(count) && count >= 0
+      )
+    ) {
+      issues.push({
+        path: `${path}.wounds`,
+        message: `Wounds must map the wound levels ${WOUND_LEVELS.join(
+          ", "
+        )} to their counts`,
+      });
+    }
+  }
+  if (fatigue !== undefined && !FATIGUE_LEVELS.includes(fatigue)) {
+    issues.push({
+      path: `${path}.fatigue`,
+      message: `Fatigue must be one of ${FATIGUE_LEVELS.join(", ")}`,
+    });
+  }
+  return issues;
+}
+
+/**
+ * Validate an encounter.
+ * @param {any} encounter The encounter.
+ * @returns {import("./character.mjs").ValidationIssue[]} The issues of the
+ * encounter.
+ */
+export function validateEncounter(encounter) {
+  if (typeof encounter !== "object" || encounter === null) {
+    return [{ path: "$", message: "Encounter must be an object" }];
+  }
+  const issues = [];
+  if (typeof encounter.name !== "string" || encounter.name.trim() === "") {
+    issues.push({ path: "$.name", message: "Name is required" });
+  }
+  if (!Array.isArray(encounter.combatants)) {
+    issues.push({
+      path: "$.combatants",
+      message: "Combatants must be an array",
+    });
+    return issues;
+  }
+  const characters = new Set();
+  encounter.combatants.forEach((combatant, index) => {
+    const path = `$.combatants[${index}]`;
+    if (typeof combatant !== "object" || combatant === null) {
+      issues.push({ path, message: "Combatant must be an object" });
+      return;
+    }
+    if (typeof combatant.character !== "string") {
+      issues.push({
+        path: `${path}.character`,
+        message: "Character is required",
+      });
+    } else if (characters.has(combatant.character)) {
+      issues.push({
+        path: `${path}.character`,
+        message: `The character ${combatant.character} already fights in the encounter`,
+      });
+    }
+    characters.add(combatant.character);
+    if (combatant.side !== undefined && typeof combatant.side !== "string") {
+      issues.push({ path: `${path}.side`, message: "Side must be a string" });
+    }
+    issues.push(
+      ...validateEquipment(combatant.equipment, `${path}.equipment`),
+      ...validateCombatState(combatant, path)
+    );
+  });
+  return issues;
+}
+
+/**
+ * Normalize a valid encounter by adding the initial state of the combat.
+ * @param {Encounter} encounter The valid encounter.
+ * @returns {Encounter} The encounter with the round, the log, and the wounds and the
+ * Fatigue of the combatants.
+ */
+export function normalizeEncounter(encounter) {
+  return {
+    ...encounter,
+    round: encounter.round ?? 0,
+    log: encounter.log ?? [],
+    combatants: encounter.combatants.map((combatant) => ({
+      ...combatant,
+      wounds: combatant.wounds ?? {},
+      fatigue: combatant.fatigue ?? FATIGUE_LEVELS[0],
+    })),
+  };
+}
+
+/**
+ * Get the wound level of the damage exceeding the Soak.
+ * @param {number} excess The damage exceeding the Soak Total.
+ * @param {number} [size=0] The Size of the character.
+ * @returns {string|undefined} The wound level, or undefined, if the damage does not
+ * exceed the Soak.
+ */
+export function woundLevel(excess, size = 0) {
+  if (excess <= 0) {
+    return undefined;
+  }
+  const range = Math.max(WOUND_RANGE + size, 1);
+  return WOUND_LEVELS[
+    Math.min(Math.ceil(excess / range) - 1, WOUND_LEVELS.length - 1)
+  ];
+}
+
+/**
+ * Get the penalty of the wounds and the Fatigue of a character.
+ * @param {CombatState} state The state of the character.
+ * @returns {{wounds: number, fatigue: number}} The penalty of the wounds and the
+ * penalty of the Fatigue.
+ */
+export function combatPenalties({ wounds = {}, fatigue = "Fresh" }) {
+  return {
+    wounds: Object.entries(WOUND_PENALTIES).reduce(
+      (total, [level, penalty]) => total + (wounds[level] ?? 0) * penalty,
+      0
+    ),
+    fatigue: FATIGUE_PENALTIES[fatigue] ?? 0,
+  };
+}
+
+/**
+ * Get the condition of a character in combat.
+ * @param {CombatState} state The state of the character.
+ * @returns {"active"|"unconscious"|"incapacitated"|"dead"} The condition. Only the
+ * active characters act.
+ */
+export function combatCondition({ wounds = {}, fatigue = "Fresh" }) {
+  if ((wounds.Dead ?? 0) > 0) {
+    return "dead";
+  }
+  if ((wounds.Incapacitating ?? 0) > 0) {
+    return "incapacitated";
+  }
+  return fatigue === "Unconscious" ? "unconscious" : "active";
+}
+
+/**
+ * Lose or recover Fatigue levels.
+ * @param {string} fatigue The current Fatigue level.
+ * @param {number} levels The levels lost, or recovered when negative.
+ * @returns {string} The new Fatigue level.
+ */
+export function changeFatigue(fatigue, levels) {
+  const index = Math.max(FATIGUE_LEVELS.indexOf(fatigue), 0) + levels;
+  return FATIGUE_LEVELS[
+    Math.min(Math.max(index, 0), FATIGUE_LEVELS.length - 1)
+  ];
+}
+
+/**
+ * Get the Encumbrance of a character carrying an equipment. The Burden of the Load
+ * grows like an ability score from experience, and the Strength carries the Burden
+ * up to its score.
+ * @param {import("./character.mjs").Character} character The character.
+ * @param {Equipment} equipment The equipment.
+ * @returns {number} The Encumbrance.
+ */
+export function encumbrance(character, { weapon, shield, armor, coverage }) {
+  const load =
+    (WEAPONS[weapon]?.load ?? 0) +
+    (SHIELDS[shield]?.load ?? 0) +
+    (ARMOR[armor]?.[coverage ?? "full"]?.load ?? 0);
+  const burden = levelForXp(load);
+  return Math.max(burden - (character.characteristics?.Str ?? 0), 0);
+}
+
+/**
+ * Sum the parts of a total.
+ * @param {import("./lab.mjs").Modifier[]} breakdown The parts of the total.
+ * @returns {import("./lab.mjs").LabTotal} The total with its breakdown.
+ */
+function total(breakdown) {
+  return {
+    total: breakdown.reduce((sum, { value }) => sum + value, 0),
+    breakdown,
+  };
+}
+
+/**
+ * Compute the combat totals of a character before the die rolls. The wounds and the
+ * Fatigue penalize the Initiative, the Attack and the Defense, and the Encumbrance
+ * penalizes the Initiative. The Puissant Virtues of the combat ability add to the
+ * Attack and the Defense, and Tough and the Bronze cord of the bond with the
+ * familiar add to the Soak.
+ * @param {Fighter} fighter The character in combat.
+ * @returns {CombatTotals} The combat totals.
+ * @throws {CombatError} The equipment was invalid.
+ */
+export function combatTotals({ character, equipment, ...state }) {
+  const issues = validateEquipment(equipment, "$.equipment");
+  if (issues.length > 0) {
+    throw new CombatError("Invalid equipment", issues);
+  }
+  const used = WEAPONS[equipment.weapon];
+  const shield = SHIELDS[equipment.shield];
+  const armor = ARMOR[equipment.armor]?.[equipment.coverage ?? "full"];
+  const {
+    Str = 0,
+    Sta = 0,
+    Dex = 0,
+    Qik = 0,
+  } = character.characteristics ?? {};
+  const ability = [
+    { name: used.ability, value: abilityLevel(character, used.ability) },
+    ...traitBonuses(character, [["ability", used.ability]]),
+  ];
+  const penalties = combatPenalties(state);
+  const conditions = [
+    { name: "Wounds", value: penalties.wounds },
+    { name: "Fatigue", value: penalties.fatigue },
+  ];
+  return {
+    initiative: total([
+      { name: "Quickness", value: Qik },
+      { name: equipment.weapon, value: used.initiative },
+      { name: "Encumbrance", value: -encumbrance(character, equipment) },
+      ...conditions,
+    ]),
+    attack: total([
+      { name: "Dexterity", value: Dex },
+      ...ability,
+      { name: equipment.weapon, value: used.attack },
+      ...conditions,
+    ]),
+    defense: total([
+      { name: "Quickness", value: Qik },
+      ...ability,
+      { name: equipment.weapon, value: used.defense },
+      ...(shield === undefined
+        ? []
+        : [{ name: equipment.shield, value: shield.defense }]),
+      ...conditions,
+    ]),
+    damage: total([
+      { name: "Strength", value: Str },
+      { name: equipment.weapon, value: used.damage },
+    ]),
+    soak: total([
+      { name: "Stamina", value: Sta },
+      ...(armor === undefined
+        ? []
+        : [{ name: equipment.armor, value: armor.protection }]),
+      ...virtueModifiers(character, "soak").map(({ definition, modifier }) => ({
+        name: definition.name,
+        value: modifier.value,
+      })),
+      ...bondBonuses(character, "soak"),
+    ]),
+  };
+}
+
+/**
+ * Roll a combat total.
+ * @param {() => number} random The random number generator.
+ * @param {import("./lab.mjs").LabTotal} rolled The total before the roll.
+ * @returns {import("./dice.mjs").DieResult & {total: number}} The die and the rolled
+ * total. A botched roll totals zero.
+ */
+function rollTotal(random, rolled) {
+  const die = stressDie(random);
+  return { ...die, total: die.botched ? 0 : rolled.total + die.value };
+}
+
+/**
+ * Resolve an attack. The attacker and the defender roll a stress die each.
+ * @param {Fighter} attacker The attacker.
+ * @param {Fighter} defender The defender.
+ * @param {number} [seed] The seed of the dice. Defaults to a random seed.
+ * @returns {Object} The attack with the seed, the rolled totals, and the damage,
+ * the Soak and the wound of a hit.
+ * @throws {CombatError} The seed or the equipment was invalid.
+ */
+export function resolveAttack(attacker, defender, seed = createSeed()) {
+  if (!isSeed(seed)) {
+    throw new CombatError(`Invalid seed ${seed}`, [
+      { path: "$.seed", message: "Seed must be an unsigned 32 bit integer" },
+    ]);
+  }
+  const random = createRandom(seed);
+  const offense = combatTotals(attacker);
+  const defense = combatTotals(defender);
+  const attackRoll = rollTotal(random, offense.attack);
+  const defenseRoll = rollTotal(random, defense.defense);
+  const advantage = attackRoll.total - defenseRoll.total;
+  const result = {
+    seed,
+    attack: attackRoll,
+    defense: defenseRoll,
+    advantage,
+    hit: !attackRoll.botched && advantage > 0,
+  };
+  if (!result.hit) {
+    return result;
+  }
+  const damage = total([
+    ...offense.damage.breakdown,
+    { name: "Attack Advantage", value: advantage },
+  ]);
+  const excess = damage.total - defense.soak.total;
+  const wound = woundLevel(excess);
+  return {
+    ...result,
+    damage,
+    soak: defense.soak,
+    excess,
+    ...(wound === undefined ? {} : { wound }),
+  };
+}
+
+/**
+ * Roll the initiative of the round. Only the active combatants roll, and the ties are
+ * broken by the Quickness and then by the order of the combatants.
+ * @param {Fighter[]} fighters The combatants.
+ * @param {number} [seed] The seed of the dice. Defaults to a random seed.
+ * @returns {{seed: number, rolls: Object[], order: number[]}} The rolls and the
+ * indices of the fighters acting in the order of the initiative.
+ * @throws {CombatError} The seed or the equipment was invalid.
+ */
+export function rollInitiative(fighters, seed = createSeed()) {
+  if (!isSeed(seed)) {
+    throw new CombatError(`Invalid seed ${seed}`, [
+      { path: "$.seed", message: "Seed must be an unsigned 32 bit integer" },
+    ]);
+  }
+  const random = createRandom(seed);
+  const rolls = fighters.flatMap((fighter, index) => {
+    if (combatCondition(fighter) !== "active") {
+      return [];
+    }
+    const die = stressDie(random, 0);
+    return [
+      {
+        index,
+        dice: die.dice,
+        total: combatTotals(fighter).initiative.total + die.value,
+      },
+    ];
+  });
+  const quickness = (index) =>
+    fighters[index].character.characteristics?.Qik ?? 0;
+  const order = rolls
+    .map(({ index, total }) => ({ index, total }))
+    .sort(
+      (a, b) =>
+        b.total - a.total ||
+        quickness(b.index) - quickness(a.index) ||
+        a.index - b.index
+    )
+    .map(({ index }) => index);
+  return { seed, rolls, order };
+}
+
+/**
+ * Get the fighters of an encounter.
+ * @param {Encounter} encounter The encounter.
+ * @param {Map<string, import("./character.mjs").Character>} characters The
+ * characters of the combatants by their identifiers.
+ * @returns {Fighter[]} The fighters in the order of the combatants.
+ */
+function fighters(encounter, characters) {
+  return encounter.combatants.map((combatant) => ({
+    ...combatant,
+    character: characters.get(combatant.character),
+  }));
+}
+
+/**
+ * Start the next round of an encounter.
+ * @param {Encounter} encounter The encounter.
+ * @param {Map<string, import("./character.mjs").Character>} characters The
+ * characters of the combatants by their identifiers.
+ * @param {number} [seed] The seed of the initiative dice.
+ * @returns {{encounter: Encounter, action: Object}} The encounter in the new round,
+ * and the initiative action appended to its log.
+ * @throws {CombatError} The seed was invalid.
+ */
+export function startRound(encounter, characters, seed = createSeed()) {
+  const { rolls, order } = rollInitiative(
+    fighters(encounter, characters),
+    seed
+  );
+  const round = (encounter.round ?? 0) + 1;
+  const action = {
+    round,
+    type: "initiative",
+    seed,
+    rolls: rolls.map(({ index, ...roll }) => ({
+      character: encounter.combatants[index].character,
+      ...roll,
+    })),
+  };
+  return {
+    encounter: {
+      ...encounter,
+      round,
+      order: order.map((index) => encounter.combatants[index].character),
+      acted: [],
+      log: [...(encounter.log ?? []), action],
+    },
+    action,
+  };
+}
+
+/**
+ * Find a combatant of an encounter.
+ * @param {Encounter} encounter The encounter.
+ * @param {any} character The identifier of the character.
+ * @param {string} path The JSON path of the reference.
+ * @returns {number} The index of the combatant.
+ * @throws {CombatError} The character does not fight in the encounter.
+ */
+function combatantIndex(encounter, character, path) {
+  const index = encounter.combatants.findIndex(
+    (combatant) => combatant.character === character
+  );
+  if (index < 0) {
+    throw new CombatError(`No combatant ${character}`, [
+      {
+        path,
+        message: `The character ${character} does not fight in the encounter`,
+      },
+    ]);
+  }
+  return index;
+}
+
+/**
+ * Perform an action of an encounter. An attack is the action of the attacker in the
+ * round, and requires the attacker to be active. Losing or recovering Fatigue is not
+ * an action of the round.
+ * @param {Encounter} encounter The encounter.
+ * @param {Map<string, import("./character.mjs").Character>} characters The
+ * characters of the combatants by their identifiers.
+ * @param {EncounterAction} request The action.
+ * @returns {{encounter: Encounter, action: Object}} The changed encounter, and the
+ * action appended to its log.
+ * @throws {CombatError} The action was invalid.
+ */
+export function performAction(encounter, characters, request) {
+  const { type, actor, target, levels = 1, seed = createSeed() } = request;
+  if (!ACTION_TYPES.includes(type)) {
+    throw new CombatError(`Unknown action ${type}`, [
+      {
+        path: "$.type",
+        message: `Type must be one of ${ACTION_TYPES.join(", ")}`,
+      },
+    ]);
+  }
+  const round = encounter.round ?? 0;
+  const actorIndex = combatantIndex(encounter, actor, "$.actor");
+  const combatants = [...encounter.combatants];
+  /** @type {Object} */
+  let action;
+  if (type === "fatigue") {
+    if (!Number.isInteger(levels) || levels === 0) {
+      throw new CombatError("Invalid Fatigue levels", [
+        { path: "$.levels", message: "Levels must be a non-zero integer" },
+      ]);
+    }
+    const from = combatants[actorIndex].fatigue ?? FATIGUE_LEVELS[0];
+    const to = changeFatigue(from, levels);
+    combatants[actorIndex] = { ...combatants[actorIndex], fatigue: to };
+    action = { round, type, actor, levels, from, to };
+  } else {
+    const targetIndex = combatantIndex(encounter, target, "$.target");
+    const condition = combatCondition(combatants[actorIndex]);
+    const issues = [];
+    if (round === 0) {
+      issues.push({
+        path: "$.type",
+        message: "Start a round before attacking",
+      });
+    } else if (condition !== "active") {
+      issues.push({
+        path: "$.actor",
+        message: `The character ${actor} is ${condition}`,
+      });
+    } else if (!(encounter.order ?? []).includes(actor)) {
+      issues.push({
+        path: "$.actor",
+        message: `The character ${actor} does not act in round ${round}`,
+      });
+    } else if ((encounter.acted ?? []).includes(actor)) {
+      issues.push({
+        path: "$.actor",
+        message: `The character ${actor} has already acted in round ${round}`,
+      });
+    }
+    if (targetIndex === actorIndex) {
+      issues.push({
+        path: "$.target",
+        message: "A character does not attack itself",
+      });
+    } else if (combatCondition(combatants[targetIndex]) === "dead") {
+      issues.push({
+        path: "$.target",
+        message: `The character ${target} is dead`,
+      });
+    }
+    if (issues.length > 0) {
+      throw new CombatError("Invalid attack", issues);
+    }
+    const [attacker, defender] = [actorIndex, targetIndex].map((index) => ({
+      ...combatants[index],
+      character: characters.get(combatants[index].character),
+    }));
+    const attack = resolveAttack(attacker, defender, seed);
+    if (attack.wound !== undefined) {
+      const { wounds = {} } = combatants[targetIndex];
+      combatants[targetIndex] = {
+        ...combatants[targetIndex],
+        wounds: { ...wounds, [attack.wound]: (wounds[attack.wound] ?? 0) + 1 },
+      };
+    }
+    action = {
+      round,
+      type,
+      actor,
+      target,
+      ...attack,
+      condition: combatCondition(combatants[targetIndex]),
+    };
+  }
+  return {
+    encounter: {
+      ...encounter,
+      combatants,
+      ...(type === "attack"
+        ? { acted: [...(encounter.acted ?? []), actor] }
+        : {}),
+      log: [...(encounter.log ?? []), action],
+    },
+    action,
+  };
+}
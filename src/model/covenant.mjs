@@ -0,0 +1,566 @@
+/**
+ * The covenant model of the server.
+ *
+ * A covenant owns resources: vis sources and stocks, the library, the laboratories,
+ * the buildings, the income sources and the expenditures. The resources of a kind
+ * are identified by their identity properties compared with the equality helpers of
+ * the ArM5 Tools covenant utilities.
+ * @module model/covenant
+ */
+
+import { SameValueZeroEquality } from "../arm5tools/utils_covenant.mjs";
+import { ARTS } from "./character.mjs";
+
+/**
+ * An equality of two values.
+ * @callback Equality
+ * @param {any} a The first compared value.
+ * @param {any} b The second compared value.
+ * @returns {boolean} True, if and only if the values are equal.
+ */
+
+/**
+ * The seasons of the year.
+ * @type {Readonly<string[]>}
+ */
+export const SEASONS = Object.freeze(["spring", "summer", "autumn", "winter"]);
+
+/**
+ * The library entry types.
+ * @type {Readonly<string[]>}
+ */
+export const BOOK_TYPES = Object.freeze([
+  "summa",
+  "tractatus",
+  "labText",
+  "rootText",
+]);
+
+/**
+ * The expenditure categories of the covenant finances.
+ * @type {Readonly<string[]>}
+ */
+export const EXPENDITURE_CATEGORIES = Object.freeze([
+  "buildings",
+  "consumables",
+  "inhabitants",
+  "laboratories",
+  "provisions",
+  "tithes",
+  "wages",
+  "writing",
+  "other",
+]);
+
+/**
+ * A vis source of a covenant.
+ * @typedef {Object} VisSource
+ * @property {string} name The name of the source.
+ * @property {string} art The Art of the vis.
+ * @property {number} pawns The pawns harvested yearly.
+ * @property {string} [season] The season of the harvest.
+ */
+
+/**
+ * A stock of raw vis.
+ * @typedef {Object} VisStock
+ * @property {string} art The Art of the vis.
+ * @property {number} pawns The pawns stored.
+ */
+
+/**
+ * A book of the covenant library.
+ * @typedef {Object} Book
+ * @property {string} title The title of the book.
+ * @property {"summa"|"tractatus"|"labText"|"rootText"} type The type of the book.
+ * @property {string} subject The ability, Art or spell the book is about.
+ * @property {number} [level] The level of a summa.
+ * @property {number} [quality] The quality of a summa or tractatus.
+ * @property {string} [author] The author of the book.
+ */
+
+/**
+ * A laboratory of the covenant.
+ * @typedef {Object} Laboratory
+ * @property {string} name The name of the laboratory.
+ * @property {string} [owner] The identifier of the magus owning the laboratory.
+ * @property {number} [size] The size of the laboratory.
+ * @property {number} [upkeep] The yearly upkeep in Mythic Pounds.
+ */
+
+/**
+ * A building of the covenant.
+ * @typedef {Object} Building
+ * @property {string} name The name of the building.
+ * @property {number} [upkeep] The yearly upkeep in Mythic Pounds.
+ */
+
+/**
+ * An income source of the covenant.
+ * @typedef {Object} IncomeSource
+ * @property {string} name The name of the income source.
+ * @property {number} income The yearly income in Mythic Pounds.
+ */
+
+/**
+ * An expenditure of the covenant.
+ * @typedef {Object} Expenditure
+ * @property {string} name The name of the expenditure.
+ * @property {string} category The expenditure category.
+ * @property {number} cost The yearly cost in Mythic Pounds.
+ */
+
+/**
+ * The loyalty of the covenfolk.
+ * @typedef {Object} Loyalty
+ * @property {number} points The loyalty points.
+ * @property {{name: string, value: number}[]} [modifiers] The modifiers of the
+ * loyalty.
+ */
+
+/**
+ * A covenant document.
+ * @typedef {Object} Covenant
+ * @property {string} [id] The identifier of the covenant.
+ * @property {string} name The name of the covenant.
+ * @property {string} [tribunal] The tribunal of the covenant.
+ * @property {number} founded The year the covenant was founded.
+ * @property {number} [aura] The magical aura of the covenant.
+ * @property {number} [treasury] The Mythic Pounds in the treasury.
+ * @property {number} [inflation] The yearly inflation rate of the costs as a
+ * fraction.
+ * @property {VisSource[]} [visSources] The vis sources.
+ * @property {VisStock[]} [visStocks] The stocks of raw vis.
+ * @property {Book[]} [library] The library contents.
+ * @property {Laboratory[]} [laboratories] The laboratories.
+ * @property {Building[]} [buildings] The buildings.
+ * @property {IncomeSource[]} [incomeSources] The income sources.
+ * @property {Expenditure[]} [expenditures] The expenditures.
+ * @property {Loyalty} [loyalty] The loyalty of the covenfolk.
+ * @property {string} [saga] The identifier of the saga owning the covenant.
+ * @property {boolean} [hidden] Is the covenant hidden from the members who are not
+ * storyguides.
+ * @property {string} [storyguideNotes] The notes only the storyguides see.
+ */
+
+/**
+ * The definition of a resource kind.
+ * @typedef {Object} ResourceKind
+ * @property {string[]} identity The properties identifying a resource.
+ * @property {(resource: any, path: string, issues: import("./character.mjs").ValidationIssue[]) => void} validate
+ * The validator of a resource.
+ * @property {(existing: any, added: any) => any} [merge] The merging of duplicate
+ * resources. Resource kinds without merging reject duplicates.
+ */
+
+/**
+ * Create a validator of a required string property.
+ * @param {string} property The property name.
+ * @returns {(resource: any, path: string, issues: import("./character.mjs").ValidationIssue[]) => void}
+ */
+function requiredString(property) {
+  return (resource, path, issues) => {
+    if (typeof resource[property] !== "string" || resource[property] === "") {
+      issues.push({
+        path: `${path}.${property}`,
+        message: `Property ${property} is required`,
+      });
+    }
+  };
+}
+
+/**
+ * Create a validator of a number property.
+ * @param {string} property The property name.
+ * @param {Object} [options] The options.
+ * @param {boolean} [options.required=false] Is the property required.
+ * @param {boolean} [options.integer=false] Does the property require an integer.
+ * @param {number} [options.min=0] The smallest allowed value.
+ * @returns {(resource: any, path: string, issues: import("./character.mjs").ValidationIssue[]) => void}
+ */
+function numberProperty(
+  property,
+  { required = false, integer = false, min = 0 } = {}
+) {
+  return (resource, path, issues) => {
+    if (!(property in resource)) {
+      if (required) {
+        issues.push({
+          path: `${path}.${property}`,
+          message: `Property ${property} is required`,
+        });
+      }
+      return;
+    }
+    const value = resource[property];
+    if (
+      typeof value !== "number" ||
+      !Number.isFinite(value) ||
+      (integer && !Number.isInteger(value)) ||
+      value < min
+    ) {
+      issues.push({
+        path: `${path}.${property}`,
+        message: `Property ${property} must be ${
+          integer ? "an integer" : "a number"
+        } of at least ${min}`,
+      });
+    }
+  };
+}
+
+/**
+ * Create a validator of an enumerated property.
+ * @param {string} property The property name.
+ * @param {Readonly<string[]>} values The allowed values.
+ * @param {boolean} [required=true] Is the property required.
+ * @returns {(resource: any, path: string, issues: import("./character.mjs").ValidationIssue[]) => void}
+ */
+function oneOf(property, values, required = true) {
+  return (resource, path, issues) => {
+    if (
+      (required || property in resource) &&
+      !values.includes(resource[property])
+    ) {
+      issues.push({
+        path: `${path}.${property}`,
+        message: `Property ${property} must be one of ${values.join(", ")}`,
+      });
+    }
+  };
+}
+
+/**
+ * Combine validators into a single validator.
+ * @param {...((resource: any, path: string, issues: import("./character.mjs").ValidationIssue[]) => void)} validators
+ * @returns {(resource: any, path: string, issues: import("./character.mjs").ValidationIssue[]) => void}
+ */
+function all(...validators) {
+  return (resource, path, issues) =>
+    validators.forEach((validator) => validator(resource, path, issues));
+}
+
+/**
+ * The resource kinds of a covenant by the covenant property holding them.
+ * @type {Readonly<Record<string, ResourceKind>>}
+ */
+export const RESOURCE_KINDS = Object.freeze({
+  visSources: {
+    identity: ["name"],
+    validate: all(
+      requiredString("name"),
+      oneOf("art", ARTS),
+      numberProperty("pawns", { required: true, integer: true }),
+      oneOf("season", SEASONS, false)
+    ),
+  },
+  visStocks: {
+    identity: ["art"],
+    validate: all(
+      oneOf("art", ARTS),
+      numberProperty("pawns", { required: true, integer: true })
+    ),
+    merge: (existing, added) => ({
+      ...existing,
+      pawns: existing.pawns + added.pawns,
+    }),
+  },
+  library: {
+    identity: ["title", "subject"],
+    validate: all(
+      requiredString("title"),
+      requiredString("subject"),
+      oneOf("type", BOOK_TYPES),
+      numberProperty("level", { integer: true }),
+      numberProperty("quality", { integer: true })
+    ),
+  },
+  laboratories: {
+    identity: ["name"],
+    validate: all(
+      requiredString("name"),
+      numberProperty("size", { integer: true, min: -Infinity }),
+      numberProperty("upkeep")
+    ),
+  },
+  buildings: {
+    identity: ["name"],
+    validate: all(requiredString("name"), numberProperty("upkeep")),
+  },
+  incomeSources: {
+    identity: ["name"],
+    validate: all(
+      requiredString("name"),
+      numberProperty("income", { required: true })
+    ),
+  },
+  expenditures: {
+    identity: ["name"],
+    validate: all(
+      requiredString("name"),
+      oneOf("category", EXPENDITURE_CATEGORIES),
+      numberProperty("cost", { required: true })
+    ),
+  },
+});
+
+/**
+ * Test whether two resources of a kind are the same resource.
+ * @param {string} kind The resource kind.
+ * @param {any} a The first resource.
+ * @param {any} b The second resource.
+ * @param {Equality} [equality] The equality of the identity properties. Defaults
+ * to the same value zero equality.
+ * @returns {boolean} True, if and only if the resources have equal identities.
+ * @throws {RangeError} The resource kind is unknown.
+ */
+export function sameResource(kind, a, b, equality = SameValueZeroEquality) {
+  const definition = RESOURCE_KINDS[kind];
+  if (definition === undefined) {
+    throw new RangeError(`Unknown resource kind ${kind}`);
+  }
+  return definition.identity.every((property) =>
+    equality(a[property], b[property])
+  );
+}
+
+/**
+ * Find the index of a resource in a list of resources.
+ * @param {string} kind The resource kind.
+ * @param {any[]} resources The searched resources.
+ * @param {any} resource The sought resource.
+ * @param {Equality} [equality] The equality of the identity properties.
+ * @returns {number} The index of the first resource with the same identity, or -1,
+ * if none exists.
+ */
+export function findResourceIndex(
+  kind,
+  resources,
+  resource,
+  equality = SameValueZeroEquality
+) {
+  return resources.findIndex((candidate) =>
+    sameResource(kind, candidate, resource, equality)
+  );
+}
+
+/**
+ * Remove the duplicate resources of a list. The duplicates of the kinds with
+ * merging are merged into the first resource, and the later duplicates of the other
+ * kinds are dropped.
+ * @param {string} kind The resource kind.
+ * @param {any[]} resources The resources.
+ * @param {Equality} [equality] The equality of the identity properties.
+ * @returns {any[]} The resources without duplicates.
+ */
+export function dedupeResources(
+  kind,
+  resources,
+  equality = SameValueZeroEquality
+) {
+  const { merge } = RESOURCE_KINDS[kind];
+  return resources.reduce((result, resource) => {
+    const index = findResourceIndex(kind, result, resource, equality);
+    if (index < 0) {
+      result.push({ ...resource });
+    } else if (merge) {
+      result[index] = merge(result[index], resource);
+    }
+    return result;
+  }, []);
+}
+
+/**
+ * Validate a covenant document.
+ * @param {any} covenant The validated covenant.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues. An
+ * empty list, if the covenant is valid.
+ */
+export function validateCovenant(covenant) {
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if (!(covenant instanceof Object) || Array.isArray(covenant)) {
+    return [{ path: "$", message: "Covenant must be an object" }];
+  }
+  requiredString("name")(covenant, "$", issues);
+  numberProperty("founded", {
+    required: true,
+    integer: true,
+    min: -Infinity,
+  })(covenant, "$", issues);
+  numberProperty("aura", { integer: true, min: -Infinity })(
+    covenant,
+    "$",
+    issues
+  );
+  numberProperty("treasury", { min: -Infinity })(covenant, "$", issues);
+  numberProperty("inflation")(covenant, "$", issues);
+  if ("tribunal" in covenant && typeof covenant.tribunal !== "string") {
+    issues.push({ path: "$.tribunal", message: "Tribunal must be a string" });
+  }
+  Object.entries(RESOURCE_KINDS).forEach(([kind, definition]) => {
+    if (!(kind in covenant)) {
+      return;
+    }
+    const resources = covenant[kind];
+    if (!Array.isArray(resources)) {
+      issues.push({ path: `$.${kind}`, message: `${kind} must be an array` });
+      return;
+    }
+    resources.forEach((resource, index) => {
+      const path = `$.${kind}[${index}]`;
+      if (!(resource instanceof Object) || Array.isArray(resource)) {
+        issues.push({ path, message: "Resource must be an object" });
+        return;
+      }
+      definition.validate(resource, path, issues);
+      if (
+        definition.merge === undefined &&
+        findResourceIndex(kind, resources, resource) < index
+      ) {
+        issues.push({
+          path,
+          message: `Duplicate resource ${definition.identity
+            .map((property) => resource[property])
+            .join(", ")}`,
+        });
+      }
+    });
+  });
+  if ("loyalty" in covenant) {
+    const { loyalty } = covenant;
+    if (!(loyalty instanceof Object) || !Number.isInteger(loyalty.points)) {
+      issues.push({
+        path: "$.loyalty.points",
+        message: "Loyalty points must be an integer",
+      });
+    } else if ("modifiers" in loyalty) {
+      if (!Array.isArray(loyalty.modifiers)) {
+        issues.push({
+          path: "$.loyalty.modifiers",
+          message: "Loyalty modifiers must be an array",
+        });
+      } else {
+        loyalty.modifiers.forEach((modifier, index) => {
+          const path = `$.loyalty.modifiers[${index}]`;
+          requiredString("name")(modifier ?? {}, path, issues);
+          if (!Number.isInteger(modifier?.value)) {
+            issues.push({
+              path: `${path}.value`,
+              message: "Modifier value must be an integer",
+            });
+          }
+        });
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Create a normalized copy of a valid covenant. The missing resource lists are set
+ * to empty lists and the duplicate vis stocks are merged.
+ * @param {Covenant} covenant The normalized covenant.
+ * @returns {Covenant} The normalized copy of the covenant.
+ */
+export function normalizeCovenant(covenant) {
+  return {
+    ...covenant,
+    ...Object.fromEntries(
+      Object.keys(RESOURCE_KINDS).map((kind) => [
+        kind,
+        dedupeResources(kind, covenant[kind] ?? []),
+      ])
+    ),
+  };
+}
+
+/**
+ * Get the loyalty score of the covenfolk.
+ * @param {Covenant} covenant The covenant.
+ * @returns {number} The loyalty points with the modifiers.
+ */
+export function loyaltyScore(covenant) {
+  const { points = 0, modifiers = [] } = covenant.loyalty ?? {};
+  return modifiers.reduce((total, { value }) => total + value, points);
+}
+
+/**
+ * Round a sum of Mythic Pounds to pennies.
+ * @param {number} value The rounded value.
+ * @returns {number} The value rounded to two decimals.
+ */
+function roundPounds(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * The yearly finances of a covenant.
+ * @typedef {Object} Finances
+ * @property {number} year The year of the finances.
+ * @property {number} income The yearly income.
+ * @property {Record<string, number>} baseCosts The costs by category before the
+ * inflation.
+ * @property {number} inflationFactor The multiplier of the costs due the inflation.
+ * @property {Record<string, number>} costs The inflated costs by category.
+ * @property {number} totalCosts The total inflated costs.
+ * @property {number} balance The income minus the total costs.
+ * @property {number} treasury The treasury at the end of the year.
+ */
+
+/**
+ * Compute the yearly finances of a covenant. The costs are inflated by the yearly
+ * inflation rate compounded over the years since the founding of the covenant.
+ * @param {Covenant} covenant The normalized covenant.
+ * @param {number} [year] The year of the finances. Defaults to the founding year.
+ * @returns {Finances} The finances of the year.
+ * @throws {RangeError} The year is before the founding of the covenant.
+ */
+export function yearlyFinances(covenant, year = covenant.founded) {
+  if (!Number.isInteger(year) || year < covenant.founded) {
+    throw new RangeError(
+      `The year must be an integer not before the founding year ${covenant.founded}`
+    );
+  }
+  const income = (covenant.incomeSources ?? []).reduce(
+    (total, source) => total + source.income,
+    0
+  );
+  /** @type {Record<string, number>} */
+  const baseCosts = Object.fromEntries(
+    EXPENDITURE_CATEGORIES.map((category) => [category, 0])
+  );
+  (covenant.expenditures ?? []).forEach(({ category, cost }) => {
+    baseCosts[category] += cost;
+  });
+  (covenant.buildings ?? []).forEach(({ upkeep = 0 }) => {
+    baseCosts.buildings += upkeep;
+  });
+  (covenant.laboratories ?? []).forEach(({ upkeep = 0 }) => {
+    baseCosts.laboratories += upkeep;
+  });
+  const inflationFactor = Math.pow(
+    1 + (covenant.inflation ?? 0),
+    year - covenant.founded
+  );
+  const costs = Object.fromEntries(
+    Object.entries(baseCosts).map(([category, cost]) => [
+      category,
+      roundPounds(cost * inflationFactor),
+    ])
+  );
+  const totalCosts = roundPounds(
+    Object.values(costs).reduce((total, cost) => total + cost, 0)
+  );
+  const balance = roundPounds(income - totalCosts);
+  return {
+    year,
+    income: roundPounds(income),
+    baseCosts,
+    inflationFactor,
+    costs,
+    totalCosts,
+    balance,
+    treasury: roundPounds((covenant.treasury ?? 0) + balance),
+  };
+}
@@ -0,0 +1,312 @@
+/**
+ * The dice of the server.
+ *
+ * ArM5 uses ten sided dice with faces from 0 to 9. A simple die reads a 0 as 10. A
+ * stress die reads a 0 as zero and triggers the botch dice, and a 1 explodes: the die
+ * is rolled again, and the result doubled for every consecutive 1. The dice use a
+ * seeded pseudo random number generator, so every roll can be replayed from its seed.
+ * @module model/dice
+ */
+
+import { randomInt } from "node:crypto";
+
+/**
+ * The die types of the roll expressions.
+ * @type {ReadonlyArray<string>}
+ */
+export const DIE_TYPES = Object.freeze(["simple", "stress"]);
+
+/**
+ * The largest seed of the random number generator.
+ * @type {number}
+ */
+export const MAX_SEED = 2 ** 32 - 1;
+
+/**
+ * The largest number of botch dice of a stress die.
+ * @type {number}
+ */
+export const MAX_BOTCH_DICE = 10;
+
+/**
+ * The largest number of digits of a modifier or an Ease Factor of a roll expression.
+ * @type {number}
+ */
+export const MAX_NUMBER_DIGITS = 3;
+
+/**
+ * The largest length of a roll expression.
+ * @type {number}
+ */
+export const MAX_EXPRESSION_LENGTH = 100;
+
+/**
+ * The error indicating an invalid roll.
+ */
+export class DiceError extends RangeError {
+  /**
+   * Create a new dice error.
+   * @param {string} message The message of the error.
+   * @param {import("./character.mjs").ValidationIssue[]} [issues] The issues of the
+   * roll.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The issues of the roll.
+     * @type {import("./character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Create a new random seed.
+ * @returns {number} An unsigned 32 bit integer seed.
+ */
+export function createSeed() {
+  return randomInt(0, MAX_SEED + 1);
+}
+
+/**
+ * Test whether a value is a valid seed.
+ * @param {any} value The tested value.
+ * @returns {boolean} True, if and only if the value is an unsigned 32 bit integer.
+ */
+export function isSeed(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_SEED;
+}
+
+/**
+ * Create a seeded pseudo random number generator. The generator uses the Mulberry32
+ * algorithm.
+ * @param {number} seed The unsigned 32 bit integer seed.
+ * @returns {() => number} The generator returning numbers between 0 inclusive and 1
+ * exclusive.
+ * @throws {DiceError} The seed was invalid.
+ */
+export function createRandom(seed) {
+  if (!isSeed(seed)) {
+    throw new DiceError(`Invalid seed ${seed}`, [
+      { path: "$.seed", message: "Seed must be an unsigned 32 bit integer" },
+    ]);
+  }
+  let state = seed;
+  return function () {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Roll a single ten sided die.
+ * @param {() => number} random The random number generator.
+ * @returns {number} The face of the die from 0 to 9.
+ */
+export function rollDie(random) {
+  return Math.floor(random() * 10);
+}
+
+/**
+ * The result of rolling a die.
+ * @typedef {Object} DieResult
+ * @property {number[]} dice The faces of all dice rolled, including the botch dice.
+ * @property {number} value The value of the die.
+ * @property {number} [multiplier] The multiplier of an exploded stress die.
+ * @property {number} [botches] The number of botches of a stress die.
+ * @property {boolean} [botched] Did the stress die botch.
+ */
+
+/**
+ * Roll a simple die.
+ * @param {() => number} random The random number generator.
+ * @returns {DieResult} The result of the die with value from 1 to 10.
+ */
+export function simpleDie(random) {
+  const face = rollDie(random);
+  return { dice: [face], value: face === 0 ? 10 : face };
+}
+
+/**
+ * Roll a stress die.
+ * @param {() => number} random The random number generator.
+ * @param {number} [botchDice=1] The number of botch dice rolled on a zero.
+ * @returns {DieResult} The result of the die.
+ * @throws {DiceError} The number of botch dice was invalid.
+ */
+export function stressDie(random, botchDice = 1) {
+  if (
+    !Number.isInteger(botchDice) ||
+    botchDice < 0 ||
+    botchDice > MAX_BOTCH_DICE
+  ) {
+    throw new DiceError(
+      `Botch dice must be an integer from 0 to ${MAX_BOTCH_DICE}, got ${botchDice}`
+    );
+  }
+  const dice = [rollDie(random)];
+  if (dice[0] === 0) {
+    const botchRolls = Array.from({ length: botchDice }, () => rollDie(random));
+    const botches = botchRolls.filter((face) => face === 0).length;
+    return {
+      dice: [...dice, ...botchRolls],
+      value: 0,
+      multiplier: 1,
+      botches,
+      botched: botches > 0,
+    };
+  }
+  let multiplier = 1;
+  let face = dice[0];
+  while (face === 1) {
+    multiplier *= 2;
+    face = rollDie(random);
+    dice.push(face);
+  }
+  return {
+    dice,
+    value: (multiplier > 1 && face === 0 ? 10 : face) * multiplier,
+    multiplier,
+    botches: 0,
+    botched: false,
+  };
+}
+
+/**
+ * A parsed roll expression.
+ * @typedef {Object} RollExpression
+ * @property {"simple"|"stress"} die The type of the die.
+ * @property {number} modifier The total modifier added to the die.
+ * @property {number} [difficulty] The Ease Factor of the roll.
+ * @property {number} botchDice The number of botch dice of a stress roll.
+ */
+
+/**
+ * The pattern of the roll expressions like `stress+12 vs 9, botch 2`.
+ * @type {RegExp}
+ */
+const EXPRESSION_PATTERN =
+  /^\s*(simple|stress)\s*((?:[+-]\s*\d+\s*)*)(?:\s(?:vs|ease)\s*(\d+)\s*)?(?:,\s*botch\s*(\d+)\s*)?$/i;
+
+/**
+ * Parse a roll expression. The expression consists of the die type, the optional
+ * modifiers, the optional Ease Factor after `vs`, and the optional number of botch
+ * dice after `, botch`. For example `stress+12 vs 9, botch 2`. The modifiers and the
+ * Ease Factor have at most three digits, and a stress die has at most ten botch
+ * dice.
+ * @param {string} expression The parsed expression.
+ * @returns {RollExpression} The parsed expression.
+ * @throws {DiceError} The expression was invalid.
+ */
+export function parseRollExpression(expression) {
+  if (
+    typeof expression === "string" &&
+    expression.length > MAX_EXPRESSION_LENGTH
+  ) {
+    throw new DiceError(`Invalid roll expression ${expression}`, [
+      {
+        path: "$.expression",
+        message: `Expression must have at most ${MAX_EXPRESSION_LENGTH} characters`,
+      },
+    ]);
+  }
+  const match =
+    typeof expression === "string" ? EXPRESSION_PATTERN.exec(expression) : null;
+  if (match === null) {
+    throw new DiceError(`Invalid roll expression ${expression}`, [
+      {
+        path: "$.expression",
+        message: "Expected an expression like stress+12 vs 9, botch 2",
+      },
+    ]);
+  }
+  const [, die, modifiers, difficulty, botchDice] = match;
+  if (botchDice !== undefined && die.toLowerCase() !== "stress") {
+    throw new DiceError(`Invalid roll expression ${expression}`, [
+      { path: "$.expression", message: "Only stress dice have botch dice" },
+    ]);
+  }
+  const terms = modifiers.replace(/\s/g, "").match(/[+-]\d+/g) ?? [];
+  if (
+    [...terms.map((term) => term.slice(1)), difficulty ?? ""].some(
+      (digits) => digits.length > MAX_NUMBER_DIGITS
+    )
+  ) {
+    throw new DiceError(`Invalid roll expression ${expression}`, [
+      {
+        path: "$.expression",
+        message: `Modifiers and Ease Factors must have at most ${MAX_NUMBER_DIGITS} digits`,
+      },
+    ]);
+  }
+  if (botchDice !== undefined && Number(botchDice) > MAX_BOTCH_DICE) {
+    throw new DiceError(`Invalid roll expression ${expression}`, [
+      {
+        path: "$.expression",
+        message: `A stress die has at most ${MAX_BOTCH_DICE} botch dice`,
+      },
+    ]);
+  }
+  return {
+    die: /** @type {"simple"|"stress"} */ (die.toLowerCase()),
+    modifier: terms.reduce((total, modifier) => total + Number(modifier), 0),
+    ...(difficulty === undefined ? {} : { difficulty: Number(difficulty) }),
+    botchDice: botchDice === undefined ? 1 : Number(botchDice),
+  };
+}
+
+/**
+ * The result of a roll.
+ * @typedef {Object} RollResult
+ * @property {string} expression The rolled expression.
+ * @property {number} seed The seed of the roll.
+ * @property {"simple"|"stress"} die The type of the die.
+ * @property {number[]} dice The faces of all dice rolled.
+ * @property {number} value The value of the die.
+ * @property {number} modifier The modifier of the roll.
+ * @property {number} total The total of the roll.
+ * @property {number} [difficulty] The Ease Factor of the roll.
+ * @property {boolean} [success] Did the roll meet the Ease Factor.
+ * @property {number} botches The number of botches.
+ * @property {boolean} botched Did the roll botch.
+ */
+
+/**
+ * Roll an expression. Rolling the same expression with the same seed always gives
+ * the same result.
+ * @param {string} expression The roll expression.
+ * @param {number} [seed] The seed of the roll. Defaults to a new random seed.
+ * @returns {RollResult} The result of the roll.
+ * @throws {DiceError} The expression or the seed was invalid.
+ */
+export function roll(expression, seed = createSeed()) {
+  const parsed = parseRollExpression(expression);
+  const random = createRandom(seed);
+  const die =
+    parsed.die === "stress"
+      ? stressDie(random, parsed.botchDice)
+      : simpleDie(random);
+  const botched = die.botched ?? false;
+  const total = botched ? 0 : die.value + parsed.modifier;
+  return {
+    expression,
+    seed,
+    die: parsed.die,
+    dice: die.dice,
+    value: die.value,
+    modifier: parsed.modifier,
+    total,
+    ...(parsed.difficulty === undefined
+      ? {}
+      : {
+          difficulty: parsed.difficulty,
+          success: !botched && total >= parsed.difficulty,
+        }),
+    botches: die.botches ?? 0,
+    botched,
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * The familiars of the magi.
+ *
+ * A familiar is a magical creature bound to a magus. It is a character of its own
+ * with the characteristics and the abilities of the creature, its Magic Might and
+ * its powers. The bond of the magus has three cords: the Golden cord of magic, the
+ * Silver cord of the mind and the Bronze cord of the body. The strength of a cord
+ * grows from its experience like an ability score, and adds to the rolls of the
+ * magus: the Golden cord to the Casting Totals and to the help of the familiar in
+ * the laboratory, the Silver cord to the Concentration rolls, and the Bronze cord to
+ * the Soak.
+ * @module model/familiar
+ */
+
+import {
+  ABILITY_COST_MULTIPLIER,
+  EXPERIENCE_MESSAGE,
+  FORMS,
+  isExperience,
+  levelForXp,
+} from "./character.mjs";
+
+/**
+ * The cords of the bond.
+ * @type {Readonly<string[]>}
+ */
+export const CORDS = Object.freeze(["Golden", "Silver", "Bronze"]);
+
+/**
+ * The rolls the cords add to.
+ * @type {Readonly<Record<string, Readonly<string[]>>>}
+ */
+export const CORD_EFFECTS = Object.freeze({
+  Golden: Object.freeze(["casting", "lab"]),
+  Silver: Object.freeze(["concentration"]),
+  Bronze: Object.freeze(["soak"]),
+});
+
+/**
+ * The cost multiplier of the cord strengths.
+ * @type {number}
+ */
+export const CORD_COST_MULTIPLIER = ABILITY_COST_MULTIPLIER;
+
+/**
+ * A cord of a bond.
+ * @typedef {Object} Cord
+ * @property {number} xp The experience points of the cord.
+ * @property {number} [strength] The strength of the cord derived from the
+ * experience.
+ */
+
+/**
+ * The bond of a magus with the familiar.
+ * @typedef {Object} Bond
+ * @property {string} [character] The identifier of the familiar character.
+ * @property {Record<string, Cord>} cords The cords by their names.
+ */
+
+/**
+ * A power of a familiar.
+ * @typedef {Object} FamiliarPower
+ * @property {string} name The name of the power.
+ * @property {number} cost The Might points the use of the power costs.
+ * @property {string} [form] The Form of the power.
+ * @property {string} [description] The description of the power.
+ */
+
+/**
+ * Test whether a value is a non-negative integer.
+ * @param {any} value The tested value.
+ * @returns {boolean} True, if and only if the value is a non-negative integer.
+ */
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Get the strength of a cord of the bond of a magus.
+ * @param {import("./character.mjs").Character} character The magus.
+ * @param {string} cord The name of the cord.
+ * @returns {number} The strength of the cord. Zero, if the magus has no familiar.
+ */
+export function cordStrength(character, cord) {
+  return levelForXp(
+    character.familiar?.cords?.[cord]?.xp ?? 0,
+    CORD_COST_MULTIPLIER
+  );
+}
+
+/**
+ * Get the bonuses the cords of the bond of a magus add to a roll.
+ * @param {import("./character.mjs").Character} character The magus.
+ * @param {string} effect The roll.
+ * @returns {import("./lab.mjs").Modifier[]} The cords adding to the roll with their
+ * strengths. The cords without strength are omitted.
+ */
+export function bondBonuses(character, effect) {
+  return CORDS.filter((cord) => CORD_EFFECTS[cord].includes(effect))
+    .map((cord) => ({
+      name: `${cord} Cord`,
+      value: cordStrength(character, cord),
+    }))
+    .filter(({ value }) => value !== 0);
+}
+
+/**
+ * Validate the bond of a magus.
+ * @param {any} bond The validated bond.
+ * @param {string} [path="$.familiar"] The JSON path of the bond.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues.
+ */
+export function validateBond(bond, path = "$.familiar") {
+  if (!(bond instanceof Object) || Array.isArray(bond)) {
+    return [{ path, message: "Familiar bond must be an object" }];
+  }
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if (
+    "character" in bond &&
+    (typeof bond.character !== "string" || bond.character === "")
+  ) {
+    issues.push({
+      path: `${path}.character`,
+      message: "Familiar must be a character identifier",
+    });
+  }
+  if (!(bond.cords instanceof Object) || Array.isArray(bond.cords)) {
+    issues.push({ path: `${path}.cords`, message: "Cords must be an object" });
+    return issues;
+  }
+  Object.getOwnPropertyNames(bond.cords).forEach((name) => {
+    const cord = bond.cords[name];
+    const cordPath = `${path}.cords.${name}`;
+    if (!CORDS.includes(name)) {
+      issues.push({ path: cordPath, message: `Unknown cord ${name}` });
+    } else if (!(cord instanceof Object) || !isExperience(cord.xp)) {
+      issues.push({ path: `${cordPath}.xp`, message: EXPERIENCE_MESSAGE });
+    } else if (
+      "strength" in cord &&
+      cord.strength !== levelForXp(cord.xp, CORD_COST_MULTIPLIER)
+    ) {
+      issues.push({
+        path: `${cordPath}.strength`,
+        message: `Strength ${cord.strength} does not match experience ${cord.xp}`,
+      });
+    }
+  });
+  return issues;
+}
+
+/**
+ * Validate the powers of a familiar.
+ * @param {any} powers The validated powers.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues.
+ */
+function validatePowers(powers) {
+  if (!Array.isArray(powers)) {
+    return [{ path: "$.powers", message: "Powers must be an array" }];
+  }
+  return powers.flatMap((power, index) => {
+    const path = `$.powers[${index}]`;
+    if (!(power instanceof Object)) {
+      return [{ path, message: "Power must be an object" }];
+    }
+    /** @type {import("./character.mjs").ValidationIssue[]} */
+    const issues = [];
+    if (typeof power.name !== "string" || power.name.trim() === "") {
+      issues.push({ path: `${path}.name`, message: "Power name is required" });
+    }
+    if (!isCount(power.cost)) {
+      issues.push({
+        path: `${path}.cost`,
+        message: "Might cost must be a non-negative integer",
+      });
+    }
+    if ("form" in power && !FORMS.includes(power.form)) {
+      issues.push({
+        path: `${path}.form`,
+        message: `Form must be one of ${FORMS.join(", ")}`,
+      });
+    }
+    if ("description" in power && typeof power.description !== "string") {
+      issues.push({
+        path: `${path}.description`,
+        message: "Description must be a string",
+      });
+    }
+    return issues;
+  });
+}
+
+/**
+ * Validate the familiar properties of a character. The familiars have a Might and
+ * may have powers, and the magi may have a bond with their familiar.
+ * @param {any} character The validated character.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues. An
+ * empty list, if the properties are valid.
+ */
+export function validateFamiliarProperties(character) {
+  if (!(character instanceof Object)) {
+    return [];
+  }
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if (character.type === "familiar") {
+    if (!isCount(character.might)) {
+      issues.push({
+        path: "$.might",
+        message: "Might must be a non-negative integer",
+      });
+    }
+    if ("powers" in character) {
+      issues.push(...validatePowers(character.powers));
+    }
+  } else {
+    ["might", "powers"]
+      .filter((property) => property in character)
+      .forEach((property) => {
+        issues.push({
+          path: `$.${property}`,
+          message: `Only familiars have ${property}`,
+        });
+      });
+  }
+  if ("familiar" in character) {
+    if (character.type !== "magus") {
+      issues.push({
+        path: "$.familiar",
+        message: "Only magi bind familiars",
+      });
+    } else {
+      issues.push(...validateBond(character.familiar));
+    }
+  }
+  return issues;
+}
+
+/**
+ * Create a normalized copy of a valid bond. The missing cords are set to zero, and
+ * the strengths are recalculated from the experience.
+ * @param {Bond} bond The bond.
+ * @returns {Bond} The normalized copy of the bond.
+ */
+export function normalizeBond(bond) {
+  return {
+    ...bond,
+    cords: Object.fromEntries(
+      CORDS.map((name) => {
+        const xp = bond.cords[name]?.xp ?? 0;
+        return [name, { xp, strength: levelForXp(xp, CORD_COST_MULTIPLIER) }];
+      })
+    ),
+  };
+}
+
+/**
+ * Create a copy of a bond without the strengths derived from the experience.
+ * @param {Bond} bond The bond.
+ * @returns {Bond} The copy of the bond without the cord strengths.
+ */
+export function stripDerivedBond(bond) {
+  if (!(bond?.cords instanceof Object)) {
+    return bond;
+  }
+  return {
+    ...bond,
+    cords: Object.fromEntries(
+      Object.entries(bond.cords).map(([name, { strength, ...cord }]) => [
+        name,
+        cord,
+      ])
+    ),
+  };
+}
@@ -0,0 +1,247 @@
+/**
+ * The change history of the saga entities.
+ *
+ * Every change of a recorded entity is an event of its history. An event tells the
+ * author, the time and the saga season of the change, and the changes of the entity
+ * content as a JSON Patch (RFC 6902) from the previous version. The history is append
+ * only: replaying the events from the first one rebuilds every version of the entity,
+ * and a change is undone by a reverting event restoring an earlier version.
+ *
+ * The content of an entity excludes its identifier and its version. The arrays are
+ * patched as whole values.
+ * @module model/history
+ */
+
+/**
+ * The actions of the history events.
+ * - `created`: The entity was created.
+ * - `snapshot`: The state of an entity stored before its history was recorded.
+ * - `updated`: The entity was changed.
+ * - `reverted`: The entity was restored to an earlier version.
+ * - `deleted`: The entity was removed.
+ * @type {Readonly<string[]>}
+ */
+export const HISTORY_ACTIONS = Object.freeze([
+  "created",
+  "snapshot",
+  "updated",
+  "reverted",
+  "deleted",
+]);
+
+/**
+ * An operation of a JSON Patch. The path of the whole content is empty, and the
+ * removal of the whole content removes the entity.
+ * @typedef {Object} PatchOperation
+ * @property {"add"|"remove"|"replace"} op The operation.
+ * @property {string} path The JSON Pointer of the changed value.
+ * @property {any} [value] The added or the replacing value.
+ */
+
+/**
+ * An event of the history of an entity.
+ * @typedef {Object} HistoryEvent
+ * @property {string} id The identifier of the event.
+ * @property {string} entity The type of the entity.
+ * @property {string} entityId The identifier of the entity.
+ * @property {string} [saga] The saga of the entity.
+ * @property {number} entityVersion The version of the entity after the event.
+ * @property {string} action The action of the event.
+ * @property {string} [author] The identifier of the user changing the entity.
+ * @property {string} time The time of the change.
+ * @property {import("./timeline.mjs").Season} [season] The season of the saga at the
+ * time of the change.
+ * @property {number} [reverts] The version restored by a reverting event.
+ * @property {PatchOperation[]} changes The changes of the entity content.
+ */
+
+/**
+ * A version of an entity rebuilt from its history.
+ * @typedef {Object} HistoryVersion
+ * @property {HistoryEvent} event The event creating the version.
+ * @property {Object} [state] The content of the entity after the event. Undefined
+ * after the deletion of the entity.
+ */
+
+/**
+ * The error indicating a history could not be replayed.
+ */
+export class HistoryError extends RangeError {
+  /**
+   * Create a new history error.
+   * @param {string} message The message of the error.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Test whether a value is a JSON object other than an array.
+ * @param {any} value The tested value.
+ * @returns {boolean} True, if and only if the value is an object.
+ */
+function isObject(value) {
+  return value instanceof Object && !Array.isArray(value);
+}
+
+/**
+ * Test whether two JSON values are equal.
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @returns {boolean} True, if and only if the values have the same content.
+ */
+export function sameContent(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return (
+      a.length === b.length &&
+      a.every((value, index) => sameContent(value, b[index]))
+    );
+  } else if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => key in b && sameContent(a[key], b[key]))
+    );
+  }
+  return a === b;
+}
+
+/**
+ * Get the content of an entity.
+ * @param {Object|undefined} entity The entity.
+ * @returns {Object|undefined} The entity without its identifier and version, or an
+ * undefined value, if there is no entity.
+ */
+export function entityContent(entity) {
+  if (entity === undefined) {
+    return undefined;
+  }
+  const { id, version, ...content } = entity;
+  return content;
+}
+
+/**
+ * Escape a property name for a JSON Pointer.
+ * @param {string} name The property name.
+ * @returns {string} The escaped reference token.
+ */
+function escapeToken(name) {
+  return name.replaceAll("~", "~0").replaceAll("/", "~1");
+}
+
+/**
+ * Split a JSON Pointer into its property names.
+ * @param {string} path The JSON Pointer.
+ * @returns {string[]} The property names.
+ * @throws {HistoryError} The pointer was invalid.
+ */
+function parsePointer(path) {
+  if (path === "") {
+    return [];
+  } else if (!path.startsWith("/")) {
+    throw new HistoryError(`Invalid JSON Pointer ${path}`);
+  }
+  return path
+    .slice(1)
+    .split("/")
+    .map((token) => token.replaceAll("~1", "/").replaceAll("~0", "~"));
+}
+
+/**
+ * Compute the changes between two versions of an entity content.
+ * @param {any} before The content before the changes. Undefined for no content.
+ * @param {any} after The content after the changes. Undefined for no content.
+ * @param {string} [path=""] The JSON Pointer of the compared values.
+ * @returns {PatchOperation[]} The JSON Patch changing the content before to the
+ * content after.
+ */
+export function diffContent(before, after, path = "") {
+  if (sameContent(before, after)) {
+    return [];
+  } else if (before === undefined) {
+    return [{ op: "add", path, value: structuredClone(after) }];
+  } else if (after === undefined) {
+    return [{ op: "remove", path }];
+  } else if (!isObject(before) || !isObject(after)) {
+    return [{ op: "replace", path, value: structuredClone(after) }];
+  }
+  return [
+    ...Object.keys(before)
+      .filter((key) => !(key in after))
+      .map((key) => ({ op: "remove", path: `${path}/${escapeToken(key)}` })),
+    ...Object.keys(after).flatMap((key) =>
+      diffContent(before[key], after[key], `${path}/${escapeToken(key)}`)
+    ),
+  ];
+}
+
+/**
+ * Apply a JSON Patch to an entity content.
+ * @param {any} content The patched content. Undefined for no content.
+ * @param {PatchOperation[]} patch The patch.
+ * @returns {any} The patched copy of the content.
+ * @throws {HistoryError} The patch did not fit the content.
+ */
+export function applyPatch(content, patch) {
+  let result = structuredClone(content);
+  patch.forEach(({ op, path, value }) => {
+    const names = parsePointer(path);
+    if (names.length === 0) {
+      result = op === "remove" ? undefined : structuredClone(value);
+      return;
+    }
+    const name = names.at(-1);
+    const parent = names
+      .slice(0, -1)
+      .reduce((current, property) => current?.[property], result);
+    if (!(parent instanceof Object)) {
+      throw new HistoryError(`No value at ${path}`);
+    }
+    const index = Array.isArray(parent)
+      ? name === "-"
+        ? parent.length
+        : Number(name)
+      : undefined;
+    if (op !== "add" && !(name in parent)) {
+      throw new HistoryError(`No value at ${path}`);
+    }
+    if (op === "remove") {
+      if (index === undefined) {
+        delete parent[name];
+      } else {
+        parent.splice(index, 1);
+      }
+    } else if (op === "add" && index !== undefined) {
+      parent.splice(index, 0, structuredClone(value));
+    } else if (op === "add" || op === "replace") {
+      parent[name] = structuredClone(value);
+    } else {
+      throw new HistoryError(`Unsupported patch operation ${op}`);
+    }
+  });
+  return result;
+}
+
+/**
+ * Replay the history of an entity.
+ * @param {HistoryEvent[]} events The events of the entity in the order of their
+ * versions.
+ * @returns {HistoryVersion[]} The versions of the entity in the order of the events.
+ * @throws {HistoryError} The history was broken.
+ */
+export function replayHistory(events) {
+  /** @type {any} */
+  let state;
+  return events.map((event, index) => {
+    if (index > 0 && event.entityVersion <= events[index - 1].entityVersion) {
+      throw new HistoryError(
+        `The version ${event.entityVersion} of ${event.entity} ${event.entityId} is out of order`
+      );
+    }
+    state = applyPatch(state, event.changes);
+    return { event, ...(state === undefined ? {} : { state }) };
+  });
+}
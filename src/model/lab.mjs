@@ -0,0 +1,382 @@
+/**
+ * The laboratory activities of the magi.
+ *
+ * The module computes the Lab Totals and resolves the seasonal laboratory projects:
+ * spell invention, enchanted item creation, longevity rituals, vis extraction, the
+ * binding of a familiar and the strengthening of its bond, and the opening and the
+ * attunement of a talisman. The Puissant Virtues of the magus add to the Arts and
+ * the Magic Theory of the Lab Totals, and the Golden cord of the bond adds to the
+ * help of the familiar.
+ * @module model/lab
+ */
+
+import { abilityLevel, artScore, FORMS, TECHNIQUES } from "./character.mjs";
+import { cordStrength } from "./familiar.mjs";
+import { traitBonuses } from "./virtue.mjs";
+
+/**
+ * The laboratory project types.
+ * @type {Readonly<string[]>}
+ */
+export const PROJECT_TYPES = Object.freeze([
+  "spell",
+  "item",
+  "longevity",
+  "visExtraction",
+  "familiar",
+  "bond",
+  "talisman",
+  "attunement",
+]);
+
+/**
+ * A named modifier of a total.
+ * @typedef {Object} Modifier
+ * @property {string} name The source of the modifier.
+ * @property {number} value The value of the modifier.
+ */
+
+/**
+ * An assistant of a magus in the laboratory.
+ * @typedef {Object} Assistant
+ * @property {import("./character.mjs").Character} character The assistant.
+ * @property {boolean} [familiar=false] Is the assistant the familiar of the magus.
+ * @property {number} [bond] The bond bonus a familiar adds. Defaults to the
+ * strength of the Golden cord of the magus in a Lab Total.
+ */
+
+/**
+ * The parameters of a Lab Total.
+ * @typedef {Object} LabTotalParameters
+ * @property {import("./character.mjs").Character} magus The magus.
+ * @property {string} technique The Technique of the activity.
+ * @property {string} form The Form of the activity.
+ * @property {number} [aura=0] The magical aura of the laboratory.
+ * @property {Modifier[]} [modifiers] The modifiers of the laboratory.
+ * @property {Assistant[]} [assistants] The assistants of the magus.
+ */
+
+/**
+ * A Lab Total with its breakdown.
+ * @typedef {Object} LabTotal
+ * @property {number} total The Lab Total.
+ * @property {Modifier[]} breakdown The parts of the Lab Total.
+ */
+
+/**
+ * The error indicating an invalid laboratory activity.
+ */
+export class LabError extends RangeError {
+  /**
+   * Create a new laboratory error.
+   * @param {string} message The message of the error.
+   * @param {import("./character.mjs").ValidationIssue[]} [issues] The issues of the
+   * activity.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The issues of the activity.
+     * @type {import("./character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Get the contribution of an assistant to the Lab Total. An assistant without
+ * Magic Theory cannot help in the laboratory.
+ * @param {Assistant} assistant The assistant.
+ * @returns {number} The Intelligence and Magic Theory of the assistant, and the bond
+ * bonus of a familiar.
+ */
+export function assistantBonus({ character, familiar = false, bond = 0 }) {
+  const magicTheory = abilityLevel(character, "Magic Theory");
+  if (magicTheory < 1) {
+    return familiar ? bond : 0;
+  }
+  return (
+    (character.characteristics?.Int ?? 0) + magicTheory + (familiar ? bond : 0)
+  );
+}
+
+/**
+ * Compute a Lab Total.
+ * @param {LabTotalParameters} parameters The parameters of the Lab Total.
+ * @returns {LabTotal} The Lab Total.
+ * @throws {LabError} The parameters were invalid.
+ */
+export function labTotal({
+  magus,
+  technique,
+  form,
+  aura = 0,
+  modifiers = [],
+  assistants = [],
+}) {
+  const issues = [];
+  if (magus?.type !== "magus") {
+    issues.push({
+      path: "$.character",
+      message: "Only magi work in laboratories",
+    });
+  }
+  if (!TECHNIQUES.includes(technique)) {
+    issues.push({
+      path: "$.technique",
+      message: `Technique must be one of ${TECHNIQUES.join(", ")}`,
+    });
+  }
+  if (!FORMS.includes(form)) {
+    issues.push({
+      path: "$.form",
+      message: `Form must be one of ${FORMS.join(", ")}`,
+    });
+  }
+  if (!Number.isInteger(aura)) {
+    issues.push({ path: "$.aura", message: "Aura must be an integer" });
+  }
+  if (
+    !Array.isArray(modifiers) ||
+    !modifiers.every(
+      (modifier) =>
+        typeof modifier?.name === "string" && Number.isInteger(modifier.value)
+    )
+  ) {
+    issues.push({
+      path: "$.modifiers",
+      message: "Modifiers must have a name and an integer value",
+    });
+  }
+  const leadership = magus ? abilityLevel(magus, "Leadership") : 0;
+  if (assistants.filter(({ familiar }) => !familiar).length > leadership) {
+    issues.push({
+      path: "$.assistants",
+      message: `A magus with Leadership ${leadership} may have at most ${leadership} assistants besides the familiar`,
+    });
+  }
+  if (assistants.filter(({ familiar }) => familiar).length > 1) {
+    issues.push({ path: "$.assistants", message: "A magus has one familiar" });
+  }
+  if (issues.length > 0) {
+    throw new LabError("Invalid Lab Total", issues);
+  }
+
+  /** @type {Modifier[]} */
+  const breakdown = [
+    { name: technique, value: artScore(magus, technique) },
+    { name: form, value: artScore(magus, form) },
+    { name: "Intelligence", value: magus.characteristics?.Int ?? 0 },
+    { name: "Magic Theory", value: abilityLevel(magus, "Magic Theory") },
+    ...traitBonuses(magus, [
+      ["art", technique],
+      ["art", form],
+      ["ability", "Magic Theory"],
+    ]),
+    { name: "Aura", value: aura },
+    ...modifiers.map(({ name, value }) => ({ name, value })),
+    ...assistants.map((assistant) => ({
+      name: assistant.familiar
+        ? `Familiar ${assistant.character.name}`
+        : `Assistant ${assistant.character.name}`,
+      value: assistantBonus({
+        bond: cordStrength(magus, "Golden"),
+        ...assistant,
+      }),
+    })),
+  ];
+  return {
+    total: breakdown.reduce((total, { value }) => total + value, 0),
+    breakdown,
+  };
+}
+
+/**
+ * A laboratory project.
+ * @typedef {Object} Project
+ * @property {"spell"|"item"|"longevity"|"visExtraction"|"familiar"|"bond"|"talisman"|"attunement"} type
+ * The project type.
+ * @property {number} [level] The level of the invented spell or the enchanted effect,
+ * or the Might of the bound familiar.
+ * @property {number} [accumulated=0] The points accumulated in earlier seasons.
+ * @property {number} [age] The age of the target of a longevity ritual.
+ * @property {number} [capacity] The capacity of an opened talisman.
+ */
+
+/**
+ * The result of a season of laboratory work.
+ * @typedef {Object} ProjectResult
+ * @property {string} type The project type.
+ * @property {number} labTotal The Lab Total of the season.
+ * @property {number} [progress] The points gained this season.
+ * @property {number} [accumulated] The points accumulated in total.
+ * @property {boolean} complete Is the project complete.
+ * @property {number} [seasonsRemaining] The seasons needed to complete the project
+ * with the same Lab Total.
+ * @property {number} [visCost] The pawns of vis the project uses.
+ * @property {number} [longevityModifier] The modifier of a longevity ritual.
+ * @property {number} [pawns] The pawns of vis extracted.
+ * @property {number} [cordXp] The experience the season adds to each cord of the
+ * bond.
+ */
+
+/**
+ * The required Technique and Form of the projects with fixed Arts.
+ * @type {Readonly<Record<string, {technique: string, form: string}>>}
+ */
+export const PROJECT_ARTS = Object.freeze({
+  longevity: Object.freeze({ technique: "Creo", form: "Corpus" }),
+  visExtraction: Object.freeze({ technique: "Creo", form: "Vim" }),
+});
+
+/**
+ * Resolve a project accumulating the excess of the Lab Total over the level.
+ * @param {Project} project The project.
+ * @param {number} total The Lab Total.
+ * @param {string} path The JSON path of the project.
+ * @returns {Pick<ProjectResult, "progress"|"accumulated"|"complete"|"seasonsRemaining">}
+ * The progress of the project.
+ * @throws {LabError} The Lab Total does not exceed the level.
+ */
+function accumulate({ level, accumulated = 0 }, total, path) {
+  const progress = total - level;
+  if (progress <= 0) {
+    throw new LabError("Lab Total too low", [
+      {
+        path: `${path}.level`,
+        message: `The Lab Total ${total} must exceed the level ${level}`,
+      },
+    ]);
+  }
+  const sum = Math.min(level, accumulated + progress);
+  return {
+    progress,
+    accumulated: sum,
+    complete: sum >= level,
+    seasonsRemaining: Math.ceil((level - sum) / progress),
+  };
+}
+
+/**
+ * Resolve a season of a laboratory project. Binding a familiar accumulates the excess
+ * of the Lab Total over the Might of the familiar like a spell. A season of
+ * strengthening the bond adds a fifth of the Lab Total to the experience of each
+ * cord, and opening a talisman spends a pawn of vis per pawn of its capacity.
+ * @param {Project} project The project.
+ * @param {number} total The Lab Total of the project.
+ * @param {string} [path="$"] The JSON path of the project.
+ * @returns {ProjectResult} The result of the season.
+ * @throws {LabError} The project was invalid.
+ */
+export function resolveProject(project, total, path = "$") {
+  if (!PROJECT_TYPES.includes(project?.type)) {
+    throw new LabError("Invalid project", [
+      {
+        path: `${path}.type`,
+        message: `Project type must be one of ${PROJECT_TYPES.join(", ")}`,
+      },
+    ]);
+  }
+  const issues = [];
+  if (["spell", "item", "familiar"].includes(project.type)) {
+    if (!Number.isInteger(project.level) || project.level < 1) {
+      issues.push({
+        path: `${path}.level`,
+        message: "Level must be a positive integer",
+      });
+    }
+    if (
+      "accumulated" in project &&
+      (!Number.isInteger(project.accumulated) || project.accumulated < 0)
+    ) {
+      issues.push({
+        path: `${path}.accumulated`,
+        message: "Accumulated points must be a non-negative integer",
+      });
+    }
+  }
+  if (
+    project.type === "longevity" &&
+    (!Number.isInteger(project.age) || project.age < 0)
+  ) {
+    issues.push({
+      path: `${path}.age`,
+      message: "Longevity ritual requires the age of the target",
+    });
+  }
+  if (
+    project.type === "talisman" &&
+    (!Number.isInteger(project.capacity) || project.capacity < 1)
+  ) {
+    issues.push({
+      path: `${path}.capacity`,
+      message: "Opening a talisman requires a positive capacity",
+    });
+  }
+  if (issues.length > 0) {
+    throw new LabError("Invalid project", issues);
+  }
+
+  switch (project.type) {
+    case "spell":
+      return {
+        type: "spell",
+        labTotal: total,
+        ...accumulate(project, total, path),
+      };
+    case "item":
+      return {
+        type: "item",
+        labTotal: total,
+        ...accumulate(project, total, path),
+        visCost: Math.ceil(project.level / 10),
+      };
+    case "longevity":
+      return {
+        type: "longevity",
+        labTotal: total,
+        complete: true,
+        longevityModifier: Math.ceil(total / 5),
+        visCost: Math.ceil(project.age / 5),
+      };
+    case "visExtraction":
+      return {
+        type: "visExtraction",
+        labTotal: total,
+        complete: true,
+        pawns: Math.max(0, Math.ceil(total / 10)),
+      };
+    case "familiar":
+      return {
+        type: "familiar",
+        labTotal: total,
+        ...accumulate(project, total, path),
+      };
+    case "bond":
+      return {
+        type: "bond",
+        labTotal: total,
+        complete: true,
+        cordXp: Math.max(0, Math.ceil(total / 5)),
+      };
+    case "talisman":
+      if (total < project.capacity) {
+        throw new LabError("Lab Total too low", [
+          {
+            path: `${path}.capacity`,
+            message: `The Lab Total ${total} must reach the capacity ${project.capacity}`,
+          },
+        ]);
+      }
+      return {
+        type: "talisman",
+        labTotal: total,
+        complete: true,
+        visCost: project.capacity,
+      };
+    case "attunement":
+      return { type: "attunement", labTotal: total, complete: true };
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * The saga model of the server.
+ *
+ * A saga is the workspace of a troupe. It owns the characters, the covenants, the
+ * spells and the rolls of the troupe, and tells the roles of its members. The
+ * storyguides manage the saga, the troupe members play it, and the viewers may only
+ * read it. The storyguides keep the current season of the saga, which dates the
+ * recorded changes of its entities.
+ *
+ * The storyguides may hide entities from the other members by setting the `hidden`
+ * flag, mark the non-player characters with the `npc` flag, and keep notes the other
+ * members never see in the `storyguideNotes` property.
+ * @module model/saga
+ */
+
+import { isSeason } from "./timeline.mjs";
+
+/**
+ * The roles of the saga members.
+ * @type {Readonly<string[]>}
+ */
+export const SAGA_ROLES = Object.freeze(["storyguide", "troupe", "viewer"]);
+
+/**
+ * The entity properties only the storyguides may set.
+ * @type {Readonly<string[]>}
+ */
+export const STORYGUIDE_PROPERTIES = Object.freeze([
+  "hidden",
+  "npc",
+  "storyguideNotes",
+]);
+
+/**
+ * The entity properties only the storyguides may see.
+ * @type {Readonly<string[]>}
+ */
+export const SECRET_PROPERTIES = Object.freeze(["storyguideNotes"]);
+
+/**
+ * A member of a saga.
+ * @typedef {Object} SagaMember
+ * @property {string} user The identifier of the user.
+ * @property {string} role The role of the user in the saga.
+ */
+
+/**
+ * A saga.
+ * @typedef {Object} Saga
+ * @property {string} id The identifier of the saga.
+ * @property {string} name The name of the saga.
+ * @property {string} [description] The description of the saga.
+ * @property {import("./timeline.mjs").Season} [season] The current season of the
+ * saga.
+ * @property {SagaMember[]} members The members of the saga.
+ */
+
+/**
+ * Validate a saga.
+ * @param {any} saga The validated saga.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues. An
+ * empty list, if the saga is valid.
+ */
+export function validateSaga(saga) {
+  if (!(saga instanceof Object) || Array.isArray(saga)) {
+    return [{ path: "$", message: "Saga must be an object" }];
+  }
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if (typeof saga.name !== "string" || saga.name.trim() === "") {
+    issues.push({ path: "$.name", message: "Saga name is required" });
+  }
+  if ("description" in saga && typeof saga.description !== "string") {
+    issues.push({
+      path: "$.description",
+      message: "Description must be a string",
+    });
+  }
+  if ("season" in saga && !isSeason(saga.season)) {
+    issues.push({
+      path: "$.season",
+      message: "Season must have an integer year and a season name",
+    });
+  }
+  if (!Array.isArray(saga.members)) {
+    issues.push({ path: "$.members", message: "Members must be an array" });
+    return issues;
+  }
+  const users = new Set();
+  saga.members.forEach((member, index) => {
+    const path = `$.members[${index}]`;
+    if (typeof member?.user !== "string" || member.user === "") {
+      issues.push({ path: `${path}.user`, message: "User is required" });
+    } else if (users.has(member.user)) {
+      issues.push({
+        path: `${path}.user`,
+        message: `Duplicate member ${member.user}`,
+      });
+    } else {
+      users.add(member.user);
+    }
+    if (!SAGA_ROLES.includes(member?.role)) {
+      issues.push({
+        path: `${path}.role`,
+        message: `Role must be one of ${SAGA_ROLES.join(", ")}`,
+      });
+    }
+  });
+  if (!saga.members.some((member) => member?.role === "storyguide")) {
+    issues.push({
+      path: "$.members",
+      message: "Saga must have a storyguide",
+    });
+  }
+  return issues;
+}
+
+/**
+ * Get the role of a user in a saga.
+ * @param {Saga} saga The saga.
+ * @param {string} user The identifier of the user.
+ * @returns {string|undefined} The role of the user, or an undefined value, if the
+ * user is not a member of the saga.
+ */
+export function roleOf(saga, user) {
+  return saga.members.find((member) => member.user === user)?.role;
+}
+
+/**
+ * Validate the storyguide properties of a saga entity.
+ * @param {any} entity The validated entity.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues. An
+ * empty list, if the properties are valid.
+ */
+export function validateStoryguideProperties(entity) {
+  if (!(entity instanceof Object)) {
+    return [];
+  }
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  ["hidden", "npc"].forEach((property) => {
+    if (property in entity && typeof entity[property] !== "boolean") {
+      issues.push({
+        path: `$.${property}`,
+        message: `Property ${property} must be a boolean`,
+      });
+    }
+  });
+  if (
+    "storyguideNotes" in entity &&
+    typeof entity.storyguideNotes !== "string"
+  ) {
+    issues.push({
+      path: "$.storyguideNotes",
+      message: "Storyguide notes must be a string",
+    });
+  }
+  return issues;
+}
+
+/**
+ * Create the view of a saga entity seen by a member.
+ * @template {Object} ENTITY The entity type.
+ * @param {ENTITY} entity The entity.
+ * @param {boolean} storyguide Is the member a storyguide.
+ * @returns {ENTITY|undefined} The entity without the secret properties, or an
+ * undefined value, if the entity is hidden from the member.
+ */
+export function memberView(entity, storyguide) {
+  if (storyguide) {
+    return entity;
+  } else if (entity.hidden === true) {
+    return undefined;
+  }
+  const result = { ...entity };
+  SECRET_PROPERTIES.forEach((property) => delete result[property]);
+  return result;
+}
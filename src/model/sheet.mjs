@@ -0,0 +1,299 @@
+/**
+ * The character sheets.
+ *
+ * A character sheet collects the values of a character in the order of the official
+ * ArM5 character sheet: the characteristics, the abilities, the Arts, the spells, the
+ * familiar bond and the talisman of a magus, the Might and the powers of a familiar,
+ * the Virtues and the Flaws, and the equipment with the combat totals. The derived
+ * scores are computed from the experience, and the spells are described with the
+ * entries of the spell catalogue. The sheet is rendered as a printable page or as
+ * Markdown.
+ * @module model/sheet
+ */
+
+import {
+  ABILITY_COST_MULTIPLIER,
+  ART_COST_MULTIPLIER,
+  ARTS,
+  CHARACTERISTICS,
+  levelForXp,
+} from "./character.mjs";
+import { combatTotals, encumbrance } from "./combat.mjs";
+import { cordStrength, CORDS } from "./familiar.mjs";
+import { effectCapacity, openCapacity } from "./talisman.mjs";
+import { findVirtue } from "./virtue.mjs";
+
+/**
+ * The names of the characteristics by their abbreviations.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const CHARACTERISTIC_NAMES = Object.freeze({
+  Int: "Intelligence",
+  Per: "Perception",
+  Str: "Strength",
+  Sta: "Stamina",
+  Pre: "Presence",
+  Com: "Communication",
+  Dex: "Dexterity",
+  Qik: "Quickness",
+});
+
+/**
+ * The equipment of the characters without an equipment.
+ * @type {Readonly<import("./combat.mjs").Equipment>}
+ */
+export const UNARMED = Object.freeze({ weapon: "Fist" });
+
+/**
+ * A characteristic on a character sheet.
+ * @typedef {Object} SheetCharacteristic
+ * @property {string} abbreviation The abbreviation of the characteristic.
+ * @property {string} name The name of the characteristic.
+ * @property {number} value The score of the characteristic.
+ */
+
+/**
+ * An ability on a character sheet.
+ * @typedef {Object} SheetAbility
+ * @property {string} name The name of the ability.
+ * @property {string} [speciality] The speciality of the ability.
+ * @property {number} xp The experience points of the ability.
+ * @property {number} level The level of the ability.
+ */
+
+/**
+ * An Art on a character sheet.
+ * @typedef {Object} SheetArt
+ * @property {string} name The name of the Art.
+ * @property {string} abbreviation The abbreviation of the Art.
+ * @property {number} xp The experience points of the Art.
+ * @property {number} score The score of the Art.
+ */
+
+/**
+ * A spell on a character sheet.
+ * @typedef {Object} SheetSpell
+ * @property {string} id The identifier of the spell in the catalogue.
+ * @property {string} name The name of the spell. The identifier, if the spell is
+ * missing from the catalogue.
+ * @property {string} [arts] The abbreviated Technique and Form of the spell.
+ * @property {number} [level] The level of the spell.
+ * @property {string} [parameters] The Range, the Duration and the Target of the
+ * spell.
+ * @property {boolean} [ritual] Is the spell a ritual.
+ * @property {number} xp The experience points of the mastery.
+ * @property {number} mastery The mastery score of the spell.
+ */
+
+/**
+ * A Virtue or a Flaw on a character sheet.
+ * @typedef {Object} SheetVirtue
+ * @property {string} name The name of the Virtue or the Flaw.
+ * @property {string} [subject] The subject of the Virtue or the Flaw.
+ * @property {string} [magnitude] The magnitude. Undefined for the entries missing
+ * from the catalogue.
+ * @property {string} [type] The type.
+ * @property {string} [notes] The notes of the character.
+ */
+
+/**
+ * A cord of the bond on a character sheet.
+ * @typedef {Object} SheetCord
+ * @property {string} name The name of the cord.
+ * @property {number} xp The experience points of the cord.
+ * @property {number} strength The strength of the cord.
+ */
+
+/**
+ * The talisman on a character sheet.
+ * @typedef {Object} SheetTalisman
+ * @property {string} name The name of the talisman.
+ * @property {number} capacity The capacity in pawns of vis.
+ * @property {number} open The open capacity.
+ * @property {import("./talisman.mjs").Attunement[]} attunements The attunements.
+ * @property {(import("./talisman.mjs").TalismanEffect & {capacity: number})[]} effects
+ * The enchanted effects with the capacity they use.
+ */
+
+/**
+ * The combat statistics of a character sheet.
+ * @typedef {Object} SheetCombat
+ * @property {import("./combat.mjs").Equipment} equipment The equipment.
+ * @property {number} encumbrance The Encumbrance of the equipment.
+ * @property {Record<keyof import("./combat.mjs").CombatTotals, number>} totals The
+ * combat totals before the die rolls.
+ */
+
+/**
+ * A character sheet.
+ * @typedef {Object} CharacterSheet
+ * @property {string} [id] The identifier of the character.
+ * @property {string} name The name of the character.
+ * @property {string} type The type of the character.
+ * @property {SheetCharacteristic[]} characteristics The characteristics.
+ * @property {SheetAbility[]} abilities The abilities in the alphabetical order.
+ * @property {SheetArt[]} arts The Arts of a magus. Empty for the other characters.
+ * @property {SheetSpell[]} spells The spells in the order of their Arts and levels.
+ * @property {SheetCord[]} [bond] The cords of the bond of a magus with a familiar.
+ * @property {SheetTalisman} [talisman] The talisman of a magus.
+ * @property {number} [might] The Might of a familiar.
+ * @property {import("./familiar.mjs").FamiliarPower[]} [powers] The powers of a
+ * familiar.
+ * @property {SheetVirtue[]} virtues The Virtues.
+ * @property {SheetVirtue[]} flaws The Flaws.
+ * @property {SheetCombat} combat The combat statistics.
+ * @property {string} [notes] The notes.
+ */
+
+/**
+ * Get the abbreviation of an Art.
+ * @param {string} name The name of the Art.
+ * @returns {string} The abbreviation of the Art, for example `Cr` for Creo.
+ */
+export function artAbbreviation(name) {
+  return name.slice(0, 2);
+}
+
+/**
+ * Compare two spells of a sheet by their Arts, levels and names. The spells missing
+ * from the catalogue come last.
+ * @param {SheetSpell} a The first spell.
+ * @param {SheetSpell} b The second spell.
+ * @returns {number} The order of the spells.
+ */
+function compareSpells(a, b) {
+  if ((a.arts === undefined) !== (b.arts === undefined)) {
+    return a.arts === undefined ? 1 : -1;
+  }
+  return (
+    (a.arts ?? "").localeCompare(b.arts ?? "") ||
+    (a.level ?? 0) - (b.level ?? 0) ||
+    a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Create the entry of a Virtue or a Flaw of a sheet.
+ * @param {import("./virtue.mjs").CharacterVirtue} virtue The Virtue or the Flaw of
+ * the character.
+ * @returns {SheetVirtue} The entry of the sheet.
+ */
+function sheetVirtue({ name, subject, notes }) {
+  const definition = findVirtue(name);
+  return {
+    name,
+    ...(subject === undefined ? {} : { subject }),
+    ...(definition === undefined
+      ? {}
+      : { magnitude: definition.magnitude, type: definition.type }),
+    ...(notes === undefined ? {} : { notes }),
+  };
+}
+
+/**
+ * Create the sheet of a valid character.
+ * @param {import("./character.mjs").Character} character The character.
+ * @param {import("./spell.mjs").Spell[]} [spells] The catalogue entries of the
+ * spells known by the character. Defaults to no entries.
+ * @returns {CharacterSheet} The sheet of the character.
+ */
+export function characterSheet(character, spells = []) {
+  const catalogue = new Map(spells.map((spell) => [spell.id, spell]));
+  const equipment = character.equipment ?? UNARMED;
+  const totals = combatTotals({ character, equipment });
+  const virtues = (character.virtues ?? []).map((virtue) => ({
+    kind: findVirtue(virtue.name)?.kind,
+    entry: sheetVirtue(virtue),
+  }));
+  return {
+    ...(character.id === undefined ? {} : { id: character.id }),
+    name: character.name,
+    type: character.type,
+    characteristics: CHARACTERISTICS.map((abbreviation) => ({
+      abbreviation,
+      name: CHARACTERISTIC_NAMES[abbreviation],
+      value: character.characteristics?.[abbreviation] ?? 0,
+    })),
+    abilities: (character.abilities ?? [])
+      .map(({ name, speciality, xp }) => ({
+        name,
+        ...(speciality === undefined ? {} : { speciality }),
+        xp,
+        level: levelForXp(xp, ABILITY_COST_MULTIPLIER),
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    arts:
+      character.type === "magus"
+        ? ARTS.map((name) => {
+            const xp = character.arts?.[name]?.xp ?? 0;
+            return {
+              name,
+              abbreviation: artAbbreviation(name),
+              xp,
+              score: levelForXp(xp, ART_COST_MULTIPLIER),
+            };
+          })
+        : [],
+    spells: (character.spells ?? [])
+      .map(({ spell: id, xp }) => {
+        const spell = catalogue.get(id);
+        return {
+          id,
+          name: spell?.name ?? id,
+          ...(spell === undefined
+            ? {}
+            : {
+                arts: `${artAbbreviation(spell.technique)}${artAbbreviation(
+                  spell.form
+                )}`,
+                level: spell.level,
+                parameters: `${spell.range}/${spell.duration}/${spell.target}`,
+                ritual: spell.ritual === true,
+              }),
+          xp,
+          mastery: levelForXp(xp, ABILITY_COST_MULTIPLIER),
+        };
+      })
+      .sort(compareSpells),
+    ...(character.familiar === undefined
+      ? {}
+      : {
+          bond: CORDS.map((name) => ({
+            name,
+            xp: character.familiar.cords[name]?.xp ?? 0,
+            strength: cordStrength(character, name),
+          })),
+        }),
+    ...(character.talisman === undefined
+      ? {}
+      : {
+          talisman: {
+            name: character.talisman.name,
+            capacity: character.talisman.capacity,
+            open: openCapacity(character.talisman),
+            attunements: character.talisman.attunements ?? [],
+            effects: (character.talisman.effects ?? []).map((effect) => ({
+              ...effect,
+              capacity: effectCapacity(effect.level),
+            })),
+          },
+        }),
+    ...(character.type === "familiar"
+      ? { might: character.might, powers: character.powers ?? [] }
+      : {}),
+    virtues: virtues
+      .filter(({ kind }) => kind !== "flaw")
+      .map(({ entry }) => entry),
+    flaws: virtues
+      .filter(({ kind }) => kind === "flaw")
+      .map(({ entry }) => entry),
+    combat: {
+      equipment,
+      encumbrance: encumbrance(character, equipment),
+      totals: Object.fromEntries(
+        Object.entries(totals).map(([name, { total }]) => [name, total])
+      ),
+    },
+    ...(character.notes === undefined ? {} : { notes: character.notes }),
+  };
+}
@@ -0,0 +1,361 @@
+/**
+ * The spell model of the server.
+ *
+ * The level of a Hermetic spell is computed from its base guideline level, and the
+ * magnitudes of its Range, Duration and Target. The Casting Total of a magus adds
+ * the modifiers of the voice and the gestures of the casting to the Arts.
+ * @module model/spell
+ */
+
+import { ARTS, artScore, FORMS, TECHNIQUES } from "./character.mjs";
+import { bondBonuses } from "./familiar.mjs";
+import { attunementBonuses } from "./talisman.mjs";
+import { ignoredCastingPenalties, traitBonuses } from "./virtue.mjs";
+
+/**
+ * The magnitudes of the spell Ranges.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const RANGES = Object.freeze({
+  Personal: 0,
+  Touch: 1,
+  Eye: 1,
+  Voice: 2,
+  Sight: 3,
+  "Arcane Connection": 4,
+});
+
+/**
+ * The magnitudes of the spell Durations.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const DURATIONS = Object.freeze({
+  Momentary: 0,
+  Concentration: 1,
+  Diameter: 1,
+  Sun: 2,
+  Ring: 2,
+  Moon: 3,
+  Year: 4,
+});
+
+/**
+ * The magnitudes of the spell Targets.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const TARGETS = Object.freeze({
+  Individual: 0,
+  Circle: 0,
+  Part: 1,
+  Group: 2,
+  Room: 2,
+  Structure: 3,
+  Boundary: 4,
+  Taste: 0,
+  Touch: 1,
+  Smell: 2,
+  Hearing: 3,
+  Vision: 4,
+});
+
+/**
+ * The Casting Total modifiers of the voice of the caster.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const VOICE_MODIFIERS = Object.freeze({
+  loud: 1,
+  firm: 0,
+  quiet: -5,
+  silent: -10,
+});
+
+/**
+ * The Casting Total modifiers of the gestures of the caster.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const GESTURE_MODIFIERS = Object.freeze({
+  exaggerated: 1,
+  bold: 0,
+  subtle: -2,
+  none: -5,
+});
+
+/**
+ * The largest allowed additional magnitudes of a spell.
+ * @type {number}
+ */
+export const MAX_EXTRA_MAGNITUDES = 50;
+
+/**
+ * A spell of the catalogue.
+ * @typedef {Object} Spell
+ * @property {string} [id] The identifier of the spell.
+ * @property {string} name The name of the spell.
+ * @property {string} technique The Technique of the spell.
+ * @property {string} form The Form of the spell.
+ * @property {string[]} [requisites] The requisite Arts of the spell.
+ * @property {string} range The Range of the spell.
+ * @property {string} duration The Duration of the spell.
+ * @property {string} target The Target of the spell.
+ * @property {number} base The base level of the guideline.
+ * @property {number} [extraMagnitudes=0] The additional magnitudes of the spell.
+ * @property {number} level The declared level of the spell.
+ * @property {boolean} [ritual=false] Is the spell a ritual.
+ * @property {string} [description] The description of the spell.
+ * @property {number} [computedLevel] The level computed from the parameters.
+ */
+
+/**
+ * Add magnitudes to a spell level. Below level 5, a magnitude adds one level, and
+ * from level 5 on five levels.
+ * @param {number} level The level.
+ * @param {number} magnitudes The added magnitudes. Negative magnitudes lower the
+ * level.
+ * @returns {number} The resulting level.
+ */
+export function addMagnitudes(level, magnitudes) {
+  if (magnitudes >= 0) {
+    const ones = level < 5 ? Math.min(magnitudes, 5 - level) : 0;
+    return level + ones + 5 * (magnitudes - ones);
+  }
+  const fives =
+    level > 5 ? Math.min(-magnitudes, Math.ceil((level - 5) / 5)) : 0;
+  const result = level - 5 * fives;
+  return result - Math.min(-magnitudes - fives, Math.max(0, result - 1));
+}
+
+/**
+ * Compute the level of a spell from its parameters.
+ * @param {Spell} spell The spell.
+ * @returns {number} The level of the spell.
+ */
+export function spellLevel(spell) {
+  return addMagnitudes(
+    spell.base,
+    RANGES[spell.range] +
+      DURATIONS[spell.duration] +
+      TARGETS[spell.target] +
+      (spell.extraMagnitudes ?? 0)
+  );
+}
+
+/**
+ * Validate a spell document.
+ * @param {any} spell The validated spell.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues.
+ */
+export function validateSpell(spell) {
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if (!(spell instanceof Object) || Array.isArray(spell)) {
+    return [{ path: "$", message: "Spell must be an object" }];
+  }
+  if (typeof spell.name !== "string" || spell.name.trim() === "") {
+    issues.push({ path: "$.name", message: "Spell name is required" });
+  }
+  [
+    ["technique", TECHNIQUES],
+    ["form", FORMS],
+    ["range", Object.keys(RANGES)],
+    ["duration", Object.keys(DURATIONS)],
+    ["target", Object.keys(TARGETS)],
+  ].forEach(([property, values]) => {
+    if (!values.includes(spell[property])) {
+      issues.push({
+        path: `$.${property}`,
+        message: `Property ${property} must be one of ${values.join(", ")}`,
+      });
+    }
+  });
+  if ("requisites" in spell) {
+    if (!Array.isArray(spell.requisites)) {
+      issues.push({
+        path: "$.requisites",
+        message: "Requisites must be an array",
+      });
+    } else {
+      spell.requisites.forEach((requisite, index) => {
+        if (!ARTS.includes(requisite)) {
+          issues.push({
+            path: `$.requisites[${index}]`,
+            message: `Unknown Art ${requisite}`,
+          });
+        }
+      });
+    }
+  }
+  [
+    ["base", 1],
+    ["level", 1],
+  ].forEach(([property, min]) => {
+    if (!Number.isInteger(spell[property]) || spell[property] < min) {
+      issues.push({
+        path: `$.${property}`,
+        message: `Property ${property} must be an integer of at least ${min}`,
+      });
+    }
+  });
+  if (
+    "extraMagnitudes" in spell &&
+    (!Number.isInteger(spell.extraMagnitudes) ||
+      spell.extraMagnitudes < 0 ||
+      spell.extraMagnitudes > MAX_EXTRA_MAGNITUDES)
+  ) {
+    issues.push({
+      path: "$.extraMagnitudes",
+      message: `Additional magnitudes must be an integer from 0 to ${MAX_EXTRA_MAGNITUDES}`,
+    });
+  }
+  if ("ritual" in spell && typeof spell.ritual !== "boolean") {
+    issues.push({ path: "$.ritual", message: "Ritual must be a boolean" });
+  }
+  if ("description" in spell && typeof spell.description !== "string") {
+    issues.push({
+      path: "$.description",
+      message: "Description must be a string",
+    });
+  }
+  return issues;
+}
+
+/**
+ * Check the declared level of a valid spell against its parameters.
+ * @param {Spell} spell The checked spell.
+ * @returns {import("./character.mjs").ValidationIssue[]} The issue of the level
+ * mismatch, or an empty list, if the level matches.
+ */
+export function checkSpellLevel(spell) {
+  const computed = spellLevel(spell);
+  return computed === spell.level
+    ? []
+    : [
+        {
+          path: "$.level",
+          message: `Level ${spell.level} does not match the computed level ${computed}`,
+        },
+      ];
+}
+
+/**
+ * Create a normalized copy of a valid spell with the computed level.
+ * @param {Spell} spell The normalized spell.
+ * @returns {Spell} The normalized spell.
+ */
+export function normalizeSpell(spell) {
+  return {
+    ...spell,
+    requisites: spell.requisites ?? [],
+    extraMagnitudes: spell.extraMagnitudes ?? 0,
+    ritual: spell.ritual ?? false,
+    computedLevel: spellLevel(spell),
+  };
+}
+
+/**
+ * The search criteria of the spells.
+ * @typedef {Object} SpellQuery
+ * @property {string} [technique] The Technique of the spells.
+ * @property {string} [form] The Form of the spells.
+ * @property {number} [levelMin] The smallest level of the spells.
+ * @property {number} [levelMax] The largest level of the spells.
+ * @property {string} [keyword] The keyword searched from the name and the
+ * description, ignoring the case.
+ * @property {boolean} [mismatch] Select spells whose declared level does or does not
+ * match the computed level.
+ */
+
+/**
+ * Create the predicate of a spell search.
+ * @param {SpellQuery} query The search criteria.
+ * @returns {(spell: Spell) => boolean} The predicate accepting the spells matching
+ * the criteria.
+ */
+export function spellFilter({
+  technique,
+  form,
+  levelMin,
+  levelMax,
+  keyword,
+  mismatch,
+}) {
+  const needle = keyword?.toLowerCase();
+  return (spell) =>
+    (technique === undefined || spell.technique === technique) &&
+    (form === undefined || spell.form === form) &&
+    (levelMin === undefined || spell.level >= levelMin) &&
+    (levelMax === undefined || spell.level <= levelMax) &&
+    (needle === undefined ||
+      spell.name.toLowerCase().includes(needle) ||
+      (spell.description ?? "").toLowerCase().includes(needle)) &&
+    (mismatch === undefined ||
+      (spell.computedLevel !== spell.level) === mismatch);
+}
+
+/**
+ * The parameters of a Casting Total.
+ * @typedef {Object} CastingTotalParameters
+ * @property {import("./character.mjs").Character} magus The casting magus.
+ * @property {string} technique The Technique of the spell.
+ * @property {string} form The Form of the spell.
+ * @property {number} [aura=0] The magical aura.
+ * @property {string} [voice="firm"] The voice of the casting.
+ * @property {string} [gestures="bold"] The gestures of the casting.
+ */
+
+/**
+ * Compute a Casting Total before the die roll. The Puissant Virtues of the magus add
+ * to the Arts, and a Deft Form ignores the penalties of the voice and the gestures.
+ * The Golden cord of the bond with the familiar and the attunements of the talisman
+ * to the Arts of the spell add to the total.
+ * @param {CastingTotalParameters} parameters The parameters of the Casting Total.
+ * @returns {import("./lab.mjs").LabTotal} The Casting Total with its breakdown.
+ * @throws {RangeError} The parameters were invalid.
+ */
+export function castingTotal({
+  magus,
+  technique,
+  form,
+  aura = 0,
+  voice = "firm",
+  gestures = "bold",
+}) {
+  if (!TECHNIQUES.includes(technique) || !FORMS.includes(form)) {
+    throw new RangeError(`Invalid Arts ${technique} ${form}`);
+  }
+  if (!(voice in VOICE_MODIFIERS) || !(gestures in GESTURE_MODIFIERS)) {
+    throw new RangeError(
+      `Invalid casting with ${voice} voice and ${gestures} gestures`
+    );
+  }
+  const ignored = ignoredCastingPenalties(magus, form);
+  /**
+   * Get the casting modifier the magus suffers.
+   * @param {string} penalty The name of the penalty.
+   * @param {number} value The modifier.
+   * @returns {number} The modifier, or zero, if the magus ignores the penalty.
+   */
+  const casting = (penalty, value) =>
+    value < 0 && ignored.has(penalty) ? 0 : value;
+  /** @type {import("./lab.mjs").Modifier[]} */
+  const breakdown = [
+    { name: technique, value: artScore(magus, technique) },
+    { name: form, value: artScore(magus, form) },
+    ...traitBonuses(magus, [
+      ["art", technique],
+      ["art", form],
+    ]),
+    { name: "Stamina", value: magus.characteristics?.Sta ?? 0 },
+    ...bondBonuses(magus, "casting"),
+    ...attunementBonuses(magus, technique, form),
+    { name: "Aura", value: aura },
+    { name: "Voice", value: casting("voice", VOICE_MODIFIERS[voice]) },
+    {
+      name: "Gestures",
+      value: casting("gestures", GESTURE_MODIFIERS[gestures]),
+    },
+  ];
+  return {
+    total: breakdown.reduce((total, { value }) => total + value, 0),
+    breakdown,
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * The talismans of the magi.
+ *
+ * A talisman is an item a magus has opened for enchantment and bound to the magus.
+ * The capacity of the talisman is the number of pawns of vis spent opening it. Every
+ * effect enchanted into the talisman uses a tenth of its level of the capacity
+ * rounded up, like the vis of an enchanted item, and the rest of the capacity stays
+ * open. The attunements are the shape and material bonuses the magus has attuned
+ * the talisman to, and add to the Casting Totals of the spells of their Arts.
+ * @module model/talisman
+ */
+
+import { ARTS } from "./character.mjs";
+
+/**
+ * An attunement of a talisman.
+ * @typedef {Object} Attunement
+ * @property {string} name The name of the shape or material bonus.
+ * @property {number} bonus The bonus of the attunement.
+ * @property {string} art The Art the bonus applies to.
+ */
+
+/**
+ * An effect enchanted into a talisman.
+ * @typedef {Object} TalismanEffect
+ * @property {string} name The name of the effect.
+ * @property {number} level The level of the effect.
+ */
+
+/**
+ * The talisman of a magus.
+ * @typedef {Object} Talisman
+ * @property {string} name The name of the talisman.
+ * @property {number} capacity The capacity of the talisman in pawns of vis.
+ * @property {Attunement[]} [attunements] The attunements of the talisman.
+ * @property {TalismanEffect[]} [effects] The enchanted effects.
+ */
+
+/**
+ * Test whether a value is a positive integer.
+ * @param {any} value The tested value.
+ * @returns {boolean} True, if and only if the value is a positive integer.
+ */
+function isPositive(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Get the capacity an enchanted effect uses.
+ * @param {number} level The level of the effect.
+ * @returns {number} The pawns of the capacity the effect uses.
+ */
+export function effectCapacity(level) {
+  return Math.ceil(level / 10);
+}
+
+/**
+ * Get the open capacity of a talisman.
+ * @param {Talisman} talisman The talisman.
+ * @returns {number} The capacity not used by the enchanted effects.
+ */
+export function openCapacity(talisman) {
+  return (talisman.effects ?? []).reduce(
+    (open, { level }) => open - effectCapacity(level),
+    talisman.capacity
+  );
+}
+
+/**
+ * Get the bonuses the attunements of the talisman of a magus add to a Casting Total.
+ * @param {import("./character.mjs").Character} character The magus.
+ * @param {string} technique The Technique of the spell.
+ * @param {string} form The Form of the spell.
+ * @returns {import("./lab.mjs").Modifier[]} The attunements to the Technique or the
+ * Form with their bonuses.
+ */
+export function attunementBonuses(character, technique, form) {
+  return (character.talisman?.attunements ?? [])
+    .filter(({ art }) => art === technique || art === form)
+    .map(({ name, bonus }) => ({ name: `Talisman ${name}`, value: bonus }));
+}
+
+/**
+ * Validate a talisman.
+ * @param {any} talisman The validated talisman.
+ * @param {string} [path="$.talisman"] The JSON path of the talisman.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues. An
+ * empty list, if the talisman is valid.
+ */
+export function validateTalisman(talisman, path = "$.talisman") {
+  if (!(talisman instanceof Object) || Array.isArray(talisman)) {
+    return [{ path, message: "Talisman must be an object" }];
+  }
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if (typeof talisman.name !== "string" || talisman.name.trim() === "") {
+    issues.push({ path: `${path}.name`, message: "Talisman name is required" });
+  }
+  if (!isPositive(talisman.capacity)) {
+    issues.push({
+      path: `${path}.capacity`,
+      message: "Capacity must be a positive integer",
+    });
+  }
+  if ("attunements" in talisman) {
+    if (!Array.isArray(talisman.attunements)) {
+      issues.push({
+        path: `${path}.attunements`,
+        message: "Attunements must be an array",
+      });
+    } else {
+      talisman.attunements.forEach((attunement, index) => {
+        const attunementPath = `${path}.attunements[${index}]`;
+        if (
+          typeof attunement?.name !== "string" ||
+          attunement.name.trim() === ""
+        ) {
+          issues.push({
+            path: `${attunementPath}.name`,
+            message: "Attunement name is required",
+          });
+        }
+        if (!isPositive(attunement?.bonus)) {
+          issues.push({
+            path: `${attunementPath}.bonus`,
+            message: "Bonus must be a positive integer",
+          });
+        }
+        if (!ARTS.includes(attunement?.art)) {
+          issues.push({
+            path: `${attunementPath}.art`,
+            message: `Art must be one of ${ARTS.join(", ")}`,
+          });
+        }
+      });
+    }
+  }
+  if ("effects" in talisman) {
+    if (!Array.isArray(talisman.effects)) {
+      issues.push({
+        path: `${path}.effects`,
+        message: "Effects must be an array",
+      });
+    } else {
+      talisman.effects.forEach((effect, index) => {
+        const effectPath = `${path}.effects[${index}]`;
+        if (typeof effect?.name !== "string" || effect.name.trim() === "") {
+          issues.push({
+            path: `${effectPath}.name`,
+            message: "Effect name is required",
+          });
+        }
+        if (!isPositive(effect?.level)) {
+          issues.push({
+            path: `${effectPath}.level`,
+            message: "Level must be a positive integer",
+          });
+        }
+      });
+    }
+  }
+  if (issues.length === 0 && openCapacity(talisman) < 0) {
+    issues.push({
+      path: `${path}.effects`,
+      message: `The effects use ${
+        talisman.capacity - openCapacity(talisman)
+      } pawns of the capacity ${talisman.capacity}`,
+    });
+  }
+  return issues;
+}
+
+/**
+ * Validate the talisman of a character. Only the magi have talismans.
+ * @param {any} character The validated character.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues. An
+ * empty list, if the character has no talisman or the talisman is valid.
+ */
+export function validateTalismanProperty(character) {
+  if (!(character instanceof Object) || !("talisman" in character)) {
+    return [];
+  }
+  if (character.type !== "magus") {
+    return [{ path: "$.talisman", message: "Only magi have talismans" }];
+  }
+  return validateTalisman(character.talisman);
+}
@@ -0,0 +1,719 @@
+/**
+ * The seasonal timeline of the saga.
+ *
+ * The timeline records the activity of each character for each season. Resolving a
+ * season turns the activities into experience spent through the advancement of the
+ * characters. The characters are snapshotted before each resolved season, allowing
+ * the history to be replayed from any earlier season.
+ * @module model/timeline
+ */
+
+import { advance } from "./advancement.mjs";
+import {
+  ABILITY_COST_MULTIPLIER,
+  ART_COST_MULTIPLIER,
+  ARTS,
+  EXPERIENCE_MESSAGE,
+  isExperience,
+  levelForXp,
+  xpForLevel,
+} from "./character.mjs";
+import { SEASONS } from "./covenant.mjs";
+import { advancementOptions } from "./virtue.mjs";
+
+/**
+ * The activity types of a season.
+ * @type {Readonly<string[]>}
+ */
+export const ACTIVITY_TYPES = Object.freeze([
+  "study",
+  "practice",
+  "adventure",
+  "lab",
+  "teaching",
+  "exposure",
+  "visStudy",
+]);
+
+/**
+ * The experience gained from exposure.
+ */
+export const EXPOSURE_XP = 2;
+
+/**
+ * The default experience gained from practice.
+ */
+export const PRACTICE_XP = 4;
+
+/**
+ * The default experience gained from an adventure.
+ */
+export const ADVENTURE_XP = 5;
+
+/**
+ * The days of distraction a season tolerates without penalty. A character
+ * distracted for longer gains only exposure experience from the activity.
+ */
+export const MAX_DISTRACTION_DAYS = 10;
+
+/**
+ * The activity types not affected by distractions.
+ * @type {Readonly<string[]>}
+ */
+const UNDISTRACTED_ACTIVITIES = Object.freeze(["adventure", "exposure"]);
+
+/**
+ * A season of a year.
+ * @typedef {Object} Season
+ * @property {number} year The year.
+ * @property {"spring"|"summer"|"autumn"|"winter"} season The season of the year.
+ */
+
+/**
+ * The trait advanced by an activity.
+ * @typedef {Object} ActivityTarget
+ * @property {"ability"|"art"} kind The kind of the trait.
+ * @property {string} name The name of the trait.
+ */
+
+/**
+ * An activity of a character during a season.
+ * @typedef {Object} Activity
+ * @property {string} type The activity type.
+ * @property {ActivityTarget} [target] The trait advanced by the activity.
+ * @property {number} [xp] The experience of an adventure or practice.
+ * @property {number} [quality] The source quality of the studied source.
+ * @property {number} [level] The level of a studied summa limiting the advancement.
+ * @property {number} [roll] The die roll of a vis study.
+ * @property {string[]} [students] The identifiers of the taught characters.
+ * @property {number} [distraction] The days the character was distracted.
+ */
+
+/**
+ * An entry of the timeline.
+ * @typedef {Object} TimelineEntry
+ * @property {number} year The year of the entry.
+ * @property {"spring"|"summer"|"autumn"|"winter"} season The season of the entry.
+ * @property {string} character The identifier of the character.
+ * @property {Activity} activity The activity of the character.
+ */
+
+/**
+ * The outcome of a season for a character.
+ * @typedef {Object} SeasonOutcome
+ * @property {string} character The identifier of the character.
+ * @property {string} activity The activity type of the character.
+ * @property {string} [teacher] The identifier of the teacher of a taught
+ * character.
+ * @property {boolean} distracted Was the activity ruined by the distractions.
+ * @property {number} xp The experience gained.
+ * @property {import("./advancement.mjs").AdvancementChange[]} changes The changes
+ * of the character.
+ */
+
+/**
+ * A timeline of a covenant.
+ * @typedef {Object} Timeline
+ * @property {string} [id] The identifier of the timeline.
+ * @property {string} covenant The identifier of the covenant.
+ * @property {Season} start The first season of the timeline.
+ * @property {Season} current The first unresolved season.
+ * @property {TimelineEntry[]} entries The recorded activities.
+ * @property {Record<string, Record<string, import("./character.mjs").Character>>} snapshots
+ * The characters before the resolution of a season by the season keys.
+ * @property {Record<string, SeasonOutcome[]>} outcomes The outcomes of the resolved
+ * seasons by the season keys.
+ */
+
+/**
+ * The error indicating the timeline operation was invalid.
+ */
+export class TimelineError extends RangeError {
+  /**
+   * Create a new timeline error.
+   * @param {string} message The message of the error.
+   * @param {import("./character.mjs").ValidationIssue[]} [issues] The issues of the
+   * operation.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The issues of the operation.
+     * @type {import("./character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Test whether a value is a season.
+ * @param {any} value The tested value.
+ * @returns {boolean} True, if and only if the value is a season.
+ */
+export function isSeason(value) {
+  return (
+    value instanceof Object &&
+    Number.isInteger(value.year) &&
+    SEASONS.includes(value.season)
+  );
+}
+
+/**
+ * Get the key of a season.
+ * @param {Season} season The season.
+ * @returns {string} The key of the season.
+ */
+export function seasonKey({ year, season }) {
+  return `${year}-${season}`;
+}
+
+/**
+ * Compare two seasons.
+ * @param {Season} a The first season.
+ * @param {Season} b The second season.
+ * @returns {number} Negative, if the first season is earlier, positive, if it is
+ * later, and zero, if the seasons are the same.
+ */
+export function compareSeasons(a, b) {
+  return (
+    a.year - b.year || SEASONS.indexOf(a.season) - SEASONS.indexOf(b.season)
+  );
+}
+
+/**
+ * Get the season following a season.
+ * @param {Season} season The season.
+ * @returns {Season} The next season.
+ */
+export function nextSeason({ year, season }) {
+  const index = SEASONS.indexOf(season);
+  return index === SEASONS.length - 1
+    ? { year: year + 1, season: SEASONS[0] }
+    : { year, season: SEASONS[index + 1] };
+}
+
+/**
+ * Get the season preceding a season.
+ * @param {Season} season The season.
+ * @returns {Season} The previous season.
+ */
+export function previousSeason({ year, season }) {
+  const index = SEASONS.indexOf(season);
+  return index === 0
+    ? { year: year - 1, season: SEASONS[SEASONS.length - 1] }
+    : { year, season: SEASONS[index - 1] };
+}
+
+/**
+ * Parse a season key.
+ * @param {string} key The season key.
+ * @returns {Season} The season of the key.
+ * @throws {SyntaxError} The key was invalid.
+ */
+export function parseSeasonKey(key) {
+  const match = /^(-?\d+)-(\w+)$/.exec(key);
+  if (match === null || !SEASONS.includes(match[2])) {
+    throw new SyntaxError(`Invalid season key ${key}`);
+  }
+  return { year: Number(match[1]), season: match[2] };
+}
+
+/**
+ * Create a new timeline.
+ * @param {string} covenant The identifier of the covenant.
+ * @param {Season} start The first season of the timeline.
+ * @returns {Timeline} The empty timeline.
+ */
+export function createTimeline(covenant, start) {
+  return {
+    covenant,
+    start: { ...start },
+    current: { ...start },
+    entries: [],
+    snapshots: {},
+    outcomes: {},
+  };
+}
+
+/**
+ * Validate an activity.
+ * @param {any} activity The validated activity.
+ * @param {string} [path="$"] The JSON path of the activity.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues.
+ */
+export function validateActivity(activity, path = "$") {
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if (!(activity instanceof Object) || Array.isArray(activity)) {
+    return [{ path, message: "Activity must be an object" }];
+  }
+  if (!ACTIVITY_TYPES.includes(activity.type)) {
+    issues.push({
+      path: `${path}.type`,
+      message: `Activity type must be one of ${ACTIVITY_TYPES.join(", ")}`,
+    });
+    return issues;
+  }
+  const { target } = activity;
+  if (activity.type !== "lab" || target !== undefined) {
+    if (
+      !(target instanceof Object) ||
+      !["ability", "art"].includes(target.kind) ||
+      typeof target.name !== "string" ||
+      target.name === ""
+    ) {
+      issues.push({
+        path: `${path}.target`,
+        message: "Target must have kind ability or art, and a name",
+      });
+    } else if (target.kind === "art" && !ARTS.includes(target.name)) {
+      issues.push({
+        path: `${path}.target.name`,
+        message: `Unknown Art ${target.name}`,
+      });
+    } else if (activity.type === "visStudy" && target.kind !== "art") {
+      issues.push({
+        path: `${path}.target.kind`,
+        message: "Vis study advances only Arts",
+      });
+    }
+  }
+  [
+    ["xp", ["adventure", "practice"]],
+    ["quality", ["study"]],
+    ["level", ["study"]],
+    ["roll", ["visStudy"]],
+    ["distraction", ACTIVITY_TYPES],
+  ].forEach(([property, types]) => {
+    if (property in activity) {
+      if (!types.includes(activity.type)) {
+        issues.push({
+          path: `${path}.${property}`,
+          message: `Property ${property} is not allowed for ${activity.type}`,
+        });
+      } else if (
+        !Number.isInteger(activity[property]) ||
+        activity[property] < 0
+      ) {
+        issues.push({
+          path: `${path}.${property}`,
+          message: `Property ${property} must be a non-negative integer`,
+        });
+      } else if (property === "xp" && !isExperience(activity.xp)) {
+        issues.push({ path: `${path}.xp`, message: EXPERIENCE_MESSAGE });
+      }
+    }
+  });
+  if (activity.type === "study" && !("quality" in activity)) {
+    issues.push({
+      path: `${path}.quality`,
+      message: "Study requires the source quality",
+    });
+  }
+  if (activity.type === "visStudy" && !("roll" in activity)) {
+    issues.push({ path: `${path}.roll`, message: "Vis study requires a roll" });
+  }
+  if (activity.type === "teaching") {
+    if (
+      !Array.isArray(activity.students) ||
+      activity.students.length === 0 ||
+      !activity.students.every((student) => typeof student === "string")
+    ) {
+      issues.push({
+        path: `${path}.students`,
+        message: "Teaching requires the identifiers of the students",
+      });
+    }
+  } else if ("students" in activity) {
+    issues.push({
+      path: `${path}.students`,
+      message: `Property students is not allowed for ${activity.type}`,
+    });
+  }
+  return issues;
+}
+
+/**
+ * Get the cost multiplier of a trait.
+ * @param {ActivityTarget} target The trait.
+ * @returns {number} The cost multiplier of the trait.
+ */
+function costMultiplier(target) {
+  return target.kind === "art" ? ART_COST_MULTIPLIER : ABILITY_COST_MULTIPLIER;
+}
+
+/**
+ * Get the current experience of a trait of a character.
+ * @param {import("./character.mjs").Character} character The character.
+ * @param {ActivityTarget} target The trait.
+ * @returns {number} The experience of the trait.
+ */
+export function traitXp(character, target) {
+  if (target.kind === "art") {
+    return character.arts?.[target.name]?.xp ?? 0;
+  }
+  return (
+    (character.abilities ?? []).find((ability) => ability.name === target.name)
+      ?.xp ?? 0
+  );
+}
+
+/**
+ * Get the current level of a trait of a character.
+ * @param {import("./character.mjs").Character} character The character.
+ * @param {ActivityTarget} target The trait.
+ * @returns {number} The level of the ability or the score of the Art.
+ */
+export function traitLevel(character, target) {
+  return levelForXp(traitXp(character, target), costMultiplier(target));
+}
+
+/**
+ * Limit the experience gained so that the trait does not exceed a level.
+ * @param {import("./character.mjs").Character} character The advanced character.
+ * @param {ActivityTarget} target The advanced trait.
+ * @param {number} xp The experience gained.
+ * @param {number} limit The highest level reachable.
+ * @returns {number} The experience gained without exceeding the level.
+ */
+export function limitedXp(character, target, xp, limit) {
+  const cap = xpForLevel(limit, costMultiplier(target));
+  return Math.max(0, Math.min(xp, cap - traitXp(character, target)));
+}
+
+/**
+ * Get the source quality of teaching.
+ * @param {import("./character.mjs").Character} teacher The teacher.
+ * @param {number} students The number of students.
+ * @returns {number} The source quality: Communication + Teaching + 3, with a bonus
+ * of 6 for a single student, and 3 for two students.
+ */
+export function teachingQuality(teacher, students) {
+  const bonus = students === 1 ? 6 : students === 2 ? 3 : 0;
+  return (
+    (teacher.characteristics?.Com ?? 0) +
+    traitLevel(teacher, { kind: "ability", name: "Teaching" }) +
+    3 +
+    bonus
+  );
+}
+
+/**
+ * Apply experience to a trait of a character.
+ * @param {import("./character.mjs").Character} character The character.
+ * @param {ActivityTarget} target The advanced trait.
+ * @param {number} xp The experience gained.
+ * @returns {import("./advancement.mjs").AdvancementResult} The advancement.
+ */
+function applyXp(character, target, xp) {
+  return advance(
+    character,
+    {
+      xp,
+      ...(xp === 0
+        ? {}
+        : {
+            [target.kind === "art" ? "arts" : "abilities"]: [
+              { name: target.name, xp },
+            ],
+          }),
+    },
+    advancementOptions(character)
+  );
+}
+
+/**
+ * Resolve the activities of a season.
+ * @param {TimelineEntry[]} entries The activities of the season.
+ * @param {Record<string, import("./character.mjs").Character>} characters The
+ * characters by their identifiers.
+ * @param {Object} [context] The context of the season.
+ * @param {number} [context.aura=0] The aura of the covenant.
+ * @returns {{characters: Record<string, import("./character.mjs").Character>, outcomes: SeasonOutcome[]}}
+ * The advanced characters, and the outcomes of the season.
+ * @throws {TimelineError} The activities could not be resolved.
+ */
+export function resolveSeason(entries, characters, { aura = 0 } = {}) {
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  const result = { ...characters };
+  /** @type {Map<string, TimelineEntry>} */
+  const byCharacter = new Map();
+  entries.forEach((entry, index) => {
+    if (!(entry.character in characters)) {
+      issues.push({
+        path: `$[${index}].character`,
+        message: `Unknown character ${entry.character}`,
+      });
+    } else if (byCharacter.has(entry.character)) {
+      issues.push({
+        path: `$[${index}].character`,
+        message: `Character ${entry.character} has several activities`,
+      });
+    }
+    byCharacter.set(entry.character, entry);
+  });
+
+  /** @type {Map<string, {teacher: string, target: ActivityTarget, distracted: boolean, quality: number, limit: number}>} */
+  const lessons = new Map();
+  entries.forEach((entry, index) => {
+    const { activity } = entry;
+    if (activity.type !== "teaching") {
+      return;
+    }
+    const teacher = characters[entry.character];
+    activity.students.forEach((student, studentIndex) => {
+      const path = `$[${index}].activity.students[${studentIndex}]`;
+      if (!(student in characters)) {
+        issues.push({ path, message: `Unknown student ${student}` });
+      } else if (byCharacter.has(student) || lessons.has(student)) {
+        issues.push({
+          path,
+          message: `Student ${student} is already occupied this season`,
+        });
+      } else if (teacher !== undefined) {
+        lessons.set(student, {
+          teacher: entry.character,
+          target: activity.target,
+          distracted: (activity.distraction ?? 0) > MAX_DISTRACTION_DAYS,
+          quality: teachingQuality(teacher, activity.students.length),
+          limit: traitLevel(teacher, activity.target),
+        });
+      }
+    });
+  });
+  if (issues.length > 0) {
+    throw new TimelineError("Unresolvable season", issues);
+  }
+
+  /** @type {SeasonOutcome[]} */
+  const outcomes = [];
+  entries.forEach(({ character: id, activity }) => {
+    const character = characters[id];
+    const distracted =
+      !UNDISTRACTED_ACTIVITIES.includes(activity.type) &&
+      (activity.distraction ?? 0) > MAX_DISTRACTION_DAYS;
+    let target = activity.target;
+    let xp;
+    if (distracted || activity.type === "exposure") {
+      xp = EXPOSURE_XP;
+    } else {
+      switch (activity.type) {
+        case "study":
+          xp =
+            activity.level === undefined
+              ? activity.quality
+              : limitedXp(character, target, activity.quality, activity.level);
+          break;
+        case "practice":
+          xp = activity.xp ?? PRACTICE_XP;
+          break;
+        case "adventure":
+          xp = activity.xp ?? ADVENTURE_XP;
+          break;
+        case "visStudy":
+          xp = activity.roll + aura;
+          break;
+        case "lab":
+        case "teaching":
+          xp = EXPOSURE_XP;
+          break;
+      }
+    }
+    if (activity.type === "teaching") {
+      // The teacher gains exposure in Teaching instead of the taught subject.
+      target = { kind: "ability", name: "Teaching" };
+    } else if (target === undefined) {
+      target = { kind: "ability", name: "Magic Theory" };
+    }
+    const advanced = applyXp(character, target, xp);
+    result[id] = advanced.character;
+    outcomes.push({
+      character: id,
+      activity: activity.type,
+      distracted,
+      xp,
+      changes: advanced.changes,
+    });
+  });
+  lessons.forEach(({ teacher, target, quality, limit, distracted }, id) => {
+    const student = characters[id];
+    const xp = distracted
+      ? EXPOSURE_XP
+      : limitedXp(student, target, quality, limit);
+    const advanced = applyXp(student, target, xp);
+    result[id] = advanced.character;
+    outcomes.push({
+      character: id,
+      activity: "taught",
+      teacher,
+      distracted,
+      xp,
+      changes: advanced.changes,
+    });
+  });
+  return { characters: result, outcomes };
+}
+
+/**
+ * Get the identifiers of the characters taking part in a season.
+ * @param {TimelineEntry[]} entries The entries of the season.
+ * @returns {string[]} The identifiers of the characters and their students.
+ */
+export function participants(entries) {
+  return [
+    ...new Set(
+      entries.flatMap(({ character, activity }) => [
+        character,
+        ...(activity.type === "teaching" ? activity.students : []),
+      ])
+    ),
+  ];
+}
+
+/**
+ * Get the entries of a season.
+ * @param {Timeline} timeline The timeline.
+ * @param {Season} season The season.
+ * @returns {TimelineEntry[]} The entries of the season.
+ */
+export function seasonEntries(timeline, season) {
+  return timeline.entries.filter(
+    (entry) => compareSeasons(entry, season) === 0
+  );
+}
+
+/**
+ * Record the activity of a character. The activity replaces the earlier activity of
+ * the character in the same season.
+ * @param {Timeline} timeline The timeline.
+ * @param {TimelineEntry} entry The recorded entry.
+ * @returns {Timeline} The timeline with the entry.
+ * @throws {TimelineError} The entry was invalid.
+ */
+export function recordActivity(timeline, entry) {
+  const issues = [];
+  if (!isSeason(entry)) {
+    issues.push({ path: "$", message: "Entry must have a valid season" });
+  } else if (compareSeasons(entry, timeline.start) < 0) {
+    issues.push({
+      path: "$.year",
+      message: `The timeline starts at ${seasonKey(timeline.start)}`,
+    });
+  }
+  issues.push(...validateActivity(entry.activity, "$.activity"));
+  if (issues.length > 0) {
+    throw new TimelineError("Invalid activity", issues);
+  }
+  const { year, season, character, activity } = entry;
+  return {
+    ...timeline,
+    entries: [
+      ...timeline.entries.filter(
+        (existing) =>
+          existing.character !== character ||
+          compareSeasons(existing, entry) !== 0
+      ),
+      { year, season, character, activity },
+    ],
+  };
+}
+
+/**
+ * Advance the timeline by resolving its current season.
+ * @param {Timeline} timeline The timeline.
+ * @param {Record<string, import("./character.mjs").Character>} characters The
+ * characters of the timeline by their identifiers.
+ * @param {Object} [context] The context of the season.
+ * @param {number} [context.aura=0] The aura of the covenant.
+ * @returns {{timeline: Timeline, characters: Record<string, import("./character.mjs").Character>, outcomes: SeasonOutcome[]}}
+ * The advanced timeline, the characters after the season, and the outcomes.
+ * @throws {TimelineError} The season could not be resolved.
+ */
+export function advanceTimeline(timeline, characters, context = {}) {
+  const key = seasonKey(timeline.current);
+  const entries = seasonEntries(timeline, timeline.current);
+  const involved = participants(entries);
+  const snapshot = Object.fromEntries(
+    involved
+      .filter((id) => id in characters)
+      .map((id) => [id, structuredClone(characters[id])])
+  );
+  const resolved = resolveSeason(entries, characters, context);
+  return {
+    timeline: {
+      ...timeline,
+      current: nextSeason(timeline.current),
+      snapshots: { ...timeline.snapshots, [key]: snapshot },
+      outcomes: { ...timeline.outcomes, [key]: resolved.outcomes },
+    },
+    characters: resolved.characters,
+    outcomes: resolved.outcomes,
+  };
+}
+
+/**
+ * Replay the history of the timeline from a resolved season. The characters are
+ * restored to their state before the season, and all seasons up to the current
+ * season are resolved again using the recorded activities.
+ * @param {Timeline} timeline The timeline.
+ * @param {Season} from The first replayed season.
+ * @param {Record<string, import("./character.mjs").Character>} characters The
+ * current characters by their identifiers.
+ * @param {Object} [context] The context of the seasons.
+ * @param {number} [context.aura=0] The aura of the covenant.
+ * @returns {{timeline: Timeline, characters: Record<string, import("./character.mjs").Character>, outcomes: Record<string, SeasonOutcome[]>}}
+ * The replayed timeline, the characters after the replay, and the outcomes of the
+ * replayed seasons.
+ * @throws {TimelineError} The season has not been resolved, or the replay failed.
+ */
+export function replayTimeline(timeline, from, characters, context = {}) {
+  if (
+    !isSeason(from) ||
+    compareSeasons(from, timeline.start) < 0 ||
+    compareSeasons(from, timeline.current) >= 0
+  ) {
+    throw new TimelineError("Invalid replay season", [
+      {
+        path: "$.from",
+        message: `The replayed season must be a resolved season from ${seasonKey(
+          timeline.start
+        )}`,
+      },
+    ]);
+  }
+  const end = timeline.current;
+  let state = { ...characters };
+  // Restore the earliest snapshot of every character snapshotted since the season.
+  let season = end;
+  while (compareSeasons(season, from) > 0) {
+    season = previousSeason(season);
+    Object.assign(state, timeline.snapshots[seasonKey(season)] ?? {});
+  }
+  let replayed = {
+    ...timeline,
+    current: { ...from },
+    snapshots: Object.fromEntries(
+      Object.entries(timeline.snapshots).filter(
+        ([key]) => compareSeasons(parseSeasonKey(key), from) < 0
+      )
+    ),
+    outcomes: Object.fromEntries(
+      Object.entries(timeline.outcomes).filter(
+        ([key]) => compareSeasons(parseSeasonKey(key), from) < 0
+      )
+    ),
+  };
+  /** @type {Record<string, SeasonOutcome[]>} */
+  const outcomes = {};
+  while (compareSeasons(replayed.current, end) < 0) {
+    const key = seasonKey(replayed.current);
+    const advanced = advanceTimeline(replayed, state, context);
+    replayed = advanced.timeline;
+    state = advanced.characters;
+    outcomes[key] = advanced.outcomes;
+  }
+  return { timeline: replayed, characters: state, outcomes };
+}
@@ -0,0 +1,592 @@
+/**
+ * The Virtues and Flaws of the characters.
+ *
+ * The catalogue describes the Virtues and Flaws with their magnitudes, their types
+ * and the modifiers they apply to the computations of the other models. The
+ * Affinities multiply the experience gained in their subject, the Puissant Virtues
+ * add to the scores of their subject, Deft Form removes the penalties of casting
+ * quietly or without gestures, and Tough adds to the Soak. The character creation
+ * rules balance the points of the Virtues and the Flaws within the limits of the
+ * character type.
+ * @module model/virtue
+ */
+
+import { ARTS, CHARACTER_TYPES, FORMS, TECHNIQUES } from "./character.mjs";
+
+/**
+ * The magnitudes of the Virtues and the Flaws.
+ * @type {Readonly<string[]>}
+ */
+export const MAGNITUDES = Object.freeze(["Major", "Minor", "Free"]);
+
+/**
+ * The points of the magnitudes.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const MAGNITUDE_POINTS = Object.freeze({ Major: 3, Minor: 1, Free: 0 });
+
+/**
+ * The types of the Virtues and the Flaws.
+ * @type {Readonly<string[]>}
+ */
+export const VIRTUE_TYPES = Object.freeze([
+  "Special",
+  "Hermetic",
+  "Supernatural",
+  "General",
+  "Social Status",
+  "Story",
+  "Personality",
+]);
+
+/**
+ * The kinds of the subjects the Virtues and Flaws are taken for.
+ * @type {Readonly<string[]>}
+ */
+export const SUBJECT_KINDS = Object.freeze([
+  "art",
+  "technique",
+  "form",
+  "ability",
+]);
+
+/**
+ * The limits of the Virtues and the Flaws of a character type.
+ * @typedef {Object} VirtueLimits
+ * @property {number} flawPoints The largest number of Flaw points.
+ * @property {boolean} major May the character take Major Virtues and Flaws.
+ * @property {string[]} required The Virtues the character must have.
+ */
+
+/**
+ * The limits of the Virtues and the Flaws of the character types.
+ * @type {Readonly<Record<string, Readonly<VirtueLimits>>>}
+ */
+export const VIRTUE_LIMITS = Object.freeze({
+  magus: Object.freeze({ flawPoints: 10, major: true, required: ["The Gift"] }),
+  companion: Object.freeze({ flawPoints: 10, major: true, required: [] }),
+  grog: Object.freeze({ flawPoints: 3, major: false, required: [] }),
+});
+
+/**
+ * The largest number of Story Flaws of a character.
+ * @type {number}
+ */
+export const MAX_STORY_FLAWS = 1;
+
+/**
+ * The largest number of Personality Flaws of a character.
+ * @type {number}
+ */
+export const MAX_PERSONALITY_FLAWS = 3;
+
+/**
+ * A modifier a Virtue or a Flaw applies to the computations. The modifiers of the
+ * Virtues taken for a subject apply only to the subject.
+ * @typedef {Object} VirtueModifier
+ * @property {"experience"|"bonus"|"casting"|"characteristicPoints"|"laterLifeXp"|"apprenticeship"|"soak"} effect
+ * The computation the modifier changes.
+ * @property {number} [factor] The multiplier of the experience gained.
+ * @property {number} [value] The bonus of the scores, the additional characteristic
+ * points, the yearly experience of the later life, or the bonus of the Soak.
+ * @property {string[]} [ignore] The casting penalties ignored.
+ * @property {number} [xp] The additional experience of the apprenticeship.
+ * @property {number} [spellLevels] The additional spell levels of the
+ * apprenticeship.
+ */
+
+/**
+ * A Virtue or a Flaw of the catalogue.
+ * @typedef {Object} VirtueDefinition
+ * @property {string} name The name of the Virtue or the Flaw.
+ * @property {"virtue"|"flaw"} kind Is the entry a Virtue or a Flaw.
+ * @property {"Major"|"Minor"|"Free"} magnitude The magnitude.
+ * @property {string} type The type.
+ * @property {"art"|"technique"|"form"|"ability"} [subject] The kind of the subject
+ * the Virtue or the Flaw is taken for.
+ * @property {string[]} [characterTypes] The character types allowed to take the
+ * entry. Defaults to all types.
+ * @property {boolean} [repeatable=false] May a character take the entry more than
+ * once for the same subject.
+ * @property {VirtueModifier[]} [modifiers] The modifiers of the computations.
+ */
+
+/**
+ * A Virtue or a Flaw of a character.
+ * @typedef {Object} CharacterVirtue
+ * @property {string} name The name of the Virtue or the Flaw in the catalogue.
+ * @property {string} [subject] The Art or the ability the Virtue or the Flaw is
+ * taken for.
+ * @property {string} [notes] The free form notes.
+ */
+
+/**
+ * Create a frozen catalogue entry.
+ * @param {string} name The name.
+ * @param {"virtue"|"flaw"} kind The kind.
+ * @param {"Major"|"Minor"|"Free"} magnitude The magnitude.
+ * @param {string} type The type.
+ * @param {Partial<VirtueDefinition>} [properties] The other properties.
+ * @returns {Readonly<VirtueDefinition>} The catalogue entry.
+ */
+function entry(name, kind, magnitude, type, properties = {}) {
+  return Object.freeze({ name, kind, magnitude, type, ...properties });
+}
+
+/**
+ * The magi only.
+ * @type {string[]}
+ */
+const MAGI = ["magus"];
+
+/**
+ * The characters other than magi.
+ * @type {string[]}
+ */
+const MUNDANES = ["companion", "grog"];
+
+/**
+ * The catalogue of the Virtues and the Flaws.
+ * @type {Readonly<Readonly<VirtueDefinition>[]>}
+ */
+export const VIRTUE_CATALOGUE = Object.freeze([
+  entry("The Gift", "virtue", "Free", "Special", { characterTypes: MAGI }),
+  entry("Hermetic Magus", "virtue", "Free", "Social Status", {
+    characterTypes: MAGI,
+  }),
+  entry("Flawless Magic", "virtue", "Major", "Hermetic", {
+    characterTypes: MAGI,
+  }),
+  entry("Gentle Gift", "virtue", "Major", "Hermetic", { characterTypes: MAGI }),
+  entry("Affinity with Art", "virtue", "Minor", "Hermetic", {
+    characterTypes: MAGI,
+    subject: "art",
+    modifiers: [{ effect: "experience", factor: 1.5 }],
+  }),
+  entry("Puissant Art", "virtue", "Minor", "Hermetic", {
+    characterTypes: MAGI,
+    subject: "art",
+    modifiers: [{ effect: "bonus", value: 3 }],
+  }),
+  entry("Deft Form", "virtue", "Minor", "Hermetic", {
+    characterTypes: MAGI,
+    subject: "form",
+    modifiers: [{ effect: "casting", ignore: ["voice", "gestures"] }],
+  }),
+  entry("Skilled Parens", "virtue", "Minor", "Hermetic", {
+    characterTypes: MAGI,
+    modifiers: [{ effect: "apprenticeship", xp: 60, spellLevels: 30 }],
+  }),
+  entry("Life Boost", "virtue", "Minor", "Hermetic", { characterTypes: MAGI }),
+  entry("Entrancement", "virtue", "Major", "Supernatural"),
+  entry("Strong Faerie Blood", "virtue", "Major", "Supernatural"),
+  entry("Second Sight", "virtue", "Minor", "Supernatural"),
+  entry("Magic Sensitivity", "virtue", "Minor", "Supernatural"),
+  entry("Wealthy", "virtue", "Major", "General", {
+    characterTypes: MUNDANES,
+    modifiers: [{ effect: "laterLifeXp", value: 20 }],
+  }),
+  entry("Affinity with Ability", "virtue", "Minor", "General", {
+    subject: "ability",
+    modifiers: [{ effect: "experience", factor: 1.5 }],
+  }),
+  entry("Puissant Ability", "virtue", "Minor", "General", {
+    subject: "ability",
+    modifiers: [{ effect: "bonus", value: 2 }],
+  }),
+  entry("Improved Characteristics", "virtue", "Minor", "General", {
+    repeatable: true,
+    modifiers: [{ effect: "characteristicPoints", value: 3 }],
+  }),
+  entry("Book Learner", "virtue", "Minor", "General"),
+  entry("Good Teacher", "virtue", "Minor", "General"),
+  entry("Luck", "virtue", "Minor", "General"),
+  entry("Tough", "virtue", "Minor", "General", {
+    modifiers: [{ effect: "soak", value: 3 }],
+  }),
+  entry("Landed Noble", "virtue", "Major", "Social Status", {
+    characterTypes: MUNDANES,
+  }),
+  entry("Knight", "virtue", "Minor", "Social Status", {
+    characterTypes: MUNDANES,
+  }),
+  entry("Gentleman/woman", "virtue", "Minor", "Social Status", {
+    characterTypes: MUNDANES,
+  }),
+  entry("Covenfolk", "virtue", "Free", "Social Status", {
+    characterTypes: MUNDANES,
+  }),
+  entry("Craftsman", "virtue", "Free", "Social Status", {
+    characterTypes: MUNDANES,
+  }),
+  entry("Merchant", "virtue", "Free", "Social Status", {
+    characterTypes: MUNDANES,
+  }),
+  entry("Peasant", "virtue", "Free", "Social Status", {
+    characterTypes: MUNDANES,
+  }),
+  entry("Wanderer", "virtue", "Free", "Social Status", {
+    characterTypes: MUNDANES,
+  }),
+  entry("Heir", "virtue", "Minor", "Story"),
+  entry("Mentor", "virtue", "Minor", "Story"),
+  entry("Blatant Gift", "flaw", "Major", "Hermetic", { characterTypes: MAGI }),
+  entry("Deficient Technique", "flaw", "Major", "Hermetic", {
+    characterTypes: MAGI,
+    subject: "technique",
+  }),
+  entry("Deficient Form", "flaw", "Minor", "Hermetic", {
+    characterTypes: MAGI,
+    subject: "form",
+  }),
+  entry("Difficult Longevity Ritual", "flaw", "Minor", "Hermetic", {
+    characterTypes: MAGI,
+  }),
+  entry("Short-Ranged Magic", "flaw", "Minor", "Hermetic", {
+    characterTypes: MAGI,
+  }),
+  entry("Weak Magic Resistance", "flaw", "Minor", "Hermetic", {
+    characterTypes: MAGI,
+  }),
+  entry("Susceptibility to Divine Power", "flaw", "Major", "Supernatural"),
+  entry("Blind", "flaw", "Major", "General"),
+  entry("Deaf", "flaw", "Major", "General"),
+  entry("Disfigured", "flaw", "Minor", "General"),
+  entry("Lame", "flaw", "Minor", "General"),
+  entry("Poor", "flaw", "Minor", "General", {
+    characterTypes: MUNDANES,
+    modifiers: [{ effect: "laterLifeXp", value: 10 }],
+  }),
+  entry("Branded Criminal", "flaw", "Minor", "Social Status", {
+    characterTypes: MUNDANES,
+  }),
+  entry("Outcast", "flaw", "Minor", "Social Status", {
+    characterTypes: MUNDANES,
+  }),
+  entry("Dependent", "flaw", "Minor", "Story"),
+  entry("Dark Secret", "flaw", "Minor", "Story"),
+  entry("Enemies", "flaw", "Major", "Story"),
+  entry("Plagued by Supernatural Entity", "flaw", "Major", "Story"),
+  entry("Greedy", "flaw", "Minor", "Personality"),
+  entry("Proud", "flaw", "Minor", "Personality"),
+  entry("Reckless", "flaw", "Minor", "Personality"),
+  entry("Wrathful", "flaw", "Minor", "Personality"),
+]);
+
+/**
+ * The catalogue entries by name.
+ * @type {Map<string, Readonly<VirtueDefinition>>}
+ */
+const CATALOGUE_INDEX = new Map(
+  VIRTUE_CATALOGUE.map((definition) => [definition.name, definition])
+);
+
+/**
+ * Get the catalogue entry of a Virtue or a Flaw.
+ * @param {string} name The name of the Virtue or the Flaw.
+ * @returns {Readonly<VirtueDefinition>|undefined} The catalogue entry, or undefined,
+ * if the catalogue does not have the entry.
+ */
+export function findVirtue(name) {
+  return CATALOGUE_INDEX.get(name);
+}
+
+/**
+ * Test whether a character has a Virtue or a Flaw.
+ * @param {import("./character.mjs").Character} character The character.
+ * @param {string} name The name of the Virtue or the Flaw.
+ * @returns {boolean} True, if and only if the character has the Virtue or the Flaw.
+ */
+export function hasVirtue(character, name) {
+  return (character.virtues ?? []).some((virtue) => virtue?.name === name);
+}
+
+/**
+ * Test whether a subject belongs to a subject kind.
+ * @param {string} kind The subject kind.
+ * @param {string} subject The subject.
+ * @returns {boolean} True, if and only if the subject is of the kind.
+ */
+function isSubject(kind, subject) {
+  switch (kind) {
+    case "art":
+      return ARTS.includes(subject);
+    case "technique":
+      return TECHNIQUES.includes(subject);
+    case "form":
+      return FORMS.includes(subject);
+    default:
+      return typeof subject === "string" && subject.trim() !== "";
+  }
+}
+
+/**
+ * Test whether a catalogue entry taken for a subject applies to a trait.
+ * @param {Readonly<VirtueDefinition>} definition The catalogue entry.
+ * @param {CharacterVirtue} virtue The Virtue of the character.
+ * @param {"ability"|"art"} kind The kind of the trait.
+ * @param {string} name The name of the trait.
+ * @returns {boolean} True, if and only if the entry applies to the trait.
+ */
+function appliesTo(definition, virtue, kind, name) {
+  return (
+    virtue.subject === name &&
+    (definition.subject === "ability" ? kind === "ability" : kind === "art")
+  );
+}
+
+/**
+ * A modifier of a Virtue or a Flaw of a character.
+ * @typedef {Object} CharacterModifier
+ * @property {CharacterVirtue} virtue The Virtue or the Flaw of the character.
+ * @property {Readonly<VirtueDefinition>} definition The catalogue entry.
+ * @property {VirtueModifier} modifier The modifier.
+ */
+
+/**
+ * Get the modifiers of the Virtues and Flaws of a character.
+ * @param {import("./character.mjs").Character} character The character.
+ * @param {VirtueModifier["effect"]} effect The effect of the modifiers.
+ * @returns {CharacterModifier[]} The modifiers with the effect.
+ */
+export function virtueModifiers(character, effect) {
+  return (character.virtues ?? []).flatMap((virtue) => {
+    const definition = findVirtue(virtue?.name);
+    return (definition?.modifiers ?? [])
+      .filter((modifier) => modifier.effect === effect)
+      .map((modifier) => ({ virtue, definition, modifier }));
+  });
+}
+
+/**
+ * Get the multiplier of the experience a character gains in a trait.
+ * @param {import("./character.mjs").Character} character The character.
+ * @param {"ability"|"art"|"mastery"} kind The kind of the trait.
+ * @param {string} name The name of the trait.
+ * @returns {number} The product of the experience factors of the Affinities with
+ * the trait. One, if the character has no Affinity with the trait.
+ */
+export function experienceMultiplier(character, kind, name) {
+  return virtueModifiers(character, "experience")
+    .filter(({ virtue, definition }) =>
+      appliesTo(definition, virtue, kind, name)
+    )
+    .reduce((result, { modifier }) => result * modifier.factor, 1);
+}
+
+/**
+ * Get the advancement options of a character. The options apply the Affinities of
+ * the character to the costs of the pyramid advancement scheme.
+ * @param {import("./character.mjs").Character} character The character.
+ * @returns {Parameters<typeof import("./advancement.mjs").advance>[2]} The options
+ * of the advancement.
+ */
+export function advancementOptions(character) {
+  return {
+    experienceMultiplier: (kind, name) =>
+      experienceMultiplier(character, kind, name),
+  };
+}
+
+/**
+ * Get the score bonuses of the Virtues of a character for traits.
+ * @param {import("./character.mjs").Character} character The character.
+ * @param {["ability"|"art", string][]} traits The kinds and the names of the traits.
+ * @returns {import("./lab.mjs").Modifier[]} The bonuses named after their Virtues.
+ */
+export function traitBonuses(character, traits) {
+  return traits.flatMap(([kind, name]) =>
+    virtueModifiers(character, "bonus")
+      .filter(({ virtue, definition }) =>
+        appliesTo(definition, virtue, kind, name)
+      )
+      .map(({ definition, modifier }) => ({
+        name: `${definition.name} (${name})`,
+        value: modifier.value,
+      }))
+  );
+}
+
+/**
+ * Get the casting penalties a character ignores for a Form.
+ * @param {import("./character.mjs").Character} character The character.
+ * @param {string} form The Form of the spell.
+ * @returns {Set<string>} The ignored penalties.
+ */
+export function ignoredCastingPenalties(character, form) {
+  return new Set(
+    virtueModifiers(character, "casting")
+      .filter(({ virtue }) => virtue.subject === form)
+      .flatMap(({ modifier }) => modifier.ignore)
+  );
+}
+
+/**
+ * Get the Virtue and Flaw points of a character.
+ * @param {import("./character.mjs").Character} character The character.
+ * @returns {{virtues: number, flaws: number}} The points of the catalogued Virtues
+ * and Flaws.
+ */
+export function virtuePoints(character) {
+  const points = { virtues: 0, flaws: 0 };
+  (character.virtues ?? []).forEach((virtue) => {
+    const definition = findVirtue(virtue?.name);
+    if (definition !== undefined) {
+      points[definition.kind === "virtue" ? "virtues" : "flaws"] +=
+        MAGNITUDE_POINTS[definition.magnitude];
+    }
+  });
+  return points;
+}
+
+/**
+ * Validate the Virtues and the Flaws of a character against the catalogue.
+ * @param {any} virtues The validated Virtues and Flaws.
+ * @param {string} [type] The character type.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues. An
+ * empty list, if the Virtues and the Flaws are valid.
+ */
+export function validateVirtues(virtues, type = undefined) {
+  if (!Array.isArray(virtues)) {
+    return [{ path: "$.virtues", message: "Virtues must be an array" }];
+  }
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  const taken = new Set();
+  virtues.forEach((virtue, index) => {
+    const path = `$.virtues[${index}]`;
+    if (!(virtue instanceof Object) || Array.isArray(virtue)) {
+      issues.push({ path, message: "Virtue must be an object" });
+      return;
+    }
+    const definition = findVirtue(virtue.name);
+    if (definition === undefined) {
+      issues.push({
+        path: `${path}.name`,
+        message: `Unknown Virtue or Flaw ${virtue.name}`,
+      });
+      return;
+    }
+    if (definition.subject === undefined) {
+      if ("subject" in virtue) {
+        issues.push({
+          path: `${path}.subject`,
+          message: `${definition.name} is not taken for a subject`,
+        });
+      }
+    } else if (!isSubject(definition.subject, virtue.subject)) {
+      issues.push({
+        path: `${path}.subject`,
+        message: `${definition.name} requires a subject of kind ${definition.subject}`,
+      });
+    }
+    if ("notes" in virtue && typeof virtue.notes !== "string") {
+      issues.push({ path: `${path}.notes`, message: "Notes must be a string" });
+    }
+    const key = `${definition.name}:${virtue.subject ?? ""}`;
+    if (taken.has(key) && !definition.repeatable) {
+      issues.push({
+        path: `${path}.name`,
+        message: `Duplicate ${definition.kind} ${definition.name}`,
+      });
+    }
+    taken.add(key);
+    if (
+      CHARACTER_TYPES.includes(type) &&
+      !(definition.characterTypes ?? CHARACTER_TYPES).includes(type)
+    ) {
+      issues.push({
+        path: `${path}.name`,
+        message: `A ${type} may not take ${definition.name}`,
+      });
+    }
+  });
+  return issues;
+}
+
+/**
+ * Validate the Virtues and the Flaws of a new character. Besides the catalogue, the
+ * Virtue points must equal the Flaw points within the limits of the character type,
+ * the character must have exactly one Social Status, at most one Story Flaw and at
+ * most three Personality Flaws. The familiars have no Virtue package, so only the
+ * catalogue is validated for them.
+ * @param {import("./character.mjs").Character} character The created character.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues. An
+ * empty list, if the Virtues and the Flaws are valid.
+ */
+export function validateVirtuePackage(character) {
+  const virtues = character.virtues ?? [];
+  const issues = validateVirtues(virtues, character.type);
+  if (issues.length > 0) {
+    return issues;
+  }
+  const limits = VIRTUE_LIMITS[character.type];
+  if (limits === undefined) {
+    return issues;
+  }
+  const definitions = virtues.map(({ name }) => findVirtue(name));
+  const count = (predicate) => definitions.filter(predicate).length;
+  const points = virtuePoints(character);
+
+  if (points.flaws > limits.flawPoints) {
+    issues.push({
+      path: "$.virtues",
+      message: `A ${character.type} may have at most ${limits.flawPoints} points of Flaws, got ${points.flaws}`,
+    });
+  }
+  if (points.virtues !== points.flaws) {
+    issues.push({
+      path: "$.virtues",
+      message: `The ${points.virtues} points of Virtues do not balance the ${points.flaws} points of Flaws`,
+    });
+  }
+  if (!limits.major) {
+    definitions.forEach((definition, index) => {
+      if (definition.magnitude === "Major") {
+        issues.push({
+          path: `$.virtues[${index}].name`,
+          message: `A ${character.type} may not take the Major ${definition.kind} ${definition.name}`,
+        });
+      }
+    });
+  }
+  limits.required
+    .filter(
+      (name) => !definitions.some((definition) => definition.name === name)
+    )
+    .forEach((name) => {
+      issues.push({
+        path: "$.virtues",
+        message: `A ${character.type} must have ${name}`,
+      });
+    });
+  const statuses = count((definition) => definition.type === "Social Status");
+  if (statuses !== 1) {
+    issues.push({
+      path: "$.virtues",
+      message: `A character must have exactly one Social Status, got ${statuses}`,
+    });
+  }
+  if (
+    count(
+      (definition) => definition.kind === "flaw" && definition.type === "Story"
+    ) > MAX_STORY_FLAWS
+  ) {
+    issues.push({
+      path: "$.virtues",
+      message: `A character may have at most ${MAX_STORY_FLAWS} Story Flaw`,
+    });
+  }
+  if (
+    count(
+      (definition) =>
+        definition.kind === "flaw" && definition.type === "Personality"
+    ) > MAX_PERSONALITY_FLAWS
+  ) {
+    issues.push({
+      path: "$.virtues",
+      message: `A character may have at most ${MAX_PERSONALITY_FLAWS} Personality Flaws`,
+    });
+  }
+  return issues;
+}
@@ -0,0 +1,461 @@
+/**
+ * The raw vis ledger of a saga.
+ *
+ * Every transaction moves pawns of vis of an Art between two accounts. The holders
+ * of vis are the covenants and the characters. The vis harvested from the vis
+ * sources of the covenants, used in the laboratories, the longevity rituals and the
+ * vis studies, and traded with the outside world comes from or goes to the external
+ * account of the transaction type, so that the postings of every transaction sum up
+ * to zero. The ledger is append only: a mistaken transaction is corrected by its
+ * reversal, whose postings cancel the postings of the reversed transaction.
+ *
+ * The accounts are matched by their identity properties with the equality helpers
+ * of the ArM5 Tools covenant utilities.
+ * @module model/vis
+ */
+
+import { SameValueZeroEquality } from "../arm5tools/utils_covenant.mjs";
+import { ARTS } from "./character.mjs";
+import { SEASONS } from "./covenant.mjs";
+import { compareSeasons, seasonKey } from "./timeline.mjs";
+
+/**
+ * The types of the vis transactions.
+ * @type {Readonly<string[]>}
+ */
+export const TRANSACTION_TYPES = Object.freeze([
+  "harvest",
+  "transfer",
+  "lab",
+  "longevity",
+  "study",
+  "trade",
+]);
+
+/**
+ * The transaction types consuming the vis.
+ * @type {Readonly<string[]>}
+ */
+export const SINK_TYPES = Object.freeze(["lab", "longevity", "study"]);
+
+/**
+ * The kinds of the accounts holding vis.
+ * @type {Readonly<string[]>}
+ */
+export const HOLDER_KINDS = Object.freeze(["covenant", "character"]);
+
+/**
+ * The properties identifying an account.
+ * @type {Readonly<string[]>}
+ */
+export const ACCOUNT_IDENTITY = Object.freeze(["kind", "id"]);
+
+/**
+ * An account of the vis ledger.
+ * @typedef {Object} VisAccount
+ * @property {"covenant"|"character"|"external"} kind The kind of the account.
+ * @property {string} id The identifier of the covenant or the character, or the
+ * transaction type of an external account.
+ */
+
+/**
+ * A transaction of the vis ledger.
+ * @typedef {Object} VisTransaction
+ * @property {string} [id] The identifier of the transaction.
+ * @property {"harvest"|"transfer"|"lab"|"longevity"|"study"|"trade"} type The type
+ * of the transaction.
+ * @property {string} art The Art of the vis.
+ * @property {number} pawns The pawns moved.
+ * @property {number} year The year of the transaction.
+ * @property {string} season The season of the transaction.
+ * @property {VisAccount} [from] The holder giving the vis. Required except for the
+ * harvests and the trades buying vis.
+ * @property {VisAccount} [to] The holder receiving the vis. Required for the
+ * harvests and the transfers, and for the trades buying vis.
+ * @property {string} [source] The name of the vis source of a harvest.
+ * @property {string} [description] The description of the transaction.
+ * @property {string} [reverses] The identifier of the transaction reversed.
+ * @property {string} [recorded] The time of recording the transaction.
+ * @property {string} [recordedBy] The identifier of the user recording the
+ * transaction.
+ * @property {string} [saga] The identifier of the saga owning the transaction.
+ */
+
+/**
+ * A posting of a transaction to an account.
+ * @typedef {Object} VisPosting
+ * @property {VisAccount} account The account.
+ * @property {string} art The Art of the vis.
+ * @property {number} pawns The pawns added to the account, or removed when
+ * negative.
+ */
+
+/**
+ * The balance of an account in vis of an Art.
+ * @typedef {Object} VisBalance
+ * @property {VisAccount} account The account.
+ * @property {string} art The Art of the vis.
+ * @property {number} pawns The pawns of the account.
+ */
+
+/**
+ * The error indicating an invalid vis transaction.
+ */
+export class VisError extends RangeError {
+  /**
+   * Create a new vis error.
+   * @param {string} message The message of the error.
+   * @param {import("./character.mjs").ValidationIssue[]} [issues] The issues of the
+   * transaction.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The issues of the transaction.
+     * @type {import("./character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Test whether two accounts are the same account.
+ * @param {VisAccount} a The first account.
+ * @param {VisAccount} b The second account.
+ * @param {import("./covenant.mjs").Equality} [equality] The equality of the
+ * identity properties. Defaults to the same value zero equality.
+ * @returns {boolean} True, if and only if the accounts have equal identities.
+ */
+export function sameAccount(a, b, equality = SameValueZeroEquality) {
+  return ACCOUNT_IDENTITY.every((property) =>
+    equality(a[property], b[property])
+  );
+}
+
+/**
+ * Get the label of an account.
+ * @param {VisAccount} account The account.
+ * @returns {string} The human readable label of the account.
+ */
+export function accountLabel({ kind, id }) {
+  return kind === "external" ? `the ${id} account` : `the ${kind} ${id}`;
+}
+
+/**
+ * Validate an account of a transaction.
+ * @param {any} account The account.
+ * @param {string} path The JSON path of the account.
+ * @returns {import("./character.mjs").ValidationIssue[]} The issues of the account.
+ */
+function validateAccount(account, path) {
+  if (!(account instanceof Object) || Array.isArray(account)) {
+    return [{ path, message: "Account must be an object" }];
+  }
+  const issues = [];
+  if (!HOLDER_KINDS.includes(account.kind)) {
+    issues.push({
+      path: `${path}.kind`,
+      message: `Kind must be one of ${HOLDER_KINDS.join(", ")}`,
+    });
+  }
+  if (typeof account.id !== "string" || account.id === "") {
+    issues.push({ path: `${path}.id`, message: "Property id is required" });
+  }
+  return issues;
+}
+
+/**
+ * Validate a vis transaction.
+ * @param {any} transaction The transaction.
+ * @returns {import("./character.mjs").ValidationIssue[]} The validation issues. An
+ * empty list, if the transaction is valid.
+ */
+export function validateTransaction(transaction) {
+  if (!(transaction instanceof Object) || Array.isArray(transaction)) {
+    return [{ path: "$", message: "Transaction must be an object" }];
+  }
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  const { type, art, pawns, year, season, from, to, source, description } =
+    transaction;
+  if (!TRANSACTION_TYPES.includes(type)) {
+    issues.push({
+      path: "$.type",
+      message: `Type must be one of ${TRANSACTION_TYPES.join(", ")}`,
+    });
+  }
+  if (!ARTS.includes(art)) {
+    issues.push({
+      path: "$.art",
+      message: `Art must be one of ${ARTS.join(", ")}`,
+    });
+  }
+  if (!Number.isInteger(pawns) || pawns <= 0) {
+    issues.push({
+      path: "$.pawns",
+      message: "Pawns must be a positive integer",
+    });
+  }
+  if (!Number.isInteger(year)) {
+    issues.push({ path: "$.year", message: "Year must be an integer" });
+  }
+  if (!SEASONS.includes(season)) {
+    issues.push({
+      path: "$.season",
+      message: `Season must be one of ${SEASONS.join(", ")}`,
+    });
+  }
+  if (description !== undefined && typeof description !== "string") {
+    issues.push({
+      path: "$.description",
+      message: "Description must be a string",
+    });
+  }
+  [
+    ["from", from],
+    ["to", to],
+  ].forEach(([property, account]) => {
+    if (account !== undefined) {
+      issues.push(...validateAccount(account, `$.${property}`));
+    }
+  });
+
+  /**
+   * Require or forbid an account of the transaction.
+   * @param {string} property The account property.
+   * @param {boolean} required Does the transaction type require the account.
+   */
+  const expectAccount = (property, required) => {
+    if (required && transaction[property] === undefined) {
+      issues.push({
+        path: `$.${property}`,
+        message: `A ${type} requires the account ${property}`,
+      });
+    } else if (!required && transaction[property] !== undefined) {
+      issues.push({
+        path: `$.${property}`,
+        message: `A ${type} has no account ${property}`,
+      });
+    }
+  };
+  if (type === "harvest") {
+    expectAccount("from", false);
+    expectAccount("to", true);
+    if (to !== undefined && to.kind !== "covenant") {
+      issues.push({
+        path: "$.to.kind",
+        message: "The vis of a source is harvested by its covenant",
+      });
+    }
+    if (typeof source !== "string" || source === "") {
+      issues.push({
+        path: "$.source",
+        message: "A harvest requires the vis source",
+      });
+    }
+  } else if (source !== undefined) {
+    issues.push({ path: "$.source", message: "Only a harvest has a source" });
+  }
+  if (type === "transfer") {
+    expectAccount("from", true);
+    expectAccount("to", true);
+    if (
+      from instanceof Object &&
+      to instanceof Object &&
+      sameAccount(from, to)
+    ) {
+      issues.push({
+        path: "$.to",
+        message: "A transfer moves vis between different holders",
+      });
+    }
+  }
+  if (SINK_TYPES.includes(type)) {
+    expectAccount("from", true);
+    expectAccount("to", false);
+  }
+  if (type === "trade" && (from === undefined) === (to === undefined)) {
+    issues.push({
+      path: "$",
+      message: "A trade either sells vis from an account or buys vis to it",
+    });
+  }
+  return issues;
+}
+
+/**
+ * Get the postings of a transaction. The postings of a reversal cancel the postings
+ * of the reversed transaction.
+ * @param {VisTransaction} transaction The valid transaction.
+ * @returns {VisPosting[]} The postings summing up to zero.
+ */
+export function postings({ type, art, pawns, from, to, reverses }) {
+  const external = { kind: "external", id: type };
+  const sign = reverses === undefined ? 1 : -1;
+  return [
+    { account: from ?? external, art, pawns: -sign * pawns },
+    { account: to ?? external, art, pawns: sign * pawns },
+  ];
+}
+
+/**
+ * Order the transactions by their seasons. The transactions of a season keep their
+ * order.
+ * @param {VisTransaction[]} transactions The transactions.
+ * @returns {VisTransaction[]} The ordered transactions.
+ */
+function chronological(transactions) {
+  return [...transactions].sort(compareSeasons);
+}
+
+/**
+ * Add a posting to the balances.
+ * @param {VisBalance[]} balances The balances. The balances are changed.
+ * @param {VisPosting} posting The posting.
+ * @param {import("./covenant.mjs").Equality} equality The equality of the identity
+ * properties.
+ * @returns {VisBalance} The changed balance.
+ */
+function post(balances, { account, art, pawns }, equality) {
+  let balance = balances.find(
+    (candidate) =>
+      sameAccount(candidate.account, account, equality) &&
+      equality(candidate.art, art)
+  );
+  if (balance === undefined) {
+    balance = {
+      account: { kind: account.kind, id: account.id },
+      art,
+      pawns: 0,
+    };
+    balances.push(balance);
+  }
+  balance.pawns += pawns;
+  return balance;
+}
+
+/**
+ * The options of the balance computation.
+ * @typedef {Object} BalanceOptions
+ * @property {import("./timeline.mjs").Season} [until] The last season included.
+ * Defaults to all seasons.
+ * @property {VisAccount} [account] The only account of the balances. Defaults to
+ * all accounts.
+ * @property {boolean} [external=false] Include the external accounts.
+ * @property {import("./covenant.mjs").Equality} [equality] The equality of the
+ * identity properties. Defaults to the same value zero equality.
+ */
+
+/**
+ * Compute the balances of the accounts. Every account holds one balance per Art,
+ * and the balances that sum up to zero are omitted.
+ * @param {VisTransaction[]} transactions The transactions of the ledger.
+ * @param {BalanceOptions} [options] The options.
+ * @returns {VisBalance[]} The balances.
+ */
+export function visBalances(
+  transactions,
+  { until, account, external = false, equality = SameValueZeroEquality } = {}
+) {
+  /** @type {VisBalance[]} */
+  const balances = [];
+  chronological(transactions)
+    .filter(
+      (transaction) =>
+        until === undefined || compareSeasons(transaction, until) <= 0
+    )
+    .flatMap(postings)
+    .filter(
+      (posting) =>
+        (external || posting.account.kind !== "external") &&
+        (account === undefined ||
+          sameAccount(posting.account, account, equality))
+    )
+    .forEach((posting) => post(balances, posting, equality));
+  return balances.filter(({ pawns }) => pawns !== 0);
+}
+
+/**
+ * Check the ledger after adding a transaction. The holders may not spend vis they
+ * do not hold in any season, and the vis of a source is harvested once a year.
+ * @param {VisTransaction[]} transactions The transactions of the ledger.
+ * @param {VisTransaction} transaction The added valid transaction.
+ * @param {import("./covenant.mjs").Equality} [equality] The equality of the
+ * identity properties. Defaults to the same value zero equality.
+ * @returns {import("./character.mjs").ValidationIssue[]} The issues of the added
+ * transaction.
+ */
+export function checkTransaction(
+  transactions,
+  transaction,
+  equality = SameValueZeroEquality
+) {
+  /** @type {import("./character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if (transaction.type === "harvest" && transaction.reverses === undefined) {
+    const reversed = new Set(transactions.map((other) => other.reverses));
+    const harvested = transactions.some(
+      (other) =>
+        other.type === "harvest" &&
+        other.reverses === undefined &&
+        !reversed.has(other.id) &&
+        other.year === transaction.year &&
+        equality(other.source, transaction.source) &&
+        sameAccount(other.to, transaction.to, equality)
+    );
+    if (harvested) {
+      issues.push({
+        path: "$.source",
+        message: `The vis source ${transaction.source} is already harvested in ${transaction.year}`,
+      });
+    }
+  }
+  /** @type {VisBalance[]} */
+  const balances = [];
+  for (const checked of chronological([...transactions, transaction])) {
+    for (const posting of postings(checked)) {
+      const balance = post(balances, posting, equality);
+      if (balance.account.kind !== "external" && balance.pawns < 0) {
+        issues.push({
+          path: "$.pawns",
+          message: `Insufficient vis: ${accountLabel(
+            balance.account
+          )} would hold ${balance.pawns} pawns of ${
+            balance.art
+          } vis in ${seasonKey(checked)}`,
+        });
+        return issues;
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Create the reversal of a transaction.
+ * @param {VisTransaction} transaction The reversed transaction.
+ * @param {import("./timeline.mjs").Season} [season] The season of the reversal.
+ * Defaults to the season of the reversed transaction.
+ * @returns {VisTransaction} The reversal without an identifier.
+ * @throws {VisError} The transaction is a reversal.
+ */
+export function reverseTransaction(transaction, season = transaction) {
+  if (transaction.reverses !== undefined) {
+    throw new VisError("A reversal is not reversed", [
+      {
+        path: "$.reverses",
+        message: `The transaction ${transaction.id} reverses ${transaction.reverses}`,
+      },
+    ]);
+  }
+  const { id, recorded, recordedBy, description, ...reversed } = transaction;
+  return {
+    ...reversed,
+    year: season.year,
+    season: season.season,
+    description: `Reversal of ${id}`,
+    reverses: id,
+  };
+}
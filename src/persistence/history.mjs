@@ -0,0 +1,374 @@
+/**
+ * The recording of the entity histories.
+ *
+ * A history repository wraps a repository and appends an event of every change of its
+ * entities to the history repository in the same transaction as the change. The
+ * author and the kind of the changes are read from the change context of the running
+ * operation. The repository keeps the latest version of every entity rebuilt from
+ * its history, and a change fails and rolls back unless the stored entity before the
+ * change matches the latest version, and the event of the change rebuilds the
+ * changed entity.
+ * @module persistence/history
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import {
+  applyPatch,
+  diffContent,
+  entityContent,
+  HistoryError,
+  replayHistory,
+  sameContent,
+} from "../model/history.mjs";
+
+/**
+ * The context of the recorded changes.
+ * @typedef {Object} ChangeContext
+ * @property {string} [author] The identifier of the user changing the entities.
+ * @property {number} [reverts] The version the changed entity is restored to.
+ */
+
+/**
+ * The latest version of an entity rebuilt from its history.
+ * @typedef {Object} LatestVersion
+ * @property {number} version The version of the entity.
+ * @property {Object} [state] The content of the entity. Undefined after the deletion
+ * of the entity.
+ */
+
+/**
+ * The context of the changes of the running operation.
+ * @type {AsyncLocalStorage<ChangeContext>}
+ */
+const changeContext = new AsyncLocalStorage();
+
+/**
+ * Run an operation in a change context. The context is merged into the context of
+ * the caller.
+ * @template RESULT The result type of the operation.
+ * @param {ChangeContext} context The context of the changes of the operation.
+ * @param {() => RESULT} operation The operation.
+ * @returns {RESULT} The result of the operation.
+ */
+export function recordChanges(context, operation) {
+  return changeContext.run(
+    { ...changeContext.getStore(), ...context },
+    operation
+  );
+}
+
+/**
+ * List the history of an entity.
+ * @param {import("./repository.mjs").MemoryRepository<import("../model/history.mjs").HistoryEvent>} events
+ * The repository of the history events.
+ * @param {string} entity The type of the entity.
+ * @param {string} id The identifier of the entity.
+ * @returns {Promise<import("../model/history.mjs").HistoryEvent[]>} The events of
+ * the entity in the order of their versions.
+ */
+export async function entityHistory(events, entity, id) {
+  const history = await events.list(
+    (event) => event.entity === entity && event.entityId === id
+  );
+  return history.sort((a, b) => a.entityVersion - b.entityVersion);
+}
+
+/**
+ * Get the latest version of a history.
+ * @param {import("../model/history.mjs").HistoryEvent[]} history The events of an
+ * entity in the order of their versions.
+ * @returns {LatestVersion|undefined} The latest version, or an undefined value, if
+ * the history is empty.
+ * @throws {HistoryError} The history was broken.
+ */
+function latestVersion(history) {
+  const latest = replayHistory(history).at(-1);
+  return latest === undefined
+    ? undefined
+    : {
+        version: latest.event.entityVersion,
+        ...(latest.state === undefined ? {} : { state: latest.state }),
+      };
+}
+
+/**
+ * A repository recording the history of its entities. All operations are delegated
+ * to the recorded repository.
+ * @template {import("./repository.mjs").Entity} [ENTITY=import("./repository.mjs").Entity]
+ * The type of the stored entities.
+ */
+export class HistoryRepository {
+  /**
+   * Create a new history repository.
+   * @param {import("./repository.mjs").MemoryRepository<ENTITY>} repository The
+   * recorded repository.
+   * @param {string} entity The type of the entities in the history events.
+   * @param {import("./repository.mjs").MemoryRepository<import("../model/history.mjs").HistoryEvent>} events
+   * The repository the history events are appended to.
+   * @param {Object} [options] The history options.
+   * @param {(entity: ENTITY) => Promise<import("../model/timeline.mjs").Season|undefined>} [options.seasonOf]
+   * The function telling the current season of the saga of an entity. Defaults to
+   * no seasons.
+   */
+  constructor(
+    repository,
+    entity,
+    events,
+    { seasonOf = async () => undefined } = {}
+  ) {
+    /**
+     * The recorded repository.
+     * @type {import("./repository.mjs").MemoryRepository<ENTITY>}
+     */
+    this.repository = repository;
+    /**
+     * The type of the entities.
+     * @type {string}
+     */
+    this.entity = entity;
+    /**
+     * The repository of the history events.
+     * @type {import("./repository.mjs").MemoryRepository<import("../model/history.mjs").HistoryEvent>}
+     */
+    this.events = events;
+    /**
+     * The function telling the current season of the saga of an entity.
+     * @type {(entity: ENTITY) => Promise<import("../model/timeline.mjs").Season|undefined>}
+     */
+    this.seasonOf = seasonOf;
+    /**
+     * The latest versions of the entities by their identifiers. Undefined until the
+     * histories are first read.
+     * @type {Map<string, LatestVersion>|undefined}
+     */
+    this.latest = undefined;
+  }
+
+  /**
+   * List the history of an entity.
+   * @param {string} id The identifier of the entity.
+   * @returns {Promise<import("../model/history.mjs").HistoryEvent[]>} The events of
+   * the entity in the order of their versions.
+   */
+  history(id) {
+    return entityHistory(this.events, this.entity, id);
+  }
+
+  /**
+   * Rebuild the latest version of an entity by replaying its history.
+   * @param {string} id The identifier of the entity.
+   * @returns {Promise<LatestVersion|undefined>} The latest version of the entity, or
+   * an undefined value, if the entity has no history.
+   * @throws {HistoryError} The history was broken.
+   */
+  async rebuild(id) {
+    return latestVersion(await this.history(id));
+  }
+
+  /**
+   * Get the latest versions of the entities. The versions are rebuilt from all
+   * history events of the entities at the first call, and kept up to date by the
+   * recorded changes.
+   * @returns {Promise<Map<string, LatestVersion>>} The latest versions by the
+   * identifiers of the entities. The entities with broken histories are omitted.
+   */
+  async latestVersions() {
+    if (this.latest === undefined) {
+      /** @type {Map<string, import("../model/history.mjs").HistoryEvent[]>} */
+      const histories = new Map();
+      (await this.events.list((event) => event.entity === this.entity)).forEach(
+        (event) => {
+          if (histories.has(event.entityId)) {
+            histories.get(event.entityId).push(event);
+          } else {
+            histories.set(event.entityId, [event]);
+          }
+        }
+      );
+      /** @type {Map<string, LatestVersion>} */
+      const latest = new Map();
+      histories.forEach((history, id) => {
+        try {
+          latest.set(
+            id,
+            latestVersion(
+              history.sort((a, b) => a.entityVersion - b.entityVersion)
+            )
+          );
+        } catch (error) {
+          if (!(error instanceof HistoryError)) {
+            throw error;
+          }
+        }
+      });
+      this.latest = latest;
+    }
+    return this.latest;
+  }
+
+  /**
+   * Get the latest version of an entity the history of a change starts from. The
+   * stored state of an entity without a history is recorded as the first event of
+   * its history.
+   * @param {string} id The identifier of the entity.
+   * @param {ENTITY|undefined} stored The stored entity before the change, or an
+   * undefined value, if the change creates the entity.
+   * @returns {Promise<LatestVersion|undefined>} The latest version of the entity,
+   * or an undefined value, if the entity has no history.
+   * @throws {HistoryError} The history did not rebuild the stored entity.
+   */
+  async baseline(id, stored) {
+    let latest = (await this.latestVersions()).get(id);
+    if (latest?.version !== stored?.version) {
+      // The kept version is missing or ahead of a rolled back change.
+      latest = await this.rebuild(id);
+    }
+    if (latest === undefined && stored !== undefined) {
+      await this.append("snapshot", id, stored.version, undefined, stored);
+      return { version: stored.version, state: entityContent(stored) };
+    } else if (
+      latest?.version !== stored?.version ||
+      !sameContent(latest?.state, entityContent(stored))
+    ) {
+      throw new HistoryError(
+        `The history of ${this.entity} ${id} does not rebuild its stored state`
+      );
+    }
+    return latest;
+  }
+
+  /**
+   * Record a change of an entity. The changes of the appended event are applied to
+   * the latest version of the history, and have to rebuild the changed entity.
+   * @param {string} action The action of the event.
+   * @param {string} id The identifier of the entity.
+   * @param {number} version The version of the entity after the change.
+   * @param {ENTITY|undefined} before The entity before the change.
+   * @param {ENTITY|undefined} after The entity after the change.
+   * @param {ChangeContext} [context] The context of the change.
+   * @returns {Promise<void>}
+   * @throws {HistoryError} The history did not rebuild the changed entity.
+   */
+  async record(action, id, version, before, after, context = {}) {
+    const latest = await this.baseline(id, before);
+    const event = await this.append(
+      action,
+      id,
+      version,
+      before,
+      after,
+      context
+    );
+    const state = applyPatch(latest?.state, event.changes);
+    if (!sameContent(state, entityContent(after))) {
+      throw new HistoryError(
+        `The history of ${this.entity} ${id} does not rebuild its stored state`
+      );
+    }
+    (await this.latestVersions()).set(id, { version, state });
+  }
+
+  /**
+   * Append an event to the history of an entity.
+   * @param {string} action The action of the event.
+   * @param {string} id The identifier of the entity.
+   * @param {number} version The version of the entity after the event.
+   * @param {ENTITY|undefined} before The entity before the change.
+   * @param {ENTITY|undefined} after The entity after the change.
+   * @param {ChangeContext} [context] The context of the change.
+   * @returns {Promise<import("../model/history.mjs").HistoryEvent>} The appended
+   * event.
+   */
+  async append(action, id, version, before, after, context = {}) {
+    const entity = after ?? before;
+    const season = await this.seasonOf(entity);
+    return this.events.create({
+      entity: this.entity,
+      entityId: id,
+      ...(typeof entity.saga === "string" ? { saga: entity.saga } : {}),
+      entityVersion: version,
+      action,
+      ...(context.author === undefined ? {} : { author: context.author }),
+      time: new Date().toISOString(),
+      ...(season === undefined ? {} : { season }),
+      ...(context.reverts === undefined ? {} : { reverts: context.reverts }),
+      changes: diffContent(entityContent(before), entityContent(after)),
+    });
+  }
+
+  list(filter = undefined) {
+    return this.repository.list(filter);
+  }
+
+  query(filter = undefined) {
+    return this.repository.query(filter);
+  }
+
+  get(id) {
+    return this.repository.get(id);
+  }
+
+  create(data) {
+    const context = changeContext.getStore();
+    return this.transaction(async () => {
+      const created = await this.repository.create(data);
+      await this.record(
+        "created",
+        created.id,
+        created.version,
+        undefined,
+        created,
+        context
+      );
+      return created;
+    });
+  }
+
+  update(id, data) {
+    const context = changeContext.getStore();
+    return this.transaction(async () => {
+      const previous = await this.repository.get(id);
+      const updated = await this.repository.update(id, data);
+      await this.record(
+        context?.reverts === undefined ? "updated" : "reverted",
+        id,
+        updated.version,
+        previous,
+        updated,
+        context
+      );
+      return updated;
+    });
+  }
+
+  delete(id) {
+    const context = changeContext.getStore();
+    return this.transaction(async () => {
+      const previous = await this.repository.get(id);
+      const deleted = await this.repository.delete(id);
+      if (deleted) {
+        await this.record(
+          "deleted",
+          id,
+          previous.version + 1,
+          previous,
+          undefined,
+          context
+        );
+      }
+      return deleted;
+    });
+  }
+
+  transaction(operation) {
+    return this.repository.transaction(operation);
+  }
+
+  changed() {
+    return this.repository.changed();
+  }
+
+  flush() {
+    return this.repository.flush();
+  }
+}
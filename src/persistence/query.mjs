@@ -0,0 +1,738 @@
+/**
+ * The lazy query pipelines of the entity searches.
+ *
+ * A query pulls its values from its source one at a time, so a search over a
+ * repository only keeps the values of the current step in memory. The steps such as
+ * `filter`, `map`, `drop` and `take` create new queries without reading the source,
+ * and the terminal operations such as `reduce` and `toArray` consume the query. The
+ * synchronous queries extend the iterator helper of the ArM5 tools, and the
+ * asynchronous queries offer the same steps over the async iterators of the
+ * repositories.
+ * @module persistence/query
+ */
+
+import { IteratorHelper } from "../arm5tools/utils.mjs";
+
+/**
+ * The key of the sorting and the grouping. Either the name of a property of the
+ * values, or a function returning the key of a value.
+ * @template VALUE The type of the values.
+ * @typedef {string|((value: VALUE) => any)} KeySelector
+ */
+
+/**
+ * The options of the sorting.
+ * @typedef {Object} SortOptions
+ * @property {boolean} [descending=false] Are the largest keys first.
+ * @property {number} [limit=Infinity] The number of the first values kept. The
+ * sorting buffers at most twice this number of values.
+ * @property {(a: any, b: any) => number} [compare] The comparison of the keys.
+ * Defaults to {@link compareKeys}.
+ */
+
+/**
+ * Create the function returning the key of a value.
+ * @template VALUE The type of the values.
+ * @param {KeySelector<VALUE>} key The key selector.
+ * @returns {(value: VALUE) => any} The function returning the key.
+ */
+function keyFunction(key) {
+  return key instanceof Function ? key : (value) => value?.[key];
+}
+
+/**
+ * Compare two keys. The undefined and null keys are the largest, and the other keys
+ * are compared with the relational operators.
+ * @param {any} a The first key.
+ * @param {any} b The second key.
+ * @returns {number} A negative number, if the first key is smaller, a positive
+ * number, if the first key is larger, and zero otherwise.
+ */
+export function compareKeys(a, b) {
+  if (a == null || b == null) {
+    return (a == null ? 1 : 0) - (b == null ? 1 : 0);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Create the buffer of a bounded sorting.
+ * @template VALUE The type of the sorted values.
+ * @param {KeySelector<VALUE>} key The sort key.
+ * @param {SortOptions} options The sort options.
+ * @returns {{add: (value: VALUE) => void, values: () => VALUE[]}} The buffer keeping
+ * the first values of the sort order. The values of equal keys keep their order.
+ */
+function sortBuffer(
+  key,
+  { descending = false, limit = Infinity, compare = compareKeys } = {}
+) {
+  if (!(limit >= 0)) {
+    throw new RangeError("The sort limit must be a non-negative number");
+  }
+  const keyOf = keyFunction(key);
+  const direction = descending ? -1 : 1;
+  const kept = Math.ceil(limit);
+  /** @type {{key: any, value: VALUE}[]} */
+  const buffer = [];
+
+  /**
+   * Sort the buffer, and drop the values after the kept values. The sort is stable,
+   * and the buffer holds the values in their order of addition among equal keys.
+   */
+  function compact() {
+    buffer.sort((a, b) => direction * compare(a.key, b.key));
+    buffer.splice(kept);
+  }
+
+  return {
+    add(value) {
+      buffer.push({ key: keyOf(value), value });
+      if (buffer.length > 2 * kept) {
+        compact();
+      }
+    },
+    values() {
+      compact();
+      return buffer.map((entry) => entry.value);
+    },
+  };
+}
+
+/**
+ * Check the count of the taken or skipped values.
+ * @param {number} count The count.
+ * @throws {RangeError} The count was not a non-negative integer or infinity.
+ */
+function checkCount(count) {
+  if (!(Number.isInteger(count) || count === Infinity) || count < 0) {
+    throw new RangeError("The count must be a non-negative integer");
+  }
+}
+
+/**
+ * Get the iterator of an iterable or an iterator.
+ * @template VALUE The type of the values.
+ * @param {Iterable<VALUE>|Iterator<VALUE>} source The source.
+ * @returns {Iterator<VALUE>} The iterator of the source.
+ */
+function toIterator(source) {
+  return source[Symbol.iterator] instanceof Function
+    ? source[Symbol.iterator]()
+    : source;
+}
+
+/**
+ * Iterate the values of an iterator.
+ * @template VALUE The type of the values.
+ * @param {Iterator<VALUE>} iterator The iterator.
+ * @yields {VALUE} The values of the iterator.
+ */
+function* valuesOf(iterator) {
+  try {
+    for (let current = iterator.next(); !current.done; ) {
+      yield current.value;
+      current = iterator.next();
+    }
+  } finally {
+    iterator.return?.();
+  }
+}
+
+/**
+ * A lazy synchronous query.
+ * @template VALUE The type of the values.
+ * @extends {IteratorHelper<VALUE>}
+ */
+export class Query extends IteratorHelper {
+  /**
+   * Create a new query.
+   * @param {Iterable<VALUE>|Iterator<VALUE>} [source] The source of the values.
+   * Defaults to no values.
+   */
+  constructor(source = []) {
+    const iterator = toIterator(source);
+    super(iterator);
+    /**
+     * The iterator of the source.
+     * @type {Iterator<VALUE>}
+     */
+    this.source = iterator;
+  }
+
+  /**
+   * End the query, and close its source.
+   * @returns {IteratorResult<VALUE>} The end of the query.
+   */
+  return() {
+    this.source.return?.();
+    return super.return();
+  }
+
+  /**
+   * Create a query of a source.
+   * @template VALUE The type of the values.
+   * @param {Iterable<VALUE>|Iterator<VALUE>} source The source of the values.
+   * @returns {Query<VALUE>} The query of the source.
+   */
+  static from(source) {
+    return source instanceof Query ? source : new Query(source);
+  }
+
+  /**
+   * Create a query of the values of a generator over the values of this query.
+   * @template RESULT The type of the values of the created query.
+   * @param {(values: Generator<VALUE>) => Iterator<RESULT>} step The generator.
+   * @returns {Query<RESULT>} The query of the generated values.
+   */
+  pipe(step) {
+    return new Query(step(valuesOf(this)));
+  }
+
+  /**
+   * Filter the values.
+   * @param {(value: VALUE, index: number) => boolean} predicate The predicate of the
+   * accepted values.
+   * @returns {Query<VALUE>} The query of the accepted values.
+   */
+  filter(predicate) {
+    return this.pipe(function* (values) {
+      let index = 0;
+      for (const value of values) {
+        if (predicate(value, index++)) {
+          yield value;
+        }
+      }
+    });
+  }
+
+  /**
+   * Map the values.
+   * @template RESULT The type of the mapped values.
+   * @param {(value: VALUE, index: number) => RESULT} mapper The mapping.
+   * @returns {Query<RESULT>} The query of the mapped values.
+   */
+  map(mapper) {
+    return this.pipe(function* (values) {
+      let index = 0;
+      for (const value of values) {
+        yield mapper(value, index++);
+      }
+    });
+  }
+
+  /**
+   * Map the values to iterables, and flatten the iterables.
+   * @template RESULT The type of the mapped values.
+   * @param {(value: VALUE, index: number) => Iterable<RESULT>} mapper The mapping.
+   * @returns {Query<RESULT>} The query of the values of the mapped iterables.
+   */
+  flatMap(mapper) {
+    return this.pipe(function* (values) {
+      let index = 0;
+      for (const value of values) {
+        yield* mapper(value, index++);
+      }
+    });
+  }
+
+  /**
+   * Take the first values. The source is closed after the last taken value.
+   * @param {number} count The number of the taken values.
+   * @returns {Query<VALUE>} The query of the first values.
+   * @throws {RangeError} The count was not a non-negative integer.
+   */
+  take(count) {
+    checkCount(count);
+    return this.pipe(function* (values) {
+      let remaining = count;
+      if (remaining > 0) {
+        for (const value of values) {
+          yield value;
+          if (--remaining === 0) {
+            break;
+          }
+        }
+      } else {
+        values.return();
+      }
+    });
+  }
+
+  /**
+   * Skip the first values.
+   * @param {number} count The number of the skipped values.
+   * @returns {Query<VALUE>} The query of the values after the skipped values.
+   * @throws {RangeError} The count was not a non-negative integer.
+   */
+  drop(count) {
+    checkCount(count);
+    return this.pipe(function* (values) {
+      let skipped = 0;
+      for (const value of values) {
+        if (skipped < count) {
+          skipped++;
+        } else {
+          yield value;
+        }
+      }
+    });
+  }
+
+  /**
+   * Group the consecutive values into arrays.
+   * @param {number} size The size of the arrays. The last array may be shorter.
+   * @returns {Query<VALUE[]>} The query of the arrays.
+   * @throws {RangeError} The size was not a positive integer.
+   */
+  chunk(size) {
+    if (!(Number.isInteger(size) && size > 0)) {
+      throw new RangeError("The chunk size must be a positive integer");
+    }
+    return this.pipe(function* (values) {
+      let chunk = [];
+      for (const value of values) {
+        chunk.push(value);
+        if (chunk.length === size) {
+          yield chunk;
+          chunk = [];
+        }
+      }
+      if (chunk.length > 0) {
+        yield chunk;
+      }
+    });
+  }
+
+  /**
+   * Combine the values with the values of other sources. The query ends with the
+   * shortest source.
+   * @param {...(Iterable<any>|Iterator<any>)} others The other sources.
+   * @returns {Query<any[]>} The query of the arrays of the values of the same index.
+   */
+  zip(...others) {
+    return this.pipe(function* (values) {
+      const iterators = [values, ...others.map(toIterator)];
+      while (true) {
+        const current = iterators.map((iterator) => iterator.next());
+        if (current.some((result) => result.done)) {
+          iterators.forEach((iterator, index) => {
+            if (!current[index].done) {
+              iterator.return?.();
+            }
+          });
+          return;
+        }
+        yield current.map((result) => result.value);
+      }
+    });
+  }
+
+  /**
+   * Sort the values. The sorting reads the whole source before the first value, and
+   * buffers at most the limit of the values.
+   * @param {KeySelector<VALUE>} key The sort key.
+   * @param {SortOptions} [options] The sort options.
+   * @returns {Query<VALUE>} The query of the first sorted values.
+   * @throws {RangeError} The limit was negative.
+   */
+  sortBy(key, options = {}) {
+    const buffer = sortBuffer(key, options);
+    return this.pipe(function* (values) {
+      for (const value of values) {
+        buffer.add(value);
+      }
+      yield* buffer.values();
+    });
+  }
+
+  /**
+   * Reduce the values into a single value.
+   * @template RESULT The type of the result.
+   * @param {(result: RESULT, value: VALUE, index: number) => RESULT} reducer The
+   * reducer.
+   * @param {RESULT} initial The initial result.
+   * @returns {RESULT} The reduced value.
+   */
+  reduce(reducer, initial) {
+    let result = initial;
+    let index = 0;
+    for (const value of valuesOf(this)) {
+      result = reducer(result, value, index++);
+    }
+    return result;
+  }
+
+  /**
+   * Group the values by their keys.
+   * @param {KeySelector<VALUE>} key The group key.
+   * @returns {Map<any, VALUE[]>} The values by their keys in the order of the first
+   * values of the groups.
+   */
+  groupBy(key) {
+    const keyOf = keyFunction(key);
+    return this.reduce((groups, value) => {
+      const group = keyOf(value);
+      if (groups.has(group)) {
+        groups.get(group).push(value);
+      } else {
+        groups.set(group, [value]);
+      }
+      return groups;
+    }, new Map());
+  }
+
+  /**
+   * Collect the values.
+   * @returns {VALUE[]} The values of the query.
+   */
+  toArray() {
+    return [...valuesOf(this)];
+  }
+
+  /**
+   * Create an asynchronous query of the values.
+   * @returns {AsyncQuery<VALUE>} The asynchronous query.
+   */
+  async() {
+    return new AsyncQuery(valuesOf(this));
+  }
+}
+
+/**
+ * Get the async iterator of an async or sync iterable, or an iterator.
+ * @template VALUE The type of the values.
+ * @param {AsyncIterable<VALUE>|Iterable<VALUE>|AsyncIterator<VALUE>|Iterator<VALUE>} source
+ * The source.
+ * @returns {AsyncIterator<VALUE>|Iterator<VALUE>} The iterator of the source.
+ */
+function toAsyncIterator(source) {
+  if (source[Symbol.asyncIterator] instanceof Function) {
+    return source[Symbol.asyncIterator]();
+  }
+  return toIterator(source);
+}
+
+/**
+ * Iterate the values of an async or sync iterator.
+ * @template VALUE The type of the values.
+ * @param {AsyncIterator<VALUE>|Iterator<VALUE>} iterator The iterator.
+ * @yields {VALUE} The values of the iterator.
+ */
+async function* asyncValuesOf(iterator) {
+  try {
+    for (let current = await iterator.next(); !current.done; ) {
+      yield await current.value;
+      current = await iterator.next();
+    }
+  } finally {
+    await iterator.return?.();
+  }
+}
+
+/**
+ * A lazy asynchronous query. The functions of the steps may return promises.
+ * @template VALUE The type of the values.
+ * @implements {AsyncIterableIterator<VALUE>}
+ */
+export class AsyncQuery {
+  /**
+   * Create a new asynchronous query.
+   * @param {AsyncIterable<VALUE>|Iterable<VALUE>|AsyncIterator<VALUE>|Iterator<VALUE>} [source]
+   * The source of the values. Defaults to no values.
+   */
+  constructor(source = []) {
+    /**
+     * The values of the query.
+     * @type {AsyncGenerator<VALUE>}
+     */
+    this.values = asyncValuesOf(toAsyncIterator(source));
+  }
+
+  /**
+   * Create an asynchronous query of a source.
+   * @template VALUE The type of the values.
+   * @param {AsyncIterable<VALUE>|Iterable<VALUE>} source The source of the values.
+   * @returns {AsyncQuery<VALUE>} The query of the source.
+   */
+  static from(source) {
+    return source instanceof AsyncQuery ? source : new AsyncQuery(source);
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Get the next value.
+   * @returns {Promise<IteratorResult<VALUE>>} The next value.
+   */
+  next() {
+    return this.values.next();
+  }
+
+  /**
+   * End the query, and close its source.
+   * @returns {Promise<IteratorResult<VALUE>>} The end of the query.
+   */
+  return() {
+    return this.values.return();
+  }
+
+  /**
+   * Create a query of the values of an async generator over the values of this
+   * query.
+   * @template RESULT The type of the values of the created query.
+   * @param {(values: AsyncGenerator<VALUE>) => AsyncIterator<RESULT>} step The
+   * generator.
+   * @returns {AsyncQuery<RESULT>} The query of the generated values.
+   */
+  pipe(step) {
+    return new AsyncQuery(step(this.values));
+  }
+
+  /**
+   * Filter the values.
+   * @param {(value: VALUE, index: number) => boolean|Promise<boolean>} predicate The
+   * predicate of the accepted values.
+   * @returns {AsyncQuery<VALUE>} The query of the accepted values.
+   */
+  filter(predicate) {
+    return this.pipe(async function* (values) {
+      let index = 0;
+      for await (const value of values) {
+        if (await predicate(value, index++)) {
+          yield value;
+        }
+      }
+    });
+  }
+
+  /**
+   * Map the values.
+   * @template RESULT The type of the mapped values.
+   * @param {(value: VALUE, index: number) => RESULT|Promise<RESULT>} mapper The
+   * mapping.
+   * @returns {AsyncQuery<RESULT>} The query of the mapped values.
+   */
+  map(mapper) {
+    return this.pipe(async function* (values) {
+      let index = 0;
+      for await (const value of values) {
+        yield mapper(value, index++);
+      }
+    });
+  }
+
+  /**
+   * Map the values to iterables, and flatten the iterables.
+   * @template RESULT The type of the mapped values.
+   * @param {(value: VALUE, index: number) => AsyncIterable<RESULT>|Iterable<RESULT>|Promise<Iterable<RESULT>>} mapper
+   * The mapping.
+   * @returns {AsyncQuery<RESULT>} The query of the values of the mapped iterables.
+   */
+  flatMap(mapper) {
+    return this.pipe(async function* (values) {
+      let index = 0;
+      for await (const value of values) {
+        yield* await mapper(value, index++);
+      }
+    });
+  }
+
+  /**
+   * Take the first values. The source is closed after the last taken value.
+   * @param {number} count The number of the taken values.
+   * @returns {AsyncQuery<VALUE>} The query of the first values.
+   * @throws {RangeError} The count was not a non-negative integer.
+   */
+  take(count) {
+    checkCount(count);
+    return this.pipe(async function* (values) {
+      let remaining = count;
+      if (remaining > 0) {
+        for await (const value of values) {
+          yield value;
+          if (--remaining === 0) {
+            break;
+          }
+        }
+      } else {
+        await values.return();
+      }
+    });
+  }
+
+  /**
+   * Skip the first values.
+   * @param {number} count The number of the skipped values.
+   * @returns {AsyncQuery<VALUE>} The query of the values after the skipped values.
+   * @throws {RangeError} The count was not a non-negative integer.
+   */
+  drop(count) {
+    checkCount(count);
+    return this.pipe(async function* (values) {
+      let skipped = 0;
+      for await (const value of values) {
+        if (skipped < count) {
+          skipped++;
+        } else {
+          yield value;
+        }
+      }
+    });
+  }
+
+  /**
+   * Group the consecutive values into arrays.
+   * @param {number} size The size of the arrays. The last array may be shorter.
+   * @returns {AsyncQuery<VALUE[]>} The query of the arrays.
+   * @throws {RangeError} The size was not a positive integer.
+   */
+  chunk(size) {
+    if (!(Number.isInteger(size) && size > 0)) {
+      throw new RangeError("The chunk size must be a positive integer");
+    }
+    return this.pipe(async function* (values) {
+      let chunk = [];
+      for await (const value of values) {
+        chunk.push(value);
+        if (chunk.length === size) {
+          yield chunk;
+          chunk = [];
+        }
+      }
+      if (chunk.length > 0) {
+        yield chunk;
+      }
+    });
+  }
+
+  /**
+   * Combine the values with the values of other sources. The query ends with the
+   * shortest source.
+   * @param {...(AsyncIterable<any>|Iterable<any>)} others The other sources.
+   * @returns {AsyncQuery<any[]>} The query of the arrays of the values of the same
+   * index.
+   */
+  zip(...others) {
+    return this.pipe(async function* (values) {
+      const iterators = [values, ...others.map(toAsyncIterator)];
+      while (true) {
+        const current = await Promise.all(
+          iterators.map((iterator) => iterator.next())
+        );
+        if (current.some((result) => result.done)) {
+          await Promise.all(
+            iterators.map((iterator, index) =>
+              current[index].done ? undefined : iterator.return?.()
+            )
+          );
+          return;
+        }
+        yield current.map((result) => result.value);
+      }
+    });
+  }
+
+  /**
+   * Sort the values. The sorting reads the whole source before the first value, and
+   * buffers at most the limit of the values.
+   * @param {KeySelector<VALUE>} key The sort key.
+   * @param {SortOptions} [options] The sort options.
+   * @returns {AsyncQuery<VALUE>} The query of the first sorted values.
+   * @throws {RangeError} The limit was negative.
+   */
+  sortBy(key, options = {}) {
+    const buffer = sortBuffer(key, options);
+    return this.pipe(async function* (values) {
+      for await (const value of values) {
+        buffer.add(value);
+      }
+      yield* buffer.values();
+    });
+  }
+
+  /**
+   * Reduce the values into a single value.
+   * @template RESULT The type of the result.
+   * @param {(result: RESULT, value: VALUE, index: number) => RESULT|Promise<RESULT>} reducer
+   * The reducer.
+   * @param {RESULT} initial The initial result.
+   * @returns {Promise<RESULT>} The reduced value.
+   */
+  async reduce(reducer, initial) {
+    let result = initial;
+    let index = 0;
+    for await (const value of this.values) {
+      result = await reducer(result, value, index++);
+    }
+    return result;
+  }
+
+  /**
+   * Group the values by their keys.
+   * @param {KeySelector<VALUE>} key The group key.
+   * @returns {Promise<Map<any, VALUE[]>>} The values by their keys in the order of
+   * the first values of the groups.
+   */
+  groupBy(key) {
+    const keyOf = keyFunction(key);
+    return this.reduce((groups, value) => {
+      const group = keyOf(value);
+      if (groups.has(group)) {
+        groups.get(group).push(value);
+      } else {
+        groups.set(group, [value]);
+      }
+      return groups;
+    }, new Map());
+  }
+
+  /**
+   * Collect the values.
+   * @returns {Promise<VALUE[]>} The values of the query.
+   */
+  toArray() {
+    return this.reduce((result, value) => [...result, value], []);
+  }
+
+  /**
+   * Test whether some value is accepted by a predicate. The source is closed after
+   * the first accepted value.
+   * @param {(value: VALUE) => boolean|Promise<boolean>} predicate The predicate.
+   * @returns {Promise<boolean>} True, if and only if some value was accepted.
+   */
+  async some(predicate) {
+    for await (const value of this.values) {
+      if (await predicate(value)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Test whether every value is accepted by a predicate.
+   * @param {(value: VALUE) => boolean|Promise<boolean>} predicate The predicate.
+   * @returns {Promise<boolean>} True, if and only if every value was accepted.
+   */
+  async every(predicate) {
+    return !(await this.some(async (value) => !(await predicate(value))));
+  }
+
+  /**
+   * Find the first value accepted by a predicate.
+   * @param {(value: VALUE) => boolean|Promise<boolean>} predicate The predicate.
+   * @returns {Promise<VALUE|undefined>} The first accepted value, or an undefined
+   * value, if no value was accepted.
+   */
+  async find(predicate) {
+    for await (const value of this.values) {
+      if (await predicate(value)) {
+        return value;
+      }
+    }
+    return undefined;
+  }
+}
@@ -0,0 +1,426 @@
+/**
+ * The repositories storing the entities of the server.
+ *
+ * A repository stores entities identified by their identifier. All operations of the
+ * repositories are asynchronous, allowing the storage backend to be changed without
+ * altering the users of the repository.
+ *
+ * The stored entities carry a version incremented by every update. An update giving
+ * the version of the entity it was based on fails, if the entity has been changed
+ * since. The operations of the repositories sharing a transaction manager may be
+ * grouped into transactions, and the failing transactions leave the repositories
+ * unchanged.
+ * @module persistence/repository
+ */
+
+import { randomUUID } from "node:crypto";
+import { readFile, writeFile, mkdir, rename } from "node:fs/promises";
+import path from "node:path";
+import { AsyncQuery } from "./query.mjs";
+import { TransactionManager } from "./transaction.mjs";
+
+/**
+ * An entity stored into a repository.
+ * @typedef {Object} Entity
+ * @property {string} id The identifier of the entity.
+ * @property {number} [version] The version of the entity. The version is set by the
+ * repository.
+ */
+
+/**
+ * The error indicating the entity does not exist.
+ */
+export class NoSuchEntityError extends Error {
+  /**
+   * Create a new no such entity error.
+   * @param {string} id The identifier of the missing entity.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(id, options = undefined) {
+    super(`No entity with identifier ${id}`, options);
+    this.name = this.constructor.name;
+    /**
+     * The identifier of the missing entity.
+     * @type {string}
+     */
+    this.id = id;
+  }
+}
+
+/**
+ * The error indicating the entity has been changed since the version an update was
+ * based on.
+ */
+export class VersionConflictError extends Error {
+  /**
+   * Create a new version conflict error.
+   * @param {string} id The identifier of the entity.
+   * @param {number} expected The version the update was based on.
+   * @param {number} actual The current version of the entity.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(id, expected, actual, options = undefined) {
+    super(
+      `The entity ${id} has version ${actual} instead of version ${expected}`,
+      options
+    );
+    this.name = this.constructor.name;
+    /**
+     * The identifier of the entity.
+     * @type {string}
+     */
+    this.id = id;
+    /**
+     * The version the update was based on.
+     * @type {number}
+     */
+    this.expected = expected;
+    /**
+     * The current version of the entity.
+     * @type {number}
+     */
+    this.actual = actual;
+  }
+}
+
+/**
+ * Check the version an update was based on.
+ * @param {string} id The identifier of the updated entity.
+ * @param {number|undefined} expected The version the update was based on, or an
+ * undefined value, if the update replaces any version.
+ * @param {number} actual The current version of the entity. The entities stored
+ * before the versioning have version 0.
+ * @throws {VersionConflictError} The entity has another version.
+ */
+export function checkVersion(id, expected, actual) {
+  if (expected !== undefined && expected !== actual) {
+    throw new VersionConflictError(id, expected, actual);
+  }
+}
+
+/**
+ * Create a deep copy of a JSON compatible value. The repositories never hand out
+ * references to the stored values.
+ * @template TYPE The type of the copied value.
+ * @param {TYPE} value The copied value.
+ * @returns {TYPE} The copy of the value.
+ */
+function copy(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+/**
+ * A repository storing the entities in memory.
+ * @template {Entity} [ENTITY=Entity] The type of the stored entities.
+ */
+export class MemoryRepository {
+  /**
+   * Create a new memory repository.
+   * @param {Object} [options] The repository options.
+   * @param {ENTITY[]} [options.entities] The initial entities of the repository.
+   * @param {() => string} [options.idGenerator] The generator of the new identifiers.
+   * @param {TransactionManager} [options.transactions] The transaction manager
+   * shared with the other repositories of the storage. Defaults to a manager of its
+   * own.
+   */
+  constructor({
+    entities = [],
+    idGenerator = randomUUID,
+    transactions = new TransactionManager(),
+  } = {}) {
+    /**
+     * The stored entities by their identifiers.
+     * @type {Map<string, ENTITY>}
+     */
+    this.entities = new Map(
+      entities.map((entity) => [entity.id, copy(entity)])
+    );
+    /**
+     * The generator of the identifiers.
+     * @type {() => string}
+     */
+    this.idGenerator = idGenerator;
+    /**
+     * The transaction manager of the repository.
+     * @type {TransactionManager}
+     */
+    this.transactions = transactions;
+    /**
+     * The entities at the start of the running transaction.
+     * @type {Map<string, ENTITY>|undefined}
+     */
+    this.snapshot = undefined;
+    transactions.enlist(this);
+  }
+
+  /**
+   * List the stored entities.
+   * @param {(entity: ENTITY) => boolean} [filter] The filter of the listed entities.
+   * @returns {Promise<ENTITY[]>} The entities accepted by the filter.
+   */
+  async list(filter = undefined) {
+    await this.transactions.ready();
+    return [...this.entities.values()]
+      .filter((entity) => filter === undefined || filter(entity))
+      .map(copy);
+  }
+
+  /**
+   * Query the stored entities lazily. The entities are copied one at a time as the
+   * query is read.
+   * @param {(entity: ENTITY) => boolean} [filter] The filter of the entities.
+   * @returns {AsyncQuery<ENTITY>} The query of the entities accepted by the filter.
+   */
+  query(filter = undefined) {
+    const repository = this;
+    return new AsyncQuery(
+      (async function* () {
+        await repository.transactions.ready();
+        for (const entity of repository.entities.values()) {
+          if (filter === undefined || filter(entity)) {
+            yield copy(entity);
+          }
+        }
+      })()
+    );
+  }
+
+  /**
+   * Get an entity.
+   * @param {string} id The identifier of the entity.
+   * @returns {Promise<ENTITY|undefined>} The entity with the identifier, or an
+   * undefined value, if no entity exists.
+   */
+  async get(id) {
+    await this.transactions.ready();
+    return copy(this.entities.get(id));
+  }
+
+  /**
+   * Add a new entity to the repository.
+   * @param {Omit<ENTITY, "id">} data The data of the created entity.
+   * @returns {Promise<ENTITY>} The created entity with its identifier and version 1.
+   */
+  async create(data) {
+    await this.transactions.ready();
+    const entity = { ...copy(data), id: this.idGenerator(), version: 1 };
+    this.entities.set(entity.id, entity);
+    await this.changed();
+    return copy(entity);
+  }
+
+  /**
+   * Replace an existing entity.
+   * @param {string} id The identifier of the replaced entity.
+   * @param {Omit<ENTITY, "id">} data The new data of the entity. The version of the
+   * data is the version the update was based on.
+   * @returns {Promise<ENTITY>} The updated entity with its next version.
+   * @throws {NoSuchEntityError} The entity does not exist.
+   * @throws {VersionConflictError} The entity has another version.
+   */
+  async update(id, data) {
+    await this.transactions.ready();
+    if (!this.entities.has(id)) {
+      throw new NoSuchEntityError(id);
+    }
+    const { version = 0 } = this.entities.get(id);
+    checkVersion(id, data.version, version);
+    const entity = { ...copy(data), id, version: version + 1 };
+    this.entities.set(id, entity);
+    await this.changed();
+    return copy(entity);
+  }
+
+  /**
+   * Remove an entity.
+   * @param {string} id The identifier of the removed entity.
+   * @returns {Promise<boolean>} True, if and only if an entity was removed.
+   */
+  async delete(id) {
+    await this.transactions.ready();
+    const result = this.entities.delete(id);
+    if (result) {
+      await this.changed();
+    }
+    return result;
+  }
+
+  /**
+   * Run an operation in a transaction of the repository. The transaction spans all
+   * repositories of the transaction manager of the repository.
+   * @template RESULT The result type of the operation.
+   * @param {() => Promise<RESULT>} operation The operation.
+   * @returns {Promise<RESULT>} The result of the operation.
+   */
+  transaction(operation) {
+    return this.transactions.run(operation);
+  }
+
+  /**
+   * Begin a transaction by taking a snapshot of the entities.
+   * @returns {Promise<void>}
+   */
+  async begin() {
+    this.snapshot = new Map(this.entities);
+  }
+
+  /**
+   * Commit the transaction by dropping the snapshot of the entities.
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    this.snapshot = undefined;
+  }
+
+  /**
+   * Roll the transaction back by restoring the snapshot of the entities.
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    const changed = [...this.entities].some(
+      ([id, entity]) => this.snapshot.get(id) !== entity
+    );
+    if (changed || this.entities.size !== this.snapshot.size) {
+      this.entities = this.snapshot;
+      await this.changed();
+    }
+    this.snapshot = undefined;
+  }
+
+  /**
+   * Handle the change of the repository contents. The memory repository does
+   * nothing.
+   * @returns {Promise<void>}
+   */
+  async changed() {}
+
+  /**
+   * Wait until all pending writes of the repository have completed.
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+}
+
+/**
+ * A repository storing the entities into a JSON file. The file is read on the first
+ * access, and rewritten after every change.
+ * @template {Entity} [ENTITY=Entity] The type of the stored entities.
+ * @extends {MemoryRepository<ENTITY>}
+ */
+export class JsonFileRepository extends MemoryRepository {
+  /**
+   * Create a new JSON file repository.
+   * @param {string} file The path of the JSON file.
+   * @param {Object} [options] The repository options.
+   * @param {() => string} [options.idGenerator] The generator of the new identifiers.
+   * @param {TransactionManager} [options.transactions] The transaction manager
+   * shared with the other repositories of the storage.
+   */
+  constructor(
+    file,
+    { idGenerator = randomUUID, transactions = undefined } = {}
+  ) {
+    super({ idGenerator, transactions });
+    /**
+     * The path of the file.
+     * @type {string}
+     */
+    this.file = file;
+    /**
+     * The promise of the loading of the file.
+     * @type {Promise<void>|undefined}
+     */
+    this.loading = undefined;
+    /**
+     * The promise of the latest write of the file.
+     * @type {Promise<void>}
+     */
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the entities from the file. A missing file is treated as an empty
+   * repository.
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (this.loading === undefined) {
+      this.loading = readFile(this.file, "utf8").then(
+        (content) => {
+          const entities = JSON.parse(content);
+          if (!Array.isArray(entities)) {
+            throw new SyntaxError(`Invalid repository file ${this.file}`);
+          }
+          this.entities = new Map(
+            entities.map((entity) => [entity.id, entity])
+          );
+        },
+        (err) => {
+          if (err.code !== "ENOENT") {
+            throw err;
+          }
+        }
+      );
+    }
+    return this.loading;
+  }
+
+  async list(filter = undefined) {
+    await this.load();
+    return super.list(filter);
+  }
+
+  query(filter = undefined) {
+    return new AsyncQuery([undefined]).flatMap(async () => {
+      await this.load();
+      return super.query(filter);
+    });
+  }
+
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  async create(data) {
+    await this.load();
+    return super.create(data);
+  }
+
+  async update(id, data) {
+    await this.load();
+    return super.update(id, data);
+  }
+
+  async delete(id) {
+    await this.load();
+    return super.delete(id);
+  }
+
+  async begin() {
+    await this.load();
+    return super.begin();
+  }
+
+  /**
+   * Write the current entities to the file. The writes are performed in order, and
+   * the file is replaced atomically.
+   * @returns {Promise<void>}
+   */
+  changed() {
+    const content = JSON.stringify([...this.entities.values()], null, 2);
+    const temporary = `${this.file}.tmp`;
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(path.dirname(this.file), { recursive: true });
+        await writeFile(temporary, content, "utf8");
+        await rename(temporary, this.file);
+      });
+    return this.writing;
+  }
+
+  async flush() {
+    await this.writing;
+  }
+}
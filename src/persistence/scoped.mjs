@@ -0,0 +1,172 @@
+/**
+ * The repositories limited to the entities of a saga.
+ *
+ * A saga scoped repository wraps a repository shared by all sagas. It only lists and
+ * changes the entities of its saga, stamps the created entities with the saga, and
+ * hides the hidden entities and the secret properties from the members who are not
+ * storyguides.
+ * @module persistence/scoped
+ */
+
+import { memberView, STORYGUIDE_PROPERTIES } from "../model/saga.mjs";
+import { NoSuchEntityError } from "./repository.mjs";
+
+/**
+ * A repository of the entities of a saga.
+ * @template {import("./repository.mjs").Entity} [ENTITY=import("./repository.mjs").Entity]
+ * The type of the stored entities.
+ */
+export class SagaScopedRepository {
+  /**
+   * Create a new saga scoped repository.
+   * @param {import("./repository.mjs").MemoryRepository<ENTITY>} repository The
+   * repository shared by all sagas.
+   * @param {string} saga The identifier of the saga.
+   * @param {Object} [options] The scope options.
+   * @param {boolean} [options.storyguide=false] Does the scope see the hidden
+   * entities and the secret properties.
+   */
+  constructor(repository, saga, { storyguide = false } = {}) {
+    /**
+     * The wrapped repository.
+     * @type {import("./repository.mjs").MemoryRepository<ENTITY>}
+     */
+    this.repository = repository;
+    /**
+     * The identifier of the saga.
+     * @type {string}
+     */
+    this.saga = saga;
+    /**
+     * Does the scope see the hidden entities and the secret properties.
+     * @type {boolean}
+     */
+    this.storyguide = storyguide;
+  }
+
+  /**
+   * Create the view of a stored entity.
+   * @param {ENTITY|undefined} entity The stored entity.
+   * @returns {ENTITY|undefined} The entity seen through the scope, or an undefined
+   * value, if the entity is not visible in the scope.
+   */
+  view(entity) {
+    return entity === undefined || entity.saga !== this.saga
+      ? undefined
+      : memberView(entity, this.storyguide);
+  }
+
+  /**
+   * List the entities of the saga.
+   * @param {(entity: ENTITY) => boolean} [filter] The filter of the listed entities.
+   * @returns {Promise<ENTITY[]>} The visible entities accepted by the filter.
+   */
+  async list(filter = undefined) {
+    const entities = await this.repository.list(
+      (entity) => this.view(entity) !== undefined
+    );
+    return entities
+      .map((entity) => this.view(entity))
+      .filter((entity) => filter === undefined || filter(entity));
+  }
+
+  /**
+   * Query the entities of the saga lazily.
+   * @param {(entity: ENTITY) => boolean} [filter] The filter of the entities.
+   * @returns {import("./query.mjs").AsyncQuery<ENTITY>} The query of the visible
+   * entities accepted by the filter.
+   */
+  query(filter = undefined) {
+    return this.repository
+      .query((entity) => this.view(entity) !== undefined)
+      .map((entity) => this.view(entity))
+      .filter((entity) => filter === undefined || filter(entity));
+  }
+
+  /**
+   * Get an entity of the saga.
+   * @param {string} id The identifier of the entity.
+   * @returns {Promise<ENTITY|undefined>} The entity with the identifier, or an
+   * undefined value, if no visible entity exists.
+   */
+  async get(id) {
+    return this.view(await this.repository.get(id));
+  }
+
+  /**
+   * Add a new entity to the saga.
+   * @param {Omit<ENTITY, "id">} data The data of the created entity.
+   * @returns {Promise<ENTITY>} The created entity with its identifier.
+   */
+  async create(data) {
+    const content = { ...data, saga: this.saga };
+    if (!this.storyguide) {
+      STORYGUIDE_PROPERTIES.forEach((property) => delete content[property]);
+    }
+    return this.view(await this.repository.create(content));
+  }
+
+  /**
+   * Replace an existing entity of the saga. The storyguide properties are kept
+   * unless the scope belongs to a storyguide.
+   * @param {string} id The identifier of the replaced entity.
+   * @param {Omit<ENTITY, "id">} data The new data of the entity.
+   * @returns {Promise<ENTITY>} The updated entity.
+   * @throws {NoSuchEntityError} No visible entity exists.
+   */
+  async update(id, data) {
+    const stored = await this.repository.get(id);
+    if (this.view(stored) === undefined) {
+      throw new NoSuchEntityError(id);
+    }
+    const content = { ...data, saga: this.saga };
+    if (!this.storyguide) {
+      STORYGUIDE_PROPERTIES.forEach((property) => {
+        if (property in stored) {
+          content[property] = stored[property];
+        } else {
+          delete content[property];
+        }
+      });
+    }
+    return this.view(await this.repository.update(id, content));
+  }
+
+  /**
+   * Remove an entity of the saga.
+   * @param {string} id The identifier of the removed entity.
+   * @returns {Promise<boolean>} True, if and only if a visible entity was removed.
+   */
+  async delete(id) {
+    if ((await this.get(id)) === undefined) {
+      return false;
+    }
+    return this.repository.delete(id);
+  }
+
+  /**
+   * Run an operation in a transaction of the wrapped repository.
+   * @template RESULT The result type of the operation.
+   * @param {() => Promise<RESULT>} operation The operation.
+   * @returns {Promise<RESULT>} The result of the operation.
+   */
+  transaction(operation) {
+    return this.repository.transaction(operation);
+  }
+
+  /**
+   * Handle the change of the repository contents.
+   * @returns {Promise<void>}
+   */
+  changed() {
+    return this.repository.changed();
+  }
+
+  /**
+   * Wait until all pending writes of the repository have completed.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.repository.flush();
+  }
+}
@@ -0,0 +1,410 @@
+/**
+ * The storage of the repositories in a SQLite database.
+ *
+ * The entities of all repositories are stored into a single table keyed by the name
+ * of the repository and the identifier of the entity. The identifier and the version
+ * of an entity are columns of their own, and the rest of the entity is stored as
+ * JSON. The schema of the database is created and upgraded by the migrations, and
+ * the applied migrations are recorded into the database.
+ * @module persistence/sqlite
+ */
+
+import Database from "better-sqlite3";
+import { mkdirSync } from "node:fs";
+import { randomUUID } from "node:crypto";
+import path from "node:path";
+import { AsyncQuery } from "./query.mjs";
+import { checkVersion, NoSuchEntityError } from "./repository.mjs";
+import { TransactionManager } from "./transaction.mjs";
+
+/**
+ * A migration of the database schema.
+ * @typedef {Object} Migration
+ * @property {number} version The schema version after the migration.
+ * @property {string} name The description of the migration.
+ * @property {(db: import("better-sqlite3").Database) => void} up Apply the
+ * migration.
+ */
+
+/**
+ * The migrations of the database schema in the order of their versions.
+ * @type {Readonly<Migration[]>}
+ */
+export const MIGRATIONS = Object.freeze([
+  {
+    version: 1,
+    name: "Create the entity table",
+    up(db) {
+      db.exec(`CREATE TABLE entities (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )`);
+    },
+  },
+]);
+
+/**
+ * The number of the entities a query reads from the database at a time.
+ * @type {number}
+ */
+export const QUERY_BATCH_SIZE = 100;
+
+/**
+ * The error indicating the database schema cannot be migrated.
+ */
+export class MigrationError extends Error {
+  /**
+   * Create a new migration error.
+   * @param {string} message The message of the error.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Apply the pending migrations to a database. Every migration is applied in a
+ * transaction of its own, and recorded into the table `schema_migrations`.
+ * @param {import("better-sqlite3").Database} db The database.
+ * @param {Readonly<Migration[]>} [migrations] The migrations of the schema.
+ * @returns {number[]} The versions of the applied migrations.
+ * @throws {MigrationError} The database has a migration unknown to the server, or a
+ * migration failed.
+ */
+export function migrate(db, migrations = MIGRATIONS) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied TEXT NOT NULL
+  )`);
+  const applied = new Set(
+    db.prepare("SELECT version FROM schema_migrations").pluck().all()
+  );
+  const unknown = [...applied].filter(
+    (version) => !migrations.some((migration) => migration.version === version)
+  );
+  if (unknown.length > 0) {
+    throw new MigrationError(
+      `The database has unknown migrations ${unknown.join(", ")}`
+    );
+  }
+  const record = db.prepare(
+    "INSERT INTO schema_migrations (version, name, applied) VALUES (?, ?, ?)"
+  );
+  return [...migrations]
+    .sort((a, b) => a.version - b.version)
+    .filter(({ version }) => !applied.has(version))
+    .map((migration) => {
+      try {
+        db.transaction(() => {
+          migration.up(db);
+          record.run(
+            migration.version,
+            migration.name,
+            new Date().toISOString()
+          );
+        })();
+      } catch (err) {
+        throw new MigrationError(
+          `Migration ${migration.version} "${migration.name}" failed: ${err.message}`,
+          { cause: err }
+        );
+      }
+      return migration.version;
+    });
+}
+
+/**
+ * The SQLite database storing the entities of the repositories.
+ */
+export class SqliteStore {
+  /**
+   * Create a new SQLite store.
+   * @param {string} file The path of the database file, or `:memory:` for a
+   * temporary database.
+   * @param {Object} [options] The store options.
+   * @param {Readonly<Migration[]>} [options.migrations] The migrations of the
+   * schema.
+   */
+  constructor(file, { migrations = MIGRATIONS } = {}) {
+    if (file !== ":memory:") {
+      mkdirSync(path.dirname(file), { recursive: true });
+    }
+    /**
+     * The database.
+     * @type {import("better-sqlite3").Database}
+     */
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    /**
+     * The migrations of the schema.
+     * @type {Readonly<Migration[]>}
+     */
+    this.migrations = migrations;
+    /**
+     * The transaction manager of the repositories of the store.
+     * @type {TransactionManager}
+     */
+    this.transactions = new TransactionManager();
+    this.transactions.enlist({
+      begin: () => this.db.exec("BEGIN IMMEDIATE"),
+      commit: () => this.db.exec("COMMIT"),
+      rollback: () => this.db.exec("ROLLBACK"),
+    });
+  }
+
+  /**
+   * Apply the pending migrations of the schema.
+   * @returns {Promise<number[]>} The versions of the applied migrations.
+   * @throws {MigrationError} The schema could not be migrated.
+   */
+  async migrate() {
+    await this.transactions.ready();
+    return migrate(this.db, this.migrations);
+  }
+
+  /**
+   * Create a repository of the store.
+   * @param {string} name The name of the repository.
+   * @param {Object} [options] The repository options.
+   * @param {() => string} [options.idGenerator] The generator of the new identifiers.
+   * @returns {SqliteRepository} The repository.
+   */
+  repository(name, options = {}) {
+    return new SqliteRepository(this, name, options);
+  }
+
+  /**
+   * Run an operation in a transaction spanning all repositories of the store.
+   * @template RESULT The result type of the operation.
+   * @param {() => Promise<RESULT>} operation The operation.
+   * @returns {Promise<RESULT>} The result of the operation.
+   */
+  transaction(operation) {
+    return this.transactions.run(operation);
+  }
+
+  /**
+   * Close the database after the running transactions.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.transactions.ready();
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+/**
+ * Convert a row of the entity table to an entity.
+ * @param {{id: string, version: number, data: string}|undefined} row The row.
+ * @returns {import("./repository.mjs").Entity|undefined} The entity, or an
+ * undefined value, if there is no row.
+ */
+function toEntity(row) {
+  return row === undefined
+    ? undefined
+    : { ...JSON.parse(row.data), id: row.id, version: row.version };
+}
+
+/**
+ * Convert the data of an entity to the JSON stored into the entity table.
+ * @param {Object} data The data of the entity.
+ * @returns {string} The stored JSON without the identifier and the version.
+ */
+function toData(data) {
+  const { id, version, ...content } = data;
+  return JSON.stringify(content);
+}
+
+/**
+ * A repository storing its entities into a SQLite store.
+ * @template {import("./repository.mjs").Entity} [ENTITY=import("./repository.mjs").Entity]
+ * The type of the stored entities.
+ */
+export class SqliteRepository {
+  /**
+   * Create a new SQLite repository.
+   * @param {SqliteStore} store The store of the repository.
+   * @param {string} name The name of the repository.
+   * @param {Object} [options] The repository options.
+   * @param {() => string} [options.idGenerator] The generator of the new identifiers.
+   */
+  constructor(store, name, { idGenerator = randomUUID } = {}) {
+    /**
+     * The store of the repository.
+     * @type {SqliteStore}
+     */
+    this.store = store;
+    /**
+     * The name of the repository.
+     * @type {string}
+     */
+    this.name = name;
+    /**
+     * The generator of the identifiers.
+     * @type {() => string}
+     */
+    this.idGenerator = idGenerator;
+  }
+
+  /**
+   * The transaction manager of the repository.
+   * @type {TransactionManager}
+   */
+  get transactions() {
+    return this.store.transactions;
+  }
+
+  /**
+   * Get the stored row of an entity.
+   * @param {string} id The identifier of the entity.
+   * @returns {{id: string, version: number, data: string}|undefined} The row.
+   */
+  row(id) {
+    return this.store.db
+      .prepare(
+        "SELECT id, version, data FROM entities WHERE collection = ? AND id = ?"
+      )
+      .get(this.name, id);
+  }
+
+  /**
+   * List the stored entities.
+   * @param {(entity: ENTITY) => boolean} [filter] The filter of the listed entities.
+   * @returns {Promise<ENTITY[]>} The entities accepted by the filter.
+   */
+  async list(filter = undefined) {
+    await this.transactions.ready();
+    return this.store.db
+      .prepare(
+        "SELECT id, version, data FROM entities WHERE collection = ? ORDER BY rowid"
+      )
+      .all(this.name)
+      .map(toEntity)
+      .filter((entity) => filter === undefined || filter(entity));
+  }
+
+  /**
+   * Query the stored entities lazily. The entities are read in batches of the
+   * insertion order, so the query holds at most a batch of entities in memory.
+   * @param {(entity: ENTITY) => boolean} [filter] The filter of the entities.
+   * @returns {AsyncQuery<ENTITY>} The query of the entities accepted by the filter.
+   */
+  query(filter = undefined) {
+    const { store, name, transactions } = this;
+    return new AsyncQuery(
+      (async function* () {
+        for (let after = 0; after !== undefined; ) {
+          await transactions.ready();
+          const rows = store.db
+            .prepare(
+              "SELECT rowid, id, version, data FROM entities WHERE collection = ? AND rowid > ? ORDER BY rowid LIMIT ?"
+            )
+            .all(name, after, QUERY_BATCH_SIZE);
+          after =
+            rows.length < QUERY_BATCH_SIZE ? undefined : rows.at(-1).rowid;
+          for (const entity of rows.map(toEntity)) {
+            if (filter === undefined || filter(entity)) {
+              yield entity;
+            }
+          }
+        }
+      })()
+    );
+  }
+
+  /**
+   * Get an entity.
+   * @param {string} id The identifier of the entity.
+   * @returns {Promise<ENTITY|undefined>} The entity with the identifier, or an
+   * undefined value, if no entity exists.
+   */
+  async get(id) {
+    await this.transactions.ready();
+    return toEntity(this.row(id));
+  }
+
+  /**
+   * Add a new entity to the repository.
+   * @param {Omit<ENTITY, "id">} data The data of the created entity.
+   * @returns {Promise<ENTITY>} The created entity with its identifier and version 1.
+   */
+  async create(data) {
+    await this.transactions.ready();
+    const id = this.idGenerator();
+    this.store.db
+      .prepare(
+        "INSERT INTO entities (collection, id, version, data) VALUES (?, ?, 1, ?)"
+      )
+      .run(this.name, id, toData(data));
+    return toEntity(this.row(id));
+  }
+
+  /**
+   * Replace an existing entity.
+   * @param {string} id The identifier of the replaced entity.
+   * @param {Omit<ENTITY, "id">} data The new data of the entity. The version of the
+   * data is the version the update was based on.
+   * @returns {Promise<ENTITY>} The updated entity with its next version.
+   * @throws {NoSuchEntityError} The entity does not exist.
+   * @throws {import("./repository.mjs").VersionConflictError} The entity has
+   * another version.
+   */
+  async update(id, data) {
+    await this.transactions.ready();
+    const stored = this.row(id);
+    if (stored === undefined) {
+      throw new NoSuchEntityError(id);
+    }
+    checkVersion(id, data.version, stored.version);
+    this.store.db
+      .prepare(
+        "UPDATE entities SET version = ?, data = ? WHERE collection = ? AND id = ?"
+      )
+      .run(stored.version + 1, toData(data), this.name, id);
+    return toEntity(this.row(id));
+  }
+
+  /**
+   * Remove an entity.
+   * @param {string} id The identifier of the removed entity.
+   * @returns {Promise<boolean>} True, if and only if an entity was removed.
+   */
+  async delete(id) {
+    await this.transactions.ready();
+    const { changes } = this.store.db
+      .prepare("DELETE FROM entities WHERE collection = ? AND id = ?")
+      .run(this.name, id);
+    return changes > 0;
+  }
+
+  /**
+   * Run an operation in a transaction spanning all repositories of the store.
+   * @template RESULT The result type of the operation.
+   * @param {() => Promise<RESULT>} operation The operation.
+   * @returns {Promise<RESULT>} The result of the operation.
+   */
+  transaction(operation) {
+    return this.store.transaction(operation);
+  }
+
+  /**
+   * Handle the change of the repository contents. The changes are written by the
+   * operations.
+   * @returns {Promise<void>}
+   */
+  async changed() {}
+
+  /**
+   * Wait until all pending writes of the repository have completed.
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+}
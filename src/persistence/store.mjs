@@ -0,0 +1,161 @@
+/**
+ * The storages of the repositories.
+ *
+ * A store creates the repositories of a storage backend. The repositories of a store
+ * share its transactions, so an operation changing several repositories either
+ * changes all of them or none. The users of the repositories do not depend on the
+ * backend.
+ * @module persistence/store
+ */
+
+import path from "node:path";
+import { JsonFileRepository, MemoryRepository } from "./repository.mjs";
+import { SqliteStore } from "./sqlite.mjs";
+import { TransactionManager } from "./transaction.mjs";
+
+/**
+ * A storage of the repositories.
+ * @typedef {Object} Store
+ * @property {(name: string, options?: {idGenerator?: () => string}) => import("./repository.mjs").MemoryRepository} repository
+ * Create the repository with a name.
+ * @property {<RESULT>(operation: () => Promise<RESULT>) => Promise<RESULT>} transaction
+ * Run an operation in a transaction spanning all repositories of the store.
+ * @property {() => Promise<number[]>} migrate Apply the pending migrations of the
+ * storage. Resolves to the versions of the applied migrations.
+ * @property {() => Promise<void>} close Write the pending changes, and release the
+ * storage.
+ */
+
+/**
+ * The file name of the SQLite database in the data directory.
+ * @type {string}
+ */
+export const SQLITE_FILE = "arm5.sqlite";
+
+/**
+ * The file names of the JSON file repositories differing from the repository names.
+ * @type {Readonly<Record<string, string>>}
+ */
+const JSON_FILE_NAMES = Object.freeze({ authSessions: "sessions.json" });
+
+/**
+ * A store keeping the repositories in memory.
+ */
+export class MemoryStore {
+  /**
+   * Create a new memory store.
+   */
+  constructor() {
+    /**
+     * The transaction manager of the repositories of the store.
+     * @type {TransactionManager}
+     */
+    this.transactions = new TransactionManager();
+    /**
+     * The repositories of the store.
+     * @type {import("./repository.mjs").MemoryRepository[]}
+     */
+    this.repositories = [];
+  }
+
+  /**
+   * Create a repository of the store.
+   * @param {string} name The name of the repository.
+   * @param {Object} [options] The repository options.
+   * @param {() => string} [options.idGenerator] The generator of the new identifiers.
+   * @returns {import("./repository.mjs").MemoryRepository} The repository.
+   */
+  repository(name, { idGenerator = undefined } = {}) {
+    const repository = this.createRepository(name, {
+      idGenerator,
+      transactions: this.transactions,
+    });
+    this.repositories.push(repository);
+    return repository;
+  }
+
+  /**
+   * Create a new repository of the backend.
+   * @param {string} name The name of the repository.
+   * @param {Object} options The repository options.
+   * @returns {import("./repository.mjs").MemoryRepository} The repository.
+   */
+  createRepository(name, options) {
+    return new MemoryRepository(options);
+  }
+
+  /**
+   * Run an operation in a transaction spanning all repositories of the store.
+   * @template RESULT The result type of the operation.
+   * @param {() => Promise<RESULT>} operation The operation.
+   * @returns {Promise<RESULT>} The result of the operation.
+   */
+  transaction(operation) {
+    return this.transactions.run(operation);
+  }
+
+  /**
+   * Apply the pending migrations. The entities in memory have no schema.
+   * @returns {Promise<number[]>} The versions of the applied migrations.
+   */
+  async migrate() {
+    return [];
+  }
+
+  /**
+   * Wait until the pending writes of the repositories have completed.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(
+      this.repositories.map((repository) => repository.flush())
+    );
+  }
+}
+
+/**
+ * A store keeping every repository in a JSON file of the data directory.
+ * @extends {MemoryStore}
+ */
+export class JsonFileStore extends MemoryStore {
+  /**
+   * Create a new JSON file store.
+   * @param {string} dataDir The directory of the data files.
+   */
+  constructor(dataDir) {
+    super();
+    /**
+     * The directory of the data files.
+     * @type {string}
+     */
+    this.dataDir = dataDir;
+  }
+
+  createRepository(name, options) {
+    return new JsonFileRepository(
+      path.join(this.dataDir, JSON_FILE_NAMES[name] ?? `${name}.json`),
+      options
+    );
+  }
+}
+
+/**
+ * Create the store of a storage backend.
+ * @param {Object} [options] The storage options.
+ * @param {import("../config.mjs").StorageBackend} [options.storage="json"] The
+ * storage backend.
+ * @param {string} [options.dataDir="data"] The directory of the data files.
+ * @returns {Store} The store.
+ */
+export function createStore({ storage = "json", dataDir = "data" } = {}) {
+  switch (storage) {
+    case "memory":
+      return new MemoryStore();
+    case "sqlite":
+      return new SqliteStore(path.join(dataDir, SQLITE_FILE));
+    case "json":
+      return new JsonFileStore(dataDir);
+    default:
+      throw new RangeError(`Unknown storage backend ${storage}`);
+  }
+}
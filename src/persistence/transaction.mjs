@@ -0,0 +1,113 @@
+/**
+ * The transactions of the repositories.
+ *
+ * A transaction manager runs the transactions of the repositories sharing a storage
+ * one at a time. The operations of the repositories outside the running transaction
+ * wait until the transaction has ended, and the operations inside the transaction,
+ * including the nested transactions, join it. A failing transaction is rolled back
+ * by all participants of the manager.
+ * @module persistence/transaction
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+ * A participant of the transactions.
+ * @typedef {Object} TransactionParticipant
+ * @property {() => void|Promise<void>} begin Begin a transaction.
+ * @property {() => void|Promise<void>} commit Commit the transaction.
+ * @property {() => void|Promise<void>} rollback Roll the transaction back.
+ */
+
+/**
+ * The manager of the transactions of a storage.
+ */
+export class TransactionManager {
+  /**
+   * Create a new transaction manager.
+   */
+  constructor() {
+    /**
+     * The participants of the transactions.
+     * @type {Set<TransactionParticipant>}
+     */
+    this.participants = new Set();
+    /**
+     * The context of the running transaction.
+     * @type {AsyncLocalStorage<TransactionManager>}
+     */
+    this.context = new AsyncLocalStorage();
+    /**
+     * The promise resolved when the latest started transaction has ended.
+     * @type {Promise<void>}
+     */
+    this.idle = Promise.resolve();
+  }
+
+  /**
+   * Add a participant to the transactions.
+   * @param {TransactionParticipant} participant The participant.
+   */
+  enlist(participant) {
+    this.participants.add(participant);
+  }
+
+  /**
+   * Test whether the caller runs inside a transaction of the manager.
+   * @returns {boolean} True, if and only if the caller is inside a transaction.
+   */
+  inTransaction() {
+    return this.context.getStore() === this;
+  }
+
+  /**
+   * Wait until an operation may access the storage.
+   * @returns {Promise<void>} The promise resolved when no other transaction is
+   * running.
+   */
+  async ready() {
+    if (!this.inTransaction()) {
+      await this.idle;
+    }
+  }
+
+  /**
+   * Run an operation in a transaction. The changes of the operation are committed
+   * if the operation succeeds, and rolled back if it fails.
+   * @template RESULT The result type of the operation.
+   * @param {() => Promise<RESULT>} operation The operation.
+   * @returns {Promise<RESULT>} The result of the operation.
+   */
+  async run(operation) {
+    if (this.inTransaction()) {
+      return operation();
+    }
+    const previous = this.idle;
+    /** @type {() => void} */
+    let release;
+    this.idle = new Promise((resolve) => {
+      release = resolve;
+    });
+    try {
+      await previous;
+      const participants = [...this.participants];
+      for (const participant of participants) {
+        await participant.begin();
+      }
+      try {
+        const result = await this.context.run(this, operation);
+        for (const participant of participants) {
+          await participant.commit();
+        }
+        return result;
+      } catch (err) {
+        for (const participant of participants) {
+          await participant.rollback();
+        }
+        throw err;
+      }
+    } finally {
+      release();
+    }
+  }
+}
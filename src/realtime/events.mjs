@@ -0,0 +1,248 @@
+/**
+ * The change events of the server.
+ *
+ * The event hub numbers the change events of the repositories, and keeps a bounded
+ * history of the latest events. The clients missing events can catch up from the
+ * history, as long as the events they missed are still in it.
+ * @module realtime/events
+ */
+
+import { randomUUID } from "node:crypto";
+import { EventEmitter } from "node:events";
+
+/**
+ * The default number of events kept in the history.
+ * @type {number}
+ */
+export const DEFAULT_HISTORY_SIZE = 1000;
+
+/**
+ * The actions of the change events.
+ * @type {ReadonlyArray<string>}
+ */
+export const CHANGE_ACTIONS = Object.freeze(["created", "updated", "deleted"]);
+
+/**
+ * A change event.
+ * @typedef {Object} ChangeEvent
+ * @property {number} seq The sequence number of the event.
+ * @property {string} entity The type of the changed entity.
+ * @property {"created"|"updated"|"deleted"} action The change.
+ * @property {string} id The identifier of the changed entity.
+ * @property {string} [saga] The saga of the changed entity.
+ * @property {string} [session] The session the event belongs to. The events without
+ * a session belong to every session.
+ * @property {boolean} [hidden] Is the changed entity hidden from the members who are
+ * not storyguides.
+ * @property {boolean} [concealed] Did the update hide the entity, which the members
+ * who are not storyguides saw before the change.
+ * @property {Object} [data] The entity after the change. The deletions have no data.
+ * @property {string} time The time of the change.
+ */
+
+/**
+ * The result of catching up the missed events.
+ * @typedef {Object} CatchUp
+ * @property {boolean} complete Does the result contain all missed events. If false,
+ * the client has to reload its state.
+ * @property {ChangeEvent[]} events The missed events.
+ */
+
+/**
+ * The hub publishing the change events to the listeners.
+ */
+export class EventHub extends EventEmitter {
+  /**
+   * Create a new event hub.
+   * @param {Object} [options] The hub options.
+   * @param {number} [options.historySize] The number of events kept in the history.
+   */
+  constructor({ historySize = DEFAULT_HISTORY_SIZE } = {}) {
+    super();
+    // Every connected client listens to the changes.
+    this.setMaxListeners(0);
+    /**
+     * The identifier of the event sequence. The sequence numbers are only comparable
+     * within an epoch.
+     * @type {string}
+     */
+    this.epoch = randomUUID();
+    /**
+     * The sequence number of the latest event.
+     * @type {number}
+     */
+    this.seq = 0;
+    /**
+     * The latest events in the order of the sequence numbers.
+     * @type {ChangeEvent[]}
+     */
+    this.history = [];
+    /**
+     * The largest number of events in the history.
+     * @type {number}
+     */
+    this.historySize = historySize;
+  }
+
+  /**
+   * Publish a change event to the listeners of the "change" event.
+   * @param {Omit<ChangeEvent, "seq"|"time">} change The published change.
+   * @returns {ChangeEvent} The published event.
+   */
+  publish(change) {
+    const event = {
+      ...change,
+      seq: ++this.seq,
+      time: new Date().toISOString(),
+    };
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.splice(0, this.history.length - this.historySize);
+    }
+    this.emit("change", event);
+    return event;
+  }
+
+  /**
+   * Get the events of a session after a sequence number.
+   * @param {number} since The sequence number of the latest event the client has.
+   * @param {string} [epoch] The epoch of the sequence number. Defaults to the current
+   * epoch.
+   * @param {string} [session] The session of the client. Defaults to all sessions.
+   * @returns {CatchUp} The missed events.
+   */
+  since(since, epoch = this.epoch, session = undefined) {
+    const oldest = this.history.length > 0 ? this.history[0].seq : this.seq + 1;
+    if (
+      epoch !== this.epoch ||
+      !Number.isInteger(since) ||
+      since > this.seq ||
+      since < oldest - 1
+    ) {
+      return { complete: false, events: [] };
+    }
+    return {
+      complete: true,
+      events: this.history.filter(
+        (event) => event.seq > since && belongsTo(event, session)
+      ),
+    };
+  }
+}
+
+/**
+ * Test whether an event belongs to a session.
+ * @param {ChangeEvent} event The tested event.
+ * @param {string} [session] The session. Undefined session receives all events.
+ * @returns {boolean} True, if and only if the event belongs to the session.
+ */
+export function belongsTo(event, session) {
+  return (
+    session === undefined ||
+    event.session === undefined ||
+    event.session === session
+  );
+}
+
+/**
+ * A repository publishing its changes to an event hub. All operations are delegated
+ * to the observed repository.
+ * @template {import("../persistence/repository.mjs").Entity} [ENTITY=import("../persistence/repository.mjs").Entity]
+ * The type of the stored entities.
+ */
+export class ObservedRepository {
+  /**
+   * Create a new observed repository.
+   * @param {import("../persistence/repository.mjs").MemoryRepository<ENTITY>} repository
+   * The observed repository.
+   * @param {string} entity The type of the entities in the change events.
+   * @param {EventHub} hub The hub the changes are published to.
+   */
+  constructor(repository, entity, hub) {
+    /**
+     * The observed repository.
+     * @type {import("../persistence/repository.mjs").MemoryRepository<ENTITY>}
+     */
+    this.repository = repository;
+    /**
+     * The type of the entities.
+     * @type {string}
+     */
+    this.entity = entity;
+    /**
+     * The event hub.
+     * @type {EventHub}
+     */
+    this.hub = hub;
+  }
+
+  /**
+   * Publish a change of an entity.
+   * @param {"created"|"updated"|"deleted"} action The change.
+   * @param {string} id The identifier of the entity.
+   * @param {ENTITY} [data] The entity after the change.
+   * @param {ENTITY} [previous] The entity before the change. Used for the saga, the
+   * visibility of the deleted entities, and the hiding of the updated entities.
+   */
+  changedEntity(action, id, data = undefined, previous = data) {
+    const hidden = (data ?? previous)?.hidden === true;
+    this.hub.publish({
+      entity: this.entity,
+      action,
+      id,
+      ...(typeof previous?.saga === "string" ? { saga: previous.saga } : {}),
+      ...(typeof data?.session === "string" ? { session: data.session } : {}),
+      ...(hidden ? { hidden: true } : {}),
+      ...(hidden && previous !== undefined && previous.hidden !== true
+        ? { concealed: true }
+        : {}),
+      ...(data === undefined ? {} : { data }),
+    });
+  }
+
+  list(filter = undefined) {
+    return this.repository.list(filter);
+  }
+
+  query(filter = undefined) {
+    return this.repository.query(filter);
+  }
+
+  get(id) {
+    return this.repository.get(id);
+  }
+
+  async create(data) {
+    const created = await this.repository.create(data);
+    this.changedEntity("created", created.id, created);
+    return created;
+  }
+
+  async update(id, data) {
+    const previous = await this.repository.get(id);
+    const updated = await this.repository.update(id, data);
+    this.changedEntity("updated", id, updated, previous);
+    return updated;
+  }
+
+  async delete(id) {
+    const previous = await this.repository.get(id);
+    const deleted = await this.repository.delete(id);
+    if (deleted) {
+      this.changedEntity("deleted", id, undefined, previous);
+    }
+    return deleted;
+  }
+
+  transaction(operation) {
+    return this.repository.transaction(operation);
+  }
+
+  changed() {
+    return this.repository.changed();
+  }
+
+  flush() {
+    return this.repository.flush();
+  }
+}
@@ -0,0 +1,286 @@
+/**
+ * The WebSocket endpoint of the change events.
+ *
+ * A client connects to the endpoint with the session room it belongs to, and
+ * receives the change events of the session and the events common to all sessions.
+ * The protocol messages are JSON objects with a `type`:
+ * - The server sends `welcome` with the current `epoch` and `seq` on connection.
+ * - The server sends `event` with the change event of every change.
+ * - The client sends `resync` with the `epoch` and the `seq` of the latest event it
+ *   has. The server answers with the missed events followed by `synced`, or with
+ *   `reset` if the missed events are no longer available and the client has to
+ *   reload its state.
+ * - The client may send `ping`, which the server answers with `pong`.
+ *
+ * A reconnecting client may also give `epoch` and `since` as query parameters of the
+ * connection URL to resynchronize immediately.
+ *
+ * If the endpoint has an authorization, the connection is refused unless the request
+ * is authorized to a saga scope. The client then only receives the events of the
+ * saga, and the members who are not storyguides do not receive the events of the
+ * hidden entities or the secret properties. When an update hides an entity, they
+ * receive its deletion instead. The request is authorized again before every event of
+ * the saga is delivered, so that a changed role takes effect on the next event, and
+ * the connection is closed once the user is no longer a member of the saga.
+ * @module realtime/websocket
+ */
+
+import { WebSocketServer } from "ws";
+import { memberView } from "../model/saga.mjs";
+import { belongsTo } from "./events.mjs";
+
+/**
+ * The default path of the WebSocket endpoint.
+ * @type {string}
+ */
+export const DEFAULT_PATH = "/ws";
+
+/**
+ * The default interval of the heartbeat checks in milliseconds.
+ * @type {number}
+ */
+export const DEFAULT_HEARTBEAT = 30000;
+
+/**
+ * The saga scope of a WebSocket connection.
+ * @typedef {Object} EventScope
+ * @property {string} saga The identifier of the saga.
+ * @property {boolean} storyguide Does the client see the hidden entities and the
+ * secret properties.
+ */
+
+/**
+ * The authorization of the WebSocket connections.
+ * @callback EventAuthorization
+ * @param {import("node:http").IncomingMessage} req The upgrade request.
+ * @returns {Promise<EventScope|undefined>} The scope of the connection, or an
+ * undefined value, if the connection is not authorized.
+ */
+
+/**
+ * Create the view of a change event seen in a scope.
+ * @param {import("./events.mjs").ChangeEvent} event The change event.
+ * @param {EventScope} [scope] The scope. Defaults to seeing all events.
+ * @returns {import("./events.mjs").ChangeEvent|undefined} The event seen in the
+ * scope, or an undefined value, if the event is not visible in the scope.
+ */
+export function scopedEvent(event, scope = undefined) {
+  if (scope === undefined) {
+    return event;
+  } else if (event.saga !== scope.saga) {
+    return undefined;
+  } else if (event.hidden === true && !scope.storyguide) {
+    if (event.concealed !== true) {
+      return undefined;
+    }
+    const { data, hidden, concealed, ...removed } = event;
+    return { ...removed, action: "deleted" };
+  }
+  return event.data === undefined
+    ? event
+    : { ...event, data: memberView(event.data, scope.storyguide) };
+}
+
+/**
+ * Send a protocol message to a client.
+ * @param {import("ws").WebSocket} socket The socket of the client.
+ * @param {Object} message The message.
+ */
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Send the events a client missed.
+ * @param {import("ws").WebSocket} socket The socket of the client.
+ * @param {import("./events.mjs").EventHub} events The event hub.
+ * @param {string|undefined} session The session of the client.
+ * @param {EventScope|undefined} scope The scope of the client.
+ * @param {any} epoch The epoch of the latest event the client has.
+ * @param {any} since The sequence number of the latest event the client has.
+ */
+function resync(socket, events, session, scope, epoch, since) {
+  const { complete, events: missed } = events.since(since, epoch, session);
+  if (complete) {
+    missed
+      .map((event) => scopedEvent(event, scope))
+      .filter((event) => event !== undefined)
+      .forEach((event) => send(socket, { type: "event", event }));
+    send(socket, { type: "synced", epoch: events.epoch, seq: events.seq });
+  } else {
+    send(socket, { type: "reset", epoch: events.epoch, seq: events.seq });
+  }
+}
+
+/**
+ * Attach the WebSocket endpoint of the change events to a HTTP server.
+ * @param {import("node:http").Server} server The HTTP server.
+ * @param {Object} options The endpoint options.
+ * @param {import("./events.mjs").EventHub} options.events The event hub.
+ * @param {string} [options.path] The path of the endpoint.
+ * @param {number} [options.heartbeat] The interval of closing the unresponsive
+ * connections in milliseconds.
+ * @param {EventAuthorization} [options.authorize] The authorization of the
+ * connections. Defaults to accepting all connections with all events.
+ * @returns {WebSocketServer} The WebSocket server. The server is closed when the HTTP
+ * server closes.
+ */
+export function attachWebSocketServer(
+  server,
+  {
+    events,
+    path = DEFAULT_PATH,
+    heartbeat = DEFAULT_HEARTBEAT,
+    authorize = undefined,
+  }
+) {
+  /**
+   * The scopes of the authorized upgrade requests.
+   * @type {WeakMap<import("node:http").IncomingMessage, EventScope>}
+   */
+  const scopes = new WeakMap();
+  const wss = new WebSocketServer({
+    server,
+    path,
+    ...(authorize === undefined
+      ? {}
+      : {
+          verifyClient({ req }, done) {
+            authorize(req).then(
+              (scope) => {
+                if (scope === undefined) {
+                  done(false, 401, "Unauthorized");
+                } else {
+                  scopes.set(req, scope);
+                  done(true);
+                }
+              },
+              () => done(false, 500, "Internal Server Error")
+            );
+          },
+        }),
+  });
+  /**
+   * The liveness of the connected sockets.
+   * @type {WeakMap<import("ws").WebSocket, boolean>}
+   */
+  const alive = new WeakMap();
+
+  wss.on("connection", (socket, req) => {
+    const query = new URL(req.url, "http://localhost").searchParams;
+    const session = query.get("session") ?? undefined;
+    let scope = scopes.get(req);
+    alive.set(socket, true);
+    socket.on("pong", () => alive.set(socket, true));
+
+    /**
+     * The latest delivery to the client. The deliveries wait for the previous ones,
+     * so that the events keep their order.
+     * @type {Promise<void>}
+     */
+    let delivered = Promise.resolve();
+
+    /**
+     * Deliver to the client in the current scope of the connection. A scoped
+     * connection is authorized again before the delivery, and closed instead, if the
+     * request is no longer authorized to the saga.
+     * @param {(scope: EventScope|undefined) => void} deliver The delivery.
+     */
+    const inScope = (deliver) => {
+      if (scope === undefined) {
+        deliver(undefined);
+        return;
+      }
+      delivered = delivered.then(async () => {
+        if (socket.readyState !== socket.OPEN) {
+          return;
+        }
+        const current = await authorize(req).catch(() => undefined);
+        if (current?.saga !== scope.saga) {
+          socket.close(1008, "Unauthorized");
+          return;
+        }
+        scope = current;
+        deliver(current);
+      });
+    };
+
+    /**
+     * Forward a change event of the session to the client.
+     * @param {import("./events.mjs").ChangeEvent} event The change event.
+     */
+    const forward = (event) => {
+      if (scope !== undefined && event.saga !== scope.saga) {
+        return;
+      }
+      inScope((current) => {
+        const visible = scopedEvent(event, current);
+        if (visible !== undefined && belongsTo(visible, session)) {
+          send(socket, { type: "event", event: visible });
+        }
+      });
+    };
+    events.on("change", forward);
+    socket.on("close", () => events.off("change", forward));
+
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        send(socket, { type: "error", message: "Invalid JSON message" });
+        return;
+      }
+      switch (message?.type) {
+        case "resync":
+          inScope((current) =>
+            resync(socket, events, session, current, message.epoch, message.seq)
+          );
+          break;
+        case "ping":
+          send(socket, { type: "pong" });
+          break;
+        default:
+          send(socket, {
+            type: "error",
+            message: `Unknown message type ${message?.type}`,
+          });
+      }
+    });
+
+    send(socket, {
+      type: "welcome",
+      epoch: events.epoch,
+      seq: events.seq,
+      ...(scope === undefined ? {} : { saga: scope.saga }),
+      ...(session === undefined ? {} : { session }),
+    });
+    if (query.has("since")) {
+      resync(
+        socket,
+        events,
+        session,
+        scope,
+        query.get("epoch") ?? undefined,
+        Number(query.get("since"))
+      );
+    }
+  });
+
+  const timer = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!alive.get(socket)) {
+        socket.terminate();
+      } else {
+        alive.set(socket, false);
+        socket.ping();
+      }
+    });
+  }, heartbeat);
+  timer.unref();
+  wss.on("close", () => clearInterval(timer));
+  server.on("close", () => wss.close());
+  return wss;
+}
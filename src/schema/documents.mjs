@@ -0,0 +1,544 @@
+/**
+ * The versioned import and export documents.
+ *
+ * A document wraps a character, a covenant, or a whole saga into an envelope telling
+ * the kind and the version of the document format. The older versions are migrated
+ * to the current version before validation, so that the old exports still load
+ * after the model changes.
+ * @module schema/documents
+ */
+
+import {
+  ARTS,
+  CHARACTER_TYPES,
+  CHARACTERISTICS,
+  FORMS,
+  MAX_CHARACTERISTIC,
+  MAX_EXPERIENCE,
+  MIN_CHARACTERISTIC,
+  TECHNIQUES,
+} from "../model/character.mjs";
+import { ARMOR, ARMOR_COVERAGES, SHIELDS, WEAPONS } from "../model/combat.mjs";
+import {
+  BOOK_TYPES,
+  EXPENDITURE_CATEGORIES,
+  SEASONS,
+} from "../model/covenant.mjs";
+import { CORDS } from "../model/familiar.mjs";
+import {
+  DURATIONS,
+  MAX_EXTRA_MAGNITUDES,
+  RANGES,
+  TARGETS,
+} from "../model/spell.mjs";
+import { validateSchema } from "./validator.mjs";
+
+/**
+ * The format identifier of the documents.
+ * @type {string}
+ */
+export const DOCUMENT_FORMAT = "arm5tools";
+
+/**
+ * The kinds of the documents.
+ * @type {ReadonlyArray<string>}
+ */
+export const DOCUMENT_KINDS = Object.freeze(["character", "covenant", "saga"]);
+
+/**
+ * A migration of the documents from a version to the next version. The migration
+ * has a function for each entity type it changes. A saga is migrated by migrating
+ * its members.
+ * @typedef {Object} Migration
+ * @property {(character: Object) => Object} [character] The migration of a
+ * character.
+ * @property {(covenant: Object) => Object} [covenant] The migration of a covenant.
+ * @property {(spell: Object) => Object} [spell] The migration of a spell.
+ * @property {(saga: Object) => Object} [saga] The migration of the saga properties
+ * applied after migrating the members.
+ */
+
+/**
+ * The migrations of the document versions. The migration at index `i` migrates the
+ * version `i + 1` to the version `i + 2`.
+ * @type {ReadonlyArray<Migration>}
+ */
+export const MIGRATIONS = Object.freeze([]);
+
+/**
+ * Get the current document version.
+ * @param {ReadonlyArray<Migration>} [migrations] The migrations. Defaults to the
+ * migrations of the server.
+ * @returns {number} The version of the newest document format.
+ */
+export function currentVersion(migrations = MIGRATIONS) {
+  return migrations.length + 1;
+}
+
+/**
+ * The schema of a non-negative integer.
+ * @type {import("./validator.mjs").JsonSchema}
+ */
+const COUNT = Object.freeze({ type: "integer", minimum: 0 });
+
+/**
+ * The schema of the experience points.
+ * @type {import("./validator.mjs").JsonSchema}
+ */
+const EXPERIENCE = Object.freeze({
+  type: "integer",
+  minimum: 0,
+  maximum: MAX_EXPERIENCE,
+});
+
+/**
+ * The schema of a non-empty string.
+ * @type {import("./validator.mjs").JsonSchema}
+ */
+const NAME = Object.freeze({ type: "string", minLength: 1, pattern: "\\S" });
+
+/**
+ * Create the schema of a list of objects.
+ * @param {Record<string, import("./validator.mjs").JsonSchema>} properties The
+ * schemas of the properties of the objects.
+ * @param {string[]} [required] The required properties of the objects.
+ * @returns {import("./validator.mjs").JsonSchema} The schema of the list.
+ */
+function listOf(properties, required = []) {
+  return {
+    type: "array",
+    items: {
+      type: "object",
+      properties,
+      required,
+      additionalProperties: false,
+    },
+  };
+}
+
+/**
+ * The schema definitions of the entities.
+ * @type {Record<string, import("./validator.mjs").JsonSchema>}
+ */
+export const DEFINITIONS = {
+  character: {
+    type: "object",
+    required: ["name", "type", "characteristics"],
+    properties: {
+      id: { type: "string" },
+      name: NAME,
+      type: { enum: [...CHARACTER_TYPES] },
+      characteristics: {
+        type: "object",
+        propertyNames: { enum: [...CHARACTERISTICS] },
+        additionalProperties: {
+          type: "integer",
+          minimum: MIN_CHARACTERISTIC,
+          maximum: MAX_CHARACTERISTIC,
+        },
+      },
+      abilities: listOf(
+        {
+          name: NAME,
+          speciality: { type: "string" },
+          xp: EXPERIENCE,
+          level: COUNT,
+        },
+        ["name", "xp"]
+      ),
+      arts: {
+        type: "object",
+        propertyNames: { enum: [...ARTS] },
+        additionalProperties: {
+          type: "object",
+          required: ["xp"],
+          properties: { xp: EXPERIENCE, score: COUNT },
+          additionalProperties: false,
+        },
+      },
+      spells: listOf({ spell: NAME, xp: EXPERIENCE, mastery: COUNT }, [
+        "spell",
+        "xp",
+      ]),
+      notes: { type: "string" },
+      aging: {
+        type: "object",
+        required: ["age"],
+        properties: {
+          age: COUNT,
+          apparentAge: COUNT,
+          longevity: COUNT,
+          livingConditions: { type: "integer" },
+          agingPoints: {
+            type: "object",
+            propertyNames: { enum: [...CHARACTERISTICS] },
+            additionalProperties: EXPERIENCE,
+          },
+          decrepitude: { $ref: "#/$defs/pointScore" },
+          warping: { $ref: "#/$defs/pointScore" },
+          deceased: { type: "boolean" },
+        },
+        additionalProperties: false,
+      },
+      virtues: listOf(
+        { name: NAME, subject: { type: "string" }, notes: { type: "string" } },
+        ["name"]
+      ),
+      equipment: {
+        type: "object",
+        required: ["weapon"],
+        properties: {
+          weapon: { enum: Object.keys(WEAPONS) },
+          shield: { enum: Object.keys(SHIELDS) },
+          armor: { enum: Object.keys(ARMOR) },
+          coverage: { enum: [...ARMOR_COVERAGES] },
+        },
+        additionalProperties: false,
+      },
+      might: COUNT,
+      powers: listOf(
+        {
+          name: NAME,
+          cost: COUNT,
+          form: { enum: [...FORMS] },
+          description: { type: "string" },
+        },
+        ["name", "cost"]
+      ),
+      familiar: {
+        type: "object",
+        required: ["cords"],
+        properties: {
+          character: NAME,
+          cords: {
+            type: "object",
+            propertyNames: { enum: [...CORDS] },
+            additionalProperties: {
+              type: "object",
+              required: ["xp"],
+              properties: { xp: EXPERIENCE, strength: COUNT },
+              additionalProperties: false,
+            },
+          },
+        },
+        additionalProperties: false,
+      },
+      talisman: {
+        type: "object",
+        required: ["name", "capacity"],
+        properties: {
+          name: NAME,
+          capacity: { type: "integer", minimum: 1 },
+          attunements: listOf(
+            {
+              name: NAME,
+              bonus: { type: "integer", minimum: 1 },
+              art: { enum: [...ARTS] },
+            },
+            ["name", "bonus", "art"]
+          ),
+          effects: listOf(
+            { name: NAME, level: { type: "integer", minimum: 1 } },
+            ["name", "level"]
+          ),
+        },
+        additionalProperties: false,
+      },
+      advancements: { type: "array", items: { type: "object" } },
+      agingHistory: { type: "array", items: { type: "object" } },
+      saga: { type: "string" },
+      hidden: { type: "boolean" },
+      storyguideNotes: { type: "string" },
+      npc: { type: "boolean" },
+    },
+  },
+  pointScore: {
+    type: "object",
+    required: ["points"],
+    properties: { points: EXPERIENCE, score: COUNT },
+    additionalProperties: false,
+  },
+  covenant: {
+    type: "object",
+    required: ["name", "founded"],
+    properties: {
+      id: { type: "string" },
+      name: NAME,
+      tribunal: { type: "string" },
+      founded: { type: "integer" },
+      aura: { type: "integer" },
+      treasury: { type: "number" },
+      inflation: { type: "number", minimum: 0 },
+      visSources: listOf(
+        {
+          name: NAME,
+          art: { enum: [...ARTS] },
+          pawns: COUNT,
+          season: { enum: [...SEASONS] },
+        },
+        ["name", "art", "pawns"]
+      ),
+      visStocks: listOf({ art: { enum: [...ARTS] }, pawns: COUNT }, [
+        "art",
+        "pawns",
+      ]),
+      library: listOf(
+        {
+          title: NAME,
+          type: { enum: [...BOOK_TYPES] },
+          subject: NAME,
+          level: COUNT,
+          quality: COUNT,
+          author: { type: "string" },
+        },
+        ["title", "type", "subject"]
+      ),
+      laboratories: listOf(
+        {
+          name: NAME,
+          owner: { type: "string" },
+          size: { type: "integer" },
+          upkeep: { type: "number", minimum: 0 },
+        },
+        ["name"]
+      ),
+      buildings: listOf(
+        { name: NAME, upkeep: { type: "number", minimum: 0 } },
+        ["name"]
+      ),
+      incomeSources: listOf(
+        { name: NAME, income: { type: "number", minimum: 0 } },
+        ["name", "income"]
+      ),
+      expenditures: listOf(
+        {
+          name: NAME,
+          category: { enum: [...EXPENDITURE_CATEGORIES] },
+          cost: { type: "number", minimum: 0 },
+        },
+        ["name", "category", "cost"]
+      ),
+      loyalty: {
+        type: "object",
+        required: ["points"],
+        properties: {
+          points: { type: "integer" },
+          modifiers: listOf({ name: NAME, value: { type: "integer" } }, [
+            "name",
+            "value",
+          ]),
+        },
+        additionalProperties: false,
+      },
+      saga: { type: "string" },
+      hidden: { type: "boolean" },
+      storyguideNotes: { type: "string" },
+    },
+  },
+  spell: {
+    type: "object",
+    required: [
+      "name",
+      "technique",
+      "form",
+      "range",
+      "duration",
+      "target",
+      "base",
+      "level",
+    ],
+    properties: {
+      id: { type: "string" },
+      name: NAME,
+      technique: { enum: [...TECHNIQUES] },
+      form: { enum: [...FORMS] },
+      requisites: { type: "array", items: { enum: [...ARTS] } },
+      range: { enum: Object.keys(RANGES) },
+      duration: { enum: Object.keys(DURATIONS) },
+      target: { enum: Object.keys(TARGETS) },
+      base: { type: "integer", minimum: 1 },
+      extraMagnitudes: {
+        type: "integer",
+        minimum: 0,
+        maximum: MAX_EXTRA_MAGNITUDES,
+      },
+      level: { type: "integer", minimum: 1 },
+      ritual: { type: "boolean" },
+      description: { type: "string" },
+      computedLevel: { type: "integer", minimum: 1 },
+      saga: { type: "string" },
+    },
+  },
+  saga: {
+    type: "object",
+    required: ["characters", "covenants", "spells"],
+    properties: {
+      name: { type: "string" },
+      characters: { type: "array", items: { $ref: "#/$defs/character" } },
+      covenants: { type: "array", items: { $ref: "#/$defs/covenant" } },
+      spells: { type: "array", items: { $ref: "#/$defs/spell" } },
+    },
+    additionalProperties: false,
+  },
+};
+
+/**
+ * Create the JSON Schema of a document kind.
+ * @param {string} kind The document kind.
+ * @param {ReadonlyArray<Migration>} [migrations] The migrations determining the
+ * current version. Defaults to the migrations of the server.
+ * @returns {import("./validator.mjs").JsonSchema} The schema of the current version
+ * of the documents of the kind.
+ * @throws {RangeError} The kind was unknown.
+ */
+export function documentSchema(kind, migrations = MIGRATIONS) {
+  if (!DOCUMENT_KINDS.includes(kind)) {
+    throw new RangeError(`Unknown document kind ${kind}`);
+  }
+  const version = currentVersion(migrations);
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: `${DOCUMENT_FORMAT}:${kind}:${version}`,
+    title: `ArM5 Tools ${kind} document version ${version}`,
+    type: "object",
+    required: ["format", "kind", "version", "data"],
+    properties: {
+      format: { const: DOCUMENT_FORMAT },
+      kind: { const: kind },
+      version: { const: version },
+      exported: { type: "string" },
+      data: { $ref: `#/$defs/${kind}` },
+    },
+    additionalProperties: false,
+    $defs: DEFINITIONS,
+  };
+}
+
+/**
+ * The schema of the document envelope common to all versions.
+ * @type {import("./validator.mjs").JsonSchema}
+ */
+const ENVELOPE_SCHEMA = {
+  type: "object",
+  required: ["format", "kind", "version", "data"],
+  properties: {
+    format: { const: DOCUMENT_FORMAT },
+    kind: { enum: [...DOCUMENT_KINDS] },
+    version: { type: "integer", minimum: 1 },
+    data: { type: "object" },
+  },
+};
+
+/**
+ * The error indicating an invalid document.
+ */
+export class DocumentError extends RangeError {
+  /**
+   * Create a new document error.
+   * @param {string} message The message of the error.
+   * @param {import("../model/character.mjs").ValidationIssue[]} [issues] The issues
+   * of the document.
+   * @param {ErrorOptions} [options] The error options.
+   */
+  constructor(message, issues = [], options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    /**
+     * The issues of the document.
+     * @type {import("../model/character.mjs").ValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * A document.
+ * @typedef {Object} Document
+ * @property {string} format The format identifier.
+ * @property {"character"|"covenant"|"saga"} kind The kind of the document.
+ * @property {number} version The version of the document format.
+ * @property {string} [exported] The time of the export.
+ * @property {Object} data The exported entity or saga.
+ */
+
+/**
+ * Create a document of the current version.
+ * @param {"character"|"covenant"|"saga"} kind The kind of the document.
+ * @param {Object} data The exported entity or saga.
+ * @returns {Document} The document.
+ */
+export function createDocument(kind, data) {
+  return {
+    format: DOCUMENT_FORMAT,
+    kind,
+    version: currentVersion(),
+    exported: new Date().toISOString(),
+    data,
+  };
+}
+
+/**
+ * Apply a migration to the data of a document.
+ * @param {string} kind The kind of the document.
+ * @param {Object} data The migrated data.
+ * @param {Migration} migration The migration.
+ * @returns {Object} The migrated data.
+ */
+function applyMigration(kind, data, migration) {
+  const identity = (value) => value;
+  if (kind !== "saga") {
+    return (migration[kind] ?? identity)(data);
+  }
+  const members = ["characters", "covenants", "spells"].map((property) => [
+    property,
+    property.slice(0, -1),
+  ]);
+  const result = { ...data };
+  members.forEach(([property, type]) => {
+    if (Array.isArray(data[property])) {
+      result[property] = data[property].map(migration[type] ?? identity);
+    }
+  });
+  return (migration.saga ?? identity)(result);
+}
+
+/**
+ * Validate a document and migrate it to the current version.
+ * @param {any} document The document.
+ * @param {ReadonlyArray<Migration>} [migrations] The migrations. Defaults to the
+ * migrations of the server.
+ * @returns {Document} The valid document of the current version.
+ * @throws {DocumentError} The document was invalid, or its version was newer than
+ * the current version.
+ */
+export function readDocument(document, migrations = MIGRATIONS) {
+  const envelopeIssues = validateSchema(ENVELOPE_SCHEMA, document);
+  if (envelopeIssues.length > 0) {
+    throw new DocumentError("Invalid document", envelopeIssues);
+  }
+  const version = currentVersion(migrations);
+  if (document.version > version) {
+    throw new DocumentError(
+      `Unsupported document version ${document.version}`,
+      [
+        {
+          path: "$.version",
+          message: `The newest supported version is ${version}`,
+        },
+      ]
+    );
+  }
+  let data = structuredClone(document.data);
+  for (let from = document.version; from < version; from++) {
+    data = applyMigration(document.kind, data, migrations[from - 1]);
+  }
+  const migrated = { ...document, version, data };
+  const issues = validateSchema(
+    documentSchema(document.kind, migrations),
+    migrated
+  );
+  if (issues.length > 0) {
+    throw new DocumentError("Invalid document", issues);
+  }
+  return migrated;
+}
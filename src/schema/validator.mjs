@@ -0,0 +1,217 @@
+/**
+ * The JSON Schema validator of the documents.
+ *
+ * The validator implements the subset of the JSON Schema 2020-12 vocabulary used by
+ * the document schemas and the OpenAPI description: local `$ref`, `type`, `enum`,
+ * `const`, `properties`, `required`, `additionalProperties`, `propertyNames`,
+ * `items`, `minimum`, `maximum`, `minLength`, `maxLength` and `pattern`. The issues
+ * point to the invalid values with JSON paths.
+ * @module schema/validator
+ */
+
+/**
+ * A JSON Schema.
+ * @typedef {Object} JsonSchema
+ * @property {string} [$id] The identifier of the schema.
+ * @property {string} [$ref] The local reference to a schema of the root schema.
+ * @property {Record<string, JsonSchema>} [$defs] The definitions of the schema.
+ * @property {string|string[]} [type] The allowed JSON types.
+ * @property {any[]} [enum] The allowed values.
+ * @property {any} [const] The only allowed value.
+ * @property {Record<string, JsonSchema>} [properties] The schemas of the
+ * properties.
+ * @property {string[]} [required] The required properties.
+ * @property {boolean|JsonSchema} [additionalProperties] The schema of the other
+ * properties.
+ * @property {JsonSchema} [propertyNames] The schema of the property names.
+ * @property {JsonSchema} [items] The schema of the array items.
+ * @property {number} [minimum] The smallest allowed number.
+ * @property {number} [maximum] The largest allowed number.
+ * @property {number} [minLength] The shortest allowed string.
+ * @property {number} [maxLength] The longest allowed string.
+ * @property {string} [pattern] The regular expression of the allowed strings.
+ */
+
+/**
+ * The pattern of the property names written with the dot notation.
+ * @type {RegExp}
+ */
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Create the JSON path of a property.
+ * @param {string} path The JSON path of the object.
+ * @param {string} property The name of the property.
+ * @returns {string} The JSON path of the property.
+ */
+export function propertyPath(path, property) {
+  return IDENTIFIER.test(property)
+    ? `${path}.${property}`
+    : `${path}[${JSON.stringify(property)}]`;
+}
+
+/**
+ * Get the JSON type of a value.
+ * @param {any} value The value.
+ * @returns {string} The JSON Schema type of the value.
+ */
+export function jsonType(value) {
+  if (value === null) {
+    return "null";
+  } else if (Array.isArray(value)) {
+    return "array";
+  } else if (Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+/**
+ * Resolve a local reference of the root schema. The reference is a JSON pointer,
+ * such as `#/$defs/name` of a schema or `#/components/schemas/Name` of an OpenAPI
+ * document.
+ * @param {JsonSchema} root The root schema.
+ * @param {string} ref The reference.
+ * @returns {JsonSchema} The referred schema.
+ * @throws {RangeError} The reference could not be resolved.
+ */
+function resolveRef(root, ref) {
+  const schema = ref.startsWith("#/")
+    ? ref
+        .slice(2)
+        .split("/")
+        .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"))
+        .reduce((node, token) => node?.[token], root)
+    : undefined;
+  if (!(schema instanceof Object)) {
+    throw new RangeError(`Unresolvable schema reference ${ref}`);
+  }
+  return schema;
+}
+
+/**
+ * Test whether a value has one of the types of a schema.
+ * @param {any} value The tested value.
+ * @param {string|string[]} type The allowed types.
+ * @returns {boolean} True, if and only if the value has an allowed type.
+ */
+function hasType(value, type) {
+  const actual = jsonType(value);
+  return [type]
+    .flat()
+    .some(
+      (allowed) =>
+        allowed === actual || (allowed === "number" && actual === "integer")
+    );
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * @param {JsonSchema} schema The schema.
+ * @param {any} value The validated value.
+ * @param {string} [path="$"] The JSON path of the value.
+ * @param {JsonSchema} [root] The root schema of the references. Defaults to the
+ * schema.
+ * @returns {import("../model/character.mjs").ValidationIssue[]} The validation
+ * issues. An empty list, if the value is valid.
+ */
+export function validateSchema(schema, value, path = "$", root = schema) {
+  if (schema.$ref !== undefined) {
+    return validateSchema(resolveRef(root, schema.$ref), value, path, root);
+  }
+  /** @type {import("../model/character.mjs").ValidationIssue[]} */
+  const issues = [];
+  if (schema.type !== undefined && !hasType(value, schema.type)) {
+    return [
+      {
+        path,
+        message: `Expected ${[schema.type].flat().join(" or ")}, got ${jsonType(
+          value
+        )}`,
+      },
+    ];
+  }
+  if ("const" in schema && value !== schema.const) {
+    issues.push({ path, message: `Expected ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum !== undefined && !schema.enum.includes(value)) {
+    issues.push({
+      path,
+      message: `Expected one of ${schema.enum.join(", ")}`,
+    });
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issues.push({ path, message: `Expected at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      issues.push({ path, message: `Expected at most ${schema.maximum}` });
+    }
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      issues.push({
+        path,
+        message: `Expected at least ${schema.minLength} characters`,
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      issues.push({
+        path,
+        message: `Expected at most ${schema.maxLength} characters`,
+      });
+    }
+    if (
+      schema.pattern !== undefined &&
+      !new RegExp(schema.pattern, "u").test(value)
+    ) {
+      issues.push({ path, message: `Expected to match ${schema.pattern}` });
+    }
+  }
+  if (Array.isArray(value) && schema.items !== undefined) {
+    value.forEach((item, index) => {
+      issues.push(
+        ...validateSchema(schema.items, item, `${path}[${index}]`, root)
+      );
+    });
+  }
+  if (jsonType(value) === "object") {
+    (schema.required ?? []).forEach((property) => {
+      if (!(property in value)) {
+        issues.push({
+          path: propertyPath(path, property),
+          message: `Property ${property} is required`,
+        });
+      }
+    });
+    Object.entries(value).forEach(([property, propertyValue]) => {
+      const propertySchema = schema.properties?.[property];
+      const childPath = propertyPath(path, property);
+      if (schema.propertyNames !== undefined) {
+        issues.push(
+          ...validateSchema(schema.propertyNames, property, childPath, root)
+        );
+      }
+      if (propertySchema !== undefined) {
+        issues.push(
+          ...validateSchema(propertySchema, propertyValue, childPath, root)
+        );
+      } else if (schema.additionalProperties === false) {
+        issues.push({
+          path: childPath,
+          message: `Unknown property ${property}`,
+        });
+      } else if (schema.additionalProperties instanceof Object) {
+        issues.push(
+          ...validateSchema(
+            schema.additionalProperties,
+            propertyValue,
+            childPath,
+            root
+          )
+        );
+      }
+    });
+  }
+  return issues;
+}
@@ -0,0 +1,506 @@
+/**
+ * The templates of the character sheets.
+ *
+ * The printable page follows the layout of the official ArM5 character sheet, and
+ * its stylesheet hides the navigation and fits the sections onto the printed pages.
+ * The Markdown export contains the same sections for the forum play.
+ * @module sheets/character
+ */
+
+import { TECHNIQUES } from "../model/character.mjs";
+import { escapeMarkdown, html, markdownTable, signed } from "./templates.mjs";
+
+/**
+ * The labels of the combat totals in the order of the sheet.
+ * @type {Readonly<[keyof import("../model/combat.mjs").CombatTotals, string][]>}
+ */
+const COMBAT_TOTALS = Object.freeze([
+  ["initiative", "Init"],
+  ["attack", "Atk"],
+  ["defense", "Dfn"],
+  ["damage", "Dam"],
+  ["soak", "Soak"],
+]);
+
+/**
+ * The options of the rendered page.
+ * @typedef {Object} SheetPageOptions
+ * @property {string} [saga] The name of the saga of the character.
+ * @property {string} [stylesheet] The URL of the stylesheet of the page.
+ * @property {string} [markdown] The URL of the Markdown export of the sheet.
+ */
+
+/**
+ * Describe a Virtue or a Flaw.
+ * @param {import("../model/sheet.mjs").SheetVirtue} virtue The Virtue or the Flaw.
+ * @returns {string} The name with the subject.
+ */
+function virtueName({ name, subject }) {
+  return subject === undefined ? name : `${name} (${subject})`;
+}
+
+/**
+ * Describe the magnitude and the type of a Virtue or a Flaw.
+ * @param {import("../model/sheet.mjs").SheetVirtue} virtue The Virtue or the Flaw.
+ * @returns {string} The magnitude and the type. Empty for the entries missing from
+ * the catalogue.
+ */
+function virtueKind({ magnitude, type }) {
+  return magnitude === undefined ? "" : `${magnitude} ${type}`;
+}
+
+/**
+ * Describe the equipment of a sheet.
+ * @param {import("../model/combat.mjs").Equipment} equipment The equipment.
+ * @returns {string[]} The weapon, the shield and the armor with its coverage.
+ */
+function equipmentItems({ weapon, shield, armor, coverage }) {
+  return [
+    weapon,
+    ...(shield === undefined ? [] : [shield]),
+    ...(armor === undefined ? [] : [`${armor} (${coverage ?? "full"})`]),
+  ];
+}
+
+/**
+ * Render the list of the Virtues or the Flaws.
+ * @param {string} title The title of the list.
+ * @param {import("../model/sheet.mjs").SheetVirtue[]} entries The entries.
+ * @returns {import("./templates.mjs").Markup} The markup of the list.
+ */
+function virtueList(title, entries) {
+  return html`<div>
+    <h3>${title}</h3>
+    <ul>
+      ${entries.map(
+        (entry) => html`<li>
+          <span>${virtueName(entry)}</span>
+          <span class="kind">${virtueKind(entry)}</span>
+          ${entry.notes === undefined
+            ? ""
+            : html`<span class="notes">${entry.notes}</span>`}
+        </li>`
+      )}
+    </ul>
+  </div>`;
+}
+
+/**
+ * Render the table of the Arts.
+ * @param {import("../model/sheet.mjs").SheetArt[]} arts The Arts.
+ * @returns {import("./templates.mjs").Markup} The markup of the table.
+ */
+function artTable(arts) {
+  return html`<table>
+    <thead>
+      <tr>
+        <th>Art</th>
+        <th>Score</th>
+        <th>XP</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${arts.map(
+        ({ name, score, xp }) =>
+          html`<tr>
+            <td>${name}</td>
+            <td>${score}</td>
+            <td>${xp}</td>
+          </tr>`
+      )}
+    </tbody>
+  </table>`;
+}
+
+/**
+ * Describe a power of a familiar.
+ * @param {import("../model/familiar.mjs").FamiliarPower} power The power.
+ * @returns {string} The name with the Might cost and the Form.
+ */
+function powerName({ name, cost, form }) {
+  return `${name} (${cost} Might${form === undefined ? "" : `, ${form}`})`;
+}
+
+/**
+ * Describe an attunement of a talisman.
+ * @param {import("../model/talisman.mjs").Attunement} attunement The attunement.
+ * @returns {string} The name with the bonus and the Art.
+ */
+function attunementName({ name, bonus, art }) {
+  return `${name} ${signed(bonus)} ${art}`;
+}
+
+/**
+ * Render a character sheet as a printable HTML page.
+ * @param {import("../model/sheet.mjs").CharacterSheet} sheet The character sheet.
+ * @param {SheetPageOptions} [options] The page options.
+ * @returns {string} The HTML page.
+ */
+export function renderCharacterSheet(sheet, options = {}) {
+  const { saga, stylesheet, markdown } = options;
+  const { equipment, encumbrance, totals } = sheet.combat;
+  return html`<!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="utf-8" />
+        <title>${sheet.name}</title>
+        ${stylesheet === undefined
+          ? ""
+          : html`<link rel="stylesheet" href="${stylesheet}" />`}
+      </head>
+      <body>
+        ${markdown === undefined
+          ? ""
+          : html`<nav><a href="${markdown}">Markdown</a></nav>`}
+        <article class="sheet ${sheet.type}">
+          <header>
+            <h1>${sheet.name}</h1>
+            <p>
+              <span class="type">${sheet.type}</span>${saga === undefined
+                ? ""
+                : html` · <span class="saga">${saga}</span>`}
+            </p>
+          </header>
+          <section class="characteristics">
+            <h2>Characteristics</h2>
+            <table>
+              <tbody>
+                ${sheet.characteristics.map(
+                  ({ abbreviation, name, value }) =>
+                    html`<tr>
+                      <th><abbr title="${name}">${abbreviation}</abbr></th>
+                      <td>${signed(value)}</td>
+                    </tr>`
+                )}
+              </tbody>
+            </table>
+          </section>
+          <section class="abilities">
+            <h2>Abilities</h2>
+            <table>
+              <thead>
+                <tr>
+                  <th>Ability</th>
+                  <th>Speciality</th>
+                  <th>Score</th>
+                  <th>XP</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${sheet.abilities.map(
+                  ({ name, speciality, level, xp }) =>
+                    html`<tr>
+                      <td>${name}</td>
+                      <td>${speciality}</td>
+                      <td>${level}</td>
+                      <td>${xp}</td>
+                    </tr>`
+                )}
+              </tbody>
+            </table>
+          </section>
+          ${sheet.arts.length === 0
+            ? ""
+            : html`<section class="arts">
+                <h2>Arts</h2>
+                ${artTable(
+                  sheet.arts.filter(({ name }) => TECHNIQUES.includes(name))
+                )}
+                ${artTable(
+                  sheet.arts.filter(({ name }) => !TECHNIQUES.includes(name))
+                )}
+              </section>`}
+          ${sheet.spells.length === 0
+            ? ""
+            : html`<section class="spells">
+                <h2>Spells</h2>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Spell</th>
+                      <th>Arts</th>
+                      <th>Level</th>
+                      <th>R/D/T</th>
+                      <th>Mastery</th>
+                      <th>XP</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${sheet.spells.map(
+                      (spell) => html`<tr>
+                        <td>${spell.name}${spell.ritual ? " (Ritual)" : ""}</td>
+                        <td>${spell.arts}</td>
+                        <td>${spell.level}</td>
+                        <td>${spell.parameters}</td>
+                        <td>${spell.mastery}</td>
+                        <td>${spell.xp}</td>
+                      </tr>`
+                    )}
+                  </tbody>
+                </table>
+              </section>`}
+          ${sheet.bond === undefined
+            ? ""
+            : html`<section class="bond">
+                <h2>Familiar Bond</h2>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Cord</th>
+                      <th>Strength</th>
+                      <th>XP</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${sheet.bond.map(
+                      ({ name, strength, xp }) => html`<tr>
+                        <td>${name}</td>
+                        <td>${strength}</td>
+                        <td>${xp}</td>
+                      </tr>`
+                    )}
+                  </tbody>
+                </table>
+              </section>`}
+          ${sheet.talisman === undefined
+            ? ""
+            : html`<section class="talisman">
+                <h2>Talisman</h2>
+                <p>
+                  ${sheet.talisman.name}: capacity ${sheet.talisman.capacity},
+                  open ${sheet.talisman.open}
+                </p>
+                <ul>
+                  ${sheet.talisman.attunements.map(
+                    (attunement) => html`<li>${attunementName(attunement)}</li>`
+                  )}
+                </ul>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Effect</th>
+                      <th>Level</th>
+                      <th>Capacity</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${sheet.talisman.effects.map(
+                      ({ name, level, capacity }) => html`<tr>
+                        <td>${name}</td>
+                        <td>${level}</td>
+                        <td>${capacity}</td>
+                      </tr>`
+                    )}
+                  </tbody>
+                </table>
+              </section>`}
+          ${sheet.might === undefined
+            ? ""
+            : html`<section class="powers">
+                <h2>Might and Powers</h2>
+                <p>Magic Might: ${sheet.might}</p>
+                <ul>
+                  ${(sheet.powers ?? []).map(
+                    (power) => html`<li>
+                      <span>${powerName(power)}</span>
+                      ${power.description === undefined
+                        ? ""
+                        : html`<span class="notes">${power.description}</span>`}
+                    </li>`
+                  )}
+                </ul>
+              </section>`}
+          <section class="virtues">
+            <h2>Virtues and Flaws</h2>
+            ${virtueList("Virtues", sheet.virtues)}
+            ${virtueList("Flaws", sheet.flaws)}
+          </section>
+          <section class="combat">
+            <h2>Combat</h2>
+            <p>Equipment: ${equipmentItems(equipment).join(", ")}</p>
+            <p>Encumbrance: ${encumbrance}</p>
+            <table>
+              <thead>
+                <tr>
+                  ${COMBAT_TOTALS.map(([, label]) => html`<th>${label}</th>`)}
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  ${COMBAT_TOTALS.map(
+                    ([name]) => html`<td>${signed(totals[name])}</td>`
+                  )}
+                </tr>
+              </tbody>
+            </table>
+          </section>
+          ${sheet.notes === undefined
+            ? ""
+            : html`<section class="notes">
+                <h2>Notes</h2>
+                <p>${sheet.notes}</p>
+              </section>`}
+        </article>
+      </body>
+    </html> `.text;
+}
+
+/**
+ * Render a character sheet as Markdown.
+ * @param {import("../model/sheet.mjs").CharacterSheet} sheet The character sheet.
+ * @param {Pick<SheetPageOptions, "saga">} [options] The export options.
+ * @returns {string} The Markdown text.
+ */
+export function renderCharacterMarkdown(sheet, { saga } = {}) {
+  const { equipment, encumbrance, totals } = sheet.combat;
+  const virtueLines = (entries) =>
+    entries.length === 0
+      ? ["None"]
+      : entries.map((entry) =>
+          [
+            `- ${escapeMarkdown(virtueName(entry))}`,
+            entry.magnitude === undefined
+              ? ""
+              : ` *${escapeMarkdown(virtueKind(entry))}*`,
+            entry.notes === undefined ? "" : `: ${escapeMarkdown(entry.notes)}`,
+          ].join("")
+        );
+  const sections = [
+    [
+      `# ${escapeMarkdown(sheet.name)}`,
+      `*${sheet.type}*${
+        saga === undefined ? "" : ` · ${escapeMarkdown(saga)}`
+      }`,
+    ],
+    [
+      "## Characteristics",
+      markdownTable(
+        sheet.characteristics.map(({ abbreviation }) => abbreviation),
+        [sheet.characteristics.map(({ value }) => signed(value))]
+      ),
+    ],
+    [
+      "## Abilities",
+      markdownTable(
+        ["Ability", "Speciality", "Score", "XP"],
+        sheet.abilities.map(({ name, speciality, level, xp }) => [
+          escapeMarkdown(name),
+          escapeMarkdown(speciality ?? ""),
+          `${level}`,
+          `${xp}`,
+        ])
+      ),
+    ],
+    ...(sheet.arts.length === 0
+      ? []
+      : [
+          [
+            "## Arts",
+            markdownTable(
+              ["Art", "Score", "XP"],
+              sheet.arts.map(({ name, score, xp }) => [
+                name,
+                `${score}`,
+                `${xp}`,
+              ])
+            ),
+          ],
+        ]),
+    ...(sheet.spells.length === 0
+      ? []
+      : [
+          [
+            "## Spells",
+            markdownTable(
+              ["Spell", "Arts", "Level", "R/D/T", "Mastery", "XP"],
+              sheet.spells.map((spell) => [
+                escapeMarkdown(
+                  `${spell.name}${spell.ritual ? " (Ritual)" : ""}`
+                ),
+                spell.arts ?? "",
+                `${spell.level ?? ""}`,
+                spell.parameters ?? "",
+                `${spell.mastery}`,
+                `${spell.xp}`,
+              ])
+            ),
+          ],
+        ]),
+    ...(sheet.bond === undefined
+      ? []
+      : [
+          [
+            "## Familiar Bond",
+            markdownTable(
+              ["Cord", "Strength", "XP"],
+              sheet.bond.map(({ name, strength, xp }) => [
+                name,
+                `${strength}`,
+                `${xp}`,
+              ])
+            ),
+          ],
+        ]),
+    ...(sheet.talisman === undefined
+      ? []
+      : [
+          [
+            "## Talisman",
+            `${escapeMarkdown(sheet.talisman.name)}: capacity ${
+              sheet.talisman.capacity
+            }, open ${sheet.talisman.open}`,
+            "",
+            ...sheet.talisman.attunements.map(
+              (attunement) => `- ${escapeMarkdown(attunementName(attunement))}`
+            ),
+            ...(sheet.talisman.effects.length === 0
+              ? []
+              : [
+                  "",
+                  markdownTable(
+                    ["Effect", "Level", "Capacity"],
+                    sheet.talisman.effects.map(({ name, level, capacity }) => [
+                      escapeMarkdown(name),
+                      `${level}`,
+                      `${capacity}`,
+                    ])
+                  ),
+                ]),
+          ],
+        ]),
+    ...(sheet.might === undefined
+      ? []
+      : [
+          [
+            "## Might and Powers",
+            `Magic Might: ${sheet.might}`,
+            "",
+            ...(sheet.powers ?? []).map((power) =>
+              [
+                `- ${escapeMarkdown(powerName(power))}`,
+                power.description === undefined
+                  ? ""
+                  : `: ${escapeMarkdown(power.description)}`,
+              ].join("")
+            ),
+          ],
+        ]),
+    ["## Virtues", ...virtueLines(sheet.virtues)],
+    ["## Flaws", ...virtueLines(sheet.flaws)],
+    [
+      "## Combat",
+      `Equipment: ${escapeMarkdown(equipmentItems(equipment).join(", "))}`,
+      "",
+      `Encumbrance: ${encumbrance}`,
+      "",
+      markdownTable(
+        COMBAT_TOTALS.map(([, label]) => label),
+        [COMBAT_TOTALS.map(([name]) => signed(totals[name]))]
+      ),
+    ],
+    ...(sheet.notes === undefined
+      ? []
+      : [["## Notes", escapeMarkdown(sheet.notes)]]),
+  ];
+  return `${sections.map((lines) => lines.join("\n")).join("\n\n")}\n`;
+}
@@ -0,0 +1,106 @@
+/**
+ * The templates of the server rendered pages.
+ *
+ * The HTML templates are tagged template literals. The interpolated values are
+ * escaped unless they are markup created by the templates, and the interpolated
+ * arrays are joined, so that the templates compose without double escaping.
+ * @module sheets/templates
+ */
+
+/**
+ * A fragment of HTML markup.
+ */
+export class Markup {
+  /**
+   * Create a new markup fragment.
+   * @param {string} text The markup.
+   */
+  constructor(text) {
+    /**
+     * The markup.
+     * @type {string}
+     */
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Escape a text for HTML content and attribute values.
+ * @param {any} value The escaped value.
+ * @returns {string} The escaped text of the value.
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+/**
+ * Render an interpolated value of a template. The undefined, null and false values
+ * render nothing.
+ * @param {any} value The value.
+ * @returns {string} The markup of the value.
+ */
+function renderValue(value) {
+  if (value instanceof Markup) {
+    return value.text;
+  } else if (Array.isArray(value)) {
+    return value.map(renderValue).join("");
+  } else if (value === undefined || value === null || value === false) {
+    return "";
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * The tag of the HTML templates.
+ * @param {TemplateStringsArray} strings The literal parts of the template.
+ * @param {...any} values The interpolated values.
+ * @returns {Markup} The rendered markup.
+ */
+export function html(strings, ...values) {
+  return new Markup(
+    strings.reduce(
+      (result, string, index) =>
+        result + renderValue(values[index - 1]) + string
+    )
+  );
+}
+
+/**
+ * Escape a text for Markdown. The characters starting the inline formatting, the
+ * links, the tables and the HTML are escaped.
+ * @param {any} value The escaped value.
+ * @returns {string} The escaped text of the value.
+ */
+export function escapeMarkdown(value) {
+  return String(value).replace(/[\\`*_[\]|<>#]/g, "\\$&");
+}
+
+/**
+ * Render a Markdown table.
+ * @param {string[]} headers The escaped column headers.
+ * @param {string[][]} rows The escaped cells of the rows.
+ * @returns {string} The lines of the table.
+ */
+export function markdownTable(headers, rows) {
+  return [headers, headers.map(() => "---"), ...rows]
+    .map((cells) => `| ${cells.join(" | ")} |`)
+    .join("\n");
+}
+
+/**
+ * Format a score as a signed modifier.
+ * @param {number} value The score.
+ * @returns {string} The score with a plus sign, if it is positive.
+ */
+export function signed(value) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
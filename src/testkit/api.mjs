@@ -0,0 +1,231 @@
+/**
+ * A module for testing the REST API.
+ * @module testkit/api
+ */
+
+import express from "express";
+import { createApiRouter } from "../api/index.mjs";
+import { createSagaAuthorizer } from "../api/sagas.mjs";
+import { createSheetRouter } from "../api/sheets.mjs";
+import { MemoryRepository } from "../persistence/repository.mjs";
+import { attachWebSocketServer } from "../realtime/websocket.mjs";
+
+/**
+ * The identifier of the saga of the saga test servers.
+ * @type {string}
+ */
+export const TEST_SAGA = "saga";
+
+/**
+ * The password of the users registered by the test servers.
+ * @type {string}
+ */
+export const TEST_PASSWORD = "correct horse battery staple";
+
+/**
+ * A response of the tested API.
+ * @typedef {Object} ApiResponse
+ * @property {number} status The HTTP status code.
+ * @property {Headers} headers The response headers.
+ * @property {any} body The parsed JSON body, or undefined, if the response had no
+ * body.
+ */
+
+/**
+ * A client of the tested API. The client keeps the cookies set by the API.
+ * @typedef {Object} ApiClient
+ * @property {{id: string, username: string}} [user] The registered user of the
+ * client.
+ * @property {() => string} cookie Get the value of the Cookie header of the client.
+ * @property {(method: string, path: string, body?: any) => Promise<ApiResponse>} request
+ * Perform a JSON request to the API. The path is relative to the prefix of the
+ * client.
+ */
+
+/**
+ * A running API test server.
+ * @typedef {Object} ApiTestServer
+ * @property {string} baseUrl The base URL of the API.
+ * @property {string} sheetsUrl The base URL of the character sheets.
+ * @property {string} [wsUrl] The URL of the WebSocket endpoint, if the options
+ * contained an event hub.
+ * @property {import("../api/index.mjs").Repositories} repositories The repositories
+ * of the API.
+ * @property {(method: string, path: string, body?: any) => Promise<ApiResponse>} request
+ * Perform a JSON request to the API with the default client.
+ * @property {(prefix?: string) => ApiClient} createClient Create a new client
+ * without cookies.
+ * @property {(username: string, prefix?: string) => Promise<ApiClient>} register
+ * Register a new user and return the logged in client of the user.
+ * @property {() => Promise<void>} close Stop the server.
+ */
+
+/**
+ * A running API test server with a saga.
+ * @typedef {ApiTestServer & SagaTestServerProperties} SagaTestServer
+ */
+
+/**
+ * The properties of the saga test servers.
+ * @typedef {Object} SagaTestServerProperties
+ * @property {string} saga The identifier of the saga.
+ * @property {ApiClient} storyguide The client of the storyguide of the saga. The
+ * paths of its requests are relative to the saga.
+ * @property {(username: string, role: string) => Promise<ApiClient>} join Register a
+ * new user and add it to the saga with a role. The paths of the requests of the
+ * returned client are relative to the saga.
+ */
+
+/**
+ * Start an API server on an ephemeral port. The character sheets are served next to
+ * the API. If the options contain an event hub, the WebSocket endpoint is attached
+ * to the server. The missing user, login session and saga repositories are replaced
+ * with empty memory repositories.
+ * @param {Parameters<typeof createApiRouter>[0]} options The API options.
+ * @returns {Promise<ApiTestServer>} The running server.
+ */
+export function startApiServer(options) {
+  const repositories = {
+    users: new MemoryRepository(),
+    authSessions: new MemoryRepository(),
+    sagas: new MemoryRepository(),
+    ...options?.repositories,
+  };
+  const app = express();
+  app.use("/api", createApiRouter({ ...options, repositories }));
+  app.use("/sheets", createSheetRouter({ repositories }));
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      const { port } = server.address();
+      const baseUrl = `http://localhost:${port}/api`;
+      const wss =
+        options?.events === undefined
+          ? undefined
+          : attachWebSocketServer(server, {
+              events: options.events,
+              authorize: createSagaAuthorizer(repositories),
+            });
+
+      /**
+       * Create a new client.
+       * @param {string} [prefix=""] The prefix of the request paths.
+       * @param {Map<string, string>} [cookies] The cookie jar of the client.
+       * Defaults to an empty jar.
+       * @returns {ApiClient} The client.
+       */
+      function createClient(prefix = "", cookies = new Map()) {
+        return {
+          cookie() {
+            return [...cookies]
+              .map(([name, value]) => `${name}=${value}`)
+              .join("; ");
+          },
+          async request(method, path, body = undefined) {
+            const headers = cookies.size === 0 ? {} : { Cookie: this.cookie() };
+            if (body !== undefined) {
+              headers["Content-Type"] = "application/json";
+            }
+            const response = await fetch(`${baseUrl}${prefix}${path}`, {
+              method,
+              headers,
+              body: body === undefined ? undefined : JSON.stringify(body),
+            });
+            response.headers.getSetCookie().forEach((header) => {
+              const [pair, ...attributes] = header.split(";");
+              const index = pair.indexOf("=");
+              const name = pair.slice(0, index).trim();
+              if (
+                pair.slice(index + 1) === "" ||
+                attributes.some((attribute) =>
+                  /^\s*expires=thu, 01 jan 1970/i.test(attribute)
+                )
+              ) {
+                cookies.delete(name);
+              } else {
+                cookies.set(name, pair.slice(index + 1));
+              }
+            });
+            const text = await response.text();
+            return {
+              status: response.status,
+              headers: response.headers,
+              body: text ? JSON.parse(text) : undefined,
+            };
+          },
+        };
+      }
+
+      const client = createClient();
+      resolve({
+        baseUrl,
+        sheetsUrl: `http://localhost:${port}/sheets`,
+        ...(wss === undefined ? {} : { wsUrl: `ws://localhost:${port}/ws` }),
+        repositories,
+        request: (method, path, body) => client.request(method, path, body),
+        createClient,
+        async register(username, prefix = "") {
+          /** @type {Map<string, string>} */
+          const cookies = new Map();
+          const { status, body } = await createClient("", cookies).request(
+            "POST",
+            "/auth/register",
+            { username, password: TEST_PASSWORD }
+          );
+          if (status !== 201) {
+            throw new Error(`Registering ${username} failed: ${body?.error}`);
+          }
+          return { ...createClient(prefix, cookies), user: body };
+        },
+        close() {
+          wss?.clients.forEach((socket) => socket.terminate());
+          return new Promise((resolve, reject) =>
+            server.close((err) => (err ? reject(err) : resolve()))
+          );
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Start an API server with a saga on an ephemeral port. The storyguide of the saga
+ * is registered as the user "storyguide", and the default requests of the server
+ * are the requests of the storyguide relative to the saga.
+ * @param {Parameters<typeof createApiRouter>[0]} options The API options. The
+ * entities of the given repositories belong to the saga if their `saga` is
+ * {@link TEST_SAGA}.
+ * @returns {Promise<SagaTestServer>} The running server.
+ */
+export async function startSagaApiServer(options) {
+  const sagas = new MemoryRepository({
+    entities: [{ id: TEST_SAGA, name: "Test Saga", members: [] }],
+  });
+  const server = await startApiServer({
+    ...options,
+    repositories: { sagas, ...options?.repositories },
+  });
+  const prefix = `/sagas/${TEST_SAGA}`;
+  const storyguide = await server.register("storyguide", prefix);
+  await server.repositories.sagas.update(TEST_SAGA, {
+    name: "Test Saga",
+    members: [{ user: storyguide.user.id, role: "storyguide" }],
+  });
+  return {
+    ...server,
+    saga: TEST_SAGA,
+    storyguide,
+    request: (method, path, body) => storyguide.request(method, path, body),
+    async join(username, role) {
+      const member = await server.register(username, prefix);
+      const { status, body } = await storyguide.request(
+        "PUT",
+        `/members/${username}`,
+        { role }
+      );
+      if (status !== 200) {
+        throw new Error(`Adding ${username} failed: ${body?.error}`);
+      }
+      return member;
+    },
+  };
+}
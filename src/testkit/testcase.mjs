@@ -1,10 +1,17 @@
 /**
  * A module for test cases.
+ *
+ * A test case table lists the parameters and the expected outcomes of the tests of
+ * a tested value, and every row becomes a test of its own. The results are compared
+ * deeply with a chosen equality of the primitive values, and the tests may be
+ * asynchronous. The tables may be loaded from JSON fixtures.
  * @module testkit/testcase
  */
 
+import { readFileSync } from "node:fs";
 import { expect, AssertionError } from "chai";
 import { it } from "mocha";
+import { SameValueZeroEquality } from "../arm5tools/utils_covenant.mjs";
 
 /**
  * A function performing a testing.
@@ -14,11 +21,19 @@ import { it } from "mocha";
  * @template [ERROR=Error] The error types of the failed tests.
  * @callback TestFunction
  * @param {TESTED} tested The tested value.
- * @param {PARAMS} params The parameters of the test.
- * @returns {RESULT} The result of the test.
+ * @param {...PARAMS} params The parameters of the test.
+ * @returns {RESULT|Promise<RESULT>} The result of the test.
  * @throws {ERROR} The test failed due an error.
  */
 
+/**
+ * An equality of two values.
+ * @callback Equality
+ * @param {any} a The first compared value.
+ * @param {any} b The second compared value.
+ * @returns {boolean} True, if and only if the values are equal.
+ */
+
 /**
  * A test case.
  * @template TESTED The tested value type.
@@ -29,11 +44,30 @@ import { it } from "mocha";
  * @property {string} [name] The test case name. Defaults to the test case name and
  * parameter stringificatin.
  * @property {TESTED} tested The tested value.
- * @property {PARAMS} params The parameters of the test.
+ * @property {PARAMS} params The parameters of the test. An array of parameters is
+ * spread to the test function, and any other defined value is the only parameter.
  * @property {TestFunction<TESTED, PARAMS, RESULT, ERROR>} test The testing function.
- * @property {ERROR} [exception] The expected exception thrown.
- * @property {RESULT} [result] The expected result.
+ * @property {ERROR|string|RegExp|(new (...args: any[]) => ERROR)} [exception] The
+ * expected exception thrown. Accepts the forms of the chai assertion `throw`.
+ * @property {RESULT} [expected] The expected result. The result is not compared,
+ * if the property is absent.
+ * @property {Equality} [equality] The equality of the primitive values of the deep
+ * comparison of the result. Defaults to the SameValueZero equality.
+ * @property {(result: RESULT, testCase: TestCase<TESTED, PARAMS, RESULT, ERROR>) => void|Promise<void>} [tester]
+ * The custom check of the result. The tester fails the test by throwing an error.
+ */
+
+/**
+ * The error classes the fixtures refer to by name.
+ * @type {Readonly<Record<string, new (...args: any[]) => Error>>}
  */
+const FIXTURE_ERRORS = Object.freeze({
+  Error,
+  RangeError,
+  ReferenceError,
+  SyntaxError,
+  TypeError,
+});
 
 /**
  * Convert parameters into a string.
@@ -54,6 +88,19 @@ export function paramsToString(params) {
   }
 }
 
+/**
+ * Get the argument list of the parameters of a test case.
+ * @param {any} params The parameters of a test case.
+ * @returns {any[]} The arguments of the test function.
+ */
+function paramsToArguments(params) {
+  if (Array.isArray(params)) {
+    return params;
+  } else {
+    return params === undefined ? [] : [params];
+  }
+}
+
 /**
  * A run time test checking validity of the test case.
  * @param {any} testCase The tested test case.
@@ -69,12 +116,84 @@ export function validTestCase(testCase) {
     ].every(([prop, test]) => prop in testCase && test(testCase[prop])) &&
     [
       ["name", (val) => typeof val === "string"],
-      ["result", () => true],
+      ["expected", () => true],
       ["exception", () => true],
+      ["equality", (val) => val instanceof Function],
+      ["tester", (val) => val instanceof Function],
     ].every(([prop, test]) => !(prop in testCase) || test(testCase[prop]))
   );
 }
 
+/**
+ * The prototypes of the boxed primitive values.
+ */
+const BOXED_PROTOTYPES = Object.freeze([
+  Boolean.prototype,
+  Number.prototype,
+  String.prototype,
+  BigInt.prototype,
+  Symbol.prototype,
+]);
+
+/**
+ * Test the deep equality of two values. The arrays, the maps, the sets and the
+ * objects are equal, if they have the same prototype and equal members. The dates
+ * are equal, if they have equal times, the regular expressions, if they have equal
+ * sources and flags, and the boxed primitives, if their primitive values are equal.
+ * @param {any} actual The actual value.
+ * @param {any} expected The expected value.
+ * @param {Equality} [equality] The equality of the other values. Defaults to the
+ * SameValueZero equality.
+ * @returns {boolean} True, if and only if the values are deeply equal.
+ */
+export function deepEquals(actual, expected, equality = SameValueZeroEquality) {
+  if (
+    !(actual instanceof Object && expected instanceof Object) ||
+    actual instanceof Function ||
+    expected instanceof Function
+  ) {
+    return equality(actual, expected);
+  } else if (
+    Object.getPrototypeOf(actual) !== Object.getPrototypeOf(expected)
+  ) {
+    return false;
+  } else if (actual instanceof Date) {
+    return equality(actual.getTime(), expected.getTime());
+  } else if (BOXED_PROTOTYPES.includes(Object.getPrototypeOf(actual))) {
+    return equality(actual.valueOf(), expected.valueOf());
+  } else if (actual instanceof RegExp) {
+    return actual.source === expected.source && actual.flags === expected.flags;
+  } else if (actual instanceof Set) {
+    if (actual.size !== expected.size) return false;
+    const unmatched = [...expected];
+    for (const member of actual) {
+      const index = unmatched.findIndex((candidate) =>
+        deepEquals(member, candidate, equality)
+      );
+      if (index < 0) return false;
+      unmatched.splice(index, 1);
+    }
+    return true;
+  } else if (actual instanceof Map) {
+    return (
+      actual.size === expected.size &&
+      [...actual].every(
+        ([key, value]) =>
+          expected.has(key) && deepEquals(value, expected.get(key), equality)
+      )
+    );
+  }
+  const keys = Object.keys(actual);
+  return (
+    keys.length === Object.keys(expected).length &&
+    keys.every(
+      (key) =>
+        Object.hasOwn(expected, key) &&
+        deepEquals(actual[key], expected[key], equality)
+    )
+  );
+}
+
 /**
  * Create a new test case. If name is absent, generates a name from test function name and
  * parameters.
@@ -82,24 +201,109 @@ export function validTestCase(testCase) {
  * @template [PARAMS=...any] The parameter type of test parameters.
  * @template [RESULT=undefined] The test return value type.
  * @template [ERROR=Error] The error types of the failed tests.
- * @param {TestCase<TESTED,PARAMS,RESULT,ERROR>} options The parameters of the created test case.
+ * @param {Omit<TestCase<TESTED,PARAMS,RESULT,ERROR>, "test"> & {test?: TestFunction<TESTED,PARAMS,RESULT,ERROR>, result?: RESULT}} options
+ * The parameters of the created test case. The test function defaults to calling the
+ * tested function with the parameters. The expected result may also be given with
+ * the deprecated property `result`.
  * @returns {TestCase<TESTED,PARAMS,RESULT,ERROR>}
  */
 export function createTestCase(options) {
+  const test = options.test ?? ((tested, ...params) => tested(...params));
   return {
     name:
       options.name ||
-      `${options.test.name}(${
+      `${test.name || options.tested?.name}(${
         options.params ? paramsToString(options.params) : ""
       })`,
     tested: options.tested,
     params: options.params,
-    test: options.test,
-    exception: options.exception,
-    result: options.result,
+    test,
+    ...("expected" in options || "result" in options
+      ? { expected: "expected" in options ? options.expected : options.result }
+      : {}),
+    ...(options.exception ? { exception: options.exception } : {}),
+    ...(options.equality ? { equality: options.equality } : {}),
+    ...(options.tester ? { tester: options.tester } : {}),
   };
 }
 
+/**
+ * Create a new construction test case. The tested value is the constructed class,
+ * and the parameters are the arguments of the constructor. If name is absent,
+ * generates a name from the class name and parameters.
+ * @template {new (...args: any[]) => any} CLASS The constructed class.
+ * @template [RESULT=InstanceType<CLASS>] The test return value type.
+ * @template [ERROR=Error] The error types of the failed constructions.
+ * @param {Omit<TestCase<CLASS,any,RESULT,ERROR>, "test"> & {test?: (constructed: InstanceType<CLASS>) => RESULT|Promise<RESULT>}} options
+ * The parameters of the created test case. The test function gets the constructed
+ * instance, and defaults to returning the instance.
+ * @returns {TestCase<CLASS,any,RESULT,ERROR>}
+ */
+export function createConstructionTestCase(options) {
+  return createTestCase({
+    ...options,
+    name:
+      options.name ||
+      `new ${options.tested.name}(${paramsToString(options.params)})`,
+    test: options.test ?? ((constructed) => constructed),
+  });
+}
+
+/**
+ * Check the outcome of a test case.
+ * @template TESTED The tested value type.
+ * @template [PARAMS=...any] The parameter type of test parameters.
+ * @template [RESULT=undefined] The test return value type.
+ * @template [ERROR=Error] The error types of the failed tests.
+ * @param {TestCase<TESTED, PARAMS, RESULT, ERROR>} testCase The test case.
+ * @param {() => RESULT|Promise<RESULT>} run The function running the test.
+ * @returns {Promise<void>}
+ * @throws {AssertionError} The test failed.
+ */
+async function checkOutcome(testCase, run) {
+  let result;
+  try {
+    result = await run();
+  } catch (err) {
+    if (testCase.exception) {
+      expect(() => {
+        throw err;
+      }).to.throw(testCase.exception);
+      return;
+    }
+    throw new AssertionError(`Unexpected exception ${err} thrown`, {
+      cause: err,
+    });
+  }
+  if (testCase.exception) {
+    throw new AssertionError(
+      `Expected exception, got result ${toString(result)}`
+    );
+  }
+  if (
+    "expected" in testCase &&
+    !deepEquals(result, testCase.expected, testCase.equality)
+  ) {
+    throw new AssertionError(
+      `expected ${toString(result)} to deeply equal ${toString(
+        testCase.expected
+      )}`,
+      { actual: result, expected: testCase.expected, showDiff: true }
+    );
+  }
+  await testCase.tester?.(result, testCase);
+}
+
+/**
+ * Get the title of the test of a test case.
+ * @param {TestCase<any>} testCase The test case.
+ * @param {number} [index] The index of the test case.
+ * @returns {string} The title of the test.
+ */
+function testTitle(testCase, index) {
+  return `TestCase${index == null ? "" : ` #${index}`}: ${testCase.name}`;
+}
+
 /**
  * Test a test case.
  * @template TESTED The tested value type.
@@ -108,24 +312,14 @@ export function createTestCase(options) {
  * @template [ERROR=Error] The error types of the failed tests.
  * @param {TestCase<TESTED, PARAMS, RESULT, ERROR>} testCase THe tested test case.
  * @param {number} [index] The indes of the test case.
- * @throws {AssertionError} The test failed.
+ * @throws {AssertionError} The test case was invalid.
  */
 export function testTestCase(testCase, index = undefined) {
   if (validTestCase(testCase)) {
-    it(`TestCase${index == null ? "" : ` #${index}`}: ${
-      testCase.name
-    }`, function () {
-      if (testCase.exception) {
-        expect(() => {
-          testCase.test(testCase.tested, testCase.params);
-        }).throw(testCase.exception);
-      } else {
-        expect(() => {
-          testCase.test(testCase.tested, testCase.params);
-        }).not.throw();
-        const result = testCase.test(testCase.tested, testCase.params);
-        expect(result).equal(testCase.result);
-      }
+    it(testTitle(testCase, index), function () {
+      return checkOutcome(testCase, () =>
+        testCase.test(testCase.tested, ...paramsToArguments(testCase.params))
+      );
     });
   } else {
     throw new AssertionError("Invalid test case");
@@ -133,25 +327,64 @@ export function testTestCase(testCase, index = undefined) {
 }
 
 /**
- * Test a construction test case.
- * @template {CLASS extends ObjectConstructor} CLASS The constructed class.
- * @param {TestCase<ObjectConstructor>} testCase The test case of the 
- * @param {number} [index] The test case index. 
+ * Test a construction test case. The test function of the test case gets the
+ * constructed instance.
+ * @template {new (...args: any[]) => any} CLASS The constructed class.
+ * @template [RESULT=InstanceType<CLASS>] The test return value type.
+ * @template [ERROR=Error] The error types of the failed constructions.
+ * @param {TestCase<CLASS, any, RESULT, ERROR>} testCase The test case of the
+ * construction.
+ * @param {number} [index] The test case index.
+ * @throws {AssertionError} The test case was invalid.
  */
-export function testConstructionTestCase(testCase, index=undefined) {
-  if (testCase.exception) {
-    expect(() => {
-      const result = new testCase.tested(...testCase.params);
-    }).to.throw(exception);
+export function testConstructionTestCase(testCase, index = undefined) {
+  if (validTestCase(testCase)) {
+    it(testTitle(testCase, index), function () {
+      return checkOutcome(testCase, () =>
+        testCase.test(
+          new testCase.tested(...paramsToArguments(testCase.params))
+        )
+      );
+    });
   } else {
-    expect( () => {
-      const result = new testCase.tested(...testCase.params);
-    }).not.throw();
-    const result = new testCase.tested(...testCase.params);
-    expect(testCase.test(result)).equal(testCase.result);
+    throw new AssertionError("Invalid test case");
   }
 }
 
+/**
+ * Load the test cases of a JSON fixture. The fixture is an array of the test case
+ * options. The exceptions of the fixture are the names of the error classes.
+ * @template TESTED The tested value type.
+ * @param {string|URL} file The fixture file, such as
+ * `new URL("./fixtures/cases.json", import.meta.url)`.
+ * @param {Partial<TestCase<TESTED>>} [defaults] The options shared by the test
+ * cases, such as the tested value and the test function.
+ * @param {Record<string, new (...args: any[]) => Error>} [errors] The error classes
+ * by their names. Defaults to the standard error classes.
+ * @returns {TestCase<TESTED>[]} The test cases of the fixture.
+ * @throws {TypeError} The fixture was not an array of objects, or referred to an
+ * unknown error class.
+ */
+export function loadTestCases(file, defaults = {}, errors = FIXTURE_ERRORS) {
+  const rows = JSON.parse(readFileSync(file, "utf8"));
+  if (
+    !Array.isArray(rows) ||
+    !rows.every((row) => row instanceof Object && !Array.isArray(row))
+  ) {
+    throw new TypeError(`The fixture ${file} is not an array of test cases`);
+  }
+  return rows.map(({ exception, ...row }) => {
+    if (exception !== undefined && !(errors[exception] instanceof Function)) {
+      throw new TypeError(`Unknown exception ${exception} in fixture ${file}`);
+    }
+    return createTestCase({
+      ...defaults,
+      ...row,
+      ...(exception === undefined ? {} : { exception: errors[exception] }),
+    });
+  });
+}
+
 /**
  * Convert value to string.
  * @param {any} a The outputted value.
@@ -159,19 +392,19 @@ export function testConstructionTestCase(testCase, index=undefined) {
  * - Functions are reprsented by the string "function <functonname>"
  * - Symbols are represented by th estirng "Symbol:" followed by the global key
  * of the symbol, if it has any.
- * - String is reprsented by a quoted string.
+ * - String is reprsented by a quoted string with the quotes and the control
+ * characters escaped.
  * - Array is represented by the array member stringifications separated with "," and
  * printed between "[" and "]".
  * - An object is represented by the JSONification of the object.
  * @todo Object outputting.
- * @todo Add escape of the quotes within the string.
  */
 export function toString(a) {
   switch (typeof a) {
     case "undefined":
       return "undefined";
     case "string":
-      return `"${a}"`;
+      return JSON.stringify(a);
     case "function":
       return `Function ${a.name}`;
     case "symbol":
@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the aging REST API.
+ * @module test/api/aging
+ */
+
+describe("Aging API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    let next = 1;
+    server = await startSagaApiServer({
+      repositories: {
+        characters: new MemoryRepository({ idGenerator: () => `c${next++}` }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  const companion = {
+    name: "Old Hans",
+    type: "companion",
+    characteristics: { Sta: 1 },
+    aging: { age: 70 },
+  };
+
+  it("Records the winter aging and Warping history", async function () {
+    const created = await server.request("POST", "/characters", companion);
+    expect(created.status).equal(201);
+    expect(created.body.aging).include({ apparentAge: 70, longevity: 0 });
+
+    const aged = await server.request("POST", "/characters/c1/aging", {
+      year: 1220,
+      seed: 8,
+    });
+    expect(aged.status).equal(200);
+    expect(aged.body).include({ total: 19, age: 71 });
+    expect(aged.body.character.characteristics).include({ Dex: -1, Qik: -1 });
+
+    const again = await server.request("POST", "/characters/c1/aging", {
+      year: 1220,
+    });
+    expect(again.status).equal(400);
+    expect(again.body.details[0]).property("path", "$.year");
+
+    const warped = await server.request(
+      "POST",
+      "/characters/c1/aging/warping",
+      {
+        points: 5,
+        source: "Faerie regio",
+      }
+    );
+    expect(warped.body).include({ from: 0, to: 1 });
+    const random = await server.request("POST", "/characters/c1/aging", {
+      year: 1221,
+    });
+    expect(random.status).equal(200);
+
+    const history = await server.request("GET", "/characters/c1/aging");
+    expect(history.body.aging).include({ age: 72 });
+    expect(history.body.history.map((entry) => entry.kind)).deep.equal([
+      "aging",
+      "warping",
+      "aging",
+    ]);
+    expect(history.body.history[0]).include({
+      year: 1220,
+      seed: 8,
+      clientSeed: true,
+    });
+    expect(history.body.history[2]).not.have.property("clientSeed");
+
+    const tampered = await server.request("PATCH", "/characters/c1", {
+      agingHistory: [],
+    });
+    expect(tampered.status).equal(400);
+  });
+
+  it("Recomputes the scores on patch", async function () {
+    await server.request("POST", "/characters", companion);
+    const patched = await server.request("PATCH", "/characters/c1", {
+      aging: { decrepitude: { points: 15 } },
+    });
+    expect(patched.status).equal(200);
+    expect(patched.body.aging.decrepitude).deep.equal({ points: 15, score: 2 });
+  });
+
+  [
+    [{ name: "Young", type: "grog", characteristics: {} }, {}, 400],
+    [companion, { seed: "x" }, 400],
+    [companion, { characteristic: "Luck" }, 400],
+  ].forEach(([character, body, status], index) => {
+    it(`Test #${index}: Rejects invalid aging roll`, async function () {
+      await server.request("POST", "/characters", character);
+      const response = await server.request(
+        "POST",
+        "/characters/c1/aging",
+        body
+      );
+      expect(response.status).equal(status);
+    });
+  });
+
+  it("Reports missing characters", async function () {
+    const response = await server.request("GET", "/characters/c9/aging");
+    expect(response.status).equal(404);
+  });
+});
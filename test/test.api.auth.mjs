@@ -0,0 +1,131 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startApiServer, TEST_PASSWORD } from "../src/testkit/api.mjs";
+
+/**
+ * Test library for the authentication REST API.
+ * @module test/api/auth
+ */
+
+describe("Authentication API", function () {
+  /** @type {import("../src/testkit/api.mjs").ApiTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    server = await startApiServer({ repositories: {} });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  it("Registers, logs in and logs out a user", async function () {
+    const registered = await server.request("POST", "/auth/register", {
+      username: "Tytalus",
+      password: TEST_PASSWORD,
+    });
+    expect(registered.status).equal(201);
+    expect(registered.body).have.keys("id", "username");
+    expect(registered.headers.get("set-cookie"))
+      .include("arm5_session=")
+      .include("HttpOnly");
+    const [user] = await server.repositories.users.list();
+    expect(user.passwordHash).not.include(TEST_PASSWORD);
+
+    const me = await server.request("GET", "/auth/me");
+    expect(me.body).deep.equal(registered.body);
+
+    expect((await server.request("POST", "/auth/logout")).status).equal(204);
+    expect((await server.request("GET", "/auth/me")).status).equal(401);
+    expect(await server.repositories.authSessions.list()).deep.equal([]);
+
+    const login = await server.request("POST", "/auth/login", {
+      username: "tytalus",
+      password: TEST_PASSWORD,
+    });
+    expect(login.status).equal(200);
+    expect((await server.request("GET", "/auth/me")).body).deep.equal(
+      registered.body
+    );
+  });
+
+  it("Rejects invalid credentials", async function () {
+    await server.register("Tremere");
+    const client = server.createClient();
+    for (const credentials of [
+      { username: "Tremere", password: "wrong password" },
+      { username: "Guernicus", password: TEST_PASSWORD },
+    ]) {
+      const response = await client.request("POST", "/auth/login", credentials);
+      expect(response.status).equal(401);
+      expect(response.headers.get("set-cookie")).equal(null);
+    }
+  });
+
+  it("Takes as long to reject the unknown users as the wrong passwords", async function () {
+    await server.register("Tremere");
+    const client = server.createClient();
+
+    /**
+     * Measure the median duration of the rejected logins.
+     * @param {string} username The username of the logins.
+     * @returns {Promise<number>} The median duration in milliseconds.
+     */
+    async function medianDuration(username) {
+      const durations = [];
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const start = performance.now();
+        const response = await client.request("POST", "/auth/login", {
+          username,
+          password: "wrong password",
+        });
+        durations.push(performance.now() - start);
+        expect(response.status).equal(401);
+      }
+      return durations.sort((a, b) => a - b)[2];
+    }
+
+    const wrongPassword = await medianDuration("Tremere");
+    expect(await medianDuration("Guernicus")).above(wrongPassword / 2);
+  });
+
+  [
+    [{ username: "ab", password: TEST_PASSWORD }, "$.username"],
+    [{ username: "TREMERE", password: TEST_PASSWORD }, "$.username"],
+    [{ username: "Jerbiton", password: "short" }, "$.password"],
+    [{ username: "Jerbiton" }, "$.password"],
+  ].forEach(([credentials, path], index) => {
+    it(`Test #${index}: Rejects the registration at ${path}`, async function () {
+      await server.register("Tremere");
+      const response = await server.request(
+        "POST",
+        "/auth/register",
+        credentials
+      );
+      expect(response.status).equal(400);
+      expect(response.body.details.map((issue) => issue.path)).include(path);
+    });
+  });
+
+  it("Registers a username once for the concurrent registrations", async function () {
+    const credentials = { username: "Tytalus", password: TEST_PASSWORD };
+    const responses = await Promise.all(
+      [server.createClient(), server.createClient()].map((client) =>
+        client.request("POST", "/auth/register", credentials)
+      )
+    );
+    expect(responses.map(({ status }) => status).sort()).deep.equal([201, 400]);
+    expect(
+      responses.find(({ status }) => status === 400).body.details
+    ).deep.equal([
+      { path: "$.username", message: "Username Tytalus is taken" },
+    ]);
+  });
+
+  it("Requires a login for the other routes", async function () {
+    expect((await server.request("GET", "/sagas")).status).equal(401);
+    expect((await server.request("GET", "/sagas/x/characters")).status).equal(
+      401
+    );
+  });
+});
@@ -0,0 +1,304 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the character REST API.
+ * @module test/api/characters
+ */
+
+describe("Character API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+  /** @type {MemoryRepository} */
+  let repository;
+
+  /**
+   * Perform a JSON request.
+   * @param {string} method The HTTP method.
+   * @param {string} path The path of the request.
+   * @param {any} [body] The JSON body of the request.
+   * @returns {Promise<import("../src/testkit/api.mjs").ApiResponse>}
+   */
+  function request(method, path, body = undefined) {
+    return server.request(method, path, body);
+  }
+
+  beforeEach(async function () {
+    let next = 1;
+    repository = new MemoryRepository({ idGenerator: () => `c${next++}` });
+    server = await startSagaApiServer({
+      repositories: { characters: repository },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  const grog = {
+    name: "Wulfric",
+    type: "grog",
+    characteristics: { Str: 2, Sta: 1 },
+    abilities: [{ name: "Great Weapon", xp: 30 }],
+  };
+
+  it("Creates and lists characters", async function () {
+    const created = await request("POST", "/characters", grog);
+    expect(created.status).equal(201);
+    expect(created.headers.get("location")).equal(
+      `/api/sagas/${TEST_SAGA}/characters/c1`
+    );
+    expect(created.body).property("id", "c1");
+    expect(created.body.abilities[0]).property("level", 3);
+
+    const listed = await request("GET", "/characters");
+    expect(listed.status).equal(200);
+    expect(listed.body).length(1);
+
+    const filtered = await request("GET", "/characters?type=magus");
+    expect(filtered.body).length(0);
+  });
+
+  it("Rejects invalid characters", async function () {
+    const result = await request("POST", "/characters", {
+      ...grog,
+      characteristics: { Str: 9 },
+    });
+    expect(result.status).equal(400);
+    expect(result.body.details.map((issue) => issue.path)).include(
+      "$.characteristics.Str"
+    );
+    const armed = await request("POST", "/characters", {
+      ...grog,
+      equipment: { weapon: "Long Bow", shield: "Buckler" },
+    });
+    expect(armed.status).equal(400);
+    expect(armed.body.details).deep.equal([
+      {
+        path: "$.equipment.shield",
+        message: "A shield is used with a single weapon",
+      },
+    ]);
+    const experienced = await request("POST", "/characters", {
+      ...grog,
+      abilities: [{ name: "Brawl", xp: 1e300 }],
+    });
+    expect(experienced.status).equal(400);
+    expect(experienced.body.details.map((issue) => issue.path)).include(
+      "$.abilities[0].xp"
+    );
+  });
+
+  it("Balances the Virtues and Flaws of new characters", async function () {
+    const virtues = [
+      { name: "Covenfolk" },
+      { name: "Affinity with Ability", subject: "Great Weapon" },
+      { name: "Proud" },
+    ];
+    const unbalanced = await request("POST", "/characters", {
+      ...grog,
+      virtues: virtues.slice(0, 2),
+    });
+    expect(unbalanced.status).equal(400);
+    expect(unbalanced.body.details[0].message).equal(
+      "The 1 points of Virtues do not balance the 0 points of Flaws"
+    );
+
+    const created = await request("POST", "/characters", { ...grog, virtues });
+    expect(created.status).equal(201);
+    const advanced = await request("POST", "/characters/c1/advance", {
+      xp: 10,
+      abilities: [{ name: "Great Weapon", xp: 10 }],
+    });
+    expect(advanced.body.changes[0]).include({ xp: 10, gained: 15 });
+
+    const story = await request("PATCH", "/characters/c1", {
+      virtues: [...virtues, { name: "Enemies" }],
+    });
+    expect(story.status).equal(200);
+    const unknown = await request("PATCH", "/characters/c1", {
+      virtues: [{ name: "Flight" }],
+    });
+    expect(unknown.status).equal(400);
+    expect(unknown.body.details[0]).property("path", "$.virtues[0].name");
+  });
+
+  it("Binds the familiars to the magi", async function () {
+    const familiar = await request("POST", "/characters", {
+      name: "Corvus",
+      type: "familiar",
+      characteristics: { Per: 2 },
+      might: 15,
+      powers: [{ name: "Speak with Birds", cost: 1, form: "Animal" }],
+    });
+    expect(familiar.status).equal(201);
+    const magus = await request("POST", "/characters", {
+      name: "Aelfric",
+      type: "magus",
+      characteristics: { Sta: 2 },
+      familiar: { character: "c1", cords: { Golden: { xp: 15 } } },
+      talisman: {
+        name: "Oaken staff",
+        capacity: 10,
+        attunements: [{ name: "Oak", bonus: 3, art: "Herbam" }],
+      },
+    });
+    expect(magus.status).equal(201);
+    expect(magus.body.familiar.cords).deep.equal({
+      Golden: { xp: 15, strength: 2 },
+      Silver: { xp: 0, strength: 0 },
+      Bronze: { xp: 0, strength: 0 },
+    });
+
+    const unbound = await request("POST", "/characters", {
+      ...grog,
+      type: "magus",
+      familiar: { character: "c2", cords: {} },
+    });
+    expect(unbound.status).equal(400);
+    expect(unbound.body.details).deep.equal([
+      {
+        path: "$.familiar.character",
+        message: "No familiar with identifier c2",
+      },
+    ]);
+    const overfull = await request("PATCH", "/characters/c2", {
+      talisman: {
+        name: "Oaken staff",
+        capacity: 1,
+        effects: [{ name: "Kindle the Flame", level: 15 }],
+      },
+    });
+    expect(overfull.status).equal(400);
+    expect(overfull.body.details.map((issue) => issue.path)).include(
+      "$.talisman.effects"
+    );
+  });
+
+  it("Lists the Virtue and Flaw catalogue", async function () {
+    const reader = await server.register("reader");
+    const listed = await reader.request(
+      "GET",
+      "/virtues?kind=flaw&type=Hermetic&characterType=magus"
+    );
+    expect(listed.status).equal(200);
+    expect(listed.body.map(({ name }) => name)).include("Blatant Gift");
+    expect(listed.body.every(({ kind }) => kind === "flaw")).equal(true);
+    const invalid = await reader.request("GET", "/virtues?magnitude=Huge");
+    expect(invalid.status).equal(400);
+    const found = await reader.request("GET", "/virtues/Deft%20Form");
+    expect(found.body).include({ subject: "form" });
+    expect((await reader.request("GET", "/virtues/Flight")).status).equal(404);
+  });
+
+  it("Rejects malformed JSON", async function () {
+    const response = await fetch(`${server.baseUrl}/characters`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{",
+    });
+    expect(response.status).equal(400);
+  });
+
+  [
+    [413, "application/json", JSON.stringify({ notes: "x".repeat(200000) })],
+    [415, "application/json; charset=latin9", "{}"],
+  ].forEach(([status, contentType, body]) => {
+    it(`Rejects the content with status ${status}`, async function () {
+      const response = await fetch(`${server.baseUrl}/characters`, {
+        method: "POST",
+        headers: { "Content-Type": contentType },
+        body,
+      });
+      expect(response.status).equal(status);
+      expect(response.headers.get("content-type")).match(
+        /^application\/problem\+json/
+      );
+      expect(await response.json()).property("status", status);
+    });
+  });
+
+  it("Gets, patches and deletes a character", async function () {
+    await request("POST", "/characters", grog);
+
+    const fetched = await request("GET", "/characters/c1");
+    expect(fetched.status).equal(200);
+    expect(fetched.body).property("name", "Wulfric");
+
+    const patched = await request("PATCH", "/characters/c1", {
+      characteristics: { Str: 3 },
+      notes: "Lost an eye",
+    });
+    expect(patched.status).equal(200);
+    expect(patched.body.characteristics).property("Str", 3);
+    expect(patched.body.characteristics).property("Sta", 1);
+    expect(patched.body).property("notes", "Lost an eye");
+
+    const invalid = await request("PATCH", "/characters/c1", { type: "elf" });
+    expect(invalid.status).equal(400);
+
+    const deleted = await request("DELETE", "/characters/c1");
+    expect(deleted.status).equal(204);
+    expect((await request("GET", "/characters/c1")).status).equal(404);
+    expect((await request("DELETE", "/characters/c1")).status).equal(404);
+  });
+
+  it("Rejects the patches of outdated versions", async function () {
+    const created = await request("POST", "/characters", grog);
+    expect(created.body).property("version", 1);
+    const managed = await request("POST", "/characters", {
+      ...grog,
+      version: 3,
+    });
+    expect(managed.status).equal(400);
+
+    const patched = await request("PATCH", "/characters/c1", {
+      version: 1,
+      notes: "Lost an eye",
+    });
+    expect(patched.status).equal(200);
+    expect(patched.body).property("version", 2);
+    const outdated = await request("PATCH", "/characters/c1", {
+      version: 1,
+      notes: "Lost a hand",
+    });
+    expect(outdated.status).equal(409);
+    expect(await repository.get("c1")).property("notes", "Lost an eye");
+    const invalid = await request("PATCH", "/characters/c1", {
+      version: "2",
+    });
+    expect(invalid.status).equal(400);
+  });
+
+  it("Advances a character and records the season", async function () {
+    await request("POST", "/characters", grog);
+
+    const advanced = await request("POST", "/characters/c1/advance", {
+      season: "Spring 1220",
+      xp: 20,
+      abilities: [{ name: "Great Weapon", level: 4 }],
+    });
+    expect(advanced.status).equal(200);
+    expect(advanced.body).property("spent", 20);
+    expect(advanced.body).property("leftover", 0);
+    expect(advanced.body.character.abilities[0]).include({ xp: 50, level: 4 });
+    expect(advanced.body.character.advancements).length(1);
+    expect(advanced.body.character.advancements[0]).property(
+      "season",
+      "Spring 1220"
+    );
+
+    const overspent = await request("POST", "/characters/c1/advance", {
+      xp: 5,
+      abilities: [{ name: "Great Weapon", level: 5 }],
+    });
+    expect(overspent.status).equal(400);
+
+    const tampered = await request("PATCH", "/characters/c1", {
+      advancements: [],
+    });
+    expect(tampered.status).equal(400);
+  });
+});
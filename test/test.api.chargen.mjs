@@ -0,0 +1,204 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the character generation REST API.
+ * @module test/api/chargen
+ */
+
+describe("Character generation API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    let next = 1;
+    server = await startSagaApiServer({
+      repositories: {
+        chargen: new MemoryRepository({ idGenerator: () => `d${next++}` }),
+        characters: new MemoryRepository({ idGenerator: () => `c${next++}` }),
+        spells: new MemoryRepository({
+          entities: [
+            {
+              id: "pilum",
+              saga: TEST_SAGA,
+              name: "Pilum of Fire",
+              technique: "Creo",
+              form: "Ignem",
+              range: "Voice",
+              duration: "Momentary",
+              target: "Individual",
+              base: 10,
+              level: 20,
+            },
+          ],
+        }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  const steps = [
+    [
+      "virtues",
+      { virtues: [{ name: "Covenfolk" }, { name: "Tough" }, { name: "Lame" }] },
+    ],
+    ["characteristics", { characteristics: { Str: 2, Sta: 2, Int: -1 } }],
+    [
+      "earlyLife",
+      {
+        abilities: [
+          { name: "Brawl", xp: 30 },
+          { name: "Athletics", xp: 15 },
+        ],
+      },
+    ],
+    ["laterLife", { abilities: [{ name: "Great Weapon", level: 5 }] }],
+  ];
+
+  it("Generates and commits a character", async function () {
+    const created = await server.request("POST", "/chargen", {
+      concept: {
+        name: "Wulfric",
+        type: "grog",
+        age: 22,
+        nativeLanguage: "German",
+      },
+    });
+    expect(created.status).equal(201);
+    expect(created.headers.get("location")).equal(
+      `/api/sagas/${TEST_SAGA}/chargen/d1`
+    );
+    expect(created.body).include({ id: "d1", next: "virtues" });
+    expect(created.body.plan).not.include("apprenticeship");
+
+    const early = await server.request("POST", "/chargen/d1/commit");
+    expect(early.status).equal(400);
+    const skipped = await server.request(
+      "PUT",
+      "/chargen/d1/steps/earlyLife",
+      steps[2][1]
+    );
+    expect(skipped.status).equal(400);
+    expect(skipped.body.details[0].message).equal(
+      "Complete the step virtues first"
+    );
+
+    for (const [step, input] of steps) {
+      const completed = await server.request(
+        "PUT",
+        `/chargen/d1/steps/${step}`,
+        input
+      );
+      expect(completed.status, step).equal(200);
+    }
+    const draft = await server.request("GET", "/chargen/d1");
+    expect(draft.body.next).equal(null);
+    expect(draft.body.budgets.laterLife).deep.equal({
+      available: 255,
+      spent: 75,
+    });
+    expect(draft.body.preview.abilities.map(({ name }) => name)).deep.equal([
+      "German",
+      "Brawl",
+      "Athletics",
+      "Great Weapon",
+    ]);
+
+    const committed = await server.request("POST", "/chargen/d1/commit");
+    expect(committed.status).equal(201);
+    expect(committed.body.draft).property("committed", "c2");
+    expect(committed.body.character).include({ id: "c2", name: "Wulfric" });
+    expect(committed.body.character.abilities[3]).include({ level: 5 });
+    const character = await server.request("GET", "/characters/c2");
+    expect(character.body.characteristics).include({ Str: 2, Int: -1 });
+
+    const again = await server.request("POST", "/chargen/d1/commit");
+    expect(again.status).equal(409);
+    const changed = await server.request(
+      "PUT",
+      "/chargen/d1/steps/laterLife",
+      {}
+    );
+    expect(changed.status).equal(409);
+  });
+
+  it("Teaches the spells of the saga to the apprentices", async function () {
+    await server.request("POST", "/chargen", {
+      concept: {
+        name: "Aelfric",
+        type: "magus",
+        age: 20,
+        nativeLanguage: "English",
+      },
+    });
+    const magusSteps = [
+      [
+        "virtues",
+        { virtues: [{ name: "The Gift" }, { name: "Hermetic Magus" }] },
+      ],
+      ["characteristics", { characteristics: { Int: 3, Sta: 1 } }],
+      ["earlyLife", {}],
+      ["laterLife", {}],
+    ];
+    for (const [step, input] of magusSteps) {
+      await server.request("PUT", `/chargen/d1/steps/${step}`, input);
+    }
+    const apprenticeship = {
+      abilities: [{ name: "Magic Theory", level: 3 }],
+      arts: [
+        { name: "Creo", level: 8 },
+        { name: "Ignem", level: 6 },
+      ],
+      spells: [{ spell: "pilum" }],
+    };
+    const weak = await server.request(
+      "PUT",
+      "/chargen/d1/steps/apprenticeship",
+      {
+        ...apprenticeship,
+        arts: [{ name: "Creo", level: 5 }],
+      }
+    );
+    expect(weak.status).equal(400);
+    expect(weak.body.details[0]).property("path", "$.spells[0].spell");
+
+    const learned = await server.request(
+      "PUT",
+      "/chargen/d1/steps/apprenticeship",
+      apprenticeship
+    );
+    expect(learned.status).equal(200);
+    expect(learned.body.budgets.apprenticeship).include({
+      spellLevelsSpent: 20,
+      spent: 87,
+    });
+    const committed = await server.request("POST", "/chargen/d1/commit");
+    expect(committed.status).equal(201);
+    expect(committed.body.character.spells).deep.equal([
+      { spell: "pilum", xp: 0, mastery: 0 },
+    ]);
+  });
+
+  it("Shows the drafts to their owners and the storyguides", async function () {
+    const troupe = await server.join("player", "troupe");
+    const created = await troupe.request("POST", "/chargen", {});
+    expect(created.status).equal(201);
+    expect(created.body.next).equal("concept");
+    await server.request("POST", "/chargen");
+
+    expect((await troupe.request("GET", "/chargen")).body).length(1);
+    expect((await server.request("GET", "/chargen")).body).length(2);
+    expect((await troupe.request("GET", "/chargen/d2")).status).equal(404);
+    expect((await server.request("GET", "/chargen/d1")).status).equal(200);
+
+    const viewer = await server.join("watcher", "viewer");
+    expect((await viewer.request("POST", "/chargen", {})).status).equal(403);
+    expect((await troupe.request("DELETE", "/chargen/d1")).status).equal(204);
+    expect((await troupe.request("GET", "/chargen/d1")).status).equal(404);
+  });
+});
@@ -0,0 +1,244 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import {
+  COLLECTION_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_OFFSET,
+  parseCollectionQuery,
+  readPage,
+} from "../src/api/collection.mjs";
+import { ValidationError } from "../src/api/errors.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+import { AsyncQuery } from "../src/persistence/query.mjs";
+import { startSagaApiServer } from "../src/testkit/api.mjs";
+
+/**
+ * Test library for the collection query layer.
+ * @module test/api/collection
+ */
+
+const spells = [
+  { id: "s1", name: "Pilum of Fire", form: "Ignem", level: 20 },
+  { id: "s2", name: "Lamp Without Flame", form: "Ignem", level: 10 },
+  { id: "s3", name: "Aegis of the Hearth", form: "Vim", level: 20 },
+  { id: "s4", name: "Ball of Abysmal Flame", form: "Ignem", level: 35 },
+  { id: "s5", name: "Wizard's Sidestep", form: "Imaginem", level: 10 },
+];
+
+/**
+ * Read all pages of a collection query.
+ * @param {Record<string, string>} query The request query.
+ * @returns {Promise<string[][]>} The identifiers of the values of the pages.
+ */
+async function readPages(query) {
+  const pages = [];
+  let cursor;
+  do {
+    const { page, next } = await readPage(
+      new AsyncQuery(spells),
+      parseCollectionQuery(
+        { ...query, ...(cursor === undefined ? {} : { cursor }) },
+        COLLECTION_FIELDS.spells
+      )
+    );
+    pages.push(page.map((spell) => spell.id));
+    cursor = next;
+  } while (cursor !== undefined);
+  return pages;
+}
+
+describe("Collection query", function () {
+  describe("Parsing", function () {
+    it("Parses the filters, the sorting and the fieldset", function () {
+      expect(
+        parseCollectionQuery(
+          {
+            form: "Ignem",
+            levelGte: "20",
+            ritual: "false",
+            sort: "-level,name",
+            fields: "name,level",
+            q: "pilum",
+          },
+          COLLECTION_FIELDS.spells
+        )
+      ).deep.equal({
+        filters: [
+          { field: "form", operator: "", value: "Ignem" },
+          { field: "level", operator: "Gte", value: 20 },
+          { field: "ritual", operator: "", value: false },
+        ],
+        sort: [
+          { field: "level", descending: true },
+          { field: "name", descending: false },
+        ],
+        fields: ["name", "level"],
+        limit: DEFAULT_PAGE_SIZE,
+        offset: 0,
+      });
+    });
+
+    it("Rejects the invalid queries", function () {
+      try {
+        parseCollectionQuery(
+          {
+            levelLt: "high",
+            ritualGt: "true",
+            sort: "power",
+            limit: "1001",
+            cursor: "invalid",
+          },
+          COLLECTION_FIELDS.spells
+        );
+        expect.fail("Expected a validation error");
+      } catch (error) {
+        expect(error).instanceOf(ValidationError);
+        expect(error.issues.map((issue) => issue.path)).deep.equal([
+          "$.levelLt",
+          "$.sort",
+          "$.limit",
+          "$.cursor",
+        ]);
+      }
+      expect(() =>
+        parseCollectionQuery({ cursor: "e30", offset: "1" }, {})
+      ).throw(ValidationError);
+      expect(() =>
+        parseCollectionQuery({ offset: `${MAX_OFFSET + 1}` }, {})
+      ).throw(ValidationError);
+      expect(parseCollectionQuery({ offset: `${MAX_OFFSET}` }, {})).property(
+        "offset",
+        MAX_OFFSET
+      );
+    });
+  });
+
+  describe("Pages", function () {
+    it("Pages through the stored order", async function () {
+      expect(await readPages({ limit: "2" })).deep.equal([
+        ["s1", "s2"],
+        ["s3", "s4"],
+        ["s5"],
+      ]);
+    });
+
+    it("Pages through the sorted values", async function () {
+      expect(await readPages({ sort: "-level,name", limit: "2" })).deep.equal([
+        ["s4", "s3"],
+        ["s1", "s2"],
+        ["s5"],
+      ]);
+      expect(
+        await readPages({ formNe: "Vim", levelLte: "20", sort: "level" })
+      ).deep.equal([["s2", "s5", "s1"]]);
+    });
+
+    it("Rejects the cursor of another sort order", async function () {
+      const { next } = await readPage(
+        new AsyncQuery(spells),
+        parseCollectionQuery(
+          { sort: "level", limit: "1" },
+          {
+            level: "number",
+          }
+        )
+      );
+      expect(() =>
+        parseCollectionQuery(
+          { sort: "-level", cursor: next },
+          { level: "number" }
+        )
+      ).throw(ValidationError);
+    });
+  });
+
+  describe("API", function () {
+    /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+    let server;
+
+    beforeEach(async function () {
+      let next = 1;
+      server = await startSagaApiServer({
+        repositories: {
+          spells: new MemoryRepository({ idGenerator: () => `s${next++}` }),
+        },
+      });
+      for (const level of [5, 10, 15, 20, 25]) {
+        await server.request("POST", "/spells", {
+          name: `Pilum of Fire ${level}`,
+          technique: "Creo",
+          form: "Ignem",
+          range: "Voice",
+          duration: "Momentary",
+          target: "Individual",
+          base: level - 10 > 0 ? level - 10 : level,
+          level,
+        });
+      }
+    });
+
+    afterEach(function () {
+      return server.close();
+    });
+
+    it("Links the next page", async function () {
+      const first = await server.request(
+        "GET",
+        "/spells?levelGte=10&sort=-level&fields=name&limit=3"
+      );
+      expect(first.status).equal(200);
+      expect(first.body).deep.equal([
+        { id: "s5", name: "Pilum of Fire 25" },
+        { id: "s4", name: "Pilum of Fire 20" },
+        { id: "s3", name: "Pilum of Fire 15" },
+      ]);
+      const link = first.headers.get("link");
+      expect(link).match(/^<\/api\/sagas\/[^>]*cursor=[^>]*>; rel="next"$/);
+      const next = link
+        .slice(1, link.indexOf(">"))
+        .replace(/^\/api\/sagas\/[^/]+/, "");
+      const second = await server.request("GET", next);
+      expect(second.body.map((spell) => spell.id)).deep.equal(["s2"]);
+      expect(second.headers.get("link")).null;
+    });
+
+    it("Answers the unchanged listings with their ETag", async function () {
+      const listed = await server.request("GET", "/spells?form=Ignem");
+      const etag = listed.headers.get("etag");
+      expect(etag).match(/^W\/"/);
+      const url = `${server.baseUrl}/sagas/${server.saga}/spells?form=Ignem`;
+      const headers = {
+        Cookie: server.storyguide.cookie(),
+        "Cache-Control": "max-age=0",
+      };
+      const unchanged = await fetch(url, {
+        headers: { ...headers, "If-None-Match": etag },
+      });
+      expect(unchanged.status).equal(304);
+
+      await server.request("PATCH", "/spells/s1", { name: "Renamed" });
+      const changed = await fetch(url, {
+        headers: { ...headers, "If-None-Match": etag },
+      });
+      expect(changed.status).equal(200);
+      expect(changed.headers.get("etag")).not.equal(etag);
+    });
+
+    it("Rejects the invalid collection queries", async function () {
+      const invalid = await server.request(
+        "GET",
+        "/spells?levelGt=x&limit=5000"
+      );
+      expect(invalid.status).equal(400);
+      expect(invalid.body.details.map((issue) => issue.path)).deep.equal([
+        "$.levelGt",
+        "$.limit",
+      ]);
+      const sort = await server.request("GET", "/spells?sort=power");
+      expect(sort.status).equal(400);
+      expect(sort.body.details).deep.equal([
+        { path: "$.sort", message: "Unknown sort field power" },
+      ]);
+    });
+  });
+});
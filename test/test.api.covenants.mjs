@@ -0,0 +1,78 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the covenant REST API.
+ * @module test/api/covenants
+ */
+
+describe("Covenant API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    let next = 1;
+    server = await startSagaApiServer({
+      repositories: {
+        covenants: new MemoryRepository({ idGenerator: () => `v${next++}` }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  const covenant = {
+    name: "Fengheld",
+    tribunal: "Rhine",
+    founded: 1200,
+    visStocks: [
+      { art: "Creo", pawns: 2 },
+      { art: "Creo", pawns: 1 },
+    ],
+    incomeSources: [{ name: "Tolls", income: 60 }],
+    expenditures: [{ name: "Guards", category: "wages", cost: 30 }],
+  };
+
+  it("Creates, patches and deletes covenants", async function () {
+    const created = await server.request("POST", "/covenants", covenant);
+    expect(created.status).equal(201);
+    expect(created.body.visStocks).deep.equal([{ art: "Creo", pawns: 3 }]);
+    expect(created.body.library).deep.equal([]);
+
+    const listed = await server.request("GET", "/covenants?tribunal=Rhine");
+    expect(listed.body).length(1);
+
+    const patched = await server.request("PATCH", "/covenants/v1", {
+      aura: 3,
+    });
+    expect(patched.status).equal(200);
+    expect(patched.body).property("aura", 3);
+
+    const invalid = await server.request("PATCH", "/covenants/v1", {
+      visSources: [{ name: "Spring", art: "Aquam" }],
+    });
+    expect(invalid.status).equal(400);
+    expect(invalid.body.details[0]).property("path", "$.visSources[0].pawns");
+
+    expect((await server.request("DELETE", "/covenants/v1")).status).equal(204);
+    expect((await server.request("GET", "/covenants/v1")).status).equal(404);
+  });
+
+  it("Computes the yearly finances", async function () {
+    await server.request("POST", "/covenants", covenant);
+
+    const finances = await server.request("GET", "/covenants/v1/finances");
+    expect(finances.status).equal(200);
+    expect(finances.body).include({ year: 1200, balance: 30 });
+
+    const early = await server.request(
+      "GET",
+      "/covenants/v1/finances?year=1100"
+    );
+    expect(early.status).equal(400);
+  });
+});
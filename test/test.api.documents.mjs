@@ -0,0 +1,110 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the document import and export REST API.
+ * @module test/api/documents
+ */
+
+describe("Document API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    let next = 1;
+    const idGenerator = () => `e${next++}`;
+    server = await startSagaApiServer({
+      repositories: {
+        characters: new MemoryRepository({ idGenerator }),
+        covenants: new MemoryRepository({ idGenerator }),
+        spells: new MemoryRepository({ idGenerator }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  const pilum = {
+    name: "Pilum of Fire",
+    technique: "Creo",
+    form: "Ignem",
+    range: "Voice",
+    duration: "Momentary",
+    target: "Individual",
+    base: 10,
+    level: 20,
+  };
+
+  it("Round-trips a saga", async function () {
+    await server.request("POST", "/spells", pilum);
+    await server.request("POST", "/characters", {
+      name: "Flambeau",
+      type: "magus",
+      characteristics: { Int: 2 },
+      spells: [{ spell: "e1", xp: 5 }],
+    });
+    await server.request("POST", "/covenants", {
+      name: "Fengheld",
+      founded: 1200,
+      laboratories: [{ name: "Tower", owner: "e2" }],
+    });
+
+    const exported = await server.request("GET", "/export/saga?name=Rhine");
+    expect(exported.status).equal(200);
+    expect(exported.body).include({ format: "arm5tools", kind: "saga" });
+    expect(exported.body.data.name).equal("Rhine");
+
+    const imported = await server.request("POST", "/import", exported.body);
+    expect(imported.status).equal(201);
+    expect(imported.body).deep.equal({
+      kind: "saga",
+      created: { spells: ["e4"], characters: ["e5"], covenants: ["e6"] },
+    });
+
+    const character = await server.request("GET", "/export/characters/e5");
+    expect(character.body.data.spells).deep.equal([
+      { spell: "e4", xp: 5, mastery: 1 },
+    ]);
+    const { id, ...original } = exported.body.data.characters[0];
+    expect(character.body.data).deep.equal({
+      ...original,
+      id: "e5",
+      spells: [{ spell: "e4", xp: 5, mastery: 1 }],
+    });
+    const covenant = await server.request("GET", "/covenants/e6");
+    expect(covenant.body.laboratories[0]).property("owner", "e5");
+  });
+
+  it("Reports the JSON paths of invalid documents", async function () {
+    const response = await server.request("POST", "/import", {
+      format: "arm5tools",
+      kind: "character",
+      version: 1,
+      data: {
+        name: "Flambeau",
+        type: "magus",
+        characteristics: {},
+        abilities: [{ name: "Latin", xp: 15, level: 3 }],
+        spells: [{ spell: "missing", xp: 0 }],
+      },
+    });
+    expect(response.status).equal(400);
+    expect(response.body.details.map((issue) => issue.path)).deep.equal([
+      "$.data.abilities[0].level",
+      "$.data.spells[0].spell",
+    ]);
+  });
+
+  it("Serves the schemas", async function () {
+    const schema = await server.request("GET", "/schemas/covenant");
+    expect(schema.status).equal(200);
+    expect(schema.body.properties.data).deep.equal({
+      $ref: "#/$defs/covenant",
+    });
+    expect((await server.request("GET", "/schemas/dragon")).status).equal(404);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the encounter REST API.
+ * @module test/api/encounters
+ */
+
+describe("Encounter API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    let next = 1;
+    server = await startSagaApiServer({
+      repositories: {
+        characters: new MemoryRepository({
+          entities: [
+            {
+              id: "g1",
+              saga: TEST_SAGA,
+              name: "Wulfric",
+              type: "grog",
+              characteristics: { Str: 2, Sta: 1, Dex: 1, Qik: 1 },
+              abilities: [{ name: "Single Weapon", xp: 30 }],
+              virtues: [{ name: "Tough" }],
+            },
+            {
+              id: "b1",
+              saga: TEST_SAGA,
+              name: "Bandit",
+              type: "grog",
+              characteristics: {},
+              abilities: [{ name: "Brawl", xp: 15 }],
+            },
+          ],
+        }),
+        encounters: new MemoryRepository({ idGenerator: () => `e${next++}` }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  const encounter = {
+    name: "Ambush at the ford",
+    combatants: [
+      {
+        character: "g1",
+        side: "covenant",
+        equipment: { weapon: "Long Sword", armor: "Heavy Leather" },
+      },
+      { character: "b1", side: "bandits", equipment: { weapon: "Dagger" } },
+    ],
+  };
+
+  it("Runs an encounter round by round", async function () {
+    const created = await server.request("POST", "/encounters", encounter);
+    expect(created.status).equal(201);
+    expect(created.body).include({ id: "e1", round: 0 });
+    expect(created.body.log).deep.equal([]);
+    expect(created.body.combatants[1]).include({ fatigue: "Fresh" });
+
+    const totals = await server.request("GET", "/encounters/e1/totals");
+    expect(totals.body[0]).include({ character: "g1", condition: "active" });
+    expect(totals.body[0].soak.total).equal(7);
+
+    const round = await server.request("POST", "/encounters/e1/rounds", {
+      seed: 5,
+    });
+    expect(round.status).equal(201);
+    expect(round.body.action).include({
+      type: "initiative",
+      seed: 5,
+      clientSeed: true,
+    });
+    expect(round.body.encounter.order).members(["g1", "b1"]);
+
+    const attack = await server.request("POST", "/encounters/e1/actions", {
+      type: "attack",
+      actor: "g1",
+      target: "b1",
+      seed: 9,
+    });
+    expect(attack.status).equal(201);
+    expect(attack.body.action).include({
+      round: 1,
+      actor: "g1",
+      seed: 9,
+      clientSeed: true,
+    });
+    expect(attack.body.encounter.acted).deep.equal(["g1"]);
+
+    const twice = await server.request("POST", "/encounters/e1/actions", {
+      type: "attack",
+      actor: "g1",
+      target: "b1",
+    });
+    expect(twice.status).equal(400);
+
+    const stored = await server.request("GET", "/encounters/e1");
+    expect(stored.body.log.map(({ type }) => type)).deep.equal([
+      "initiative",
+      "attack",
+    ]);
+    expect(stored.body.log[1]).property("recorded");
+
+    const next = await server.request("POST", "/encounters/e1/rounds");
+    expect(next.body.encounter).include({ round: 2 });
+    expect(next.body.encounter.acted).deep.equal([]);
+    expect(next.body.action).not.have.property("clientSeed");
+  });
+
+  it("Lists the equipment", async function () {
+    const response = await server.request("GET", "/encounters/equipment");
+    expect(response.body.weapons["Long Sword"]).include({
+      ability: "Single Weapon",
+      damage: 6,
+    });
+    expect(response.body.armor["Chain Mail"].full).deep.equal({
+      protection: 9,
+      load: 6,
+    });
+  });
+
+  [
+    [{ ...encounter, round: 3 }, 400, "$.round"],
+    [
+      { name: "Brawl", combatants: [{ character: "g1", equipment: {} }] },
+      400,
+      "$.combatants[0].equipment.weapon",
+    ],
+    [
+      {
+        name: "Brawl",
+        combatants: [{ character: "c9", equipment: { weapon: "Fist" } }],
+      },
+      404,
+      undefined,
+    ],
+  ].forEach(([body, status, path], index) => {
+    it(`Test #${index}: Rejects ${JSON.stringify(body)}`, async function () {
+      const response = await server.request("POST", "/encounters", body);
+      expect(response.status).equal(status);
+      if (path !== undefined) {
+        expect(response.body.details.map((issue) => issue.path)).include(path);
+      }
+    });
+  });
+
+  it("Rejects invalid seeds and unknown encounters", async function () {
+    await server.request("POST", "/encounters", encounter);
+    const seed = await server.request("POST", "/encounters/e1/rounds", {
+      seed: -1,
+    });
+    expect(seed.status).equal(400);
+    const missing = await server.request("POST", "/encounters/e9/rounds");
+    expect(missing.status).equal(404);
+  });
+});
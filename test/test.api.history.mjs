@@ -0,0 +1,142 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the entity history REST API.
+ * @module test/api/history
+ */
+
+describe("History API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    let next = 1;
+    server = await startSagaApiServer({
+      repositories: {
+        covenants: new MemoryRepository({ idGenerator: () => `v${next++}` }),
+        history: new MemoryRepository({ idGenerator: () => `e${next++}` }),
+      },
+    });
+    await server.request("PATCH", "", {
+      season: { year: 1220, season: "spring" },
+    });
+    await server.request("POST", "/covenants", {
+      name: "Fengheld",
+      tribunal: "Rhine",
+      founded: 1200,
+    });
+    await server.request("PATCH", "/covenants/v1", { aura: 3 });
+    await server.request("PATCH", "", {
+      season: { year: 1220, season: "summer" },
+    });
+    await server.request("PATCH", "/covenants/v1", {
+      aura: 5,
+      storyguideNotes: "Regio below",
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  it("Lists the versions with their changes", async function () {
+    const history = await server.request("GET", "/covenants/v1/history");
+    expect(history.status).equal(200);
+    expect(history.body.map((version) => version.version)).deep.equal([
+      1, 2, 3,
+    ]);
+    expect(history.body[0]).include({
+      action: "created",
+      author: server.storyguide.user.id,
+    });
+    expect(history.body[1].changes).deep.equal([
+      { op: "add", path: "/aura", value: 3 },
+    ]);
+    expect(history.body[1].season).deep.equal({
+      year: 1220,
+      season: "spring",
+    });
+    expect(history.body[2].season).property("season", "summer");
+
+    const version = await server.request("GET", "/covenants/v1/history/2");
+    expect(version.body.state).include({ name: "Fengheld", aura: 3 });
+    expect(
+      (await server.request("GET", "/covenants/v1/history/9")).status
+    ).equal(404);
+    expect(
+      (await server.request("GET", "/covenants/v1/history/first")).status
+    ).equal(400);
+  });
+
+  it("Compares two versions", async function () {
+    const diff = await server.request(
+      "GET",
+      "/covenants/v1/history/diff?from=1"
+    );
+    expect(diff.body).deep.equal({
+      from: 1,
+      to: 3,
+      changes: [
+        { op: "add", path: "/aura", value: 5 },
+        { op: "add", path: "/storyguideNotes", value: "Regio below" },
+      ],
+    });
+    const missing = await server.request("GET", "/covenants/v1/history/diff");
+    expect(missing.status).equal(400);
+    expect(missing.body.details[0]).property("path", "$.from");
+  });
+
+  it("Undoes and reverts the changes with new versions", async function () {
+    const undone = await server.request("POST", "/covenants/v1/history/undo");
+    expect(undone.status).equal(200);
+    expect(undone.body).include({ aura: 3, version: 4 });
+    expect(undone.body).not.property("storyguideNotes");
+
+    const reverted = await server.request(
+      "POST",
+      "/covenants/v1/history/revert",
+      { version: 1 }
+    );
+    expect(reverted.body).include({ version: 5 });
+    expect(reverted.body).not.property("aura");
+
+    const again = await server.request("POST", "/covenants/v1/history/revert", {
+      version: 1,
+    });
+    expect(again.status).equal(409);
+
+    const history = await server.request("GET", "/covenants/v1/history");
+    expect(
+      history.body.map(({ action, reverts }) => [action, reverts])
+    ).deep.equal([
+      ["created", undefined],
+      ["updated", undefined],
+      ["updated", undefined],
+      ["reverted", 2],
+      ["reverted", 1],
+    ]);
+  });
+
+  it("Hides the secrets from the troupe", async function () {
+    const player = await server.join("player", "troupe");
+    const history = await player.request("GET", "/covenants/v1/history");
+    expect(history.body[2].changes).deep.equal([
+      { op: "replace", path: "/aura", value: 5 },
+    ]);
+    const version = await player.request("GET", "/covenants/v1/history/3");
+    expect(version.body.state).not.property("storyguideNotes");
+
+    const undone = await player.request("POST", "/covenants/v1/history/undo");
+    expect(undone.status).equal(200);
+    const stored = await server.request("GET", "/covenants/v1");
+    expect(stored.body).include({ aura: 3, storyguideNotes: "Regio below" });
+
+    const viewer = await server.join("watcher", "viewer");
+    expect(
+      (await viewer.request("POST", "/covenants/v1/history/undo")).status
+    ).equal(403);
+  });
+});
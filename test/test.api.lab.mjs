@@ -0,0 +1,104 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+import { normalizeCharacter } from "../src/model/character.mjs";
+
+/**
+ * Test library for the laboratory REST API.
+ * @module test/api/lab
+ */
+
+describe("Laboratory API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    server = await startSagaApiServer({
+      repositories: {
+        characters: new MemoryRepository({
+          entities: [
+            {
+              id: "m",
+              saga: TEST_SAGA,
+              ...normalizeCharacter({
+                name: "Criamon",
+                type: "magus",
+                characteristics: { Int: 2 },
+                abilities: [{ name: "Magic Theory", xp: 30 }],
+                arts: { Creo: { xp: 21 }, Vim: { xp: 15 }, Corpus: { xp: 6 } },
+              }),
+            },
+          ],
+        }),
+        covenants: new MemoryRepository({
+          entities: [
+            {
+              id: "v",
+              saga: TEST_SAGA,
+              name: "Covenant",
+              founded: 1220,
+              aura: 4,
+            },
+          ],
+        }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  it("Computes the Lab Total with the covenant aura", async function () {
+    const result = await server.request("POST", "/lab/total", {
+      character: "m",
+      technique: "Creo",
+      form: "Vim",
+      covenant: "v",
+    });
+    expect(result.status).equal(200);
+    expect(result.body.total).equal(6 + 5 + 2 + 3 + 4);
+  });
+
+  it("Resolves projects", async function () {
+    const spell = await server.request("POST", "/lab/project", {
+      character: "m",
+      technique: "Creo",
+      form: "Vim",
+      aura: 4,
+      project: { type: "spell", level: 10 },
+    });
+    expect(spell.status).equal(200);
+    expect(spell.body).include({ progress: 10, complete: true });
+
+    const longevity = await server.request("POST", "/lab/project", {
+      character: "m",
+      project: { type: "longevity", age: 35 },
+    });
+    expect(longevity.status).equal(200);
+    expect(longevity.body).include({
+      technique: "Creo",
+      form: "Corpus",
+      labTotal: 6 + 3 + 2 + 3,
+      longevityModifier: 3,
+      visCost: 7,
+    });
+
+    const invalid = await server.request("POST", "/lab/project", {
+      character: "m",
+      technique: "Creo",
+      form: "Vim",
+      project: { type: "spell", level: 40 },
+    });
+    expect(invalid.status).equal(400);
+    expect(invalid.body.details[0]).property("path", "$.project.level");
+
+    const missing = await server.request("POST", "/lab/total", {
+      character: "nobody",
+      technique: "Creo",
+      form: "Vim",
+    });
+    expect(missing.status).equal(404);
+  });
+});
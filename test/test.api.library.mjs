@@ -0,0 +1,197 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the covenant library REST API.
+ * @module test/api/library
+ */
+
+describe("Library API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  const summa = {
+    title: "On Creation",
+    type: "summa",
+    subject: "Creo",
+    level: 10,
+    quality: 12,
+  };
+  const tractatus = {
+    title: "Notes on Vim",
+    type: "tractatus",
+    subject: "Vim",
+    quality: 8,
+    author: "Aelfric",
+  };
+
+  beforeEach(async function () {
+    server = await startSagaApiServer({
+      repositories: {
+        characters: new MemoryRepository({
+          entities: [
+            {
+              id: "c1",
+              saga: TEST_SAGA,
+              name: "Aelfric",
+              type: "magus",
+              characteristics: { Com: 2 },
+              abilities: [{ name: "Latin", xp: 75 }],
+              arts: { Creo: { xp: 15 }, Vim: { xp: 55 } },
+            },
+          ],
+        }),
+        covenants: new MemoryRepository({
+          entities: [
+            {
+              id: "v1",
+              saga: TEST_SAGA,
+              name: "Fengheld",
+              founded: 1200,
+              library: [tractatus],
+            },
+          ],
+        }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  it("Adds, lists and removes books", async function () {
+    const added = await server.request("POST", "/covenants/v1/library", summa);
+    expect(added.status).equal(201);
+    const duplicate = await server.request(
+      "POST",
+      "/covenants/v1/library",
+      summa
+    );
+    expect(duplicate.status).equal(400);
+    expect(duplicate.body.details[0]).property("path", "$.title");
+    const invalid = await server.request("POST", "/covenants/v1/library", {
+      ...summa,
+      level: undefined,
+    });
+    expect(invalid.status).equal(400);
+
+    const listed = await server.request(
+      "GET",
+      "/covenants/v1/library?type=summa"
+    );
+    expect(listed.body).deep.equal([summa]);
+    const page = await server.request(
+      "GET",
+      "/covenants/v1/library?offset=1&limit=1"
+    );
+    expect(page.body).deep.equal([summa]);
+
+    const removed = await server.request(
+      "DELETE",
+      "/covenants/v1/library?title=On%20Creation&subject=Creo"
+    );
+    expect(removed.status).equal(204);
+    const missing = await server.request(
+      "DELETE",
+      "/covenants/v1/library?title=On%20Creation&subject=Creo"
+    );
+    expect(missing.status).equal(404);
+    expect(
+      (await server.request("GET", "/covenants/v1/library")).body
+    ).deep.equal([tractatus]);
+  });
+
+  it("Recommends and records the reading", async function () {
+    await server.request("POST", "/covenants/v1/library", summa);
+    const best = await server.request(
+      "GET",
+      "/covenants/v1/library/best?character=c1"
+    );
+    expect(best.status).equal(200);
+    expect(best.body.best.book.title).equal("On Creation");
+    expect(best.body.options.map(({ xp }) => xp)).deep.equal([12, 8]);
+
+    const reading = { character: "c1", title: "Notes on Vim", subject: "Vim" };
+    const read = await server.request("POST", "/covenants/v1/library/read", {
+      ...reading,
+      season: "Spring 1220",
+    });
+    expect(read.status).equal(200);
+    expect(read.body).include({ xp: 8, from: 10 });
+    expect(read.body.character.arts.Vim.xp).equal(63);
+    expect(read.body.character.advancements[0]).include({
+      season: "Spring 1220",
+      xp: 8,
+    });
+    expect(read.body.character.advancements[0].book).deep.equal({
+      title: "Notes on Vim",
+      type: "tractatus",
+      subject: "Vim",
+    });
+
+    const again = await server.request(
+      "POST",
+      "/covenants/v1/library/read",
+      reading
+    );
+    expect(again.body).include({ xp: 0 });
+    expect(again.body.character.arts.Vim.xp).equal(63);
+
+    const unknown = await server.request("POST", "/covenants/v1/library/read", {
+      ...reading,
+      title: "Lost",
+    });
+    expect(unknown.status).equal(404);
+  });
+
+  it("Plans the writing and the copying", async function () {
+    const writing = await server.request(
+      "POST",
+      "/covenants/v1/library/writing",
+      { character: "c1", type: "summa", subject: "Vim" }
+    );
+    expect(writing.status).equal(200);
+    expect(writing.body).include({ level: 5, quality: 8, seasons: 1 });
+
+    const tractatusLimit = await server.request(
+      "POST",
+      "/covenants/v1/library/writing",
+      { character: "c1", type: "tractatus", subject: "Vim" }
+    );
+    expect(tractatusLimit.body).include({ quality: 5 });
+    await server.request("POST", "/covenants/v1/library", {
+      ...tractatus,
+      title: "More Notes on Vim",
+    });
+    const exhausted = await server.request(
+      "POST",
+      "/covenants/v1/library/writing",
+      { character: "c1", type: "tractatus", subject: "Vim" }
+    );
+    expect(exhausted.status).equal(400);
+
+    const copying = await server.request(
+      "POST",
+      "/covenants/v1/library/copying",
+      { character: "c1", title: "Notes on Vim", subject: "Vim", quick: true }
+    );
+    expect(copying.status).equal(200);
+    expect(copying.body).include({ levels: 6, seasons: 1, quality: 7 });
+  });
+
+  it("Hides the library of the other sagas", async function () {
+    await server.repositories.covenants.create({
+      saga: "other",
+      name: "Elsewhere",
+    });
+    const missing = await server.request("GET", "/covenants/v2/library");
+    expect(missing.status).equal(404);
+    const anonymous = await server
+      .createClient(`/sagas/${TEST_SAGA}`)
+      .request("GET", "/covenants/v1/library");
+    expect(anonymous.status).equal(401);
+  });
+});
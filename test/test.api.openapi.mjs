@@ -0,0 +1,177 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+import {
+  createOpenApiDocument,
+  PROBLEM_MEDIA_TYPE,
+} from "../src/api/openapi.mjs";
+
+/**
+ * Test library for the OpenAPI description and the request validation.
+ * @module test/api/openapi
+ */
+
+/**
+ * Collect the references of a JSON value.
+ * @param {any} value The value.
+ * @returns {string[]} The values of the `$ref` properties of the value.
+ */
+function references(value) {
+  if (value instanceof Object) {
+    return Object.entries(value).flatMap(([key, member]) =>
+      key === "$ref" ? [member] : references(member)
+    );
+  }
+  return [];
+}
+
+describe("OpenAPI", function () {
+  describe("Description", function () {
+    const document = createOpenApiDocument();
+
+    it("Describes the operations of the API", function () {
+      expect(document.openapi).equal("3.1.0");
+      expect(document.paths).include.keys(
+        "/auth/login",
+        "/sagas/{saga}/characters/{id}",
+        "/sagas/{saga}/schemas/{kind}"
+      );
+      expect(document.paths["/sagas/{saga}/spells"]).have.keys("get", "post");
+      Object.entries(document.paths).forEach(([path, operations]) => {
+        const names = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => name);
+        Object.values(operations).forEach((operation) => {
+          expect(
+            (operation.parameters ?? [])
+              .filter((parameter) => parameter.in === "path")
+              .map((parameter) => parameter.name),
+            path
+          ).deep.equal(names);
+        });
+      });
+    });
+
+    it("Refers to the defined components", function () {
+      references(document).forEach((ref) => {
+        const target = ref
+          .slice(2)
+          .split("/")
+          .reduce((node, token) => node?.[token], document);
+        expect(target, ref).be.an("object");
+      });
+    });
+  });
+
+  describe("API", function () {
+    /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+    let server;
+
+    beforeEach(async function () {
+      server = await startSagaApiServer({
+        repositories: {
+          characters: new MemoryRepository(),
+          spells: new MemoryRepository(),
+        },
+      });
+    });
+
+    afterEach(function () {
+      return server.close();
+    });
+
+    it("Serves the description without a login", async function () {
+      const response = await server
+        .createClient()
+        .request("GET", "/openapi.json");
+      expect(response.status).equal(200);
+      expect(response.body).deep.equal(createOpenApiDocument());
+    });
+
+    it("Serves the documentation page", async function () {
+      const redirect = await fetch(`${server.baseUrl}/docs`, {
+        redirect: "manual",
+      });
+      expect(redirect.status).equal(301);
+      expect(redirect.headers.get("location")).equal("/api/docs/");
+
+      const page = await fetch(`${server.baseUrl}/docs/`);
+      expect(page.status).equal(200);
+      expect(page.headers.get("content-type")).match(/^text\/html/);
+      expect(await page.text()).include("assets/swagger-ui-bundle.js");
+
+      const script = await fetch(
+        `${server.baseUrl}/docs/assets/swagger-ui-bundle.js`
+      );
+      expect(script.status).equal(200);
+      await script.arrayBuffer();
+    });
+
+    it("Rejects the invalid parameters and contents", async function () {
+      const query = await server.request("GET", "/spells?levelMax=high");
+      expect(query.status).equal(400);
+      expect(query.headers.get("content-type")).match(
+        new RegExp(`^${PROBLEM_MEDIA_TYPE.replace("+", "\\+")}`)
+      );
+      expect(query.body).include({
+        type: "about:blank",
+        title: "Bad Request",
+        status: 400,
+        instance: `/api/sagas/${TEST_SAGA}/spells?levelMax=high`,
+      });
+      expect(query.body.details.map((issue) => issue.path)).deep.equal([
+        "$.levelMax",
+      ]);
+
+      const path = await server.request(
+        "DELETE",
+        "/covenants/v1/timeline/1220/Midsummer/c1"
+      );
+      expect(path.status).equal(400);
+      expect(path.body.details.map((issue) => issue.path)).deep.equal([
+        "$.season",
+      ]);
+
+      const content = await server
+        .createClient()
+        .request("POST", "/auth/login", { username: 7 });
+      expect(content.status).equal(400);
+      expect(content.body.details.map((issue) => issue.path)).deep.equal([
+        "$.password",
+        "$.username",
+      ]);
+    });
+
+    it("Rejects the malformed percent-encodings", async function () {
+      const member = await server.register("member");
+      for (const response of [
+        await server.request("GET", "/characters/%E0%A4%A"),
+        await server.request("GET", "/covenants/%ZZ"),
+        await member.request("GET", "/sagas/%ZZ"),
+      ]) {
+        expect(response.status).equal(400);
+        expect(response.headers.get("content-type")).match(
+          /^application\/problem\+json/
+        );
+        expect(response.body).include({ status: 400, title: "Bad Request" });
+      }
+    });
+
+    it("Validates the saga content after the membership", async function () {
+      const outsider = await server.register("outsider");
+      const response = await outsider.request(
+        "GET",
+        `/sagas/${TEST_SAGA}/spells?levelMax=high`
+      );
+      expect(response.status).equal(404);
+    });
+
+    it("Answers the unknown routes with a problem", async function () {
+      const response = await server.request("GET", "/grimoires");
+      expect(response.status).equal(404);
+      expect(response.headers.get("content-type")).match(
+        /^application\/problem\+json/
+      );
+      expect(response.body).include({ status: 404, title: "Not Found" });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the roll REST API.
+ * @module test/api/rolls
+ */
+
+describe("Roll API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    let next = 1;
+    server = await startSagaApiServer({
+      repositories: {
+        characters: new MemoryRepository({
+          entities: [
+            { id: "c1", saga: TEST_SAGA, name: "Wulfric", type: "grog" },
+          ],
+        }),
+        rolls: new MemoryRepository({ idGenerator: () => `r${next++}` }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  it("Rolls and logs the roll to the character", async function () {
+    const created = await server.request("POST", "/rolls", {
+      expression: "stress+12 vs 9, botch 2",
+      seed: 8,
+      character: "c1",
+      label: "Attack",
+    });
+    expect(created.status).equal(201);
+    expect(created.body).include({
+      id: "r1",
+      seed: 8,
+      total: 24,
+      success: true,
+      character: "c1",
+      clientSeed: true,
+    });
+    const random = await server.request("POST", "/rolls", {
+      expression: "simple",
+      session: "s1",
+    });
+    expect(random.body).not.have.property("clientSeed");
+
+    const logged = await server.request("GET", "/rolls?character=c1");
+    expect(logged.body.map((roll) => roll.id)).deep.equal(["r1"]);
+    const session = await server.request("GET", "/rolls?session=s1");
+    expect(session.body.map((roll) => roll.id)).deep.equal(["r2"]);
+
+    const replayed = await server.request("POST", "/rolls/r1/replay");
+    expect(replayed.body).include({ total: 24, matches: true });
+  });
+
+  [
+    [{ expression: "d20", session: "s1" }, 400, "$.expression"],
+    [
+      { expression: "stress, botch 5000000", session: "s1" },
+      400,
+      "$.expression",
+    ],
+    [
+      { expression: `stress+${"9".repeat(400)}`, session: "s1" },
+      400,
+      "$.expression",
+    ],
+    [{ expression: "simple", seed: -1, session: "s1" }, 400, "$.seed"],
+    [{ expression: "simple" }, 400, "$"],
+    [{ expression: "simple", character: "c9" }, 404, undefined],
+  ].forEach(([body, status, path], index) => {
+    it(`Test #${index}: Rejects ${JSON.stringify(body)}`, async function () {
+      const response = await server.request("POST", "/rolls", body);
+      expect(response.status).equal(status);
+      if (path !== undefined) {
+        expect(response.body.details.map((issue) => issue.path)).include(path);
+      }
+    });
+  });
+});
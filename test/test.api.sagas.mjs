@@ -0,0 +1,213 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import {
+  MemoryRepository,
+  VersionConflictError,
+} from "../src/persistence/repository.mjs";
+import { TransactionManager } from "../src/persistence/transaction.mjs";
+
+/**
+ * Test library for the saga REST API.
+ * @module test/api/sagas
+ */
+
+describe("Saga API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  const grog = { name: "Wulfric", type: "grog", characteristics: {} };
+
+  beforeEach(async function () {
+    let next = 1;
+    const transactions = new TransactionManager();
+    server = await startSagaApiServer({
+      repositories: {
+        sagas: new MemoryRepository({
+          transactions,
+          entities: [{ id: TEST_SAGA, name: "Test Saga", members: [] }],
+        }),
+        characters: new MemoryRepository({
+          idGenerator: () => `c${next++}`,
+          transactions,
+        }),
+        covenants: new MemoryRepository({
+          idGenerator: () => `v${next++}`,
+          transactions,
+        }),
+        spells: new MemoryRepository({
+          idGenerator: () => `s${next++}`,
+          transactions,
+        }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  it("Creates and manages a saga", async function () {
+    const founder = await server.register("founder");
+    const created = await founder.request("POST", "/sagas", {
+      name: "Stonehenge",
+      description: "Saga of the Stonehenge Tribunal",
+    });
+    expect(created.status).equal(201);
+    expect(created.body).include({ name: "Stonehenge", role: "storyguide" });
+    const id = created.body.id;
+    expect(created.headers.get("location")).equal(`/api/sagas/${id}`);
+
+    const listed = await founder.request("GET", "/sagas");
+    expect(listed.body.map((saga) => saga.id)).deep.equal([id]);
+
+    const patched = await founder.request("PATCH", `/sagas/${id}`, {
+      name: "Stonehenge 1220",
+    });
+    expect(patched.body).include({ name: "Stonehenge 1220" });
+    const invalid = await founder.request("PATCH", `/sagas/${id}`, {
+      members: [],
+    });
+    expect(invalid.status).equal(400);
+
+    await founder.request("POST", `/sagas/${id}/characters`, grog);
+    expect((await founder.request("DELETE", `/sagas/${id}`)).status).equal(204);
+    expect((await founder.request("GET", `/sagas/${id}`)).status).equal(404);
+    expect(await server.repositories.characters.list()).deep.equal([]);
+  });
+
+  it("Keeps the whole saga when its deletion fails", async function () {
+    await server.request("POST", "/characters", grog);
+    await server.request("POST", "/spells", {
+      name: "Pilum of Fire",
+      technique: "Creo",
+      form: "Ignem",
+      range: "Voice",
+      duration: "Momentary",
+      target: "Individual",
+      base: 10,
+      level: 20,
+    });
+    server.repositories.spells.delete = async (id) => {
+      throw new VersionConflictError(id, 1, 2);
+    };
+    expect((await server.request("DELETE", "")).status).equal(409);
+    expect(await server.repositories.characters.list()).length(1);
+    expect((await server.request("GET", "")).status).equal(200);
+  });
+
+  it("Manages the members of the saga", async function () {
+    const player = await server.join("player", "troupe");
+    const members = await server.request("GET", "/members");
+    expect(
+      members.body.map(({ username, role }) => [username, role])
+    ).deep.equal([
+      ["storyguide", "storyguide"],
+      ["player", "troupe"],
+    ]);
+    expect((await player.request("GET", "")).body).include({ role: "troupe" });
+    expect(
+      (await player.request("PUT", "/members/player", { role: "storyguide" }))
+        .status
+    ).equal(403);
+    expect(
+      (await server.request("PUT", "/members/nobody", { role: "viewer" }))
+        .status
+    ).equal(404);
+    expect(
+      (await server.request("DELETE", "/members/storyguide")).status
+    ).equal(400);
+
+    expect((await player.request("DELETE", "/members/player")).status).equal(
+      204
+    );
+    expect((await player.request("GET", "/characters")).status).equal(404);
+  });
+
+  it("Keeps the sagas apart", async function () {
+    await server.request("POST", "/characters", grog);
+    const other = await server.register("other");
+    const { body: saga } = await other.request("POST", "/sagas", {
+      name: "Other",
+    });
+    const prefix = `/sagas/${saga.id}`;
+    expect(
+      (await other.request("GET", `${prefix}/characters`)).body
+    ).deep.equal([]);
+    expect(
+      (await other.request("GET", `${prefix}/characters/c1`)).status
+    ).equal(404);
+    expect((await other.request("GET", `/sagas/${TEST_SAGA}`)).status).equal(
+      404
+    );
+    const stored = await server.repositories.characters.get("c1");
+    expect(stored).include({ saga: TEST_SAGA });
+  });
+
+  it("Allows the viewers only to read", async function () {
+    await server.request("POST", "/characters", grog);
+    const viewer = await server.join("viewer", "viewer");
+    expect((await viewer.request("GET", "/characters/c1")).status).equal(200);
+    for (const [method, path, body] of [
+      ["POST", "/characters", grog],
+      ["PATCH", "/characters/c1", { name: "Wulf" }],
+      ["DELETE", "/characters/c1"],
+      ["POST", "/rolls", { expression: "simple", session: "s" }],
+    ]) {
+      expect((await viewer.request(method, path, body)).status).equal(403);
+    }
+  });
+
+  it("Hides the storyguide content from the players", async function () {
+    await server.request("POST", "/characters", {
+      ...grog,
+      storyguideNotes: "Secretly a faerie",
+    });
+    await server.request("POST", "/characters", {
+      ...grog,
+      name: "The Black Knight",
+      npc: true,
+      hidden: true,
+    });
+    const player = await server.join("player", "troupe");
+
+    const listed = await player.request("GET", "/characters");
+    expect(listed.body.map((character) => character.id)).deep.equal(["c1"]);
+    expect(listed.body[0]).not.have.property("storyguideNotes");
+    expect((await player.request("GET", "/characters/c2")).status).equal(404);
+    expect((await player.request("DELETE", "/characters/c2")).status).equal(
+      404
+    );
+    const exported = await player.request("GET", "/export/saga");
+    expect(exported.body.data.characters).length(1);
+
+    const patched = await player.request("PATCH", "/characters/c1", {
+      notes: "Carries a spear",
+    });
+    expect(patched.status).equal(200);
+    expect(await server.repositories.characters.get("c1")).include({
+      notes: "Carries a spear",
+      storyguideNotes: "Secretly a faerie",
+    });
+  });
+
+  it("Allows only the storyguides to set the storyguide content", async function () {
+    const player = await server.join("player", "troupe");
+    for (const [method, path, body] of [
+      ["POST", "/characters", { ...grog, npc: true }],
+      ["POST", "/covenants", { name: "Fengheld", founded: 1200, hidden: true }],
+      ["POST", "/import", {}],
+    ]) {
+      const response = await player.request(method, path, body);
+      expect(response.status).equal(403);
+    }
+    const invalid = await server.request("POST", "/characters", {
+      ...grog,
+      hidden: "yes",
+    });
+    expect(invalid.status).equal(400);
+    expect(invalid.body.details.map((issue) => issue.path)).deep.equal([
+      "$.hidden",
+    ]);
+  });
+});
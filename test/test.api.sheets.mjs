@@ -0,0 +1,130 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the printable character sheets.
+ * @module test/api/sheets
+ */
+
+describe("Character sheets", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  /**
+   * Fetch a sheet.
+   * @param {import("../src/testkit/api.mjs").ApiClient|undefined} client The client
+   * of the logged in user. Undefined for no login.
+   * @param {string} path The path of the sheet.
+   * @returns {Promise<{status: number, type: string|null, text: string}>} The
+   * status, the content type and the content of the response.
+   */
+  async function fetchSheet(client, path) {
+    const response = await fetch(`${server.sheetsUrl}${path}`, {
+      headers: client === undefined ? {} : { Cookie: client.cookie() },
+    });
+    return {
+      status: response.status,
+      type: response.headers.get("Content-Type"),
+      text: await response.text(),
+    };
+  }
+
+  beforeEach(async function () {
+    let next = 1;
+    server = await startSagaApiServer({
+      repositories: {
+        characters: new MemoryRepository({ idGenerator: () => `c${next++}` }),
+        spells: new MemoryRepository({ idGenerator: () => `s${next++}` }),
+      },
+    });
+    await server.request("POST", "/spells", {
+      name: "Pilum of Fire",
+      technique: "Creo",
+      form: "Ignem",
+      range: "Voice",
+      duration: "Momentary",
+      target: "Individual",
+      base: 10,
+      level: 20,
+    });
+    await server.request("POST", "/characters", {
+      name: "Ignatius <the Red>",
+      type: "magus",
+      characteristics: { Int: 3, Qik: -1 },
+      abilities: [{ name: "Magic Theory", speciality: "Inventions", xp: 30 }],
+      arts: { Creo: { xp: 15 }, Ignem: { xp: 21 } },
+      spells: [{ spell: "s1", xp: 15 }],
+      equipment: { weapon: "Dagger" },
+      storyguideNotes: "Secretly a diabolist",
+    });
+    await server.request("PATCH", "/characters/c2", {
+      virtues: [{ name: "Tough" }],
+    });
+    await server.request("POST", "/characters", {
+      name: "Hidden",
+      type: "grog",
+      characteristics: {},
+      hidden: true,
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  it("Renders the printable sheet", async function () {
+    const page = await fetchSheet(server.storyguide, "/characters/c2");
+    expect(page.status).equal(200);
+    expect(page.type).match(/^text\/html/);
+    expect(page.text).include("<title>Ignatius &lt;the Red&gt;</title>");
+    expect(page.text).not.include("<the Red>");
+    expect(page.text).include('href="../assets/sheet.css"');
+    expect(page.text).include('href="c2.md"');
+    expect(page.text).include("<td>Pilum of Fire</td>");
+    expect(page.text).match(/<td>Magic Theory<\/td>\s*<td>Inventions<\/td>/);
+    expect(page.text).not.include("diabolist");
+
+    const stylesheet = await fetchSheet(undefined, "/assets/sheet.css");
+    expect(stylesheet.type).match(/^text\/css/);
+    expect(stylesheet.text).include("@media print");
+  });
+
+  it("Exports the sheet as Markdown", async function () {
+    const markdown = await fetchSheet(server.storyguide, "/characters/c2.md");
+    expect(markdown.status).equal(200);
+    expect(markdown.type).match(/^text\/markdown/);
+    const lines = markdown.text.split("\n");
+    expect(lines.slice(0, 2)).deep.equal([
+      "# Ignatius \\<the Red\\>",
+      "*magus* · Test Saga",
+    ]);
+    expect(lines).include("| +3 | 0 | 0 | 0 | 0 | 0 | 0 | -1 |");
+    expect(lines).include("| Magic Theory | Inventions | 3 | 30 |");
+    expect(lines).include(
+      "| Pilum of Fire | CrIg | 20 | Voice/Momentary/Individual | 2 | 15 |"
+    );
+    expect(lines).include("- Tough *Minor General*");
+    expect(lines).include("Equipment: Dagger");
+    expect(lines).include("| -1 | +2 | -1 | +3 | +3 |");
+  });
+
+  it("Shows the sheets only to the members", async function () {
+    expect((await fetchSheet(undefined, "/characters/c2")).status).equal(401);
+    const player = await server.join("player", "troupe");
+    expect((await fetchSheet(player, "/characters/c2")).status).equal(200);
+    expect((await fetchSheet(player, "/characters/c3")).status).equal(404);
+    expect(
+      (await fetchSheet(server.storyguide, "/characters/c3.md")).status
+    ).equal(200);
+    const stranger = await server.register("stranger");
+    expect((await fetchSheet(stranger, "/characters/c2")).status).equal(404);
+    const missing = await fetchSheet(server.storyguide, "/characters/c9");
+    expect(missing.status).equal(404);
+    expect(JSON.parse(missing.text)).property(
+      "error",
+      "No character with identifier c9"
+    );
+  });
+});
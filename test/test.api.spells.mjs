@@ -0,0 +1,172 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the spell REST API.
+ * @module test/api/spells
+ */
+
+describe("Spell API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    let next = 1;
+    server = await startSagaApiServer({
+      repositories: {
+        characters: new MemoryRepository({ idGenerator: () => `c${next++}` }),
+        spells: new MemoryRepository({ idGenerator: () => `s${next++}` }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  const pilum = {
+    name: "Pilum of Fire",
+    technique: "Creo",
+    form: "Ignem",
+    range: "Voice",
+    duration: "Momentary",
+    target: "Individual",
+    base: 10,
+    level: 20,
+  };
+
+  it("Creates and searches spells", async function () {
+    const created = await server.request("POST", "/spells", pilum);
+    expect(created.status).equal(201);
+    expect(created.body).include({
+      id: "s1",
+      computedLevel: 20,
+      ritual: false,
+    });
+    await server.request("POST", "/spells", {
+      ...pilum,
+      name: "Lamp Without Flame",
+      range: "Touch",
+      duration: "Sun",
+      target: "Individual",
+      base: 2,
+      level: 15,
+    });
+
+    const search = await server.request(
+      "GET",
+      "/spells?technique=Creo&levelMin=10&levelMax=20&q=pilum"
+    );
+    expect(search.body.map((spell) => spell.id)).deep.equal(["s1"]);
+
+    const mismatched = await server.request("GET", "/spells?mismatch=true");
+    expect(mismatched.body).length(1);
+    expect(mismatched.body[0]).include({ level: 15, computedLevel: 5 });
+
+    const invalid = await server.request("GET", "/spells?form=Fire&levelMin=x");
+    expect(invalid.status).equal(400);
+    expect(invalid.body.details.map((issue) => issue.path)).deep.equal([
+      "$.form",
+      "$.levelMin",
+    ]);
+  });
+
+  it("Lists the spells page by page", async function () {
+    for (const level of [5, 10, 15, 20, 25]) {
+      await server.request("POST", "/spells", {
+        ...pilum,
+        name: `Pilum of Fire ${level}`,
+        level,
+      });
+    }
+    const page = await server.request("GET", "/spells?offset=1&limit=2");
+    expect(page.status).equal(200);
+    expect(page.headers.get("content-type")).match(/^application\/json/);
+    expect(page.body.map((spell) => spell.level)).deep.equal([10, 15]);
+    const last = await server.request("GET", "/spells?offset=4&limit=2");
+    expect(last.body.map((spell) => spell.level)).deep.equal([25]);
+    expect((await server.request("GET", "/spells?offset=5")).body).deep.equal(
+      []
+    );
+
+    const invalid = await server.request("GET", "/spells?limit=0&offset=-1");
+    expect(invalid.status).equal(400);
+    expect(invalid.body.details.map((issue) => issue.path)).deep.equal([
+      "$.offset",
+      "$.limit",
+    ]);
+    const distant = await server.request(
+      "GET",
+      `/spells?sort=level&offset=${Number.MAX_SAFE_INTEGER}`
+    );
+    expect(distant.status).equal(400);
+    expect(distant.body.details.map((issue) => issue.path)).deep.equal([
+      "$.offset",
+    ]);
+  });
+
+  it("Recomputes the level on patch", async function () {
+    await server.request("POST", "/spells", pilum);
+    const patched = await server.request("PATCH", "/spells/s1", {
+      range: "Sight",
+    });
+    expect(patched.status).equal(200);
+    expect(patched.body).include({ level: 20, computedLevel: 25 });
+
+    const rejected = await server.request("PATCH", "/spells/s1", {
+      computedLevel: 20,
+    });
+    expect(rejected.status).equal(400);
+  });
+
+  it("Validates spell levels", async function () {
+    const valid = await server.request("POST", "/spells/validate", pilum);
+    expect(valid.body).deep.equal({
+      level: 20,
+      computedLevel: 20,
+      valid: true,
+      issues: [],
+    });
+    const mismatch = await server.request("POST", "/spells/validate", {
+      ...pilum,
+      level: 25,
+    });
+    expect(mismatch.status).equal(200);
+    expect(mismatch.body).include({ valid: false, computedLevel: 20 });
+    expect(mismatch.body.issues[0]).property("path", "$.level");
+  });
+
+  it("Advances the mastery of known spells", async function () {
+    await server.request("POST", "/spells", pilum);
+    const magus = {
+      name: "Flambeau",
+      type: "magus",
+      characteristics: {},
+      spells: [{ spell: "s1", xp: 0 }],
+    };
+    const unknown = await server.request("POST", "/characters", {
+      ...magus,
+      spells: [{ spell: "s9", xp: 0 }],
+    });
+    expect(unknown.status).equal(400);
+    expect(unknown.body.details[0]).property("path", "$.spells[0].spell");
+
+    const created = await server.request("POST", "/characters", magus);
+    expect(created.status).equal(201);
+    expect(created.body.spells).deep.equal([
+      { spell: "s1", xp: 0, mastery: 0 },
+    ]);
+
+    const advanced = await server.request(
+      "POST",
+      `/characters/${created.body.id}/advance`,
+      { xp: 5, spells: [{ spell: "s1", level: 1 }] }
+    );
+    expect(advanced.status).equal(200);
+    expect(advanced.body.character.spells).deep.equal([
+      { spell: "s1", xp: 5, mastery: 1 },
+    ]);
+  });
+});
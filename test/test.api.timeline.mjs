@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import {
+  MemoryRepository,
+  VersionConflictError,
+} from "../src/persistence/repository.mjs";
+import { TransactionManager } from "../src/persistence/transaction.mjs";
+
+/**
+ * Test library for the timeline REST API.
+ * @module test/api/timeline
+ */
+
+describe("Timeline API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    const transactions = new TransactionManager();
+    server = await startSagaApiServer({
+      repositories: {
+        characters: new MemoryRepository({
+          transactions,
+          entities: [
+            {
+              id: "g",
+              saga: TEST_SAGA,
+              name: "Grog",
+              type: "grog",
+              characteristics: {},
+              abilities: [{ name: "Brawl", xp: 0, level: 0 }],
+            },
+          ],
+        }),
+        covenants: new MemoryRepository({
+          transactions,
+          entities: [
+            { id: "v", saga: TEST_SAGA, name: "Covenant", founded: 1220 },
+          ],
+        }),
+        timelines: new MemoryRepository({ transactions }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  it("Records activities, advances and replays seasons", async function () {
+    const empty = await server.request("GET", "/covenants/v/timeline");
+    expect(empty.status).equal(200);
+    expect(empty.body.current).deep.equal({ year: 1220, season: "spring" });
+
+    const recorded = await server.request(
+      "PUT",
+      "/covenants/v/timeline/1220/spring/g",
+      { type: "adventure", target: { kind: "ability", name: "Brawl" }, xp: 6 }
+    );
+    expect(recorded.status).equal(200);
+
+    const advanced = await server.request(
+      "POST",
+      "/covenants/v/timeline/advance"
+    );
+    expect(advanced.status).equal(200);
+    expect(advanced.body.current).deep.equal({ year: 1220, season: "summer" });
+    expect(advanced.body.outcomes[0]).include({ character: "g", xp: 6 });
+    expect(
+      (await server.request("GET", "/characters/g")).body.abilities[0]
+    ).include({ xp: 6, level: 1 });
+
+    await server.request("PUT", "/covenants/v/timeline/1220/spring/g", {
+      type: "adventure",
+      target: { kind: "ability", name: "Brawl" },
+      xp: 10,
+    });
+    const replayed = await server.request(
+      "POST",
+      "/covenants/v/timeline/replay",
+      {
+        year: 1220,
+        season: "spring",
+      }
+    );
+    expect(replayed.status).equal(200);
+    expect(
+      (await server.request("GET", "/characters/g")).body.abilities[0]
+    ).include({ xp: 10, level: 1 });
+  });
+
+  it("Rolls back the characters of a failed advance", async function () {
+    await server.request("PUT", "/covenants/v/timeline/1220/spring/g", {
+      type: "adventure",
+      target: { kind: "ability", name: "Brawl" },
+      xp: 6,
+    });
+    const { timelines } = server.repositories;
+    timelines.update = async (id, { version }) => {
+      throw new VersionConflictError(id, version, version + 1);
+    };
+    const conflict = await server.request(
+      "POST",
+      "/covenants/v/timeline/advance"
+    );
+    expect(conflict.status).equal(409);
+    expect(
+      (await server.request("GET", "/characters/g")).body.abilities[0]
+    ).include({ xp: 0, level: 0 });
+  });
+
+  it("Rejects invalid activities", async function () {
+    const invalid = await server.request(
+      "PUT",
+      "/covenants/v/timeline/1220/spring/g",
+      { type: "napping" }
+    );
+    expect(invalid.status).equal(400);
+    const missing = await server.request(
+      "PUT",
+      "/covenants/v/timeline/1220/spring/nobody",
+      { type: "lab" }
+    );
+    expect(missing.status).equal(404);
+    const early = await server.request("POST", "/covenants/v/timeline/replay", {
+      year: 1200,
+      season: "spring",
+    });
+    expect(early.status).equal(400);
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the vis ledger REST API.
+ * @module test/api/vis
+ */
+
+describe("Vis ledger API", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+
+  beforeEach(async function () {
+    let next = 1;
+    server = await startSagaApiServer({
+      repositories: {
+        characters: new MemoryRepository({
+          entities: [
+            {
+              id: "c1",
+              saga: TEST_SAGA,
+              name: "Flambeau",
+              type: "magus",
+              characteristics: {},
+            },
+          ],
+        }),
+        covenants: new MemoryRepository({
+          entities: [
+            {
+              id: "v1",
+              saga: TEST_SAGA,
+              name: "Semita Errabunda",
+              founded: 1200,
+              visSources: [{ name: "Dragon's Breath", art: "Ignem", pawns: 6 }],
+            },
+          ],
+        }),
+        vis: new MemoryRepository({ idGenerator: () => `t${next++}` }),
+      },
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  const harvest = {
+    type: "harvest",
+    art: "Ignem",
+    pawns: 6,
+    year: 1220,
+    season: "summer",
+    to: { kind: "covenant", id: "v1" },
+    source: "Dragon's Breath",
+  };
+
+  const transfer = {
+    type: "transfer",
+    art: "Ignem",
+    pawns: 4,
+    year: 1220,
+    season: "autumn",
+    from: { kind: "covenant", id: "v1" },
+    to: { kind: "character", id: "c1" },
+  };
+
+  it("Records transactions and computes the balances", async function () {
+    const created = await server.request("POST", "/vis/transactions", harvest);
+    expect(created.status).equal(201);
+    expect(created.headers.get("location")).equal(
+      `/api/sagas/${TEST_SAGA}/vis/transactions/t1`
+    );
+    expect(created.body).include({
+      id: "t1",
+      recordedBy: server.storyguide.user.id,
+    });
+    await server.request("POST", "/vis/transactions", transfer);
+
+    const balances = await server.request("GET", "/vis/balances");
+    expect(balances.body).deep.equal([
+      { account: { kind: "covenant", id: "v1" }, art: "Ignem", pawns: 2 },
+      { account: { kind: "character", id: "c1" }, art: "Ignem", pawns: 4 },
+    ]);
+    const summer = await server.request(
+      "GET",
+      "/vis/balances?year=1220&season=summer&kind=covenant&id=v1"
+    );
+    expect(summer.body).deep.equal([
+      { account: { kind: "covenant", id: "v1" }, art: "Ignem", pawns: 6 },
+    ]);
+
+    const listed = await server.request(
+      "GET",
+      "/vis/transactions?kind=character&id=c1"
+    );
+    expect(listed.body.map(({ id }) => id)).deep.equal(["t2"]);
+  });
+
+  it("Corrects a transaction by its reversal", async function () {
+    await server.request("POST", "/vis/transactions", harvest);
+    const reversal = await server.request(
+      "POST",
+      "/vis/transactions/t1/reversal"
+    );
+    expect(reversal.status).equal(201);
+    expect(reversal.body).include({ id: "t2", reverses: "t1" });
+    const balances = await server.request("GET", "/vis/balances");
+    expect(balances.body).deep.equal([]);
+
+    const again = await server.request("POST", "/vis/transactions/t1/reversal");
+    expect(again.status).equal(409);
+    const reharvested = await server.request(
+      "POST",
+      "/vis/transactions",
+      harvest
+    );
+    expect(reharvested.status).equal(201);
+  });
+
+  it("Reverses a transaction once for the concurrent reversals", async function () {
+    await server.request("POST", "/vis/transactions", harvest);
+    await server.request("POST", "/vis/transactions", {
+      type: "lab",
+      art: "Ignem",
+      pawns: 2,
+      year: 1220,
+      season: "autumn",
+      from: { kind: "covenant", id: "v1" },
+    });
+    const { vis } = server.repositories;
+    const list = vis.list.bind(vis);
+    vis.list = async (filter) => {
+      const listed = await list(filter);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return listed;
+    };
+    const reversals = await Promise.all(
+      [1, 2].map(() => server.request("POST", "/vis/transactions/t2/reversal"))
+    );
+    expect(reversals.map(({ status }) => status).sort()).deep.equal([201, 409]);
+    const listed = await server.request("GET", "/vis/transactions");
+    expect(listed.body.filter(({ reverses }) => reverses === "t2")).length(1);
+  });
+
+  [
+    [{ ...harvest, pawns: 7 }, 400, "$.source"],
+    [{ ...harvest, source: "Well" }, 400, "$.source"],
+    [transfer, 400, "$.pawns"],
+    [{ ...harvest, recordedBy: "u9" }, 400, "$.recordedBy"],
+    [{ ...transfer, to: { kind: "character", id: "c9" } }, 404, undefined],
+  ].forEach(([body, status, path], index) => {
+    it(`Test #${index}: Rejects ${JSON.stringify(body)}`, async function () {
+      const response = await server.request("POST", "/vis/transactions", body);
+      expect(response.status).equal(status);
+      if (path !== undefined) {
+        expect(response.body.details.map((issue) => issue.path)).include(path);
+      }
+    });
+  });
+
+  it("Rejects a second harvest of a year", async function () {
+    await server.request("POST", "/vis/transactions", harvest);
+    const response = await server.request("POST", "/vis/transactions", {
+      ...harvest,
+      season: "autumn",
+    });
+    expect(response.status).equal(400);
+  });
+
+  it("Rejects invalid balance queries", async function () {
+    const season = await server.request("GET", "/vis/balances?year=1220");
+    expect(season.status).equal(400);
+    const kind = await server.request("GET", "/vis/balances?kind=tribunal");
+    expect(kind.status).equal(400);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  DEFAULT_COST,
+  DUMMY_HASH,
+  hashPassword,
+  verifyPassword,
+} from "../src/auth/passwords.mjs";
+
+/**
+ * Test library for the password hashing.
+ * @module test/auth/passwords
+ */
+
+describe("Password hashing", function () {
+  it("Verifies the hashed password", async function () {
+    const hash = await hashPassword("Bonisagus", { cost: 1024 });
+    expect(hash).match(/^scrypt\$1024\$/);
+    expect(hash).not.include("Bonisagus");
+    expect(await verifyPassword("Bonisagus", hash)).equal(true);
+    expect(await verifyPassword("bonisagus", hash)).equal(false);
+  });
+
+  it("Salts the hashes", async function () {
+    const first = await hashPassword("Trianoma", { cost: 1024 });
+    const second = await hashPassword("Trianoma", { cost: 1024 });
+    expect(first).not.equal(second);
+  });
+
+  it("Matches no password with the dummy hash", async function () {
+    expect(DUMMY_HASH.startsWith(`scrypt$${DEFAULT_COST}$`)).equal(true);
+    expect(await verifyPassword("", DUMMY_HASH)).equal(false);
+    expect(await verifyPassword("Bonisagus", DUMMY_HASH)).equal(false);
+  });
+
+  [undefined, "", "md5$abc", "scrypt$1024$salt"].forEach((hash, index) => {
+    it(`Test #${index}: Rejects the malformed hash ${hash}`, async function () {
+      expect(await verifyPassword("password", hash)).equal(false);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  ConfigError,
+  DEFAULT_CONFIG,
+  loadConfig,
+  parseEnv,
+  parseFlags,
+  resolveConfig,
+} from "../src/config.mjs";
+
+/**
+ * Test library for the server configuration.
+ * @module test/config
+ */
+
+describe("Server configuration", function () {
+  describe("parseEnv", function () {
+    it("Parses the assignments of an environment file", function () {
+      expect(
+        parseEnv(
+          [
+            "# Comment",
+            "PORT=8080",
+            "export HOST = localhost # trailing comment",
+            'ARM5_DATA_DIR="/var/lib/arm5 data"',
+            "ARM5_STATIC_PATH='/static#1'",
+            'QUOTED="line\\nbreak"',
+            "not an assignment",
+          ].join("\n")
+        )
+      ).deep.equal({
+        PORT: "8080",
+        HOST: "localhost",
+        ARM5_DATA_DIR: "/var/lib/arm5 data",
+        ARM5_STATIC_PATH: "/static#1",
+        QUOTED: "line\nbreak",
+      });
+    });
+  });
+
+  describe("parseFlags", function () {
+    it("Parses the flags with separate and inline values", function () {
+      expect(
+        parseFlags([
+          "--port",
+          "0",
+          "--data-dir=/tmp/data",
+          "--secure-cookies",
+          "--env-file",
+          "prod.env",
+        ])
+      ).deep.equal({
+        values: { port: "0", dataDir: "/tmp/data", secureCookies: "true" },
+        envFiles: ["prod.env"],
+      });
+    });
+
+    [["--verbose"], ["--port"]].forEach((argv, index) => {
+      it(`Test #${index}: Rejects the flags ${argv.join(" ")}`, function () {
+        expect(() => parseFlags(argv)).throw(ConfigError);
+      });
+    });
+  });
+
+  describe("resolveConfig", function () {
+    it("Fills in the defaults", function () {
+      expect(resolveConfig({ port: "0" })).deep.equal({
+        ...DEFAULT_CONFIG,
+        port: 0,
+      });
+    });
+
+    [
+      [{ port: "http" }, "$.port"],
+      [{ port: 70000 }, "$.port"],
+      [{ shutdownTimeout: "" }, "$.shutdownTimeout"],
+      [{ secureCookies: "maybe" }, "$.secureCookies"],
+      [{ staticPath: "arm5" }, "$.staticPath"],
+      [{ storage: "postgres" }, "$.storage"],
+      [{ colour: "red" }, "$.colour"],
+    ].forEach(([values, path], index) => {
+      it(`Test #${index}: Reports the issue at ${path}`, function () {
+        let error;
+        try {
+          resolveConfig(values);
+        } catch (err) {
+          error = err;
+        }
+        expect(error).instanceOf(ConfigError);
+        expect(error.issues.map((issue) => issue.path)).deep.equal([path]);
+      });
+    });
+  });
+
+  describe("loadConfig", function () {
+    /** @type {string} */
+    let cwd;
+
+    beforeEach(async function () {
+      cwd = await mkdtemp(path.join(tmpdir(), "arm5-config-"));
+      await writeFile(
+        path.join(cwd, "server.example.env"),
+        "PORT=1000\nHOST=example\nARM5_DATA_DIR=example\nARM5_STATIC_PATH=/example\n"
+      );
+      await writeFile(path.join(cwd, ".env"), "PORT=2000\nHOST=local\n");
+      await writeFile(path.join(cwd, "extra.env"), "PORT=3000\n");
+    });
+
+    afterEach(function () {
+      return rm(cwd, { recursive: true, force: true });
+    });
+
+    it("Lets the later sources override the earlier ones", function () {
+      const config = loadConfig({
+        cwd,
+        argv: ["--env-file", "extra.env", "--data-dir", "flag"],
+        env: {
+          PORT: "4000",
+          ARM5_DATA_DIR: "environment",
+          ARM5_STORAGE: "sqlite",
+        },
+      });
+      expect(config).include({
+        port: 4000,
+        host: "local",
+        dataDir: "flag",
+        storage: "sqlite",
+        staticPath: "/example",
+        staticRoot: DEFAULT_CONFIG.staticRoot,
+      });
+    });
+
+    it("Reads the files of a local environment directory", async function () {
+      await rm(path.join(cwd, ".env"));
+      await mkdir(path.join(cwd, ".env"));
+      await writeFile(path.join(cwd, ".env", "a.env"), "PORT=5000\n");
+      await writeFile(path.join(cwd, ".env", "b.env"), "HOST=directory\n");
+      expect(loadConfig({ cwd, argv: [], env: {} })).include({
+        port: 5000,
+        host: "directory",
+      });
+    });
+
+    it("Requires the given environment files", function () {
+      expect(() =>
+        loadConfig({ cwd, argv: ["--env-file=missing.env"], env: {} })
+      ).throw(ConfigError);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createServer } from "../src/main.js";
+
+/**
+ * Test library for the server main.
+ * @module test/main
+ */
+
+describe("Server main", function () {
+  /** @type {string} */
+  let dir;
+
+  beforeEach(async function () {
+    dir = await mkdtemp(path.join(tmpdir(), "arm5-main-"));
+    await writeFile(path.join(dir, "index.html"), "<h1>ArM5 Tools</h1>");
+  });
+
+  afterEach(function () {
+    return rm(dir, { recursive: true, force: true });
+  });
+
+  it("Serves the API and the static files on an ephemeral port", async function () {
+    const server = await createServer({
+      port: 0,
+      dataDir: path.join(dir, "data"),
+      staticRoot: dir,
+    });
+    const { port } = await server.listen();
+    expect(port).above(0);
+    const baseUrl = `http://localhost:${port}`;
+    try {
+      const page = await fetch(`${baseUrl}/arm5/index.html`);
+      expect(await page.text()).equal("<h1>ArM5 Tools</h1>");
+      const registered = await fetch(`${baseUrl}/api/auth/register`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: "Bonisagus", password: "Trianoma" }),
+      });
+      expect(registered.status).equal(201);
+      const sheet = await fetch(`${baseUrl}/sheets/characters/c1`);
+      expect(sheet.status).equal(401);
+    } finally {
+      await server.close();
+    }
+
+    const users = JSON.parse(
+      await readFile(path.join(dir, "data", "users.json"), "utf8")
+    );
+    expect(users.map((user) => user.username)).deep.equal(["Bonisagus"]);
+    const error = await fetch(`${baseUrl}/api/auth/me`).then(
+      () => undefined,
+      (err) => err
+    );
+    expect(error).instanceOf(Error);
+  });
+
+  it("Stores the data into a SQLite database", async function () {
+    const server = await createServer({
+      port: 0,
+      dataDir: path.join(dir, "data"),
+      storage: "sqlite",
+    });
+    await server.repositories.users.create({ username: "Trianoma" });
+    await server.close();
+
+    const reopened = await createServer({
+      port: 0,
+      dataDir: path.join(dir, "data"),
+      storage: "sqlite",
+    });
+    try {
+      const users = await reopened.repositories.users.list();
+      expect(users.map((user) => user.username)).deep.equal(["Trianoma"]);
+    } finally {
+      await reopened.close();
+    }
+  });
+
+  it("Closes once", async function () {
+    const server = await createServer({
+      port: 0,
+      dataDir: path.join(dir, "data"),
+    });
+    await server.listen();
+    const closing = server.close();
+    expect(server.close()).equal(closing);
+    await closing;
+  });
+
+  it("Rejects an invalid configuration", async function () {
+    let error;
+    try {
+      await createServer({ port: -1 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).property("name", "ConfigError");
+  });
+});
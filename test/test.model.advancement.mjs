@@ -0,0 +1,146 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  advance,
+  advancementCost,
+  AdvancementError,
+} from "../src/model/advancement.mjs";
+import { normalizeCharacter } from "../src/model/character.mjs";
+
+/**
+ * Test library for the seasonal advancement.
+ * @module test/model/advancement
+ */
+
+describe("Advancement", function () {
+  describe("Function advancementCost", function () {
+    [
+      [0, 1, 5, 5],
+      [0, 2, 5, 15],
+      [5, 3, 5, 25],
+      [7, 2, 5, 8],
+      [15, 2, 5, 0],
+      [0, 5, 1, 15],
+      [10, 5, 1, 5],
+    ].forEach(([xp, target, multiplier, expected], index) => {
+      it(`Test #${index}: advancementCost(${xp}, ${target}, ${multiplier})`, function () {
+        expect(advancementCost(xp, target, multiplier)).equal(expected);
+      });
+    });
+  });
+
+  describe("Function advance", function () {
+    const magus = normalizeCharacter({
+      name: "Jerbiton",
+      type: "magus",
+      characteristics: {},
+      abilities: [{ name: "Magic Theory", xp: 15 }],
+      arts: { Creo: { xp: 10 } },
+      spells: [{ spell: "s1", xp: 5 }],
+    });
+
+    it("Spends experience on abilities and Arts", function () {
+      const result = advance(magus, {
+        xp: 25,
+        abilities: [{ name: "Magic Theory", level: 3 }],
+        arts: [{ name: "Creo", xp: 5 }],
+      });
+      expect(result.spent).equal(20);
+      expect(result.leftover).equal(5);
+      expect(result.character.abilities[0]).include({ xp: 30, level: 3 });
+      expect(result.character.arts.Creo).deep.equal({ xp: 15, score: 5 });
+      expect(result.changes).deep.equal([
+        { kind: "ability", name: "Magic Theory", xp: 15, from: 2, to: 3 },
+        { kind: "art", name: "Creo", xp: 5, from: 4, to: 5 },
+      ]);
+    });
+
+    it("Adds new abilities", function () {
+      const result = advance(magus, {
+        xp: 5,
+        abilities: [{ name: "Latin", speciality: "Hermetic usage", level: 1 }],
+      });
+      expect(result.character.abilities[1]).deep.equal({
+        name: "Latin",
+        speciality: "Hermetic usage",
+        xp: 5,
+        level: 1,
+      });
+      expect(result.leftover).equal(0);
+    });
+
+    it("Advances spell mastery", function () {
+      const result = advance(magus, {
+        xp: 10,
+        spells: [{ spell: "s1", level: 2 }],
+      });
+      expect(result.spent).equal(10);
+      expect(result.character.spells).deep.equal([
+        { spell: "s1", xp: 15, mastery: 2 },
+      ]);
+      expect(result.changes).deep.equal([
+        { kind: "mastery", name: "s1", xp: 10, from: 1, to: 2 },
+      ]);
+    });
+
+    [
+      [
+        "Overspending",
+        { xp: 4, abilities: [{ name: "Latin", level: 1 }] },
+        "$.xp",
+      ],
+      [
+        "Lowering a level",
+        { xp: 10, abilities: [{ name: "Magic Theory", level: 1 }] },
+        "$.abilities[0].level",
+      ],
+      [
+        "Both experience and level",
+        { xp: 10, arts: [{ name: "Vim", xp: 1, level: 1 }] },
+        "$.arts[0]",
+      ],
+      [
+        "Unknown Art",
+        { xp: 10, arts: [{ name: "Necro", xp: 1 }] },
+        "$.arts[0].name",
+      ],
+      [
+        "Duplicate allocation",
+        {
+          xp: 10,
+          arts: [
+            { name: "Vim", xp: 1 },
+            { name: "Vim", xp: 1 },
+          ],
+        },
+        "$.arts[1].name",
+      ],
+      ["Missing experience", { arts: [] }, "$.xp"],
+      [
+        "Mastery of an unknown spell",
+        { xp: 5, spells: [{ spell: "s2", xp: 5 }] },
+        "$.spells[0].spell",
+      ],
+    ].forEach(([name, allocation, path], index) => {
+      it(`Test #${index}: Rejects ${name}`, function () {
+        let error;
+        try {
+          advance(magus, allocation);
+        } catch (err) {
+          error = err;
+        }
+        expect(error).instanceOf(AdvancementError);
+        expect(error.issues.map((issue) => issue.path)).include(path);
+      });
+    });
+
+    it("Rejects Arts of a companion", function () {
+      expect(() =>
+        advance(
+          { ...magus, type: "companion", arts: undefined },
+          { xp: 5, arts: [{ name: "Vim", xp: 5 }] }
+        )
+      ).to.throw(AdvancementError);
+    });
+  });
+});
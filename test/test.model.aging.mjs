@@ -0,0 +1,165 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  addWarping,
+  ageCharacter,
+  agingModifier,
+  AgingError,
+  normalizeAging,
+  validateAging,
+} from "../src/model/aging.mjs";
+import { normalizeCharacter } from "../src/model/character.mjs";
+
+/**
+ * Test library for the aging.
+ * @module test/model/aging
+ */
+
+describe("Aging", function () {
+  /**
+   * Create an aged companion.
+   * @param {import("../src/model/aging.mjs").Aging} aging The aging state.
+   * @returns {import("../src/model/character.mjs").Character} The character.
+   */
+  function companion(aging) {
+    return {
+      ...normalizeCharacter({
+        name: "Old Hans",
+        type: "companion",
+        characteristics: { Sta: 1 },
+      }),
+      aging: normalizeAging(aging),
+    };
+  }
+
+  describe("Function validateAging", function () {
+    it("Valid aging", function () {
+      expect(
+        validateAging({
+          age: 40,
+          longevity: 3,
+          agingPoints: { Str: 1 },
+          decrepitude: { points: 5, score: 1 },
+        })
+      ).deep.equal([]);
+    });
+
+    [
+      ["Missing age", {}, "$.aging.age"],
+      ["Negative longevity", { age: 40, longevity: -1 }, "$.aging.longevity"],
+      [
+        "Unknown characteristic",
+        { age: 40, agingPoints: { Luck: 1 } },
+        "$.aging.agingPoints.Luck",
+      ],
+      [
+        "Score mismatch",
+        { age: 40, warping: { points: 15, score: 1 } },
+        "$.aging.warping.score",
+      ],
+    ].forEach(([name, aging, path], index) => {
+      it(`Test #${index}: ${name}`, function () {
+        expect(validateAging(aging).map((issue) => issue.path)).include(path);
+      });
+    });
+  });
+
+  describe("Function agingModifier", function () {
+    [
+      [{ age: 35 }, 4],
+      [{ age: 41, longevity: 6 }, -1],
+      [{ age: 70, livingConditions: 2 }, 5],
+    ].forEach(([aging, expected], index) => {
+      it(`Test #${index}: Age ${aging.age}`, function () {
+        expect(agingModifier(normalizeAging(aging))).equal(expected);
+      });
+    });
+  });
+
+  describe("Function ageCharacter", function () {
+    it("Ages young characters without a roll", function () {
+      const result = ageCharacter(companion({ age: 20 }), { seed: 1 });
+      expect(result).include({ rolled: false, age: 21 });
+      expect(result.character.aging).include({ age: 21, apparentAge: 21 });
+    });
+
+    it("Replays the roll from its seed", function () {
+      const character = companion({ age: 70 });
+      expect(ageCharacter(character, { seed: 5 })).deep.equal(
+        ageCharacter(character, { seed: 5 })
+      );
+    });
+
+    it("Gains Aging Points and lowers characteristics", function () {
+      // Roll 1, 6 doubles to 12 with modifier 7 for a total of 19.
+      const result = ageCharacter(companion({ age: 70 }), { seed: 8 });
+      expect(result).include({ total: 19, deceased: false });
+      expect(result.agingPoints).deep.equal({ Dex: 1, Qik: 1 });
+      expect(result.characteristics).deep.equal([
+        { name: "Dex", from: 0, to: -1 },
+        { name: "Qik", from: 0, to: -1 },
+      ]);
+      expect(result.character.aging.decrepitude).deep.equal({
+        points: 2,
+        score: 0,
+      });
+      expect(result.character.aging.apparentAge).equal(71);
+    });
+
+    it("Keeps Aging Points below the characteristic", function () {
+      // Roll 8 with modifier 7 for a total of 15.
+      const result = ageCharacter(companion({ age: 70 }), { seed: 30 });
+      expect(result.characteristics).deep.equal([]);
+      expect(result.character.aging.agingPoints).deep.equal({ Sta: 1 });
+    });
+
+    it("Resolves a crisis ending the Longevity Ritual", function () {
+      // Roll 1, 8 doubles to 16 with modifier 7 for a total of 23.
+      const result = ageCharacter(companion({ age: 70, longevity: 0 }), {
+        seed: 9,
+      });
+      expect(result.crisis).include({
+        illness: "Minor illness",
+        survived: true,
+      });
+      expect(result.decrepitude).deep.equal({ from: 0, to: 1 });
+      expect(result.character.aging.decrepitude).deep.equal({
+        points: 5,
+        score: 1,
+      });
+    });
+
+    it("Uses the characteristic of choice", function () {
+      // Roll 5 with modifier 7 for a total of 12.
+      const result = ageCharacter(companion({ age: 70 }), {
+        seed: 6,
+        characteristic: "Com",
+      });
+      expect(result.agingPoints).deep.equal({ Com: 1 });
+    });
+
+    it("Rejects deceased characters", function () {
+      expect(() =>
+        ageCharacter(companion({ age: 90, deceased: true }))
+      ).to.throw(AgingError);
+    });
+  });
+
+  describe("Function addWarping", function () {
+    it("Advances the Warping score", function () {
+      const result = addWarping(
+        companion({ age: 30, warping: { points: 4 } }),
+        12
+      );
+      expect(result).include({ points: 12, from: 0, to: 2 });
+      expect(result.character.aging.warping).deep.equal({
+        points: 16,
+        score: 2,
+      });
+    });
+
+    it("Rejects non-positive points", function () {
+      expect(() => addWarping(companion({ age: 30 }), 0)).to.throw(AgingError);
+    });
+  });
+});
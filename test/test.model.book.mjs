@@ -0,0 +1,198 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  BookError,
+  planCopying,
+  planWriting,
+  rankBooks,
+  readingYield,
+  tractatusLimit,
+  validateBook,
+} from "../src/model/book.mjs";
+
+/**
+ * Test library for the books of the libraries.
+ * @module test/model/book
+ */
+
+describe("Book model", function () {
+  /** @type {import("../src/model/character.mjs").Character} */
+  const magus = {
+    name: "Aelfric",
+    type: "magus",
+    characteristics: { Com: 2 },
+    abilities: [
+      { name: "Latin", xp: 75 },
+      { name: "Magic Theory", xp: 50 },
+    ],
+    arts: { Creo: { xp: 15 }, Vim: { xp: 55 } },
+  };
+  const summa = {
+    title: "On Creation",
+    type: "summa",
+    subject: "Creo",
+    level: 10,
+    quality: 12,
+  };
+  const tractatus = {
+    title: "Notes on Vim",
+    type: "tractatus",
+    subject: "Vim",
+    quality: 8,
+  };
+
+  describe("validateBook", function () {
+    [
+      [summa, []],
+      [{ ...summa, level: undefined }, ["$.level"]],
+      [{ ...tractatus, quality: -1 }, ["$.quality"]],
+      [{ ...tractatus, type: "scroll" }, ["$.type"]],
+      [{ title: "Notes", type: "labText", subject: "Creo" }, ["$.level"]],
+    ].forEach(([book, paths], index) => {
+      it(`Test #${index}: Reports the issues ${paths.join(", ")}`, function () {
+        expect(validateBook(book).map((issue) => issue.path)).deep.equal(paths);
+      });
+    });
+  });
+
+  describe("readingYield", function () {
+    it("Gains the quality of a summa", function () {
+      expect(readingYield(magus, summa)).include({ xp: 12, from: 5, to: 6 });
+    });
+
+    it("Caps the summa at its level", function () {
+      expect(readingYield(magus, { ...summa, level: 6 })).include({
+        xp: 6,
+        to: 6,
+      });
+      expect(
+        readingYield(magus, { ...summa, subject: "Magic Theory", level: 4 })
+      ).include({ xp: 0, from: 4, to: 4 });
+    });
+
+    it("Adds the Book Learner bonus", function () {
+      const learner = { ...magus, virtues: [{ name: "Book Learner" }] };
+      expect(readingYield(learner, summa)).include({ xp: 15, to: 7 });
+    });
+
+    it("Reads a tractatus once", function () {
+      expect(readingYield(magus, tractatus)).include({ xp: 8, from: 10 });
+      const read = {
+        ...magus,
+        advancements: [{ xp: 8, book: { ...tractatus, quality: undefined } }],
+      };
+      expect(readingYield(read, tractatus)).include({ xp: 0 });
+    });
+
+    it("Does not study the lab texts", function () {
+      expect(() =>
+        readingYield(magus, {
+          title: "Pilum of Fire",
+          type: "labText",
+          subject: "Creo",
+          level: 20,
+        })
+      ).throw(BookError);
+    });
+  });
+
+  describe("rankBooks", function () {
+    it("Ranks the books by the experience gained", function () {
+      const ranked = rankBooks(magus, [
+        tractatus,
+        { ...summa, subject: "Magic Theory", level: 4 },
+        summa,
+        { title: "Pilum", type: "labText", subject: "Creo", level: 20 },
+      ]);
+      expect(ranked.map(({ book, xp }) => [book.title, xp])).deep.equal([
+        ["On Creation", 12],
+        ["Notes on Vim", 8],
+      ]);
+      expect(
+        rankBooks(magus, [tractatus, summa], { subject: "Vim" }).map(
+          ({ book }) => book.title
+        )
+      ).deep.equal(["Notes on Vim"]);
+    });
+  });
+
+  describe("planWriting", function () {
+    it("Writes a summa at half the score", function () {
+      expect(planWriting(magus, { type: "summa", subject: "Vim" })).deep.equal({
+        type: "summa",
+        subject: "Vim",
+        level: 5,
+        quality: 8,
+        seasons: 1,
+        points: 5,
+        pointsPerSeason: 7,
+      });
+    });
+
+    it("Trades the level for quality", function () {
+      const teacher = { ...magus, virtues: [{ name: "Good Teacher" }] };
+      expect(
+        planWriting(teacher, {
+          type: "summa",
+          subject: "Magic Theory",
+          level: 1,
+        })
+      ).include({ level: 1, quality: 12, points: 5, seasons: 1 });
+    });
+
+    it("Limits the tractatus of a subject", function () {
+      expect(planWriting(magus, { type: "tractatus", subject: "Vim" })).include(
+        { quality: 5, seasons: 1 }
+      );
+      expect(tractatusLimit(10, "art")).equal(2);
+      expect(tractatusLimit(5, "ability")).equal(3);
+      expect(() =>
+        planWriting(
+          magus,
+          { type: "tractatus", subject: "Vim" },
+          { written: 2 }
+        )
+      ).throw(BookError);
+    });
+
+    [
+      [{ type: "labText", subject: "Vim" }, "$.type"],
+      [{ type: "summa", subject: "Vim", level: 6 }, "$.level"],
+      [{ type: "summa", subject: "Perdo" }, "$.level"],
+    ].forEach(([book, path], index) => {
+      it(`Test #${index}: Refuses to write at ${path}`, function () {
+        let error;
+        try {
+          planWriting(magus, book);
+        } catch (err) {
+          error = err;
+        }
+        expect(error).instanceOf(BookError);
+        expect(error.issues.map((issue) => issue.path)).deep.equal([path]);
+      });
+    });
+  });
+
+  describe("planCopying", function () {
+    it("Copies at the rate of the scribe", function () {
+      const scribe = {
+        name: "Brother Anselm",
+        type: "companion",
+        characteristics: {},
+        abilities: [{ name: "Profession: Scribe", xp: 30 }],
+      };
+      expect(planCopying(scribe, { ...summa, level: 60 })).deep.equal({
+        levels: 60,
+        levelsPerSeason: 54,
+        seasons: 2,
+        quality: 12,
+      });
+      expect(planCopying(scribe, tractatus, { quick: true })).deep.equal({
+        levels: 6,
+        levelsPerSeason: 162,
+        seasons: 1,
+        quality: 7,
+      });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  levelForXp,
+  MAX_EXPERIENCE,
+  normalizeCharacter,
+  stripDerived,
+  validateCharacter,
+  xpForLevel,
+} from "../src/model/character.mjs";
+
+/**
+ * Test library for the character model.
+ * @module test/model/character
+ */
+
+describe("Character model", function () {
+  describe("Function xpForLevel", function () {
+    [
+      [0, 5, 0],
+      [1, 5, 5],
+      [2, 5, 15],
+      [5, 5, 75],
+      [5, 1, 15],
+      [-1, 5, undefined],
+    ].forEach(([level, multiplier, expected], index) => {
+      it(`Test #${index}: xpForLevel(${level}, ${multiplier})`, function () {
+        expect(xpForLevel(level, multiplier)).equal(expected);
+      });
+    });
+  });
+
+  describe("Function levelForXp", function () {
+    [
+      [0, 5, 0],
+      [4, 5, 0],
+      [5, 5, 1],
+      [14, 5, 1],
+      [15, 5, 2],
+      [75, 5, 5],
+      [74, 5, 4],
+      [21, 1, 6],
+      [20, 1, 5],
+      [MAX_EXPERIENCE, 1, 446],
+      [MAX_EXPERIENCE, 5, 199],
+    ].forEach(([xp, multiplier, expected], index) => {
+      it(`Test #${index}: levelForXp(${xp}, ${multiplier})`, function () {
+        expect(levelForXp(xp, multiplier)).equal(expected);
+      });
+    });
+
+    it("Finds the highest level the experience reaches", function () {
+      [1, 5].forEach((multiplier) => {
+        let level = 0;
+        for (let xp = 0; xp <= 20000; xp++) {
+          if (xpForLevel(level + 1, multiplier) <= xp) {
+            level++;
+          }
+          expect(levelForXp(xp, multiplier)).equal(level);
+        }
+      });
+    });
+
+    it("Returns for the huge experience", function () {
+      expect(levelForXp(1e300, 5)).above(1e149);
+      expect(levelForXp(Number.MAX_SAFE_INTEGER)).equal(134217727);
+    });
+  });
+
+  describe("Function validateCharacter", function () {
+    const valid = {
+      name: "Bonisagus",
+      type: "magus",
+      characteristics: { Int: 3, Com: -1 },
+      abilities: [{ name: "Magic Theory", speciality: "Inventing", xp: 75 }],
+      arts: { Creo: { xp: 15 }, Vim: { xp: 21, score: 6 } },
+    };
+
+    it("Valid magus", function () {
+      expect(validateCharacter(valid)).deep.equal([]);
+    });
+
+    [
+      ["Not an object", [], "$"],
+      ["Missing name", { ...valid, name: "" }, "$.name"],
+      ["Invalid type", { ...valid, type: "hedge wizard" }, "$.type"],
+      [
+        "Characteristic out of range",
+        { ...valid, characteristics: { Int: 6 } },
+        "$.characteristics.Int",
+      ],
+      [
+        "Unknown characteristic",
+        { ...valid, characteristics: { Luck: 1 } },
+        "$.characteristics.Luck",
+      ],
+      [
+        "Negative ability experience",
+        { ...valid, abilities: [{ name: "Latin", xp: -1 }] },
+        "$.abilities[0].xp",
+      ],
+      [
+        "Huge ability experience",
+        { ...valid, abilities: [{ name: "Brawl", xp: 1e300 }] },
+        "$.abilities[0].xp",
+      ],
+      [
+        "Huge Art experience",
+        { ...valid, arts: { Creo: { xp: MAX_EXPERIENCE + 1 } } },
+        "$.arts.Creo.xp",
+      ],
+      [
+        "Ability level mismatch",
+        { ...valid, abilities: [{ name: "Latin", xp: 15, level: 3 }] },
+        "$.abilities[0].level",
+      ],
+      [
+        "Duplicate ability",
+        {
+          ...valid,
+          abilities: [
+            { name: "Latin", xp: 5 },
+            { name: "Latin", xp: 15 },
+          ],
+        },
+        "$.abilities[1].name",
+      ],
+      ["Unknown Art", { ...valid, arts: { Necro: { xp: 1 } } }, "$.arts.Necro"],
+      ["Arts of a grog", { ...valid, type: "grog", arts: {} }, "$.arts"],
+      [
+        "Spell mastery mismatch",
+        { ...valid, spells: [{ spell: "s1", xp: 5, mastery: 2 }] },
+        "$.spells[0].mastery",
+      ],
+      [
+        "Duplicate spell",
+        {
+          ...valid,
+          spells: [
+            { spell: "s1", xp: 0 },
+            { spell: "s1", xp: 5 },
+          ],
+        },
+        "$.spells[1].spell",
+      ],
+      [
+        "Spells of a companion",
+        { ...valid, type: "companion", arts: undefined, spells: [] },
+        "$.spells",
+      ],
+    ].forEach(([name, character, path], index) => {
+      it(`Test #${index}: ${name}`, function () {
+        const issues = validateCharacter(character);
+        expect(issues.map((issue) => issue.path)).include(path);
+      });
+    });
+  });
+
+  describe("Function normalizeCharacter", function () {
+    it("Derives the levels and scores", function () {
+      const result = normalizeCharacter({
+        name: "Grog",
+        type: "grog",
+        characteristics: { Str: 2 },
+        abilities: [{ name: "Brawl", xp: 15 }],
+      });
+      expect(result.characteristics).deep.equal({
+        Int: 0,
+        Per: 0,
+        Str: 2,
+        Sta: 0,
+        Pre: 0,
+        Com: 0,
+        Dex: 0,
+        Qik: 0,
+      });
+      expect(result.abilities[0]).property("level", 2);
+      expect(result).not.property("arts");
+    });
+
+    it("Adds all Arts of a magus", function () {
+      const result = normalizeCharacter({
+        name: "Tytalus",
+        type: "magus",
+        characteristics: {},
+        arts: { Ignem: { xp: 10 } },
+      });
+      expect(result.arts).property("Ignem").deep.equal({ xp: 10, score: 4 });
+      expect(result.arts).property("Creo").deep.equal({ xp: 0, score: 0 });
+      expect(validateCharacter(result)).deep.equal([]);
+      expect(stripDerived(result).arts.Ignem).deep.equal({ xp: 10 });
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  ChargenError,
+  characteristicCost,
+  completeStep,
+  finishDraft,
+  laterLifeYears,
+  replayDraft,
+} from "../src/model/chargen.mjs";
+
+/**
+ * Test library for the character generation.
+ * @module test/model/chargen
+ */
+
+describe("Character generation model", function () {
+  const spells = [
+    {
+      id: "s1",
+      name: "Pilum of Fire",
+      technique: "Creo",
+      form: "Ignem",
+      level: 20,
+    },
+    { id: "s2", name: "Ward", technique: "Rego", form: "Vim", level: 15 },
+  ];
+
+  const magus = {
+    concept: {
+      name: "Aelfric",
+      type: "magus",
+      age: 25,
+      nativeLanguage: "English",
+    },
+    virtues: {
+      virtues: [
+        { name: "The Gift" },
+        { name: "Hermetic Magus" },
+        { name: "Affinity with Art", subject: "Creo" },
+        { name: "Skilled Parens" },
+        { name: "Improved Characteristics" },
+        { name: "Proud" },
+        { name: "Lame" },
+        { name: "Weak Magic Resistance" },
+      ],
+    },
+    characteristics: { characteristics: { Int: 3, Com: 1, Sta: 1, Pre: 1 } },
+    earlyLife: {
+      abilities: [
+        { name: "Awareness", xp: 15 },
+        { name: "Area Lore: Rhine", xp: 15 },
+        { name: "English", xp: 15 },
+      ],
+    },
+    laterLife: { abilities: [{ name: "Latin", level: 4 }] },
+    apprenticeship: {
+      abilities: [{ name: "Magic Theory", level: 3 }],
+      arts: [
+        { name: "Creo", level: 10 },
+        { name: "Ignem", level: 6 },
+      ],
+      spells: [{ spell: "s1" }],
+    },
+  };
+
+  /**
+   * Complete steps of a new draft.
+   * @param {[string, any][]} steps The steps and their inputs.
+   * @returns {{draft: import("../src/model/chargen.mjs").ChargenDraft, state: import("../src/model/chargen.mjs").ChargenState}}
+   * The draft and its state.
+   */
+  function generate(steps) {
+    return steps.reduce(
+      ({ draft }, [step, input]) =>
+        completeStep(draft, step, input, { spells }),
+      { draft: { owner: "u1", steps: {} } }
+    );
+  }
+
+  /**
+   * Get the issue paths of a failing step.
+   * @param {() => any} operation The failing operation.
+   * @returns {string[]} The paths of the issues.
+   */
+  function issuePaths(operation) {
+    let error;
+    try {
+      operation();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).instanceOf(ChargenError);
+    return error.issues.map(({ path }) => path);
+  }
+
+  it("Costs the characteristics by the point-buy table", function () {
+    expect([-3, -1, 0, 2, 3, 4].map(characteristicCost)).deep.equal([
+      -6,
+      -1,
+      0,
+      3,
+      6,
+      undefined,
+    ]);
+    expect(laterLifeYears({ type: "grog", age: 20 })).equal(15);
+    expect(laterLifeYears({ type: "magus", age: 25 })).equal(5);
+  });
+
+  it("Generates a magus through the steps", function () {
+    const { draft, state } = generate(Object.entries(magus));
+    expect(state.next).equal(null);
+    expect(state.budgets).deep.equal({
+      characteristics: { available: 10, spent: 9 },
+      earlyLife: { available: 45, spent: 45 },
+      laterLife: { available: 75, spent: 50 },
+      apprenticeship: {
+        available: 180,
+        spent: 88,
+        spellLevels: 180,
+        spellLevelsSpent: 20,
+      },
+    });
+    const character = finishDraft(draft, { spells });
+    expect(character.arts.Creo).deep.equal({ xp: 56, score: 10 });
+    expect(character.abilities[0]).deep.equal({
+      name: "English",
+      xp: 90,
+      level: 5,
+    });
+    expect(character.spells).deep.equal([{ spell: "s1", xp: 0 }]);
+    expect(character.aging).deep.equal({ age: 25 });
+  });
+
+  it("Completes the steps in order", function () {
+    expect(
+      issuePaths(() =>
+        generate([
+          ["concept", magus.concept],
+          ["characteristics", magus.characteristics],
+        ])
+      )
+    ).deep.equal(["$.step"]);
+    expect(issuePaths(() => generate([["career", {}]]))).deep.equal(["$.step"]);
+    const grog = generate([
+      ["concept", { ...magus.concept, type: "grog" }],
+      ["virtues", { virtues: [{ name: "Peasant" }] }],
+      ["characteristics", { characteristics: { Str: 2 } }],
+      ["earlyLife", {}],
+      ["laterLife", {}],
+    ]);
+    expect(grog.state.next).equal(null);
+    expect(grog.state.budgets.laterLife).deep.equal({
+      available: 300,
+      spent: 0,
+    });
+    expect(
+      issuePaths(() =>
+        completeStep(grog.draft, "apprenticeship", {}, { spells })
+      )
+    ).deep.equal(["$.step"]);
+    expect(() => finishDraft(grog.draft)).not.throw();
+  });
+
+  it("Discards the later steps of a changed step", function () {
+    const { draft } = generate(Object.entries(magus).slice(0, 4));
+    const changed = completeStep(
+      draft,
+      "virtues",
+      { virtues: magus.virtues.virtues.slice(0, 2) },
+      { spells }
+    );
+    expect(Object.keys(changed.draft.steps)).deep.equal(["concept", "virtues"]);
+    expect(changed.state.next).equal("characteristics");
+    expect(issuePaths(() => finishDraft(changed.draft, { spells }))).deep.equal(
+      ["$.steps"]
+    );
+  });
+
+  [
+    ["concept", { ...magus.concept, age: 19 }, ["$.age"]],
+    ["concept", { ...magus.concept, type: "familiar" }, ["$.type"]],
+    [
+      "virtues",
+      { virtues: [{ name: "The Gift" }, { name: "Luck" }] },
+      ["$.virtues", "$.virtues"],
+    ],
+    [
+      "characteristics",
+      { characteristics: { Int: 3, Com: 3 } },
+      ["$.characteristics"],
+    ],
+    [
+      "characteristics",
+      { characteristics: { Int: 4 } },
+      ["$.characteristics.Int"],
+    ],
+    [
+      "earlyLife",
+      { abilities: [{ name: "Latin", xp: 15 }] },
+      ["$.abilities[0].name"],
+    ],
+    ["earlyLife", { abilities: [{ name: "Brawl", xp: 50 }] }, ["$.xp"]],
+    ["laterLife", { arts: [{ name: "Creo", xp: 5 }] }, ["$.arts"]],
+    [
+      "apprenticeship",
+      { ...magus.apprenticeship, spells: [{ spell: "s2" }, { spell: "s3" }] },
+      ["$.spells[0].spell", "$.spells[1].spell"],
+    ],
+  ].forEach(([step, input, paths], index) => {
+    it(`Test #${index}: Rejects the invalid ${step} step`, function () {
+      const steps = Object.entries(magus);
+      const before = steps.slice(
+        0,
+        steps.findIndex(([name]) => name === step)
+      );
+      expect(issuePaths(() => generate([...before, [step, input]]))).deep.equal(
+        paths
+      );
+    });
+  });
+
+  it("Replays an empty draft", function () {
+    expect(replayDraft({ owner: "u1", steps: {} })).deep.equal({
+      budgets: {},
+      next: "concept",
+    });
+  });
+});
@@ -0,0 +1,343 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  changeFatigue,
+  combatCondition,
+  combatPenalties,
+  CombatError,
+  combatTotals,
+  encumbrance,
+  normalizeEncounter,
+  performAction,
+  resolveAttack,
+  rollInitiative,
+  startRound,
+  validateEncounter,
+  validateEquipment,
+  woundLevel,
+} from "../src/model/combat.mjs";
+
+/**
+ * Test library for the combat.
+ * @module test/model/combat
+ */
+
+describe("Combat", function () {
+  /** @type {import("../src/model/character.mjs").Character} */
+  const grog = {
+    id: "g1",
+    name: "Wulfric",
+    type: "grog",
+    characteristics: { Str: 2, Sta: 1, Dex: 1, Qik: 1 },
+    abilities: [{ name: "Single Weapon", xp: 30 }],
+    virtues: [{ name: "Tough" }],
+  };
+
+  /** @type {import("../src/model/character.mjs").Character} */
+  const bandit = {
+    id: "b1",
+    name: "Bandit",
+    type: "grog",
+    characteristics: { Str: 0, Sta: 0, Dex: 0, Qik: 0 },
+    abilities: [{ name: "Brawl", xp: 15 }],
+  };
+
+  const characters = new Map([
+    ["g1", grog],
+    ["b1", bandit],
+  ]);
+
+  /** @type {import("../src/model/combat.mjs").Encounter} */
+  const encounter = normalizeEncounter({
+    name: "Ambush at the ford",
+    combatants: [
+      {
+        character: "g1",
+        side: "covenant",
+        equipment: {
+          weapon: "Long Sword",
+          shield: "Round Shield",
+          armor: "Heavy Leather",
+          coverage: "full",
+        },
+      },
+      { character: "b1", side: "bandits", equipment: { weapon: "Dagger" } },
+    ],
+  });
+
+  describe("Function validateEquipment", function () {
+    [
+      [{ weapon: "Long Sword", shield: "Buckler", armor: "Chain Mail" }, []],
+      [{ weapon: "Halberd" }, ["$.weapon"]],
+      [{ weapon: "Great Sword", shield: "Buckler" }, ["$.shield"]],
+      [{ weapon: "Axe", armor: "Plate" }, ["$.armor"]],
+      [{ weapon: "Axe", coverage: "full" }, ["$.coverage"]],
+      [null, ["$"]],
+    ].forEach(([equipment, paths], index) => {
+      it(`Test #${index}: ${JSON.stringify(equipment)}`, function () {
+        expect(
+          validateEquipment(equipment).map((issue) => issue.path)
+        ).deep.equal(paths);
+      });
+    });
+  });
+
+  describe("Function validateEncounter", function () {
+    it("Valid encounter", function () {
+      expect(validateEncounter(encounter)).deep.equal([]);
+    });
+
+    it("Invalid encounter", function () {
+      expect(
+        validateEncounter({
+          combatants: [
+            {
+              character: "g1",
+              equipment: { weapon: "Axe" },
+              fatigue: "Sleepy",
+            },
+            {
+              character: "g1",
+              equipment: { weapon: "Axe" },
+              wounds: { Scratch: 1 },
+            },
+          ],
+        }).map((issue) => issue.path)
+      ).deep.equal([
+        "$.name",
+        "$.combatants[0].fatigue",
+        "$.combatants[1].character",
+        "$.combatants[1].wounds",
+      ]);
+    });
+  });
+
+  describe("Function woundLevel", function () {
+    [
+      [0, 0, undefined],
+      [1, 0, "Light"],
+      [5, 0, "Light"],
+      [6, 0, "Medium"],
+      [15, 0, "Heavy"],
+      [16, 0, "Incapacitating"],
+      [21, 0, "Dead"],
+      [40, 0, "Dead"],
+      [6, 1, "Light"],
+      [5, -1, "Medium"],
+    ].forEach(([excess, size, expected]) => {
+      it(`Excess ${excess} of Size ${size} inflicts ${expected}`, function () {
+        expect(woundLevel(excess, size)).equal(expected);
+      });
+    });
+  });
+
+  describe("Wounds and Fatigue", function () {
+    it("Penalties add up", function () {
+      expect(
+        combatPenalties({ wounds: { Light: 2, Heavy: 1 }, fatigue: "Tired" })
+      ).deep.equal({ wounds: -7, fatigue: -3 });
+      expect(combatPenalties({})).deep.equal({ wounds: 0, fatigue: 0 });
+    });
+
+    it("Conditions", function () {
+      expect(combatCondition({ wounds: { Heavy: 2 } })).equal("active");
+      expect(combatCondition({ fatigue: "Unconscious" })).equal("unconscious");
+      expect(combatCondition({ wounds: { Incapacitating: 1 } })).equal(
+        "incapacitated"
+      );
+      expect(
+        combatCondition({ wounds: { Dead: 1 }, fatigue: "Unconscious" })
+      ).equal("dead");
+    });
+
+    it("Fatigue levels are lost and recovered within the levels", function () {
+      expect(changeFatigue("Fresh", 2)).equal("Weary");
+      expect(changeFatigue("Dazed", 3)).equal("Unconscious");
+      expect(changeFatigue("Winded", -3)).equal("Fresh");
+    });
+  });
+
+  describe("Function combatTotals", function () {
+    it("Totals add the characteristics, the ability and the equipment", function () {
+      const totals = combatTotals({
+        ...encounter.combatants[0],
+        character: grog,
+      });
+      expect(
+        Object.fromEntries(
+          Object.entries(totals).map(([name, { total }]) => [name, total])
+        )
+      ).deep.equal({
+        initiative: 3,
+        attack: 8,
+        defense: 7,
+        damage: 8,
+        soak: 7,
+      });
+      expect(totals.soak.breakdown).deep.equal([
+        { name: "Stamina", value: 1 },
+        { name: "Heavy Leather", value: 3 },
+        { name: "Tough", value: 3 },
+      ]);
+    });
+
+    it("Wounds and Fatigue penalize the rolls but not the Soak", function () {
+      const totals = combatTotals({
+        character: bandit,
+        equipment: { weapon: "Dagger" },
+        wounds: { Medium: 1 },
+        fatigue: "Weary",
+      });
+      expect(totals.attack.total).equal(0);
+      expect(totals.defense.total).equal(-2);
+      expect(totals.soak.total).equal(0);
+    });
+
+    it("Puissant Virtues add to the Attack and the Defense", function () {
+      const totals = combatTotals({
+        character: {
+          ...bandit,
+          virtues: [{ name: "Puissant Ability", subject: "Brawl" }],
+        },
+        equipment: { weapon: "Fist" },
+      });
+      expect(totals.attack.breakdown).deep.include({
+        name: "Puissant Ability (Brawl)",
+        value: 2,
+      });
+      expect(totals.attack.total).equal(4);
+    });
+
+    it("Invalid equipment", function () {
+      expect(() =>
+        combatTotals({ character: bandit, equipment: { weapon: "Halberd" } })
+      ).throw(CombatError);
+    });
+  });
+
+  describe("Function encumbrance", function () {
+    it("Strength carries the Burden", function () {
+      const armored = {
+        weapon: "Long Sword",
+        shield: "Heater Shield",
+        armor: "Chain Mail",
+      };
+      expect(encumbrance(bandit, armored)).equal(3);
+      expect(encumbrance(grog, armored)).equal(1);
+      expect(encumbrance(grog, { weapon: "Dagger" })).equal(0);
+    });
+  });
+
+  describe("Function resolveAttack", function () {
+    const fighters = encounter.combatants.map((combatant) => ({
+      ...combatant,
+      character: characters.get(combatant.character),
+    }));
+
+    it("The same seed replays the attack", function () {
+      expect(resolveAttack(fighters[0], fighters[1], 42)).deep.equal(
+        resolveAttack(fighters[0], fighters[1], 42)
+      );
+    });
+
+    it("A hit shows the damage and the Soak", function () {
+      const seed = [...Array(100).keys()].find(
+        (candidate) => resolveAttack(fighters[0], fighters[1], candidate).hit
+      );
+      const attack = resolveAttack(fighters[0], fighters[1], seed);
+      expect(attack.damage.breakdown.at(-1)).deep.equal({
+        name: "Attack Advantage",
+        value: attack.advantage,
+      });
+      expect(attack.excess).equal(attack.damage.total - attack.soak.total);
+      expect(attack.wound).equal(woundLevel(attack.excess));
+    });
+
+    it("Invalid seed", function () {
+      expect(() => resolveAttack(fighters[0], fighters[1], -1)).throw(
+        CombatError
+      );
+    });
+  });
+
+  describe("Rounds and actions", function () {
+    it("Only the active combatants roll the initiative", function () {
+      const { rolls, order } = rollInitiative(
+        [
+          { character: grog, equipment: { weapon: "Axe" } },
+          {
+            character: bandit,
+            equipment: { weapon: "Fist" },
+            wounds: { Incapacitating: 1 },
+          },
+        ],
+        7
+      );
+      expect(rolls.map(({ index }) => index)).deep.equal([0]);
+      expect(order).deep.equal([0]);
+    });
+
+    it("A round lets every combatant act once", function () {
+      const { encounter: started, action } = startRound(
+        encounter,
+        characters,
+        3
+      );
+      expect(started.round).equal(1);
+      expect(started.order).members(["g1", "b1"]);
+      expect(action).include({ round: 1, type: "initiative", seed: 3 });
+
+      const { encounter: attacked, action: attack } = performAction(
+        started,
+        characters,
+        { type: "attack", actor: "g1", target: "b1", seed: 11 }
+      );
+      expect(attacked.acted).deep.equal(["g1"]);
+      expect(attacked.log).length(2);
+      expect(attack).include({ type: "attack", actor: "g1", seed: 11 });
+      if (attack.wound !== undefined) {
+        expect(attacked.combatants[1].wounds[attack.wound]).equal(1);
+      }
+
+      try {
+        performAction(attacked, characters, {
+          type: "attack",
+          actor: "g1",
+          target: "b1",
+        });
+        expect.fail("Acting twice in a round");
+      } catch (error) {
+        expect(error).instanceOf(CombatError);
+        expect(error.issues[0].path).equal("$.actor");
+      }
+    });
+
+    it("Fatigue is not an action of the round", function () {
+      const { encounter: tired, action } = performAction(
+        encounter,
+        characters,
+        { type: "fatigue", actor: "b1", levels: 2 }
+      );
+      expect(action).include({ from: "Fresh", to: "Weary" });
+      expect(tired.combatants[1].fatigue).equal("Weary");
+      expect(tired.acted).equal(undefined);
+    });
+
+    [
+      [{ type: "dodge", actor: "g1" }, "$.type"],
+      [{ type: "attack", actor: "g1", target: "b1" }, "$.type"],
+      [{ type: "attack", actor: "x1", target: "b1" }, "$.actor"],
+      [{ type: "fatigue", actor: "g1", levels: 0 }, "$.levels"],
+    ].forEach(([request, path], index) => {
+      it(`Test #${index}: Rejects ${JSON.stringify(request)}`, function () {
+        try {
+          performAction(encounter, characters, request);
+          expect.fail("Invalid action");
+        } catch (error) {
+          expect(error).instanceOf(CombatError);
+          expect(error.issues.map((issue) => issue.path)).include(path);
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  dedupeResources,
+  loyaltyScore,
+  normalizeCovenant,
+  sameResource,
+  validateCovenant,
+  yearlyFinances,
+} from "../src/model/covenant.mjs";
+import {
+  LooseEquality,
+  StrictEquality,
+} from "../src/arm5tools/utils_covenant.mjs";
+
+/**
+ * Test library for the covenant model.
+ * @module test/model/covenant
+ */
+
+describe("Covenant model", function () {
+  const covenant = {
+    name: "Semita Errabunda",
+    tribunal: "Stonehenge",
+    founded: 1220,
+    treasury: 50,
+    inflation: 0.1,
+    visSources: [{ name: "Dragon's Pool", art: "Aquam", pawns: 4 }],
+    visStocks: [
+      { art: "Vim", pawns: 3 },
+      { art: "Vim", pawns: 2 },
+    ],
+    buildings: [{ name: "Tower", upkeep: 10 }],
+    laboratories: [{ name: "North lab", size: 1, upkeep: 5 }],
+    incomeSources: [{ name: "Mill", income: 100 }],
+    expenditures: [
+      { name: "Bread", category: "provisions", cost: 40 },
+      { name: "Soldiers", category: "wages", cost: 25 },
+    ],
+    loyalty: { points: 5, modifiers: [{ name: "Fair pay", value: 2 }] },
+  };
+
+  describe("Function sameResource", function () {
+    [
+      ["visStocks", { art: "Vim" }, { art: "Vim", pawns: 2 }, undefined, true],
+      ["visStocks", { art: "Vim" }, { art: "Ignem" }, undefined, false],
+      [
+        "library",
+        { title: "A", subject: "Vim" },
+        { title: "A", subject: "Creo" },
+        undefined,
+        false,
+      ],
+      ["buildings", { name: 1 }, { name: "1" }, StrictEquality, false],
+      ["buildings", { name: 1 }, { name: "1" }, LooseEquality, true],
+    ].forEach(([kind, a, b, equality, expected], index) => {
+      it(`Test #${index}: ${kind}`, function () {
+        expect(sameResource(kind, a, b, equality)).equal(expected);
+      });
+    });
+
+    it("Rejects unknown kinds", function () {
+      expect(() => sameResource("dragons", {}, {})).to.throw(RangeError);
+    });
+  });
+
+  describe("Function dedupeResources", function () {
+    it("Merges the vis stocks", function () {
+      expect(dedupeResources("visStocks", covenant.visStocks)).deep.equal([
+        { art: "Vim", pawns: 5 },
+      ]);
+    });
+
+    it("Keeps the first of other resources", function () {
+      expect(
+        dedupeResources("buildings", [
+          { name: "Tower", upkeep: 1 },
+          { name: "Tower", upkeep: 2 },
+        ])
+      ).deep.equal([{ name: "Tower", upkeep: 1 }]);
+    });
+  });
+
+  describe("Function validateCovenant", function () {
+    it("Valid covenant", function () {
+      expect(validateCovenant(covenant)).deep.equal([]);
+    });
+
+    [
+      ["Missing founding", { ...covenant, founded: undefined }, "$.founded"],
+      [
+        "Unknown vis Art",
+        { ...covenant, visSources: [{ name: "Well", art: "Water", pawns: 1 }] },
+        "$.visSources[0].art",
+      ],
+      [
+        "Duplicate building",
+        { ...covenant, buildings: [{ name: "Hall" }, { name: "Hall" }] },
+        "$.buildings[1]",
+      ],
+      [
+        "Unknown expenditure category",
+        {
+          ...covenant,
+          expenditures: [{ name: "Feast", category: "parties", cost: 1 }],
+        },
+        "$.expenditures[0].category",
+      ],
+      [
+        "Invalid loyalty",
+        { ...covenant, loyalty: { points: "high" } },
+        "$.loyalty.points",
+      ],
+    ].forEach(([name, tested, path], index) => {
+      it(`Test #${index}: ${name}`, function () {
+        expect(validateCovenant(tested).map((issue) => issue.path)).include(
+          path
+        );
+      });
+    });
+  });
+
+  describe("Function yearlyFinances", function () {
+    const normalized = normalizeCovenant(covenant);
+
+    it("Computes the finances of the founding year", function () {
+      const result = yearlyFinances(normalized);
+      expect(result).include({
+        year: 1220,
+        income: 100,
+        inflationFactor: 1,
+        totalCosts: 80,
+        balance: 20,
+        treasury: 70,
+      });
+      expect(result.costs).include({
+        provisions: 40,
+        wages: 25,
+        buildings: 10,
+        laboratories: 5,
+      });
+    });
+
+    it("Inflates the costs", function () {
+      const result = yearlyFinances(normalized, 1222);
+      expect(result.inflationFactor).closeTo(1.21, 1e-9);
+      expect(result.totalCosts).equal(96.8);
+      expect(result.balance).equal(3.2);
+    });
+
+    it("Rejects years before founding", function () {
+      expect(() => yearlyFinances(normalized, 1219)).to.throw(RangeError);
+    });
+  });
+
+  it("Function loyaltyScore", function () {
+    expect(loyaltyScore(covenant)).equal(7);
+    expect(loyaltyScore({})).equal(0);
+  });
+});
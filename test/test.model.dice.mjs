@@ -0,0 +1,137 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  createRandom,
+  DiceError,
+  parseRollExpression,
+  roll,
+  simpleDie,
+  stressDie,
+} from "../src/model/dice.mjs";
+
+/**
+ * Test library for the dice.
+ * @module test/model/dice
+ */
+
+describe("Dice", function () {
+  /**
+   * Create a random number generator returning the given die faces.
+   * @param {number[]} faces The faces of the rolled dice.
+   * @returns {() => number} The generator.
+   */
+  function fixedDice(...faces) {
+    const remaining = [...faces];
+    return () => (remaining.shift() + 0.5) / 10;
+  }
+
+  describe("Function createRandom", function () {
+    it("Repeats the sequence of a seed", function () {
+      const first = createRandom(42);
+      const second = createRandom(42);
+      const values = Array.from({ length: 10 }, () => first());
+      expect(values).deep.equal(Array.from({ length: 10 }, () => second()));
+      values.forEach((value) => expect(value).within(0, 1));
+    });
+
+    it("Rejects invalid seeds", function () {
+      expect(() => createRandom(-1)).to.throw(DiceError);
+      expect(() => createRandom(2 ** 32)).to.throw(DiceError);
+    });
+  });
+
+  describe("Function simpleDie", function () {
+    [
+      [0, 10],
+      [1, 1],
+      [9, 9],
+    ].forEach(([face, expected], index) => {
+      it(`Test #${index}: Face ${face}`, function () {
+        expect(simpleDie(fixedDice(face)).value).equal(expected);
+      });
+    });
+  });
+
+  describe("Function stressDie", function () {
+    [
+      [[7], 1, { value: 7, multiplier: 1, botches: 0 }],
+      [[1, 6], 1, { value: 12, multiplier: 2, botches: 0 }],
+      [[1, 1, 0], 1, { value: 40, multiplier: 4, botches: 0 }],
+      [[0, 3, 4], 2, { value: 0, botches: 0, botched: false }],
+      [[0, 0, 5, 0], 3, { value: 0, botches: 2, botched: true }],
+    ].forEach(([faces, botchDice, expected], index) => {
+      it(`Test #${index}: Faces ${faces.join(", ")}`, function () {
+        const result = stressDie(fixedDice(...faces), botchDice);
+        expect(result).include(expected);
+        expect(result.dice).deep.equal(faces);
+      });
+    });
+
+    it("Limits the botch dice", function () {
+      expect(stressDie(fixedDice(0, ...Array(10).fill(0)), 10)).include({
+        botches: 10,
+      });
+      [-1, 11, 1.5].forEach((botchDice) => {
+        expect(() => stressDie(fixedDice(0), botchDice)).to.throw(DiceError);
+      });
+    });
+  });
+
+  describe("Function parseRollExpression", function () {
+    [
+      [
+        "stress+12 vs 9, botch 2",
+        { die: "stress", modifier: 12, difficulty: 9, botchDice: 2 },
+      ],
+      ["simple", { die: "simple", modifier: 0, botchDice: 1 }],
+      [
+        "Stress + 3 - 1 vs 6",
+        { die: "stress", modifier: 2, difficulty: 6, botchDice: 1 },
+      ],
+      [
+        "stress+999-999 vs 999, botch 10",
+        { die: "stress", modifier: 0, difficulty: 999, botchDice: 10 },
+      ],
+    ].forEach(([expression, expected], index) => {
+      it(`Test #${index}: ${expression}`, function () {
+        expect(parseRollExpression(expression)).deep.equal(expected);
+      });
+    });
+
+    [
+      "",
+      "d20+3",
+      "stress+x",
+      "simple+3, botch 2",
+      12,
+      "stress, botch 11",
+      "stress, botch 99999999999",
+      "stress+1000",
+      "simple-1000",
+      "simple vs 1000",
+      `simple${"+1".repeat(50)}`,
+      `stress+${"9".repeat(400)}`,
+    ].forEach((expression, index) => {
+      it(`Test #${index}: Rejects ${expression}`, function () {
+        expect(() => parseRollExpression(expression)).to.throw(DiceError);
+      });
+    });
+  });
+
+  describe("Function roll", function () {
+    it("Replays a roll from its seed", function () {
+      const result = roll("stress+12 vs 9, botch 2");
+      expect(roll(result.expression, result.seed)).deep.equal(result);
+    });
+
+    it("Applies modifier and Ease Factor", function () {
+      const result = roll("stress+12 vs 9, botch 2", 8);
+      expect(result).include({ value: 12, total: 24, success: true });
+    });
+
+    it("Botches", function () {
+      const result = roll("stress+12 vs 9, botch 2", 7);
+      expect(result).include({ total: 0, success: false, botched: true });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { combatTotals } from "../src/model/combat.mjs";
+import {
+  bondBonuses,
+  cordStrength,
+  normalizeBond,
+  stripDerivedBond,
+  validateFamiliarProperties,
+} from "../src/model/familiar.mjs";
+import { castingTotal } from "../src/model/spell.mjs";
+
+/**
+ * Test library for the familiars.
+ * @module test/model/familiar
+ */
+
+describe("Familiar", function () {
+  /** @type {import("../src/model/character.mjs").Character} */
+  const magus = {
+    name: "Aelfric",
+    type: "magus",
+    characteristics: { Sta: 2 },
+    arts: { Creo: { xp: 15 }, Ignem: { xp: 6 } },
+    familiar: {
+      character: "f1",
+      cords: { Golden: { xp: 15 }, Bronze: { xp: 5 } },
+    },
+  };
+
+  /** @type {import("../src/model/character.mjs").Character} */
+  const raven = {
+    name: "Corvus",
+    type: "familiar",
+    characteristics: { Int: -2, Per: 2, Qik: 3 },
+    might: 15,
+    powers: [
+      { name: "Speak with Birds", cost: 1, form: "Animal" },
+      { name: "Eyes of the Magus", cost: 0, description: "Shares its sight." },
+    ],
+  };
+
+  it("Derives the cord strengths from the experience", function () {
+    expect(cordStrength(magus, "Golden")).equal(2);
+    expect(cordStrength(magus, "Silver")).equal(0);
+    expect(cordStrength(raven, "Golden")).equal(0);
+    expect(normalizeBond(magus.familiar)).deep.equal({
+      character: "f1",
+      cords: {
+        Golden: { xp: 15, strength: 2 },
+        Silver: { xp: 0, strength: 0 },
+        Bronze: { xp: 5, strength: 1 },
+      },
+    });
+    expect(stripDerivedBond(normalizeBond(magus.familiar)).cords).deep.equal({
+      Golden: { xp: 15 },
+      Silver: { xp: 0 },
+      Bronze: { xp: 5 },
+    });
+  });
+
+  it("Adds the cords to the rolls of the magus", function () {
+    expect(bondBonuses(magus, "casting")).deep.equal([
+      { name: "Golden Cord", value: 2 },
+    ]);
+    expect(bondBonuses(magus, "concentration")).deep.equal([]);
+    expect(castingTotal({ magus, technique: "Creo", form: "Ignem" })).include({
+      total: 5 + 3 + 2 + 2,
+    });
+    expect(
+      combatTotals({ character: magus, equipment: { weapon: "Dagger" } }).soak
+    ).deep.equal({
+      total: 3,
+      breakdown: [
+        { name: "Stamina", value: 2 },
+        { name: "Bronze Cord", value: 1 },
+      ],
+    });
+  });
+
+  it("Accepts the familiars and the bonds", function () {
+    expect(validateFamiliarProperties(raven)).deep.equal([]);
+    expect(validateFamiliarProperties(magus)).deep.equal([]);
+  });
+
+  [
+    [{ ...raven, might: -1 }, "$.might"],
+    [{ ...raven, powers: {} }, "$.powers"],
+    [{ ...raven, powers: [{ name: "Flight" }] }, "$.powers[0].cost"],
+    [{ ...raven, powers: [{ name: "", cost: 1 }] }, "$.powers[0].name"],
+    [
+      { ...raven, powers: [{ name: "Flight", cost: 1, form: "Air" }] },
+      "$.powers[0].form",
+    ],
+    [{ ...magus, might: 10 }, "$.might"],
+    [{ ...raven, familiar: { cords: {} } }, "$.familiar"],
+    [{ ...magus, familiar: [] }, "$.familiar"],
+    [
+      { ...magus, familiar: { character: "", cords: {} } },
+      "$.familiar.character",
+    ],
+    [
+      { ...magus, familiar: { cords: { Iron: { xp: 5 } } } },
+      "$.familiar.cords.Iron",
+    ],
+    [
+      { ...magus, familiar: { cords: { Silver: { xp: -5 } } } },
+      "$.familiar.cords.Silver.xp",
+    ],
+    [
+      { ...magus, familiar: { cords: { Golden: { xp: 1e300 } } } },
+      "$.familiar.cords.Golden.xp",
+    ],
+    [
+      { ...magus, familiar: { cords: { Silver: { xp: 5, strength: 2 } } } },
+      "$.familiar.cords.Silver.strength",
+    ],
+  ].forEach(([character, path], index) => {
+    it(`Test #${index}: Rejects ${path}`, function () {
+      expect(
+        validateFamiliarProperties(character).map((issue) => issue.path)
+      ).include(path);
+    });
+  });
+});
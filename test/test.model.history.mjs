@@ -0,0 +1,91 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  applyPatch,
+  diffContent,
+  HistoryError,
+  replayHistory,
+  sameContent,
+} from "../src/model/history.mjs";
+
+/**
+ * Test library for the entity histories.
+ * @module test/model/history
+ */
+
+const before = {
+  name: "Fengheld",
+  aura: 3,
+  "vis/stocks": [{ art: "Creo", pawns: 2 }],
+  notes: { founding: "1200", "~tilde": true },
+};
+
+const after = {
+  name: "Fengheld",
+  aura: 4,
+  "vis/stocks": [{ art: "Creo", pawns: 3 }],
+  notes: { "~tilde": false },
+  tribunal: "Rhine",
+};
+
+describe("Entity history", function () {
+  it("Compares the contents", function () {
+    expect(sameContent({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).true;
+    expect(sameContent({ a: 1 }, { a: 1, b: undefined })).false;
+    expect(sameContent([1], { 0: 1 })).false;
+  });
+
+  it("Computes the changes as a JSON Patch", function () {
+    expect(diffContent(before, after)).deep.equal([
+      { op: "replace", path: "/aura", value: 4 },
+      {
+        op: "replace",
+        path: "/vis~1stocks",
+        value: [{ art: "Creo", pawns: 3 }],
+      },
+      { op: "remove", path: "/notes/founding" },
+      { op: "replace", path: "/notes/~0tilde", value: false },
+      { op: "add", path: "/tribunal", value: "Rhine" },
+    ]);
+    expect(diffContent(before, before)).deep.equal([]);
+    expect(diffContent(undefined, { name: "Fengheld" })).deep.equal([
+      { op: "add", path: "", value: { name: "Fengheld" } },
+    ]);
+    expect(diffContent(before, undefined)).deep.equal([
+      { op: "remove", path: "" },
+    ]);
+  });
+
+  it("Applies the changes to a copy", function () {
+    const copy = structuredClone(before);
+    expect(applyPatch(copy, diffContent(before, after))).deep.equal(after);
+    expect(copy).deep.equal(before);
+    expect(
+      applyPatch({ list: [1, 3] }, [
+        { op: "add", path: "/list/1", value: 2 },
+        { op: "add", path: "/list/-", value: 4 },
+        { op: "remove", path: "/list/0" },
+      ])
+    ).deep.equal({ list: [2, 3, 4] });
+    expect(() =>
+      applyPatch({}, [{ op: "replace", path: "/missing", value: 1 }])
+    ).throw(HistoryError);
+    expect(() => applyPatch({}, [{ op: "add", path: "x", value: 1 }])).throw(
+      HistoryError
+    );
+  });
+
+  it("Replays the versions", function () {
+    const events = [
+      { entityVersion: 1, changes: diffContent(undefined, before) },
+      { entityVersion: 2, changes: diffContent(before, after) },
+      { entityVersion: 3, changes: diffContent(after, undefined) },
+    ];
+    expect(replayHistory(events).map(({ state }) => state)).deep.equal([
+      before,
+      after,
+      undefined,
+    ]);
+    expect(() => replayHistory([events[1], events[0]])).throw(HistoryError);
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { normalizeCharacter } from "../src/model/character.mjs";
+import {
+  assistantBonus,
+  LabError,
+  labTotal,
+  resolveProject,
+} from "../src/model/lab.mjs";
+
+/**
+ * Test library for the laboratory activities.
+ * @module test/model/lab
+ */
+
+describe("Laboratory", function () {
+  const magus = normalizeCharacter({
+    name: "Verditius",
+    type: "magus",
+    characteristics: { Int: 3 },
+    abilities: [
+      { name: "Magic Theory", xp: 50 },
+      { name: "Leadership", xp: 5 },
+    ],
+    arts: { Creo: { xp: 55 }, Ignem: { xp: 28 }, Corpus: { xp: 15 } },
+  });
+  const apprentice = normalizeCharacter({
+    name: "Apprentice",
+    type: "magus",
+    characteristics: { Int: 2 },
+    abilities: [{ name: "Magic Theory", xp: 5 }],
+  });
+
+  describe("Function labTotal", function () {
+    it("Sums the parts of the Lab Total", function () {
+      const result = labTotal({
+        magus,
+        technique: "Creo",
+        form: "Ignem",
+        aura: 3,
+        modifiers: [{ name: "Quality", value: 2 }],
+        assistants: [{ character: apprentice }],
+      });
+      expect(result.total).equal(10 + 7 + 3 + 4 + 3 + 2 + 3);
+      expect(result.breakdown.map((part) => part.name)).deep.equal([
+        "Creo",
+        "Ignem",
+        "Intelligence",
+        "Magic Theory",
+        "Aura",
+        "Quality",
+        "Assistant Apprentice",
+      ]);
+    });
+
+    it("Adds the familiar bond", function () {
+      expect(
+        assistantBonus({ character: apprentice, familiar: true, bond: 2 })
+      ).equal(5);
+      expect(
+        assistantBonus({
+          character: { ...apprentice, abilities: [] },
+          familiar: true,
+          bond: 2,
+        })
+      ).equal(2);
+    });
+
+    it("Defaults the familiar bond to the Golden cord", function () {
+      const bonded = { ...magus, familiar: { cords: { Golden: { xp: 15 } } } };
+      const familiar = {
+        name: "Corvus",
+        type: "familiar",
+        characteristics: {},
+      };
+      const result = labTotal({
+        magus: bonded,
+        technique: "Creo",
+        form: "Ignem",
+        assistants: [{ character: familiar, familiar: true }],
+      });
+      expect(result.breakdown.at(-1)).deep.equal({
+        name: "Familiar Corvus",
+        value: 2,
+      });
+      expect(
+        labTotal({
+          magus: bonded,
+          technique: "Creo",
+          form: "Ignem",
+          assistants: [{ character: familiar, familiar: true, bond: 1 }],
+        }).total
+      ).equal(result.total - 1);
+    });
+
+    [
+      [
+        "Unknown Technique",
+        { technique: "Facio", form: "Ignem" },
+        "$.technique",
+      ],
+      ["Unknown Form", { technique: "Creo", form: "Fire" }, "$.form"],
+      [
+        "Too many assistants",
+        {
+          technique: "Creo",
+          form: "Ignem",
+          assistants: [{ character: apprentice }, { character: apprentice }],
+        },
+        "$.assistants",
+      ],
+      [
+        "Not a magus",
+        { magus: { ...magus, type: "grog" }, technique: "Creo", form: "Ignem" },
+        "$.character",
+      ],
+    ].forEach(([name, parameters, path], index) => {
+      it(`Test #${index}: Rejects ${name}`, function () {
+        let error;
+        try {
+          labTotal({ magus, ...parameters });
+        } catch (err) {
+          error = err;
+        }
+        expect(error).instanceOf(LabError);
+        expect(error.issues.map((issue) => issue.path)).include(path);
+      });
+    });
+  });
+
+  describe("Function resolveProject", function () {
+    [
+      [
+        { type: "spell", level: 20 },
+        32,
+        {
+          progress: 12,
+          accumulated: 12,
+          complete: false,
+          seasonsRemaining: 1,
+        },
+      ],
+      [
+        { type: "spell", level: 20, accumulated: 12 },
+        32,
+        { accumulated: 20, complete: true, seasonsRemaining: 0 },
+      ],
+      [{ type: "item", level: 25 }, 55, { complete: true, visCost: 3 }],
+      [
+        { type: "longevity", age: 42 },
+        23,
+        { complete: true, longevityModifier: 5, visCost: 9 },
+      ],
+      [{ type: "visExtraction" }, 21, { complete: true, pawns: 3 }],
+      [
+        { type: "familiar", level: 15 },
+        25,
+        { progress: 10, complete: false, seasonsRemaining: 1 },
+      ],
+      [{ type: "bond" }, 23, { complete: true, cordXp: 5 }],
+      [{ type: "talisman", capacity: 10 }, 10, { complete: true, visCost: 10 }],
+      [{ type: "attunement" }, 12, { complete: true }],
+    ].forEach(([project, total, expected], index) => {
+      it(`Test #${index}: ${project.type}`, function () {
+        expect(resolveProject(project, total)).include(expected);
+      });
+    });
+
+    [
+      [{ type: "spell", level: 30 }, 30, "$.level"],
+      [{ type: "item" }, 30, "$.level"],
+      [{ type: "longevity" }, 30, "$.age"],
+      [{ type: "familiar", level: 25 }, 20, "$.level"],
+      [{ type: "talisman" }, 30, "$.capacity"],
+      [{ type: "talisman", capacity: 12 }, 11, "$.capacity"],
+      [{ type: "summoning" }, 30, "$.type"],
+    ].forEach(([project, total, path], index) => {
+      it(`Test #${index}: Rejects ${project.type}`, function () {
+        let error;
+        try {
+          resolveProject(project, total);
+        } catch (err) {
+          error = err;
+        }
+        expect(error).instanceOf(LabError);
+        expect(error.issues.map((issue) => issue.path)).include(path);
+      });
+    });
+  });
+});
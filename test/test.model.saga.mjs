@@ -0,0 +1,77 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  memberView,
+  roleOf,
+  validateSaga,
+  validateStoryguideProperties,
+} from "../src/model/saga.mjs";
+
+/**
+ * Test library for the saga model.
+ * @module test/model/saga
+ */
+
+describe("Saga model", function () {
+  const saga = {
+    name: "The Lion and the Lily",
+    members: [
+      { user: "u1", role: "storyguide" },
+      { user: "u2", role: "troupe" },
+      { user: "u3", role: "viewer" },
+    ],
+  };
+
+  it("Accepts a valid saga", function () {
+    expect(validateSaga(saga)).deep.equal([]);
+    expect(
+      validateSaga({ ...saga, season: { year: 1220, season: "winter" } })
+    ).deep.equal([]);
+  });
+
+  [
+    [{ ...saga, name: " " }, "$.name"],
+    [{ ...saga, members: undefined }, "$.members"],
+    [{ ...saga, members: [{ user: "u1", role: "troupe" }] }, "$.members"],
+    [
+      { ...saga, members: [...saga.members, { user: "u4" }] },
+      "$.members[3].role",
+    ],
+    [
+      { ...saga, members: [...saga.members, { user: "u2", role: "viewer" }] },
+      "$.members[3].user",
+    ],
+    [{ ...saga, season: { year: 1220, season: "Yule" } }, "$.season"],
+  ].forEach(([invalid, path], index) => {
+    it(`Test #${index}: Reports the issue at ${path}`, function () {
+      expect(validateSaga(invalid).map((issue) => issue.path)).include(path);
+    });
+  });
+
+  it("Tells the roles of the members", function () {
+    expect(roleOf(saga, "u2")).equal("troupe");
+    expect(roleOf(saga, "u9")).equal(undefined);
+  });
+
+  it("Validates the storyguide properties", function () {
+    expect(
+      validateStoryguideProperties({
+        hidden: true,
+        npc: false,
+        storyguideNotes: "Notes",
+      })
+    ).deep.equal([]);
+    expect(
+      validateStoryguideProperties({ hidden: "yes", storyguideNotes: 1 }).map(
+        (issue) => issue.path
+      )
+    ).deep.equal(["$.hidden", "$.storyguideNotes"]);
+  });
+
+  it("Hides the storyguide content from the other members", function () {
+    const entity = { id: "c", npc: true, storyguideNotes: "Secret" };
+    expect(memberView(entity, true)).equal(entity);
+    expect(memberView(entity, false)).deep.equal({ id: "c", npc: true });
+    expect(memberView({ ...entity, hidden: true }, false)).equal(undefined);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { artAbbreviation, characterSheet } from "../src/model/sheet.mjs";
+import {
+  renderCharacterMarkdown,
+  renderCharacterSheet,
+} from "../src/sheets/character.mjs";
+
+/**
+ * Test library for the character sheets.
+ * @module test/model/sheet
+ */
+
+describe("Character sheet", function () {
+  /** @type {import("../src/model/character.mjs").Character} */
+  const magus = {
+    id: "c1",
+    name: "Ignatius",
+    type: "magus",
+    characteristics: { Int: 3, Sta: 1, Qik: -1 },
+    abilities: [
+      { name: "Magic Theory", speciality: "Inventions", xp: 30 },
+      { name: "Brawl", xp: 5 },
+    ],
+    arts: { Creo: { xp: 15 }, Ignem: { xp: 21 } },
+    spells: [
+      { spell: "missing", xp: 0 },
+      { spell: "s1", xp: 15 },
+      { spell: "s2", xp: 5 },
+    ],
+    virtues: [
+      { name: "Tough" },
+      { name: "Blatant Gift" },
+      { name: "Family Heirloom", notes: "A silver ring" },
+    ],
+  };
+
+  /** @type {import("../src/model/spell.mjs").Spell[]} */
+  const spells = [
+    {
+      id: "s1",
+      name: "Pilum of Fire",
+      technique: "Creo",
+      form: "Ignem",
+      range: "Voice",
+      duration: "Momentary",
+      target: "Individual",
+      base: 10,
+      level: 20,
+    },
+    {
+      id: "s2",
+      name: "Lamp Without Flame",
+      technique: "Creo",
+      form: "Ignem",
+      range: "Touch",
+      duration: "Diameter",
+      target: "Individual",
+      base: 5,
+      level: 10,
+    },
+  ];
+
+  it("Abbreviates the Arts", function () {
+    expect(["Creo", "Intellego", "Vim"].map(artAbbreviation)).deep.equal([
+      "Cr",
+      "In",
+      "Vi",
+    ]);
+  });
+
+  it("Collects the scores of a magus", function () {
+    const sheet = characterSheet(magus, spells);
+    expect(sheet).include({ id: "c1", name: "Ignatius", type: "magus" });
+    expect(sheet.characteristics).length(8);
+    expect(sheet.characteristics[0]).deep.equal({
+      abbreviation: "Int",
+      name: "Intelligence",
+      value: 3,
+    });
+    expect(sheet.characteristics[7]).property("value", -1);
+    expect(sheet.abilities).deep.equal([
+      { name: "Brawl", xp: 5, level: 1 },
+      { name: "Magic Theory", speciality: "Inventions", xp: 30, level: 3 },
+    ]);
+    expect(sheet.arts).length(15);
+    expect(sheet.arts.find(({ name }) => name === "Ignem")).deep.equal({
+      name: "Ignem",
+      abbreviation: "Ig",
+      xp: 21,
+      score: 6,
+    });
+    expect(sheet.spells).deep.equal([
+      {
+        id: "s2",
+        name: "Lamp Without Flame",
+        arts: "CrIg",
+        level: 10,
+        parameters: "Touch/Diameter/Individual",
+        ritual: false,
+        xp: 5,
+        mastery: 1,
+      },
+      {
+        id: "s1",
+        name: "Pilum of Fire",
+        arts: "CrIg",
+        level: 20,
+        parameters: "Voice/Momentary/Individual",
+        ritual: false,
+        xp: 15,
+        mastery: 2,
+      },
+      { id: "missing", name: "missing", xp: 0, mastery: 0 },
+    ]);
+    expect(sheet.virtues.map(({ name }) => name)).deep.equal([
+      "Tough",
+      "Family Heirloom",
+    ]);
+    expect(sheet.flaws).deep.equal([
+      { name: "Blatant Gift", magnitude: "Major", type: "Hermetic" },
+    ]);
+  });
+
+  it("Computes the combat totals of the equipment", function () {
+    expect(characterSheet(magus).combat).deep.equal({
+      equipment: { weapon: "Fist" },
+      encumbrance: 0,
+      totals: { initiative: -1, attack: 1, defense: 0, damage: 0, soak: 4 },
+    });
+    const grog = characterSheet({
+      name: "Wulfric",
+      type: "grog",
+      characteristics: { Str: 2, Sta: 1, Dex: 1, Qik: 1 },
+      abilities: [{ name: "Single Weapon", xp: 30 }],
+      equipment: {
+        weapon: "Long Sword",
+        shield: "Round Shield",
+        armor: "Chain Mail",
+      },
+    });
+    expect(grog.arts).deep.equal([]);
+    expect(grog.combat.encumbrance).equal(1);
+    expect(grog.combat.totals).deep.equal({
+      initiative: 2,
+      attack: 8,
+      defense: 7,
+      damage: 8,
+      soak: 10,
+    });
+  });
+
+  it("Collects the bond, the talisman and the powers", function () {
+    const sheet = characterSheet({
+      ...magus,
+      familiar: { character: "f1", cords: { Bronze: { xp: 5 } } },
+      talisman: {
+        name: "Oaken staff",
+        capacity: 5,
+        attunements: [{ name: "Staff", bonus: 2, art: "Ignem" }],
+        effects: [{ name: "Kindle the Flame", level: 15 }],
+      },
+    });
+    expect(sheet.bond).deep.equal([
+      { name: "Golden", xp: 0, strength: 0 },
+      { name: "Silver", xp: 0, strength: 0 },
+      { name: "Bronze", xp: 5, strength: 1 },
+    ]);
+    expect(sheet.talisman).include({ capacity: 5, open: 3 });
+    expect(sheet.talisman.effects[0]).property("capacity", 2);
+    expect(sheet.combat.totals.soak).equal(5);
+    expect(renderCharacterMarkdown(sheet)).include(
+      "open 3\n\n- Staff +2 Ignem"
+    );
+
+    const familiar = characterSheet({
+      name: "Corvus",
+      type: "familiar",
+      characteristics: { Per: 2 },
+      might: 15,
+      powers: [{ name: "Speak with Birds", cost: 1, form: "Animal" }],
+    });
+    expect(familiar).include({ might: 15 });
+    expect(familiar).not.property("bond");
+    expect(renderCharacterSheet(familiar)).include(
+      "<span>Speak with Birds (1 Might, Animal)</span>"
+    );
+  });
+});
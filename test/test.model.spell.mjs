@@ -0,0 +1,207 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  addMagnitudes,
+  castingTotal,
+  checkSpellLevel,
+  normalizeSpell,
+  spellFilter,
+  spellLevel,
+  validateSpell,
+} from "../src/model/spell.mjs";
+
+/**
+ * Test library for the spell model.
+ * @module test/model/spell
+ */
+
+describe("Spell model", function () {
+  const pilum = {
+    name: "Pilum of Fire",
+    technique: "Creo",
+    form: "Ignem",
+    range: "Voice",
+    duration: "Momentary",
+    target: "Individual",
+    base: 10,
+    level: 20,
+    description: "A javelin of fire.",
+  };
+
+  describe("Function addMagnitudes", function () {
+    [
+      [1, 0, 1],
+      [1, 2, 3],
+      [3, 3, 10],
+      [5, 1, 10],
+      [10, 2, 20],
+      [10, -1, 5],
+      [4, -5, 1],
+      [7, -1, 2],
+      [12, -3, 1],
+      [30, -4, 10],
+      [1e6, 1e8, 1e6 + 5e8],
+      [1e6, -1e8, 1],
+    ].forEach(([level, magnitudes, expected], index) => {
+      it(`Test #${index}: addMagnitudes(${level}, ${magnitudes})`, function () {
+        expect(addMagnitudes(level, magnitudes)).equal(expected);
+      });
+    });
+  });
+
+  describe("Function spellLevel", function () {
+    [
+      [pilum, 20],
+      [{ ...pilum, range: "Personal" }, 10],
+      [{ ...pilum, extraMagnitudes: 1 }, 25],
+      [{ ...pilum, base: 3, range: "Touch", duration: "Sun" }, 10],
+    ].forEach(([spell, expected], index) => {
+      it(`Test #${index}: ${spell.range}/${spell.duration}/${spell.target}`, function () {
+        expect(spellLevel(spell)).equal(expected);
+      });
+    });
+  });
+
+  describe("Function validateSpell", function () {
+    it("Valid spell", function () {
+      expect(validateSpell(pilum)).deep.equal([]);
+    });
+
+    [
+      ["Not an object", "Pilum", "$"],
+      ["Missing name", { ...pilum, name: " " }, "$.name"],
+      ["Unknown Technique", { ...pilum, technique: "Ignem" }, "$.technique"],
+      ["Unknown Range", { ...pilum, range: "Far" }, "$.range"],
+      [
+        "Unknown requisite",
+        { ...pilum, requisites: ["Fire"] },
+        "$.requisites[0]",
+      ],
+      ["Invalid base", { ...pilum, base: 0 }, "$.base"],
+      [
+        "Negative magnitudes",
+        { ...pilum, extraMagnitudes: -1 },
+        "$.extraMagnitudes",
+      ],
+      [
+        "Too many magnitudes",
+        { ...pilum, extraMagnitudes: 1e300 },
+        "$.extraMagnitudes",
+      ],
+    ].forEach(([name, spell, path], index) => {
+      it(`Test #${index}: ${name}`, function () {
+        expect(validateSpell(spell).map((issue) => issue.path)).include(path);
+      });
+    });
+  });
+
+  describe("Function checkSpellLevel", function () {
+    it("Accepts matching level", function () {
+      expect(checkSpellLevel(pilum)).deep.equal([]);
+    });
+
+    it("Flags level mismatch", function () {
+      const issues = checkSpellLevel({ ...pilum, level: 15 });
+      expect(issues).length(1);
+      expect(issues[0]).property("path", "$.level");
+    });
+  });
+
+  describe("Function spellFilter", function () {
+    const spells = [
+      normalizeSpell(pilum),
+      normalizeSpell({
+        ...pilum,
+        name: "Ball of Abysmal Flame",
+        range: "Touch",
+        level: 40,
+        description: undefined,
+      }),
+      normalizeSpell({
+        ...pilum,
+        name: "Wizard's Sidestep",
+        technique: "Rego",
+        form: "Imaginem",
+        base: 5,
+        range: "Personal",
+        duration: "Diameter",
+        level: 10,
+        description: undefined,
+      }),
+    ];
+
+    [
+      [{}, ["Pilum of Fire", "Ball of Abysmal Flame", "Wizard's Sidestep"]],
+      [{ technique: "Creo" }, ["Pilum of Fire", "Ball of Abysmal Flame"]],
+      [{ form: "Imaginem" }, ["Wizard's Sidestep"]],
+      [{ levelMin: 15, levelMax: 30 }, ["Pilum of Fire"]],
+      [{ keyword: "JAVELIN" }, ["Pilum of Fire"]],
+      [{ mismatch: true }, ["Ball of Abysmal Flame"]],
+    ].forEach(([query, expected], index) => {
+      it(`Test #${index}: ${JSON.stringify(query)}`, function () {
+        expect(
+          spells.filter(spellFilter(query)).map((spell) => spell.name)
+        ).deep.equal(expected);
+      });
+    });
+  });
+
+  describe("Function castingTotal", function () {
+    const magus = {
+      name: "Aelfric",
+      type: "magus",
+      characteristics: { Sta: 2 },
+      arts: { Creo: { xp: 15 }, Ignem: { xp: 6 } },
+    };
+
+    it("Adds the voice and the gestures", function () {
+      const { total, breakdown } = castingTotal({
+        magus,
+        technique: "Creo",
+        form: "Ignem",
+        aura: 3,
+        voice: "quiet",
+        gestures: "exaggerated",
+      });
+      expect(total).equal(5 + 3 + 2 + 3 - 5 + 1);
+      expect(breakdown.map(({ name }) => name)).deep.equal([
+        "Creo",
+        "Ignem",
+        "Stamina",
+        "Aura",
+        "Voice",
+        "Gestures",
+      ]);
+      expect(() =>
+        castingTotal({ magus, technique: "Creo", form: "Ignem", voice: "sung" })
+      ).throw(RangeError);
+    });
+
+    it("Applies the Deft Form and the Puissant Arts", function () {
+      const virtuous = {
+        ...magus,
+        virtues: [
+          { name: "Deft Form", subject: "Ignem" },
+          { name: "Puissant Art", subject: "Creo" },
+        ],
+      };
+      const parameters = { voice: "silent", gestures: "none" };
+      expect(
+        castingTotal({
+          magus: virtuous,
+          technique: "Creo",
+          form: "Ignem",
+          ...parameters,
+        }).total
+      ).equal(5 + 3 + 3 + 2);
+      expect(
+        castingTotal({
+          magus: virtuous,
+          technique: "Creo",
+          form: "Aquam",
+          ...parameters,
+        }).total
+      ).equal(5 + 3 + 2 - 15);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { castingTotal } from "../src/model/spell.mjs";
+import {
+  attunementBonuses,
+  effectCapacity,
+  openCapacity,
+  validateTalisman,
+  validateTalismanProperty,
+} from "../src/model/talisman.mjs";
+
+/**
+ * Test library for the talismans.
+ * @module test/model/talisman
+ */
+
+describe("Talisman", function () {
+  /** @type {import("../src/model/talisman.mjs").Talisman} */
+  const staff = {
+    name: "Oaken staff",
+    capacity: 10,
+    attunements: [
+      { name: "Oak", bonus: 3, art: "Herbam" },
+      { name: "Staff", bonus: 2, art: "Ignem" },
+    ],
+    effects: [
+      { name: "Kindle the Flame", level: 15 },
+      { name: "Ward against Wood", level: 30 },
+    ],
+  };
+
+  /** @type {import("../src/model/character.mjs").Character} */
+  const magus = {
+    name: "Aelfric",
+    type: "magus",
+    characteristics: { Sta: 2 },
+    arts: { Creo: { xp: 15 }, Ignem: { xp: 6 } },
+    talisman: staff,
+  };
+
+  it("Computes the open capacity", function () {
+    expect([1, 10, 11, 30].map(effectCapacity)).deep.equal([1, 1, 2, 3]);
+    expect(openCapacity(staff)).equal(5);
+    expect(openCapacity({ name: "Ring", capacity: 4 })).equal(4);
+  });
+
+  it("Adds the attunements to the Casting Totals", function () {
+    expect(attunementBonuses(magus, "Creo", "Ignem")).deep.equal([
+      { name: "Talisman Staff", value: 2 },
+    ]);
+    expect(attunementBonuses(magus, "Creo", "Aquam")).deep.equal([]);
+    expect(castingTotal({ magus, technique: "Creo", form: "Ignem" })).include({
+      total: 5 + 3 + 2 + 2,
+    });
+  });
+
+  it("Accepts a valid talisman", function () {
+    expect(validateTalisman(staff)).deep.equal([]);
+    expect(validateTalismanProperty(magus)).deep.equal([]);
+    expect(validateTalismanProperty({ ...magus, talisman: undefined })).length(
+      1
+    );
+  });
+
+  [
+    [{ ...staff, name: " " }, "$.talisman.name"],
+    [{ ...staff, capacity: 0 }, "$.talisman.capacity"],
+    [{ ...staff, attunements: {} }, "$.talisman.attunements"],
+    [
+      { ...staff, attunements: [{ name: "Oak", bonus: 0, art: "Herbam" }] },
+      "$.talisman.attunements[0].bonus",
+    ],
+    [
+      { ...staff, attunements: [{ name: "Oak", bonus: 3, art: "Wood" }] },
+      "$.talisman.attunements[0].art",
+    ],
+    [
+      { ...staff, effects: [{ name: "Flame", level: 1.5 }] },
+      "$.talisman.effects[0].level",
+    ],
+    [{ ...staff, capacity: 4 }, "$.talisman.effects"],
+  ].forEach(([talisman, path], index) => {
+    it(`Test #${index}: Rejects ${path}`, function () {
+      expect(validateTalisman(talisman).map((issue) => issue.path)).include(
+        path
+      );
+    });
+  });
+
+  it("Rejects the talismans of the mundanes", function () {
+    expect(
+      validateTalismanProperty({ ...magus, type: "companion" })
+    ).deep.equal([{ path: "$.talisman", message: "Only magi have talismans" }]);
+  });
+});
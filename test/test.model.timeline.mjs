@@ -0,0 +1,266 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { normalizeCharacter } from "../src/model/character.mjs";
+import {
+  advanceTimeline,
+  compareSeasons,
+  createTimeline,
+  nextSeason,
+  parseSeasonKey,
+  previousSeason,
+  recordActivity,
+  replayTimeline,
+  resolveSeason,
+  teachingQuality,
+  TimelineError,
+  validateActivity,
+} from "../src/model/timeline.mjs";
+
+/**
+ * Test library for the seasonal timeline.
+ * @module test/model/timeline
+ */
+
+describe("Timeline", function () {
+  const magus = normalizeCharacter({
+    id: "m",
+    name: "Flambeau",
+    type: "magus",
+    characteristics: { Com: 1 },
+    abilities: [
+      { name: "Magic Theory", xp: 15 },
+      { name: "Teaching", xp: 15 },
+      { name: "Latin", xp: 75 },
+    ],
+    arts: { Ignem: { xp: 10 } },
+  });
+  const grog = normalizeCharacter({
+    id: "g",
+    name: "Grog",
+    type: "grog",
+    characteristics: {},
+    abilities: [{ name: "Brawl", xp: 5 }],
+  });
+  const characters = { m: magus, g: grog };
+
+  describe("Seasons", function () {
+    it("Orders and steps the seasons", function () {
+      expect(nextSeason({ year: 1220, season: "autumn" })).deep.equal({
+        year: 1220,
+        season: "winter",
+      });
+      expect(nextSeason({ year: 1220, season: "winter" })).deep.equal({
+        year: 1221,
+        season: "spring",
+      });
+      expect(previousSeason({ year: 1221, season: "spring" })).deep.equal({
+        year: 1220,
+        season: "winter",
+      });
+      expect(
+        compareSeasons(
+          { year: 1220, season: "winter" },
+          { year: 1221, season: "spring" }
+        )
+      ).lessThan(0);
+      expect(parseSeasonKey("1220-summer")).deep.equal({
+        year: 1220,
+        season: "summer",
+      });
+      expect(() => parseSeasonKey("1220-monsoon")).to.throw(SyntaxError);
+    });
+  });
+
+  describe("Function validateActivity", function () {
+    [
+      [{ type: "lab" }, []],
+      [{ type: "practice", target: { kind: "ability", name: "Brawl" } }, []],
+      [{ type: "sleeping" }, ["$.type"]],
+      [{ type: "study", target: { kind: "art", name: "Vim" } }, ["$.quality"]],
+      [
+        {
+          type: "visStudy",
+          target: { kind: "ability", name: "Latin" },
+          roll: 3,
+        },
+        ["$.target.kind"],
+      ],
+      [
+        { type: "teaching", target: { kind: "ability", name: "Latin" } },
+        ["$.students"],
+      ],
+      [
+        {
+          type: "adventure",
+          target: { kind: "ability", name: "Brawl" },
+          quality: 3,
+        },
+        ["$.quality"],
+      ],
+    ].forEach(([activity, paths], index) => {
+      it(`Test #${index}: ${activity.type}`, function () {
+        expect(
+          validateActivity(activity).map((issue) => issue.path)
+        ).deep.equal(paths);
+      });
+    });
+  });
+
+  describe("Function resolveSeason", function () {
+    it("Resolves the activities of the season", function () {
+      const result = resolveSeason(
+        [
+          {
+            character: "m",
+            activity: {
+              type: "visStudy",
+              target: { kind: "art", name: "Ignem" },
+              roll: 4,
+            },
+          },
+          {
+            character: "g",
+            activity: {
+              type: "practice",
+              target: { kind: "ability", name: "Brawl" },
+            },
+          },
+        ],
+        characters,
+        { aura: 3 }
+      );
+      expect(result.characters.m.arts.Ignem).deep.equal({ xp: 17, score: 5 });
+      expect(result.characters.g.abilities[0]).include({ xp: 9, level: 1 });
+      expect(result.outcomes.map((outcome) => outcome.xp)).deep.equal([7, 4]);
+    });
+
+    it("Limits the study by the summa level", function () {
+      const result = resolveSeason(
+        [
+          {
+            character: "m",
+            activity: {
+              type: "study",
+              target: { kind: "ability", name: "Magic Theory" },
+              quality: 20,
+              level: 3,
+            },
+          },
+        ],
+        characters
+      );
+      expect(result.outcomes[0].xp).equal(15);
+      expect(result.characters.m.abilities[0]).include({ xp: 30, level: 3 });
+    });
+
+    it("Gives exposure to distracted characters", function () {
+      const result = resolveSeason(
+        [
+          {
+            character: "m",
+            activity: {
+              type: "study",
+              target: { kind: "art", name: "Ignem" },
+              quality: 10,
+              distraction: 11,
+            },
+          },
+        ],
+        characters
+      );
+      expect(result.outcomes[0]).include({ distracted: true, xp: 2 });
+      expect(result.characters.m.arts.Ignem.xp).equal(12);
+    });
+
+    it("Teaches the students", function () {
+      expect(teachingQuality(magus, 1)).equal(1 + 2 + 3 + 6);
+      const result = resolveSeason(
+        [
+          {
+            character: "m",
+            activity: {
+              type: "teaching",
+              target: { kind: "ability", name: "Latin" },
+              students: ["g"],
+            },
+          },
+        ],
+        characters
+      );
+      expect(result.characters.g.abilities[1]).include({
+        name: "Latin",
+        xp: 12,
+      });
+      expect(result.characters.m.abilities[1]).include({
+        name: "Teaching",
+        xp: 17,
+      });
+    });
+
+    it("Rejects occupied students", function () {
+      expect(() =>
+        resolveSeason(
+          [
+            {
+              character: "m",
+              activity: {
+                type: "teaching",
+                target: { kind: "ability", name: "Latin" },
+                students: ["g"],
+              },
+            },
+            { character: "g", activity: { type: "lab" } },
+          ],
+          characters
+        )
+      ).to.throw(TimelineError);
+    });
+  });
+
+  describe("Advancing and replaying", function () {
+    const spring = { year: 1220, season: "spring" };
+    const summer = { year: 1220, season: "summer" };
+    const practice = {
+      type: "practice",
+      target: { kind: "ability", name: "Brawl" },
+    };
+
+    it("Advances and replays the timeline", function () {
+      let timeline = createTimeline("cov", spring);
+      timeline = recordActivity(timeline, {
+        ...spring,
+        character: "g",
+        activity: practice,
+      });
+      timeline = recordActivity(timeline, {
+        ...summer,
+        character: "g",
+        activity: practice,
+      });
+      let state = characters;
+      ({ timeline, characters: state } = advanceTimeline(timeline, state));
+      ({ timeline, characters: state } = advanceTimeline(timeline, state));
+      expect(timeline.current).deep.equal({ year: 1220, season: "autumn" });
+      expect(state.g.abilities[0].xp).equal(13);
+
+      timeline = recordActivity(timeline, {
+        ...spring,
+        character: "g",
+        activity: { ...practice, xp: 8 },
+      });
+      const replayed = replayTimeline(timeline, spring, state);
+      expect(replayed.characters.g.abilities[0].xp).equal(17);
+      expect(replayed.timeline.current).deep.equal(timeline.current);
+      expect(Object.keys(replayed.outcomes)).deep.equal([
+        "1220-spring",
+        "1220-summer",
+      ]);
+    });
+
+    it("Rejects replaying unresolved seasons", function () {
+      expect(() =>
+        replayTimeline(createTimeline("cov", spring), spring, characters)
+      ).to.throw(TimelineError);
+    });
+  });
+});
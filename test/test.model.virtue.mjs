@@ -0,0 +1,229 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { advance } from "../src/model/advancement.mjs";
+import { labTotal } from "../src/model/lab.mjs";
+import {
+  advancementOptions,
+  experienceMultiplier,
+  findVirtue,
+  VIRTUE_CATALOGUE,
+  validateVirtuePackage,
+  validateVirtues,
+  virtuePoints,
+} from "../src/model/virtue.mjs";
+
+/**
+ * Test library for the Virtues and Flaws.
+ * @module test/model/virtue
+ */
+
+describe("Virtue model", function () {
+  const magus = {
+    name: "Aelfric",
+    type: "magus",
+    characteristics: { Int: 2 },
+    abilities: [{ name: "Magic Theory", xp: 30 }],
+    arts: { Creo: { xp: 15 }, Ignem: { xp: 6 } },
+    virtues: [
+      { name: "The Gift" },
+      { name: "Hermetic Magus" },
+      { name: "Affinity with Art", subject: "Creo" },
+      { name: "Puissant Art", subject: "Ignem" },
+      { name: "Affinity with Ability", subject: "Magic Theory" },
+      { name: "Blatant Gift" },
+    ],
+  };
+
+  describe("Catalogue", function () {
+    it("Has unique names and known magnitudes", function () {
+      const names = VIRTUE_CATALOGUE.map(({ name }) => name);
+      expect(new Set(names).size).equal(names.length);
+      expect(findVirtue("Puissant Art")).include({
+        kind: "virtue",
+        magnitude: "Minor",
+        type: "Hermetic",
+      });
+      expect(findVirtue("Unknown")).equal(undefined);
+    });
+
+    it("Counts the Virtue and Flaw points", function () {
+      expect(virtuePoints(magus)).deep.equal({ virtues: 3, flaws: 3 });
+    });
+  });
+
+  describe("Modifiers", function () {
+    it("Multiplies the experience of the Affinities", function () {
+      expect(experienceMultiplier(magus, "art", "Creo")).equal(1.5);
+      expect(experienceMultiplier(magus, "art", "Ignem")).equal(1);
+      expect(experienceMultiplier(magus, "ability", "Magic Theory")).equal(1.5);
+      expect(experienceMultiplier(magus, "ability", "Creo")).equal(1);
+    });
+
+    it("Lowers the advancement costs of the Affinities", function () {
+      const { character, spent, changes } = advance(
+        magus,
+        { xp: 20, arts: [{ name: "Creo", level: 7 }] },
+        advancementOptions(magus)
+      );
+      expect(spent).equal(9);
+      expect(changes).deep.equal([
+        { kind: "art", name: "Creo", xp: 9, gained: 14, from: 5, to: 7 },
+      ]);
+      expect(character.arts.Creo).deep.equal({ xp: 29, score: 7 });
+
+      const read = advance(
+        magus,
+        { xp: 5, abilities: [{ name: "Magic Theory", xp: 5 }] },
+        advancementOptions(magus)
+      );
+      expect(read.changes[0]).include({ xp: 5, gained: 8, to: 3 });
+      expect(advance(magus, { xp: 5, arts: [{ name: "Ignem", xp: 5 }] }))
+        .property("changes")
+        .deep.equal([{ kind: "art", name: "Ignem", xp: 5, from: 3, to: 4 }]);
+    });
+
+    it("Adds the Puissant Arts to the Lab Totals", function () {
+      const { total, breakdown } = labTotal({
+        magus,
+        technique: "Creo",
+        form: "Ignem",
+      });
+      expect(breakdown).deep.include({
+        name: "Puissant Art (Ignem)",
+        value: 3,
+      });
+      expect(total).equal(5 + 3 + 2 + 3 + 3);
+    });
+  });
+
+  describe("validateVirtues", function () {
+    [
+      [[{ name: "Luck" }], "grog", []],
+      [[{ name: "Lucky" }], "grog", ["$.virtues[0].name"]],
+      [
+        [{ name: "Puissant Art", subject: "Latin" }],
+        "magus",
+        ["$.virtues[0].subject"],
+      ],
+      [[{ name: "Luck", subject: "Dice" }], "grog", ["$.virtues[0].subject"]],
+      [[{ name: "Luck" }, { name: "Luck" }], "grog", ["$.virtues[1].name"]],
+      [
+        [
+          { name: "Improved Characteristics" },
+          { name: "Improved Characteristics" },
+        ],
+        "grog",
+        [],
+      ],
+      [
+        [
+          { name: "Affinity with Ability", subject: "Brawl" },
+          { name: "Affinity with Ability", subject: "Athletics" },
+        ],
+        "grog",
+        [],
+      ],
+      [[{ name: "The Gift" }], "companion", ["$.virtues[0].name"]],
+      ["The Gift", "magus", ["$.virtues"]],
+    ].forEach(([virtues, type, paths], index) => {
+      it(`Test #${index}: Reports the issues ${paths.join(", ")}`, function () {
+        expect(
+          validateVirtues(virtues, type).map(({ path }) => path)
+        ).deep.equal(paths);
+      });
+    });
+  });
+
+  describe("validateVirtuePackage", function () {
+    it("Accepts balanced packages", function () {
+      expect(validateVirtuePackage(magus)).deep.equal([]);
+      expect(
+        validateVirtuePackage({
+          type: "grog",
+          virtues: [
+            { name: "Covenfolk" },
+            { name: "Tough" },
+            { name: "Luck" },
+            { name: "Lame" },
+            { name: "Proud" },
+          ],
+        })
+      ).deep.equal([]);
+    });
+
+    [
+      [
+        "magus",
+        [{ name: "Hermetic Magus" }, { name: "Luck" }],
+        [
+          "The 1 points of Virtues do not balance the 0 points of Flaws",
+          "A magus must have The Gift",
+        ],
+      ],
+      [
+        "grog",
+        [{ name: "Peasant" }, { name: "Entrancement" }, { name: "Enemies" }],
+        [
+          "A grog may not take the Major virtue Entrancement",
+          "A grog may not take the Major flaw Enemies",
+        ],
+      ],
+      [
+        "grog",
+        [
+          { name: "Peasant" },
+          { name: "Luck" },
+          { name: "Tough" },
+          { name: "Book Learner" },
+          { name: "Good Teacher" },
+          { name: "Improved Characteristics" },
+          { name: "Lame" },
+          { name: "Proud" },
+          { name: "Greedy" },
+          { name: "Reckless" },
+          { name: "Wrathful" },
+        ],
+        [
+          "A grog may have at most 3 points of Flaws, got 5",
+          "A character may have at most 3 Personality Flaws",
+        ],
+      ],
+      [
+        "companion",
+        [
+          { name: "Knight" },
+          { name: "Luck" },
+          { name: "Peasant" },
+          { name: "Lame" },
+          { name: "Dependent" },
+        ],
+        ["A character must have exactly one Social Status, got 2"],
+      ],
+      [
+        "companion",
+        [
+          { name: "Wanderer" },
+          { name: "Heir" },
+          { name: "Mentor" },
+          { name: "Dependent" },
+          { name: "Dark Secret" },
+        ],
+        ["A character may have at most 1 Story Flaw"],
+      ],
+      [
+        "companion",
+        [{ name: "Luck" }],
+        [
+          "The 1 points of Virtues do not balance the 0 points of Flaws",
+          "A character must have exactly one Social Status, got 0",
+        ],
+      ],
+    ].forEach(([type, virtues, messages], index) => {
+      it(`Test #${index}: Rejects the unbalanced ${type}`, function () {
+        expect(
+          validateVirtuePackage({ type, virtues }).map(({ message }) => message)
+        ).deep.equal(messages);
+      });
+    });
+  });
+});
@@ -0,0 +1,217 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  checkTransaction,
+  postings,
+  reverseTransaction,
+  sameAccount,
+  validateTransaction,
+  visBalances,
+  VisError,
+} from "../src/model/vis.mjs";
+
+/**
+ * Test library for the vis ledger.
+ * @module test/model/vis
+ */
+
+describe("Vis ledger", function () {
+  const covenant = { kind: "covenant", id: "v1" };
+  const magus = { kind: "character", id: "c1" };
+
+  /** @type {import("../src/model/vis.mjs").VisTransaction[]} */
+  const ledger = [
+    {
+      id: "t1",
+      type: "harvest",
+      art: "Ignem",
+      pawns: 6,
+      year: 1220,
+      season: "summer",
+      to: covenant,
+      source: "Dragon's Breath",
+    },
+    {
+      id: "t2",
+      type: "transfer",
+      art: "Ignem",
+      pawns: 4,
+      year: 1220,
+      season: "autumn",
+      from: covenant,
+      to: magus,
+    },
+    {
+      id: "t3",
+      type: "lab",
+      art: "Ignem",
+      pawns: 3,
+      year: 1221,
+      season: "spring",
+      from: magus,
+    },
+    {
+      id: "t4",
+      type: "trade",
+      art: "Vim",
+      pawns: 2,
+      year: 1220,
+      season: "spring",
+      to: covenant,
+    },
+  ];
+
+  describe("Function validateTransaction", function () {
+    it("Valid transactions", function () {
+      ledger.forEach((transaction) =>
+        expect(validateTransaction(transaction)).deep.equal([])
+      );
+    });
+
+    [
+      [{ ...ledger[0], to: magus }, ["$.to.kind"]],
+      [{ ...ledger[0], source: undefined }, ["$.source"]],
+      [{ ...ledger[1], to: { kind: "covenant", id: "v1" } }, ["$.to"]],
+      [{ ...ledger[2], to: covenant }, ["$.to"]],
+      [{ ...ledger[3], from: magus }, ["$"]],
+      [{ ...ledger[2], source: "Well" }, ["$.source"]],
+      [
+        { ...ledger[2], art: "Fire", pawns: 0, season: "fall", year: "1220" },
+        ["$.art", "$.pawns", "$.year", "$.season"],
+      ],
+      [
+        { ...ledger[1], from: { kind: "tribunal", id: "" } },
+        ["$.from.kind", "$.from.id"],
+      ],
+      [{ ...ledger[1], type: "gift" }, ["$.type"]],
+    ].forEach(([transaction, paths], index) => {
+      it(`Test #${index}: Invalid ${transaction.type}`, function () {
+        expect(
+          validateTransaction(transaction).map((issue) => issue.path)
+        ).deep.equal(paths);
+      });
+    });
+  });
+
+  describe("Postings", function () {
+    it("Postings sum up to zero", function () {
+      ledger.forEach((transaction) =>
+        expect(
+          postings(transaction).reduce((sum, { pawns }) => sum + pawns, 0)
+        ).equal(0)
+      );
+      expect(postings(ledger[2])[1]).deep.equal({
+        account: { kind: "external", id: "lab" },
+        art: "Ignem",
+        pawns: 3,
+      });
+    });
+
+    it("Accounts match by the same value zero equality", function () {
+      expect(sameAccount(covenant, { kind: "covenant", id: "v1" })).equal(true);
+      expect(sameAccount(covenant, magus)).equal(false);
+      expect(
+        sameAccount(
+          { kind: "character", id: NaN },
+          { kind: "character", id: NaN }
+        )
+      ).equal(true);
+    });
+  });
+
+  describe("Function visBalances", function () {
+    it("Balances by account and Art", function () {
+      expect(visBalances(ledger)).deep.equal([
+        { account: covenant, art: "Vim", pawns: 2 },
+        { account: covenant, art: "Ignem", pawns: 2 },
+        { account: magus, art: "Ignem", pawns: 1 },
+      ]);
+    });
+
+    it("Balances as of a season", function () {
+      expect(
+        visBalances(ledger, { until: { year: 1220, season: "autumn" } })
+      ).deep.equal([
+        { account: covenant, art: "Vim", pawns: 2 },
+        { account: covenant, art: "Ignem", pawns: 2 },
+        { account: magus, art: "Ignem", pawns: 4 },
+      ]);
+      expect(
+        visBalances(ledger, {
+          until: { year: 1220, season: "summer" },
+          account: covenant,
+        })
+      ).deep.equal([
+        { account: covenant, art: "Vim", pawns: 2 },
+        { account: covenant, art: "Ignem", pawns: 6 },
+      ]);
+    });
+
+    it("The external accounts show the sources and the sinks", function () {
+      const external = visBalances(ledger, { external: true }).filter(
+        ({ account }) => account.kind === "external"
+      );
+      expect(external).deep.include({
+        account: { kind: "external", id: "harvest" },
+        art: "Ignem",
+        pawns: -6,
+      });
+      expect(external).deep.include({
+        account: { kind: "external", id: "lab" },
+        art: "Ignem",
+        pawns: 3,
+      });
+    });
+
+    it("Reversals cancel their transactions", function () {
+      const reversal = { ...reverseTransaction(ledger[3]), id: "t5" };
+      expect(reversal).include({ reverses: "t4", type: "trade" });
+      expect(
+        visBalances([...ledger, reversal], { account: covenant })
+      ).deep.equal([{ account: covenant, art: "Ignem", pawns: 2 }]);
+      expect(() => reverseTransaction(reversal)).throw(VisError);
+    });
+  });
+
+  describe("Function checkTransaction", function () {
+    it("Holders may not spend vis they do not hold", function () {
+      expect(
+        checkTransaction(ledger, { ...ledger[2], id: undefined, pawns: 1 })
+      ).deep.equal([]);
+      expect(
+        checkTransaction(ledger, { ...ledger[2], id: undefined, pawns: 2 })
+      ).deep.equal([
+        {
+          path: "$.pawns",
+          message:
+            "Insufficient vis: the character c1 would hold -1 pawns of Ignem vis in 1221-spring",
+        },
+      ]);
+    });
+
+    it("A back dated transaction may not overdraw a later season", function () {
+      expect(
+        checkTransaction(ledger, {
+          type: "study",
+          art: "Ignem",
+          pawns: 2,
+          year: 1220,
+          season: "winter",
+          from: magus,
+        }).map((issue) => issue.path)
+      ).deep.equal(["$.pawns"]);
+    });
+
+    it("A vis source is harvested once a year", function () {
+      const again = { ...ledger[0], id: undefined, season: "autumn" };
+      expect(
+        checkTransaction(ledger, again).map((issue) => issue.path)
+      ).deep.equal(["$.source"]);
+      expect(
+        checkTransaction(ledger, { ...again, year: 1221 }).map(
+          (issue) => issue.path
+        )
+      ).deep.equal([]);
+    });
+  });
+});
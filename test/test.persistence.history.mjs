@@ -0,0 +1,189 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  HistoryRepository,
+  recordChanges,
+} from "../src/persistence/history.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+import { TransactionManager } from "../src/persistence/transaction.mjs";
+
+/**
+ * Test library for the recording of the entity histories.
+ * @module test/persistence/history
+ */
+
+/**
+ * Create a recorded repository of the covenants.
+ * @param {Object[]} [entities] The stored covenants.
+ * @returns {{covenants: HistoryRepository, events: MemoryRepository}} The recorded
+ * repository and the repository of its history.
+ */
+function recordedCovenants(entities = []) {
+  let next = 1;
+  const transactions = new TransactionManager();
+  const events = new MemoryRepository({
+    idGenerator: () => `e${next++}`,
+    transactions,
+  });
+  const covenants = new HistoryRepository(
+    new MemoryRepository({
+      entities,
+      idGenerator: () => `v${next++}`,
+      transactions,
+    }),
+    "covenant",
+    events,
+    { seasonOf: async () => ({ year: 1220, season: "spring" }) }
+  );
+  return { covenants, events };
+}
+
+describe("History recording", function () {
+  it("Records the changes with their author and season", async function () {
+    const { covenants, events } = recordedCovenants();
+    const created = await recordChanges({ author: "u1" }, () =>
+      covenants.create({ name: "Fengheld", saga: "s1" })
+    );
+    await recordChanges({ author: "u2" }, () =>
+      covenants.update(created.id, { ...created, aura: 3 })
+    );
+    const history = await covenants.history(created.id);
+    expect(history).length(2);
+    expect(history[0]).include({
+      entity: "covenant",
+      entityId: created.id,
+      saga: "s1",
+      entityVersion: 1,
+      action: "created",
+      author: "u1",
+    });
+    expect(history[0].season).deep.equal({ year: 1220, season: "spring" });
+    expect(history[1]).include({
+      entityVersion: 2,
+      action: "updated",
+      author: "u2",
+    });
+    expect(history[1].changes).deep.equal([
+      { op: "add", path: "/aura", value: 3 },
+    ]);
+    expect(await events.list()).length(2);
+  });
+
+  it("Rebuilds the current state by replaying the history", async function () {
+    const { covenants } = recordedCovenants();
+    const created = await covenants.create({ name: "Fengheld" });
+    let current = created;
+    for (const aura of [1, 2, 3]) {
+      current = await covenants.update(created.id, { ...current, aura });
+    }
+    await recordChanges({ reverts: 2 }, () =>
+      covenants.update(created.id, { ...current, aura: 1 })
+    );
+    const { id, version, ...state } = await covenants.get(created.id);
+    expect(await covenants.rebuild(id)).deep.equal({ version, state });
+    expect((await covenants.history(created.id)).at(-1)).include({
+      action: "reverted",
+      reverts: 2,
+      entityVersion: 5,
+    });
+
+    await covenants.delete(created.id);
+    expect(await covenants.rebuild(created.id)).deep.equal({ version: 6 });
+    expect(await covenants.rebuild("missing")).undefined;
+    expect((await covenants.history(created.id)).at(-1)).include({
+      action: "deleted",
+      entityVersion: 6,
+    });
+  });
+
+  it("Starts the history of a stored entity with its snapshot", async function () {
+    const { covenants } = recordedCovenants([
+      { id: "old", version: 4, name: "Durenmar" },
+    ]);
+    await covenants.update("old", { name: "Durenmar", aura: 9, version: 4 });
+    const history = await covenants.history("old");
+    expect(
+      history.map(({ action, entityVersion }) => [action, entityVersion])
+    ).deep.equal([
+      ["snapshot", 4],
+      ["updated", 5],
+    ]);
+    expect(history[0]).not.property("author");
+    expect(await covenants.rebuild("old")).deep.equal({
+      version: 5,
+      state: { name: "Durenmar", aura: 9 },
+    });
+  });
+
+  it("Records nothing for the failed changes", async function () {
+    const { covenants, events } = recordedCovenants();
+    const created = await covenants.create({ name: "Fengheld" });
+    try {
+      await covenants.update(created.id, { name: "Fengheld", version: 7 });
+      expect.fail("Expected a version conflict");
+    } catch (error) {
+      expect(error.name).equal("VersionConflictError");
+    }
+    expect(await covenants.delete("missing")).false;
+    expect(await events.list()).length(1);
+  });
+
+  it("Keeps the latest versions without reading the histories", async function () {
+    const { covenants, events } = recordedCovenants();
+    const created = await covenants.create({ name: "Fengheld" });
+    const list = events.list.bind(events);
+    let reads = 0;
+    events.list = (filter) => {
+      reads++;
+      return list(filter);
+    };
+    let current = created;
+    for (const aura of [1, 2, 3]) {
+      current = await covenants.update(created.id, { ...current, aura });
+    }
+    await covenants.delete(created.id);
+    expect(reads).equal(0);
+    expect(await covenants.history(created.id)).length(5);
+  });
+
+  it("Rebuilds the latest version after a rolled back change", async function () {
+    const { covenants } = recordedCovenants();
+    const created = await covenants.create({ name: "Fengheld" });
+    try {
+      await covenants.transaction(async () => {
+        await covenants.update(created.id, { ...created, aura: 3 });
+        throw new Error("Rolled back");
+      });
+    } catch (error) {
+      expect(error.message).equal("Rolled back");
+    }
+    const updated = await covenants.update(created.id, { ...created, aura: 4 });
+    expect(updated).include({ aura: 4, version: 2 });
+    expect(
+      (await covenants.history(created.id)).map(({ action }) => action)
+    ).deep.equal(["created", "updated"]);
+  });
+
+  it("Rolls back the changes the history does not rebuild", async function () {
+    const { covenants, events } = recordedCovenants();
+    const created = await covenants.create({ name: "Fengheld" });
+    const [first] = await events.list();
+    await events.update(first.id, {
+      ...first,
+      changes: [{ op: "add", path: "", value: { name: "Durenmar" } }],
+    });
+    const reopened = new HistoryRepository(
+      covenants.repository,
+      "covenant",
+      events
+    );
+    try {
+      await reopened.update(created.id, { ...created, aura: 3 });
+      expect.fail("Expected a history error");
+    } catch (error) {
+      expect(error.name).equal("HistoryError");
+    }
+    expect(await covenants.get(created.id)).deep.equal(created);
+    expect(await events.list()).length(1);
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { IteratorHelper } from "../src/arm5tools/utils.mjs";
+import { AsyncQuery, compareKeys, Query } from "../src/persistence/query.mjs";
+
+/**
+ * Test library for the lazy queries.
+ * @module test/persistence/query
+ */
+
+/**
+ * Create a source counting the read values.
+ * @param {number} [end=Infinity] The end of the values.
+ * @returns {{values: Generator<number>, read: () => number, closed: () => boolean}}
+ * The source of the integers from 0 to the end.
+ */
+function countingSource(end = Infinity) {
+  let read = 0;
+  let closed = false;
+  return {
+    values: (function* () {
+      try {
+        for (let value = 0; value < end; value++) {
+          read++;
+          yield value;
+        }
+      } finally {
+        closed = true;
+      }
+    })(),
+    read: () => read,
+    closed: () => closed,
+  };
+}
+
+/**
+ * Create an asynchronous source of values.
+ * @template VALUE The type of the values.
+ * @param {VALUE[]} values The values.
+ * @returns {AsyncGenerator<VALUE>} The source of the values.
+ */
+async function* asyncSource(values) {
+  for (const value of values) {
+    await Promise.resolve();
+    yield value;
+  }
+}
+
+const books = [
+  { title: "Summa of Creo", subject: "Creo", quality: 12 },
+  { title: "Tractatus of Ignem", subject: "Ignem", quality: 8 },
+  { title: "Tractatus of Creo", subject: "Creo", quality: 10 },
+  { title: "Summa of Ignem", subject: "Ignem", quality: 12 },
+];
+
+describe("Queries", function () {
+  describe("Synchronous query", function () {
+    it("Extends the iterator helper", function () {
+      const query = new Query([1, 2, 3]);
+      expect(query).instanceOf(IteratorHelper);
+      expect(query.some((value) => value > 2)).true;
+      expect([...new Query([1, 2]).map((value) => value * 2)]).deep.equal([
+        2, 4,
+      ]);
+    });
+
+    it("Reads the source only as far as needed", function () {
+      const source = countingSource();
+      const query = new Query(source.values)
+        .drop(2)
+        .filter((value) => value % 2 === 1)
+        .map((value) => value * 10)
+        .take(3);
+      expect(source.read()).equal(0);
+      expect(query.toArray()).deep.equal([30, 50, 70]);
+      expect(source.read()).equal(8);
+      expect(source.closed()).true;
+      expect(new Query([1, 2]).take(0).toArray()).deep.equal([]);
+    });
+
+    it("Flattens, chunks and zips the values", function () {
+      expect(
+        new Query([1, 2]).flatMap((value) => [value, -value]).toArray()
+      ).deep.equal([1, -1, 2, -2]);
+      expect(new Query([1, 2, 3, 4, 5]).chunk(2).toArray()).deep.equal([
+        [1, 2],
+        [3, 4],
+        [5],
+      ]);
+      const source = countingSource();
+      expect(
+        new Query(["a", "b"]).zip(source.values, [true, false, true]).toArray()
+      ).deep.equal([
+        ["a", 0, true],
+        ["b", 1, false],
+      ]);
+      expect(source.closed()).true;
+    });
+
+    it("Reduces and groups the values", function () {
+      expect(
+        new Query(books).reduce((sum, book) => sum + book.quality, 0)
+      ).equal(42);
+      expect(
+        [...new Query(books).groupBy("subject")].map(([subject, group]) => [
+          subject,
+          group.length,
+        ])
+      ).deep.equal([
+        ["Creo", 2],
+        ["Ignem", 2],
+      ]);
+    });
+
+    it("Sorts the values with a bounded buffer", function () {
+      expect(
+        new Query(books)
+          .sortBy("quality", { descending: true })
+          .map((book) => book.title)
+          .toArray()
+      ).deep.equal([
+        "Summa of Creo",
+        "Summa of Ignem",
+        "Tractatus of Creo",
+        "Tractatus of Ignem",
+      ]);
+      expect(
+        new Query([5, undefined, 3, 9, 1, 7])
+          .sortBy((value) => value, { limit: 3 })
+          .toArray()
+      ).deep.equal([1, 3, 5]);
+      expect(compareKeys("Creo", undefined)).below(0);
+    });
+
+    it("Keeps the order of the equal keys over many values", function () {
+      const values = Array.from({ length: 1000 }, (_, index) => ({
+        index,
+        key: (index * 7919) % 13,
+      }));
+      const sorted = [...values].sort((a, b) => b.key - a.key);
+      [undefined, 0, 1, 10, 100, 999, 1000].forEach((limit) => {
+        expect(
+          new Query(values).sortBy("key", { descending: true, limit }).toArray()
+        ).deep.equal(sorted.slice(0, limit ?? Infinity));
+      });
+    });
+
+    it("Rejects the invalid counts", function () {
+      expect(() => new Query().take(-1)).throw(RangeError);
+      expect(() => new Query().drop(0.5)).throw(RangeError);
+      expect(() => new Query().chunk(0)).throw(RangeError);
+      expect(() => new Query().sortBy("id", { limit: -1 })).throw(RangeError);
+    });
+  });
+
+  describe("Asynchronous query", function () {
+    it("Runs the steps over async iterators", async function () {
+      const query = new AsyncQuery(asyncSource(books))
+        .filter(async (book) => book.subject === "Creo")
+        .map(async (book) => book.title);
+      expect(await query.toArray()).deep.equal([
+        "Summa of Creo",
+        "Tractatus of Creo",
+      ]);
+
+      const pages = await new AsyncQuery(asyncSource([1, 2, 3, 4, 5]))
+        .drop(1)
+        .chunk(2)
+        .zip(asyncSource(["first", "second", "third"]))
+        .toArray();
+      expect(pages).deep.equal([
+        [[2, 3], "first"],
+        [[4, 5], "second"],
+      ]);
+      expect(
+        await new AsyncQuery([1, 2])
+          .flatMap(async (value) => asyncSource([value, value]))
+          .reduce((sum, value) => sum + value, 0)
+      ).equal(6);
+    });
+
+    it("Closes the source after the taken values", async function () {
+      const source = countingSource();
+      const query = new Query(source.values).async();
+      expect(await query.take(2).toArray()).deep.equal([0, 1]);
+      expect(source.closed()).true;
+      expect(
+        await new AsyncQuery(asyncSource([3, 4])).find((value) => value > 3)
+      ).equal(4);
+      expect(await new AsyncQuery([1, 2]).every((value) => value > 1)).false;
+    });
+
+    it("Sorts and groups the values", async function () {
+      expect(
+        await new AsyncQuery(asyncSource(books))
+          .sortBy("title", { limit: 2 })
+          .map((book) => book.title)
+          .toArray()
+      ).deep.equal(["Summa of Creo", "Summa of Ignem"]);
+      const groups = await new AsyncQuery(asyncSource(books)).groupBy(
+        (book) => book.quality
+      );
+      expect([...groups.keys()]).deep.equal([12, 8, 10]);
+    });
+  });
+});
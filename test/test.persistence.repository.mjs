@@ -0,0 +1,212 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  JsonFileRepository,
+  MemoryRepository,
+  NoSuchEntityError,
+  VersionConflictError,
+} from "../src/persistence/repository.mjs";
+import { JsonFileStore } from "../src/persistence/store.mjs";
+
+/**
+ * Test library for the repositories.
+ * @module test/persistence/repository
+ */
+
+describe("Repositories", function () {
+  describe("MemoryRepository", function () {
+    it("Stores copies of the entities", async function () {
+      const repository = new MemoryRepository();
+      const data = { name: "Bjornaer", tags: ["shapeshifter"] };
+      const created = await repository.create(data);
+      expect(created).property("id").a("string");
+      data.tags.push("changed");
+      created.name = "changed";
+      expect(await repository.get(created.id)).deep.equal({
+        id: created.id,
+        name: "Bjornaer",
+        tags: ["shapeshifter"],
+        version: 1,
+      });
+    });
+
+    it("Updates, filters and deletes entities", async function () {
+      const repository = new MemoryRepository({
+        entities: [
+          { id: "a", value: 1 },
+          { id: "b", value: 2 },
+        ],
+      });
+      expect(await repository.list((entity) => entity.value > 1)).deep.equal([
+        { id: "b", value: 2 },
+      ]);
+      expect(await repository.update("a", { value: 3 })).deep.equal({
+        id: "a",
+        value: 3,
+        version: 1,
+      });
+      let error;
+      try {
+        await repository.update("c", {});
+      } catch (err) {
+        error = err;
+      }
+      expect(error).instanceOf(NoSuchEntityError);
+      expect(await repository.delete("a")).true;
+      expect(await repository.delete("a")).false;
+      expect(await repository.get("a")).undefined;
+    });
+
+    it("Rejects the updates of outdated versions", async function () {
+      const repository = new MemoryRepository();
+      const created = await repository.create({ name: "Tytalus" });
+      const updated = await repository.update(created.id, {
+        ...created,
+        name: "Tremere",
+      });
+      expect(updated).property("version", 2);
+      let error;
+      try {
+        await repository.update(created.id, { ...created, name: "Flambeau" });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).instanceOf(VersionConflictError);
+      expect(error).include({ expected: 1, actual: 2 });
+      expect(
+        await repository.update(created.id, { name: "Flambeau" })
+      ).property("version", 3);
+    });
+
+    it("Rolls the failed transactions back", async function () {
+      const repository = new MemoryRepository({
+        entities: [{ id: "a", value: 1 }],
+      });
+      let error;
+      try {
+        await repository.transaction(async () => {
+          await repository.update("a", { value: 2 });
+          await repository.create({ value: 3 });
+          throw new RangeError("Failed");
+        });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).instanceOf(RangeError);
+      expect(await repository.list()).deep.equal([{ id: "a", value: 1 }]);
+
+      const result = await repository.transaction(async () => {
+        await repository.update("a", { value: 2 });
+        return repository.transaction(() => repository.create({ value: 3 }));
+      });
+      expect(result).include({ value: 3 });
+      expect(await repository.list()).length(2);
+    });
+
+    it("Queries copies of the entities lazily", async function () {
+      const repository = new MemoryRepository({
+        entities: [
+          { id: "a", value: 1 },
+          { id: "b", value: 2 },
+          { id: "c", value: 3 },
+        ],
+      });
+      const query = repository.query((entity) => entity.value > 1);
+      await repository.update("a", { value: 4 });
+      const found = await query.toArray();
+      expect(found.map(({ id }) => id)).deep.equal(["a", "b", "c"]);
+      found[0].value = 0;
+      expect(await repository.get("a")).include({ value: 4 });
+      expect(
+        await repository
+          .query()
+          .drop(1)
+          .map(({ id }) => id)
+          .toArray()
+      ).deep.equal(["b", "c"]);
+    });
+
+    it("Runs the other operations after the transaction", async function () {
+      const repository = new MemoryRepository({
+        entities: [{ id: "a", value: 1 }],
+      });
+      /** @type {() => void} */
+      let proceed;
+      const transaction = repository.transaction(async () => {
+        const { value } = await repository.get("a");
+        await new Promise((resolve) => {
+          proceed = resolve;
+        });
+        return repository.update("a", { value: value + 1 });
+      });
+      const increment = repository
+        .get("a")
+        .then(({ value }) => repository.update("a", { value: value + 1 }));
+      await new Promise((resolve) => setImmediate(resolve));
+      proceed();
+      await Promise.all([transaction, increment]);
+      expect(await repository.get("a")).include({ value: 3 });
+    });
+  });
+
+  describe("JsonFileRepository", function () {
+    it("Persists the entities into the file", async function () {
+      const dir = await mkdtemp(path.join(tmpdir(), "arm5server-"));
+      try {
+        const file = path.join(dir, "nested", "entities.json");
+        const repository = new JsonFileRepository(file);
+        const created = await repository.create({ name: "Criamon" });
+        await repository.flush();
+        expect(JSON.parse(await readFile(file, "utf8"))).deep.equal([created]);
+
+        const reloaded = new JsonFileRepository(file);
+        expect(await reloaded.get(created.id)).deep.equal(created);
+        expect(await new JsonFileRepository(file).query().toArray()).deep.equal(
+          [created]
+        );
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("Restores the file of a failed transaction", async function () {
+      const dir = await mkdtemp(path.join(tmpdir(), "arm5server-"));
+      try {
+        const store = new JsonFileStore(dir);
+        const characters = store.repository("characters");
+        const sessions = store.repository("authSessions");
+        const created = await characters.create({ name: "Merinita" });
+        let error;
+        try {
+          await store.transaction(async () => {
+            await characters.delete(created.id);
+            await sessions.create({ user: "u1" });
+            throw new RangeError("Failed");
+          });
+        } catch (err) {
+          error = err;
+        }
+        expect(error).instanceOf(RangeError);
+        await store.close();
+        expect(
+          JSON.parse(await readFile(path.join(dir, "characters.json"), "utf8"))
+        ).deep.equal([created]);
+        expect(
+          JSON.parse(await readFile(path.join(dir, "sessions.json"), "utf8"))
+        ).deep.equal([]);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("Treats a missing file as empty", async function () {
+      const repository = new JsonFileRepository(
+        path.join(tmpdir(), "arm5server-missing", "none.json")
+      );
+      expect(await repository.list()).deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, beforeEach } from "mocha";
+import { expect } from "chai";
+import {
+  MemoryRepository,
+  NoSuchEntityError,
+} from "../src/persistence/repository.mjs";
+import { SagaScopedRepository } from "../src/persistence/scoped.mjs";
+
+/**
+ * Test library for the saga scoped repositories.
+ * @module test/persistence/scoped
+ */
+
+describe("SagaScopedRepository", function () {
+  /** @type {MemoryRepository} */
+  let shared;
+
+  beforeEach(function () {
+    shared = new MemoryRepository({
+      entities: [
+        { id: "a", saga: "s1", name: "Public", storyguideNotes: "Notes" },
+        { id: "b", saga: "s1", name: "Hidden", hidden: true },
+        { id: "c", saga: "s2", name: "Other" },
+      ],
+    });
+  });
+
+  it("Shows the storyguides all entities of the saga", async function () {
+    const storyguide = new SagaScopedRepository(shared, "s1", {
+      storyguide: true,
+    });
+    expect((await storyguide.list()).map(({ id }) => id)).deep.equal([
+      "a",
+      "b",
+    ]);
+    expect(await storyguide.get("a")).property("storyguideNotes", "Notes");
+    expect(await storyguide.get("c")).equal(undefined);
+  });
+
+  it("Hides the storyguide content from the players", async function () {
+    const player = new SagaScopedRepository(shared, "s1");
+    expect(await player.list()).deep.equal([
+      { id: "a", saga: "s1", name: "Public" },
+    ]);
+    expect(await player.get("b")).equal(undefined);
+    expect(await player.query().toArray()).deep.equal(await player.list());
+    expect(
+      await player.query((entity) => entity.name !== "Public").toArray()
+    ).deep.equal([]);
+    expect(await player.delete("b")).equal(false);
+    expect(await player.delete("c")).equal(false);
+    let error;
+    try {
+      await player.update("b", { name: "Found" });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).instanceOf(NoSuchEntityError);
+  });
+
+  it("Keeps the storyguide properties of the player changes", async function () {
+    const player = new SagaScopedRepository(shared, "s1");
+    const updated = await player.update("a", {
+      name: "Changed",
+      hidden: true,
+      saga: "s2",
+    });
+    expect(updated).deep.equal({
+      id: "a",
+      saga: "s1",
+      name: "Changed",
+      version: 1,
+    });
+    expect(await shared.get("a")).property("storyguideNotes", "Notes");
+
+    const created = await player.create({ name: "New", npc: true });
+    expect(await shared.get(created.id)).deep.equal({
+      id: created.id,
+      name: "New",
+      saga: "s1",
+      version: 1,
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  NoSuchEntityError,
+  VersionConflictError,
+} from "../src/persistence/repository.mjs";
+import {
+  MIGRATIONS,
+  MigrationError,
+  QUERY_BATCH_SIZE,
+  SqliteStore,
+} from "../src/persistence/sqlite.mjs";
+import { createStore, SQLITE_FILE } from "../src/persistence/store.mjs";
+
+/**
+ * Test library for the SQLite storage.
+ * @module test/persistence/sqlite
+ */
+
+/**
+ * Create a generator of the identifiers.
+ * @returns {() => string} The generator of the identifiers s1, s2, and so on.
+ */
+function sequentialIds() {
+  let next = 1;
+  return () => `s${next++}`;
+}
+
+describe("SQLite storage", function () {
+  /** @type {string} */
+  let dir;
+  /** @type {SqliteStore} */
+  let store;
+
+  beforeEach(async function () {
+    dir = await mkdtemp(path.join(tmpdir(), "arm5-sqlite-"));
+    store = createStore({ storage: "sqlite", dataDir: dir });
+    await store.migrate();
+  });
+
+  afterEach(async function () {
+    await store.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("Stores the entities of the repositories apart", async function () {
+    const characters = store.repository("characters");
+    const covenants = store.repository("covenants", {
+      idGenerator: () => "v1",
+    });
+    const created = await characters.create({ name: "Jerbiton", arts: [1, 2] });
+    expect(created).deep.equal({
+      id: created.id,
+      name: "Jerbiton",
+      arts: [1, 2],
+      version: 1,
+    });
+    await covenants.create({ name: "Semita Errabunda" });
+    expect(await characters.list()).deep.equal([created]);
+    expect(await covenants.get(created.id)).equal(undefined);
+
+    const updated = await characters.update(created.id, {
+      ...created,
+      name: "Verditius",
+    });
+    expect(updated).include({ name: "Verditius", version: 2 });
+    expect(
+      await characters.list((character) => character.name === "Jerbiton")
+    ).deep.equal([]);
+    expect(await characters.delete(created.id)).equal(true);
+    expect(await characters.delete(created.id)).equal(false);
+
+    await store.close();
+    store = new SqliteStore(path.join(dir, SQLITE_FILE));
+    expect(await store.migrate()).deep.equal([]);
+    expect(await store.repository("covenants").get("v1")).include({
+      name: "Semita Errabunda",
+    });
+  });
+
+  it("Queries the entities in batches", async function () {
+    const spells = store.repository("spells", { idGenerator: sequentialIds() });
+    const count = QUERY_BATCH_SIZE * 2 + 5;
+    await store.transaction(async () => {
+      for (let level = 1; level <= count; level++) {
+        await spells.create({ name: `Spell ${level}`, level });
+      }
+    });
+    await store.repository("books").create({ name: "Summa" });
+    expect(
+      await spells
+        .query((spell) => spell.level % 10 === 0)
+        .map((spell) => spell.level)
+        .toArray()
+    ).deep.equal(
+      Array.from(
+        { length: Math.floor(count / 10) },
+        (_, index) => index * 10 + 10
+      )
+    );
+    expect(
+      await spells
+        .query()
+        .drop(count - 1)
+        .toArray()
+    ).deep.equal([await spells.get(`s${count}`)]);
+  });
+
+  it("Rejects the updates of missing entities and outdated versions", async function () {
+    const characters = store.repository("characters");
+    const created = await characters.create({ name: "Guernicus" });
+    await characters.update(created.id, { name: "Quaesitor" });
+    for (const [id, data, type] of [
+      ["none", {}, NoSuchEntityError],
+      [created.id, created, VersionConflictError],
+    ]) {
+      let error;
+      try {
+        await characters.update(id, data);
+      } catch (err) {
+        error = err;
+      }
+      expect(error).instanceOf(type);
+    }
+  });
+
+  it("Rolls the failed transactions back", async function () {
+    const characters = store.repository("characters");
+    const covenants = store.repository("covenants");
+    const created = await characters.create({ name: "Ex Miscellanea" });
+    let error;
+    try {
+      await store.transaction(async () => {
+        await characters.delete(created.id);
+        await covenants.create({ name: "Fengheld" });
+        throw new RangeError("Failed");
+      });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).instanceOf(RangeError);
+    expect(await characters.list()).deep.equal([created]);
+    expect(await covenants.list()).deep.equal([]);
+
+    await characters.transaction(() => covenants.create({ name: "Durenmar" }));
+    expect(await covenants.list()).length(1);
+  });
+
+  describe("Migrations", function () {
+    const extra = [
+      ...MIGRATIONS,
+      {
+        version: 2,
+        name: "Index the entities by their sagas",
+        up(db) {
+          db.exec(
+            "CREATE INDEX entities_saga ON entities (collection, json_extract(data, '$.saga'))"
+          );
+        },
+      },
+    ];
+
+    it("Applies the pending migrations once", async function () {
+      expect(await store.migrate()).deep.equal([]);
+      await store.close();
+      store = new SqliteStore(path.join(dir, SQLITE_FILE), {
+        migrations: extra,
+      });
+      expect(await store.migrate()).deep.equal([2]);
+      expect(await store.migrate()).deep.equal([]);
+      expect(
+        store.db
+          .prepare(
+            "SELECT version, name FROM schema_migrations ORDER BY version"
+          )
+          .all()
+      ).deep.equal(extra.map(({ version, name }) => ({ version, name })));
+    });
+
+    it("Rejects a database of a newer schema", async function () {
+      await store.close();
+      store = new SqliteStore(path.join(dir, SQLITE_FILE), {
+        migrations: extra,
+      });
+      await store.migrate();
+      await store.close();
+      store = new SqliteStore(path.join(dir, SQLITE_FILE));
+      let error;
+      try {
+        await store.migrate();
+      } catch (err) {
+        error = err;
+      }
+      expect(error).instanceOf(MigrationError);
+    });
+
+    it("Rolls a failed migration back", async function () {
+      await store.close();
+      store = new SqliteStore(path.join(dir, SQLITE_FILE), {
+        migrations: [
+          ...MIGRATIONS,
+          {
+            version: 2,
+            name: "Broken",
+            up(db) {
+              db.exec("CREATE TABLE notes (id TEXT)");
+              db.exec("INSERT INTO missing VALUES (1)");
+            },
+          },
+        ],
+      });
+      let error;
+      try {
+        await store.migrate();
+      } catch (err) {
+        error = err;
+      }
+      expect(error).instanceOf(MigrationError);
+      expect(
+        store.db
+          .prepare("SELECT name FROM sqlite_master WHERE name = 'notes'")
+          .all()
+      ).deep.equal([]);
+    });
+  });
+});
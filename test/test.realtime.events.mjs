@@ -0,0 +1,129 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { EventHub, ObservedRepository } from "../src/realtime/events.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+
+/**
+ * Test library for the change events.
+ * @module test/realtime/events
+ */
+
+describe("Change events", function () {
+  describe("Class EventHub", function () {
+    it("Numbers and emits the events", function () {
+      const hub = new EventHub();
+      const received = [];
+      hub.on("change", (event) => received.push(event));
+      hub.publish({ entity: "character", action: "created", id: "c1" });
+      hub.publish({
+        entity: "roll",
+        action: "created",
+        id: "r1",
+        session: "s",
+      });
+      expect(received.map((event) => event.seq)).deep.equal([1, 2]);
+      expect(hub.seq).equal(2);
+    });
+
+    it("Catches up the missed events of a session", function () {
+      const hub = new EventHub();
+      hub.publish({ entity: "covenant", action: "updated", id: "v1" });
+      hub.publish({
+        entity: "roll",
+        action: "created",
+        id: "r1",
+        session: "a",
+      });
+      hub.publish({
+        entity: "roll",
+        action: "created",
+        id: "r2",
+        session: "b",
+      });
+      const { complete, events } = hub.since(1, hub.epoch, "b");
+      expect(complete).equal(true);
+      expect(events.map((event) => event.id)).deep.equal(["r2"]);
+      expect(hub.since(3).events).deep.equal([]);
+    });
+
+    [
+      ["Different epoch", (hub) => hub.since(3, "other")],
+      ["Events dropped from the history", (hub) => hub.since(0)],
+      ["Future sequence number", (hub) => hub.since(9)],
+    ].forEach(([name, catchUp], index) => {
+      it(`Test #${index}: Requires reset on ${name}`, function () {
+        const hub = new EventHub({ historySize: 2 });
+        ["c1", "c2", "c3"].forEach((id) =>
+          hub.publish({ entity: "character", action: "created", id })
+        );
+        expect(catchUp(hub).complete).equal(false);
+      });
+    });
+
+    it("Accepts a listener for every client", function () {
+      const hub = new EventHub();
+      const warnings = [];
+      const warn = (warning) => warnings.push(warning);
+      process.on("warning", warn);
+      for (let client = 0; client < 20; client++) {
+        hub.on("change", () => {});
+      }
+      return new Promise((resolve) => setImmediate(resolve)).then(() => {
+        process.off("warning", warn);
+        expect(warnings).deep.equal([]);
+        expect(hub.listenerCount("change")).equal(20);
+      });
+    });
+  });
+
+  describe("Class ObservedRepository", function () {
+    it("Publishes the changes", async function () {
+      const hub = new EventHub();
+      const repository = new ObservedRepository(
+        new MemoryRepository({ idGenerator: () => "r1" }),
+        "roll",
+        hub
+      );
+      await repository.create({ total: 3, session: "s1" });
+      await repository.update("r1", { total: 4 });
+      await repository.delete("r1");
+      await repository.delete("r1");
+      expect(
+        hub.history.map(({ action, id, session }) => ({ action, id, session }))
+      ).deep.equal([
+        { action: "created", id: "r1", session: "s1" },
+        { action: "updated", id: "r1", session: undefined },
+        { action: "deleted", id: "r1", session: undefined },
+      ]);
+    });
+
+    it("Marks the updates hiding an entity", async function () {
+      const hub = new EventHub();
+      const repository = new ObservedRepository(
+        new MemoryRepository({ idGenerator: () => "v1" }),
+        "covenant",
+        hub
+      );
+      await repository.create({ name: "Fengheld", saga: "s" });
+      await repository.update("v1", {
+        name: "Fengheld",
+        saga: "s",
+        hidden: true,
+      });
+      await repository.update("v1", {
+        name: "Crintera",
+        saga: "s",
+        hidden: true,
+      });
+      await repository.delete("v1");
+      expect(
+        hub.history.map(({ hidden, concealed }) => ({ hidden, concealed }))
+      ).deep.equal([
+        { hidden: undefined, concealed: undefined },
+        { hidden: true, concealed: true },
+        { hidden: true, concealed: undefined },
+        { hidden: true, concealed: undefined },
+      ]);
+    });
+  });
+});
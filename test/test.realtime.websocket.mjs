@@ -0,0 +1,213 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { WebSocket } from "ws";
+import { startSagaApiServer, TEST_SAGA } from "../src/testkit/api.mjs";
+import { MemoryRepository } from "../src/persistence/repository.mjs";
+import { EventHub } from "../src/realtime/events.mjs";
+
+/**
+ * Test library for the WebSocket endpoint.
+ * @module test/realtime/websocket
+ */
+
+describe("WebSocket endpoint", function () {
+  /** @type {import("../src/testkit/api.mjs").SagaTestServer} */
+  let server;
+  /** @type {EventHub} */
+  let events;
+
+  beforeEach(async function () {
+    let next = 1;
+    events = new EventHub();
+    server = await startSagaApiServer({
+      repositories: {
+        characters: new MemoryRepository({ idGenerator: () => `c${next++}` }),
+        covenants: new MemoryRepository({ idGenerator: () => `v${next++}` }),
+        rolls: new MemoryRepository({ idGenerator: () => `r${next++}` }),
+      },
+      events,
+    });
+  });
+
+  afterEach(function () {
+    return server.close();
+  });
+
+  /**
+   * Connect a client collecting the received messages.
+   * @param {string} [query=""] The query of the connection URL after the saga.
+   * @param {import("../src/testkit/api.mjs").ApiClient} [client] The API client whose
+   * cookies authenticate the connection. Defaults to the storyguide.
+   * @returns {Promise<{socket: WebSocket, next: () => Promise<any>}>} The connected
+   * client and the function returning the next received message.
+   */
+  function connect(query = "", client = server.storyguide) {
+    const socket = new WebSocket(
+      `${server.wsUrl}?saga=${TEST_SAGA}${query === "" ? "" : `&${query}`}`,
+      { headers: { Cookie: client.cookie() } }
+    );
+    const received = [];
+    const waiting = [];
+    socket.on("message", (data) => {
+      const message = JSON.parse(data.toString());
+      if (waiting.length > 0) {
+        waiting.shift()(message);
+      } else {
+        received.push(message);
+      }
+    });
+    return new Promise((resolve, reject) => {
+      socket.once("error", reject);
+      socket.once("open", () =>
+        resolve({
+          socket,
+          next() {
+            return received.length > 0
+              ? Promise.resolve(received.shift())
+              : new Promise((resolve) => waiting.push(resolve));
+          },
+        })
+      );
+    });
+  }
+
+  const covenant = { name: "Fengheld", founded: 1200 };
+
+  it("Broadcasts the changes of the session", async function () {
+    const alice = await connect("session=s1");
+    const bob = await connect("session=s2");
+    expect(await alice.next()).include({ type: "welcome", seq: 0 });
+    expect(await bob.next()).include({ type: "welcome", session: "s2" });
+
+    await server.request("POST", "/covenants", covenant);
+    await server.request("POST", "/rolls", {
+      expression: "simple+3",
+      session: "s2",
+    });
+
+    const created = await alice.next();
+    expect(created.event).include({
+      seq: 1,
+      entity: "covenant",
+      action: "created",
+    });
+    expect((await bob.next()).event).include({ entity: "covenant" });
+    expect((await bob.next()).event).include({ entity: "roll", session: "s2" });
+
+    alice.socket.send(JSON.stringify({ type: "ping" }));
+    expect(await alice.next()).deep.equal({ type: "pong" });
+    alice.socket.close();
+    bob.socket.close();
+  });
+
+  it("Resynchronizes a reconnecting client", async function () {
+    const first = await connect("session=s1");
+    const { epoch } = await first.next();
+    first.socket.close();
+
+    await server.request("POST", "/covenants", covenant);
+    await server.request("PATCH", "/covenants/v1", { aura: 2 });
+    await server.request("POST", "/rolls", {
+      expression: "simple",
+      session: "s2",
+    });
+
+    const client = await connect(`session=s1&epoch=${epoch}&since=0`);
+    expect(await client.next()).include({ type: "welcome", seq: 3 });
+    expect((await client.next()).event).include({ seq: 1, action: "created" });
+    expect((await client.next()).event).include({ seq: 2, action: "updated" });
+    expect(await client.next()).include({ type: "synced", seq: 3 });
+
+    client.socket.send(JSON.stringify({ type: "resync", epoch: "x", seq: 3 }));
+    expect(await client.next()).include({ type: "reset", epoch, seq: 3 });
+    client.socket.close();
+  });
+
+  it("Refuses the connections without a saga membership", async function () {
+    const outsider = await server.register("outsider");
+    for (const client of [server.createClient(), outsider]) {
+      const error = await connect("", client).then(
+        () => undefined,
+        (err) => err
+      );
+      expect(error?.message).include("401");
+    }
+  });
+
+  it("Hides the storyguide content from the players", async function () {
+    const player = await connect("", await server.join("player", "troupe"));
+    expect(await player.next()).include({ type: "welcome", saga: TEST_SAGA });
+
+    const other = await server.register("other");
+    const { body: saga } = await other.request("POST", "/sagas", {
+      name: "Other Saga",
+    });
+    await other.request("POST", `/sagas/${saga.id}/covenants`, covenant);
+    await server.request("POST", "/covenants", {
+      ...covenant,
+      hidden: true,
+    });
+    await server.request("POST", "/covenants", {
+      ...covenant,
+      storyguideNotes: "Secretly founded by a diabolist",
+    });
+
+    const { event } = await player.next();
+    expect(event).include({ entity: "covenant", saga: TEST_SAGA, seq: 3 });
+    expect(event.data).not.have.property("storyguideNotes");
+    player.socket.close();
+  });
+
+  it("Removes the entities hidden from the players", async function () {
+    const player = await connect("", await server.join("player", "troupe"));
+    expect(await player.next()).include({ type: "welcome" });
+    const { body: created } = await server.request(
+      "POST",
+      "/covenants",
+      covenant
+    );
+    expect((await player.next()).event).include({ action: "created" });
+
+    await server.request("PATCH", `/covenants/${created.id}`, { hidden: true });
+    await server.request("PATCH", `/covenants/${created.id}`, { aura: 3 });
+    await server.request("POST", "/covenants", covenant);
+    const { event } = await player.next();
+    expect(event).deep.equal({
+      entity: "covenant",
+      action: "deleted",
+      id: created.id,
+      saga: TEST_SAGA,
+      seq: event.seq,
+      time: event.time,
+    });
+    expect((await player.next()).event).include({ action: "created" });
+    player.socket.close();
+  });
+
+  it("Follows the changes of the saga membership", async function () {
+    const member = await connect("", await server.join("elder", "storyguide"));
+    expect(await member.next()).include({ type: "welcome" });
+    const closed = new Promise((resolve) =>
+      member.socket.once("close", (code) => resolve(code))
+    );
+
+    const demoted = await server.request("PUT", "/members/elder", {
+      role: "troupe",
+    });
+    expect(demoted.status).equal(200);
+    await server.request("POST", "/covenants", { ...covenant, hidden: true });
+    const { body: visible } = await server.request(
+      "POST",
+      "/covenants",
+      covenant
+    );
+    expect((await member.next()).event).include({
+      action: "created",
+      id: visible.id,
+    });
+
+    await server.request("DELETE", "/members/elder");
+    await server.request("POST", "/covenants", covenant);
+    expect(await closed).equal(1008);
+  });
+});
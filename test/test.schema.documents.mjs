@@ -0,0 +1,139 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { validateSchema } from "../src/schema/validator.mjs";
+import {
+  createDocument,
+  documentSchema,
+  DocumentError,
+  readDocument,
+} from "../src/schema/documents.mjs";
+
+/**
+ * Test library for the document schemas.
+ * @module test/schema/documents
+ */
+
+describe("Document schemas", function () {
+  describe("Function validateSchema", function () {
+    const schema = {
+      type: "object",
+      required: ["name"],
+      properties: {
+        name: { type: "string", minLength: 1, maxLength: 8 },
+        tags: { type: "array", items: { enum: ["a", "b"] } },
+        scores: {
+          type: "object",
+          additionalProperties: { type: "integer", maximum: 5 },
+        },
+        point: { $ref: "#/$defs/point" },
+      },
+      additionalProperties: false,
+      $defs: { point: { type: "object", required: ["x"] } },
+    };
+
+    [
+      [{ name: "A", tags: ["a"], scores: { x: 1 }, point: { x: 0 } }, []],
+      [[], ["$"]],
+      [{}, ["$.name"]],
+      [{ name: "" }, ["$.name"]],
+      [{ name: "Bonisagus" }, ["$.name"]],
+      [{ name: "A", tags: ["c"] }, ["$.tags[0]"]],
+      [
+        { name: "A", scores: { "Magic Theory": 6 } },
+        ['$.scores["Magic Theory"]'],
+      ],
+      [{ name: "A", point: {} }, ["$.point.x"]],
+      [{ name: "A", extra: 1 }, ["$.extra"]],
+      [{ name: 1.5, tags: "a" }, ["$.name", "$.tags"]],
+    ].forEach(([value, paths], index) => {
+      it(`Test #${index}: ${JSON.stringify(value)}`, function () {
+        expect(
+          validateSchema(schema, value).map((issue) => issue.path)
+        ).deep.equal(paths);
+      });
+    });
+  });
+
+  describe("Function readDocument", function () {
+    const character = {
+      name: "Wulfric",
+      type: "grog",
+      characteristics: { Str: 2 },
+      abilities: [{ name: "Great Weapon", xp: 30 }],
+    };
+
+    it("Reads a current document", function () {
+      const document = createDocument("character", character);
+      expect(readDocument(document)).deep.equal(document);
+      expect(validateSchema(documentSchema("character"), document)).deep.equal(
+        []
+      );
+    });
+
+    it("Migrates old documents", function () {
+      const migrations = [
+        {
+          character: ({ strength, ...rest }) => ({
+            ...rest,
+            characteristics: { Str: strength },
+          }),
+        },
+        { covenant: (covenant) => ({ ...covenant, aura: 0 }) },
+      ];
+      const old = {
+        format: "arm5tools",
+        kind: "saga",
+        version: 1,
+        data: {
+          characters: [{ name: "Wulfric", type: "grog", strength: 2 }],
+          covenants: [{ name: "Fengheld", founded: 1200 }],
+          spells: [],
+        },
+      };
+      const migrated = readDocument(old, migrations);
+      expect(migrated.version).equal(3);
+      expect(migrated.data.characters[0].characteristics).deep.equal({
+        Str: 2,
+      });
+      expect(migrated.data.covenants[0]).property("aura", 0);
+      expect(old.data.characters[0]).property("strength", 2);
+    });
+
+    [
+      ["Unknown kind", { ...createDocument("grog", {}) }, "$.kind"],
+      [
+        "Newer version",
+        { ...createDocument("character", character), version: 9 },
+        "$.version",
+      ],
+      [
+        "Invalid characteristic",
+        createDocument("character", {
+          ...character,
+          characteristics: { Str: 7 },
+        }),
+        "$.data.characteristics.Str",
+      ],
+      [
+        "Invalid saga member",
+        createDocument("saga", {
+          characters: [character, { ...character, type: "dragon" }],
+          covenants: [],
+          spells: [],
+        }),
+        "$.data.characters[1].type",
+      ],
+    ].forEach(([name, document, path], index) => {
+      it(`Test #${index}: Rejects ${name}`, function () {
+        let error;
+        try {
+          readDocument(document);
+        } catch (err) {
+          error = err;
+        }
+        expect(error).instanceOf(DocumentError);
+        expect(error.issues.map((issue) => issue.path)).include(path);
+      });
+    });
+  });
+});
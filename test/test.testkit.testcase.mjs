@@ -0,0 +1,195 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+  createConstructionTestCase,
+  createTestCase,
+  deepEquals,
+  loadTestCases,
+  testConstructionTestCase,
+  testTestCase,
+  toString,
+  validTestCase,
+} from "../src/testkit/testcase.mjs";
+import {
+  SameValueEquality,
+  StrictEquality,
+} from "../src/arm5tools/utils_covenant.mjs";
+
+/**
+ * Test library for the test cases of the testkit.
+ * @module test/testkit/testcase
+ */
+
+/**
+ * Sum the scores of the arts.
+ * @param {number[]} scores The scores.
+ * @returns {number} The sum of the scores.
+ * @throws {RangeError} A score was negative.
+ */
+function sumArts(scores) {
+  if (scores.some((score) => score < 0)) {
+    throw new RangeError("Negative score");
+  }
+  return scores.reduce((sum, score) => sum + score, 0);
+}
+
+describe("Test cases", function () {
+  describe("Deep equality", function () {
+    it("Compares the members of the arrays, the objects and the maps", function () {
+      expect(deepEquals([1, { a: [NaN] }], [1, { a: [NaN] }])).true;
+      expect(deepEquals({ a: 1, b: 2 }, { b: 2, a: 1 })).true;
+      expect(deepEquals({ a: 1 }, { a: 1, b: undefined })).false;
+      expect(deepEquals([1, 2], { 0: 1, 1: 2 })).false;
+      expect(deepEquals(new Map([["a", [1]]]), new Map([["a", [1]]]))).true;
+      expect(deepEquals(new Map([["a", 1]]), new Map([["b", 1]]))).false;
+      expect(deepEquals(new Date(0), new Date(0))).true;
+    });
+
+    it("Compares the members of the sets", function () {
+      expect(deepEquals(new Set([1, 2]), new Set([2, 1]))).true;
+      expect(deepEquals(new Set([1]), new Set([2]))).false;
+      expect(deepEquals(new Set([1]), new Set([1, 2]))).false;
+      expect(deepEquals(new Set([[1], { a: 2 }]), new Set([{ a: 2 }, [1]])))
+        .true;
+      expect(deepEquals(new Set([[1], [1]]), new Set([[1], [2]]))).false;
+    });
+
+    it("Compares the values of the boxed primitives", function () {
+      expect(deepEquals(Object(1), Object(1))).true;
+      expect(deepEquals(Object(1), Object(2))).false;
+      expect(deepEquals(Object("Ignem"), Object("Aquam"))).false;
+      expect(deepEquals(Object(true), Object(false))).false;
+      expect(deepEquals(Object(1n), Object(2n))).false;
+      expect(deepEquals([Object(NaN)], [Object(NaN)])).true;
+      expect(deepEquals(Object(1), 1)).false;
+    });
+
+    it("Compares the sources and the flags of the regular expressions", function () {
+      expect(deepEquals(/vim/i, /vim/i)).true;
+      expect(deepEquals(/vim/i, /vis/i)).false;
+      expect(deepEquals(/vim/i, /vim/g)).false;
+    });
+
+    it("Compares the other values with the chosen equality", function () {
+      expect(deepEquals([NaN], [NaN], StrictEquality)).false;
+      expect(deepEquals({ zero: -0 }, { zero: 0 })).true;
+      expect(deepEquals({ zero: -0 }, { zero: 0 }, SameValueEquality)).false;
+    });
+  });
+
+  describe("Creation", function () {
+    it("Reads the expected result", function () {
+      const testCase = createTestCase({
+        tested: sumArts,
+        params: [[1, 2]],
+        expected: 3,
+      });
+      expect(validTestCase(testCase)).true;
+      expect(testCase).include({ name: "sumArts([1, 2])", expected: 3 });
+      expect(
+        createTestCase({ tested: sumArts, params: [], result: 0 })
+      ).property("expected", 0);
+      expect(createTestCase({ tested: sumArts, params: [] })).not.property(
+        "expected"
+      );
+    });
+
+    it("Escapes the quotes of the strings", function () {
+      expect(toString('Say "Aegis"')).equal('"Say \\"Aegis\\""');
+      expect(toString(["a\\b"])).equal('["a\\\\b"]');
+    });
+  });
+
+  describe("Runner", function () {
+    [
+      createTestCase({
+        name: "Spreads the parameters",
+        tested: Math.max,
+        params: [3, 15, 7],
+        expected: 15,
+      }),
+      createTestCase({
+        name: "Passes a single parameter",
+        tested: (value) => value * 2,
+        params: 4,
+        expected: 8,
+      }),
+      createTestCase({
+        name: "Compares the results deeply",
+        tested: (a, b) => ({ sum: a + b, parts: [a, b] }),
+        params: [1, 2],
+        expected: { sum: 3, parts: [1, 2] },
+      }),
+      createTestCase({
+        name: "Awaits the asynchronous tests",
+        tested: async (value) => [value],
+        params: [NaN],
+        expected: [NaN],
+      }),
+      createTestCase({
+        name: "Expects the rejections",
+        tested: async () => {
+          throw new RangeError("Rejected");
+        },
+        params: [],
+        exception: RangeError,
+      }),
+      createTestCase({
+        name: "Calls the tester",
+        tested: sumArts,
+        params: [[5, 5]],
+        tester: (result, testCase) => {
+          expect(result).equal(10);
+          expect(testCase.name).equal("Calls the tester");
+        },
+      }),
+    ].forEach((testCase, index) => {
+      testTestCase(testCase, index);
+    });
+
+    [
+      createConstructionTestCase({
+        tested: Map,
+        params: [[["Creo", 5]]],
+        test: (constructed) => constructed.get("Creo"),
+        expected: 5,
+      }),
+      createConstructionTestCase({
+        tested: Set,
+        params: 7,
+        exception: TypeError,
+      }),
+    ].forEach((testCase, index) => {
+      testConstructionTestCase(testCase, index);
+    });
+
+    it("Rejects the invalid test cases", function () {
+      expect(() => testTestCase({ name: "No test" })).throw(
+        "Invalid test case"
+      );
+    });
+  });
+
+  describe("Fixtures", function () {
+    const fixture = new URL("./fixtures/testcases.json", import.meta.url);
+    const testCases = loadTestCases(fixture, { tested: sumArts });
+    testCases.forEach((testCase, index) => {
+      testTestCase(testCase, index);
+    });
+
+    it("Loads the test cases", function () {
+      expect(testCases.map((testCase) => testCase.name)).deep.equal([
+        "Sums the arts",
+        "sumArts([])",
+        "Rejects the negative scores",
+      ]);
+      expect(testCases[2]).property("exception", RangeError);
+    });
+
+    it("Rejects the unknown exceptions", function () {
+      expect(() =>
+        loadTestCases(fixture, { tested: sumArts }, { Error })
+      ).throw(TypeError);
+    });
+  });
+});